@@ -245,6 +245,9 @@ class DigitalTwinApp {
             
             // Generate buildings with default settings (minHeight: 5, maxHeight: 35)
             const buildings = this.buildingGenerator.generateBuildings(70, 5, 35);
+            if (this.uiManager) {
+                this.uiManager.updateGeneratorSeedDisplay();
+            }
             
             // Add buildings to scene and setup shadows
             buildings.forEach(building => {
@@ -321,6 +324,7 @@ class DigitalTwinApp {
             camera: this.cameraController.getStats(),
             trees: this.treeManager ? this.treeManager.getStats() : null,
             polygons: this.polygonManager ? this.polygonManager.getStats() : null,
+            buildingMetrics: this.uiManager && this.uiManager.buildingMetrics ? this.uiManager.buildingMetrics.getStats() : null,
             grid: {
                 visible: this.gridManager.isGridVisible()
             }
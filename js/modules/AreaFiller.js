@@ -0,0 +1,393 @@
+/**
+ * AreaFiller - Generates buildings and trees inside a selected shape (for example a district boundary),
+ * keeping clear of the objects already standing there
+ * Uses its own seed, so filling an area does not change the seed of the generated scene
+ */
+class AreaFiller {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.sceneManager = uiManager.sceneManager;
+        this.selectionManager = uiManager.selectionManager;
+        this.geoJSONManager = uiManager.geoJSONManager;
+        this.buildingGenerator = uiManager.buildingGenerator;
+
+        this.area = null;
+        this.panel = null;
+        this.settings = { count: 10, minHeight: 4, maxHeight: 20, treeDensity: 1.75, footprintMix: 25, seed: '' };
+
+        this.buildingGap = 4; // Clear space kept between a new building and anything else
+        this.treeClearance = 2; // Distance kept between a new tree and buildings or other shapes
+        this.treeSpacing = 3; // Distance kept between trees
+        this.attemptsPerBuilding = 60;
+        this.maxTrees = 300;
+    }
+
+    /**
+     * Open the fill panel for the selected area
+     */
+    open() {
+        const area = this.getSelectedArea();
+        if (!area) {
+            throw new Error('Select an area first: draw or pick a non-building shape to fill');
+        }
+
+        this.area = area;
+        this.showPanel();
+    }
+
+    /**
+     * First selected shape that encloses an area: not a building, tree or line
+     */
+    getSelectedArea() {
+        const candidates = this.selectionManager ? this.selectionManager.selectedObjects : [];
+        for (const mesh of candidates) {
+            const shape = mesh.basePolygon || mesh;
+            if (!shape.userData || shape.isDisposed() || this.uiManager.buildingMetrics.isBuilding(shape) ||
+                this.uiManager.isTree(shape) || shape.userData.shapeType === 'polyline') {
+                continue;
+            }
+            const outline = this.geoJSONManager.getFootprint(shape);
+            if (outline && outline.length >= 3) {
+                return shape;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Fill the current area with the panel settings
+     * @returns {Object} The new building meshes and tree data, and the seed used
+     */
+    fill() {
+        if (!this.area || this.area.isDisposed()) {
+            throw new Error('The area to fill no longer exists');
+        }
+
+        const g = this.buildingGenerator;
+        const settings = this.settings;
+        const normalized = g.normalizeSeed(settings.seed);
+        const seed = normalized !== null ? normalized : g.createSeed();
+
+        const outline = this.toPlan(this.geoJSONManager.getFootprint(this.area));
+        const holes = this.geoJSONManager.getHoles(this.area).map(hole => this.toPlan(hole));
+        const obstacles = this.collectObstacles(outline);
+        const treeManager = g.treeManager;
+        const trees = treeManager ? treeManager.trees.map(tree => ({ x: tree.parent.position.x, z: tree.parent.position.z })) : [];
+
+        // The generator's building and tree helpers draw from this.random, so lend them the fill's own source
+        // and footprint mix
+        const sceneRandom = g.random;
+        const sceneFootprintMix = g.footprintMix;
+        g.random = g.createRandom(seed);
+        g.footprintMix = settings.footprintMix / 100;
+        let result;
+        try {
+            const buildings = this.placeBuildings(outline, holes, obstacles, trees, settings);
+            const newTrees = treeManager ? this.placeTrees(outline, holes, obstacles.concat(buildings.map(b => b.footprint)), trees, settings) : [];
+            result = { buildings: buildings.map(b => b.mesh), trees: newTrees, seed: seed };
+        } finally {
+            g.random = sceneRandom;
+            g.footprintMix = sceneFootprintMix;
+        }
+
+        if (this.uiManager.historyManager) {
+            this.uiManager.historyManager.recordCreation(result.buildings.concat(result.trees.map(tree => tree.parent)), 'Fill area');
+        }
+        this.uiManager.dispatchSceneChangeEvent();
+
+        console.log(`Filled ${this.area.name} with ${result.buildings.length} buildings and ${result.trees.length} trees (seed ${seed})`);
+        return result;
+    }
+
+    /**
+     * Footprints of the shapes overlapping the area; a shape covering the whole area is what it stands on
+     */
+    collectObstacles(outline) {
+        const obstacles = [];
+        const seen = new Set([this.area]);
+        const bounds = this.getBounds(outline);
+        const ground = this.sceneManager.getGround();
+
+        this.sceneManager.getScene().meshes.forEach(mesh => {
+            const shape = mesh.basePolygon || mesh;
+            if (seen.has(shape) || shape === ground || !shape.userData || !shape.userData.type ||
+                shape.isDisposed() || !shape.isEnabled() || this.uiManager.isTree(shape)) {
+                return;
+            }
+            seen.add(shape);
+
+            let footprint = this.geoJSONManager.getFootprint(shape);
+            if (!footprint || footprint.length < 3) {
+                const box = this.geoJSONManager.getWorldBounds(shape);
+                footprint = [
+                    { x: box.min.x, z: box.min.z }, { x: box.max.x, z: box.min.z },
+                    { x: box.max.x, z: box.max.z }, { x: box.min.x, z: box.max.z }
+                ];
+            }
+            footprint = this.toPlan(footprint);
+
+            if (!this.boundsOverlap(this.getBounds(footprint), bounds)) return;
+            if (outline.every(p => PlanGeometry.pointInPolygon(p, footprint))) return;
+            obstacles.push(footprint);
+        });
+        return obstacles;
+    }
+
+    /**
+     * Place up to settings.count buildings on rectangular plots aligned with the longest side of the area
+     * @returns {Array} Placed buildings with their mesh and plan footprint
+     */
+    placeBuildings(outline, holes, obstacles, trees, settings) {
+        const g = this.buildingGenerator;
+        const bounds = this.getBounds(outline);
+        const baseAngle = this.getLongestEdgeAngle(outline);
+        const placed = [];
+
+        for (let attempt = 0; placed.length < settings.count && attempt < settings.count * this.attemptsPerBuilding; attempt++) {
+            const width = Math.round((g.minWidth + g.random() * (g.maxWidth - g.minWidth)) * 100) / 100;
+            const depth = Math.round((g.minDepth + g.random() * (g.maxDepth - g.minDepth)) * 100) / 100;
+            const centre = {
+                x: bounds.minX + g.random() * (bounds.maxX - bounds.minX),
+                z: bounds.minZ + g.random() * (bounds.maxZ - bounds.minZ)
+            };
+            const angle = baseAngle + (g.random() < 0.5 ? 0 : Math.PI / 2);
+
+            const footprint = this.getRectangle(centre, angle, width, depth);
+            const clearance = this.getRectangle(centre, angle, width + 2 * this.buildingGap, depth + 2 * this.buildingGap);
+            if (!this.polygonInside(footprint, outline) ||
+                holes.some(hole => this.polygonsOverlap(footprint, hole)) ||
+                obstacles.some(obstacle => this.polygonsOverlap(clearance, obstacle)) ||
+                placed.some(building => this.polygonsOverlap(clearance, building.footprint)) ||
+                trees.some(tree => PlanGeometry.pointInPolygon(tree, footprint) || PlanGeometry.distanceToOutline(tree, footprint) < this.treeClearance)) {
+                continue;
+            }
+
+            const height = Math.round((settings.minHeight + g.random() * (settings.maxHeight - settings.minHeight)) * 100) / 100;
+            const mesh = g.createPlotBuilding(width, depth, centre, angle, height);
+            // Template polygons register themselves; boxes do not
+            if (mesh.userData.shapeType !== 'polygon') {
+                if (this.selectionManager) {
+                    this.selectionManager.addSelectableObject(mesh);
+                }
+                if (this.uiManager.lightingManager) {
+                    this.uiManager.lightingManager.addShadowCaster(mesh);
+                }
+            }
+            placed.push({ mesh, footprint });
+        }
+        return placed;
+    }
+
+    /**
+     * Scatter trees over the free part of the area at settings.treeDensity trees per 100 m²
+     * @returns {Array} Tree data of the new trees
+     */
+    placeTrees(outline, holes, obstacles, trees, settings) {
+        const g = this.buildingGenerator;
+        const bounds = this.getBounds(outline);
+        let freeArea = PlanGeometry.getPlanArea(outline);
+        holes.forEach(hole => {
+            freeArea -= PlanGeometry.getPlanArea(hole);
+        });
+        obstacles.forEach(obstacle => {
+            if (obstacle.every(p => PlanGeometry.pointInPolygon(p, outline))) freeArea -= PlanGeometry.getPlanArea(obstacle);
+        });
+        const target = Math.min(this.maxTrees, Math.max(0, Math.round(freeArea / 100 * settings.treeDensity)));
+
+        const standing = trees.slice();
+        const planted = [];
+        for (let attempt = 0; planted.length < target && attempt < target * 20; attempt++) {
+            const p = {
+                x: bounds.minX + g.random() * (bounds.maxX - bounds.minX),
+                z: bounds.minZ + g.random() * (bounds.maxZ - bounds.minZ)
+            };
+            if (!PlanGeometry.pointInPolygon(p, outline) || PlanGeometry.distanceToOutline(p, outline) < this.treeClearance ||
+                holes.some(hole => PlanGeometry.pointInPolygon(p, hole) || PlanGeometry.distanceToOutline(p, hole) < this.treeClearance) ||
+                obstacles.some(obstacle => PlanGeometry.pointInPolygon(p, obstacle) || PlanGeometry.distanceToOutline(p, obstacle) < this.treeClearance) ||
+                standing.some(tree => Math.hypot(tree.x - p.x, tree.z - p.z) < this.treeSpacing)) {
+                continue;
+            }
+
+            const tree = g.placeTree(new BABYLON.Vector3(p.x, 0, p.z));
+            standing.push(p);
+            if (tree) planted.push(tree);
+        }
+        return planted;
+    }
+
+    /**
+     * Plan points {x, z} of world points
+     */
+    toPlan(points) {
+        return points.map(p => ({ x: p.x, z: p.z }));
+    }
+
+    /**
+     * Corners of a rectangle whose width runs along the given plan angle
+     */
+    getRectangle(centre, angle, width, depth) {
+        const ux = Math.cos(angle) * width / 2;
+        const uz = Math.sin(angle) * width / 2;
+        const vx = -Math.sin(angle) * depth / 2;
+        const vz = Math.cos(angle) * depth / 2;
+        return [
+            { x: centre.x - ux - vx, z: centre.z - uz - vz },
+            { x: centre.x + ux - vx, z: centre.z + uz - vz },
+            { x: centre.x + ux + vx, z: centre.z + uz + vz },
+            { x: centre.x - ux + vx, z: centre.z - uz + vz }
+        ];
+    }
+
+    /**
+     * Plan angle of the longest edge of an outline
+     */
+    getLongestEdgeAngle(outline) {
+        let best = 0;
+        let angle = 0;
+        outline.forEach((a, i) => {
+            const b = outline[(i + 1) % outline.length];
+            const length = Math.hypot(b.x - a.x, b.z - a.z);
+            if (length > best) {
+                best = length;
+                angle = Math.atan2(b.z - a.z, b.x - a.x);
+            }
+        });
+        return angle;
+    }
+
+    /**
+     * Plan bounding box of points
+     */
+    getBounds(points) {
+        const xs = points.map(p => p.x);
+        const zs = points.map(p => p.z);
+        return { minX: Math.min(...xs), maxX: Math.max(...xs), minZ: Math.min(...zs), maxZ: Math.max(...zs) };
+    }
+
+    /**
+     * Check whether two bounding boxes overlap
+     */
+    boundsOverlap(a, b) {
+        return a.minX <= b.maxX && b.minX <= a.maxX && a.minZ <= b.maxZ && b.minZ <= a.maxZ;
+    }
+
+    /**
+     * Check whether two segments cross
+     */
+    segmentsIntersect(a, b, c, d) {
+        const orient = (p, q, r) => (q.x - p.x) * (r.z - p.z) - (q.z - p.z) * (r.x - p.x);
+        const d1 = orient(c, d, a);
+        const d2 = orient(c, d, b);
+        const d3 = orient(a, b, c);
+        const d4 = orient(a, b, d);
+        return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+    }
+
+    /**
+     * Check whether any edges of two closed outlines cross
+     */
+    edgesCross(first, second) {
+        return first.some((a, i) => {
+            const b = first[(i + 1) % first.length];
+            return second.some((c, j) => this.segmentsIntersect(a, b, c, second[(j + 1) % second.length]));
+        });
+    }
+
+    /**
+     * Check whether two closed outlines overlap: their edges cross or one lies inside the other
+     */
+    polygonsOverlap(first, second) {
+        if (!this.boundsOverlap(this.getBounds(first), this.getBounds(second))) return false;
+        return this.edgesCross(first, second) ||
+            PlanGeometry.pointInPolygon(first[0], second) || PlanGeometry.pointInPolygon(second[0], first);
+    }
+
+    /**
+     * Check whether an outline lies completely inside another, which may be concave
+     */
+    polygonInside(inner, outer) {
+        return inner.every(p => PlanGeometry.pointInPolygon(p, outer)) && !this.edgesCross(inner, outer);
+    }
+
+    /**
+     * Create the settings panel for the current area
+     */
+    showPanel() {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.id = 'areaFillPanel';
+            this.panel.className = 'sun-hours-legend area-fill-panel';
+            document.body.appendChild(this.panel);
+        }
+
+        const fields = [
+            { key: 'count', label: 'Buildings', min: 1, max: 200, step: 1 },
+            { key: 'minHeight', label: 'Min height (m)', min: 1, max: 300, step: 0.5 },
+            { key: 'maxHeight', label: 'Max height (m)', min: 1, max: 300, step: 0.5 },
+            { key: 'treeDensity', label: 'Trees per 100 m²', min: 0, max: 20, step: 0.25 },
+            { key: 'footprintMix', label: 'L/U/T/H shapes (%)', min: 0, max: 100, step: 5 }
+        ];
+        this.panel.innerHTML = `
+            <div class="sun-hours-header">
+                <h4></h4>
+                <button class="sun-hours-close" title="Close">×</button>
+            </div>
+            <div class="area-fill-fields">
+                ${fields.map(field => `
+                    <label for="areaFill_${field.key}">${field.label}</label>
+                    <input type="number" id="areaFill_${field.key}" data-setting="${field.key}"
+                        min="${field.min}" max="${field.max}" step="${field.step}" value="${this.settings[field.key]}">
+                `).join('')}
+                <label for="areaFill_seed">Seed</label>
+                <input type="text" id="areaFill_seed" data-setting="seed" placeholder="random">
+            </div>
+            <button class="btn btn-small area-fill-run">Fill</button>
+            <div class="area-fill-summary"></div>
+        `;
+        this.panel.querySelector('h4').textContent = `Fill · ${this.area.name}`;
+        this.panel.querySelector('#areaFill_seed').value = this.settings.seed;
+        this.panel.style.display = 'block';
+
+        this.panel.querySelector('.sun-hours-close').addEventListener('click', () => this.close());
+        this.panel.querySelector('.area-fill-run').addEventListener('click', () => this.uiManager.fillSelectedArea());
+    }
+
+    /**
+     * Read and check the panel fields
+     */
+    readSettings() {
+        if (!this.panel) return;
+
+        const values = {};
+        this.panel.querySelectorAll('[data-setting]').forEach(input => {
+            const key = input.getAttribute('data-setting');
+            values[key] = key === 'seed' ? input.value.trim() : parseFloat(input.value);
+        });
+        if (!(values.count >= 1) || !(values.minHeight > 0) || !(values.maxHeight >= values.minHeight) || !(values.treeDensity >= 0) ||
+            !(values.footprintMix >= 0 && values.footprintMix <= 100)) {
+            throw new Error('Enter a building count of at least 1, heights above 0 with max ≥ min, a tree density of 0 or more and a shape share from 0 to 100%');
+        }
+
+        values.count = Math.round(values.count);
+        this.settings = values;
+    }
+
+    /**
+     * Show the outcome of the last fill
+     */
+    showSummary(result) {
+        const summary = this.panel ? this.panel.querySelector('.area-fill-summary') : null;
+        if (!summary) return;
+        summary.textContent = `Placed ${result.buildings.length} of ${this.settings.count} buildings and ${result.trees.length} trees (seed ${result.seed})`;
+    }
+
+    /**
+     * Close the panel
+     */
+    close() {
+        this.area = null;
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+    }
+}
@@ -1,5 +1,6 @@
 /**
  * BuildingGenerator - Generates random buildings in the scene
+ * All randomness comes from a seeded generator, so a scene can be regenerated from its seed
  */
 class BuildingGenerator {
     constructor(scene, rectangleManager = null, polygonManager = null, uiManager = null, treeManager = null, circleManager = null) {
@@ -32,16 +33,245 @@ class BuildingGenerator {
         this.maxRoadsX = 5; // Maximum roads in X direction
         this.minRoadsZ = 3; // Minimum roads in Z direction
         this.maxRoadsZ = 5; // Maximum roads in Z direction
+        this.treeDensity = 1.75; // Average trees per 100 m² on generated ground and green plots
+
+        // Non-rectangular footprints; footprintMix is the share of non-round buildings that use one
+        this.footprintTemplates = ['L', 'U', 'T', 'H', 'courtyard', 'podium'];
+        this.footprintMix = 0.25;
+        this.minTemplateSize = 12; // Smallest plot side that leaves room for wings
+        this.minCourtyardSize = 18; // Smallest plot side that leaves room for a courtyard
+        this.minPodiumHeight = 4;
+
+        // 'straight' roads across the whole ground, or a block-based layout of the street network generator
+        this.roadLayout = 'straight';
+        this.streetNetwork = new StreetNetworkGenerator(this);
+
+        // Seed of the current scene; every random draw goes through this.random
+        this.seed = this.createSeed();
+        this.random = this.createRandom(this.seed);
+
+        // Named settings that can be applied with applyPreset()
+        this.presetName = null; // null when the settings do not come from a preset
+        this.presets = {
+            suburb: {
+                label: 'Suburb', count: 10, minHeight: 3, maxHeight: 10,
+                minWidth: 8, maxWidth: 14, minDepth: 8, maxDepth: 14,
+                minRoadSpacing: 40, maxRoadSpacing: 70, treeDensity: 3, footprintMix: 0.1
+            },
+            town: {
+                label: 'Town', count: 15, minHeight: 4, maxHeight: 20,
+                minWidth: 10, maxWidth: 20, minDepth: 10, maxDepth: 20,
+                minRoadSpacing: 30, maxRoadSpacing: 60, treeDensity: 1.75, footprintMix: 0.25
+            },
+            downtown: {
+                label: 'Downtown', count: 20, minHeight: 10, maxHeight: 30,
+                minWidth: 15, maxWidth: 25, minDepth: 15, maxDepth: 25,
+                minRoadSpacing: 30, maxRoadSpacing: 45, treeDensity: 0.5, footprintMix: 0.4
+            }
+        };
+
+        // Presets saved by the user are kept in localStorage under their label and added as 'saved:<label>'
+        this.presetStorageKey = 'ecotwin-generator-presets';
+        this.loadSavedPresets();
+    }
+
+    /**
+     * Pick a fresh seed for a scene that was not given one
+     */
+    createSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Create a seeded random function (mulberry32) returning values in [0, 1) like Math.random
+     * @param {number} seed - Unsigned 32-bit seed
+     * @returns {Function} Random function
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Turn a typed seed into an unsigned 32-bit integer; text seeds are hashed (FNV-1a)
+     * @returns {number|null} Seed, or null for an empty value
+     */
+    normalizeSeed(seed) {
+        if (seed === null || seed === undefined) return null;
+        const text = String(seed).trim();
+        if (text === '') return null;
+        if (/^\d+$/.test(text)) {
+            return Number(text) >>> 0;
+        }
+
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Reseed the random source at the start of a generation run
+     * @param {number|string|null} seed - Seed to use, or null for a fresh one
+     * @returns {number} The seed in use
+     */
+    startRun(seed = null) {
+        const normalized = this.normalizeSeed(seed);
+        this.seed = normalized !== null ? normalized : this.createSeed();
+        this.random = this.createRandom(this.seed);
+        return this.seed;
+    }
+
+    /**
+     * Apply a named preset to the generation settings
+     * @returns {boolean} True if the preset exists
+     */
+    applyPreset(name) {
+        const preset = this.presets[name];
+        if (!preset) return false;
+
+        this.buildingCount = preset.count;
+        this.minHeight = preset.minHeight;
+        this.maxHeight = preset.maxHeight;
+        this.minWidth = preset.minWidth;
+        this.maxWidth = preset.maxWidth;
+        this.minDepth = preset.minDepth;
+        this.maxDepth = preset.maxDepth;
+        this.minRoadSpacing = preset.minRoadSpacing;
+        this.maxRoadSpacing = preset.maxRoadSpacing;
+        this.treeDensity = preset.treeDensity;
+        this.footprintMix = preset.footprintMix;
+        this.presetName = name;
+        return true;
+    }
+
+    /**
+     * Save the current settings as a named preset, replacing a saved preset of the same name
+     * @returns {string} Key of the saved preset
+     * @throws {Error} If the name is empty, belongs to a built-in preset or cannot be stored
+     */
+    savePreset(label) {
+        const name = String(label || '').trim();
+        if (!name) {
+            throw new Error('Enter a name for the preset');
+        }
+        const builtIn = Object.values(this.presets).some(preset => !preset.saved && preset.label.toLowerCase() === name.toLowerCase());
+        if (builtIn) {
+            throw new Error(`"${name}" is the name of a built-in preset`);
+        }
+
+        const key = `saved:${name}`;
+        this.presets[key] = Object.assign({ label: name, saved: true }, this.getSettings());
+        this.storeSavedPresets();
+        this.presetName = key;
+        return key;
+    }
+
+    /**
+     * Delete a preset saved by the user; built-in presets stay
+     * @returns {boolean} True if a saved preset was deleted
+     */
+    deletePreset(name) {
+        if (!this.presets[name] || !this.presets[name].saved) return false;
+
+        delete this.presets[name];
+        this.storeSavedPresets();
+        if (this.presetName === name) {
+            this.presetName = null;
+        }
+        return true;
+    }
+
+    /**
+     * Add the presets saved in localStorage; unreadable or incomplete entries are skipped
+     */
+    loadSavedPresets() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.presetStorageKey)) || {};
+        } catch (error) {
+            console.warn('Could not read saved generator presets:', error);
+        }
+
+        const keys = Object.keys(this.getSettings());
+        Object.keys(saved).forEach(label => {
+            const settings = saved[label];
+            if (!settings || keys.some(key => typeof settings[key] !== 'number' || !isFinite(settings[key]))) return;
+            const preset = { label: label, saved: true };
+            keys.forEach(key => {
+                preset[key] = settings[key];
+            });
+            this.presets[`saved:${label}`] = preset;
+        });
+    }
+
+    /**
+     * Write the presets saved by the user to localStorage
+     * @throws {Error} If the browser does not allow storing them
+     */
+    storeSavedPresets() {
+        const saved = {};
+        Object.values(this.presets).filter(preset => preset.saved).forEach(preset => {
+            const settings = Object.assign({}, preset);
+            delete settings.label;
+            delete settings.saved;
+            saved[preset.label] = settings;
+        });
+
+        try {
+            localStorage.setItem(this.presetStorageKey, JSON.stringify(saved));
+        } catch (error) {
+            throw new Error('Presets cannot be saved in this browser: ' + error.message);
+        }
+    }
+
+    /**
+     * Choose straight roads across the ground or one of the street network layouts
+     * @returns {boolean} True if the layout is known
+     */
+    setRoadLayout(layout) {
+        if (layout !== 'straight' && !this.streetNetwork.layouts.includes(layout)) return false;
+        this.roadLayout = layout;
+        return true;
+    }
+
+    /**
+     * Current generation settings in the same shape as a preset
+     */
+    getSettings() {
+        return {
+            count: this.buildingCount,
+            minHeight: this.minHeight,
+            maxHeight: this.maxHeight,
+            minWidth: this.minWidth,
+            maxWidth: this.maxWidth,
+            minDepth: this.minDepth,
+            maxDepth: this.maxDepth,
+            minRoadSpacing: this.minRoadSpacing,
+            maxRoadSpacing: this.maxRoadSpacing,
+            treeDensity: this.treeDensity,
+            footprintMix: this.footprintMix
+        };
     }
 
     /**
      * Generate random buildings
+     * @param {number|string|null} seed - Seed for the run; the same seed and settings give the same scene
      */
-    generateBuildings(count = null, minHeight = null, maxHeight = null, useLargeArea = false) {
+    generateBuildings(count = null, minHeight = null, maxHeight = null, useLargeArea = false, seed = null) {
         // Use provided parameters or defaults
         const numBuildings = count || this.buildingCount;
         const minH = minHeight || this.minHeight;
         const maxH = maxHeight || this.maxHeight;
+        this.startRun(seed);
 
         // Clear existing buildings, roads, and polygons
         this.clearBuildings();
@@ -51,6 +281,13 @@ class BuildingGenerator {
         // Also clean up any unwanted polygons (water_1 without type) before generating new ones
         this.cleanupUnwantedPolygons();
 
+        if (this.roadLayout !== 'straight') {
+            // Streets, parcels and buildings all come from the street network
+            this.streetNetwork.generate(this.roadLayout, numBuildings, minH, maxH);
+            console.log(`Created ${this.buildings.length} buildings on a ${this.roadLayout} street network (seed ${this.seed})`);
+            return this.buildings;
+        }
+
         // First, generate roads (perpendicular streets in X and Z directions)
         this.generateRoads();
 
@@ -60,17 +297,17 @@ class BuildingGenerator {
         // Create buildings with collision checking
         const roadBoundaries = this.getRoadBoundaries();
         let createdCount = 0;
-        let maxRetries = count * 10; // Maximum retries for collision-free placement
+        let maxRetries = numBuildings * 10; // Maximum retries for collision-free placement
         let retryCount = 0;
         
-        while (createdCount < count && retryCount < maxRetries) {
+        while (createdCount < numBuildings && retryCount < maxRetries) {
             // Generate random building dimensions
-            const buildingWidth = this.minWidth + Math.random() * (this.maxWidth - this.minWidth);
-            const buildingDepth = this.minDepth + Math.random() * (this.maxDepth - this.minDepth);
+            const buildingWidth = this.minWidth + this.random() * (this.maxWidth - this.minWidth);
+            const buildingDepth = this.minDepth + this.random() * (this.maxDepth - this.minDepth);
             
             // Generate random position
-            const x = (Math.random() - 0.5) * (this.groundSize * 0.8);
-            const z = (Math.random() - 0.5) * (this.groundSize * 0.8);
+            const x = (this.random() - 0.5) * (this.groundSize * 0.8);
+            const z = (this.random() - 0.5) * (this.groundSize * 0.8);
             
             // Check if position is valid (not colliding with roads or existing buildings)
             // Handle both cases: building can be a mesh directly or an object with .mesh property
@@ -98,10 +335,7 @@ class BuildingGenerator {
                 if (buildingMesh && this.checkBuildingCollision(buildingMesh, roadBoundaries, this.buildings)) {
                     // Building collides, remove it and try again
                     console.log(`Building at (${x.toFixed(2)}, ${z.toFixed(2)}) collides, removing and retrying...`);
-                    this.scene.removeMesh(buildingMesh);
-                    if (buildingMesh.material) {
-                        buildingMesh.material.dispose();
-                    }
+                    this.disposeBuilding(building, true);
                     retryCount++;
                     continue;
                 }
@@ -114,6 +348,7 @@ class BuildingGenerator {
                     }
                 }
                 
+                this.assignRandomRoof(buildingMesh);
                 this.buildings.push(building);
                 createdCount++;
             } else {
@@ -121,7 +356,7 @@ class BuildingGenerator {
             }
         }
         
-        console.log(`Created ${createdCount} buildings (attempted ${retryCount} times)`);
+        console.log(`Created ${createdCount} buildings (attempted ${retryCount} times, seed ${this.seed})`);
 
         // Generate polygons in empty spaces between roads
         this.generatePolygonsInEmptySpaces();
@@ -142,8 +377,8 @@ class BuildingGenerator {
      */
     generateRoads() {
         // Generate number of roads in each direction (3-5)
-        const numRoadsX = this.minRoadsX + Math.floor(Math.random() * (this.maxRoadsX - this.minRoadsX + 1));
-        const numRoadsZ = this.minRoadsZ + Math.floor(Math.random() * (this.maxRoadsZ - this.minRoadsZ + 1));
+        const numRoadsX = this.minRoadsX + Math.floor(this.random() * (this.maxRoadsX - this.minRoadsX + 1));
+        const numRoadsZ = this.minRoadsZ + Math.floor(this.random() * (this.maxRoadsZ - this.minRoadsZ + 1));
 
         // Calculate road positions
         const roadPositionsX = this.generateRoadPositions(numRoadsX, 'x');
@@ -151,7 +386,7 @@ class BuildingGenerator {
 
         // Create roads in X direction (parallel to X axis)
         roadPositionsX.forEach(zPos => {
-            const roadWidth = this.minRoadWidth + Math.random() * (this.maxRoadWidth - this.minRoadWidth);
+            const roadWidth = this.minRoadWidth + this.random() * (this.maxRoadWidth - this.minRoadWidth);
             const road = this.createRoad('x', zPos, roadWidth);
             if (road) {
                 this.roads.push(road);
@@ -160,7 +395,7 @@ class BuildingGenerator {
 
         // Create roads in Z direction (parallel to Z axis)
         roadPositionsZ.forEach(xPos => {
-            const roadWidth = this.minRoadWidth + Math.random() * (this.maxRoadWidth - this.minRoadWidth);
+            const roadWidth = this.minRoadWidth + this.random() * (this.maxRoadWidth - this.minRoadWidth);
             const road = this.createRoad('z', xPos, roadWidth);
             if (road) {
                 this.roads.push(road);
@@ -181,7 +416,7 @@ class BuildingGenerator {
         // Calculate total spacing needed
         let totalSpacing = 0;
         for (let i = 0; i < count - 1; i++) {
-            totalSpacing += this.minRoadSpacing + Math.random() * (this.maxRoadSpacing - this.minRoadSpacing);
+            totalSpacing += this.minRoadSpacing + this.random() * (this.maxRoadSpacing - this.minRoadSpacing);
         }
         
         // Distribute roads evenly with random spacing
@@ -189,7 +424,7 @@ class BuildingGenerator {
         positions.push(currentPos);
         
         for (let i = 1; i < count; i++) {
-            const spacing = this.minRoadSpacing + Math.random() * (this.maxRoadSpacing - this.minRoadSpacing);
+            const spacing = this.minRoadSpacing + this.random() * (this.maxRoadSpacing - this.minRoadSpacing);
             currentPos += spacing;
             positions.push(currentPos);
         }
@@ -259,12 +494,12 @@ class BuildingGenerator {
         
         while (positions.length < count && attempts < maxAttempts) {
             // Generate random building dimensions first
-            const buildingWidth = this.minWidth + Math.random() * (this.maxWidth - this.minWidth);
-            const buildingDepth = this.minDepth + Math.random() * (this.maxDepth - this.minDepth);
+            const buildingWidth = this.minWidth + this.random() * (this.maxWidth - this.minWidth);
+            const buildingDepth = this.minDepth + this.random() * (this.maxDepth - this.minDepth);
             
             // Generate random position
-            const x = (Math.random() - 0.5) * (this.groundSize * 0.8);
-            const z = (Math.random() - 0.5) * (this.groundSize * 0.8);
+            const x = (this.random() - 0.5) * (this.groundSize * 0.8);
+            const z = (this.random() - 0.5) * (this.groundSize * 0.8);
             
             // Check if position is valid (considering building dimensions and road boundaries)
             if (this.isValidBuildingPosition(x, z, buildingWidth, buildingDepth, roadBoundaries, positions)) {
@@ -358,15 +593,9 @@ class BuildingGenerator {
             return false; // Invalid building, don't consider it as collision
         }
         
-        const dims = building.userData.dimensions;
-        const pos = building.position;
-        const halfWidth = dims.width / 2;
-        const halfDepth = dims.depth / 2;
-        
-        const buildingMinX = pos.x - halfWidth;
-        const buildingMaxX = pos.x + halfWidth;
-        const buildingMinZ = pos.z - halfDepth;
-        const buildingMaxZ = pos.z + halfDepth;
+        const {
+            minX: buildingMinX, maxX: buildingMaxX, minZ: buildingMinZ, maxZ: buildingMaxZ
+        } = this.getFootprintBounds(building);
         
         // Check collision with roads
         for (const boundary of roadBoundaries) {
@@ -390,15 +619,9 @@ class BuildingGenerator {
                 continue; // Skip invalid buildings
             }
             
-            const otherDims = otherMesh.userData.dimensions;
-            const otherPos = otherMesh.position;
-            const otherHalfWidth = otherDims.width / 2;
-            const otherHalfDepth = otherDims.depth / 2;
-            
-            const otherMinX = otherPos.x - otherHalfWidth;
-            const otherMaxX = otherPos.x + otherHalfWidth;
-            const otherMinZ = otherPos.z - otherHalfDepth;
-            const otherMaxZ = otherPos.z + otherHalfDepth;
+            const {
+                minX: otherMinX, maxX: otherMaxX, minZ: otherMinZ, maxZ: otherMaxZ
+            } = this.getFootprintBounds(otherMesh);
             
             // Check if rectangles overlap
             if (!(buildingMaxX < otherMinX || buildingMinX > otherMaxX ||
@@ -410,6 +633,31 @@ class BuildingGenerator {
         return false; // No collision
     }
 
+    /**
+     * Plan bounds of a generated building; template polygons sit at their average point,
+     * not their box centre, so they are measured from their corner points
+     */
+    getFootprintBounds(mesh) {
+        const points = mesh.userData.shapeType === 'polygon' ? mesh.userData.points : null;
+        if (points && points.length > 0) {
+            return {
+                minX: Math.min(...points.map(p => p.x)),
+                maxX: Math.max(...points.map(p => p.x)),
+                minZ: Math.min(...points.map(p => p.z)),
+                maxZ: Math.max(...points.map(p => p.z))
+            };
+        }
+
+        const dims = mesh.userData.dimensions;
+        const pos = mesh.position;
+        return {
+            minX: pos.x - dims.width / 2,
+            maxX: pos.x + dims.width / 2,
+            minZ: pos.z - dims.depth / 2,
+            maxZ: pos.z + dims.depth / 2
+        };
+    }
+
     /**
      * Clear all roads
      */
@@ -453,10 +701,10 @@ class BuildingGenerator {
                 // Check if cell center is in empty space (not on road or building)
                 if (this.isCellEmpty(cellX, cellZ, gridSize, roadBoundaries, buildingBoundaries)) {
                     // Randomly decide to create a polygon (70% chance)
-                    if (Math.random() < 0.7) {
+                    if (this.random() < 0.7) {
                         // Randomly select polygon type (ground, green, or waterway)
                         const types = ['ground', 'green', 'waterway'];
-                        const type = types[Math.floor(Math.random() * types.length)];
+                        const type = types[Math.floor(this.random() * types.length)];
                         
                         // Ensure type is valid before creating polygon
                         if (type && type !== undefined && type !== null) {
@@ -550,6 +798,21 @@ class BuildingGenerator {
             new BABYLON.Vector3(cellX + halfSize, 0, cellZ - halfSize)  // Bottom-right
         ];
         
+        const polygonMesh = this.createPolygonFromPoints(points, type);
+        
+        // Add trees on ground and green polygons (not on waterway)
+        if (polygonMesh && (type === 'ground' || type === 'green') && this.treeManager) {
+            this.addTreesOnPolygon(polygonMesh, halfSize * 2);
+        }
+    }
+
+    /**
+     * Create a flat generated polygon of a type from world points
+     * @returns {BABYLON.Mesh|null} The polygon mesh
+     */
+    createPolygonFromPoints(points, type) {
+        if (!this.uiManager) return null;
+        
         // Create material based on type
         const material = new BABYLON.StandardMaterial(`polygon_${type}_${this.polygons.length}`, this.scene);
         const color = this.uiManager.getColorByType(type);
@@ -560,12 +823,14 @@ class BuildingGenerator {
         material.roughness = 0.8;
         
         // Create userData
+        const xs = points.map(p => p.x);
+        const zs = points.map(p => p.z);
         const userData = {
             type: type,
             shapeType: 'polygon',
             dimensions: {
-                width: halfSize * 2,
-                depth: halfSize * 2,
+                width: Math.max(...xs) - Math.min(...xs),
+                depth: Math.max(...zs) - Math.min(...zs),
                 height: 0.1
             },
             originalHeight: 0.1,
@@ -607,14 +872,11 @@ class BuildingGenerator {
             
             this.polygons.push(polygonMesh);
             console.log(`Created polygon: ${polygonName}, type: ${polygonMesh.userData.type}, color: R=${color.r.toFixed(2)}, G=${color.g.toFixed(2)}, B=${color.b.toFixed(2)}`);
-            
-            // Add trees on ground and green polygons (not on waterway)
-            if ((type === 'ground' || type === 'green') && this.treeManager) {
-                this.addTreesOnPolygon(polygonMesh, halfSize * 2);
-            }
-        } else {
-            console.warn(`Failed to create polygon: ${polygonName}`);
+            return polygonMesh;
         }
+        
+        console.warn(`Failed to create polygon: ${polygonName}`);
+        return null;
     }
     
     /**
@@ -625,12 +887,9 @@ class BuildingGenerator {
     addTreesOnPolygon(polygon, polygonSize) {
         if (!this.treeManager || !polygon) return;
         
-        // Random number of trees: 3 to 6
-        const numTrees = 3 + Math.floor(Math.random() * 4); // 3, 4, 5, or 6
-        
-        // Tree size range: 2.5 to 5
-        const minTreeSize = 2.5;
-        const maxTreeSize = 5;
+        // Tree count follows the density, varied by ±30% per plot
+        const expectedTrees = polygonSize * polygonSize / 100 * this.treeDensity;
+        const numTrees = Math.round(expectedTrees * (0.7 + this.random() * 0.6));
         
         // Get polygon center and bounds
         const polygonCenter = polygon.position.clone();
@@ -640,29 +899,45 @@ class BuildingGenerator {
         for (let i = 0; i < numTrees; i++) {
             // Random position within polygon bounds (with margin to avoid edges)
             const margin = halfSize * 0.2; // 20% margin from edges
-            const randomX = polygonCenter.x + (Math.random() - 0.5) * (polygonSize - margin * 2);
-            const randomZ = polygonCenter.z + (Math.random() - 0.5) * (polygonSize - margin * 2);
+            const randomX = polygonCenter.x + (this.random() - 0.5) * (polygonSize - margin * 2);
+            const randomZ = polygonCenter.z + (this.random() - 0.5) * (polygonSize - margin * 2);
             
             // Tree position (on ground level)
-            const treePosition = new BABYLON.Vector3(randomX, 0, randomZ);
-            
-            // Create tree with random size
-            const treeSize = minTreeSize + Math.random() * (maxTreeSize - minTreeSize);
-            
-            // Use placeTreeAtPosition which uses models from assets and selects random type
-            const treeData = this.treeManager.placeTreeAtPosition(treePosition, treeSize);
-            
-            // Override scaling if tree was created (to ensure exact size)
-            if (treeData && treeData.parent) {
-                // Scale tree to desired size (treeSize / 3 because placeTree uses /3 scaling)
-                const scaleFactor = treeSize / 3;
-                treeData.parent.scaling = new BABYLON.Vector3(scaleFactor, scaleFactor, scaleFactor);
-            }
+            this.placeTree(new BABYLON.Vector3(randomX, 0, randomZ));
         }
         
         console.log(`Added ${numTrees} trees on polygon ${polygon.name}`);
     }
 
+    /**
+     * Place one tree of random size at a ground position
+     */
+    placeTree(treePosition) {
+        // Tree size range: 2.5 to 5
+        const minTreeSize = 2.5;
+        const maxTreeSize = 5;
+        const treeSize = minTreeSize + this.random() * (maxTreeSize - minTreeSize);
+        
+        // Tree type, rotation and scale follow the seed as well
+        const treeRandom = this.treeManager.random;
+        this.treeManager.random = this.random;
+        let treeData;
+        try {
+            // Use placeTreeAtPosition which uses models from assets and selects random type
+            treeData = this.treeManager.placeTreeAtPosition(treePosition, treeSize);
+        } finally {
+            this.treeManager.random = treeRandom;
+        }
+        
+        // Override scaling if tree was created (to ensure exact size)
+        if (treeData && treeData.parent) {
+            // Scale tree to desired size (treeSize / 3 because placeTree uses /3 scaling)
+            const scaleFactor = treeSize / 3;
+            treeData.parent.scaling = new BABYLON.Vector3(scaleFactor, scaleFactor, scaleFactor);
+        }
+        return treeData;
+    }
+
     /**
      * Clear all polygons
      */
@@ -755,8 +1030,8 @@ class BuildingGenerator {
     /**
      * Generate buildings on the large invisible area
      */
-    generateBuildingsOnLargeArea(count = null, minHeight = null, maxHeight = null) {
-        return this.generateBuildings(count, minHeight, maxHeight, true);
+    generateBuildingsOnLargeArea(count = null, minHeight = null, maxHeight = null, seed = null) {
+        return this.generateBuildings(count, minHeight, maxHeight, true, seed);
     }
 
     /**
@@ -780,8 +1055,8 @@ class BuildingGenerator {
         });
 
         while (positions.length < count && attempts < maxAttempts) {
-            const x = (Math.random() - 0.5) * (areaSize - 10);
-            const z = (Math.random() - 0.5) * (areaSize - 10);
+            const x = (this.random() - 0.5) * (areaSize - 10);
+            const z = (this.random() - 0.5) * (areaSize - 10);
             
             // Check if position is valid (not too close to other buildings)
             if (this.isValidPosition(x, z, positions)) {
@@ -792,8 +1067,8 @@ class BuildingGenerator {
 
         // If we couldn't place all buildings, place them anyway
         while (positions.length < count) {
-            const x = (Math.random() - 0.5) * (areaSize - 10);
-            const z = (Math.random() - 0.5) * (areaSize - 10);
+            const x = (this.random() - 0.5) * (areaSize - 10);
+            const z = (this.random() - 0.5) * (areaSize - 10);
             positions.push({ x, z });
         }
 
@@ -842,12 +1117,12 @@ class BuildingGenerator {
      */
     createBuilding(position, minHeight, maxHeight, width = null, depth = null) {
         // Use provided dimensions or generate random ones, rounded to 2 decimal places
-        const buildingWidth = width || Math.round((this.minWidth + Math.random() * (this.maxWidth - this.minWidth)) * 100) / 100; // 10-20 meters
-        const buildingDepth = depth || Math.round((this.minDepth + Math.random() * (this.maxDepth - this.minDepth)) * 100) / 100; // 10-20 meters
-        const height = Math.round((minHeight + Math.random() * (maxHeight - minHeight)) * 100) / 100; // 5-35 meters
+        const buildingWidth = width || Math.round((this.minWidth + this.random() * (this.maxWidth - this.minWidth)) * 100) / 100; // 10-20 meters
+        const buildingDepth = depth || Math.round((this.minDepth + this.random() * (this.maxDepth - this.minDepth)) * 100) / 100; // 10-20 meters
+        const height = Math.round((minHeight + this.random() * (maxHeight - minHeight)) * 100) / 100; // 5-35 meters
 
         // Randomly decide between rectangle and circle (30% chance for circle)
-        const useCircle = Math.random() < 0.3; // 30% chance for circle buildings
+        const useCircle = this.random() < 0.3; // 30% chance for circle buildings
 
         let building;
         let radius = null;
@@ -857,12 +1132,24 @@ class BuildingGenerator {
             radius = Math.round((Math.min(buildingWidth, buildingDepth) / 2) * 100) / 100; // Use smaller dimension as diameter, so radius is half
             building = this.createBuildingCircle(radius, position, height);
         } else {
+            const template = this.pickFootprintTemplate(buildingWidth, buildingDepth, height);
+            const templateMesh = template ? this.createTemplateBuilding(template, buildingWidth, buildingDepth, position, 0, height) : null;
+            if (templateMesh) {
+                return {
+                    mesh: templateMesh,
+                    width: buildingWidth,
+                    depth: buildingDepth,
+                    height: height,
+                    position: position
+                };
+            }
+
             // Create building using rectangle method (same structure as RectangleManager)
             building = this.createBuildingRectangle(buildingWidth, buildingDepth, position, height);
 
             // Add rotation in 90-degree increments for regular patterns (0, 90, 180, 270 degrees)
             const rotationOptions = [0, Math.PI / 2, Math.PI, Math.PI * 3 / 2]; // 0, 90, 180, 270 degrees
-            const randomIndex = Math.floor(Math.random() * rotationOptions.length);
+            const randomIndex = Math.floor(this.random() * rotationOptions.length);
             building.rotation.y = rotationOptions[randomIndex];
         }
 
@@ -875,6 +1162,205 @@ class BuildingGenerator {
         };
     }
 
+    /**
+     * Create a building on a width × depth plot whose width runs along a plan angle:
+     * a footprint template with probability footprintMix, otherwise a box with a random roof
+     * @returns {BABYLON.Mesh} The building mesh
+     */
+    createPlotBuilding(width, depth, position, angle, height) {
+        const template = this.pickFootprintTemplate(width, depth, height);
+        const templateMesh = template ? this.createTemplateBuilding(template, width, depth, position, angle, height) : null;
+        if (templateMesh) return templateMesh;
+
+        const mesh = this.createBuildingRectangle(width, depth, position, height);
+        // Turn the box's local X axis onto the plan angle
+        mesh.rotation.y = -angle;
+        this.assignRandomRoof(mesh);
+        return mesh;
+    }
+
+    /**
+     * Decide whether the next building uses a footprint template, and which one fits its plot
+     * @returns {string|null} Template name, or null for a plain box
+     */
+    pickFootprintTemplate(width, depth, height) {
+        if (!this.uiManager || this.footprintMix <= 0 || this.random() >= this.footprintMix) return null;
+
+        const fitting = this.footprintTemplates.filter(template => {
+            if (template === 'podium') return height >= this.minPodiumHeight * 2.5;
+            if (template === 'courtyard') return Math.min(width, depth) >= this.minCourtyardSize;
+            return Math.min(width, depth) >= this.minTemplateSize;
+        });
+        return fitting.length > 0 ? fitting[Math.floor(this.random() * fitting.length)] : null;
+    }
+
+    /**
+     * Plan outline of a footprint template filling a width × depth box centred on the origin,
+     * with random wing proportions and a random mirror
+     * @returns {{outline: Array, holes: Array}} Counter-clockwise {x, z} points
+     */
+    getTemplateOutline(template, width, depth) {
+        const W = width / 2;
+        const D = depth / 2;
+        const between = (min, max) => min + this.random() * (max - min);
+        let outline;
+        let holes = [];
+
+        switch (template) {
+            case 'L': {
+                const wing = width * between(0.35, 0.55);
+                const band = depth * between(0.35, 0.55);
+                outline = [[-W, -D], [W, -D], [W, -D + band], [-W + wing, -D + band], [-W + wing, D], [-W, D]];
+                break;
+            }
+            case 'U': {
+                const wing = width * between(0.25, 0.35);
+                const band = depth * between(0.3, 0.5);
+                outline = [[-W, -D], [W, -D], [W, D], [W - wing, D], [W - wing, -D + band],
+                    [-W + wing, -D + band], [-W + wing, D], [-W, D]];
+                break;
+            }
+            case 'T': {
+                const stem = width * between(0.3, 0.5) / 2;
+                const bar = depth * between(0.3, 0.45);
+                outline = [[-stem, -D], [stem, -D], [stem, D - bar], [W, D - bar], [W, D],
+                    [-W, D], [-W, D - bar], [-stem, D - bar]];
+                break;
+            }
+            case 'H': {
+                const wing = width * between(0.25, 0.35);
+                const bar = depth * between(0.25, 0.4) / 2;
+                outline = [[-W, -D], [-W + wing, -D], [-W + wing, -bar], [W - wing, -bar], [W - wing, -D], [W, -D],
+                    [W, D], [W - wing, D], [W - wing, bar], [-W + wing, bar], [-W + wing, D], [-W, D]];
+                break;
+            }
+            case 'courtyard': {
+                const ring = Math.min(width, depth) * between(0.22, 0.32);
+                outline = [[-W, -D], [W, -D], [W, D], [-W, D]];
+                holes = [[[-W + ring, -D + ring], [-W + ring, D - ring], [W - ring, D - ring], [W - ring, -D + ring]]];
+                break;
+            }
+            default:
+                outline = [[-W, -D], [W, -D], [W, D], [-W, D]];
+        }
+
+        // Mirroring keeps the shape inside its box; a single flip reverses the winding
+        const mirrorX = this.random() < 0.5 ? -1 : 1;
+        const mirrorZ = this.random() < 0.5 ? -1 : 1;
+        const place = ring => {
+            const points = ring.map(([x, z]) => ({ x: x * mirrorX, z: z * mirrorZ }));
+            return mirrorX * mirrorZ < 0 ? points.reverse() : points;
+        };
+        return { outline: place(outline), holes: holes.map(place) };
+    }
+
+    /**
+     * Create a template building as a polygon extrusion, editable like drawn polygons
+     * @param {number} angle - Plan angle the template's width runs along
+     * @returns {BABYLON.Mesh|null} Base polygon of the building, or null if it cannot be created
+     */
+    createTemplateBuilding(template, width, depth, position, angle, height) {
+        const toWorld = p => new BABYLON.Vector3(
+            position.x + p.x * Math.cos(angle) - p.z * Math.sin(angle),
+            0,
+            position.z + p.x * Math.sin(angle) + p.z * Math.cos(angle)
+        );
+
+        if (template !== 'podium') {
+            const shape = this.getTemplateOutline(template, width, depth);
+            return this.createPolygonBuilding(shape.outline.map(p => toWorld(p)), shape.holes.map(hole => hole.map(p => toWorld(p))), height, template);
+        }
+
+        // Tower on podium: a low base over the whole plot, with the tower as a stacked volume set back on it
+        const round = value => Math.round(value * 100) / 100;
+        const podiumHeight = round(Math.max(this.minPodiumHeight, height * (0.2 + this.random() * 0.15)));
+        const setback = Math.min(width, depth) * (0.15 + this.random() * 0.12);
+        const shiftX = (this.random() - 0.5) * setback;
+        const shiftZ = (this.random() - 0.5) * setback;
+        const outline = [{ x: -width / 2, z: -depth / 2 }, { x: width / 2, z: -depth / 2 }, { x: width / 2, z: depth / 2 }, { x: -width / 2, z: depth / 2 }];
+
+        const podium = this.createPolygonBuilding(outline.map(p => toWorld(p)), [], podiumHeight, template);
+        if (!podium) return null;
+        const volumeManager = this.uiManager.volumeManager;
+        if (volumeManager) {
+            // Volume offsets run along the polygon's own axes, which are the world axes
+            podium.userData.volumes = [{
+                setback: round(setback),
+                offsetX: round(shiftX * Math.cos(angle) - shiftZ * Math.sin(angle)),
+                offsetZ: round(shiftX * Math.sin(angle) + shiftZ * Math.cos(angle)),
+                height: round(height - podiumHeight)
+            }];
+            volumeManager.applyVolumes(podium);
+        }
+        return podium;
+    }
+
+    /**
+     * Create one generated polygon building (base polygon with its extrusion) on the ground
+     * @returns {BABYLON.Mesh|null} The base polygon
+     */
+    createPolygonBuilding(points, holes, height, template) {
+        if (!this.uiManager) return null;
+
+        const buildingName = this.generateUniqueBuildingName();
+        const material = new BABYLON.StandardMaterial(`${buildingName}Material`, this.scene);
+        material.diffuseColor = new BABYLON.Color3(1, 1, 1); // Pure white like the generated boxes
+        material.backFaceCulling = false;
+        material.twoSidedLighting = true;
+        material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+        material.roughness = 0.7;
+
+        const xs = points.map(p => p.x);
+        const zs = points.map(p => p.z);
+        const userData = {
+            type: 'building',
+            shapeType: 'polygon',
+            template: template,
+            dimensions: {
+                width: Math.max(...xs) - Math.min(...xs),
+                depth: Math.max(...zs) - Math.min(...zs),
+                height: height
+            },
+            originalHeight: height,
+            currentHeight: height,
+            baseY: 0,
+            points: points.map(p => new BABYLON.Vector3(p.x, 0, p.z))
+        };
+        if (holes.length > 0) {
+            // Holes are kept relative to the outline's average point, which becomes the mesh origin
+            const centerX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+            const centerZ = points.reduce((sum, p) => sum + p.z, 0) / points.length;
+            userData.holes = holes.map(ring => ring.map(p => [p.x - centerX, p.z - centerZ]));
+        }
+
+        const mesh = this.uiManager.createPolygonExtrusion(buildingName, points, height, BABYLON.Vector3.Zero(), material, userData);
+        if (!mesh) return null;
+
+        const lightingManager = this.uiManager.lightingManager;
+        if (lightingManager) {
+            lightingManager.updateShadowsForNewObject(mesh);
+            if (mesh.extrusion) {
+                lightingManager.updateShadowsForNewObject(mesh.extrusion);
+            }
+        }
+        console.log(`Building (${template}) created: ${buildingName} with ${points.length} corners and height ${height.toFixed(2)}`);
+        return mesh;
+    }
+
+    /**
+     * Give a generated building a random roof: about half stay flat and round ones only get pyramids
+     * Template footprints keep flat roofs
+     */
+    assignRandomRoof(mesh) {
+        const roofManager = this.uiManager ? this.uiManager.roofManager : null;
+        if (!roofManager || !mesh || !mesh.userData || mesh.userData.template || this.random() < 0.5) return;
+
+        const types = mesh.userData.shapeType === 'circle' ? ['pyramid'] : ['gable', 'hip', 'shed', 'pyramid'];
+        const type = types[Math.floor(this.random() * types.length)];
+        const pitch = 20 + this.random() * 20; // 20-40 degrees
+        roofManager.setRoof(mesh, type, roofManager.getHeightForPitch(mesh, type, pitch));
+    }
+
     /**
      * Create building rectangle using same method as RectangleManager
      * This ensures consistent structure with drawing tools
@@ -1040,18 +1526,25 @@ class BuildingGenerator {
      * Clear all buildings
      */
     clearBuildings() {
-        this.buildings.forEach(building => {
-            if (building.mesh) {
-                this.scene.removeMesh(building.mesh);
-                building.mesh.dispose();
-            }
-        });
+        this.buildings.forEach(building => this.disposeBuilding(building));
         this.buildings = [];
         // Also clear roads and polygons when clearing buildings
         this.clearRoads();
         this.clearPolygons();
     }
 
+    /**
+     * Remove a generated building; its extrusion, stacked volumes and roof are children and go with it
+     * @param {boolean} disposeMaterials - Also dispose the building's materials
+     */
+    disposeBuilding(building, disposeMaterials = false) {
+        const mesh = building.mesh;
+        if (mesh && !mesh.isDisposed()) {
+            this.scene.removeMesh(mesh);
+            mesh.dispose(false, disposeMaterials);
+        }
+    }
+
     /**
      * Set building parameters
      */
@@ -1066,7 +1559,11 @@ class BuildingGenerator {
      */
     getStats() {
         return {
+            seed: this.seed,
+            preset: this.presetName,
+            roadLayout: this.roadLayout,
             count: this.buildings.length,
+            shapedCount: this.buildings.filter(b => b.mesh && b.mesh.userData && b.mesh.userData.template).length,
             totalHeight: this.buildings.reduce((sum, b) => sum + b.height, 0),
             averageHeight: this.buildings.length > 0 ? 
                 this.buildings.reduce((sum, b) => sum + b.height, 0) / this.buildings.length : 0
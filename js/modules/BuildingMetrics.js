@@ -0,0 +1,143 @@
+/**
+ * BuildingMetrics - Footprint area, volume, floor count and gross floor area of buildings
+ * Measured from the current world footprint and bounds, so gizmo scaling is included;
+ * stacked volumes count with their own footprints and storeys, and a pitched roof adds to the height
+ */
+class BuildingMetrics {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.sceneManager = uiManager.sceneManager;
+        this.selectionManager = uiManager.selectionManager;
+        this.geoJSONManager = uiManager.geoJSONManager;
+
+        this.floorHeight = 3.0; // Floor-to-floor height in metres
+        this.minFloorHeight = 2.0;
+        this.maxFloorHeight = 10.0;
+    }
+
+    /**
+     * Set the floor-to-floor height used to count floors
+     */
+    setFloorHeight(height) {
+        const value = parseFloat(height);
+        if (isNaN(value)) return false;
+        this.floorHeight = Math.max(this.minFloorHeight, Math.min(this.maxFloorHeight, value));
+        return true;
+    }
+
+    /**
+     * Check whether a mesh is a building (the base shape, not its extrusion)
+     */
+    isBuilding(mesh) {
+        return !!(mesh && !mesh.isDisposed() && mesh.isEnabled() &&
+            mesh.userData && mesh.userData.type === 'building' &&
+            !(mesh.name && mesh.name.includes('_extrusion')) && !this.uiManager.isTree(mesh));
+    }
+
+    /**
+     * Get metrics of one building, or null if the mesh is not a building
+     */
+    getMetrics(mesh) {
+        const building = mesh && mesh.basePolygon ? mesh.basePolygon : mesh;
+        if (!this.isBuilding(building)) return null;
+
+        const footprint = this.geoJSONManager.getFootprint(building);
+        if (!footprint || footprint.length < 3) return null;
+
+        const bounds = this.geoJSONManager.getWorldBounds(building);
+        const height = Math.max(bounds.max.y - bounds.min.y, 0);
+        let footprintArea = PlanGeometry.getPlanArea(footprint);
+        if (this.uiManager.sceneSerializer.getGeometryKind(building) === 'cylinder') {
+            // The footprint of a cylinder is a regular polygon; scale it up to the true circle
+            const segments = footprint.length;
+            footprintArea *= Math.PI / (segments / 2 * Math.sin(2 * Math.PI / segments));
+        }
+        // Courtyards and other holes are not built on
+        this.geoJSONManager.getHoles(building).forEach(hole => {
+            footprintArea -= PlanGeometry.getPlanArea(hole);
+        });
+        const floors = this.countFloors(height);
+        const metrics = {
+            footprintArea: footprintArea,
+            height: height,
+            volume: footprintArea * height,
+            floors: floors,
+            grossFloorArea: footprintArea * floors
+        };
+
+        // Stacked volumes add their own storeys on top; their outlines are in building-local units
+        const stack = this.uiManager.volumeManager ? this.uiManager.volumeManager.getBuiltStack(building) : [];
+        const planScale = Math.abs(building.scaling.x * building.scaling.z);
+        stack.forEach(level => {
+            const area = level.area * planScale;
+            const levelFloors = this.countFloors(level.height);
+            metrics.height = Math.max(metrics.height, height + level.elevation + level.height);
+            metrics.volume += area * level.height;
+            metrics.floors += levelFloors;
+            metrics.grossFloorArea += area * levelFloors;
+        });
+
+        // A pitched roof rises above the top of the building or of its top volume
+        const roofManager = this.uiManager.roofManager;
+        if (roofManager && roofManager.wantsRoof(building)) {
+            metrics.height += roofManager.getRoof(building).height;
+        }
+        return metrics;
+    }
+
+    /**
+     * Number of storeys in a height; a building lower than one storey (a flat footprint) has none
+     */
+    countFloors(height) {
+        // Only storeys that fit entirely count; the small tolerance absorbs rounding of typed heights
+        return Math.max(0, Math.floor(height / this.floorHeight + 1e-6));
+    }
+
+    /**
+     * Sum the metrics of a list of meshes; extrusions and their bases count once
+     */
+    getTotals(meshes) {
+        const buildings = new Set();
+        meshes.forEach(mesh => {
+            const building = mesh && mesh.basePolygon ? mesh.basePolygon : mesh;
+            if (this.isBuilding(building)) buildings.add(building);
+        });
+
+        const totals = { count: 0, footprintArea: 0, volume: 0, floors: 0, grossFloorArea: 0 };
+        buildings.forEach(building => {
+            const metrics = this.getMetrics(building);
+            if (!metrics) return;
+            totals.count++;
+            totals.footprintArea += metrics.footprintArea;
+            totals.volume += metrics.volume;
+            totals.floors += metrics.floors;
+            totals.grossFloorArea += metrics.grossFloorArea;
+        });
+        return totals;
+    }
+
+    /**
+     * Totals over every building in the scene
+     */
+    getSceneTotals() {
+        return this.getTotals(this.sceneManager.getScene().meshes);
+    }
+
+    /**
+     * Totals over the selected buildings
+     */
+    getSelectionTotals() {
+        return this.getTotals(this.selectionManager ? this.selectionManager.selectedObjects : []);
+    }
+
+    /**
+     * Scene and selection totals together with the floor height they were computed with
+     */
+    getStats() {
+        return {
+            floorHeight: this.floorHeight,
+            scene: this.getSceneTotals(),
+            selection: this.getSelectionTotals()
+        };
+    }
+}
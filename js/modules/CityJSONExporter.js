@@ -0,0 +1,217 @@
+/**
+ * CityJSONExporter - Writes the scene as CityJSON 1.1 with LoD1 buildings,
+ * roads, water bodies, plant cover and solitary trees
+ */
+class CityJSONExporter {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.sceneManager = uiManager.sceneManager;
+        this.sceneSerializer = uiManager.sceneSerializer;
+        this.geoJSONManager = uiManager.geoJSONManager;
+        this.treeManager = uiManager.treeManager;
+
+        this.version = '1.1';
+        this.scale = 0.001; // Vertices are stored as integer millimetres
+        this.cityObjectTypes = {
+            building: 'Building',
+            highway: 'Road',
+            waterway: 'WaterBody',
+            green: 'PlantCover',
+            ground: 'LandUse'
+        };
+    }
+
+    /**
+     * Build a CityJSON object for every typed object and tree in the scene
+     */
+    export() {
+        const scene = this.sceneManager.getScene();
+        const state = { cityObjects: {}, vertices: [], vertexIndex: new Map() };
+
+        scene.meshes.forEach(mesh => {
+            if (!this.sceneSerializer.isSerializableMesh(mesh)) return;
+            try {
+                this.addMeshObject(state, mesh);
+            } catch (error) {
+                console.error(`Error exporting ${mesh.name} to CityJSON:`, error);
+            }
+        });
+
+        if (this.treeManager && this.treeManager.trees) {
+            this.treeManager.trees.forEach(tree => {
+                if (!tree.parent || tree.parent.isDisposed()) return;
+                this.addTreeObject(state, tree);
+            });
+        }
+
+        return this.buildDocument(state);
+    }
+
+    /**
+     * Add a typed mesh: buildings as LoD1 solids, other types as a top surface
+     */
+    addMeshObject(state, mesh) {
+        const footprint = this.geoJSONManager.getFootprint(mesh);
+        if (!footprint || footprint.length < 3) {
+            console.warn(`Skipping ${mesh.name}: footprint could not be recovered`);
+            return;
+        }
+
+        // Counter-clockwise seen from above so every surface ends up facing outwards
+        if (PlanGeometry.getSignedArea(footprint) < 0) {
+            footprint.reverse();
+        }
+        // Courtyards run clockwise, so their inner walls face into the courtyard
+        const holes = this.geoJSONManager.getHoles(mesh).map(hole => PlanGeometry.getSignedArea(hole) > 0 ? hole.reverse() : hole);
+
+        const type = mesh.userData.type;
+        const bounds = this.geoJSONManager.getWorldBounds(mesh);
+        const height = Math.max(bounds.max.y - bounds.min.y, 0);
+
+        if (type === 'building') {
+            const attributes = {
+                measuredHeight: this.round(height),
+                baseElevation: this.round(bounds.min.y)
+            };
+            // The LoD1 block stops at the eaves; the full height (stacked volumes and pitched roof) is the metrics one
+            const metrics = this.uiManager.buildingMetrics ? this.uiManager.buildingMetrics.getMetrics(mesh) : null;
+            if (metrics) {
+                attributes.measuredHeight = this.round(metrics.height);
+            }
+            const roofManager = this.uiManager.roofManager;
+            if (roofManager && roofManager.wantsRoof(mesh)) {
+                attributes.roofType = roofManager.getRoof(mesh).type;
+            }
+            state.cityObjects[mesh.name] = {
+                type: 'Building',
+                attributes: attributes,
+                geometry: [this.createSolid(state, footprint, bounds.min.y, bounds.max.y, holes)]
+            };
+            return;
+        }
+
+        const rings = [footprint].concat(holes).map(points => points.map(p => this.addVertex(state, p.x, p.z, bounds.max.y)));
+        state.cityObjects[mesh.name] = {
+            type: this.cityObjectTypes[type] || 'GenericCityObject',
+            attributes: {
+                height: this.round(height),
+                baseElevation: this.round(bounds.min.y)
+            },
+            geometry: [{ type: 'MultiSurface', lod: '1', boundaries: [rings] }]
+        };
+    }
+
+    /**
+     * Create an LoD1 solid from a footprint with ground, roof and wall semantics
+     * Clockwise holes become inner rings of the ground and roof, with walls around each courtyard
+     */
+    createSolid(state, footprint, baseY, topY, holes = []) {
+        const rings = [footprint].concat(holes).map(points => ({
+            bottom: points.map(p => this.addVertex(state, p.x, p.z, baseY)),
+            top: points.map(p => this.addVertex(state, p.x, p.z, topY))
+        }));
+
+        const surfaces = [
+            rings.map(ring => ring.bottom.slice().reverse()),
+            rings.map(ring => ring.top.slice())
+        ];
+        const values = [0, 1];
+        rings.forEach(({ bottom, top }) => {
+            for (let i = 0; i < bottom.length; i++) {
+                const next = (i + 1) % bottom.length;
+                surfaces.push([[bottom[i], bottom[next], top[next], top[i]]]);
+                values.push(2);
+            }
+        });
+
+        return {
+            type: 'Solid',
+            lod: '1',
+            boundaries: [surfaces],
+            semantics: {
+                surfaces: [{ type: 'GroundSurface' }, { type: 'RoofSurface' }, { type: 'WallSurface' }],
+                values: [values]
+            }
+        };
+    }
+
+    /**
+     * Add a tree as a SolitaryVegetationObject located at its trunk base
+     */
+    addTreeObject(state, tree) {
+        const node = tree.parent;
+        const bounds = node.getHierarchyBoundingVectors(true);
+        const base = node.getAbsolutePosition();
+        const crownDiameter = Math.max(bounds.max.x - bounds.min.x, bounds.max.z - bounds.min.z);
+
+        state.cityObjects[node.name] = {
+            type: 'SolitaryVegetationObject',
+            attributes: {
+                species: tree.type || 'simple',
+                height: this.round(Math.max(bounds.max.y - bounds.min.y, 0)),
+                crownDiameter: this.round(crownDiameter)
+            },
+            geometry: [{ type: 'MultiPoint', lod: '1', boundaries: [this.addVertex(state, base.x, base.z, bounds.min.y)] }]
+        };
+    }
+
+    /**
+     * Add a vertex in CityJSON axes (X east, Y north, Z up), reusing duplicates
+     */
+    addVertex(state, east, north, up) {
+        const vertex = [Math.round(east / this.scale), Math.round(north / this.scale), Math.round(up / this.scale)];
+        const key = vertex.join(',');
+        if (state.vertexIndex.has(key)) {
+            return state.vertexIndex.get(key);
+        }
+
+        state.vertices.push(vertex);
+        state.vertexIndex.set(key, state.vertices.length - 1);
+        return state.vertices.length - 1;
+    }
+
+    /**
+     * Assemble the document, moving vertices next to the origin of the transform
+     */
+    buildDocument(state) {
+        const min = state.vertices.length > 0 ? state.vertices[0].slice() : [0, 0, 0];
+        const max = min.slice();
+        state.vertices.forEach(v => {
+            for (let axis = 0; axis < 3; axis++) {
+                min[axis] = Math.min(min[axis], v[axis]);
+                max[axis] = Math.max(max[axis], v[axis]);
+            }
+        });
+
+        const vertices = state.vertices.map(v => [v[0] - min[0], v[1] - min[1], v[2] - min[2]]);
+        const metadata = {
+            title: 'EcoTwin AI scene export',
+            geographicalExtent: [...min, ...max].map(value => this.round(value * this.scale))
+        };
+
+        // Local metres only; the geographic origin lets GIS tools place the model
+        const origin = this.uiManager.geoReference ? this.uiManager.geoReference.getOrigin() : null;
+        if (origin) {
+            metadata['+geographicOrigin'] = { latitude: origin.latitude, longitude: origin.longitude };
+        }
+
+        return {
+            type: 'CityJSON',
+            version: this.version,
+            transform: {
+                scale: [this.scale, this.scale, this.scale],
+                translate: min.map(value => this.round(value * this.scale))
+            },
+            metadata: metadata,
+            CityObjects: state.cityObjects,
+            vertices: vertices
+        };
+    }
+
+    /**
+     * Round to millimetres
+     */
+    round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
@@ -9,6 +9,8 @@ class FPSMonitor {
         this.maxHistoryLength = 60; // Keep 60 frames of history
         this.updateInterval = null;
         this.isVisible = false;
+        this.buildingStatsEvery = 10; // Building totals walk every mesh, so refresh them once a second
+        this.buildingStatsTick = 0;
         
         // Auto-optimization settings
         this.autoOptimizationEnabled = true;
@@ -88,6 +90,15 @@ class FPSMonitor {
                 <div style="font-size: 10px; color: #888; margin-bottom: 1px;">Faces</div>
                 <div id="face-count" style="font-size: 11px; color: #00ff88;">--</div>
             </div>
+            <div style="border-top: 1px solid #333; margin: 4px 0; padding-top: 4px;">
+                <div style="font-size: 10px; color: #888; margin-bottom: 1px;">Buildings · GFA</div>
+                <div id="building-totals" style="font-size: 11px; color: #00ff88;">--</div>
+                <div id="building-volume" style="font-size: 10px; color: #666;">--</div>
+            </div>
+            <div id="selection-totals-group" style="display: none; margin-bottom: 2px;">
+                <div style="font-size: 10px; color: #888; margin-bottom: 1px;">Selection · GFA</div>
+                <div id="selection-totals" style="font-size: 11px; color: #00ff88;">--</div>
+            </div>
             <div style="border-top: 1px solid #333; margin: 4px 0; padding-top: 4px;">
                 <div style="font-size: 9px; color: #888; margin-bottom: 1px;">Auto-Opt</div>
                 <div id="optimization-status" style="font-size: 10px; color: #00ff88;">ON</div>
@@ -174,6 +185,10 @@ class FPSMonitor {
                 faceCountElement.textContent = sceneStats.faces.toLocaleString();
             }
 
+            if (this.buildingStatsTick++ % this.buildingStatsEvery === 0) {
+                this.updateBuildingTotals();
+            }
+
             // Update optimization status
             const optimizationStatusElement = document.getElementById('optimization-status');
             if (optimizationStatusElement) {
@@ -188,6 +203,31 @@ class FPSMonitor {
         }
     }
 
+    /**
+     * Update scene and selection building totals (floor area, volume)
+     */
+    updateBuildingTotals() {
+        const uiManager = window.digitalTwinApp && window.digitalTwinApp.uiManager;
+        if (!uiManager || !uiManager.buildingMetrics) return;
+
+        const stats = uiManager.buildingMetrics.getStats();
+        const totalsElement = document.getElementById('building-totals');
+        const volumeElement = document.getElementById('building-volume');
+        const selectionGroup = document.getElementById('selection-totals-group');
+        const selectionElement = document.getElementById('selection-totals');
+
+        if (totalsElement) {
+            totalsElement.textContent = `${stats.scene.count} · ${Math.round(stats.scene.grossFloorArea).toLocaleString()} m²`;
+        }
+        if (volumeElement) {
+            volumeElement.textContent = `${Math.round(stats.scene.volume).toLocaleString()} m³`;
+        }
+        if (selectionGroup && selectionElement) {
+            selectionGroup.style.display = stats.selection.count > 0 ? 'block' : 'none';
+            selectionElement.textContent = `${stats.selection.count} · ${Math.round(stats.selection.grossFloorArea).toLocaleString()} m²`;
+        }
+    }
+
     /**
      * Toggle FPS monitor visibility
      */
@@ -0,0 +1,392 @@
+/**
+ * GLBManager - Exports the scene as a binary glTF (GLB) file with per-object metadata
+ * and reloads such files with their object categories intact
+ */
+class GLBManager {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.sceneManager = uiManager.sceneManager;
+        this.sceneSerializer = uiManager.sceneSerializer;
+
+        this.generator = 'EcoTwin AI';
+        this.extrasKey = 'ecotwin';
+    }
+
+    /**
+     * Build a GLB file from export objects ({mesh, childMeshes?, name, type})
+     */
+    exportObjects(objects) {
+        const gltf = {
+            asset: { version: '2.0', generator: this.generator },
+            scene: 0,
+            scenes: [{ name: 'Scene', nodes: [] }],
+            nodes: [],
+            meshes: [],
+            materials: [],
+            accessors: [],
+            bufferViews: [],
+            buffers: []
+        };
+        const chunks = [];
+        const state = { gltf: gltf, chunks: chunks, byteLength: 0, materialIndex: new Map() };
+
+        objects.forEach(obj => {
+            try {
+                const nodeIndex = this.addObjectNode(state, obj);
+                if (nodeIndex !== null) {
+                    gltf.scenes[0].nodes.push(nodeIndex);
+                }
+            } catch (error) {
+                console.error(`Error exporting ${obj.name} to GLB:`, error);
+            }
+        });
+
+        gltf.buffers.push({ byteLength: state.byteLength });
+        return this.packGLB(gltf, chunks, state.byteLength);
+    }
+
+    /**
+     * Add one scene object as a named glTF node with its own mesh
+     */
+    addObjectNode(state, obj) {
+        // Trees keep their scene name rather than the numbered STL export name
+        const name = obj.type === 'tree' && obj.mesh.name ? obj.mesh.name : obj.name;
+        const sourceMeshes = obj.childMeshes && obj.childMeshes.length > 0 ? [...obj.childMeshes] : [obj.mesh];
+        if (obj.mesh.volumesMesh && !obj.mesh.volumesMesh.isDisposed()) {
+            sourceMeshes.push(obj.mesh.volumesMesh);
+        }
+        if (obj.mesh.roof && !obj.mesh.roof.isDisposed()) {
+            sourceMeshes.push(obj.mesh.roof);
+        }
+
+        // Vertices are stored relative to the object origin so the node keeps its placement
+        obj.mesh.computeWorldMatrix(true);
+        const origin = obj.mesh.getAbsolutePosition().clone();
+
+        const primitives = [];
+        sourceMeshes.forEach(mesh => {
+            const primitive = this.addPrimitive(state, mesh, origin, obj.type);
+            if (primitive) {
+                primitives.push(primitive);
+            }
+        });
+        if (primitives.length === 0) {
+            console.warn(`Skipping ${name}: no geometry to export`);
+            return null;
+        }
+
+        state.gltf.meshes.push({ name: name, primitives: primitives });
+        state.gltf.nodes.push({
+            name: name,
+            mesh: state.gltf.meshes.length - 1,
+            translation: this.toGLTFVector(origin),
+            extras: this.getNodeExtras(obj)
+        });
+        return state.gltf.nodes.length - 1;
+    }
+
+    /**
+     * Write a mesh's world-space geometry, relative to origin, as one glTF primitive
+     */
+    addPrimitive(state, mesh, origin, type) {
+        if (!mesh || mesh.isDisposed() || !mesh.isEnabled()) return null;
+
+        const positions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+        if (!positions || positions.length === 0) return null;
+
+        let normals = mesh.getVerticesData(BABYLON.VertexBuffer.NormalKind);
+        let indices = mesh.getIndices();
+        if (!indices || indices.length === 0) {
+            indices = [];
+            for (let i = 0; i < positions.length / 3; i++) {
+                indices.push(i);
+            }
+        }
+        if (!normals) {
+            normals = [];
+            BABYLON.VertexData.ComputeNormals(positions, indices, normals);
+        }
+
+        const world = mesh.computeWorldMatrix(true);
+        const normalMatrix = world.clone().invert().transpose();
+        const vertexCount = positions.length / 3;
+        const outPositions = new Float32Array(positions.length);
+        const outNormals = new Float32Array(positions.length);
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+
+        for (let i = 0; i < vertexCount; i++) {
+            const p = BABYLON.Vector3.TransformCoordinates(
+                new BABYLON.Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]), world
+            ).subtractInPlace(origin);
+            const n = BABYLON.Vector3.TransformNormal(
+                new BABYLON.Vector3(normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2]), normalMatrix
+            ).normalize();
+
+            const gp = this.toGLTFVector(p);
+            const gn = this.toGLTFVector(n);
+            for (let axis = 0; axis < 3; axis++) {
+                outPositions[i * 3 + axis] = gp[axis];
+                outNormals[i * 3 + axis] = gn[axis];
+                min[axis] = Math.min(min[axis], gp[axis]);
+                max[axis] = Math.max(max[axis], gp[axis]);
+            }
+        }
+
+        // Mirroring X for glTF reverses the winding, so swap two corners of each triangle
+        const outIndices = new Uint32Array(indices.length);
+        for (let i = 0; i + 2 < indices.length; i += 3) {
+            outIndices[i] = indices[i];
+            outIndices[i + 1] = indices[i + 2];
+            outIndices[i + 2] = indices[i + 1];
+        }
+
+        const gltf = state.gltf;
+        gltf.accessors.push({
+            bufferView: this.addBufferView(state, outPositions, 34962),
+            componentType: 5126,
+            count: vertexCount,
+            type: 'VEC3',
+            min: min,
+            max: max
+        });
+        const positionAccessor = gltf.accessors.length - 1;
+
+        gltf.accessors.push({
+            bufferView: this.addBufferView(state, outNormals, 34962),
+            componentType: 5126,
+            count: vertexCount,
+            type: 'VEC3'
+        });
+        const normalAccessor = gltf.accessors.length - 1;
+
+        gltf.accessors.push({
+            bufferView: this.addBufferView(state, outIndices, 34963),
+            componentType: 5125,
+            count: outIndices.length,
+            type: 'SCALAR'
+        });
+        const indexAccessor = gltf.accessors.length - 1;
+
+        return {
+            attributes: { POSITION: positionAccessor, NORMAL: normalAccessor },
+            indices: indexAccessor,
+            material: this.getMaterialIndex(state, mesh, type),
+            mode: 4
+        };
+    }
+
+    /**
+     * Append a typed array to the binary chunk and return its buffer view index
+     */
+    addBufferView(state, array, target) {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        state.gltf.bufferViews.push({
+            buffer: 0,
+            byteOffset: state.byteLength,
+            byteLength: bytes.byteLength,
+            target: target
+        });
+        state.chunks.push(bytes);
+        state.byteLength += bytes.byteLength;
+        return state.gltf.bufferViews.length - 1;
+    }
+
+    /**
+     * Get (or create) a glTF material matching the mesh color
+     */
+    getMaterialIndex(state, mesh, type) {
+        const material = mesh.material;
+        let color = null;
+        if (material && material.diffuseColor) {
+            color = material.diffuseColor;
+        } else if (material && material.albedoColor) {
+            color = material.albedoColor;
+        } else {
+            color = this.uiManager.getSTLTypeColor(type);
+        }
+        const alpha = material && material.alpha !== undefined ? material.alpha : 1.0;
+
+        const key = `${color.toHexString()}_${alpha}`;
+        if (state.materialIndex.has(key)) {
+            return state.materialIndex.get(key);
+        }
+
+        // glTF base colors are linear, Babylon standard material colors are not
+        const linear = color.toLinearSpace();
+        state.gltf.materials.push({
+            name: key,
+            pbrMetallicRoughness: {
+                baseColorFactor: [linear.r, linear.g, linear.b, alpha],
+                metallicFactor: 0,
+                roughnessFactor: 0.8
+            },
+            alphaMode: alpha < 1 ? 'BLEND' : 'OPAQUE',
+            doubleSided: true
+        });
+        const index = state.gltf.materials.length - 1;
+        state.materialIndex.set(key, index);
+        return index;
+    }
+
+    /**
+     * Build the node extras: readable type info plus the full scene entry for reloading
+     */
+    getNodeExtras(obj) {
+        if (obj.type === 'tree') {
+            const tree = this.sceneSerializer.findTree(obj.mesh);
+            const entry = tree ? this.sceneSerializer.serializeTree(tree) : null;
+            return {
+                type: 'tree',
+                treeType: tree ? tree.type || null : null,
+                [this.extrasKey]: entry ? { kind: 'tree', entry: entry } : undefined
+            };
+        }
+
+        const userData = obj.mesh.userData || {};
+        if (obj.mesh.basePolygon) {
+            // Extrusions are rebuilt together with their base polygon on import
+            return { type: userData.type, buildingHeight: userData.buildingHeight, [this.extrasKey]: { kind: 'extrusion' } };
+        }
+
+        const entry = this.sceneSerializer.isSerializableMesh(obj.mesh) ? this.sceneSerializer.serializeMesh(obj.mesh) : null;
+        // Undefined fields are dropped when the JSON chunk is written
+        return {
+            type: userData.type,
+            shapeType: userData.shapeType,
+            dimensions: userData.dimensions,
+            originalHeight: userData.originalHeight,
+            baseY: userData.baseY,
+            [this.extrasKey]: entry ? { kind: 'object', entry: entry } : undefined
+        };
+    }
+
+    /**
+     * Convert a Babylon (left-handed) vector to glTF (right-handed) coordinates
+     * The Babylon glTF loader maps glTF X back to -X, so files round-trip unchanged
+     */
+    toGLTFVector(vector) {
+        return [-vector.x, vector.y, vector.z];
+    }
+
+    /**
+     * Pack the JSON and binary chunks into a GLB container
+     */
+    packGLB(gltf, chunks, binLength) {
+        const encoder = new TextEncoder();
+        let jsonBytes = encoder.encode(JSON.stringify(gltf));
+
+        // Chunks must be 4-byte aligned: JSON pads with spaces, BIN with zeros
+        const jsonPadding = (4 - (jsonBytes.length % 4)) % 4;
+        const binPadding = (4 - (binLength % 4)) % 4;
+        const jsonLength = jsonBytes.length + jsonPadding;
+        const paddedBinLength = binLength + binPadding;
+        const totalLength = 12 + 8 + jsonLength + (paddedBinLength > 0 ? 8 + paddedBinLength : 0);
+
+        const buffer = new ArrayBuffer(totalLength);
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+
+        view.setUint32(0, 0x46546C67, true); // "glTF"
+        view.setUint32(4, 2, true);
+        view.setUint32(8, totalLength, true);
+
+        view.setUint32(12, jsonLength, true);
+        view.setUint32(16, 0x4E4F534A, true); // "JSON"
+        bytes.set(jsonBytes, 20);
+        bytes.fill(0x20, 20 + jsonBytes.length, 20 + jsonLength);
+
+        if (paddedBinLength > 0) {
+            let offset = 20 + jsonLength;
+            view.setUint32(offset, paddedBinLength, true);
+            view.setUint32(offset + 4, 0x004E4942, true); // "BIN"
+            offset += 8;
+            chunks.forEach(chunk => {
+                bytes.set(chunk, offset);
+                offset += chunk.byteLength;
+            });
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Import a GLB/glTF file; objects exported by this app are rebuilt from their extras,
+     * anything else is added as plain geometry typed by its extras or name
+     */
+    async importFile(file) {
+        const scene = this.sceneManager.getScene();
+        const result = await BABYLON.SceneLoader.ImportMeshAsync('', '', file, scene, null, '.glb');
+        const loadedNodes = [...result.transformNodes, ...result.meshes];
+
+        const entries = { objects: [], trees: [] };
+        const plainObjects = [];
+
+        // Top-level glTF nodes sit directly under the loader's __root__ node
+        const root = result.meshes.find(mesh => mesh.name === '__root__');
+        const topNodes = loadedNodes.filter(node => node.parent === root && node !== root);
+
+        topNodes.forEach(node => {
+            const extras = this.getExtras(node);
+            const saved = extras ? extras[this.extrasKey] : null;
+
+            if (saved && saved.kind === 'extrusion') return;
+            if (saved && saved.entry) {
+                if (saved.kind === 'tree') {
+                    entries.trees.push(saved.entry);
+                } else {
+                    entries.objects.push(saved.entry);
+                }
+                return;
+            }
+
+            const meshes = [node, ...node.getChildMeshes(false)].filter(mesh => mesh.getTotalVertices && mesh.getTotalVertices() > 0);
+            const triangles = [];
+            meshes.forEach(mesh => {
+                mesh.computeWorldMatrix(true);
+                triangles.push(...this.uiManager.meshToTriangles(mesh));
+            });
+            if (triangles.length === 0) return;
+
+            const type = extras && extras.type && extras.type !== 'tree' ? extras.type : this.uiManager.detectTypeFromName(node.name || '');
+            plainObjects.push({
+                name: null,
+                type: type === 'tree' ? 'green' : type,
+                triangles: triangles
+            });
+        });
+
+        // The loaded copies were only needed to read metadata and geometry
+        root.dispose(false, true);
+        loadedNodes.forEach(node => {
+            if (!node.isDisposed()) {
+                node.dispose(false, true);
+            }
+        });
+
+        // Restore one by one and keep names unique, so history and selection can find each object
+        const restoredNodes = [];
+        entries.objects.forEach(entry => {
+            if (this.sceneSerializer.findMeshByName(entry.name)) {
+                entry.name = this.uiManager.generateUniqueNameByType(entry.userData.type);
+            }
+            restoredNodes.push(...this.sceneSerializer.restoreSnapshot({ objects: [entry], trees: [] }));
+        });
+        entries.trees.forEach(entry => {
+            if (this.sceneSerializer.findNodeByName(entry.name)) {
+                entry.name = this.uiManager.generateUniqueNameByType('tree');
+            }
+            restoredNodes.push(...this.sceneSerializer.restoreSnapshot({ objects: [], trees: [entry] }));
+        });
+
+        console.log(`GLB import: ${restoredNodes.length} objects restored from metadata, ${plainObjects.length} plain meshes`);
+        return { restoredNodes: restoredNodes, restoredCount: restoredNodes.length, plainObjects: plainObjects };
+    }
+
+    /**
+     * Read glTF extras that the Babylon loader stores in node metadata
+     */
+    getExtras(node) {
+        return node.metadata && node.metadata.gltf && node.metadata.gltf.extras ? node.metadata.gltf.extras : null;
+    }
+}
@@ -0,0 +1,541 @@
+/**
+ * GeoJSONManager - Imports GeoJSON footprints as buildings, roads, water and green areas,
+ * and exports scene footprints back to geographic coordinates
+ */
+class GeoJSONManager {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.sceneManager = uiManager.sceneManager;
+        this.sceneSerializer = uiManager.sceneSerializer;
+        this.lightingManager = uiManager.lightingManager;
+        this.buildingGenerator = uiManager.buildingGenerator;
+        this.geoReference = uiManager.geoReference;
+
+        this.validTypes = ['building', 'highway', 'ground', 'green', 'waterway'];
+        this.levelHeight = 3; // Metres per storey when only building:levels is given
+        this.defaultBuildingHeight = 10;
+        this.flatHeight = 0.1; // Height recorded for non-building areas
+        this.laneWidth = 3.5;
+        this.defaultRoadWidth = 6;
+        this.defaultWaterwayWidth = 4;
+
+        // OSM-style landuse/leisure/natural values that become green areas
+        this.greenValues = ['grass', 'meadow', 'forest', 'wood', 'park', 'garden', 'recreation_ground',
+            'village_green', 'scrub', 'orchard', 'vineyard', 'heath', 'grassland', 'cemetery', 'allotments'];
+        this.waterValues = ['water', 'reservoir', 'basin', 'wetland', 'bay'];
+    }
+
+    /**
+     * Import a parsed GeoJSON object; returns the created meshes with counts of created and skipped features
+     * The origin moves to the data centre only when none is set, or when asked and the scene is empty
+     */
+    importData(geojson, useDataCentre = false) {
+        const features = this.getFeatures(geojson);
+        if (features.length === 0) {
+            throw new Error('No GeoJSON features found');
+        }
+
+        // Moving the origin under objects already in the scene would misplace them
+        if (!this.geoReference.hasOrigin() || (useDataCentre && !this.hasPlacedObjects())) {
+            const positions = [];
+            features.forEach(feature => this.collectPositions(feature.geometry, positions));
+            const centre = this.geoReference.getBoundsCentre(positions);
+            if (!centre) {
+                throw new Error('GeoJSON features have no coordinates');
+            }
+            this.uiManager.setGeoOrigin(centre.latitude, centre.longitude);
+        }
+
+        const result = { created: 0, skipped: 0, meshes: [] };
+        features.forEach((feature, index) => {
+            try {
+                const meshes = this.importFeature(feature);
+                if (meshes.length > 0) {
+                    result.meshes.push(...meshes);
+                    result.created += meshes.length;
+                } else {
+                    result.skipped++;
+                }
+            } catch (error) {
+                console.error(`Error importing GeoJSON feature ${index}:`, error);
+                result.skipped++;
+            }
+        });
+
+        console.log(`GeoJSON import: ${result.created} objects created, ${result.skipped} features skipped`);
+        return result;
+    }
+
+    /**
+     * Normalise FeatureCollection, Feature or bare geometry input to a feature list
+     */
+    getFeatures(geojson) {
+        if (!geojson || typeof geojson !== 'object') return [];
+        if (geojson.type === 'FeatureCollection') {
+            return (geojson.features || []).filter(feature => feature && feature.geometry);
+        }
+        if (geojson.type === 'Feature') {
+            return geojson.geometry ? [geojson] : [];
+        }
+        if (geojson.coordinates || geojson.geometries) {
+            return [{ type: 'Feature', properties: {}, geometry: geojson }];
+        }
+        return [];
+    }
+
+    /**
+     * Create the scene objects for one feature, returning the created meshes
+     */
+    importFeature(feature) {
+        const properties = feature.properties || {};
+        const type = this.classifyFeature(properties);
+        if (!type) return [];
+
+        const height = type === 'building' ? this.getBuildingHeight(properties) : this.flatHeight;
+        const outlines = this.getOutlines(feature.geometry, type, properties);
+
+        const meshes = [];
+        outlines.forEach(({ outline, holes }) => {
+            const mesh = this.createObject(type, outline, height, properties, holes);
+            if (mesh) {
+                meshes.push(mesh);
+            }
+        });
+        return meshes;
+    }
+
+    /**
+     * Map feature properties to one of our object types, or null to skip the feature
+     */
+    classifyFeature(properties) {
+        // Files exported by this app carry the type directly
+        if (this.validTypes.includes(properties.type)) {
+            return properties.type;
+        }
+
+        if (properties.building && properties.building !== 'no') {
+            return 'building';
+        }
+        if (properties.highway) {
+            return 'highway';
+        }
+        if (properties.waterway || this.waterValues.includes(properties.natural) || this.waterValues.includes(properties.landuse)) {
+            return 'waterway';
+        }
+
+        const area = properties.landuse || properties.leisure || properties.natural;
+        if (area) {
+            return this.greenValues.includes(area) ? 'green' : 'ground';
+        }
+        return null;
+    }
+
+    /**
+     * Get building height from height, then building:levels, then the default
+     */
+    getBuildingHeight(properties) {
+        const height = this.parseMeasure(properties.height);
+        if (height > 0) {
+            return height;
+        }
+
+        const levels = parseFloat(properties['building:levels']);
+        if (levels > 0) {
+            return levels * this.levelHeight;
+        }
+        return this.defaultBuildingHeight;
+    }
+
+    /**
+     * Parse measures such as 12, "12", "12 m" or "40'" into metres
+     */
+    parseMeasure(value) {
+        if (value === undefined || value === null) return NaN;
+        if (typeof value === 'number') return value;
+
+        const text = String(value).trim();
+        const number = parseFloat(text.replace(',', '.'));
+        if (!isFinite(number)) return NaN;
+        if (/(ft|')$/.test(text)) {
+            return number * 0.3048;
+        }
+        return number;
+    }
+
+    /**
+     * Get the width used to turn a line feature into an area
+     */
+    getLineWidth(type, properties) {
+        const width = this.parseMeasure(properties.width);
+        if (width > 0) return width;
+
+        if (type === 'highway') {
+            const lanes = parseInt(properties.lanes, 10);
+            return lanes > 0 ? lanes * this.laneWidth : this.defaultRoadWidth;
+        }
+        if (type === 'waterway') {
+            return this.defaultWaterwayWidth;
+        }
+        return this.defaultRoadWidth;
+    }
+
+    /**
+     * Get projected areas ({outline, holes} with arrays of Vector3) for a geometry
+     * Lines are widened into areas without holes
+     */
+    getOutlines(geometry, type, properties) {
+        if (!geometry) return [];
+
+        switch (geometry.type) {
+            case 'Polygon':
+                return geometry.coordinates.length > 0 ? [this.projectPolygon(geometry.coordinates)] : [];
+            case 'MultiPolygon':
+                return geometry.coordinates.filter(polygon => polygon.length > 0).map(polygon => this.projectPolygon(polygon));
+            case 'LineString':
+                return [{ outline: this.bufferLine(this.projectLine(geometry.coordinates), this.getLineWidth(type, properties)), holes: [] }];
+            case 'MultiLineString':
+                return geometry.coordinates.map(line => ({ outline: this.bufferLine(this.projectLine(line), this.getLineWidth(type, properties)), holes: [] }));
+            case 'GeometryCollection':
+                return geometry.geometries.reduce((areas, part) => areas.concat(this.getOutlines(part, type, properties)), []);
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Project a polygon's exterior ring and its inner rings, dropping degenerate holes
+     */
+    projectPolygon(rings) {
+        return {
+            outline: this.projectRing(rings[0]),
+            holes: rings.slice(1).map(ring => this.projectRing(ring)).filter(ring => ring.length >= 3)
+        };
+    }
+
+    /**
+     * Project a closed lon/lat ring, dropping the repeated closing position
+     */
+    projectRing(coordinates) {
+        const points = this.projectLine(coordinates);
+        if (points.length > 1 && BABYLON.Vector3.Distance(points[0], points[points.length - 1]) < 0.001) {
+            points.pop();
+        }
+        return points;
+    }
+
+    /**
+     * Project lon/lat positions to local scene points, skipping consecutive duplicates
+     */
+    projectLine(coordinates) {
+        const points = [];
+        coordinates.forEach(position => {
+            const local = this.geoReference.project(position[0], position[1]);
+            const point = new BABYLON.Vector3(local.x, 0, local.z);
+            if (points.length === 0 || BABYLON.Vector3.Distance(points[points.length - 1], point) > 0.001) {
+                points.push(point);
+            }
+        });
+        return points;
+    }
+
+    /**
+     * Widen a centreline into a closed outline using mitred offsets
+     */
+    bufferLine(points, width) {
+        if (points.length < 2) return [];
+
+        const halfWidth = width / 2;
+        const left = [];
+        const right = [];
+
+        points.forEach((point, i) => {
+            const prev = points[Math.max(i - 1, 0)];
+            const next = points[Math.min(i + 1, points.length - 1)];
+            const incoming = i > 0 ? point.subtract(prev).normalize() : next.subtract(point).normalize();
+            const outgoing = i < points.length - 1 ? next.subtract(point).normalize() : incoming;
+
+            // Average the two segment normals and stretch to keep the width at corners
+            const normalIn = new BABYLON.Vector3(-incoming.z, 0, incoming.x);
+            const normalOut = new BABYLON.Vector3(-outgoing.z, 0, outgoing.x);
+            let miter = normalIn.add(normalOut);
+            if (miter.length() < 0.001) {
+                miter = normalOut;
+            }
+            miter.normalize();
+            const cos = BABYLON.Vector3.Dot(miter, normalOut);
+            const offset = halfWidth / Math.max(cos, 0.25); // Limit spikes at very sharp turns
+
+            left.push(point.add(miter.scale(offset)));
+            right.push(point.subtract(miter.scale(offset)));
+        });
+
+        return left.concat(right.reverse());
+    }
+
+    /**
+     * Create one polygon (extruded for buildings) through the UIManager polygon path
+     */
+    createObject(type, points, height, properties, holes = []) {
+        if (!points || points.length < 3) return null;
+
+        const scene = this.sceneManager.getScene();
+        const name = this.uiManager.generateUniqueNameByType(type);
+
+        const material = new BABYLON.StandardMaterial(`${name}Material`, scene);
+        material.diffuseColor = this.uiManager.getColorByType(type);
+        material.backFaceCulling = false;
+        material.twoSidedLighting = true;
+        material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+
+        let minX = Infinity;
+        let maxX = -Infinity;
+        let minZ = Infinity;
+        let maxZ = -Infinity;
+        points.forEach(p => {
+            minX = Math.min(minX, p.x);
+            maxX = Math.max(maxX, p.x);
+            minZ = Math.min(minZ, p.z);
+            maxZ = Math.max(maxZ, p.z);
+        });
+
+        const userData = {
+            type: type,
+            shapeType: 'polygon',
+            dimensions: {
+                width: maxX - minX,
+                depth: maxZ - minZ,
+                height: height
+            },
+            originalHeight: height,
+            currentHeight: height,
+            baseY: 0,
+            points: points.map(p => p.clone())
+        };
+        if (properties.name) {
+            userData.sourceName = String(properties.name);
+        }
+        if (holes.length > 0) {
+            // Holes are kept relative to the outline's average point, which becomes the mesh origin
+            const centerX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+            const centerZ = points.reduce((sum, p) => sum + p.z, 0) / points.length;
+            userData.holes = holes.map(ring => ring.map(p => [p.x - centerX, p.z - centerZ]));
+        }
+
+        const position = BABYLON.Vector3.Zero();
+        const mesh = type === 'building'
+            ? this.uiManager.createPolygonExtrusion(name, points, height, position, material, userData)
+            : this.uiManager.createPolygonMesh(name, points, position, material, userData);
+        if (!mesh) return null;
+
+        if (this.lightingManager) {
+            this.lightingManager.updateShadowsForNewObject(mesh);
+            if (mesh.extrusion) {
+                this.lightingManager.updateShadowsForNewObject(mesh.extrusion);
+            }
+        }
+        if (this.buildingGenerator) {
+            this.buildingGenerator.polygons.push(mesh);
+        }
+        return mesh;
+    }
+
+    /**
+     * Collect every [lon, lat] position of a geometry
+     */
+    collectPositions(geometry, positions) {
+        if (!geometry) return;
+        if (geometry.type === 'GeometryCollection') {
+            geometry.geometries.forEach(part => this.collectPositions(part, positions));
+            return;
+        }
+
+        const walk = (coordinates) => {
+            if (typeof coordinates[0] === 'number') {
+                positions.push(coordinates);
+            } else {
+                coordinates.forEach(walk);
+            }
+        };
+        walk(geometry.coordinates || []);
+    }
+
+    /**
+     * Check whether the scene holds objects or trees placed against the current origin
+     */
+    hasPlacedObjects() {
+        const scene = this.sceneManager.getScene();
+        const trees = this.uiManager.treeManager && this.uiManager.treeManager.trees ? this.uiManager.treeManager.trees : [];
+        return scene.meshes.some(mesh => this.sceneSerializer.isSerializableMesh(mesh)) ||
+            trees.some(tree => tree.parent && !tree.parent.isDisposed());
+    }
+
+    /**
+     * Export every typed object as a GeoJSON polygon feature around the current origin
+     */
+    exportData() {
+        if (!this.geoReference.hasOrigin()) {
+            throw new Error('Set the geographic origin in Preferences before exporting GeoJSON');
+        }
+
+        const scene = this.sceneManager.getScene();
+        const features = [];
+        scene.meshes.forEach(mesh => {
+            if (!this.sceneSerializer.isSerializableMesh(mesh)) return;
+            try {
+                const feature = this.meshToFeature(mesh);
+                if (feature) {
+                    features.push(feature);
+                }
+            } catch (error) {
+                console.error(`Error exporting ${mesh.name} to GeoJSON:`, error);
+            }
+        });
+
+        console.log(`GeoJSON export: ${features.length} features`);
+        return { type: 'FeatureCollection', features: features };
+    }
+
+    /**
+     * Convert one typed mesh to a Polygon feature with name, type, height and base elevation
+     * Polylines become LineString features that carry their width
+     */
+    meshToFeature(mesh) {
+        if (this.sceneSerializer.getGeometryKind(mesh) === 'polyline') {
+            return this.polylineToFeature(mesh);
+        }
+
+        const footprint = this.getFootprint(mesh);
+        if (!footprint || footprint.length < 3) {
+            console.warn(`Skipping ${mesh.name}: footprint could not be recovered`);
+            return null;
+        }
+
+        // GeoJSON exterior rings run counter-clockwise (east = X, north = Z)
+        if (PlanGeometry.getSignedArea(footprint) < 0) {
+            footprint.reverse();
+        }
+
+        const ring = footprint.map(p => this.geoReference.unproject(p.x, p.z).map(value => this.round(value, 7)));
+        ring.push(ring[0].slice());
+
+        // Inner rings run clockwise
+        const holes = this.getHoles(mesh).map(hole => {
+            if (PlanGeometry.getSignedArea(hole) > 0) {
+                hole.reverse();
+            }
+            const coordinates = hole.map(p => this.geoReference.unproject(p.x, p.z).map(value => this.round(value, 7)));
+            coordinates.push(coordinates[0].slice());
+            return coordinates;
+        });
+
+        // Height and base come from the world bounds, so gizmo scaling and lifting are included
+        const bounds = this.getWorldBounds(mesh);
+        return {
+            type: 'Feature',
+            properties: {
+                name: mesh.name,
+                type: mesh.userData.type,
+                height: this.round(Math.max(bounds.max.y - bounds.min.y, 0), 2),
+                base_elevation: this.round(bounds.min.y, 2)
+            },
+            geometry: { type: 'Polygon', coordinates: [ring, ...holes] }
+        };
+    }
+
+    /**
+     * Convert a polyline to a LineString feature; importing it widens the line again by its width
+     */
+    polylineToFeature(mesh) {
+        const world = mesh.computeWorldMatrix(true);
+        const coordinates = mesh.userData.centreline.map(([x, z]) => {
+            const point = BABYLON.Vector3.TransformCoordinates(new BABYLON.Vector3(x, 0, z), world);
+            return this.geoReference.unproject(point.x, point.z).map(value => this.round(value, 7));
+        });
+
+        return {
+            type: 'Feature',
+            properties: {
+                name: mesh.name,
+                type: mesh.userData.type,
+                width: this.round(mesh.userData.width, 2)
+            },
+            geometry: { type: 'LineString', coordinates: coordinates }
+        };
+    }
+
+    /**
+     * Get the current world-space footprint outline of a box, cylinder, polygon or polyline
+     */
+    getFootprint(mesh) {
+        const local = this.getLocalFootprint(mesh);
+        if (!local) return null;
+
+        const world = mesh.computeWorldMatrix(true);
+        return local.map(([x, z]) => BABYLON.Vector3.TransformCoordinates(new BABYLON.Vector3(x, 0, z), world));
+    }
+
+    /**
+     * Get the current world-space holes (inner rings) of a polygon
+     */
+    getHoles(mesh) {
+        const holes = mesh.userData.holes;
+        if (!holes || this.sceneSerializer.getGeometryKind(mesh) !== 'polygon') return [];
+
+        const world = mesh.computeWorldMatrix(true);
+        return holes.map(ring => ring.map(([x, z]) => BABYLON.Vector3.TransformCoordinates(new BABYLON.Vector3(x, 0, z), world)));
+    }
+
+    /**
+     * Get the footprint outline of a box, cylinder or polygon as [x, z] pairs in mesh-local space
+     */
+    getLocalFootprint(mesh) {
+        const geometry = this.sceneSerializer.getGeometryKind(mesh);
+        const dims = mesh.userData.dimensions || {};
+        let local = null;
+
+        if (geometry === 'box') {
+            const halfWidth = (parseFloat(dims.width) || 1) / 2;
+            const halfDepth = (parseFloat(dims.depth) || 1) / 2;
+            local = [[-halfWidth, -halfDepth], [halfWidth, -halfDepth], [halfWidth, halfDepth], [-halfWidth, halfDepth]];
+        } else if (geometry === 'cylinder') {
+            const radius = (parseFloat(dims.diameterBottom) || parseFloat(dims.diameterTop) || 1) / 2;
+            const segments = 32;
+            local = [];
+            for (let i = 0; i < segments; i++) {
+                const angle = (i / segments) * Math.PI * 2;
+                local.push([Math.cos(angle) * radius, Math.sin(angle) * radius]);
+            }
+        } else if (geometry === 'polygon') {
+            local = this.sceneSerializer.getPolygonOutline(mesh);
+        } else if (geometry === 'polyline') {
+            const centreline = mesh.userData.centreline.map(([x, z]) => new BABYLON.Vector3(x, 0, z));
+            local = this.bufferLine(centreline, mesh.userData.width).map(p => [p.x, p.z]);
+        }
+        return local;
+    }
+
+    /**
+     * Get world bounds of a mesh together with its extrusion, if any
+     */
+    getWorldBounds(mesh) {
+        const meshes = mesh.extrusion && !mesh.extrusion.isDisposed() ? [mesh, mesh.extrusion] : [mesh];
+        const min = new BABYLON.Vector3(Infinity, Infinity, Infinity);
+        const max = new BABYLON.Vector3(-Infinity, -Infinity, -Infinity);
+
+        meshes.forEach(part => {
+            part.computeWorldMatrix(true);
+            const box = part.getBoundingInfo().boundingBox;
+            min.minimizeInPlace(box.minimumWorld);
+            max.maximizeInPlace(box.maximumWorld);
+        });
+        return { min: min, max: max };
+    }
+
+    /**
+     * Round to a number of decimal places
+     */
+    round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+}
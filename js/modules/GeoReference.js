@@ -0,0 +1,84 @@
+/**
+ * GeoReference - Geographic origin of the scene and projection between lon/lat and local metres
+ * The scene uses X = east and Z = north, measured from the origin
+ */
+class GeoReference {
+    constructor() {
+        this.latitude = null;
+        this.longitude = null;
+        this.earthRadius = 6378137; // WGS84 equatorial radius in metres
+    }
+
+    /**
+     * Check whether an origin has been set
+     */
+    hasOrigin() {
+        return this.latitude !== null && this.longitude !== null;
+    }
+
+    /**
+     * Set the origin in decimal degrees; invalid values are rejected
+     */
+    setOrigin(latitude, longitude) {
+        const lat = parseFloat(latitude);
+        const lon = parseFloat(longitude);
+        if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+            console.warn(`Invalid geographic origin: ${latitude}, ${longitude}`);
+            return false;
+        }
+
+        this.latitude = lat;
+        this.longitude = lon;
+        console.log(`Geographic origin set to ${lat.toFixed(6)}, ${lon.toFixed(6)}`);
+        return true;
+    }
+
+    /**
+     * Get the origin, or null if none has been set
+     */
+    getOrigin() {
+        if (!this.hasOrigin()) return null;
+        return { latitude: this.latitude, longitude: this.longitude };
+    }
+
+    /**
+     * Project lon/lat to local metres around the origin (equirectangular, fine at city scale)
+     */
+    project(longitude, latitude) {
+        const toRadians = Math.PI / 180;
+        return {
+            x: (longitude - this.longitude) * toRadians * this.earthRadius * Math.cos(this.latitude * toRadians),
+            z: (latitude - this.latitude) * toRadians * this.earthRadius
+        };
+    }
+
+    /**
+     * Convert local metres back to [longitude, latitude]
+     */
+    unproject(x, z) {
+        const toDegrees = 180 / Math.PI;
+        const latitude = this.latitude + (z / this.earthRadius) * toDegrees;
+        const longitude = this.longitude + (x / (this.earthRadius * Math.cos(this.latitude * Math.PI / 180))) * toDegrees;
+        return [longitude, latitude];
+    }
+
+    /**
+     * Get the centre of the bounding box of [lon, lat] positions
+     */
+    getBoundsCentre(positions) {
+        if (!positions || positions.length === 0) return null;
+
+        let minLon = Infinity;
+        let maxLon = -Infinity;
+        let minLat = Infinity;
+        let maxLat = -Infinity;
+        positions.forEach(([lon, lat]) => {
+            minLon = Math.min(minLon, lon);
+            maxLon = Math.max(maxLon, lon);
+            minLat = Math.min(minLat, lat);
+            maxLat = Math.max(maxLat, lat);
+        });
+
+        return { latitude: (minLat + maxLat) / 2, longitude: (minLon + maxLon) / 2 };
+    }
+}
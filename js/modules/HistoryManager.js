@@ -0,0 +1,251 @@
+/**
+ * HistoryManager - Bounded undo/redo command history for editing operations
+ */
+class HistoryManager {
+    constructor(sceneSerializer, selectionManager, maxSize = 50) {
+        this.sceneSerializer = sceneSerializer;
+        this.selectionManager = selectionManager;
+        this.maxSize = maxSize;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isApplying = false; // True while an undo/redo is rebuilding the scene
+    }
+
+    /**
+     * Push a command with undo() and redo() functions onto the history
+     */
+    push(command) {
+        if (this.isApplying || !command) return;
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.maxSize) {
+            this.undoStack.shift();
+        }
+        // A new edit invalidates anything that was undone
+        this.redoStack = [];
+        console.log(`History: recorded "${command.label}" (${this.undoStack.length}/${this.maxSize})`);
+    }
+
+    /**
+     * Undo the most recent command
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            console.log('History: nothing to undo');
+            return false;
+        }
+
+        this.apply(command, 'undo');
+        this.redoStack.push(command);
+        console.log(`History: undid "${command.label}"`);
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone command
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            console.log('History: nothing to redo');
+            return false;
+        }
+
+        this.apply(command, 'redo');
+        this.undoStack.push(command);
+        console.log(`History: redid "${command.label}"`);
+        return true;
+    }
+
+    /**
+     * Run one side of a command without recording new history
+     */
+    apply(command, direction) {
+        this.isApplying = true;
+        try {
+            if (this.selectionManager) {
+                this.selectionManager.clearSelection();
+            }
+            command[direction]();
+        } catch (error) {
+            console.error(`Error during ${direction} of "${command.label}":`, error);
+        } finally {
+            this.isApplying = false;
+        }
+        this.dispatchSceneChangeEvent();
+    }
+
+    /**
+     * Clear all history (used when the whole scene is replaced)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record newly created objects
+     */
+    recordCreation(nodes, label = 'Create') {
+        const snapshot = this.sceneSerializer.snapshot(nodes);
+        if (this.isEmptySnapshot(snapshot)) return;
+
+        this.push({
+            label: label,
+            undo: () => this.sceneSerializer.removeSnapshot(snapshot),
+            redo: () => this.sceneSerializer.restoreSnapshot(snapshot)
+        });
+    }
+
+    /**
+     * Record deleted objects from a snapshot taken before they were removed
+     */
+    recordDeletion(snapshot, label = 'Delete') {
+        if (!snapshot || this.isEmptySnapshot(snapshot)) return;
+
+        this.push({
+            label: label,
+            undo: () => this.sceneSerializer.restoreSnapshot(snapshot),
+            redo: () => this.sceneSerializer.removeSnapshot(snapshot)
+        });
+    }
+
+    /**
+     * Record an in-place change from a before/after snapshot pair
+     * Position and rotation are tracked by transform commands, so the before
+     * state inherits them from the after state to keep the two from fighting.
+     * Pass keepTransform for edits that move the origin themselves, such as vertex editing
+     */
+    recordChange(before, after, label = 'Edit', keepTransform = false) {
+        if (!before || !after || this.isEmptySnapshot(after)) return;
+
+        const alignTransform = (beforeEntries, afterEntries) => {
+            beforeEntries.forEach((entry, index) => {
+                const match = afterEntries[index];
+                if (match) {
+                    entry.position = match.position;
+                    entry.rotation = match.rotation;
+                }
+            });
+        };
+        if (!keepTransform) {
+            alignTransform(before.objects, after.objects);
+            alignTransform(before.trees, after.trees);
+        }
+
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        this.push({
+            label: label,
+            undo: () => {
+                this.sceneSerializer.removeSnapshot(after);
+                this.sceneSerializer.restoreSnapshot(before);
+            },
+            redo: () => {
+                this.sceneSerializer.removeSnapshot(before);
+                this.sceneSerializer.restoreSnapshot(after);
+            }
+        });
+    }
+
+    /**
+     * Capture position, rotation and scaling of nodes before a gizmo drag
+     */
+    captureTransforms(nodes) {
+        return nodes
+            .filter(node => node && !node.isDisposed() && !(node.name && node.name.includes('_extrusion')))
+            .map(node => ({
+                name: node.name,
+                position: node.position.clone(),
+                rotation: node.rotation.clone(),
+                rotationQuaternion: node.rotationQuaternion ? node.rotationQuaternion.clone() : null,
+                scaling: node.scaling.clone()
+            }));
+    }
+
+    /**
+     * Record a gizmo drag by comparing captured transforms with the current ones
+     */
+    recordTransform(before, label = 'Transform') {
+        if (!before || before.length === 0) return;
+
+        const after = this.captureTransforms(
+            before.map(state => this.sceneSerializer.findNodeByName(state.name)).filter(node => node)
+        );
+
+        const changed = after.some((state, index) => {
+            const previous = before.find(b => b.name === state.name) || before[index];
+            return !state.position.equalsWithEpsilon(previous.position, 0.0001) ||
+                !state.rotation.equalsWithEpsilon(previous.rotation, 0.0001) ||
+                !state.scaling.equalsWithEpsilon(previous.scaling, 0.0001) ||
+                (state.rotationQuaternion && previous.rotationQuaternion &&
+                    !state.rotationQuaternion.equalsWithEpsilon(previous.rotationQuaternion, 0.0001));
+        });
+        if (!changed) return;
+
+        this.push({
+            label: label,
+            undo: () => this.applyTransforms(before),
+            redo: () => this.applyTransforms(after)
+        });
+    }
+
+    /**
+     * Apply captured transforms to the nodes with matching names
+     */
+    applyTransforms(states) {
+        states.forEach(state => {
+            const node = this.sceneSerializer.findNodeByName(state.name);
+            if (!node) return;
+
+            node.position = state.position.clone();
+            node.rotation = state.rotation.clone();
+            node.rotationQuaternion = state.rotationQuaternion ? state.rotationQuaternion.clone() : null;
+            node.scaling = state.scaling.clone();
+            node.computeWorldMatrix(true);
+        });
+    }
+
+    /**
+     * Check whether a snapshot contains anything
+     */
+    isEmptySnapshot(snapshot) {
+        return snapshot.objects.length === 0 && snapshot.trees.length === 0;
+    }
+
+    /**
+     * Check whether undo is available
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Check whether redo is available
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Get history statistics
+     */
+    getStats() {
+        return {
+            undoCount: this.undoStack.length,
+            redoCount: this.redoStack.length,
+            maxSize: this.maxSize
+        };
+    }
+
+    /**
+     * Dispatch scene change event so the object list refreshes
+     */
+    dispatchSceneChangeEvent() {
+        const event = new CustomEvent('sceneChanged', {
+            detail: { timestamp: Date.now() }
+        });
+        document.dispatchEvent(event);
+    }
+}
@@ -0,0 +1,441 @@
+/**
+ * IrradianceCalculator - Clear-sky incident solar energy (kWh/m²) on building roofs and facades
+ * Direct sun is ray-tested against the shadow casters; diffuse sky and ground-reflected light
+ * use an isotropic sky. Results are painted on the buildings and listed per orientation.
+ */
+class IrradianceCalculator {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.sceneManager = uiManager.sceneManager;
+        this.selectionManager = uiManager.selectionManager;
+        this.geoJSONManager = uiManager.geoJSONManager;
+        this.sunHoursAnalyzer = uiManager.sunHoursAnalyzer; // Shared sampling grid, casters and colour ramp
+        this.solarCalculator = uiManager.lightingManager.solarCalculator;
+
+        this.period = 'annual'; // 'annual' or a month number 1-12
+        this.stepMinutes = 60;
+        this.solarConstant = 1353; // W/m² outside the atmosphere
+        this.diffuseRatio = 0.1; // Diffuse horizontal as a share of direct normal irradiance
+        this.albedo = 0.2;
+        this.roofCellsPerSide = 12;
+        this.facadeSpacing = 3; // Metres between facade sample points
+        this.maxFacadeSamples = 6; // Per edge, along and up
+        this.surfaceOffset = 0.2;
+        this.overlayOffset = 0.05;
+        this.rayLength = 2000;
+        this.monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+        this.results = new Map(); // Base mesh -> { rows, overlay }
+        this.maxValue = 0;
+        this.isRunning = false;
+        this.legendPanel = null;
+    }
+
+    /**
+     * Run for the selected buildings, or every building when none is selected
+     */
+    async run() {
+        if (this.isRunning) return;
+
+        const buildings = this.getBuildings();
+        if (buildings.length === 0) {
+            throw new Error('There are no buildings to analyse');
+        }
+
+        const samples = this.getSunSamples();
+        this.clear();
+        this.isRunning = true;
+        this.showLegend();
+
+        const surfacesByBuilding = new Map();
+        try {
+            const casters = this.sunHoursAnalyzer.getShadowCasters();
+            for (let i = 0; i < buildings.length; i++) {
+                this.setStatus(`Analysing ${buildings[i].name} (${i + 1}/${buildings.length})…`);
+                const surfaces = this.getSurfaces(buildings[i]);
+                for (const surface of surfaces) {
+                    await this.accumulate(surface, samples, casters);
+                }
+                surfacesByBuilding.set(buildings[i], surfaces);
+            }
+        } finally {
+            this.isRunning = false;
+        }
+
+        // Colour every building on one scale
+        this.maxValue = 0;
+        surfacesByBuilding.forEach(surfaces => surfaces.forEach(surface => {
+            surface.values.forEach(value => { this.maxValue = Math.max(this.maxValue, value); });
+        }));
+        surfacesByBuilding.forEach((surfaces, mesh) => {
+            this.results.set(mesh, {
+                rows: this.summarize(surfaces),
+                overlay: this.createOverlay(mesh, surfaces)
+            });
+        });
+
+        this.setStatus('');
+        this.updateScale();
+        this.refreshPropertiesTable();
+        console.log(`Irradiance (${this.getPeriodLabel()}): ${buildings.length} buildings, ${samples.length} sun positions`);
+    }
+
+    /**
+     * Selected buildings (resolved to their base polygon), or all buildings in the scene
+     */
+    getBuildings() {
+        const isBuilding = (mesh) => mesh && !mesh.isDisposed() && mesh.isEnabled() &&
+            mesh.userData && mesh.userData.type === 'building' &&
+            !(mesh.name && mesh.name.includes('_extrusion')) && !this.uiManager.isTree(mesh);
+
+        const selected = new Set();
+        this.selectionManager.selectedObjects.forEach(mesh => {
+            const base = mesh.basePolygon || mesh;
+            if (isBuilding(base)) selected.add(base);
+        });
+        if (selected.size > 0) return Array.from(selected);
+
+        return this.sceneManager.getScene().meshes.filter(isBuilding);
+    }
+
+    /**
+     * Sun positions with clear-sky irradiance and duration for the period
+     * (the 15th of each month stands for the whole month)
+     */
+    getSunSamples() {
+        const settings = this.uiManager.solarSettings;
+        const location = this.uiManager.getSolarLocation();
+        const year = parseInt(settings.date.split('-')[0], 10) || new Date().getFullYear();
+        const months = this.period === 'annual' ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [this.period];
+
+        const samples = [];
+        months.forEach(month => {
+            const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            const dateString = `${year}-${String(month).padStart(2, '0')}-15`;
+            const times = this.solarCalculator.getSunTimes(dateString, settings.utcOffset, location.latitude, location.longitude);
+            if (times.sunrise === null) return;
+
+            const midnight = this.solarCalculator.toUTCDate(dateString, '00:00', settings.utcOffset).getTime();
+            for (let minutes = times.sunrise; minutes < times.sunset; minutes += this.stepMinutes) {
+                const duration = Math.min(this.stepMinutes, times.sunset - minutes);
+                const middle = minutes + duration / 2;
+                const sun = this.solarCalculator.getSunPosition(new Date(midnight + middle * 60000), location.latitude, location.longitude);
+                if (sun.elevation <= 0) continue;
+
+                const directNormal = this.getDirectNormal(sun.elevation);
+                const diffuse = directNormal * this.diffuseRatio;
+                samples.push({
+                    vector: this.solarCalculator.toSceneVector(sun.azimuth, sun.elevation),
+                    directNormal: directNormal,
+                    diffuse: diffuse,
+                    global: directNormal * Math.sin(sun.elevation * Math.PI / 180) + diffuse,
+                    hours: duration / 60 * daysInMonth
+                });
+            }
+        });
+        return samples;
+    }
+
+    /**
+     * Clear-sky direct normal irradiance in W/m² (Meinel model with Kasten-Young air mass)
+     */
+    getDirectNormal(elevation) {
+        const airMass = 1 / (Math.sin(elevation * Math.PI / 180) + 0.50572 * Math.pow(elevation + 6.07995, -1.6364));
+        return this.solarConstant * Math.pow(0.7, Math.pow(airMass, 0.678));
+    }
+
+    /**
+     * Roof and facade surfaces of a building with their sample points
+     */
+    getSurfaces(mesh) {
+        const outline = this.geoJSONManager.getFootprint(mesh);
+        if (!outline || outline.length < 3) {
+            console.warn(`Irradiance: skipping ${mesh.name}, footprint could not be recovered`);
+            return [];
+        }
+
+        // Counter-clockwise from above, so the right-hand side of each edge faces out
+        if (PlanGeometry.getSignedArea(outline) < 0) outline.reverse();
+
+        const bounds = this.geoJSONManager.getWorldBounds(mesh);
+        const baseY = bounds.min.y;
+        const roofY = bounds.max.y;
+        const height = roofY - baseY;
+
+        const roofCells = this.sunHoursAnalyzer.createCells({ outline: outline }, this.roofCellsPerSide);
+        const surfaces = [{
+            label: 'Roof',
+            normal: BABYLON.Vector3.Up(),
+            area: PlanGeometry.getPlanArea(outline),
+            points: roofCells.map(cell => new BABYLON.Vector3(cell.x, roofY + this.surfaceOffset, cell.z)),
+            quads: roofCells.map(cell => this.createRoofQuad(cell, roofY + this.overlayOffset))
+        }];
+        if (height <= 0) return surfaces;
+
+        outline.forEach((start, i) => {
+            const end = outline[(i + 1) % outline.length];
+            const along = end.subtract(start);
+            along.y = 0;
+            const length = along.length();
+            if (length < 0.01) return;
+
+            const direction = along.scale(1 / length);
+            const normal = new BABYLON.Vector3(direction.z, 0, -direction.x);
+            const columns = Math.min(this.maxFacadeSamples, Math.max(1, Math.ceil(length / this.facadeSpacing)));
+            const rows = Math.min(this.maxFacadeSamples, Math.max(1, Math.ceil(height / this.facadeSpacing)));
+            const surface = {
+                label: this.getOrientation(normal),
+                normal: normal,
+                area: length * height,
+                points: [],
+                quads: []
+            };
+
+            for (let row = 0; row < rows; row++) {
+                for (let column = 0; column < columns; column++) {
+                    const corner = (u, v) => new BABYLON.Vector3(start.x, baseY, start.z)
+                        .add(direction.scale(length * u))
+                        .add(normal.scale(this.overlayOffset))
+                        .addInPlaceFromFloats(0, height * v, 0);
+                    const u0 = column / columns;
+                    const u1 = (column + 1) / columns;
+                    const v0 = row / rows;
+                    const v1 = (row + 1) / rows;
+
+                    surface.points.push(new BABYLON.Vector3(start.x, baseY, start.z)
+                        .add(direction.scale(length * (u0 + u1) / 2))
+                        .add(normal.scale(this.surfaceOffset))
+                        .addInPlaceFromFloats(0, height * (v0 + v1) / 2, 0));
+                    surface.quads.push([corner(u0, v0), corner(u1, v0), corner(u1, v1), corner(u0, v1)]);
+                }
+            }
+            surfaces.push(surface);
+        });
+
+        return surfaces;
+    }
+
+    /**
+     * Corners of a horizontal roof cell at a height
+     */
+    createRoofQuad(cell, y) {
+        const half = cell.size / 2;
+        return [
+            new BABYLON.Vector3(cell.x - half, y, cell.z - half),
+            new BABYLON.Vector3(cell.x + half, y, cell.z - half),
+            new BABYLON.Vector3(cell.x + half, y, cell.z + half),
+            new BABYLON.Vector3(cell.x - half, y, cell.z + half)
+        ];
+    }
+
+    /**
+     * Compass orientation of a facade from its outward normal (X east, Z north)
+     */
+    getOrientation(normal) {
+        const azimuth = (Math.atan2(normal.x, normal.z) * 180 / Math.PI + 360) % 360;
+        return ['North', 'East', 'South', 'West'][Math.round(azimuth / 90) % 4];
+    }
+
+    /**
+     * Incident energy in kWh/m² at each sample point of a surface
+     */
+    async accumulate(surface, samples, casters) {
+        const scene = this.sceneManager.getScene();
+        const predicate = (mesh) => casters.has(mesh);
+        const ray = new BABYLON.Ray(BABYLON.Vector3.Zero(), BABYLON.Vector3.Up(), this.rayLength);
+
+        // Isotropic sky and ground reflection depend on tilt only, so they are shared by every point
+        const cosTilt = surface.normal.y;
+        let skyEnergy = 0;
+        samples.forEach(sample => {
+            skyEnergy += (sample.diffuse * (1 + cosTilt) / 2 + sample.global * this.albedo * (1 - cosTilt) / 2) * sample.hours;
+        });
+
+        surface.values = new Float32Array(surface.points.length);
+        for (let i = 0; i < surface.points.length; i++) {
+            ray.origin.copyFrom(surface.points[i]);
+            let energy = skyEnergy;
+            samples.forEach(sample => {
+                const cosIncidence = BABYLON.Vector3.Dot(surface.normal, sample.vector);
+                if (cosIncidence <= 0) return;
+
+                ray.direction.copyFrom(sample.vector);
+                const hit = scene.pickWithRay(ray, predicate, true);
+                if (!hit || !hit.hit) {
+                    energy += sample.directNormal * cosIncidence * sample.hours;
+                }
+            });
+            surface.values[i] = energy / 1000;
+
+            if (i % 50 === 49) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+    }
+
+    /**
+     * Area-weighted kWh/m² and total kWh for the roof and each facade orientation
+     */
+    summarize(surfaces) {
+        const order = ['Roof', 'North', 'East', 'South', 'West'];
+        const groups = new Map();
+        surfaces.forEach(surface => {
+            if (surface.values.length === 0) return;
+            const mean = surface.values.reduce((sum, value) => sum + value, 0) / surface.values.length;
+            const group = groups.get(surface.label) || { label: surface.label, area: 0, energy: 0 };
+            group.area += surface.area;
+            group.energy += mean * surface.area;
+            groups.set(surface.label, group);
+        });
+
+        return order.filter(label => groups.has(label)).map(label => {
+            const group = groups.get(label);
+            return {
+                label: label,
+                area: group.area,
+                kwhPerSquareMetre: group.area > 0 ? group.energy / group.area : 0,
+                kwh: group.energy
+            };
+        });
+    }
+
+    /**
+     * One vertex-coloured overlay mesh of all roof and facade quads of a building
+     */
+    createOverlay(mesh, surfaces) {
+        const scene = this.sceneManager.getScene();
+        const positions = [];
+        const colors = [];
+        const indices = [];
+
+        surfaces.forEach(surface => {
+            surface.quads.forEach((quad, i) => {
+                const color = this.sunHoursAnalyzer.getColor(this.maxValue > 0 ? surface.values[i] / this.maxValue : 0);
+                const start = positions.length / 3;
+                quad.forEach(corner => {
+                    positions.push(corner.x, corner.y, corner.z);
+                    colors.push(color[0], color[1], color[2], 1);
+                });
+                indices.push(start, start + 2, start + 1, start, start + 3, start + 2);
+            });
+        });
+        if (indices.length === 0) return null;
+
+        const overlay = new BABYLON.Mesh(`irradiance_${mesh.name}`, scene);
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = positions;
+        vertexData.indices = indices;
+        vertexData.colors = colors;
+        vertexData.applyToMesh(overlay);
+
+        const material = new BABYLON.StandardMaterial(`irradianceMaterial_${mesh.name}`, scene);
+        material.disableLighting = true;
+        material.diffuseColor = new BABYLON.Color3(1, 1, 1);
+        material.backFaceCulling = false;
+        overlay.material = material;
+        overlay.useVertexColors = true;
+        overlay.isPickable = false;
+        overlay.metadata = { analysisOverlay: true };
+        return overlay;
+    }
+
+    /**
+     * Get the per-orientation rows for a building, or null when it has not been analysed
+     */
+    getResult(mesh) {
+        if (!mesh) return null;
+        const result = this.results.get(mesh.basePolygon || mesh);
+        return result ? result.rows : null;
+    }
+
+    /**
+     * Human-readable period
+     */
+    getPeriodLabel() {
+        return this.period === 'annual' ? 'Annual' : this.monthNames[this.period - 1];
+    }
+
+    /**
+     * Create or reset the legend panel with the period selector
+     */
+    showLegend() {
+        if (!this.legendPanel) {
+            this.legendPanel = document.createElement('div');
+            this.legendPanel.id = 'irradianceLegend';
+            this.legendPanel.className = 'sun-hours-legend irradiance-legend';
+            document.body.appendChild(this.legendPanel);
+        }
+
+        const gradient = this.sunHoursAnalyzer.colorStops.map(([stop, color]) =>
+            `rgb(${color.map(c => Math.round(c * 255)).join(',')}) ${stop * 100}%`).join(', ');
+        const options = ['annual', 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map(value => {
+            const label = value === 'annual' ? 'Annual' : this.monthNames[value - 1];
+            return `<option value="${value}"${value === this.period ? ' selected' : ''}>${label}</option>`;
+        }).join('');
+
+        this.legendPanel.innerHTML = `
+            <div class="sun-hours-header">
+                <h4>Solar Irradiance</h4>
+                <button class="sun-hours-close" title="Clear irradiance">×</button>
+            </div>
+            <div class="sun-hours-threshold">
+                <label for="irradiancePeriod">Period</label>
+                <select id="irradiancePeriod">${options}</select>
+            </div>
+            <div class="sun-hours-ramp" style="background: linear-gradient(to right, ${gradient});"></div>
+            <div class="sun-hours-scale"><span>0</span><span class="irradiance-max">-</span></div>
+            <div class="sun-hours-status"></div>
+        `;
+        this.legendPanel.style.display = 'block';
+
+        this.legendPanel.querySelector('.sun-hours-close').addEventListener('click', () => this.clear());
+        this.legendPanel.querySelector('#irradiancePeriod').addEventListener('change', (e) => {
+            this.period = e.target.value === 'annual' ? 'annual' : parseInt(e.target.value, 10);
+            this.uiManager.runIrradianceAnalysis();
+        });
+    }
+
+    /**
+     * Show progress text in the legend
+     */
+    setStatus(text) {
+        const status = this.legendPanel ? this.legendPanel.querySelector('.sun-hours-status') : null;
+        if (status) status.textContent = text;
+    }
+
+    /**
+     * Show the top of the colour scale
+     */
+    updateScale() {
+        const max = this.legendPanel ? this.legendPanel.querySelector('.irradiance-max') : null;
+        if (max) max.textContent = `${this.maxValue.toFixed(0)} kWh/m²`;
+    }
+
+    /**
+     * Refresh the table of an open properties popup
+     */
+    refreshPropertiesTable() {
+        if (this.uiManager.currentShape) {
+            this.uiManager.updateIrradianceTables(this.uiManager.currentShape);
+        }
+    }
+
+    /**
+     * Remove the overlays and hide the legend
+     */
+    clear() {
+        if (this.isRunning) return;
+
+        this.results.forEach(result => {
+            if (result.overlay) {
+                if (result.overlay.material) result.overlay.material.dispose();
+                result.overlay.dispose();
+            }
+        });
+        this.results.clear();
+        if (this.legendPanel) {
+            this.legendPanel.style.display = 'none';
+        }
+        this.refreshPropertiesTable();
+    }
+}
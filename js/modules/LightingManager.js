@@ -13,6 +13,9 @@ class LightingManager {
         this.performanceCheckInterval = null;
         this.lightHelper = null; // Helper to visualize light position
         this.lightHelperVisible = false; // Default: hidden
+        this.solarCalculator = new SolarCalculator();
+        this.sunPeakIntensity = 1.4; // Directional intensity with the sun high in the sky
+        this.defaultSolarLocation = { latitude: 45.5017, longitude: -73.5673 }; // Montreal
         
         this.setupLighting();
     }
@@ -166,6 +169,11 @@ class LightingManager {
         if (excludeNames.includes(mesh.name)) {
             return false;
         }
+
+        // Analysis heatmaps and measurement annotations never cast shadows
+        if (mesh.metadata && (mesh.metadata.analysisOverlay || mesh.metadata.annotation)) {
+            return false;
+        }
         
         for (const pattern of excludePatterns) {
             if (mesh.name.includes(pattern)) {
@@ -520,23 +528,36 @@ class LightingManager {
     }
 
     /**
-     * Update light direction (time of day simulation)
+     * Point the sun at an azimuth (clockwise from north) and elevation in degrees;
+     * intensity fades out towards the horizon and is zero at night
      */
-    updateLightDirection(timeOfDay = 0.5) {
+    setSunPosition(azimuth, elevation) {
         if (!this.directionalLight) return;
 
-        // Convert time of day (0-1) to sun position
-        const angle = (timeOfDay - 0.5) * Math.PI; // -π/2 to π/2
-        const x = Math.cos(angle) * 50;
-        const y = Math.sin(angle) * 50 + 20;
-        const z = 50;
+        const sunVector = this.solarCalculator.toSceneVector(azimuth, elevation);
+        const distance = this.directionalLight.position.length() || 250;
+        this.directionalLight.direction = sunVector.scale(-1);
+        this.directionalLight.position = sunVector.scale(distance);
 
-        this.directionalLight.direction = new BABYLON.Vector3(-x, -y, -z).normalize();
-        this.directionalLight.position = new BABYLON.Vector3(x, y, z);
+        // Full strength from 30° up, linear ramp to zero at the horizon
+        const daylight = Math.max(0, Math.min(1, Math.sin(elevation * Math.PI / 180) / 0.5));
+        this.setDirectionalIntensity(this.sunPeakIntensity * daylight);
+
+        this.updateLightHelper();
+        if (this.shadowGenerator) {
+            this.shadowGenerator.forceCompilation = true;
+        }
+    }
 
-        // Adjust intensity based on sun height
-        const intensity = Math.max(0.1, Math.sin(angle + Math.PI/2));
-        this.directionalLight.intensity = intensity;
+    /**
+     * Drive the sun from a location and UTC instant; falls back to Montreal without a location
+     */
+    updateSunForLocation(date, latitude = null, longitude = null) {
+        const lat = latitude !== null ? latitude : this.defaultSolarLocation.latitude;
+        const lon = longitude !== null ? longitude : this.defaultSolarLocation.longitude;
+        const sun = this.solarCalculator.getSunPosition(date, lat, lon);
+        this.setSunPosition(sun.azimuth, sun.elevation);
+        return sun;
     }
 
     /**
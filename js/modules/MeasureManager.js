@@ -0,0 +1,451 @@
+/**
+ * MeasureManager - Distance/path, area and height measurements kept as deletable annotations
+ * Picks snap to nearby mesh vertices and fall back to the ground
+ */
+class MeasureManager {
+    constructor(scene, sceneManager, uiManager) {
+        this.scene = scene;
+        this.sceneManager = sceneManager;
+        this.uiManager = uiManager;
+        this.canvas = scene.getEngine().getRenderingCanvas();
+
+        this.isActive = false;
+        this.mode = 'path'; // 'path', 'area' or 'height'
+        this.points = [];
+        this.previewPoint = null;
+        this.current = null; // Annotation being drawn
+        this.measurements = [];
+        this.nextId = 1;
+        this.snapPixels = 12; // Screen distance within which picks snap to a vertex
+        this.clickTolerance = 5; // Pixels a click may move before it counts as a camera drag
+        this.pointerDownPosition = null;
+        this.instructionPanel = null;
+
+        this.lineColor = new BABYLON.Color3(1, 0.6, 0);
+        this.markerMaterial = new BABYLON.StandardMaterial('measureMarkerMaterial', this.scene);
+        this.markerMaterial.emissiveColor = new BABYLON.Color3(1, 0.6, 0);
+        this.markerMaterial.disableLighting = true;
+
+        this.labelLayer = document.createElement('div');
+        this.labelLayer.className = 'measure-label-layer';
+        document.body.appendChild(this.labelLayer);
+
+        this.setupEventListeners();
+        this.scene.onAfterRenderObservable.add(() => this.updateLabelPositions());
+    }
+
+    /**
+     * Listen to canvas pointer events; they are ignored unless the tool is active
+     */
+    setupEventListeners() {
+        this.canvas.addEventListener('pointerdown', (event) => {
+            if (!this.isActive || event.button !== 0) return;
+            this.pointerDownPosition = { x: event.clientX, y: event.clientY };
+        });
+
+        this.canvas.addEventListener('pointerup', (event) => {
+            if (!this.isActive || event.button !== 0 || !this.pointerDownPosition) return;
+            const moved = Math.hypot(event.clientX - this.pointerDownPosition.x, event.clientY - this.pointerDownPosition.y);
+            this.pointerDownPosition = null;
+            if (moved > this.clickTolerance) return; // Camera drag, not a pick
+
+            const pick = this.getSnappedPoint(event.offsetX, event.offsetY);
+            if (pick) this.addPoint(pick.point);
+        });
+
+        this.canvas.addEventListener('pointermove', (event) => {
+            if (!this.isActive || this.points.length === 0) return;
+            const pick = this.getSnappedPoint(event.offsetX, event.offsetY);
+            if (pick) {
+                this.previewPoint = pick.point;
+                this.redrawCurrent();
+            }
+        });
+
+        this.canvas.addEventListener('dblclick', () => {
+            if (this.isActive) this.finish();
+        });
+    }
+
+    /**
+     * Activate the tool in a mode
+     */
+    activate(mode = this.mode) {
+        this.isActive = true;
+        this.setMode(mode);
+        this.showInstructions();
+    }
+
+    /**
+     * Deactivate the tool, dropping any unfinished measurement
+     */
+    deactivate() {
+        this.cancel();
+        this.isActive = false;
+        this.hideInstructions();
+    }
+
+    /**
+     * Switch measurement mode, dropping any unfinished measurement
+     */
+    setMode(mode) {
+        this.cancel();
+        this.mode = mode;
+        if (this.instructionPanel) {
+            this.instructionPanel.querySelectorAll('[data-measure-mode]').forEach(button => {
+                button.classList.toggle('active', button.getAttribute('data-measure-mode') === mode);
+            });
+        }
+    }
+
+    /**
+     * Show the instruction panel with mode buttons
+     */
+    showInstructions() {
+        if (!this.instructionPanel) {
+            this.instructionPanel = document.createElement('div');
+            this.instructionPanel.id = 'measure-instructions';
+            this.instructionPanel.className = 'measure-instructions';
+            this.instructionPanel.innerHTML = `
+                <div class="measure-instructions-title">📏 Measure</div>
+                <div class="measure-modes">
+                    <button data-measure-mode="path" title="Distance along one or more segments">Path</button>
+                    <button data-measure-mode="area" title="Plan area and perimeter of a closed outline">Area</button>
+                    <button data-measure-mode="height" title="Vertical difference between two points">Height</button>
+                </div>
+                <div>• Click to add points (snaps to vertices)</div>
+                <div>• <kbd>Backspace</kbd> to remove last point</div>
+                <div>• <kbd>Enter</kbd> or double-click to finish</div>
+                <div>• <kbd>Escape</kbd> to cancel</div>
+                <button id="measureClearAll" class="measure-clear">Clear measurements</button>
+            `;
+            document.body.appendChild(this.instructionPanel);
+
+            this.instructionPanel.querySelectorAll('[data-measure-mode]').forEach(button => {
+                button.addEventListener('click', () => this.setMode(button.getAttribute('data-measure-mode')));
+            });
+            this.instructionPanel.querySelector('#measureClearAll').addEventListener('click', () => this.clearAll());
+        }
+
+        this.instructionPanel.style.display = 'block';
+        this.setMode(this.mode);
+    }
+
+    /**
+     * Hide the instruction panel
+     */
+    hideInstructions() {
+        if (this.instructionPanel) {
+            this.instructionPanel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Check whether a measurement is being drawn
+     */
+    isMeasuring() {
+        return this.isActive && this.points.length > 0;
+    }
+
+    /**
+     * Pick a point under the cursor, snapping to the closest vertex of the picked mesh
+     */
+    getSnappedPoint(x, y) {
+        const pick = this.scene.pick(x, y, (mesh) => mesh.isEnabled() && mesh.isVisible && mesh.name !== 'grid' &&
+            !(mesh.metadata && (mesh.metadata.annotation || mesh.metadata.analysisOverlay)));
+
+        if (pick && pick.hit && pick.pickedMesh && pick.pickedMesh.name !== 'earth') {
+            const vertex = this.findNearestVertex(pick.pickedMesh, x, y);
+            return vertex ? { point: vertex, snapped: true } : { point: pick.pickedPoint.clone(), snapped: false };
+        }
+
+        const groundPoint = this.sceneManager.getGroundIntersection(x, y);
+        return groundPoint ? { point: groundPoint.clone(), snapped: false } : null;
+    }
+
+    /**
+     * Closest vertex of a mesh to a screen position, if within the snap distance
+     */
+    findNearestVertex(mesh, x, y) {
+        const positions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+        if (!positions) return null;
+
+        const world = mesh.computeWorldMatrix(true);
+        const transform = this.scene.getTransformMatrix();
+        const viewport = this.scene.activeCamera.viewport.toGlobal(
+            this.scene.getEngine().getRenderWidth(), this.scene.getEngine().getRenderHeight());
+
+        let best = null;
+        let bestDistance = this.snapPixels;
+        const local = new BABYLON.Vector3();
+        for (let i = 0; i < positions.length; i += 3) {
+            local.set(positions[i], positions[i + 1], positions[i + 2]);
+            const worldPoint = BABYLON.Vector3.TransformCoordinates(local, world);
+            const screen = BABYLON.Vector3.Project(worldPoint, BABYLON.Matrix.Identity(), transform, viewport);
+            const distance = Math.hypot(screen.x - x, screen.y - y);
+            if (screen.z >= 0 && screen.z <= 1 && distance < bestDistance) {
+                best = worldPoint;
+                bestDistance = distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Add a picked point to the current measurement
+     */
+    addPoint(point) {
+        // The second click of a double-click lands on the previous point
+        const last = this.points[this.points.length - 1];
+        if (last && BABYLON.Vector3.Distance(last, point) < 0.01) return;
+
+        if (!this.current) {
+            this.current = { id: this.nextId++, mode: this.mode, meshes: [], labels: [] };
+        }
+        this.points.push(point);
+        this.previewPoint = null;
+
+        // A height needs exactly two picks
+        if (this.mode === 'height' && this.points.length === 2) {
+            this.finish();
+            return;
+        }
+        this.redrawCurrent();
+    }
+
+    /**
+     * Remove the last picked point
+     */
+    removeLastPoint() {
+        if (this.points.length === 0) return false;
+        this.points.pop();
+        this.redrawCurrent();
+        return true;
+    }
+
+    /**
+     * Keep the current measurement as an annotation if it has enough points
+     */
+    finish() {
+        const needed = { path: 2, area: 3, height: 2 }[this.mode];
+        if (!this.current || this.points.length < needed) {
+            return false;
+        }
+
+        this.previewPoint = null;
+        this.current.points = this.points.slice();
+        this.current.summary = this.buildGeometry(this.current, this.current.points, true);
+        this.measurements.push(this.current);
+        console.log(`Measurement ${this.current.id}: ${this.current.summary}`);
+
+        this.current = null;
+        this.points = [];
+        return true;
+    }
+
+    /**
+     * Drop the unfinished measurement
+     */
+    cancel() {
+        if (this.current) {
+            this.disposeGeometry(this.current);
+        }
+        this.current = null;
+        this.points = [];
+        this.previewPoint = null;
+    }
+
+    /**
+     * Rebuild lines and labels of the measurement being drawn, including the preview point
+     */
+    redrawCurrent() {
+        if (!this.current) return;
+        const points = this.previewPoint ? this.points.concat([this.previewPoint]) : this.points.slice();
+        this.buildGeometry(this.current, points, false);
+    }
+
+    /**
+     * Create lines, markers and labels for a measurement; returns its summary text
+     */
+    buildGeometry(measurement, points, finished) {
+        this.disposeGeometry(measurement);
+        if (points.length === 0) return '';
+
+        points.forEach(point => this.addMarker(measurement, point));
+
+        if (measurement.mode === 'height') {
+            return this.buildHeight(measurement, points, finished);
+        }
+
+        const closed = measurement.mode === 'area' && points.length >= 3;
+        const outline = closed ? points.concat([points[0]]) : points;
+        if (outline.length >= 2) {
+            this.addLine(measurement, outline);
+        }
+
+        let length = 0;
+        for (let i = 1; i < outline.length; i++) {
+            const segment = BABYLON.Vector3.Distance(outline[i - 1], outline[i]);
+            length += segment;
+            if (measurement.mode === 'path') {
+                this.addLabel(measurement, BABYLON.Vector3.Center(outline[i - 1], outline[i]), this.formatLength(segment), false);
+            }
+        }
+
+        let summary;
+        if (measurement.mode === 'area') {
+            if (points.length < 3) return '';
+            const area = PlanGeometry.getPlanArea(points);
+            summary = `${this.formatArea(area)} · ${this.formatLength(length)} perimeter`;
+            const centre = PlanGeometry.getCentroid(points);
+            const averageY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+            this.addLabel(measurement, new BABYLON.Vector3(centre.x, averageY, centre.z), summary, finished);
+        } else {
+            summary = this.formatLength(length);
+            if (points.length > 2 || finished) {
+                this.addLabel(measurement, points[points.length - 1], `Σ ${summary}`, finished, 'measure-label-total');
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Vertical rise from the lower pick up to the higher one, then across to it
+     */
+    buildHeight(measurement, points, finished) {
+        if (points.length < 2) return '';
+
+        const [first, second] = points;
+        const lower = first.y <= second.y ? first : second;
+        const upper = lower === first ? second : first;
+        const corner = new BABYLON.Vector3(lower.x, upper.y, lower.z);
+        const height = upper.y - lower.y;
+
+        this.addLine(measurement, [lower, corner, upper]);
+        const summary = `↕ ${this.formatLength(height)}`;
+        this.addLabel(measurement, BABYLON.Vector3.Center(lower, corner), summary, finished);
+        return summary;
+    }
+
+    /**
+     * Add a line mesh drawn above the scene
+     */
+    addLine(measurement, points) {
+        const line = BABYLON.MeshBuilder.CreateLines(`measure_${measurement.id}_line`, { points: points }, this.scene);
+        line.color = this.lineColor;
+        line.renderingGroupId = 1;
+        line.isPickable = false;
+        line.metadata = { annotation: true };
+        measurement.meshes.push(line);
+    }
+
+    /**
+     * Add a small marker at a picked point
+     */
+    addMarker(measurement, point) {
+        const marker = BABYLON.MeshBuilder.CreateSphere(`measure_${measurement.id}_point`, { diameter: 0.3, segments: 8 }, this.scene);
+        marker.position = point.clone();
+        marker.material = this.markerMaterial;
+        marker.renderingGroupId = 1;
+        marker.isPickable = false;
+        marker.metadata = { annotation: true };
+        measurement.meshes.push(marker);
+    }
+
+    /**
+     * Add a screen-space label anchored to a world point; finished labels get a delete button
+     */
+    addLabel(measurement, anchor, text, deletable, extraClass = '') {
+        const label = document.createElement('div');
+        label.className = `measure-label ${extraClass}`.trim();
+        const textSpan = document.createElement('span');
+        textSpan.textContent = text;
+        label.appendChild(textSpan);
+
+        if (deletable) {
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'measure-label-delete';
+            deleteButton.title = 'Delete measurement';
+            deleteButton.textContent = '×';
+            deleteButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteMeasurement(measurement.id);
+            });
+            label.appendChild(deleteButton);
+        }
+
+        this.labelLayer.appendChild(label);
+        measurement.labels.push({ element: label, anchor: anchor.clone() });
+    }
+
+    /**
+     * Dispose the meshes and labels of a measurement
+     */
+    disposeGeometry(measurement) {
+        measurement.meshes.forEach(mesh => mesh.dispose());
+        measurement.labels.forEach(label => label.element.remove());
+        measurement.meshes = [];
+        measurement.labels = [];
+    }
+
+    /**
+     * Delete a kept measurement
+     */
+    deleteMeasurement(id) {
+        const index = this.measurements.findIndex(measurement => measurement.id === id);
+        if (index === -1) return;
+        this.disposeGeometry(this.measurements[index]);
+        this.measurements.splice(index, 1);
+    }
+
+    /**
+     * Delete every kept measurement
+     */
+    clearAll() {
+        this.cancel();
+        this.measurements.forEach(measurement => this.disposeGeometry(measurement));
+        this.measurements = [];
+    }
+
+    /**
+     * Move the labels to the screen position of their anchors
+     */
+    updateLabelPositions() {
+        const camera = this.scene.activeCamera;
+        if (!camera) return;
+
+        const all = this.current ? this.measurements.concat([this.current]) : this.measurements;
+        if (all.length === 0) return;
+
+        const engine = this.scene.getEngine();
+        const viewport = camera.viewport.toGlobal(engine.getRenderWidth(), engine.getRenderHeight());
+        const transform = this.scene.getTransformMatrix();
+        const canvasRect = this.canvas.getBoundingClientRect();
+        const scaleX = canvasRect.width / engine.getRenderWidth();
+        const scaleY = canvasRect.height / engine.getRenderHeight();
+
+        all.forEach(measurement => measurement.labels.forEach(label => {
+            const screen = BABYLON.Vector3.Project(label.anchor, BABYLON.Matrix.Identity(), transform, viewport);
+            const visible = screen.z >= 0 && screen.z <= 1;
+            label.element.style.display = visible ? '' : 'none';
+            if (visible) {
+                label.element.style.left = `${canvasRect.left + screen.x * scaleX}px`;
+                label.element.style.top = `${canvasRect.top + screen.y * scaleY}px`;
+            }
+        }));
+    }
+
+    /**
+     * Format a length in metres, switching to kilometres for long paths
+     */
+    formatLength(metres) {
+        return metres >= 1000 ? `${(metres / 1000).toFixed(3)} km` : `${metres.toFixed(2)} m`;
+    }
+
+    /**
+     * Format an area in square metres, switching to hectares for large areas
+     */
+    formatArea(squareMetres) {
+        return squareMetres >= 10000 ? `${(squareMetres / 10000).toFixed(3)} ha` : `${squareMetres.toFixed(1)} m²`;
+    }
+}
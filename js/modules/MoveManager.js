@@ -32,6 +32,10 @@ class MoveManager {
         
         // Observer setup flags
         this.observersSetup = false;
+
+        // Callbacks for drag start/end (used for undo history)
+        this.onDragStarted = null;
+        this.onDragEnded = null;
     }
 
 
@@ -92,6 +96,10 @@ class MoveManager {
      */
     onDragStart() {
         const selectedObjects = this.selectionManager.getSelectedObjects();
+
+        if (this.onDragStarted) {
+            this.onDragStarted(selectedObjects);
+        }
         
         if (selectedObjects.length > 1 && this.multiObjectCenter) {
             // Store original positions for multi-object movement
@@ -197,6 +205,10 @@ class MoveManager {
                 window.digitalTwinApp.lightingManager.autoAdjustShadowFrustum();
             }, 100);
         }
+
+        if (this.onDragEnded) {
+            this.onDragEnded(selectedObjects);
+        }
     }
 
 
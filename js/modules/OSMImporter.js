@@ -0,0 +1,268 @@
+/**
+ * OSMImporter - Converts OpenStreetMap .osm XML extracts to GeoJSON features
+ * and hands them to GeoJSONManager, so both formats create the same object types
+ */
+class OSMImporter {
+    constructor(geoJSONManager) {
+        this.geoJSONManager = geoJSONManager;
+
+        // Tags that make a closed way an area rather than a closed line
+        this.areaKeys = ['building', 'building:part', 'landuse', 'leisure', 'natural', 'amenity', 'place'];
+        this.areaWaterways = ['riverbank', 'dock', 'boatyard'];
+    }
+
+    /**
+     * Import .osm XML text into the scene; returns GeoJSONManager's import result
+     */
+    importText(xmlText, useDataCentre = false) {
+        const osm = this.parse(xmlText);
+        const collection = this.toGeoJSON(osm);
+        console.log(`OSM extract: ${osm.nodes.size} nodes, ${osm.ways.size} ways, ${osm.relations.length} relations, ${collection.features.length} features`);
+        return this.geoJSONManager.importData(collection, useDataCentre);
+    }
+
+    /**
+     * Parse .osm XML into node positions, ways and relations
+     */
+    parse(xmlText) {
+        const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0 || !doc.documentElement || doc.documentElement.nodeName !== 'osm') {
+            throw new Error('The file is not a valid OSM XML extract');
+        }
+
+        const nodes = new Map();
+        Array.from(doc.getElementsByTagName('node')).forEach(element => {
+            const lat = parseFloat(element.getAttribute('lat'));
+            const lon = parseFloat(element.getAttribute('lon'));
+            if (isFinite(lat) && isFinite(lon)) {
+                nodes.set(element.getAttribute('id'), [lon, lat]);
+            }
+        });
+
+        const ways = new Map();
+        Array.from(doc.getElementsByTagName('way')).forEach(element => {
+            ways.set(element.getAttribute('id'), {
+                id: element.getAttribute('id'),
+                nodeRefs: Array.from(element.getElementsByTagName('nd')).map(nd => nd.getAttribute('ref')),
+                tags: this.readTags(element)
+            });
+        });
+
+        const relations = Array.from(doc.getElementsByTagName('relation')).map(element => ({
+            id: element.getAttribute('id'),
+            members: Array.from(element.getElementsByTagName('member')).map(member => ({
+                type: member.getAttribute('type'),
+                ref: member.getAttribute('ref'),
+                role: member.getAttribute('role') || ''
+            })),
+            tags: this.readTags(element)
+        }));
+
+        return { nodes: nodes, ways: ways, relations: relations };
+    }
+
+    /**
+     * Read the <tag k v> children of an element into a plain object
+     */
+    readTags(element) {
+        const tags = {};
+        Array.from(element.getElementsByTagName('tag')).forEach(tag => {
+            tags[tag.getAttribute('k')] = tag.getAttribute('v');
+        });
+        return tags;
+    }
+
+    /**
+     * Convert parsed OSM data to a GeoJSON FeatureCollection
+     */
+    toGeoJSON(osm) {
+        const features = [];
+        const coveredWays = new Set(); // Outer ways already represented by a relation
+        const coveredRelations = new Set(); // Multipolygons already used as a building outline
+
+        // Building relations first, so they can take over their outline way or multipolygon
+        osm.relations.forEach(relation => {
+            if (relation.tags.type !== 'building') return;
+
+            const feature = this.buildingRelationToFeature(relation, osm, coveredWays, coveredRelations);
+            if (feature) {
+                features.push(feature);
+            }
+        });
+
+        osm.relations.forEach(relation => {
+            if (relation.tags.type !== 'multipolygon' || coveredRelations.has(relation.id)) return;
+
+            const feature = this.relationToFeature(relation, osm, coveredWays);
+            if (feature) {
+                features.push(feature);
+            }
+        });
+
+        osm.ways.forEach(way => {
+            if (coveredWays.has(way.id)) return;
+            if (!this.geoJSONManager.classifyFeature(way.tags)) return;
+
+            const coordinates = this.resolveNodes(way.nodeRefs, osm.nodes);
+            if (coordinates.length < 2) return;
+
+            const closed = way.nodeRefs.length > 3 && way.nodeRefs[0] === way.nodeRefs[way.nodeRefs.length - 1];
+            const geometry = closed && this.isArea(way.tags)
+                ? { type: 'Polygon', coordinates: [coordinates] }
+                : { type: 'LineString', coordinates: coordinates };
+
+            features.push({ type: 'Feature', id: `way/${way.id}`, properties: way.tags, geometry: geometry });
+        });
+
+        return { type: 'FeatureCollection', features: features };
+    }
+
+    /**
+     * Check whether a closed way's tags describe an area
+     */
+    isArea(tags) {
+        if (tags.area === 'yes') return true;
+        if (tags.area === 'no') return false;
+        if (this.areaWaterways.includes(tags.waterway)) return true;
+        return this.areaKeys.some(key => tags[key] !== undefined);
+    }
+
+    /**
+     * Turn a type=building relation into one building from its outline member
+     * The building:part members overlap the outline, so they are not imported
+     */
+    buildingRelationToFeature(relation, osm, coveredWays, coveredRelations) {
+        const outline = relation.members.find(member => member.role === 'outline');
+        if (!outline) return null;
+
+        const relationTags = Object.assign({}, relation.tags);
+        delete relationTags.type;
+        const buildingTags = tags => {
+            const merged = Object.assign({}, relationTags, tags);
+            delete merged.type;
+            if (this.geoJSONManager.classifyFeature(merged) !== 'building') {
+                merged.building = 'yes';
+            }
+            return merged;
+        };
+
+        if (outline.type === 'way' && osm.ways.has(outline.ref)) {
+            const way = osm.ways.get(outline.ref);
+            const closed = way.nodeRefs.length > 3 && way.nodeRefs[0] === way.nodeRefs[way.nodeRefs.length - 1];
+            const coordinates = this.resolveNodes(way.nodeRefs, osm.nodes);
+            if (!closed || coordinates.length < 4) return null;
+
+            coveredWays.add(way.id);
+            return {
+                type: 'Feature',
+                id: `relation/${relation.id}`,
+                properties: buildingTags(way.tags),
+                geometry: { type: 'Polygon', coordinates: [coordinates] }
+            };
+        }
+
+        const multipolygon = outline.type === 'relation' ? osm.relations.find(r => r.id === outline.ref) : null;
+        if (!multipolygon) return null;
+
+        coveredRelations.add(multipolygon.id);
+        const outlineRelation = Object.assign({}, multipolygon, { tags: buildingTags(multipolygon.tags) });
+        const feature = this.relationToFeature(outlineRelation, osm, coveredWays);
+        if (feature) {
+            feature.id = `relation/${relation.id}`;
+        }
+        return feature;
+    }
+
+    /**
+     * Assemble a multipolygon relation into a (Multi)Polygon feature with inner rings
+     */
+    relationToFeature(relation, osm, coveredWays) {
+        const outerWays = [];
+        const innerWays = [];
+        relation.members.forEach(member => {
+            if (member.type !== 'way' || !osm.ways.has(member.ref)) return;
+            const way = osm.ways.get(member.ref);
+            if (member.role === 'inner') {
+                innerWays.push(way);
+            } else {
+                outerWays.push(way);
+            }
+        });
+        if (outerWays.length === 0) return null;
+
+        // Old-style multipolygons keep their tags on the outer way
+        let tags = Object.assign({}, relation.tags);
+        delete tags.type;
+        if (!this.geoJSONManager.classifyFeature(tags)) {
+            tags = Object.assign({}, outerWays[0].tags);
+        }
+        if (!this.geoJSONManager.classifyFeature(tags)) return null;
+
+        const outerRings = this.assembleRings(outerWays, osm.nodes);
+        const innerRings = this.assembleRings(innerWays, osm.nodes);
+        if (outerRings.length === 0) return null;
+
+        // Outer ways without their own meaning are drawn by the relation only
+        outerWays.forEach(way => {
+            const ownType = this.geoJSONManager.classifyFeature(way.tags);
+            if (!ownType || ownType === this.geoJSONManager.classifyFeature(tags)) {
+                coveredWays.add(way.id);
+            }
+        });
+
+        // Each inner ring belongs to the outer ring that contains it
+        const polygons = outerRings.map(ring => [ring]);
+        innerRings.forEach(inner => {
+            const point = { x: inner[0][0], z: inner[0][1] };
+            const owner = polygons.find(polygon => PlanGeometry.pointInPolygon(point, polygon[0].map(([x, z]) => ({ x: x, z: z }))));
+            if (owner) {
+                owner.push(inner);
+            }
+        });
+
+        const geometry = polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons };
+        return { type: 'Feature', id: `relation/${relation.id}`, properties: tags, geometry: geometry };
+    }
+
+    /**
+     * Join way segments end to end into closed rings; open leftovers are dropped
+     */
+    assembleRings(ways, nodes) {
+        const segments = ways.map(way => way.nodeRefs.slice()).filter(refs => refs.length >= 2);
+        const rings = [];
+
+        while (segments.length > 0) {
+            let ring = segments.shift();
+
+            while (ring[0] !== ring[ring.length - 1]) {
+                const end = ring[ring.length - 1];
+                const index = segments.findIndex(refs => refs[0] === end || refs[refs.length - 1] === end);
+                if (index === -1) break;
+
+                const next = segments.splice(index, 1)[0];
+                const oriented = next[0] === end ? next : next.slice().reverse();
+                ring = ring.concat(oriented.slice(1));
+            }
+
+            if (ring.length > 3 && ring[0] === ring[ring.length - 1]) {
+                const coordinates = this.resolveNodes(ring, nodes);
+                if (coordinates.length > 3) {
+                    rings.push(coordinates);
+                }
+            } else {
+                console.warn('OSM import: dropped an unclosed multipolygon ring');
+            }
+        }
+
+        return rings;
+    }
+
+    /**
+     * Look up [lon, lat] for node references, skipping nodes missing from the extract
+     */
+    resolveNodes(nodeRefs, nodes) {
+        return nodeRefs.filter(ref => nodes.has(ref)).map(ref => nodes.get(ref));
+    }
+}
@@ -164,6 +164,9 @@ class ObjectListManager {
                    !mesh.name.includes('__root__') &&
                    !mesh.name.includes('grid') &&
                    mesh.name !== 'earth' &&
+                   !(mesh.metadata && mesh.metadata.analysisOverlay) && // Exclude analysis heatmaps
+                   !(mesh.metadata && mesh.metadata.annotation) && // Exclude measurement annotations
+                   !(mesh.metadata && (mesh.metadata.roof || mesh.metadata.volumes)) && // Roofs and volumes are listed with their building
                    !mesh.name.startsWith('tree_') && // Exclude tree meshes (they're handled separately)
                    !mesh.name.includes('_tree_') && // Also exclude tree mesh parts
                    !buildingMeshes.includes(mesh); // Exclude buildings (they're handled separately)
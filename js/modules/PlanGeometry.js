@@ -0,0 +1,79 @@
+/**
+ * PlanGeometry - Plan (XZ) geometry shared by the drawing, analysis, import and generation modules
+ * Outlines are closed rings of points with x and z (Vector3 or plain {x, z}) without a repeated first point
+ */
+class PlanGeometry {
+    /**
+     * Signed area of an outline (shoelace formula), positive when counter-clockwise seen from above
+     */
+    static getSignedArea(points) {
+        let area = 0;
+        points.forEach((p, i) => {
+            const next = points[(i + 1) % points.length];
+            area += p.x * next.z - next.x * p.z;
+        });
+        return area / 2;
+    }
+
+    /**
+     * Area of an outline, whatever its winding
+     */
+    static getPlanArea(points) {
+        return Math.abs(PlanGeometry.getSignedArea(points));
+    }
+
+    /**
+     * Area centroid of an outline as {x, z}; the average of the points when the outline has no area
+     */
+    static getCentroid(points) {
+        let area = 0;
+        let x = 0;
+        let z = 0;
+        points.forEach((p, i) => {
+            const next = points[(i + 1) % points.length];
+            const cross = p.x * next.z - next.x * p.z;
+            area += cross;
+            x += (p.x + next.x) * cross;
+            z += (p.z + next.z) * cross;
+        });
+        if (Math.abs(area) < 1e-9) {
+            return {
+                x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+                z: points.reduce((sum, p) => sum + p.z, 0) / points.length
+            };
+        }
+        return { x: x / (3 * area), z: z / (3 * area) };
+    }
+
+    /**
+     * Even-odd (ray casting) test of a point against an outline
+     */
+    static pointInPolygon(point, outline) {
+        let inside = false;
+        for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+            const a = outline[i];
+            const b = outline[j];
+            if ((a.z > point.z) !== (b.z > point.z) &&
+                point.x < (b.x - a.x) * (point.z - a.z) / (b.z - a.z) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Distance from a point to the closest edge of an outline
+     */
+    static distanceToOutline(point, outline) {
+        let best = Infinity;
+        outline.forEach((a, i) => {
+            const b = outline[(i + 1) % outline.length];
+            const dx = b.x - a.x;
+            const dz = b.z - a.z;
+            const lengthSquared = dx * dx + dz * dz;
+            const t = lengthSquared > 0 ? Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.z - a.z) * dz) / lengthSquared)) : 0;
+            best = Math.min(best, Math.hypot(a.x + dx * t - point.x, a.z + dz * t - point.z));
+        });
+        return best;
+    }
+}
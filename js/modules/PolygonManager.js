@@ -16,10 +16,13 @@ class PolygonManager {
         this.maxPoints = 20; // Maximum points for a polygon
         this.snapDistance = 1.0; // Distance for snapping to first point
         this.isSnappedToFirst = false; // Whether mouse is snapped to first point
+        this.holeTarget = null; // Completed polygon that receives the ring being drawn as a hole
+        this.closedOutline = true; // Vertex editing wraps from the last point back to the first
         
         // Callback for when polygon is completed
         this.onPolygonCompleted = null;
         this.onPolygonCancelled = null;
+        this.onHoleRejected = null; // Called with a message when a drawn hole is not valid
         
         // Material for polygon
         this.polygonMaterial = new BABYLON.StandardMaterial("polygonMaterial", this.scene);
@@ -62,9 +65,45 @@ class PolygonManager {
         this.isCurrentlyDrawing = false;
         this.points = [];
         this.isSnappedToFirst = false;
+        this.releaseHoleTarget();
         this.clearPreview();
     }
 
+    /**
+     * Check whether a polygon can take holes (drawn 3D polygons that keep their outline points)
+     * @param {BABYLON.Mesh} polygon - Polygon mesh
+     * @returns {boolean} True if holes can be drawn inside it
+     */
+    canHaveHoles(polygon) {
+        return !!(polygon && !polygon.isDisposed() && polygon.userData && polygon.userData.is3D &&
+            polygon.userData.points && polygon.userData.points.length >= this.minPoints);
+    }
+
+    /**
+     * Start drawing an inner ring (hole) inside a completed polygon
+     * @param {BABYLON.Mesh} polygon - Polygon that receives the hole
+     * @returns {boolean} True if drawing started
+     */
+    startHoleDrawing(polygon) {
+        if (!this.canHaveHoles(polygon)) return false;
+
+        this.startDrawing();
+        this.holeTarget = polygon;
+        // See-through while drawing so the ring stays visible inside raised polygons
+        polygon.visibility = 0.4;
+        return true;
+    }
+
+    /**
+     * Stop treating the current drawing as a hole and restore the target polygon
+     */
+    releaseHoleTarget() {
+        if (this.holeTarget && !this.holeTarget.isDisposed()) {
+            this.holeTarget.visibility = 1;
+        }
+        this.holeTarget = null;
+    }
+
     /**
      * Add a point to the current polygon
      * @param {BABYLON.Vector3} point - The point to add
@@ -293,6 +332,9 @@ class PolygonManager {
      * Redraw the polygon based on current points
      */
     redrawPolygon() {
+        // Holes are previewed by their outline only
+        if (this.holeTarget) return;
+
         if (this.points.length < this.minPoints) {
             // Clear polygon if not enough points
             if (this.currentPolygon) {
@@ -348,17 +390,18 @@ class PolygonManager {
     /**
      * Create custom polygon mesh
      * @param {BABYLON.Vector3[]} relativePoints - Points relative to center
+     * @param {BABYLON.Vector3[][]} holes - Inner rings relative to the same center (optional)
      * @returns {BABYLON.Mesh} The polygon mesh
      */
-    createCustomPolygonMesh(relativePoints) {
+    createCustomPolygonMesh(relativePoints, holes = []) {
         // Create vertices array
         const positions = [];
         const indices = [];
         const normals = [];
         const uvs = [];
 
-        // Add polygon vertices (no center point needed)
-        relativePoints.forEach((point, index) => {
+        // Add polygon vertices (no center point needed), hole vertices follow the outer ring
+        relativePoints.concat(...holes).forEach((point, index) => {
             positions.push(point.x, 0.01, point.z);
             normals.push(0, 1, 0); // Normal pointing upward
             
@@ -369,7 +412,7 @@ class PolygonManager {
         });
 
         // Create triangles using proper polygon triangulation
-        this.triangulatePolygon(relativePoints, indices);
+        this.triangulatePolygon(relativePoints, indices, holes);
 
         // Create the mesh with a temporary name (will be set by caller)
         const mesh = new BABYLON.Mesh("temp_polygon", this.scene);
@@ -389,8 +432,12 @@ class PolygonManager {
 
     /**
      * Create 3D polygon mesh with height using extrusion
+     * @param {BABYLON.Vector3[]} relativePoints - Outer ring relative to center
+     * @param {string} name - Mesh name
+     * @param {number} height - Extrusion height
+     * @param {BABYLON.Vector3[][]} holes - Inner rings relative to the same center (optional)
      */
-    create3DPolygonWithHeight(relativePoints, name, height) {
+    create3DPolygonWithHeight(relativePoints, name, height, holes = []) {
         // Create 3D extrusion directly using PolygonMeshBuilder
         const scene = this.scene;
         
@@ -398,7 +445,9 @@ class PolygonManager {
         const shape2D = relativePoints.map(p => new BABYLON.Vector2(p.x, p.z));
         
         // Create polygon mesh using PolygonMeshBuilder with earcut
+        // Holes get their own walls, so courtyards are enclosed on every side
         const builder = new BABYLON.PolygonMeshBuilder(name, shape2D, scene, earcut);
+        holes.forEach(hole => builder.addHole(hole.map(p => new BABYLON.Vector2(p.x, p.z))));
         const mesh = builder.build(false, height);
         
         // Position the mesh so the base is at y=0 and top is at y=height
@@ -505,18 +554,22 @@ class PolygonManager {
      * Triangulate a polygon using earcut library for better complex polygon support
      * @param {BABYLON.Vector3[]} points - Polygon vertices
      * @param {number[]} indices - Array to store triangle indices
+     * @param {BABYLON.Vector3[][]} holes - Inner rings, indexed after the outer vertices (optional)
      */
-    triangulatePolygon(points, indices) {
+    triangulatePolygon(points, indices, holes = []) {
         if (points.length < 3) return;
         
         // Check if earcut is available
         if (typeof earcut !== 'undefined') {
-            this.triangulateWithEarcut(points, indices);
+            this.triangulateWithEarcut(points, indices, holes);
             return;
         }
         
         // Fallback to original ear clipping algorithm
         console.warn('Earcut library not available, using fallback triangulation');
+        if (holes.length > 0) {
+            console.warn('Fallback triangulation cannot cut holes, filling them');
+        }
         this.triangulateWithEarClipping(points, indices);
     }
 
@@ -524,16 +577,26 @@ class PolygonManager {
      * Triangulate using earcut library (preferred method)
      * @param {BABYLON.Vector3[]} points - Polygon vertices
      * @param {number[]} indices - Array to store triangle indices
+     * @param {BABYLON.Vector3[][]} holes - Inner rings, indexed after the outer vertices (optional)
      */
-    triangulateWithEarcut(points, indices) {
+    triangulateWithEarcut(points, indices, holes = []) {
         // Convert 3D points to 2D coordinates for earcut
         const flatPoints = [];
         points.forEach(point => {
             flatPoints.push(point.x, point.z);
         });
+
+        // Earcut takes holes as start vertex indices into the same flat array
+        const holeIndices = [];
+        holes.forEach(hole => {
+            holeIndices.push(flatPoints.length / 2);
+            hole.forEach(point => {
+                flatPoints.push(point.x, point.z);
+            });
+        });
         
         // Use earcut to triangulate
-        const triangles = earcut(flatPoints);
+        const triangles = earcut(flatPoints, holeIndices.length > 0 ? holeIndices : null);
         
         // Convert earcut indices to our mesh indices (reverse order for upward normals)
         for (let i = 0; i < triangles.length; i += 3) {
@@ -1086,31 +1149,33 @@ class PolygonManager {
 
     /**
      * Calculate polygon dimensions (area, perimeter, vertices)
+     * @param {BABYLON.Vector3[]} points - Points to measure (optional, defaults to the points being drawn)
      * @returns {Object} Dimensions object
      */
-    calculatePolygonDimensions() {
+    calculatePolygonDimensions(points = null) {
+        const pointList = points || this.points;
         const dimensions = {
             area: 0,
             perimeter: 0,
-            vertices: this.points.length
+            vertices: pointList.length
         };
 
-        if (this.points.length < 3) return dimensions;
+        if (pointList.length < 3) return dimensions;
 
         // Calculate perimeter
         let perimeter = 0;
-        for (let i = 0; i < this.points.length; i++) {
-            const current = this.points[i];
-            const next = this.points[(i + 1) % this.points.length];
+        for (let i = 0; i < pointList.length; i++) {
+            const current = pointList[i];
+            const next = pointList[(i + 1) % pointList.length];
             perimeter += BABYLON.Vector3.Distance(current, next);
         }
         dimensions.perimeter = perimeter.toFixed(2);
 
         // Calculate area using shoelace formula
         let area = 0;
-        for (let i = 0; i < this.points.length; i++) {
-            const current = this.points[i];
-            const next = this.points[(i + 1) % this.points.length];
+        for (let i = 0; i < pointList.length; i++) {
+            const current = pointList[i];
+            const next = pointList[(i + 1) % pointList.length];
             area += current.x * next.z - next.x * current.z;
         }
         area = Math.abs(area) / 2;
@@ -1188,6 +1253,11 @@ class PolygonManager {
     completePolygon() {
         if (this.points.length < this.minPoints) return;
 
+        if (this.holeTarget) {
+            this.completeHole();
+            return;
+        }
+
         // Clear preview
         this.clearPreview();
 
@@ -1262,6 +1332,231 @@ class PolygonManager {
         }
     }
 
+    /**
+     * Close the ring being drawn and cut it out of the target polygon
+     */
+    completeHole() {
+        const polygon = this.holeTarget;
+        const ring = this.toPolygonLocal(polygon, this.cleanupPolygonPoints(this.points));
+        const error = this.validateHole(polygon, ring);
+        if (error) {
+            // Keep the points so the ring can be fixed with Backspace
+            this.isSnappedToFirst = false;
+            if (this.onHoleRejected) {
+                this.onHoleRejected(error);
+            }
+            return;
+        }
+
+        polygon.userData.holes = (polygon.userData.holes || []).concat([ring.map(p => [p.x, p.z])]);
+        this.rebuildPolygonGeometry(polygon);
+
+        this.clearPreview();
+        this.releaseHoleTarget();
+        this.points = [];
+        this.isSnappedToFirst = false;
+        this.isCurrentlyDrawing = false;
+
+        if (this.onPolygonCompleted) {
+            this.onPolygonCompleted(polygon);
+        }
+    }
+
+    /**
+     * Remove every hole from a polygon
+     * @param {BABYLON.Mesh} polygon - Polygon mesh
+     * @returns {boolean} True if holes were removed
+     */
+    clearHoles(polygon) {
+        if (!this.canHaveHoles(polygon) || !polygon.userData.holes || polygon.userData.holes.length === 0) {
+            return false;
+        }
+        delete polygon.userData.holes;
+        this.rebuildPolygonGeometry(polygon);
+        return true;
+    }
+
+    /**
+     * Get the holes of a polygon as rings of local points
+     * @param {BABYLON.Mesh} polygon - Polygon mesh
+     * @returns {BABYLON.Vector3[][]} Inner rings relative to the polygon center
+     */
+    getHoles(polygon) {
+        const holes = polygon && polygon.userData ? polygon.userData.holes : null;
+        if (!holes) return [];
+        return holes.map(ring => ring.map(([x, z]) => new BABYLON.Vector3(x, 0, z)));
+    }
+
+    /**
+     * Convert world points to the polygon's local (center-relative) plane
+     * @param {BABYLON.Mesh} polygon - Polygon mesh
+     * @param {BABYLON.Vector3[]} points - World points
+     * @returns {BABYLON.Vector3[]} Local points with y = 0
+     */
+    toPolygonLocal(polygon, points) {
+        const inverse = polygon.computeWorldMatrix(true).clone().invert();
+        return points.map(point => {
+            const local = BABYLON.Vector3.TransformCoordinates(new BABYLON.Vector3(point.x, 0, point.z), inverse);
+            return new BABYLON.Vector3(local.x, 0, local.z);
+        });
+    }
+
+    /**
+     * Check a new hole against the polygon outline and its existing holes
+     * @param {BABYLON.Mesh} polygon - Polygon mesh
+     * @param {BABYLON.Vector3[]} ring - Local hole points
+     * @returns {string|null} Reason the hole is rejected, or null if it is valid
+     */
+    validateHole(polygon, ring) {
+        if (ring.length < this.minPoints || this.hasSelfIntersections(ring)) {
+            return 'A hole needs at least 3 points and must not cross itself.';
+        }
+
+        const center = this.calculateCenter(polygon.userData.points);
+        const outline = polygon.userData.points.map(p => new BABYLON.Vector3(p.x - center.x, 0, p.z - center.z));
+        if (!ring.every(p => PlanGeometry.pointInPolygon(p, outline)) || this.ringsCross(ring, outline)) {
+            return 'A hole must lie completely inside the polygon.';
+        }
+
+        const overlaps = this.getHoles(polygon).some(hole =>
+            this.ringsCross(ring, hole) || PlanGeometry.pointInPolygon(ring[0], hole) || PlanGeometry.pointInPolygon(hole[0], ring)
+        );
+        if (overlaps) {
+            return 'Holes must not overlap each other.';
+        }
+        return null;
+    }
+
+    /**
+     * Check whether any edge of one ring crosses an edge of another
+     */
+    ringsCross(ringA, ringB) {
+        return ringA.some((a1, i) => {
+            const a2 = ringA[(i + 1) % ringA.length];
+            return ringB.some((b1, j) => this.linesIntersect(a1, a2, b1, ringB[(j + 1) % ringB.length]));
+        });
+    }
+
+    /**
+     * Rebuild a drawn polygon's geometry from its outline and holes, keeping the mesh and its transform
+     * @param {BABYLON.Mesh} polygon - Polygon mesh
+     */
+    rebuildPolygonGeometry(polygon) {
+        const center = this.calculateCenter(polygon.userData.points);
+        const relativePoints = polygon.userData.points.map(point => point.subtract(center));
+        const built = this.create3DPolygonWithHeight(relativePoints, `${polygon.name}_rebuild`, polygon.userData.originalHeight || 0.1, this.getHoles(polygon));
+
+        BABYLON.VertexData.ExtractFromMesh(built).applyToMesh(polygon);
+        built.dispose();
+        polygon.refreshBoundingInfo();
+
+        if (polygon.edgesRenderer) {
+            polygon.disableEdgesRendering();
+            polygon.enableEdgesRendering();
+        }
+    }
+
+    /**
+     * Rebuild an imported or generated polygon (flat base plus optional extrusion) from its outline and holes
+     * @param {BABYLON.Mesh} polygon - Base polygon mesh
+     */
+    rebuildFlatPolygonGeometry(polygon) {
+        const points = polygon.userData.points;
+        const center = this.calculateCenter(points);
+        const relativePoints = points.map(point => point.subtract(center));
+        const holes = this.getHoles(polygon);
+
+        const base = this.uiManager.createCustomPolygonMesh(relativePoints, holes);
+        BABYLON.VertexData.ExtractFromMesh(base).applyToMesh(polygon);
+        base.dispose();
+        polygon.refreshBoundingInfo();
+
+        const extrusion = polygon.extrusion;
+        if (!extrusion || extrusion.isDisposed()) return;
+
+        // Same winding as attachPolygonExtrusion so the flipped side walls face outwards
+        const extrusionPoints = this.uiManager.ensureCounterClockwiseForExtrusion(points)
+            .map(point => new BABYLON.Vector3(point.x - center.x, 0, point.z - center.z));
+        const body = this.uiManager.createCustomPolygonExtrusion(`${extrusion.name}_rebuild`, extrusionPoints, extrusion.userData.buildingHeight, holes);
+        BABYLON.VertexData.ExtractFromMesh(body).applyToMesh(extrusion);
+        body.dispose();
+        extrusion.refreshBoundingInfo();
+
+        extrusion.userData.points = points;
+        extrusion.userData.holes = polygon.userData.holes;
+    }
+
+    /**
+     * Check whether a completed polygon's outline can be edited point by point
+     * @param {BABYLON.Mesh} polygon - Polygon mesh
+     * @returns {boolean} True for drawn, imported and generated polygons
+     */
+    canEditOutline(polygon) {
+        return !!(polygon && !polygon.isDisposed() && polygon.userData && !polygon.basePolygon &&
+            polygon.userData.points && polygon.userData.points.length >= this.minPoints);
+    }
+
+    /**
+     * Get a polygon's outline in its local (center-relative) plane
+     * @param {BABYLON.Mesh} polygon - Polygon mesh
+     * @returns {BABYLON.Vector3[]} Local outline points with y = 0
+     */
+    getOutline(polygon) {
+        const center = this.calculateCenter(polygon.userData.points);
+        return polygon.userData.points.map(p => new BABYLON.Vector3(p.x - center.x, 0, p.z - center.z));
+    }
+
+    /**
+     * Check a new outline against itself and the polygon's holes
+     * @param {BABYLON.Mesh} polygon - Polygon mesh
+     * @param {BABYLON.Vector3[]} outline - Local outline points
+     * @returns {string|null} Reason the outline is rejected, or null if it is valid
+     */
+    validateOutline(polygon, outline) {
+        if (outline.length < this.minPoints) {
+            return 'A polygon needs at least 3 points.';
+        }
+        if (this.hasSelfIntersections(outline)) {
+            return 'The outline must not cross itself.';
+        }
+
+        // Holes are stored relative to the current center; the outline may have shifted it
+        const center = this.calculateCenter(this.getOutline(polygon));
+        const holes = this.getHoles(polygon).map(hole => hole.map(p => p.add(center)));
+        if (holes.some(hole => !hole.every(p => PlanGeometry.pointInPolygon(p, outline)) || this.ringsCross(hole, outline))) {
+            return 'Holes must stay inside the outline.';
+        }
+        return null;
+    }
+
+    /**
+     * Replace a completed polygon's outline, keeping its mesh, name, material, type and height
+     * @param {BABYLON.Mesh} polygon - Drawn, imported or generated polygon
+     * @param {BABYLON.Vector3[]} outline - New outline in the polygon's local plane
+     */
+    setOutline(polygon, outline) {
+        const oldCenter = this.calculateCenter(polygon.userData.points);
+        const shift = this.calculateCenter(outline);
+        const y = polygon.userData.points[0].y;
+
+        // Mesh origins sit on the average outline point, so move the origin by however much that changed
+        const world = polygon.computeWorldMatrix(true);
+        polygon.position.addInPlace(BABYLON.Vector3.TransformNormal(shift, world));
+
+        polygon.userData.points = outline.map(p => new BABYLON.Vector3(oldCenter.x + p.x, y, oldCenter.z + p.z));
+        if (polygon.userData.holes) {
+            polygon.userData.holes = polygon.userData.holes.map(ring => ring.map(([x, z]) => [x - shift.x, z - shift.z]));
+        }
+
+        if (polygon.userData.is3D) {
+            polygon.userData.dimensions = this.calculatePolygonDimensions(polygon.userData.points);
+            this.rebuildPolygonGeometry(polygon);
+        } else {
+            this.rebuildFlatPolygonGeometry(polygon);
+        }
+        polygon.computeWorldMatrix(true);
+    }
+
     /**
      * Clear all manually drawn polygons from the scene
      * (Generated polygons are handled by BuildingGenerator)
@@ -1313,6 +1608,7 @@ class PolygonManager {
         this.points = [];
         this.isSnappedToFirst = false;
         this.isCurrentlyDrawing = false;
+        this.releaseHoleTarget();
         
         // Call cancellation callback
         if (this.onPolygonCancelled) {
@@ -0,0 +1,515 @@
+/**
+ * PolylineManager - Draws roads, paths and rivers as flat ribbons along a centreline
+ * The centreline is stored relative to the mesh origin, so ribbons can be rebuilt with a new width or new points
+ */
+class PolylineManager {
+    constructor(scene, sceneManager, uiManager) {
+        this.scene = scene;
+        this.sceneManager = sceneManager;
+        this.uiManager = uiManager;
+        this.canvas = scene.getEngine().getRenderingCanvas();
+
+        this.isActive = false;
+        this.points = [];
+        this.previewPoint = null;
+        this.previewMeshes = [];
+        this.pointerDownPosition = null;
+        this.clickTolerance = 5; // Pixels a click may move before it counts as a camera drag
+        this.instructionPanel = null;
+
+        this.presets = {
+            road: { label: 'Road', type: 'highway', width: 6 },
+            path: { label: 'Path', type: 'highway', width: 2 },
+            river: { label: 'River', type: 'waterway', width: 8 }
+        };
+        this.preset = 'road';
+        this.width = this.presets.road.width;
+        this.minWidth = 0.5;
+        this.maxWidth = 100;
+        this.minPoints = 2;
+        this.closedOutline = false; // Vertex editing treats the centreline as an open line
+        this.joinStep = Math.PI / 12; // Largest arc angle per triangle in rounded joins
+        this.surfaceOffset = 0.03; // Lift above the ground and flat polygons to avoid z-fighting
+
+        // Called with the new mesh when a drawn polyline is finished
+        this.onPolylineCreated = null;
+
+        this.previewMaterial = new BABYLON.StandardMaterial('polylinePreviewMaterial', this.scene);
+        this.previewMaterial.diffuseColor = new BABYLON.Color3(0.4, 0.4, 0.4);
+        this.previewMaterial.alpha = 0.6;
+        this.previewMaterial.backFaceCulling = false;
+        this.lineColor = new BABYLON.Color3(1, 1, 0.2);
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Listen to canvas pointer events; they are ignored unless the tool is active
+     */
+    setupEventListeners() {
+        this.canvas.addEventListener('pointerdown', (event) => {
+            if (!this.isActive || event.button !== 0) return;
+            this.pointerDownPosition = { x: event.clientX, y: event.clientY };
+        });
+
+        this.canvas.addEventListener('pointerup', (event) => {
+            if (!this.isActive || event.button !== 0 || !this.pointerDownPosition) return;
+            const moved = Math.hypot(event.clientX - this.pointerDownPosition.x, event.clientY - this.pointerDownPosition.y);
+            this.pointerDownPosition = null;
+            if (moved > this.clickTolerance) return; // Camera drag, not a click
+
+            const point = this.sceneManager.getGroundIntersection(event.offsetX, event.offsetY);
+            if (point) this.addPoint(point);
+        });
+
+        this.canvas.addEventListener('pointermove', (event) => {
+            if (!this.isActive || this.points.length === 0) return;
+            const point = this.sceneManager.getGroundIntersection(event.offsetX, event.offsetY);
+            if (point) {
+                this.previewPoint = point.clone();
+                this.redrawPreview();
+            }
+        });
+
+        this.canvas.addEventListener('dblclick', () => {
+            if (this.isActive) this.finish();
+        });
+    }
+
+    /**
+     * Activate the tool
+     */
+    activate() {
+        this.isActive = true;
+        this.showInstructions();
+    }
+
+    /**
+     * Deactivate the tool, dropping any unfinished line
+     */
+    deactivate() {
+        this.cancel();
+        this.isActive = false;
+        this.hideInstructions();
+    }
+
+    /**
+     * Check whether a line is being drawn
+     */
+    isDrawing() {
+        return this.isActive && this.points.length > 0;
+    }
+
+    /**
+     * Pick a preset (type and default width) for the next line
+     */
+    setPreset(name) {
+        if (!this.presets[name]) return;
+        this.preset = name;
+        this.setDrawingWidth(this.presets[name].width);
+
+        if (this.instructionPanel) {
+            this.instructionPanel.querySelectorAll('[data-polyline-preset]').forEach(button => {
+                button.classList.toggle('active', button.getAttribute('data-polyline-preset') === name);
+            });
+            this.instructionPanel.querySelector('#polylineWidthInput').value = this.width;
+        }
+        this.redrawPreview();
+    }
+
+    /**
+     * Set the width of the line being drawn
+     */
+    setDrawingWidth(width) {
+        const value = parseFloat(width);
+        if (isNaN(value)) return false;
+        this.width = this.clampWidth(value);
+        this.redrawPreview();
+        return true;
+    }
+
+    /**
+     * Keep a width within the allowed range
+     */
+    clampWidth(width) {
+        return Math.max(this.minWidth, Math.min(this.maxWidth, width));
+    }
+
+    /**
+     * Show the instruction panel with presets and width
+     */
+    showInstructions() {
+        if (!this.instructionPanel) {
+            this.instructionPanel = document.createElement('div');
+            this.instructionPanel.id = 'polyline-instructions';
+            this.instructionPanel.className = 'polyline-instructions';
+            const presetButtons = Object.keys(this.presets).map(name =>
+                `<button data-polyline-preset="${name}">${this.presets[name].label}</button>`
+            ).join('');
+            this.instructionPanel.innerHTML = `
+                <div class="polyline-instructions-title">🛣️ Polyline</div>
+                <div class="polyline-presets">${presetButtons}</div>
+                <div class="polyline-width">
+                    <label for="polylineWidthInput">Width (m):</label>
+                    <input type="number" id="polylineWidthInput" step="0.5" min="${this.minWidth}" max="${this.maxWidth}">
+                </div>
+                <div>• Click to add centreline points</div>
+                <div>• <kbd>Backspace</kbd> to remove last point</div>
+                <div>• <kbd>Enter</kbd> or double-click to finish</div>
+                <div>• <kbd>Escape</kbd> to cancel</div>
+            `;
+            document.body.appendChild(this.instructionPanel);
+
+            this.instructionPanel.querySelectorAll('[data-polyline-preset]').forEach(button => {
+                button.addEventListener('click', () => this.setPreset(button.getAttribute('data-polyline-preset')));
+            });
+            const widthInput = this.instructionPanel.querySelector('#polylineWidthInput');
+            widthInput.addEventListener('input', () => this.setDrawingWidth(widthInput.value));
+        }
+
+        this.instructionPanel.style.display = 'block';
+        this.setPreset(this.preset);
+    }
+
+    /**
+     * Hide the instruction panel
+     */
+    hideInstructions() {
+        if (this.instructionPanel) {
+            this.instructionPanel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Add a clicked ground point to the centreline
+     */
+    addPoint(point) {
+        // The second click of a double-click lands on the previous point
+        const last = this.points[this.points.length - 1];
+        if (last && BABYLON.Vector3.Distance(last, point) < 0.01) return;
+
+        this.points.push(new BABYLON.Vector3(point.x, 0, point.z));
+        this.previewPoint = null;
+        this.redrawPreview();
+    }
+
+    /**
+     * Remove the last centreline point
+     */
+    removeLastPoint() {
+        if (this.points.length === 0) return false;
+        this.points.pop();
+        this.redrawPreview();
+        return true;
+    }
+
+    /**
+     * Turn the drawn centreline into a ribbon mesh
+     */
+    finish() {
+        if (this.points.length < this.minPoints) {
+            return null;
+        }
+
+        const preset = this.presets[this.preset];
+        const mesh = this.createPolyline(this.points, preset.type, this.width);
+        this.cancel();
+
+        if (mesh && this.onPolylineCreated) {
+            this.onPolylineCreated(mesh);
+        }
+        return mesh;
+    }
+
+    /**
+     * Drop the unfinished line
+     */
+    cancel() {
+        this.points = [];
+        this.previewPoint = null;
+        this.disposePreview();
+    }
+
+    /**
+     * Rebuild the preview ribbon and centreline, including the point under the cursor
+     */
+    redrawPreview() {
+        this.disposePreview();
+        const points = this.previewPoint ? this.points.concat([this.previewPoint]) : this.points.slice();
+        if (points.length === 0) return;
+
+        points.forEach(point => {
+            const marker = BABYLON.MeshBuilder.CreateSphere('polyline_preview_point', { diameter: 0.3, segments: 8 }, this.scene);
+            marker.position = new BABYLON.Vector3(point.x, this.surfaceOffset, point.z);
+            marker.material = this.previewMaterial;
+            marker.renderingGroupId = 1;
+            marker.isPickable = false;
+            this.previewMeshes.push(marker);
+        });
+        if (points.length < 2) return;
+
+        const lifted = points.map(p => new BABYLON.Vector3(p.x, this.surfaceOffset * 2, p.z));
+        const line = BABYLON.MeshBuilder.CreateLines('polyline_preview_line', { points: lifted }, this.scene);
+        line.color = this.lineColor;
+        line.renderingGroupId = 1;
+        line.isPickable = false;
+        this.previewMeshes.push(line);
+
+        const ribbon = new BABYLON.Mesh('polyline_preview_ribbon', this.scene);
+        this.buildRibbon(points, this.width).applyToMesh(ribbon);
+        ribbon.position.y = this.surfaceOffset;
+        ribbon.material = this.previewMaterial;
+        ribbon.renderingGroupId = 1;
+        ribbon.isPickable = false;
+        this.previewMeshes.push(ribbon);
+    }
+
+    /**
+     * Dispose the preview meshes
+     */
+    disposePreview() {
+        this.previewMeshes.forEach(mesh => mesh.dispose());
+        this.previewMeshes = [];
+    }
+
+    /**
+     * Create a typed ribbon mesh from world centreline points
+     * @param {BABYLON.Vector3[]} points - Centreline in world XZ
+     * @param {string} type - 'highway' or 'waterway'
+     * @param {number} width - Ribbon width in metres
+     * @param {string} name - Mesh name (optional, generated from the type)
+     * @returns {BABYLON.Mesh|null} The new mesh
+     */
+    createPolyline(points, type, width, name = null) {
+        if (points.length < this.minPoints) return null;
+
+        const scene = this.sceneManager.getScene();
+        const centerX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const centerZ = points.reduce((sum, p) => sum + p.z, 0) / points.length;
+        const meshName = name || this.uiManager.generateUniqueNameByType(type);
+
+        const mesh = new BABYLON.Mesh(meshName, scene);
+        mesh.userData = {
+            type: type,
+            shapeType: 'polyline',
+            centreline: points.map(p => [p.x - centerX, p.z - centerZ]),
+            width: this.clampWidth(width)
+        };
+        this.rebuildPolyline(mesh);
+        mesh.position = new BABYLON.Vector3(centerX, this.surfaceOffset, centerZ);
+
+        const material = new BABYLON.StandardMaterial(`${meshName}Material`, scene);
+        material.diffuseColor = this.uiManager.getColorByType(type);
+        material.backFaceCulling = false;
+        material.twoSidedLighting = true;
+        material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+        mesh.material = material;
+        mesh.renderingGroupId = 1;
+        mesh.receiveShadows = true;
+
+        this.registerPolyline(mesh);
+        return mesh;
+    }
+
+    /**
+     * Build a polyline mesh from saved userData; the caller restores name, transform and material
+     */
+    buildPolylineMesh(name, userData) {
+        const mesh = new BABYLON.Mesh(name, this.sceneManager.getScene());
+        mesh.userData = userData;
+        this.rebuildPolyline(mesh);
+        return mesh;
+    }
+
+    /**
+     * Make a new polyline selectable and let it receive shadows
+     */
+    registerPolyline(mesh) {
+        if (this.uiManager.selectionManager) {
+            this.uiManager.selectionManager.addSelectableObject(mesh);
+        }
+        if (this.uiManager.lightingManager) {
+            this.uiManager.lightingManager.updateShadowsForNewObject(mesh);
+        }
+    }
+
+    /**
+     * Check whether a mesh is a polyline ribbon
+     */
+    isPolyline(mesh) {
+        return !!(mesh && mesh.userData && mesh.userData.shapeType === 'polyline');
+    }
+
+    /**
+     * Get the centreline relative to the mesh origin
+     * @returns {BABYLON.Vector3[]} Local points with y = 0
+     */
+    getCentreline(mesh) {
+        return mesh.userData.centreline.map(([x, z]) => new BABYLON.Vector3(x, 0, z));
+    }
+
+    /**
+     * Get the centreline in world space
+     */
+    getWorldCentreline(mesh) {
+        const world = mesh.computeWorldMatrix(true);
+        return this.getCentreline(mesh).map(p => BABYLON.Vector3.TransformCoordinates(p, world));
+    }
+
+    /**
+     * Length of a centreline
+     */
+    getLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += BABYLON.Vector3.Distance(points[i - 1], points[i]);
+        }
+        return length;
+    }
+
+    /**
+     * Rebuild a ribbon's geometry from its stored centreline and width
+     */
+    rebuildPolyline(mesh) {
+        const points = this.getCentreline(mesh);
+        this.buildRibbon(points, mesh.userData.width).applyToMesh(mesh, true);
+        mesh.refreshBoundingInfo();
+        mesh.userData.dimensions = {
+            length: this.getLength(points).toFixed(2),
+            width: mesh.userData.width,
+            vertices: points.length
+        };
+    }
+
+    /**
+     * Change the width of a polyline and rebuild it in place
+     */
+    setWidth(mesh, width) {
+        const value = parseFloat(width);
+        if (!this.isPolyline(mesh) || isNaN(value)) return false;
+        mesh.userData.width = this.clampWidth(value);
+        this.rebuildPolyline(mesh);
+        return true;
+    }
+
+    /**
+     * Flat ribbon around a centreline: one quad per segment plus a fan on the outside of each bend
+     * @param {BABYLON.Vector3[]} points - Centreline points (XZ)
+     * @param {number} width - Ribbon width
+     * @returns {BABYLON.VertexData} Geometry at y = 0 facing up
+     */
+    buildRibbon(points, width) {
+        const halfWidth = width / 2;
+        const positions = [];
+        const indices = [];
+        const addVertex = (x, z) => {
+            positions.push(x, 0, z);
+            return positions.length / 3 - 1;
+        };
+
+        const directions = [];
+        for (let i = 0; i < points.length - 1; i++) {
+            const dx = points[i + 1].x - points[i].x;
+            const dz = points[i + 1].z - points[i].z;
+            const length = Math.hypot(dx, dz);
+            directions.push(length > 1e-6 ? { x: dx / length, z: dz / length } : null);
+        }
+
+        directions.forEach((dir, i) => {
+            if (!dir) return;
+            const a = points[i];
+            const b = points[i + 1];
+            // Left-hand normal of the segment
+            const nx = -dir.z * halfWidth;
+            const nz = dir.x * halfWidth;
+            const v0 = addVertex(a.x + nx, a.z + nz);
+            const v1 = addVertex(a.x - nx, a.z - nz);
+            const v2 = addVertex(b.x - nx, b.z - nz);
+            const v3 = addVertex(b.x + nx, b.z + nz);
+            indices.push(v0, v1, v2, v0, v2, v3);
+        });
+
+        // Rounded joins fill the wedge the two quads leave open on the outside of a bend
+        for (let i = 1; i < points.length - 1; i++) {
+            const incoming = directions[i - 1];
+            const outgoing = directions[i];
+            if (!incoming || !outgoing) continue;
+
+            let sweep = Math.atan2(outgoing.z, outgoing.x) - Math.atan2(incoming.z, incoming.x);
+            if (sweep > Math.PI) sweep -= 2 * Math.PI;
+            if (sweep <= -Math.PI) sweep += 2 * Math.PI;
+            if (Math.abs(sweep) < 1e-4) continue;
+
+            // Turning left opens the right-hand side and vice versa
+            const side = sweep > 0 ? -1 : 1;
+            const start = Math.atan2(side * incoming.x, -side * incoming.z);
+            const steps = Math.max(1, Math.ceil(Math.abs(sweep) / this.joinStep));
+            const p = points[i];
+            const center = addVertex(p.x, p.z);
+            let previous = addVertex(p.x + Math.cos(start) * halfWidth, p.z + Math.sin(start) * halfWidth);
+            for (let k = 1; k <= steps; k++) {
+                const angle = start + sweep * k / steps;
+                const next = addVertex(p.x + Math.cos(angle) * halfWidth, p.z + Math.sin(angle) * halfWidth);
+                indices.push(center, previous, next);
+                previous = next;
+            }
+        }
+
+        const normals = [];
+        for (let i = 0; i < positions.length; i += 3) {
+            normals.push(0, 1, 0);
+        }
+
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = positions;
+        vertexData.indices = indices;
+        vertexData.normals = normals;
+        return vertexData;
+    }
+
+    /**
+     * Check whether a polyline's centreline can be edited point by point
+     */
+    canEditOutline(mesh) {
+        return this.isPolyline(mesh) && !mesh.isDisposed();
+    }
+
+    /**
+     * Get the centreline for vertex editing
+     */
+    getOutline(mesh) {
+        return this.getCentreline(mesh);
+    }
+
+    /**
+     * Check an edited centreline
+     * @returns {string|null} Reason the centreline is rejected, or null if it is valid
+     */
+    validateOutline(mesh, points) {
+        if (points.length < this.minPoints) {
+            return 'A polyline needs at least 2 points.';
+        }
+        for (let i = 1; i < points.length; i++) {
+            if (BABYLON.Vector3.Distance(points[i - 1], points[i]) < 0.01) {
+                return 'Neighbouring points must not coincide.';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Replace the centreline, keeping the mesh origin on its average point
+     * @param {BABYLON.Mesh} mesh - Polyline mesh
+     * @param {BABYLON.Vector3[]} points - New centreline in mesh-local XZ
+     */
+    setOutline(mesh, points) {
+        const shiftX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const shiftZ = points.reduce((sum, p) => sum + p.z, 0) / points.length;
+
+        const world = mesh.computeWorldMatrix(true);
+        mesh.position.addInPlace(BABYLON.Vector3.TransformNormal(new BABYLON.Vector3(shiftX, 0, shiftZ), world));
+        mesh.userData.centreline = points.map(p => [p.x - shiftX, p.z - shiftZ]);
+        this.rebuildPolyline(mesh);
+        mesh.computeWorldMatrix(true);
+    }
+}
@@ -0,0 +1,761 @@
+/**
+ * RoofManager - Pitched roofs (gable, hip, shed, pyramid) generated from building footprints
+ * The roof type and ridge height live in userData.roof; the roof mesh is a child of the building
+ * and is rebuilt from that spec whenever the building geometry is recreated. On a building with
+ * stacked volumes the roof covers the top volume
+ */
+class RoofManager {
+    constructor(scene, uiManager) {
+        this.scene = scene;
+        this.uiManager = uiManager;
+        this.lightingManager = uiManager.lightingManager;
+        this.geoJSONManager = uiManager.geoJSONManager;
+
+        this.roofTypes = ['flat', 'gable', 'hip', 'shed', 'pyramid'];
+        this.defaultPitch = 30; // Degrees, used when a roof type is first chosen
+        this.minPitch = 1;
+        this.maxPitch = 75;
+        this.epsilon = 1e-6;
+
+        this.material = new BABYLON.StandardMaterial('roofMaterial', this.scene);
+        this.material.diffuseColor = new BABYLON.Color3(0.62, 0.32, 0.26);
+        this.material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+        this.material.backFaceCulling = false;
+        this.material.twoSidedLighting = true;
+    }
+
+    /**
+     * Get the roof spec of a building ({type, height}); flat when none is set
+     */
+    getRoof(mesh) {
+        const roof = mesh && mesh.userData ? mesh.userData.roof : null;
+        if (!roof || !this.roofTypes.includes(roof.type)) {
+            return { type: 'flat', height: 0 };
+        }
+        return { type: roof.type, height: parseFloat(roof.height) || 0 };
+    }
+
+    /**
+     * Check whether a mesh should carry a pitched roof
+     */
+    wantsRoof(mesh) {
+        const roof = this.getRoof(mesh);
+        return !!(mesh && !mesh.isDisposed() && mesh.userData && mesh.userData.type === 'building' &&
+            roof.type !== 'flat' && roof.height > 0);
+    }
+
+    /**
+     * Store a roof spec on a building and rebuild its roof
+     */
+    setRoof(mesh, type, height = null) {
+        if (!mesh || !mesh.userData || !this.roofTypes.includes(type)) return null;
+
+        if (type === 'flat') {
+            mesh.userData.roof = { type: 'flat', height: 0 };
+        } else {
+            const ridgeHeight = height !== null && height > 0 ? height : this.getHeightForPitch(mesh, type, this.defaultPitch);
+            mesh.userData.roof = { type: type, height: Math.round(ridgeHeight * 100) / 100 };
+        }
+        return this.applyRoof(mesh);
+    }
+
+    /**
+     * (Re)create the roof mesh of a building from its stored spec
+     */
+    applyRoof(mesh) {
+        this.removeRoof(mesh);
+        if (!this.wantsRoof(mesh)) return null;
+
+        const base = this.getRoofBase(mesh);
+        if (!base) {
+            console.warn(`Cannot build roof for ${mesh.name}: footprint could not be recovered`);
+            return null;
+        }
+
+        const spec = this.getRoof(mesh);
+        const geometry = this.buildGeometry(base.outline, spec.type, spec.height, this.getRidgeAxis(mesh, base.outline), base.holes);
+        if (!geometry || geometry.triangles.length === 0) return null;
+
+        // Keep the stored type in line with the roof the footprint allows
+        if (geometry.type !== spec.type) {
+            mesh.userData.roof.type = geometry.type;
+        }
+
+        const roof = this.createMesh(`${mesh.name}_roof`, geometry.triangles);
+        roof.parent = mesh;
+        roof.renderingGroupId = mesh.renderingGroupId || 1;
+        roof.metadata = { roof: true, type: geometry.type };
+
+        // The roof height and the volumes below it are absolute, so undo the building's vertical
+        // scaling (polygon heights use it)
+        const localTop = this.getLocalTop(mesh);
+        const syncScaling = () => {
+            const scaleY = Math.abs(mesh.scaling.y) > this.epsilon ? mesh.scaling.y : 1;
+            roof.scaling.y = 1 / scaleY;
+            roof.position.y = localTop + base.elevation / scaleY;
+        };
+        syncScaling();
+        roof.metadata.observer = mesh.onAfterWorldMatrixUpdateObservable.add(syncScaling);
+
+        roof.receiveShadows = true;
+        if (this.lightingManager) {
+            this.lightingManager.addShadowCaster(roof);
+        }
+
+        mesh.roof = roof;
+        return roof;
+    }
+
+    /**
+     * Remove the roof mesh of a building (its spec in userData is kept)
+     */
+    removeRoof(mesh) {
+        if (!mesh || !mesh.roof) return;
+
+        const roof = mesh.roof;
+        if (roof.metadata && roof.metadata.observer) {
+            mesh.onAfterWorldMatrixUpdateObservable.remove(roof.metadata.observer);
+        }
+        if (!roof.isDisposed()) {
+            roof.dispose();
+        }
+        mesh.roof = null;
+    }
+
+    /**
+     * Add or drop the roof mesh when the building's type or roof spec no longer matches it
+     */
+    syncRoof(mesh) {
+        if (!mesh) return;
+        if (this.wantsRoof(mesh) !== !!(mesh.roof && !mesh.roof.isDisposed())) {
+            this.applyRoof(mesh);
+        }
+    }
+
+    /**
+     * Outline and courtyards the roof stands on and its height in metres above the building top:
+     * the building's own footprint, or the top of its stacked volumes (which have no courtyards)
+     */
+    getRoofBase(mesh) {
+        const volumeManager = this.uiManager.volumeManager;
+        const top = volumeManager ? volumeManager.getTopVolume(mesh) : null;
+        if (top) return { outline: top.outline, holes: [], elevation: top.elevation };
+
+        const outline = this.getOutline(mesh);
+        return outline ? { outline: outline, holes: this.getRoofHoles(mesh), elevation: 0 } : null;
+    }
+
+    /**
+     * Footprint in building-local XZ, counter-clockwise, without repeated or collinear points
+     */
+    getOutline(mesh) {
+        const local = this.geoJSONManager.getLocalFootprint(mesh);
+        if (!local || local.length < 3) return null;
+
+        const points = this.cleanRing(local);
+        if (points && PlanGeometry.getSignedArea(points) < 0) {
+            points.reverse();
+        }
+        return points;
+    }
+
+    /**
+     * Courtyards of a polygon building in building-local XZ, clockwise so the roof lies on their left
+     */
+    getRoofHoles(mesh) {
+        const holes = mesh.userData.holes;
+        if (!holes || this.uiManager.sceneSerializer.getGeometryKind(mesh) !== 'polygon') return [];
+
+        return holes.map(ring => this.cleanRing(ring)).filter(ring => ring).map(ring => {
+            return PlanGeometry.getSignedArea(ring) > 0 ? ring.reverse() : ring;
+        });
+    }
+
+    /**
+     * Turn [x, z] pairs into {x, z} points without repeated or collinear points
+     * @returns {Array|null} The points, or null when fewer than three are left
+     */
+    cleanRing(local) {
+        let points = local.map(([x, z]) => ({ x: x, z: z }));
+        points = points.filter((p, i) => {
+            const next = points[(i + 1) % points.length];
+            return Math.hypot(next.x - p.x, next.z - p.z) > 1e-4;
+        });
+        points = points.filter((p, i) => {
+            const prev = points[(i - 1 + points.length) % points.length];
+            const next = points[(i + 1) % points.length];
+            return Math.abs(this.cross(prev, p, next)) > 1e-6;
+        });
+        return points.length >= 3 ? points : null;
+    }
+
+    /**
+     * Building top in local units (the roof's vertical offset from the building origin)
+     */
+    getLocalTop(mesh) {
+        const bounds = this.geoJSONManager.getWorldBounds(mesh);
+        const origin = mesh.getAbsolutePosition();
+        const scaleY = Math.abs(mesh.scaling.y) > this.epsilon ? mesh.scaling.y : 1;
+        return (bounds.max.y - origin.y) / scaleY;
+    }
+
+    /**
+     * Ridge direction in local XZ: the long side of boxes, otherwise the longest footprint edge
+     */
+    getRidgeAxis(mesh, outline) {
+        const dims = mesh.userData.dimensions || {};
+        if (this.uiManager.sceneSerializer.getGeometryKind(mesh) === 'box') {
+            return (parseFloat(dims.width) || 1) >= (parseFloat(dims.depth) || 1) ? { x: 1, z: 0 } : { x: 0, z: 1 };
+        }
+
+        let best = null;
+        let bestLength = 0;
+        outline.forEach((p, i) => {
+            const next = outline[(i + 1) % outline.length];
+            const length = Math.hypot(next.x - p.x, next.z - p.z);
+            if (length > bestLength) {
+                bestLength = length;
+                best = { x: (next.x - p.x) / length, z: (next.z - p.z) / length };
+            }
+        });
+        return best || { x: 1, z: 0 };
+    }
+
+    /**
+     * Horizontal run from eave to ridge for a roof type, used to convert between height and pitch
+     */
+    getRun(mesh, type) {
+        const base = this.getRoofBase(mesh);
+        if (!base) return 1;
+        const geometry = this.buildGeometry(base.outline, type, 1, this.getRidgeAxis(mesh, base.outline), base.holes);
+        return geometry ? geometry.run : 1;
+    }
+
+    /**
+     * Ridge height that gives a pitch in degrees
+     */
+    getHeightForPitch(mesh, type, pitch) {
+        const clamped = Math.max(this.minPitch, Math.min(this.maxPitch, pitch));
+        return Math.tan(clamped * Math.PI / 180) * this.getRun(mesh, type);
+    }
+
+    /**
+     * Pitch in degrees of a building's current roof, or 0 when flat
+     */
+    getPitch(mesh) {
+        const roof = this.getRoof(mesh);
+        if (roof.type === 'flat' || roof.height <= 0) return 0;
+        return Math.atan(roof.height / this.getRun(mesh, roof.type)) * 180 / Math.PI;
+    }
+
+    /**
+     * Roof type an outline can carry for a wanted type, with the reason when it has to differ
+     * @returns {{type: string, notice: string|null}}
+     */
+    getBuildableType(outline, type, holes = []) {
+        // A ridge or apex would run across the courtyard; hip and shed roofs follow its walls
+        if (holes.length > 0 && (type === 'gable' || type === 'pyramid')) {
+            const label = type === 'gable' ? 'Gable' : 'Pyramid';
+            return { type: 'hip', notice: `${label} roofs cannot span a courtyard, so this building has a hip roof around it.` };
+        }
+        // A hip roof rises evenly from every wall, which is the closest roof to a pyramid without a single apex
+        if (type === 'pyramid' && !this.isStarShaped(outline, PlanGeometry.getCentroid(outline))) {
+            return { type: 'hip', notice: 'Pyramid roofs need every wall to face the footprint centre, so this building has a hip roof.' };
+        }
+        return { type: type, notice: null };
+    }
+
+    /**
+     * Explain why a building cannot carry a roof type, or null when it can
+     */
+    getRoofNotice(mesh, type) {
+        const base = this.getRoofBase(mesh);
+        return base ? this.getBuildableType(base.outline, type, base.holes).notice : null;
+    }
+
+    /**
+     * Build roof triangles for an outline and its clockwise holes; returns {triangles, run, type} where
+     * type is the roof actually built
+     */
+    buildGeometry(outline, type, height, axis, holes = []) {
+        switch (this.getBuildableType(outline, type, holes).type) {
+            case 'gable':
+                return this.buildGable(outline, height, axis);
+            case 'shed':
+                return this.buildShed(outline, height, axis, holes);
+            case 'hip':
+                return this.buildHip(outline, height, holes);
+            case 'pyramid':
+                return this.buildPyramid(outline, height);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Two slopes meeting at a ridge through the footprint centre, closed by gable walls
+     */
+    buildGable(outline, height, axis) {
+        const centre = PlanGeometry.getCentroid(outline);
+        const across = { x: -axis.z, z: axis.x };
+        const offset = (p) => (p.x - centre.x) * across.x + (p.z - centre.z) * across.z;
+
+        const offsets = outline.map(offset);
+        const maxOffset = Math.max(...offsets);
+        const minOffset = Math.min(...offsets);
+        if (maxOffset <= this.epsilon || minOffset >= -this.epsilon) return null;
+
+        const heightAt = (p) => {
+            const s = offset(p);
+            return height * (s >= 0 ? 1 - s / maxOffset : 1 - s / minOffset);
+        };
+
+        // Split the footprint along the ridge so each slope is a planar face
+        const ridge = (p) => offset(p);
+        const triangles = [];
+        this.clip(outline, (p) => -ridge(p)).forEach(face => this.addSurface(triangles, face, heightAt));
+        this.clip(outline, (p) => ridge(p)).forEach(face => this.addSurface(triangles, face, heightAt));
+        this.addWalls(triangles, this.splitEdges(outline, ridge), heightAt);
+
+        return { triangles: triangles, run: Math.max(maxOffset, -minOffset), type: 'gable' };
+    }
+
+    /**
+     * One slope rising across the footprint, closed by walls on the high side and around courtyards
+     */
+    buildShed(outline, height, axis, holes = []) {
+        const across = { x: -axis.z, z: axis.x };
+        const offsets = outline.map(p => p.x * across.x + p.z * across.z);
+        const minOffset = Math.min(...offsets);
+        const run = Math.max(...offsets) - minOffset;
+        if (run <= this.epsilon) return null;
+
+        const heightAt = (p) => height * ((p.x * across.x + p.z * across.z) - minOffset) / run;
+        const triangles = [];
+        this.addSurface(triangles, outline, heightAt, holes);
+        this.addWalls(triangles, outline, heightAt);
+        holes.forEach(hole => this.addWalls(triangles, hole, heightAt));
+
+        return { triangles: triangles, run: run, type: 'shed' };
+    }
+
+    /**
+     * Hip roof on the straight skeleton of the footprint: every wall slopes up at the same pitch,
+     * so each wall owns the part of the roof it reaches first (L, U, T and other concave shapes included).
+     * Courtyard walls slope up the same way, so the roof runs around them
+     */
+    buildHip(outline, height, holes = []) {
+        const sweep = this.sweepWavefront([outline].concat(holes));
+        if (!sweep || sweep.run <= this.epsilon) return null;
+
+        const up = new BABYLON.Vector3(0, 1, 0);
+        const triangles = [];
+        sweep.quads.forEach(quad => {
+            const [a, b, c, d] = quad.map(p => new BABYLON.Vector3(p.x, height * p.time / sweep.run, p.z));
+            this.addTriangle(triangles, [a, b, c], up);
+            this.addTriangle(triangles, [a, c, d], up);
+        });
+        return { triangles: triangles, run: sweep.run, type: 'hip' };
+    }
+
+    /**
+     * Shrink rings (counter-clockwise outer ring, clockwise holes) by moving every edge inwards at unit
+     * speed until nothing is left, splitting the wavefront where it touches itself. Between two events each
+     * edge sweeps a trapezoid in its own roof plane
+     * @returns {{quads: Array, run: number}|null} Swept quads of {x, z, time} and the time the last part vanished,
+     * or null when the wavefront could not be resolved
+     */
+    sweepWavefront(rings) {
+        const edges = [];
+        let vertices = [];
+        rings.forEach(ring => {
+            const first = vertices.length;
+            const count = ring.length;
+            ring.forEach((p, i) => {
+                const next = ring[(i + 1) % count];
+                const length = Math.hypot(next.x - p.x, next.z - p.z);
+                const dir = { x: (next.x - p.x) / length, z: (next.z - p.z) / length };
+                const normal = { x: -dir.z, z: dir.x }; // Inward for counter-clockwise rings
+                edges.push({ dir: dir, normal: normal, offset: normal.x * p.x + normal.z * p.z });
+                vertices.push({ x: p.x, z: p.z, in: first + (i - 1 + count) % count, out: first + i });
+            });
+            for (let i = 0; i < count; i++) {
+                vertices[first + i].prev = vertices[first + (i - 1 + count) % count];
+                vertices[first + i].next = vertices[first + (i + 1) % count];
+            }
+        });
+
+        const quads = [];
+        let time = 0;
+        const maxSteps = 10 * vertices.length + 100;
+        for (let step = 0; vertices.length > 0; step++) {
+            vertices.forEach(v => this.setWavefrontVelocity(v, edges));
+            const eventTime = this.getNextWavefrontEvent(vertices, edges, time);
+            if (step > maxSteps || eventTime === Infinity) {
+                console.warn('Could not resolve the roof skeleton of this footprint');
+                return null;
+            }
+
+            const dt = eventTime - time;
+            const moved = (v) => ({ x: v.x + v.vx * dt, z: v.z + v.vz * dt, time: eventTime });
+            vertices.forEach(v => {
+                quads.push([{ x: v.x, z: v.z, time: time }, { x: v.next.x, z: v.next.z, time: time }, moved(v.next), moved(v)]);
+            });
+            vertices.forEach(v => {
+                v.x += v.vx * dt;
+                v.z += v.vz * dt;
+            });
+            time = eventTime;
+            vertices = this.resolveWavefront(vertices, edges);
+            if (!vertices) {
+                console.warn('Could not resolve the roof skeleton of this footprint');
+                return null;
+            }
+        }
+        return { quads: quads, run: time };
+    }
+
+    /**
+     * Velocity of a wavefront vertex: it stays on both of its edges while they move inwards at unit speed
+     */
+    setWavefrontVelocity(vertex, edges) {
+        const a = edges[vertex.in].normal;
+        const b = edges[vertex.out].normal;
+        const det = a.x * b.z - a.z * b.x;
+        if (Math.abs(det) < 1e-9) {
+            // Between parallel edges the vertex moves with them (spikes are cut before this)
+            vertex.vx = a.x;
+            vertex.vz = a.z;
+            return;
+        }
+        vertex.vx = (b.z - a.z) / det;
+        vertex.vz = (a.x - b.x) / det;
+    }
+
+    /**
+     * Check whether the wavefront turns right (into the building) at a vertex
+     */
+    isReflexVertex(vertex, edges) {
+        const a = edges[vertex.in].dir;
+        const b = edges[vertex.out].dir;
+        return a.x * b.z - a.z * b.x < -1e-9;
+    }
+
+    /**
+     * Check whether the wavefront doubles back on itself at a vertex (its edges run in opposite directions)
+     */
+    isSpikeVertex(vertex, edges) {
+        const a = edges[vertex.in].dir;
+        const b = edges[vertex.out].dir;
+        return Math.abs(a.x * b.z - a.z * b.x) < 1e-9 && a.x * b.x + a.z * b.z < 0;
+    }
+
+    /**
+     * Time of the next change in the wavefront: an edge shrinking to nothing, or a reflex vertex
+     * running into another part of the wavefront
+     */
+    getNextWavefrontEvent(vertices, edges, time) {
+        const minStep = 1e-9;
+        let best = Infinity;
+
+        vertices.forEach(a => {
+            const b = a.next;
+            const dir = edges[a.out].dir;
+            const shrink = (b.vx - a.vx) * dir.x + (b.vz - a.vz) * dir.z;
+            if (shrink < -minStep) {
+                const collapse = time - ((b.x - a.x) * dir.x + (b.z - a.z) * dir.z) / shrink;
+                if (collapse > time + minStep) best = Math.min(best, collapse);
+            }
+
+            if (!this.isReflexVertex(a, edges)) return;
+            vertices.forEach(c => {
+                if (c === a || c.next === a) return;
+                const edge = edges[c.out];
+                const approach = edge.normal.x * a.vx + edge.normal.z * a.vz - 1;
+                const gap = edge.normal.x * a.x + edge.normal.z * a.z - edge.offset - time;
+                if (approach > -minStep || gap < -this.epsilon) return;
+
+                const hit = time - gap / approach;
+                if (hit <= time + minStep || hit >= best) return;
+
+                // The hit point has to lie on the edge as it will be at that time
+                const dt = hit - time;
+                const start = { x: c.x + c.vx * dt, z: c.z + c.vz * dt };
+                const length = (c.next.x + c.next.vx * dt - start.x) * edge.dir.x + (c.next.z + c.next.vz * dt - start.z) * edge.dir.z;
+                const along = (a.x + a.vx * dt - start.x) * edge.dir.x + (a.z + a.vz * dt - start.z) * edge.dir.z;
+                if (length > this.epsilon && along > -this.epsilon && along < length + this.epsilon) {
+                    best = hit;
+                }
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Apply every event at the current time: merge the ends of vanished edges, reconnect the wavefront
+     * where a reflex vertex touches it and drop parts that have shrunk to nothing
+     * @returns {Array} The remaining wavefront vertices
+     */
+    resolveWavefront(vertices, edges) {
+        const close = (a, b) => Math.hypot(a.x - b.x, a.z - b.z) < this.epsilon;
+        const joined = []; // Pairs already reconnected, so they are not swapped back
+        const maxPasses = 10 * vertices.length + 100;
+        for (let pass = 0; pass < maxPasses; pass++) {
+            const short = vertices.find(v => v.next !== v && close(v, v.next));
+            if (short) {
+                const gone = short.next;
+                short.out = gone.out;
+                short.next = gone.next;
+                gone.next.prev = short;
+                vertices = vertices.filter(v => v !== gone);
+                continue;
+            }
+
+            // A wing that has shrunk to zero width leaves a spike between two opposite edges; cut it back
+            // to the nearer neighbour, which then joins its own edge to the far one
+            const spike = vertices.find(v => v.next !== v.prev && this.isSpikeVertex(v, edges));
+            if (spike) {
+                const p = spike.prev;
+                const n = spike.next;
+                if (Math.hypot(p.x - spike.x, p.z - spike.z) <= Math.hypot(n.x - spike.x, n.z - spike.z)) {
+                    p.out = spike.out;
+                } else {
+                    n.in = spike.in;
+                }
+                p.next = n;
+                n.prev = p;
+                vertices = vertices.filter(v => v !== spike);
+                continue;
+            }
+
+            const empty = this.getWavefrontLoops(vertices).find(loop => loop.length < 3 || Math.abs(PlanGeometry.getSignedArea(loop)) < 1e-8);
+            if (empty) {
+                vertices = vertices.filter(v => !empty.includes(v));
+                continue;
+            }
+
+            const touch = this.findWavefrontTouch(vertices, edges, joined);
+            if (!touch) return vertices;
+
+            // Touching a vertex reconnects the two; touching an edge first puts a vertex there
+            const { r, c } = touch;
+            let target = touch.target;
+            if (!target) {
+                target = { x: r.x, z: r.z, in: c.out, out: c.out, prev: c, next: c.next };
+                c.next.prev = target;
+                c.next = target;
+                vertices.push(target);
+            }
+            joined.push([r, target]);
+
+            const rNext = r.next;
+            const rOut = r.out;
+            r.out = target.out;
+            r.next = target.next;
+            target.next.prev = r;
+            target.out = rOut;
+            target.next = rNext;
+            rNext.prev = target;
+        }
+        return null;
+    }
+
+    /**
+     * Find a reflex vertex lying on a part of the wavefront it is not connected to
+     * @returns {{r: Object, c: Object, target: Object|null}|null} The vertex, the start of the edge it touches
+     * and the vertex it coincides with (null when it touches the middle of the edge)
+     */
+    findWavefrontTouch(vertices, edges, joined) {
+        const close = (a, b) => Math.hypot(a.x - b.x, a.z - b.z) < this.epsilon;
+        for (const r of vertices) {
+            if (!this.isReflexVertex(r, edges)) continue;
+            for (const c of vertices) {
+                if (c === r || c.next === r || c === r.next) continue;
+                if (PlanGeometry.distanceToOutline(r, [c, c.next]) >= this.epsilon) continue;
+
+                const target = close(r, c) ? c : (close(r, c.next) ? c.next : null);
+                if (target && (target === r.prev || target === r.next ||
+                    joined.some(([a, b]) => (a === r && b === target) || (a === target && b === r)))) continue;
+                return { r: r, c: c, target: target };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Split wavefront vertices into their closed loops
+     */
+    getWavefrontLoops(vertices) {
+        const seen = new Set();
+        const loops = [];
+        vertices.forEach(start => {
+            if (seen.has(start)) return;
+            const loop = [];
+            let v = start;
+            do {
+                seen.add(v);
+                loop.push(v);
+                v = v.next;
+            } while (v !== start && !seen.has(v));
+            loops.push(loop);
+        });
+        return loops;
+    }
+
+    /**
+     * One triangle per edge up to an apex above the footprint centre (a cone for circles)
+     */
+    buildPyramid(outline, height) {
+        const apex = PlanGeometry.getCentroid(outline);
+        const triangles = [];
+        let run = Infinity;
+
+        outline.forEach((p, i) => {
+            const next = outline[(i + 1) % outline.length];
+            const length = Math.hypot(next.x - p.x, next.z - p.z);
+            run = Math.min(run, Math.abs(this.cross(p, next, apex)) / length);
+            this.addTriangle(triangles, [
+                new BABYLON.Vector3(p.x, 0, p.z),
+                new BABYLON.Vector3(next.x, 0, next.z),
+                new BABYLON.Vector3(apex.x, height, apex.z)
+            ], new BABYLON.Vector3(0, 1, 0));
+        });
+
+        return { triangles: triangles, run: run, type: 'pyramid' };
+    }
+
+    /**
+     * Triangulate a planar roof face given as an XZ outline (and optional holes) and a height function
+     */
+    addSurface(triangles, face, heightAt, holes = []) {
+        if (face.length < 3 || Math.abs(PlanGeometry.getSignedArea(face)) < this.epsilon) return;
+
+        const points = face.concat(...holes);
+        const flat = [];
+        const holeIndices = [];
+        let start = face.length;
+        holes.forEach(hole => {
+            holeIndices.push(start);
+            start += hole.length;
+        });
+        points.forEach(p => flat.push(p.x, p.z));
+        const indices = earcut(flat, holeIndices);
+        const vertices = points.map(p => new BABYLON.Vector3(p.x, heightAt(p), p.z));
+        for (let i = 0; i < indices.length; i += 3) {
+            this.addTriangle(triangles, [vertices[indices[i]], vertices[indices[i + 1]], vertices[indices[i + 2]]], new BABYLON.Vector3(0, 1, 0));
+        }
+    }
+
+    /**
+     * Vertical walls between the building top and the roof surface along each edge
+     */
+    addWalls(triangles, outline, heightAt) {
+        outline.forEach((p, i) => {
+            const next = outline[(i + 1) % outline.length];
+            const h0 = heightAt(p);
+            const h1 = heightAt(next);
+            if (Math.max(h0, h1) <= 1e-4) return;
+
+            const outward = new BABYLON.Vector3(next.z - p.z, 0, -(next.x - p.x));
+            const b0 = new BABYLON.Vector3(p.x, 0, p.z);
+            const b1 = new BABYLON.Vector3(next.x, 0, next.z);
+            const t0 = new BABYLON.Vector3(p.x, h0, p.z);
+            const t1 = new BABYLON.Vector3(next.x, h1, next.z);
+            this.addTriangle(triangles, [b0, b1, t1], outward);
+            this.addTriangle(triangles, [b0, t1, t0], outward);
+        });
+    }
+
+    /**
+     * Insert the points where edges cross the zero line of a linear function
+     */
+    splitEdges(outline, fn) {
+        const points = [];
+        outline.forEach((p, i) => {
+            const next = outline[(i + 1) % outline.length];
+            const a = fn(p);
+            const b = fn(next);
+            points.push(p);
+            if ((a > this.epsilon && b < -this.epsilon) || (a < -this.epsilon && b > this.epsilon)) {
+                const t = a / (a - b);
+                points.push({ x: p.x + (next.x - p.x) * t, z: p.z + (next.z - p.z) * t });
+            }
+        });
+        return points;
+    }
+
+    /**
+     * Keep the part of an outline where a linear function is <= 0 (Sutherland-Hodgman);
+     * returns an array holding the clipped outline, or an empty array
+     */
+    clip(outline, fn) {
+        const result = [];
+        outline.forEach((p, i) => {
+            const next = outline[(i + 1) % outline.length];
+            const a = fn(p);
+            const b = fn(next);
+            if (a <= this.epsilon) {
+                result.push(p);
+            }
+            if ((a < -this.epsilon && b > this.epsilon) || (a > this.epsilon && b < -this.epsilon)) {
+                const t = a / (a - b);
+                result.push({ x: p.x + (next.x - p.x) * t, z: p.z + (next.z - p.z) * t });
+            }
+        });
+        return result.length >= 3 ? [result] : [];
+    }
+
+    /**
+     * Add a triangle wound so that its face normal points along the wanted side
+     */
+    addTriangle(triangles, vertices, side) {
+        const [a, b, c] = vertices;
+        // Same convention as VertexData.ComputeNormals: (a - b) x (c - b)
+        const normal = BABYLON.Vector3.Cross(a.subtract(b), c.subtract(b));
+        if (normal.lengthSquared() < 1e-12) return;
+        triangles.push(BABYLON.Vector3.Dot(normal, side) >= 0 ? [a, b, c] : [a, c, b]);
+    }
+
+    /**
+     * Create a flat-shaded mesh from triangles
+     */
+    createMesh(name, triangles) {
+        const positions = [];
+        const indices = [];
+        triangles.forEach(triangle => {
+            triangle.forEach(vertex => {
+                indices.push(positions.length / 3);
+                positions.push(vertex.x, vertex.y, vertex.z);
+            });
+        });
+
+        const normals = [];
+        BABYLON.VertexData.ComputeNormals(positions, indices, normals);
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = positions;
+        vertexData.indices = indices;
+        vertexData.normals = normals;
+
+        const mesh = new BABYLON.Mesh(name, this.scene);
+        vertexData.applyToMesh(mesh);
+        mesh.material = this.material;
+        mesh.enableEdgesRendering();
+        mesh.edgesWidth = 1.0;
+        mesh.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
+        return mesh;
+    }
+
+    /**
+     * Check that every edge of a counter-clockwise outline faces a point
+     */
+    isStarShaped(outline, point) {
+        return outline.every((p, i) => this.cross(p, outline[(i + 1) % outline.length], point) > this.epsilon);
+    }
+
+    /**
+     * Z component of (b - a) x (c - a) in the XZ plane
+     */
+    cross(a, b, c) {
+        return (b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x);
+    }
+}
@@ -34,6 +34,10 @@ class RotateManager {
         this.observersSetup = false;
         this.scaleObserversSetup = false;
         this.positionObserversSetup = false;
+
+        // Callbacks for drag start/end (used for undo history)
+        this.onDragStarted = null;
+        this.onDragEnded = null;
     }
 
     /**
@@ -106,6 +110,10 @@ class RotateManager {
      */
     onDragStart() {
         const selectedObjects = this.selectionManager.getSelectedObjects();
+
+        if (this.onDragStarted) {
+            this.onDragStarted(selectedObjects);
+        }
         
         
         if (selectedObjects.length > 1 && this.multiObjectCenter) {
@@ -199,6 +207,10 @@ class RotateManager {
                 // Rotation saved
             });
         }
+
+        if (this.onDragEnded) {
+            this.onDragEnded(selectedObjects);
+        }
     }
 
     /**
@@ -35,6 +35,10 @@ class ScaleManager {
         this.observersSetup = false;
         this.positionObserversSetup = false;
         this.rotationObserversSetup = false;
+
+        // Callbacks for drag start/end (used for undo history)
+        this.onDragStarted = null;
+        this.onDragEnded = null;
     }
 
     /**
@@ -107,6 +111,10 @@ class ScaleManager {
      */
     onDragStart() {
         const selectedObjects = this.selectionManager.getSelectedObjects();
+
+        if (this.onDragStarted) {
+            this.onDragStarted(selectedObjects);
+        }
         
         
         if (selectedObjects.length > 1 && this.multiObjectCenter) {
@@ -220,6 +228,10 @@ class ScaleManager {
                 // Scale saved
             });
         }
+
+        if (this.onDragEnded) {
+            this.onDragEnded(selectedObjects);
+        }
     }
 
     /**
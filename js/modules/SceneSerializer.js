@@ -0,0 +1,588 @@
+/**
+ * SceneSerializer - Saves and restores the whole scene as a versioned JSON project file
+ */
+class SceneSerializer {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.sceneManager = uiManager.sceneManager;
+        this.selectionManager = uiManager.selectionManager;
+        this.lightingManager = uiManager.lightingManager;
+        this.treeManager = uiManager.treeManager;
+        this.polygonManager = uiManager.polygonManager;
+        this.rectangleManager = uiManager.rectangleManager;
+        this.buildingGenerator = uiManager.buildingGenerator;
+        this.cameraController = uiManager.cameraController;
+
+        this.formatName = 'ecotwin-scene';
+        this.formatVersion = 1;
+        this.validTypes = ['building', 'highway', 'ground', 'green', 'waterway'];
+    }
+
+    /**
+     * Serialize the current scene into a plain project object
+     */
+    serialize() {
+        const scene = this.sceneManager.getScene();
+        const objects = [];
+
+        scene.meshes.forEach(mesh => {
+            if (!this.isSerializableMesh(mesh)) return;
+            const entry = this.serializeMesh(mesh);
+            if (entry) {
+                objects.push(entry);
+            }
+        });
+
+        const trees = [];
+        if (this.treeManager && this.treeManager.trees) {
+            this.treeManager.trees.forEach(tree => {
+                if (!tree.parent || tree.parent.isDisposed()) return;
+                trees.push(this.serializeTree(tree));
+            });
+        }
+
+        return {
+            format: this.formatName,
+            version: this.formatVersion,
+            savedAt: new Date().toISOString(),
+            camera: this.serializeCamera(),
+            geoReference: this.uiManager.geoReference ? this.uiManager.geoReference.getOrigin() : null,
+            lighting: this.uiManager.getLightingSettings(),
+            objects: objects,
+            trees: trees
+        };
+    }
+
+    /**
+     * Check whether a mesh is a user-facing scene object that belongs in the project file
+     */
+    isSerializableMesh(mesh) {
+        if (!mesh || mesh.isDisposed() || !mesh.isEnabled()) return false;
+        if (!mesh.userData || !this.validTypes.includes(mesh.userData.type)) return false;
+        // Extrusions are rebuilt from their base polygon, trees are stored separately
+        if (mesh.name && mesh.name.includes('_extrusion')) return false;
+        if (this.uiManager.isTree(mesh)) return false;
+        return true;
+    }
+
+    /**
+     * Serialize a single typed mesh
+     */
+    serializeMesh(mesh) {
+        const geometry = this.getGeometryKind(mesh);
+        if (!geometry) {
+            console.warn(`Skipping ${mesh.name}: unsupported geometry for scene file`);
+            return null;
+        }
+
+        // Points are Babylon vectors; store them separately as a local outline instead
+        const userData = JSON.parse(JSON.stringify(mesh.userData, (key, value) => key === 'points' ? undefined : value));
+
+        const entry = {
+            name: mesh.name,
+            geometry: geometry,
+            position: this.vectorToArray(mesh.position),
+            rotation: this.vectorToArray(this.getEulerRotation(mesh)),
+            scaling: this.vectorToArray(mesh.scaling),
+            color: mesh.material && mesh.material.diffuseColor ? mesh.material.diffuseColor.toHexString() : null,
+            alpha: mesh.material && mesh.material.alpha !== undefined ? mesh.material.alpha : 1.0,
+            userData: userData
+        };
+
+        if (geometry === 'polygon') {
+            const outline = this.getPolygonOutline(mesh);
+            if (!outline || outline.length < 3) {
+                console.warn(`Skipping polygon ${mesh.name}: outline could not be recovered`);
+                return null;
+            }
+            entry.outline = outline;
+            if (mesh.extrusion && !mesh.extrusion.isDisposed()) {
+                entry.extrusionHeight = mesh.extrusion.userData.buildingHeight;
+            }
+        }
+
+        return entry;
+    }
+
+    /**
+     * Serialize a single tree from TreeManager
+     */
+    serializeTree(tree) {
+        return {
+            name: tree.parent.name,
+            type: tree.type || null,
+            position: this.vectorToArray(tree.parent.position),
+            rotation: this.vectorToArray(this.getEulerRotation(tree.parent)),
+            scaling: this.vectorToArray(tree.parent.scaling)
+        };
+    }
+
+    /**
+     * Work out which builder recreates a mesh: box, cylinder, polygon or polyline
+     */
+    getGeometryKind(mesh) {
+        const userData = mesh.userData;
+        const dims = userData.dimensions || {};
+
+        // Polylines keep their own centreline in userData and are rebuilt from it
+        if (userData.shapeType === 'polyline') {
+            return 'polyline';
+        }
+        if (userData.shapeType === 'polygon' || userData.points) {
+            return 'polygon';
+        }
+        if (dims.diameterTop !== undefined || userData.shapeType === 'circle') {
+            return 'cylinder';
+        }
+        if (dims.width !== undefined && dims.depth !== undefined) {
+            return 'box';
+        }
+        return null;
+    }
+
+    /**
+     * Get the polygon footprint relative to the mesh origin as [x, z] pairs
+     */
+    getPolygonOutline(mesh) {
+        const points = mesh.userData.points;
+        if (points && points.length >= 3) {
+            // Drawn polygons are centred on the average of their original points
+            let cx = 0;
+            let cz = 0;
+            points.forEach(p => {
+                cx += p.x;
+                cz += p.z;
+            });
+            cx /= points.length;
+            cz /= points.length;
+            return points.map(p => [this.round(p.x - cx), this.round(p.z - cz)]);
+        }
+
+        // Generated polygons keep one vertex per outline point, in order
+        const positions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+        if (!positions) return null;
+        const outline = [];
+        for (let i = 0; i < positions.length; i += 3) {
+            outline.push([this.round(positions[i]), this.round(positions[i + 2])]);
+        }
+        return outline;
+    }
+
+    /**
+     * Serialize the camera view
+     */
+    serializeCamera() {
+        const camera = this.cameraController ? this.cameraController.camera : null;
+        if (!camera) return null;
+
+        return {
+            alpha: camera.alpha,
+            beta: camera.beta,
+            radius: camera.radius,
+            target: this.vectorToArray(camera.target)
+        };
+    }
+
+    /**
+     * Restore a scene from a parsed project object, replacing the current scene
+     */
+    deserialize(data) {
+        const project = this.migrate(data);
+        if (!project) return false;
+
+        this.clearScene();
+
+        const scene = this.sceneManager.getScene();
+        let restoredCount = 0;
+
+        (project.objects || []).forEach(entry => {
+            try {
+                if (this.restoreMesh(entry, scene)) {
+                    restoredCount++;
+                }
+            } catch (error) {
+                console.error(`Error restoring object ${entry.name}:`, error);
+            }
+        });
+
+        let restoredTrees = 0;
+        (project.trees || []).forEach(entry => {
+            try {
+                if (this.restoreTree(entry)) {
+                    restoredTrees++;
+                }
+            } catch (error) {
+                console.error(`Error restoring tree ${entry.name}:`, error);
+            }
+        });
+
+        if (project.lighting) {
+            this.uiManager.loadLightingSettings(project.lighting);
+        }
+        if (project.camera) {
+            this.restoreCamera(project.camera);
+        }
+        if (project.geoReference) {
+            this.uiManager.setGeoOrigin(project.geoReference.latitude, project.geoReference.longitude);
+        }
+        if (this.lightingManager && this.lightingManager.autoAdjustShadowFrustum) {
+            this.lightingManager.autoAdjustShadowFrustum();
+        }
+
+        console.log(`Scene loaded: ${restoredCount} objects, ${restoredTrees} trees`);
+        return true;
+    }
+
+    /**
+     * Validate a project object and upgrade older versions to the current format
+     */
+    migrate(data) {
+        if (!data || data.format !== this.formatName) {
+            alert('This file is not an EcoTwin scene file.');
+            return null;
+        }
+
+        const version = parseInt(data.version, 10);
+        if (!version || version > this.formatVersion) {
+            alert(`This scene was saved with a newer format (version ${data.version}). Please update the application.`);
+            return null;
+        }
+
+        // Version 1 is the current format; future upgrades go here in order
+        return data;
+    }
+
+    /**
+     * Remove every object that a scene file can contain
+     */
+    clearScene() {
+        this.uiManager.createEmptyScene();
+
+        // Sweep anything the individual managers did not track
+        const scene = this.sceneManager.getScene();
+        const leftovers = scene.meshes.filter(mesh => mesh.userData && this.validTypes.includes(mesh.userData.type));
+        leftovers.forEach(mesh => {
+            if (this.selectionManager) {
+                this.selectionManager.removeSelectableObject(mesh);
+            }
+            if (mesh.material) {
+                mesh.material.dispose();
+            }
+            mesh.dispose();
+        });
+    }
+
+    /**
+     * Recreate a typed mesh from its project entry
+     */
+    restoreMesh(entry, scene) {
+        const userData = entry.userData || {};
+        const dims = userData.dimensions || {};
+        let mesh = null;
+
+        if (entry.geometry === 'box') {
+            mesh = BABYLON.MeshBuilder.CreateBox(entry.name, {
+                width: parseFloat(dims.width) || 1,
+                height: parseFloat(dims.height) || 0.1,
+                depth: parseFloat(dims.depth) || 1
+            }, scene);
+            mesh.enableEdgesRendering();
+            mesh.edgesWidth = 1.0;
+            mesh.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
+        } else if (entry.geometry === 'cylinder') {
+            mesh = BABYLON.MeshBuilder.CreateCylinder(entry.name, {
+                height: parseFloat(dims.height) || 0.1,
+                diameterTop: parseFloat(dims.diameterTop) || 1,
+                diameterBottom: parseFloat(dims.diameterBottom) || 1,
+                tessellation: 32
+            }, scene);
+            mesh.enableEdgesRendering();
+            mesh.edgesWidth = 2.0;
+            mesh.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
+        } else if (entry.geometry === 'polygon') {
+            mesh = this.buildPolygonMesh(entry, userData);
+        } else if (entry.geometry === 'polyline' && this.uiManager.polylineManager) {
+            mesh = this.uiManager.polylineManager.buildPolylineMesh(entry.name, userData);
+        }
+
+        if (!mesh) {
+            console.warn(`Unknown geometry "${entry.geometry}" for ${entry.name}, skipped`);
+            return null;
+        }
+
+        mesh.name = entry.name;
+        mesh.position = BABYLON.Vector3.FromArray(entry.position || [0, 0, 0]);
+        mesh.rotation = BABYLON.Vector3.FromArray(entry.rotation || [0, 0, 0]);
+        mesh.scaling = BABYLON.Vector3.FromArray(entry.scaling || [1, 1, 1]);
+        mesh.renderingGroupId = 1;
+        mesh.receiveShadows = true;
+        mesh.castShadows = true;
+
+        const material = new BABYLON.StandardMaterial(`${entry.name}Material`, scene);
+        material.diffuseColor = entry.color ? BABYLON.Color3.FromHexString(entry.color) : this.uiManager.getColorByType(userData.type);
+        material.backFaceCulling = false;
+        material.twoSidedLighting = true;
+        material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+        material.alpha = entry.alpha !== undefined ? entry.alpha : 1.0;
+        mesh.material = material;
+
+        mesh.userData = userData;
+        if (entry.geometry === 'polygon') {
+            // Keep world-space points in sync with the restored transform
+            mesh.computeWorldMatrix(true);
+            const world = mesh.getWorldMatrix();
+            mesh.userData.points = entry.outline.map(p =>
+                BABYLON.Vector3.TransformCoordinates(new BABYLON.Vector3(p[0], 0, p[1]), world)
+            );
+            mesh.userData.points.forEach(p => { p.y = userData.baseY || 0; });
+
+            if (entry.extrusionHeight) {
+                this.uiManager.attachPolygonExtrusion(mesh, mesh.userData.points, entry.extrusionHeight);
+            }
+        }
+
+        this.registerMesh(mesh, entry);
+        return mesh;
+    }
+
+    /**
+     * Build polygon geometry from a stored outline
+     */
+    buildPolygonMesh(entry, userData) {
+        const relativePoints = entry.outline.map(p => new BABYLON.Vector3(p[0], 0, p[1]));
+        // Holes are stored in userData in the same center-relative plane as the outline
+        const holes = (userData.holes || []).map(ring => ring.map(p => new BABYLON.Vector3(p[0], 0, p[1])));
+
+        if (userData.is3D && this.polygonManager) {
+            return this.polygonManager.create3DPolygonWithHeight(relativePoints, entry.name, userData.originalHeight || 0.1, holes);
+        }
+        return this.uiManager.createCustomPolygonMesh(relativePoints, holes);
+    }
+
+    /**
+     * Hand a restored mesh to the managers that track objects of its kind
+     */
+    registerMesh(mesh, entry) {
+        if (this.selectionManager) {
+            this.selectionManager.addSelectableObject(mesh);
+        }
+        if (this.lightingManager) {
+            this.lightingManager.updateShadowsForNewObject(mesh);
+            if (mesh.extrusion) {
+                this.lightingManager.updateShadowsForNewObject(mesh.extrusion);
+            }
+        }
+
+        if (entry.geometry === 'box' && this.rectangleManager) {
+            this.rectangleManager.rectangles.push(mesh);
+        }
+        if (this.buildingGenerator) {
+            if (mesh.userData.shapeType === 'building') {
+                this.buildingGenerator.buildings.push({
+                    mesh: mesh,
+                    width: mesh.userData.dimensions.width,
+                    depth: mesh.userData.dimensions.depth,
+                    height: mesh.userData.dimensions.height,
+                    position: { x: mesh.position.x, z: mesh.position.z }
+                });
+            } else if (entry.geometry === 'polygon' && !mesh.userData.is3D) {
+                this.buildingGenerator.polygons.push(mesh);
+            }
+        }
+        if (this.uiManager.volumeManager) {
+            this.uiManager.volumeManager.applyVolumes(mesh);
+        }
+        if (this.uiManager.roofManager) {
+            this.uiManager.roofManager.applyRoof(mesh);
+        }
+    }
+
+    /**
+     * Recreate a tree from its project entry
+     */
+    restoreTree(entry) {
+        if (!this.treeManager) return null;
+
+        const position = BABYLON.Vector3.FromArray(entry.position || [0, 0, 0]);
+        const treeData = this.treeManager.placeTreeOfType(entry.type, position);
+        if (!treeData || !treeData.parent) return null;
+
+        if (entry.name) {
+            treeData.parent.name = entry.name;
+        }
+        treeData.parent.rotation = BABYLON.Vector3.FromArray(entry.rotation || [0, 0, 0]);
+        treeData.parent.scaling = BABYLON.Vector3.FromArray(entry.scaling || [1, 1, 1]);
+        return treeData;
+    }
+
+    /**
+     * Snapshot a set of scene nodes (meshes or tree roots) in project-file form
+     */
+    snapshot(nodes) {
+        const objects = [];
+        const trees = [];
+        const seen = new Set();
+
+        nodes.forEach(node => {
+            if (!node || node.isDisposed()) return;
+
+            const tree = this.findTree(node);
+            if (tree) {
+                if (seen.has(tree.parent)) return;
+                seen.add(tree.parent);
+                trees.push(this.serializeTree(tree));
+                return;
+            }
+
+            if (seen.has(node) || !this.isSerializableMesh(node)) return;
+            seen.add(node);
+            const entry = this.serializeMesh(node);
+            if (entry) {
+                objects.push(entry);
+            }
+        });
+
+        return { objects: objects, trees: trees };
+    }
+
+    /**
+     * Remove the live counterparts of a snapshot's objects and trees from the scene
+     */
+    removeSnapshot(snapshot) {
+        snapshot.objects.forEach(entry => {
+            const mesh = this.findMeshByName(entry.name);
+            if (mesh) {
+                this.removeMesh(mesh);
+            }
+        });
+
+        if (this.treeManager) {
+            snapshot.trees.forEach(entry => {
+                const tree = this.treeManager.trees.find(t => t.parent && t.parent.name === entry.name);
+                if (tree) {
+                    this.treeManager.removeTree(tree);
+                }
+            });
+        }
+    }
+
+    /**
+     * Recreate a snapshot's objects and trees, returning the new scene nodes
+     */
+    restoreSnapshot(snapshot) {
+        const scene = this.sceneManager.getScene();
+        const nodes = [];
+
+        snapshot.objects.forEach(entry => {
+            const mesh = this.restoreMesh(JSON.parse(JSON.stringify(entry)), scene);
+            if (mesh) {
+                nodes.push(mesh);
+            }
+        });
+        snapshot.trees.forEach(entry => {
+            const treeData = this.restoreTree(entry);
+            if (treeData) {
+                nodes.push(treeData.parent);
+            }
+        });
+
+        return nodes;
+    }
+
+    /**
+     * Dispose a typed mesh and drop it from every manager that tracks it
+     */
+    removeMesh(mesh) {
+        if (this.selectionManager) {
+            this.selectionManager.removeSelectableObject(mesh);
+        }
+
+        if (this.rectangleManager) {
+            const index = this.rectangleManager.rectangles.indexOf(mesh);
+            if (index > -1) {
+                this.rectangleManager.rectangles.splice(index, 1);
+            }
+        }
+        if (this.buildingGenerator) {
+            this.buildingGenerator.buildings = this.buildingGenerator.buildings.filter(b => (b.mesh || b) !== mesh);
+            this.buildingGenerator.roads = this.buildingGenerator.roads.filter(r => r !== mesh);
+            this.buildingGenerator.polygons = this.buildingGenerator.polygons.filter(p => p !== mesh);
+        }
+
+        if (mesh.extrusion && !mesh.extrusion.isDisposed()) {
+            if (this.selectionManager) {
+                this.selectionManager.removeSelectableObject(mesh.extrusion);
+            }
+            mesh.extrusion.dispose();
+        }
+        if (mesh.material) {
+            mesh.material.dispose();
+        }
+        mesh.dispose();
+    }
+
+    /**
+     * Find the TreeManager entry that owns a node
+     */
+    findTree(node) {
+        if (!this.treeManager || !this.treeManager.trees) return null;
+        return this.treeManager.trees.find(t => t.parent === node || (t.meshes && t.meshes.includes(node))) || null;
+    }
+
+    /**
+     * Find a typed scene mesh by name
+     */
+    findMeshByName(name) {
+        const scene = this.sceneManager.getScene();
+        return scene.meshes.find(mesh =>
+            mesh.name === name && !mesh.isDisposed() && mesh.userData && this.validTypes.includes(mesh.userData.type)
+        ) || null;
+    }
+
+    /**
+     * Find a scene object (typed mesh or tree root) by name
+     */
+    findNodeByName(name) {
+        if (this.treeManager) {
+            const tree = this.treeManager.trees.find(t => t.parent && t.parent.name === name);
+            if (tree) return tree.parent;
+        }
+        return this.findMeshByName(name);
+    }
+
+    /**
+     * Restore the camera view
+     */
+    restoreCamera(cameraData) {
+        const camera = this.cameraController ? this.cameraController.camera : null;
+        if (!camera) return;
+
+        if (cameraData.target) {
+            camera.setTarget(BABYLON.Vector3.FromArray(cameraData.target));
+        }
+        if (cameraData.alpha !== undefined) camera.alpha = cameraData.alpha;
+        if (cameraData.beta !== undefined) camera.beta = cameraData.beta;
+        if (cameraData.radius !== undefined) camera.radius = cameraData.radius;
+    }
+
+    /**
+     * Get Euler rotation, converting from a quaternion when gizmos have set one
+     */
+    getEulerRotation(node) {
+        return node.rotationQuaternion ? node.rotationQuaternion.toEulerAngles() : node.rotation;
+    }
+
+    /**
+     * Convert a vector to a rounded [x, y, z] array
+     */
+    vectorToArray(vector) {
+        return [this.round(vector.x), this.round(vector.y), this.round(vector.z)];
+    }
+
+    /**
+     * Round to 4 decimal places to keep files compact
+     */
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+}
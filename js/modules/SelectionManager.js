@@ -17,6 +17,7 @@ class SelectionManager {
         this.pointerDown = false;
         this.pointerDownPosition = null;
         this.pointerDownTime = 0;
+        this.suspended = false; // Set while another tool (e.g. vertex editing) owns canvas clicks
         
         // Double-click detection
         this.lastClickTime = 0;
@@ -151,7 +152,7 @@ class SelectionManager {
      */
     handlePointerDown(event) {
         // Check if we're in drawing mode - if so, don't handle selection
-        if (this.isDrawingModeActive()) {
+        if (this.isDrawingModeActive() || this.suspended) {
             return;
         }
 
@@ -171,7 +172,7 @@ class SelectionManager {
      */
     handlePointerUp(event) {
         // Check if we're in drawing mode - if so, don't handle selection
-        if (this.isDrawingModeActive()) {
+        if (this.isDrawingModeActive() || this.suspended) {
             return;
         }
 
@@ -261,6 +262,10 @@ class SelectionManager {
                     selectedObject = baseShape;
                 }
             }
+            // Roofs and stacked volumes select the building they sit on
+            if (selectedObject.metadata && (selectedObject.metadata.roof || selectedObject.metadata.volumes) && selectedObject.parent) {
+                selectedObject = selectedObject.parent;
+            }
             
             // Handle double-click: zoom to extent and scroll to object in list
             if (isDoubleClick) {
@@ -718,8 +723,8 @@ class SelectionManager {
         // Store current material as original
         this.originalMaterials.set(mesh, mesh.material);
 
-        // Create an edge wireframe clone of the mesh
-        const wireframeClone = mesh.clone(`${mesh.name}_edge_wireframe`);
+        // Create an edge wireframe clone of the mesh (children such as roofs are left out)
+        const wireframeClone = mesh.clone(`${mesh.name}_edge_wireframe`, null, true);
         
         // Apply edge-only wireframe shader to the clone
         const edgeWireframeMaterial = this.edgeWireframeMaterial.clone(`edge_wireframe_${mesh.name}`);
@@ -1501,6 +1506,7 @@ class SelectionManager {
                    !mesh.name.includes('_wireframe') && // Exclude wireframe clones
                    !mesh.name.includes('_edge_wireframe') && // Exclude edge wireframe clones
                    mesh.name !== 'ground' && // Exclude ground
+                   !(mesh.metadata && (mesh.metadata.roof || mesh.metadata.volumes)) && // Roofs and volumes belong to their building
                    (
                        mesh.name.startsWith('building_') ||
                        mesh.name.includes('rectangle') ||
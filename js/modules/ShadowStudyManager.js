@@ -0,0 +1,209 @@
+/**
+ * ShadowStudyManager - Timeline panel that sweeps the sun from sunrise to sunset
+ * for a chosen date, so shadows can be followed through the day
+ */
+class ShadowStudyManager {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.lightingManager = uiManager.lightingManager;
+        this.solarCalculator = uiManager.lightingManager.solarCalculator;
+
+        this.panel = null;
+        this.playTimer = null;
+        this.minutes = 720; // Current local time, minutes after midnight
+        this.stepMinutes = 15;
+        this.frameInterval = 400; // Milliseconds between playback steps
+        this.dayStart = 0;
+        this.dayEnd = 1439;
+        this.stepOptions = [5, 10, 15, 30, 60];
+
+        this.createPanel();
+    }
+
+    /**
+     * Create the bottom timeline panel (hidden until opened from the View menu)
+     */
+    createPanel() {
+        this.panel = document.createElement('div');
+        this.panel.id = 'shadowStudyPanel';
+        this.panel.className = 'shadow-study-panel';
+        this.panel.style.display = 'none';
+        this.panel.innerHTML = `
+            <button id="shadowStudyPlay" class="btn btn-small" title="Play">▶</button>
+            <input type="date" id="shadowStudyDate" title="Date">
+            <input type="range" id="shadowStudyTime" min="0" max="1439" step="1" value="720">
+            <span id="shadowStudyTimeValue" class="shadow-study-time">12:00</span>
+            <label for="shadowStudyStep">Step</label>
+            <select id="shadowStudyStep">
+                ${this.stepOptions.map(step => `<option value="${step}"${step === this.stepMinutes ? ' selected' : ''}>${step} min</option>`).join('')}
+            </select>
+            <span id="shadowStudyDaylight" class="shadow-study-daylight"></span>
+            <button id="shadowStudyClose" class="shadow-study-close" title="Close">×</button>
+        `;
+        document.body.appendChild(this.panel);
+
+        this.playButton = this.panel.querySelector('#shadowStudyPlay');
+        this.dateInput = this.panel.querySelector('#shadowStudyDate');
+        this.timeSlider = this.panel.querySelector('#shadowStudyTime');
+        this.timeValue = this.panel.querySelector('#shadowStudyTimeValue');
+        this.stepSelect = this.panel.querySelector('#shadowStudyStep');
+        this.daylightValue = this.panel.querySelector('#shadowStudyDaylight');
+
+        this.playButton.addEventListener('click', () => this.togglePlayback());
+        this.dateInput.addEventListener('change', () => {
+            if (!this.dateInput.value) return;
+            this.uiManager.solarSettings.date = this.dateInput.value;
+            this.updateDay();
+            this.setTime(this.minutes);
+        });
+        this.timeSlider.addEventListener('input', () => {
+            this.stop();
+            this.setTime(parseFloat(this.timeSlider.value));
+        });
+        this.timeSlider.addEventListener('change', () => {
+            this.lightingManager.autoAdjustShadowFrustum();
+        });
+        this.stepSelect.addEventListener('change', () => {
+            this.stepMinutes = parseInt(this.stepSelect.value, 10);
+        });
+        this.panel.querySelector('#shadowStudyClose').addEventListener('click', () => this.hide());
+    }
+
+    /**
+     * Check whether the panel is open
+     */
+    isVisible() {
+        return this.panel && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * Open or close the panel
+     */
+    toggle() {
+        if (this.isVisible()) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * Open the panel and switch the sun light to solar position
+     */
+    show() {
+        const settings = this.uiManager.solarSettings;
+        settings.enabled = true;
+        const solarTogglePref = document.getElementById('solarTogglePref');
+        if (solarTogglePref) solarTogglePref.classList.add('active');
+
+        this.dateInput.value = settings.date;
+        this.updateDay();
+        this.panel.style.display = 'flex';
+        this.setTime(this.parseTime(settings.time));
+        this.lightingManager.autoAdjustShadowFrustum();
+    }
+
+    /**
+     * Stop playback and close the panel; the sun stays at the last shown time
+     */
+    hide() {
+        this.stop();
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * Recompute sunrise and sunset for the current date and location and limit the timeline to them
+     */
+    updateDay() {
+        const settings = this.uiManager.solarSettings;
+        const location = this.uiManager.getSolarLocation();
+        const times = this.solarCalculator.getSunTimes(settings.date, settings.utcOffset, location.latitude, location.longitude);
+
+        if (times.sunrise === null) {
+            // Polar night: nothing to sweep, keep the whole day on the timeline
+            this.dayStart = 0;
+            this.dayEnd = 1439;
+            this.daylightValue.textContent = 'No sunrise';
+        } else {
+            this.dayStart = Math.max(0, Math.ceil(times.sunrise));
+            this.dayEnd = Math.min(1439, Math.floor(times.sunset));
+            this.daylightValue.textContent = `☀ ${this.formatTime(this.dayStart)} – ${this.formatTime(this.dayEnd)}`;
+        }
+
+        this.timeSlider.min = this.dayStart;
+        this.timeSlider.max = this.dayEnd;
+    }
+
+    /**
+     * Move the sun to a local time (minutes after midnight) on the current date
+     */
+    setTime(minutes) {
+        this.minutes = Math.max(this.dayStart, Math.min(this.dayEnd, minutes));
+        this.timeSlider.value = this.minutes;
+        this.timeValue.textContent = this.formatTime(this.minutes);
+
+        this.uiManager.solarSettings.time = this.formatTime(this.minutes);
+        const sunTimeInput = document.getElementById('sunTimePref');
+        if (sunTimeInput) sunTimeInput.value = this.uiManager.solarSettings.time;
+        this.uiManager.applySolarPosition();
+    }
+
+    /**
+     * Start or pause playback
+     */
+    togglePlayback() {
+        if (this.playTimer) {
+            this.stop();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Advance by the chosen step until sunset, restarting from sunrise when already at the end
+     */
+    play() {
+        if (this.minutes >= this.dayEnd) {
+            this.setTime(this.dayStart);
+        }
+        this.lightingManager.autoAdjustShadowFrustum();
+
+        this.playButton.textContent = '❚❚';
+        this.playButton.title = 'Pause';
+        this.playTimer = setInterval(() => {
+            this.setTime(this.minutes + this.stepMinutes);
+            if (this.minutes >= this.dayEnd) {
+                this.stop();
+            }
+        }, this.frameInterval);
+    }
+
+    /**
+     * Pause playback
+     */
+    stop() {
+        if (this.playTimer) {
+            clearInterval(this.playTimer);
+            this.playTimer = null;
+        }
+        this.playButton.textContent = '▶';
+        this.playButton.title = 'Play';
+    }
+
+    /**
+     * Format minutes after midnight as HH:MM
+     */
+    formatTime(minutes) {
+        const rounded = Math.round(minutes);
+        const hours = Math.floor(rounded / 60);
+        return `${String(hours).padStart(2, '0')}:${String(rounded % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Parse HH:MM into minutes after midnight
+     */
+    parseTime(timeString) {
+        const [hours, minutes] = (timeString || '12:00').split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+}
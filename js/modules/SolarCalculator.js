@@ -0,0 +1,136 @@
+/**
+ * SolarCalculator - Astronomical sun position (NOAA solar equations)
+ * Azimuth is measured clockwise from north, elevation above the horizon, both in degrees
+ */
+class SolarCalculator {
+    /**
+     * Build the UTC instant for a local date ("YYYY-MM-DD"), time ("HH:MM") and UTC offset in hours
+     */
+    toUTCDate(dateString, timeString, utcOffsetHours = 0) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        const [hours, minutes] = (timeString || '12:00').split(':').map(Number);
+        const utcMilliseconds = Date.UTC(year, month - 1, day, hours, minutes || 0) - utcOffsetHours * 3600000;
+        return new Date(utcMilliseconds);
+    }
+
+    /**
+     * Get sun azimuth and elevation for a UTC instant at a location
+     */
+    getSunPosition(date, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const { declination, equationOfTime } = this.getSolarParameters(date);
+
+        // True solar time in minutes, then the hour angle in degrees
+        const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+        const trueSolarTime = ((utcMinutes + equationOfTime + 4 * longitude) % 1440 + 1440) % 1440;
+        let hourAngle = trueSolarTime / 4 - 180;
+        if (hourAngle < -180) hourAngle += 360;
+
+        const latRad = latitude * rad;
+        const declRad = declination * rad;
+        const haRad = hourAngle * rad;
+
+        const cosZenith = Math.sin(latRad) * Math.sin(declRad) + Math.cos(latRad) * Math.cos(declRad) * Math.cos(haRad);
+        const zenith = Math.acos(Math.max(-1, Math.min(1, cosZenith))) / rad;
+        const elevation = 90 - zenith + this.getRefraction(90 - zenith);
+
+        const azimuth = (Math.atan2(
+            Math.sin(haRad),
+            Math.cos(haRad) * Math.sin(latRad) - Math.tan(declRad) * Math.cos(latRad)
+        ) / rad + 180 + 360) % 360;
+
+        return { azimuth: azimuth, elevation: elevation };
+    }
+
+    /**
+     * Get sunrise, solar noon and sunset as local minutes after midnight for a local date;
+     * sunrise/sunset are null during polar night and span the whole day during midnight sun
+     */
+    getSunTimes(dateString, utcOffsetHours, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const noon = this.toUTCDate(dateString, '12:00', utcOffsetHours);
+        const { declination, equationOfTime } = this.getSolarParameters(noon);
+        const solarNoon = 720 - 4 * longitude - equationOfTime + utcOffsetHours * 60;
+
+        // Hour angle of the sun's upper limb at the horizon, refraction included (90.833°)
+        const cosHourAngle = (Math.cos(90.833 * rad) - Math.sin(latitude * rad) * Math.sin(declination * rad)) /
+            (Math.cos(latitude * rad) * Math.cos(declination * rad));
+        if (cosHourAngle > 1) {
+            return { sunrise: null, solarNoon: solarNoon, sunset: null };
+        }
+        if (cosHourAngle < -1) {
+            return { sunrise: 0, solarNoon: solarNoon, sunset: 1440 };
+        }
+
+        const halfDay = Math.acos(cosHourAngle) / rad * 4;
+        return { sunrise: solarNoon - halfDay, solarNoon: solarNoon, sunset: solarNoon + halfDay };
+    }
+
+    /**
+     * Get solar declination (degrees) and equation of time (minutes) for a UTC instant
+     */
+    getSolarParameters(date) {
+        const rad = Math.PI / 180;
+        const julianDay = date.getTime() / 86400000 + 2440587.5;
+        const T = (julianDay - 2451545) / 36525; // Julian centuries since J2000
+
+        const meanLongitude = ((280.46646 + T * (36000.76983 + T * 0.0003032)) % 360 + 360) % 360;
+        const meanAnomaly = 357.52911 + T * (35999.05029 - 0.0001537 * T);
+        const eccentricity = 0.016708634 - T * (0.000042037 + 0.0000001267 * T);
+
+        const center = Math.sin(meanAnomaly * rad) * (1.914602 - T * (0.004817 + 0.000014 * T)) +
+            Math.sin(2 * meanAnomaly * rad) * (0.019993 - 0.000101 * T) +
+            Math.sin(3 * meanAnomaly * rad) * 0.000289;
+        const omega = 125.04 - 1934.136 * T;
+        const apparentLongitude = meanLongitude + center - 0.00569 - 0.00478 * Math.sin(omega * rad);
+
+        const meanObliquity = 23 + (26 + (21.448 - T * (46.815 + T * (0.00059 - T * 0.001813))) / 60) / 60;
+        const obliquity = meanObliquity + 0.00256 * Math.cos(omega * rad);
+
+        const declination = Math.asin(Math.sin(obliquity * rad) * Math.sin(apparentLongitude * rad)) / rad;
+
+        const y = Math.pow(Math.tan(obliquity * rad / 2), 2);
+        const L0 = meanLongitude * rad;
+        const M = meanAnomaly * rad;
+        const equationOfTime = 4 / rad * (
+            y * Math.sin(2 * L0) -
+            2 * eccentricity * Math.sin(M) +
+            4 * eccentricity * y * Math.sin(M) * Math.cos(2 * L0) -
+            0.5 * y * y * Math.sin(4 * L0) -
+            1.25 * eccentricity * eccentricity * Math.sin(2 * M)
+        );
+
+        return { declination: declination, equationOfTime: equationOfTime };
+    }
+
+    /**
+     * Approximate atmospheric refraction correction in degrees for an elevation
+     */
+    getRefraction(elevation) {
+        if (elevation > 85) return 0;
+
+        const tanE = Math.tan(elevation * Math.PI / 180);
+        let seconds;
+        if (elevation > 5) {
+            seconds = 58.1 / tanE - 0.07 / Math.pow(tanE, 3) + 0.000086 / Math.pow(tanE, 5);
+        } else if (elevation > -0.575) {
+            seconds = 1735 + elevation * (-518.2 + elevation * (103.4 + elevation * (-12.79 + elevation * 0.711)));
+        } else {
+            seconds = -20.772 / tanE;
+        }
+        return seconds / 3600;
+    }
+
+    /**
+     * Convert azimuth/elevation to a unit vector pointing at the sun in scene axes (X east, Y up, Z north)
+     */
+    toSceneVector(azimuth, elevation) {
+        const rad = Math.PI / 180;
+        const horizontal = Math.cos(elevation * rad);
+        return new BABYLON.Vector3(
+            Math.sin(azimuth * rad) * horizontal,
+            Math.sin(elevation * rad),
+            Math.cos(azimuth * rad) * horizontal
+        );
+    }
+}
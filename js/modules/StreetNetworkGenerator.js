@@ -0,0 +1,559 @@
+/**
+ * StreetNetworkGenerator - Lays out a street graph (jittered grid, radial or organic Voronoi blocks)
+ * and fills the blocks between the streets with parcels and buildings facing the street
+ * Planning works on plan points {x, z}; meshes are created through the BuildingGenerator, whose seeded random it shares
+ */
+class StreetNetworkGenerator {
+    constructor(buildingGenerator) {
+        this.generator = buildingGenerator;
+        this.layouts = ['grid', 'radial', 'organic'];
+
+        this.gridJitter = 0.15; // Junction offset in a grid, as a fraction of the smallest road spacing
+        this.siteJitter = 0.35; // Offset of Voronoi sites from their cell centre, as a fraction of the cell size
+        this.minSpokes = 6;
+        this.maxSpokes = 9;
+        this.mergeDistance = 1; // Voronoi corners closer than this become one junction
+        this.maxStraightTurn = Math.PI / 3; // A street runs on through a junction if it turns less than this
+
+        this.verge = 2; // Pavement between the road edge and the parcels
+        this.minSetback = 2;
+        this.maxSetback = 5;
+        this.sideGap = 1.5; // Space between a building and each side of its parcel
+        this.rearGap = 3; // Back garden kept behind a building
+        this.minBuildingDepth = 6; // Buildings are made shallower to fit a block, but not below this
+        this.parcelStep = 2; // How far along the frontage to move on when a parcel does not fit
+        this.parkChance = 0.3; // Share of unbuilt blocks laid out as parks with trees
+        this.maxTreesPerPark = 30;
+    }
+
+    /**
+     * Generate streets and fill the blocks nearest the centre with buildings until the count is reached
+     * @param {string} layout - 'grid', 'radial' or 'organic'
+     * @returns {Object} The street network: nodes, edges, blocks and streets
+     */
+    generate(layout, count, minHeight, maxHeight) {
+        const network = this.createNetwork(layout);
+        this.createStreets(network);
+        const built = this.fillBlocks(network, count, minHeight, maxHeight);
+
+        console.log(`Generated ${layout} street network: ${network.nodes.length} junctions, ${network.streets.length} streets, ${network.blocks.length} blocks, ${built} buildings`);
+        return network;
+    }
+
+    /**
+     * Build the street graph of a layout
+     */
+    createNetwork(layout) {
+        switch (layout) {
+            case 'radial':
+                return this.createRadialNetwork();
+            case 'organic':
+                return this.createOrganicNetwork();
+            default:
+                return this.createGridNetwork();
+        }
+    }
+
+    /**
+     * Random value from the generator's seeded source
+     */
+    random() {
+        return this.generator.random();
+    }
+
+    /**
+     * Random value between min and max
+     */
+    randomBetween(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    /**
+     * Side length of the square the district is laid out in (the same area the straight roads cover)
+     */
+    getExtent() {
+        return this.generator.groundSize * 0.8;
+    }
+
+    /**
+     * Empty street graph; edges are looked up by their two junctions
+     */
+    createEmptyNetwork() {
+        return { nodes: [], edges: [], edgeLookup: new Map(), blocks: [], streets: [] };
+    }
+
+    /**
+     * Add a junction, reusing an existing one within mergeDistance
+     * @returns {number} Node index
+     */
+    addNode(network, x, z, mergeDistance = 0) {
+        if (mergeDistance > 0) {
+            const existing = network.nodes.findIndex(node => Math.hypot(node.x - x, node.z - z) < mergeDistance);
+            if (existing !== -1) return existing;
+        }
+        network.nodes.push({ x, z });
+        return network.nodes.length - 1;
+    }
+
+    /**
+     * Key of the edge between two junctions, independent of direction
+     */
+    getEdgeKey(a, b) {
+        return a < b ? `${a}_${b}` : `${b}_${a}`;
+    }
+
+    /**
+     * Add the edge between two junctions unless it exists
+     * @returns {number} Edge index
+     */
+    addEdge(network, a, b) {
+        const key = this.getEdgeKey(a, b);
+        if (!network.edgeLookup.has(key)) {
+            network.edges.push({ a, b, width: null });
+            network.edgeLookup.set(key, network.edges.length - 1);
+        }
+        return network.edgeLookup.get(key);
+    }
+
+    /**
+     * Get the edge between two junctions
+     */
+    getEdge(network, a, b) {
+        return network.edges[network.edgeLookup.get(this.getEdgeKey(a, b))];
+    }
+
+    /**
+     * Add a block bounded by junctions and the edges around it; blocks are stored counter-clockwise
+     */
+    addBlock(network, nodeIndices) {
+        // Merged junctions leave repeated corners
+        const corners = nodeIndices.filter((node, i) => node !== nodeIndices[(i + 1) % nodeIndices.length]);
+        if (corners.length < 3 || new Set(corners).size !== corners.length) return;
+
+        if (PlanGeometry.getSignedArea(corners.map(node => network.nodes[node])) < 0) {
+            corners.reverse();
+        }
+        corners.forEach((node, i) => this.addEdge(network, node, corners[(i + 1) % corners.length]));
+        network.blocks.push(corners);
+    }
+
+    /**
+     * Road positions across an extent, spaced within the generator's road spacing range and centred on 0
+     */
+    createSpacedPositions(extent) {
+        const g = this.generator;
+        const positions = [0];
+        for (;;) {
+            const next = positions[positions.length - 1] + this.randomBetween(g.minRoadSpacing, g.maxRoadSpacing);
+            if (next > extent) break;
+            positions.push(next);
+        }
+        if (positions.length < 2) positions.push(extent);
+
+        const offset = positions[positions.length - 1] / 2;
+        return positions.map(p => p - offset);
+    }
+
+    /**
+     * Grid of streets whose inner junctions are jittered, so blocks are irregular quadrilaterals
+     */
+    createGridNetwork() {
+        const network = this.createEmptyNetwork();
+        const xs = this.createSpacedPositions(this.getExtent());
+        const zs = this.createSpacedPositions(this.getExtent());
+        const jitter = this.gridJitter * this.generator.minRoadSpacing;
+
+        // Junctions on the district edge only move along it
+        const grid = xs.map((x, i) => zs.map((z, j) => {
+            const dx = i > 0 && i < xs.length - 1 ? (this.random() - 0.5) * 2 * jitter : 0;
+            const dz = j > 0 && j < zs.length - 1 ? (this.random() - 0.5) * 2 * jitter : 0;
+            return this.addNode(network, x + dx, z + dz);
+        }));
+
+        for (let i = 0; i < xs.length - 1; i++) {
+            for (let j = 0; j < zs.length - 1; j++) {
+                this.addBlock(network, [grid[i][j], grid[i + 1][j], grid[i + 1][j + 1], grid[i][j + 1]]);
+            }
+        }
+        return network;
+    }
+
+    /**
+     * Ring roads around a centre crossed by spokes; outer rings gain spokes where blocks would get too long
+     */
+    createRadialNetwork() {
+        const network = this.createEmptyNetwork();
+        const g = this.generator;
+        const radius = this.getExtent() / 2;
+
+        const radii = [];
+        for (let r = this.randomBetween(g.minRoadSpacing, g.maxRoadSpacing); r <= radius; r += this.randomBetween(g.minRoadSpacing, g.maxRoadSpacing)) {
+            radii.push(r);
+        }
+        if (radii.length === 0) radii.push(radius);
+
+        const spokes = this.minSpokes + Math.floor(this.random() * (this.maxSpokes - this.minSpokes + 1));
+        const step = 2 * Math.PI / spokes;
+        const rotation = this.random() * step;
+        let angles = [];
+        for (let i = 0; i < spokes; i++) {
+            angles.push(rotation + i * step + (this.random() - 0.5) * step * 0.5);
+        }
+
+        const centre = this.addNode(network, 0, 0);
+        let inner = angles.map(() => centre);
+        radii.forEach(r => {
+            const outerAngles = [];
+            angles.forEach((angle, i) => {
+                const next = i + 1 < angles.length ? angles[i + 1] : angles[0] + 2 * Math.PI;
+                outerAngles.push(angle);
+                if ((next - angle) * r > 2 * g.maxRoadSpacing) {
+                    outerAngles.push((angle + next) / 2);
+                }
+            });
+            const outer = outerAngles.map(angle => this.addNode(network, Math.cos(angle) * r, Math.sin(angle) * r));
+
+            // One block between each pair of neighbouring spokes, closed by this ring
+            angles.forEach((angle, i) => {
+                const first = outerAngles.indexOf(angle);
+                const last = i + 1 < angles.length ? outerAngles.indexOf(angles[i + 1]) : outerAngles.length;
+                const outside = [];
+                for (let k = last; k >= first; k--) {
+                    outside.push(outer[k % outer.length]);
+                }
+                this.addBlock(network, [inner[i], inner[(i + 1) % inner.length], ...outside]);
+            });
+
+            angles = outerAngles;
+            inner = outer;
+        });
+        return network;
+    }
+
+    /**
+     * Voronoi cells of jittered sites become blocks, giving irregular organic streets
+     */
+    createOrganicNetwork() {
+        const network = this.createEmptyNetwork();
+        const g = this.generator;
+        const half = this.getExtent() / 2;
+        const cells = Math.max(2, Math.round(2 * half / ((g.minRoadSpacing + g.maxRoadSpacing) / 2)));
+        const size = 2 * half / cells;
+
+        const sites = [];
+        for (let i = 0; i < cells; i++) {
+            for (let j = 0; j < cells; j++) {
+                sites.push({
+                    x: -half + (i + 0.5) * size + (this.random() - 0.5) * 2 * this.siteJitter * size,
+                    z: -half + (j + 0.5) * size + (this.random() - 0.5) * 2 * this.siteJitter * size
+                });
+            }
+        }
+
+        const boundary = [{ x: -half, z: -half }, { x: half, z: -half }, { x: half, z: half }, { x: -half, z: half }];
+        sites.forEach(site => {
+            let cell = boundary;
+            sites.forEach(other => {
+                // Sites further away cannot share an edge with this one
+                if (other === site || Math.hypot(other.x - site.x, other.z - site.z) > 3 * size) return;
+                cell = this.clipToCloserHalf(cell, site, other);
+            });
+            this.addBlock(network, cell.map(p => this.addNode(network, p.x, p.z, this.mergeDistance)));
+        });
+        return network;
+    }
+
+    /**
+     * Clip a polygon to the points closer to site than to other (Sutherland-Hodgman)
+     */
+    clipToCloserHalf(polygon, site, other) {
+        const nx = other.x - site.x;
+        const nz = other.z - site.z;
+        const mx = (site.x + other.x) / 2;
+        const mz = (site.z + other.z) / 2;
+        const side = p => (p.x - mx) * nx + (p.z - mz) * nz;
+
+        const result = [];
+        polygon.forEach((p, i) => {
+            const q = polygon[(i + 1) % polygon.length];
+            const sp = side(p);
+            const sq = side(q);
+            if (sp <= 0) result.push(p);
+            if ((sp < 0 && sq > 0) || (sp > 0 && sq < 0)) {
+                const t = sp / (sp - sq);
+                result.push({ x: p.x + (q.x - p.x) * t, z: p.z + (q.z - p.z) * t });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Chain the edges into streets that run straight on through junctions, give each a width and build its ribbon
+     */
+    createStreets(network) {
+        const g = this.generator;
+        const nodeEdges = network.nodes.map(() => []);
+        network.edges.forEach((edge, i) => {
+            nodeEdges[edge.a].push(i);
+            nodeEdges[edge.b].push(i);
+        });
+
+        const used = new Set();
+        network.edges.forEach((edge, index) => {
+            if (used.has(index)) return;
+            used.add(index);
+
+            const nodes = [edge.a, edge.b];
+            this.extendStreet(network, nodes, nodeEdges, used);
+            nodes.reverse();
+            if (nodes[0] !== nodes[nodes.length - 1]) {
+                this.extendStreet(network, nodes, nodeEdges, used);
+            }
+
+            const width = this.randomBetween(g.minRoadWidth, g.maxRoadWidth);
+            for (let i = 0; i < nodes.length - 1; i++) {
+                this.getEdge(network, nodes[i], nodes[i + 1]).width = width;
+            }
+            network.streets.push({ nodes, width });
+        });
+
+        const polylineManager = g.uiManager ? g.uiManager.polylineManager : null;
+        if (!polylineManager) {
+            console.warn('PolylineManager not available, cannot create streets');
+            return;
+        }
+        network.streets.forEach(street => {
+            const points = street.nodes.map(node => new BABYLON.Vector3(network.nodes[node].x, 0, network.nodes[node].z));
+            const road = polylineManager.createPolyline(points, 'highway', street.width);
+            if (road) {
+                g.roads.push(road);
+            }
+        });
+    }
+
+    /**
+     * Extend a street from its last junction along the straightest unused edge, until it turns too much or closes
+     */
+    extendStreet(network, nodes, nodeEdges, used) {
+        for (;;) {
+            const end = nodes[nodes.length - 1];
+            if (nodes.length > 2 && end === nodes[0]) return;
+
+            const from = network.nodes[nodes[nodes.length - 2]];
+            const at = network.nodes[end];
+            const heading = Math.atan2(at.z - from.z, at.x - from.x);
+            let best = -1;
+            let bestTurn = this.maxStraightTurn;
+            nodeEdges[end].forEach(i => {
+                if (used.has(i)) return;
+                const edge = network.edges[i];
+                const next = network.nodes[edge.a === end ? edge.b : edge.a];
+                let turn = Math.abs(Math.atan2(next.z - at.z, next.x - at.x) - heading);
+                if (turn > Math.PI) turn = 2 * Math.PI - turn;
+                if (turn < bestTurn) {
+                    bestTurn = turn;
+                    best = i;
+                }
+            });
+            if (best === -1) return;
+
+            used.add(best);
+            const edge = network.edges[best];
+            nodes.push(edge.a === end ? edge.b : edge.a);
+        }
+    }
+
+    /**
+     * Fill blocks from the centre outwards until count buildings stand; some unbuilt blocks become parks
+     * @returns {number} Buildings created
+     */
+    fillBlocks(network, count, minHeight, maxHeight) {
+        const blocks = network.blocks.map(corners => {
+            const points = corners.map(node => network.nodes[node]);
+            const centre = PlanGeometry.getCentroid(points);
+            return { corners, distance: Math.hypot(centre.x, centre.z) };
+        }).sort((a, b) => a.distance - b.distance);
+
+        let built = 0;
+        blocks.forEach(block => {
+            const outline = this.insetBlock(network, block.corners);
+            if (!outline) return;
+
+            const placed = built < count ? this.fillBlock(outline, count - built, minHeight, maxHeight) : 0;
+            built += placed;
+            if (placed === 0 && this.random() < this.parkChance) {
+                this.createPark(outline);
+            }
+        });
+        return built;
+    }
+
+    /**
+     * Shrink a block away from its streets by half of each street's width plus the verge
+     * @returns {Array|null} Buildable outline, or null if the block is too small
+     */
+    insetBlock(network, corners) {
+        const points = corners.map(node => network.nodes[node]);
+        const lines = points.map((p, i) => {
+            const q = points[(i + 1) % points.length];
+            const length = Math.hypot(q.x - p.x, q.z - p.z);
+            const dir = { x: (q.x - p.x) / length, z: (q.z - p.z) / length };
+            const offset = this.getEdge(network, corners[i], corners[(i + 1) % corners.length]).width / 2 + this.verge;
+            // Blocks run counter-clockwise, so the inside is on the left
+            return { x: p.x - dir.z * offset, z: p.z + dir.x * offset, dir };
+        });
+
+        const outline = lines.map((line, i) => this.intersectLines(lines[(i + lines.length - 1) % lines.length], line));
+        const valid = outline.every((p, i) => {
+            const q = outline[(i + 1) % outline.length];
+            const forward = (q.x - p.x) * lines[i].dir.x + (q.z - p.z) * lines[i].dir.z > 0;
+            return forward && this.isInsideConvex(p, points);
+        });
+        return valid ? outline : null;
+    }
+
+    /**
+     * Intersection of two lines given as a point and a direction; parallel lines meet at the second point
+     */
+    intersectLines(a, b) {
+        const cross = a.dir.x * b.dir.z - a.dir.z * b.dir.x;
+        if (Math.abs(cross) < 1e-3) return { x: b.x, z: b.z };
+        const s = ((b.x - a.x) * b.dir.z - (b.z - a.z) * b.dir.x) / cross;
+        return { x: a.x + a.dir.x * s, z: a.z + a.dir.z * s };
+    }
+
+    /**
+     * Walk along each frontage of a block, cutting parcels and placing a building at the front of each
+     * @returns {number} Buildings created
+     */
+    fillBlock(outline, maxBuildings, minHeight, maxHeight) {
+        const g = this.generator;
+        const parcels = [];
+        let placed = 0;
+
+        outline.forEach((start, i) => {
+            const end = outline[(i + 1) % outline.length];
+            const length = Math.hypot(end.x - start.x, end.z - start.z);
+            const dir = { x: (end.x - start.x) / length, z: (end.z - start.z) / length };
+            const inward = { x: -dir.z, z: dir.x };
+
+            let t = 0;
+            while (placed < maxBuildings && length - t >= g.minWidth + 2 * this.sideGap) {
+                const width = Math.round(Math.min(this.randomBetween(g.minWidth, g.maxWidth), length - t - 2 * this.sideGap) * 100) / 100;
+                const setback = this.randomBetween(this.minSetback, this.maxSetback);
+                let depth = this.randomBetween(g.minDepth, g.maxDepth);
+
+                // Shallower buildings for shallow blocks and corners
+                let parcel = null;
+                while (!parcel && depth >= this.minBuildingDepth) {
+                    depth = Math.round(depth * 100) / 100;
+                    const corners = this.createParcelCorners(start, dir, inward, t, width + 2 * this.sideGap, setback + depth + this.rearGap);
+                    if (this.canPlaceParcel(corners, outline, parcels)) {
+                        parcel = corners;
+                    } else {
+                        depth *= 0.7;
+                    }
+                }
+                if (!parcel) {
+                    t += this.parcelStep;
+                    continue;
+                }
+
+                parcels.push(parcel);
+                g.createPolygonFromPoints(parcel.map(p => new BABYLON.Vector3(p.x, 0, p.z)), 'ground');
+
+                const along = t + this.sideGap + width / 2;
+                const into = setback + depth / 2;
+                const position = { x: start.x + dir.x * along + inward.x * into, z: start.z + dir.z * along + inward.z * into };
+                this.createFrontageBuilding(position, dir, width, depth, minHeight, maxHeight);
+                placed++;
+                t += width + 2 * this.sideGap;
+            }
+        });
+        return placed;
+    }
+
+    /**
+     * Corners of a parcel starting at distance t along a frontage, counter-clockwise
+     */
+    createParcelCorners(start, dir, inward, t, width, depth) {
+        const front = { x: start.x + dir.x * t, z: start.z + dir.z * t };
+        return [
+            front,
+            { x: front.x + dir.x * width, z: front.z + dir.z * width },
+            { x: front.x + dir.x * width + inward.x * depth, z: front.z + dir.z * width + inward.z * depth },
+            { x: front.x + inward.x * depth, z: front.z + inward.z * depth }
+        ];
+    }
+
+    /**
+     * A parcel fits if it lies inside the block and does not overlap the block's other parcels
+     */
+    canPlaceParcel(corners, outline, parcels) {
+        return corners.every(p => this.isInsideConvex(p, outline)) &&
+            !parcels.some(other => this.convexOverlap(corners, other));
+    }
+
+    /**
+     * Create a building on a parcel with its width along the street frontage
+     */
+    createFrontageBuilding(position, dir, width, depth, minHeight, maxHeight) {
+        const g = this.generator;
+        const height = Math.round(this.randomBetween(minHeight, maxHeight) * 100) / 100;
+        const mesh = g.createPlotBuilding(width, depth, position, Math.atan2(dir.z, dir.x), height);
+        g.buildings.push({ mesh, width, depth, height, position });
+    }
+
+    /**
+     * Lay an unbuilt block out as a green park with trees
+     */
+    createPark(outline) {
+        const g = this.generator;
+        const park = g.createPolygonFromPoints(outline.map(p => new BABYLON.Vector3(p.x, 0, p.z)), 'green');
+        if (!park || !g.treeManager) return;
+
+        const area = Math.abs(PlanGeometry.getSignedArea(outline));
+        const trees = Math.min(this.maxTreesPerPark, Math.round(area / 100 * g.treeDensity * (0.7 + this.random() * 0.6)));
+        const xs = outline.map(p => p.x);
+        const zs = outline.map(p => p.z);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minZ = Math.min(...zs);
+        const maxZ = Math.max(...zs);
+
+        let planted = 0;
+        for (let attempt = 0; planted < trees && attempt < trees * 10; attempt++) {
+            const p = { x: this.randomBetween(minX, maxX), z: this.randomBetween(minZ, maxZ) };
+            if (!this.isInsideConvex(p, outline)) continue;
+            g.placeTree(new BABYLON.Vector3(p.x, 0, p.z));
+            planted++;
+        }
+        console.log(`Added ${planted} trees on park ${park.name}`);
+    }
+
+    /**
+     * Check whether a point lies inside (or on) a counter-clockwise convex polygon
+     */
+    isInsideConvex(point, polygon) {
+        return polygon.every((a, i) => {
+            const b = polygon[(i + 1) % polygon.length];
+            return (b.x - a.x) * (point.z - a.z) - (b.z - a.z) * (point.x - a.x) >= -1e-6;
+        });
+    }
+
+    /**
+     * Check whether two convex polygons overlap (separating axis test); touching edges do not count
+     */
+    convexOverlap(a, b) {
+        const separated = polygon => polygon.some((p, i) => {
+            const q = polygon[(i + 1) % polygon.length];
+            const axis = { x: q.z - p.z, z: p.x - q.x };
+            const project = points => points.map(point => point.x * axis.x + point.z * axis.z);
+            const pa = project(a);
+            const pb = project(b);
+            const tolerance = 1e-6 * Math.hypot(axis.x, axis.z);
+            return Math.max(...pa) <= Math.min(...pb) + tolerance || Math.max(...pb) <= Math.min(...pa) + tolerance;
+        });
+        return !separated(a) && !separated(b);
+    }
+}
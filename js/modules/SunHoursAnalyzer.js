@@ -0,0 +1,387 @@
+/**
+ * SunHoursAnalyzer - Direct sun hours on the ground and on selected polygons for one day
+ * Sample points are ray-tested towards the sun against the shadow casters, then painted
+ * as a colour-ramped overlay with a legend and a "% of area with >= N hours" readout
+ */
+class SunHoursAnalyzer {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.sceneManager = uiManager.sceneManager;
+        this.lightingManager = uiManager.lightingManager;
+        this.selectionManager = uiManager.selectionManager;
+        this.geoJSONManager = uiManager.geoJSONManager;
+        this.solarCalculator = uiManager.lightingManager.solarCalculator;
+
+        this.sampleMinutes = 30;
+        this.groundMargin = 20; // Metres of ground analysed around the scene content
+        this.maxCellsPerSide = 80;
+        this.minCellSize = 0.5;
+        this.surfaceOffset = 0.25; // Ray origins sit above flat roads and water
+        this.overlayOffset = 0.12;
+        this.rayLength = 2000;
+        this.thresholdHours = 4;
+        this.colorStops = [
+            [0, [0.19, 0.21, 0.58]],
+            [0.25, [0.16, 0.55, 0.75]],
+            [0.5, [0.35, 0.75, 0.35]],
+            [0.75, [0.98, 0.85, 0.25]],
+            [1, [0.85, 0.2, 0.15]]
+        ];
+
+        this.results = []; // { name, cells, hours, overlay }
+        this.maxHours = 0;
+        this.isRunning = false;
+        this.legendPanel = null;
+    }
+
+    /**
+     * Run the analysis for the date and location of the sun settings
+     */
+    async run() {
+        if (this.isRunning) return;
+
+        const settings = this.uiManager.solarSettings;
+        const sunVectors = this.getSunVectors();
+        if (sunVectors.length === 0) {
+            throw new Error(`The sun does not rise on ${settings.date} at this location`);
+        }
+
+        this.clear();
+        this.isRunning = true;
+        this.maxHours = sunVectors.length * this.sampleMinutes / 60;
+        this.showLegend();
+
+        try {
+            const casters = this.getShadowCasters();
+            const targets = this.getTargets(casters);
+            for (let i = 0; i < targets.length; i++) {
+                const target = targets[i];
+                this.setStatus(`Analysing ${target.name} (${i + 1}/${targets.length})…`);
+
+                const cells = this.createCells(target);
+                const hours = await this.accumulate(target, cells, sunVectors, casters);
+                const result = { name: target.name, cells: cells, hours: hours, overlay: null };
+                result.overlay = this.createOverlay(target, cells, hours);
+                this.results.push(result);
+            }
+        } finally {
+            this.isRunning = false;
+        }
+
+        this.setStatus('');
+        this.updateReadout();
+        console.log(`Sun hours analysis: ${this.results.length} surfaces, ${sunVectors.length} sun positions on ${settings.date}`);
+    }
+
+    /**
+     * Sun direction vectors above the horizon, one per sample interval between sunrise and sunset
+     */
+    getSunVectors() {
+        const settings = this.uiManager.solarSettings;
+        const location = this.uiManager.getSolarLocation();
+        const times = this.solarCalculator.getSunTimes(settings.date, settings.utcOffset, location.latitude, location.longitude);
+        if (times.sunrise === null) return [];
+
+        const midnight = this.solarCalculator.toUTCDate(settings.date, '00:00', settings.utcOffset).getTime();
+        const vectors = [];
+        for (let minutes = times.sunrise + this.sampleMinutes / 2; minutes < times.sunset; minutes += this.sampleMinutes) {
+            const sun = this.solarCalculator.getSunPosition(new Date(midnight + minutes * 60000), location.latitude, location.longitude);
+            if (sun.elevation > 0) {
+                vectors.push(this.solarCalculator.toSceneVector(sun.azimuth, sun.elevation));
+            }
+        }
+        return vectors;
+    }
+
+    /**
+     * Meshes that cast shadows in the twin, taken from the shadow generator's render list
+     */
+    getShadowCasters() {
+        const generator = this.lightingManager.shadowGenerator;
+        const renderList = generator ? generator.getShadowMap().renderList : [];
+        return new Set(renderList.filter(mesh =>
+            !mesh.isDisposed() && mesh.isEnabled() && mesh.isVisible && mesh !== this.sceneManager.getGround()));
+    }
+
+    /**
+     * The ground around the scene content, followed by each selected polygon's top surface
+     */
+    getTargets(casters) {
+        const targets = [this.getGroundTarget(casters)];
+
+        const selected = new Set();
+        this.selectionManager.selectedObjects.forEach(mesh => {
+            const base = mesh.basePolygon || mesh;
+            if (base.userData && base.userData.type && !this.uiManager.isTree(base)) {
+                selected.add(base);
+            }
+        });
+
+        selected.forEach(mesh => {
+            const outline = this.geoJSONManager.getFootprint(mesh);
+            if (!outline || outline.length < 3) {
+                console.warn(`Sun hours: skipping ${mesh.name}, footprint could not be recovered`);
+                return;
+            }
+            const bounds = this.geoJSONManager.getWorldBounds(mesh);
+            targets.push({ name: mesh.name, outline: outline, y: bounds.max.y });
+        });
+
+        return targets;
+    }
+
+    /**
+     * Ground rectangle covering the shadow casters plus a margin, clipped to the ground mesh
+     */
+    getGroundTarget(casters) {
+        const ground = this.sceneManager.getGround();
+        ground.computeWorldMatrix(true);
+        const groundBox = ground.getBoundingInfo().boundingBox;
+        const min = groundBox.minimumWorld.clone();
+        const max = groundBox.maximumWorld.clone();
+
+        if (casters.size > 0) {
+            const contentMin = new BABYLON.Vector3(Infinity, Infinity, Infinity);
+            const contentMax = new BABYLON.Vector3(-Infinity, -Infinity, -Infinity);
+            casters.forEach(mesh => {
+                mesh.computeWorldMatrix(true);
+                const box = mesh.getBoundingInfo().boundingBox;
+                contentMin.minimizeInPlace(box.minimumWorld);
+                contentMax.maximizeInPlace(box.maximumWorld);
+            });
+            min.x = Math.max(min.x, contentMin.x - this.groundMargin);
+            min.z = Math.max(min.z, contentMin.z - this.groundMargin);
+            max.x = Math.min(max.x, contentMax.x + this.groundMargin);
+            max.z = Math.min(max.z, contentMax.z + this.groundMargin);
+        }
+
+        return {
+            name: 'Ground',
+            outline: [
+                new BABYLON.Vector3(min.x, 0, min.z),
+                new BABYLON.Vector3(max.x, 0, min.z),
+                new BABYLON.Vector3(max.x, 0, max.z),
+                new BABYLON.Vector3(min.x, 0, max.z)
+            ],
+            y: groundBox.maximumWorld.y
+        };
+    }
+
+    /**
+     * Square cells covering a target outline; only cells whose centre lies inside are kept
+     */
+    createCells(target, maxCellsPerSide = this.maxCellsPerSide) {
+        let minX = Infinity;
+        let maxX = -Infinity;
+        let minZ = Infinity;
+        let maxZ = -Infinity;
+        target.outline.forEach(p => {
+            minX = Math.min(minX, p.x);
+            maxX = Math.max(maxX, p.x);
+            minZ = Math.min(minZ, p.z);
+            maxZ = Math.max(maxZ, p.z);
+        });
+
+        const size = Math.max(this.minCellSize, Math.max(maxX - minX, maxZ - minZ) / maxCellsPerSide);
+        const cells = [];
+        for (let z = minZ + size / 2; z < maxZ; z += size) {
+            for (let x = minX + size / 2; x < maxX; x += size) {
+                if (PlanGeometry.pointInPolygon({ x: x, z: z }, target.outline)) {
+                    cells.push({ x: x, z: z, size: size });
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * Count sunlit samples per cell; yields to the browser between batches of cells
+     */
+    async accumulate(target, cells, sunVectors, casters) {
+        const scene = this.sceneManager.getScene();
+        const predicate = (mesh) => casters.has(mesh);
+        const ray = new BABYLON.Ray(BABYLON.Vector3.Zero(), BABYLON.Vector3.Up(), this.rayLength);
+        const hours = new Float32Array(cells.length);
+        const hoursPerSample = this.sampleMinutes / 60;
+
+        for (let i = 0; i < cells.length; i++) {
+            ray.origin.set(cells[i].x, target.y + this.surfaceOffset, cells[i].z);
+            let litSamples = 0;
+            sunVectors.forEach(sunVector => {
+                ray.direction.copyFrom(sunVector);
+                const hit = scene.pickWithRay(ray, predicate, true);
+                if (!hit || !hit.hit) {
+                    litSamples++;
+                }
+            });
+            hours[i] = litSamples * hoursPerSample;
+
+            if (i % 250 === 249) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+        return hours;
+    }
+
+    /**
+     * Build one vertex-coloured overlay mesh of quads just above the target surface
+     */
+    createOverlay(target, cells, hours) {
+        if (cells.length === 0) return null;
+
+        const scene = this.sceneManager.getScene();
+        const positions = [];
+        const colors = [];
+        const indices = [];
+        const y = target.y + this.overlayOffset;
+
+        cells.forEach((cell, i) => {
+            const half = cell.size / 2;
+            const color = this.getColor(this.maxHours > 0 ? hours[i] / this.maxHours : 0);
+            const start = positions.length / 3;
+            positions.push(
+                cell.x - half, y, cell.z - half,
+                cell.x + half, y, cell.z - half,
+                cell.x + half, y, cell.z + half,
+                cell.x - half, y, cell.z + half
+            );
+            for (let k = 0; k < 4; k++) {
+                colors.push(color[0], color[1], color[2], 1);
+            }
+            indices.push(start, start + 2, start + 1, start, start + 3, start + 2);
+        });
+
+        const overlay = new BABYLON.Mesh(`sunHours_${target.name}`, scene);
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = positions;
+        vertexData.indices = indices;
+        vertexData.colors = colors;
+        vertexData.applyToMesh(overlay);
+
+        const material = new BABYLON.StandardMaterial(`sunHoursMaterial_${target.name}`, scene);
+        material.disableLighting = true;
+        material.diffuseColor = new BABYLON.Color3(1, 1, 1);
+        material.backFaceCulling = false;
+        material.alpha = 0.85;
+        overlay.material = material;
+        overlay.useVertexColors = true;
+        overlay.isPickable = false;
+        overlay.metadata = { analysisOverlay: true };
+        return overlay;
+    }
+
+    /**
+     * Interpolate the colour ramp at t in [0, 1]
+     */
+    getColor(t) {
+        const value = Math.max(0, Math.min(1, t));
+        for (let i = 1; i < this.colorStops.length; i++) {
+            const [end, endColor] = this.colorStops[i];
+            if (value <= end) {
+                const [start, startColor] = this.colorStops[i - 1];
+                const f = (value - start) / (end - start);
+                return startColor.map((c, k) => c + (endColor[k] - c) * f);
+            }
+        }
+        return this.colorStops[this.colorStops.length - 1][1];
+    }
+
+    /**
+     * Share of a result's area (equal cells) with at least the threshold hours of sun, in percent
+     */
+    getShareAbove(result, thresholdHours) {
+        if (result.cells.length === 0) return 0;
+        let count = 0;
+        result.hours.forEach(value => {
+            if (value >= thresholdHours - 1e-6) count++;
+        });
+        return count / result.cells.length * 100;
+    }
+
+    /**
+     * Create or reset the legend panel
+     */
+    showLegend() {
+        if (!this.legendPanel) {
+            this.legendPanel = document.createElement('div');
+            this.legendPanel.id = 'sunHoursLegend';
+            this.legendPanel.className = 'sun-hours-legend';
+            document.body.appendChild(this.legendPanel);
+        }
+
+        const gradient = this.colorStops.map(([stop, color]) =>
+            `rgb(${color.map(c => Math.round(c * 255)).join(',')}) ${stop * 100}%`).join(', ');
+
+        this.legendPanel.innerHTML = `
+            <div class="sun-hours-header">
+                <h4>Sun Hours · ${this.uiManager.solarSettings.date}</h4>
+                <button class="sun-hours-close" title="Clear heatmap">×</button>
+            </div>
+            <div class="sun-hours-ramp" style="background: linear-gradient(to right, ${gradient});"></div>
+            <div class="sun-hours-scale"><span>0 h</span><span>${this.maxHours.toFixed(1)} h</span></div>
+            <div class="sun-hours-threshold">
+                <label for="sunHoursThreshold">Area with ≥</label>
+                <input type="number" id="sunHoursThreshold" min="0" step="0.5" value="${this.thresholdHours}">
+                <span>h of sun</span>
+            </div>
+            <div class="sun-hours-status"></div>
+            <div class="sun-hours-readout"></div>
+        `;
+        this.legendPanel.style.display = 'block';
+
+        this.legendPanel.querySelector('.sun-hours-close').addEventListener('click', () => this.clear());
+        this.legendPanel.querySelector('#sunHoursThreshold').addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (!isFinite(value)) return;
+            this.thresholdHours = value;
+            this.updateReadout();
+        });
+    }
+
+    /**
+     * Show progress text in the legend
+     */
+    setStatus(text) {
+        const status = this.legendPanel ? this.legendPanel.querySelector('.sun-hours-status') : null;
+        if (status) status.textContent = text;
+    }
+
+    /**
+     * Refresh the per-surface "% of area" lines for the current threshold
+     */
+    updateReadout() {
+        const readout = this.legendPanel ? this.legendPanel.querySelector('.sun-hours-readout') : null;
+        if (!readout) return;
+
+        readout.innerHTML = '';
+        this.results.forEach(result => {
+            const row = document.createElement('div');
+            row.className = 'sun-hours-row';
+            const name = document.createElement('span');
+            name.textContent = result.name;
+            const share = document.createElement('span');
+            share.textContent = `${this.getShareAbove(result, this.thresholdHours).toFixed(0)}%`;
+            row.appendChild(name);
+            row.appendChild(share);
+            readout.appendChild(row);
+        });
+    }
+
+    /**
+     * Remove the overlays and hide the legend
+     */
+    clear() {
+        if (this.isRunning) return;
+
+        this.results.forEach(result => {
+            if (result.overlay) {
+                if (result.overlay.material) result.overlay.material.dispose();
+                result.overlay.dispose();
+            }
+        });
+        this.results = [];
+        if (this.legendPanel) {
+            this.legendPanel.style.display = 'none';
+        }
+    }
+}
@@ -18,6 +18,9 @@ class TreeManager {
         
         // Distance parameter for tree placement
         this.treeDistance = 2;
+
+        // Source of random type, rotation and size; BuildingGenerator swaps in its seeded one
+        this.random = Math.random;
         
         this.init();
     }
@@ -114,7 +117,7 @@ class TreeManager {
         }
         
         // Randomly select a tree type from available loaded types
-        const randomIndex = Math.floor(Math.random() * availableTypes.length);
+        const randomIndex = Math.floor(this.random() * availableTypes.length);
         const randomType = availableTypes[randomIndex];
         
         console.log(`Placing tree of type ${randomType} (selected from ${availableTypes.length} available types: ${availableTypes.join(', ')}) at position:`, position);
@@ -147,6 +150,27 @@ class TreeManager {
         return treeData;
     }
 
+    /**
+     * Place a tree of a specific type at the specified position
+     * Used when restoring saved scenes; unknown or unloaded types fall back to a simple tree
+     */
+    placeTreeOfType(treeType, position) {
+        const originalIsPlacing = this.isPlacingTree;
+        const originalSelectedType = this.selectedTreeType;
+
+        this.isPlacingTree = true;
+        this.selectedTreeType = treeType || 'simple';
+
+        const treeData = this.treeModels.has(this.selectedTreeType)
+            ? this.placeTree(position)
+            : this.createSimpleTree(position);
+
+        this.isPlacingTree = originalIsPlacing;
+        this.selectedTreeType = originalSelectedType;
+
+        return treeData;
+    }
+
     /**
      * Place a tree at the specified position
      */
@@ -485,14 +509,14 @@ class TreeManager {
      * Get random rotation for trees
      */
     getRandomTreeRotation() {
-        return Math.random() * Math.PI * 2; // 0 to 2π radians (0 to 360 degrees)
+        return this.random() * Math.PI * 2; // 0 to 2π radians (0 to 360 degrees)
     }
 
     /**
      * Get random scale for trees (90% to 110%)
      */
     getRandomTreeScale() {
-        return 0.9 + Math.random() * 0.2; // 0.9 to 1.1 (90% to 110%)
+        return 0.9 + this.random() * 0.2; // 0.9 to 1.1 (90% to 110%)
     }
 
     /**
@@ -511,7 +535,7 @@ class TreeManager {
         
         // Generate random value between min and max
         else{
-        const h = min + Math.random() * (max - min);
+        const h = min + this.random() * (max - min);
         console.log(`Random tree height scale ${min} and ${max}:`, h);
         return h;
         }
@@ -547,7 +571,7 @@ class TreeManager {
      */
     getRandomTreeDistance() {
         const variation = this.treeDistance * 0.1; // 10% variation
-        return this.treeDistance + (Math.random() - 0.5) * 2 * variation;
+        return this.treeDistance + (this.random() - 0.5) * 2 * variation;
     }
 
     /**
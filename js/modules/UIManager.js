@@ -18,6 +18,27 @@ class UIManager {
         this.rectangleManager = rectangleManager;
         this.circleManager = circleManager;
         this.objectListManager = null;
+        this.sceneSerializer = null;
+        this.historyManager = null;
+        this.glbManager = null;
+        this.geoReference = null; // Geographic origin shared by GIS import/export
+        this.geoJSONManager = null;
+        this.osmImporter = null;
+        this.cityJSONExporter = null;
+        this.shadowStudyManager = null;
+        this.sunHoursAnalyzer = null;
+        this.irradianceCalculator = null;
+        this.measureManager = null;
+        this.polylineManager = null;
+        this.buildingMetrics = null;
+        this.zoningChecker = null;
+        this.roofManager = null;
+        this.volumeManager = null;
+        this.vertexEditManager = null;
+        this.solarSettings = this.getDefaultSolarSettings(); // Local date/time driving the sun light
+        this.propertyEditSession = null; // Snapshot of the object when its properties popup opened
+        this.pendingTransform = null; // Transforms captured at gizmo drag start
+        this.binarySTLHeader = 'EcoTwin AI binary STL'; // Start of the header of our own binary STL exports
         
         this.isInitialized = false;
         this.statsInterval = null;
@@ -38,6 +59,22 @@ class UIManager {
         this.startStatsUpdate();
         this.updateCoordinateToggleUI(); // Initialize coordinate toggle UI
         this.initializeObjectListManager();
+        this.initializeSceneSerializer();
+        this.initializeHistoryManager();
+        this.initializeGLBManager();
+        this.initializeGeoReference();
+        this.initializeCityJSONExporter();
+        this.initializeShadowStudyManager();
+        this.initializeSunHoursAnalyzer();
+        this.initializeIrradianceCalculator();
+        this.initializeMeasureManager();
+        this.initializePolylineManager();
+        this.initializeBuildingMetrics();
+        this.initializeZoningChecker();
+        this.initializeAreaFiller();
+        this.initializeRoofManager();
+        this.initializeVolumeManager();
+        this.initializeVertexEditManager();
         this.isInitialized = true;
     }
 
@@ -56,6 +93,10 @@ class UIManager {
                 
                 event.preventDefault();
                 event.stopPropagation();
+                if (this.vertexEditManager && this.vertexEditManager.isActive) {
+                    this.vertexEditManager.removeSelectedVertex();
+                    return;
+                }
                 console.log('Delete pressed - deleting selected');
                 this.deleteSelected();
             }
@@ -173,6 +214,8 @@ class UIManager {
                 } else if (isCircle || isBuildingFromCircle) {
                     console.log('Showing circle properties popup');
                     this.showCirclePropertiesPopup(selectedObject);
+                } else if (shapeType === 'polyline') {
+                    this.showPolylinePropertiesPopup(selectedObject);
                 } else if (shapeType === 'polygon') {
                     console.log('Showing polygon properties popup');
                     this.showPolygonPropertiesPopup(selectedObject);
@@ -249,6 +292,9 @@ class UIManager {
         
         // Deactivate polygon drawing when switching to transform tools
         this.stopPolygonDrawing();
+        if (this.vertexEditManager && this.vertexEditManager.isActive) {
+            this.vertexEditManager.finish();
+        }
 
         // Remove active class from all transform tools (except coordinate toggle)
         const allTransformTools = document.querySelectorAll('#transformPanel .tool-item:not([data-tool="coordinate-toggle"])');
@@ -441,6 +487,21 @@ class UIManager {
             this.hidePolygonDrawingInstructions();
         }
 
+        // Deactivate measuring when switching to other drawing tools
+        if (toolName !== 'measure' && this.measureManager) {
+            this.measureManager.deactivate();
+        }
+
+        // Drop an unfinished polyline when switching to other drawing tools
+        if (toolName !== 'polyline' && this.polylineManager) {
+            this.polylineManager.deactivate();
+        }
+
+        // Keep vertex edits made so far when another tool is picked
+        if (this.vertexEditManager && this.vertexEditManager.isActive) {
+            this.vertexEditManager.finish();
+        }
+
         // Remove active class from all drawing tools
         const allDrawingTools = document.querySelectorAll('#drawingPanel .tool-item');
         allDrawingTools.forEach(tool => tool.classList.remove('active'));
@@ -534,12 +595,45 @@ class UIManager {
             case 'tree':
                 // Tree tool is handled separately in tree event listeners
                 break;
+            case 'measure':
+                if (this.measureManager) {
+                    this.measureManager.activate();
+                }
+                break;
+            case 'polyline':
+                this.startPolylineDrawing();
+                break;
             case 'clear-drawings':
                 this.clear2DShapes();
                 break;
         }
     }
 
+    /**
+     * Start drawing a road, path or river
+     */
+    startPolylineDrawing() {
+        if (!this.polylineManager) return;
+
+        this.polylineManager.onPolylineCreated = (mesh) => {
+            this.polylineManager.deactivate();
+            const polylineTool = document.querySelector('#drawingPanel [data-tool="polyline"]');
+            if (polylineTool) {
+                polylineTool.classList.remove('active');
+            }
+            this.activateSelectTool();
+
+            if (this.historyManager) {
+                this.historyManager.recordCreation([mesh], 'Draw polyline');
+            }
+            if (this.selectionManager) {
+                this.selectionManager.selectObject(mesh, false, true);
+            }
+            this.dispatchSceneChangeEvent();
+        };
+        this.polylineManager.activate();
+    }
+
     /**
      * Start polygon drawing
      */
@@ -552,6 +646,10 @@ class UIManager {
                 this.deactivatePolygonTool();
                 this.activateSelectTool();
                 
+                if (polygon && this.historyManager) {
+                    this.historyManager.recordCreation([polygon], 'Draw polygon');
+                }
+                
                 // Automatically select the newly created polygon
                 if (polygon && this.selectionManager) {
                     this.selectionManager.selectObject(polygon, false, true);
@@ -585,26 +683,7 @@ class UIManager {
         }
 
         // Create or update instruction panel
-        let instructionPanel = document.getElementById('polygon-instructions');
-        if (!instructionPanel) {
-            instructionPanel = document.createElement('div');
-            instructionPanel.id = 'polygon-instructions';
-            instructionPanel.style.cssText = `
-                position: fixed;
-                top: 20px;
-                right: 20px;
-                background: rgba(0, 0, 0, 0.8);
-                color: white;
-                padding: 15px;
-                border-radius: 8px;
-                font-family: Arial, sans-serif;
-                font-size: 14px;
-                z-index: 1000;
-                max-width: 250px;
-                box-shadow: 0 4px 8px rgba(0, 0, 0, 0.3);
-            `;
-            document.body.appendChild(instructionPanel);
-        }
+        const instructionPanel = this.getPolygonInstructionPanel();
 
         instructionPanel.innerHTML = `
             <div style="font-weight: bold; margin-bottom: 10px; color: #4CAF50;">🎯 Polygon Drawing</div>
@@ -662,6 +741,189 @@ class UIManager {
         this.startPolygonStatsUpdate();
     }
 
+    /**
+     * Get the polygon instruction panel, creating it if needed
+     */
+    getPolygonInstructionPanel() {
+        let instructionPanel = document.getElementById('polygon-instructions');
+        if (!instructionPanel) {
+            instructionPanel = document.createElement('div');
+            instructionPanel.id = 'polygon-instructions';
+            instructionPanel.style.cssText = `
+                position: fixed;
+                top: 20px;
+                right: 20px;
+                background: rgba(0, 0, 0, 0.8);
+                color: white;
+                padding: 15px;
+                border-radius: 8px;
+                font-family: Arial, sans-serif;
+                font-size: 14px;
+                z-index: 1000;
+                max-width: 250px;
+                box-shadow: 0 4px 8px rgba(0, 0, 0, 0.3);
+            `;
+            document.body.appendChild(instructionPanel);
+        }
+        return instructionPanel;
+    }
+
+    /**
+     * Show instructions while a hole is drawn inside a polygon
+     */
+    showHoleDrawingInstructions() {
+        const instructionPanel = this.getPolygonInstructionPanel();
+        instructionPanel.innerHTML = `
+            <div style="font-weight: bold; margin-bottom: 10px; color: #4CAF50;">🎯 Draw Hole</div>
+            <div style="margin-bottom: 8px;">• Click inside the polygon to add points</div>
+            <div style="margin-bottom: 8px;">• <kbd style="background: #333; padding: 2px 6px; border-radius: 3px;">Backspace</kbd> to remove last point</div>
+            <div style="margin-bottom: 8px;">• <kbd style="background: #333; padding: 2px 6px; border-radius: 3px;">Enter</kbd> or click the first point to cut the hole</div>
+            <div style="margin-bottom: 8px;">• <kbd style="background: #333; padding: 2px 6px; border-radius: 3px;">Escape</kbd> to cancel</div>
+        `;
+    }
+
+    /**
+     * Draw a hole (inner ring) inside the polygon shown in the properties popup
+     */
+    startPolygonHoleDrawing() {
+        const polygon = this.currentShape;
+        if (!this.polygonManager || !this.polygonManager.canHaveHoles(polygon)) {
+            alert('Holes can only be drawn inside polygons made with the polygon tool.');
+            return;
+        }
+
+        this.hidePolygonPropertiesPopup();
+        if (this.selectionManager) {
+            this.selectionManager.clearSelection();
+        }
+        const before = this.historyManager ? this.sceneSerializer.snapshot([polygon]) : null;
+
+        this.polygonManager.onPolygonCompleted = (shape) => {
+            this.enableCameraControls();
+            this.hidePolygonDrawingInstructions();
+
+            if (before) {
+                this.historyManager.recordChange(before, this.sceneSerializer.snapshot([shape]), 'Draw hole');
+            }
+            if (this.volumeManager) {
+                this.volumeManager.syncVolumes(shape);
+            }
+            if (this.roofManager) {
+                this.roofManager.syncRoof(shape);
+            }
+            if (this.selectionManager) {
+                this.selectionManager.selectObject(shape, false, true);
+            }
+            this.dispatchSceneChangeEvent();
+        };
+        this.polygonManager.onPolygonCancelled = () => {
+            this.enableCameraControls();
+            this.hidePolygonDrawingInstructions();
+        };
+        this.polygonManager.onHoleRejected = (message) => {
+            alert(message);
+        };
+
+        this.polygonManager.startHoleDrawing(polygon);
+        this.disableCameraControls();
+        this.showHoleDrawingInstructions();
+    }
+
+    /**
+     * Remove every hole from the polygon shown in the properties popup
+     */
+    clearPolygonHoles() {
+        const polygon = this.currentShape;
+        if (!this.polygonManager || !this.polygonManager.clearHoles(polygon)) return;
+
+        if (this.volumeManager) {
+            this.volumeManager.syncVolumes(polygon);
+        }
+        if (this.roofManager) {
+            this.roofManager.syncRoof(polygon);
+        }
+        if (this.selectionManager && this.selectionManager.selectedObjects.includes(polygon)) {
+            // The highlight is a clone of the old geometry
+            this.selectionManager.clearSelection();
+            this.selectionManager.selectObject(polygon, false, true);
+        }
+        this.updatePolygonHoleFields(polygon);
+        document.getElementById('polygonTriangles').value = this.getPolygonTriangleCount(polygon);
+        this.updateBuildingMetricsTables(polygon);
+        this.updateRoofFields(polygon);
+        this.updateVolumeFields(polygon);
+        this.dispatchSceneChangeEvent();
+    }
+
+    /**
+     * Show instructions while the points of a polygon are edited
+     */
+    showVertexEditingInstructions() {
+        const instructionPanel = this.getPolygonInstructionPanel();
+        instructionPanel.innerHTML = `
+            <div style="font-weight: bold; margin-bottom: 10px; color: #4CAF50;">🎯 Edit Vertices</div>
+            <div style="margin-bottom: 8px;">• Drag a point to move it (snaps to nearby corners)</div>
+            <div style="margin-bottom: 8px;">• Drag a blue midpoint to insert a point</div>
+            <div style="margin-bottom: 8px;">• Click a point, then <kbd style="background: #333; padding: 2px 6px; border-radius: 3px;">Delete</kbd> to remove it</div>
+            <div style="margin-bottom: 8px;">• <kbd style="background: #333; padding: 2px 6px; border-radius: 3px;">Enter</kbd> to finish</div>
+            <div style="margin-bottom: 8px;">• <kbd style="background: #333; padding: 2px 6px; border-radius: 3px;">Escape</kbd> to discard changes</div>
+        `;
+    }
+
+    /**
+     * Edit the points of the polygon or polyline shown in the properties popup
+     */
+    startVertexEditing() {
+        const target = this.currentShape && this.currentShape.basePolygon ? this.currentShape.basePolygon : this.currentShape;
+        if (!this.vertexEditManager || !target || !this.vertexEditManager.canEdit(target)) {
+            alert('Only polygons and polylines can be edited point by point.');
+            return;
+        }
+
+        this.hidePropertiesPopup();
+        if (this.selectionManager) {
+            this.selectionManager.clearSelection();
+        }
+        const before = this.historyManager ? this.sceneSerializer.snapshot([target]) : null;
+
+        this.vertexEditManager.onEditFinished = (shape, changed) => {
+            this.hidePolygonDrawingInstructions();
+            if (changed && before) {
+                // The edit moves the origin itself, so the before snapshot keeps its own position
+                this.historyManager.recordChange(before, this.sceneSerializer.snapshot([shape]), 'Edit vertices', true);
+            }
+            if (this.selectionManager && !shape.isDisposed()) {
+                this.selectionManager.selectObject(shape, false, true);
+            }
+            if (changed) {
+                this.dispatchSceneChangeEvent();
+            }
+        };
+        this.vertexEditManager.onEditRejected = (message) => {
+            alert(message);
+        };
+
+        if (this.vertexEditManager.start(target)) {
+            this.showVertexEditingInstructions();
+        }
+    }
+
+    /**
+     * Show the hole count and controls for polygons that can take holes
+     */
+    updatePolygonHoleFields(polygon) {
+        const group = document.getElementById('polygonHolesGroup');
+        if (!group) return;
+
+        const canHaveHoles = !!(this.polygonManager && this.polygonManager.canHaveHoles(polygon));
+        group.style.display = canHaveHoles ? '' : 'none';
+        if (!canHaveHoles) return;
+
+        const holeCount = polygon.userData.holes ? polygon.userData.holes.length : 0;
+        document.getElementById('polygonHoleCount').value = holeCount;
+        document.getElementById('clearPolygonHoles').disabled = holeCount === 0;
+    }
+
     /**
      * Hide polygon drawing instructions
      */
@@ -1206,9 +1468,36 @@ class UIManager {
             case 'export-stl':
                 this.exportSTL();
                 break;
+            case 'export-stl-binary':
+                this.exportSTL(true);
+                break;
             case 'import-stl':
                 this.importSTL();
                 break;
+            case 'export-obj':
+                this.exportOBJ();
+                break;
+            case 'export-obj-selection':
+                this.exportOBJ(true);
+                break;
+            case 'import-geojson':
+                this.importGeoJSON();
+                break;
+            case 'export-geojson':
+                this.exportGeoJSON();
+                break;
+            case 'import-osm':
+                this.importOSM();
+                break;
+            case 'export-cityjson':
+                this.exportCityJSON();
+                break;
+            case 'export-glb':
+                this.exportGLB();
+                break;
+            case 'import-glb':
+                this.importGLB();
+                break;
             case 'undo':
                 this.undo();
                 break;
@@ -1236,6 +1525,33 @@ class UIManager {
             case 'toggle-object-list':
                 this.toggleObjectList();
                 break;
+            case 'toggle-shadow-study':
+                if (this.shadowStudyManager) {
+                    this.shadowStudyManager.toggle();
+                }
+                break;
+            case 'run-sun-hours':
+                this.runSunHoursAnalysis();
+                break;
+            case 'clear-sun-hours':
+                if (this.sunHoursAnalyzer) {
+                    this.sunHoursAnalyzer.clear();
+                }
+                break;
+            case 'run-irradiance':
+                this.runIrradianceAnalysis();
+                break;
+            case 'clear-irradiance':
+                if (this.irradianceCalculator) {
+                    this.irradianceCalculator.clear();
+                }
+                break;
+            case 'zoning-check':
+                this.openZoningChecker();
+                break;
+            case 'fill-area':
+                this.openAreaFiller();
+                break;
             default:
         }
     }
@@ -1244,4041 +1560,5943 @@ class UIManager {
      * Menu action implementations
      */
     // Note: The following methods were removed as they only contained placeholder alerts:
-    // saveScene, loadScene, exportSTL, exportOBJ, undo, redo, selectAll, 
-    // clearSelection, deleteSelected, openSceneSettings, openRenderSettings, openCameraSettings
+    // openSceneSettings, openRenderSettings, openCameraSettings
 
     /**
-     * Export all 3D models to STL format (ASCII)
+     * Undo the last editing operation
      */
-    exportSTL() {
-        if (!this.sceneManager) {
-            console.error('SceneManager not available');
-            return;
-        }
-
-        const scene = this.sceneManager.getScene();
-        if (!scene) {
-            console.error('Scene not available');
-            return;
-        }
-
-        console.log('Starting STL export...');
-
-        // Collect all meshes to export
-        const meshesToExport = [];
-
-        // 1. Get all meshes with valid types (building, highway, ground, green, waterway)
-        const validTypes = ['building', 'highway', 'ground', 'green', 'waterway'];
-        const typedMeshes = scene.meshes.filter(mesh => {
-            if (!mesh || !mesh.isEnabled() || !mesh.isVisible) return false;
-            if (!mesh.userData || !mesh.userData.type) return false;
-            return validTypes.includes(mesh.userData.type);
-        });
+    undo() {
+        if (!this.historyManager) return;
 
-        console.log(`Found ${typedMeshes.length} typed meshes`);
+        // Make a pending properties popup edit undoable before stepping back
+        this.commitPropertyEdit();
+        this.historyManager.undo();
+    }
 
-        // Add typed meshes to export list
-        typedMeshes.forEach(mesh => {
-            meshesToExport.push({
-                mesh: mesh,
-                name: mesh.name || 'unnamed',
-                type: mesh.userData.type
-            });
-        });
+    /**
+     * Redo the last undone editing operation
+     */
+    redo() {
+        if (!this.historyManager) return;
 
-        // 2. Get trees from TreeManager
-        if (this.treeManager && this.treeManager.trees) {
-            const trees = this.treeManager.trees;
-            console.log(`Found ${trees.length} trees`);
+        this.commitPropertyEdit();
+        this.historyManager.redo();
+    }
 
-            trees.forEach((tree, index) => {
-                if (tree.parent && tree.meshes && tree.meshes.length > 0) {
-                    // Combine all meshes of a tree into one export object
-                    meshesToExport.push({
-                        mesh: tree.parent, // Use parent TransformNode for transform info
-                        childMeshes: tree.meshes, // All child meshes
-                        name: `tree_${index + 1}`, // Name: tree_1, tree_2, ...
-                        type: 'tree'
-                    });
-                }
-            });
+    /**
+     * Save the whole scene to a versioned JSON project file
+     */
+    saveScene() {
+        if (!this.sceneSerializer) {
+            console.error('SceneSerializer not available');
+            return;
         }
 
-        if (meshesToExport.length === 0) {
-            alert('No objects to export. Please create some buildings, roads, or other objects first.');
+        const project = this.sceneSerializer.serialize();
+        if (project.objects.length === 0 && project.trees.length === 0) {
+            alert('The scene is empty. Nothing to save.');
             return;
         }
 
-        console.log(`Total objects to export: ${meshesToExport.length}`);
-
-        // Generate STL content
-        const stlContent = this.generateSTLContent(meshesToExport);
-
-        // Download the file
-        this.downloadSTLFile(stlContent, 'scene_export.stl');
+        const filename = `scene-${new Date().toISOString().split('T')[0]}.json`;
+        this.downloadFile(JSON.stringify(project, null, 2), filename, 'application/json');
+        console.log(`Scene saved: ${project.objects.length} objects, ${project.trees.length} trees`);
     }
 
     /**
-     * Generate STL ASCII content from meshes
+     * Load a scene from a JSON project file, replacing the current scene
      */
-    generateSTLContent(meshesToExport) {
-        let stlContent = '';
-
-        meshesToExport.forEach((obj, index) => {
-            const objectName = obj.name || `object_${index + 1}`;
-            stlContent += `solid ${objectName}\n`;
+    loadScene() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json';
+        fileInput.style.display = 'none';
 
-            if (obj.type === 'tree') {
-                // Handle trees: combine all child meshes with parent transform
-                if (obj.childMeshes && obj.childMeshes.length > 0) {
-                    obj.childMeshes.forEach(childMesh => {
-                        const triangles = this.meshToTriangles(childMesh, obj.mesh);
-                        triangles.forEach(triangle => {
-                            stlContent += this.triangleToSTL(triangle);
-                        });
-                    });
-                }
-            } else {
-                // Handle regular meshes
-                const triangles = this.meshToTriangles(obj.mesh);
-                triangles.forEach(triangle => {
-                    stlContent += this.triangleToSTL(triangle);
-                });
+        fileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                this.loadSceneFile(file);
             }
-
-            stlContent += `endsolid ${objectName}\n`;
         });
 
-        return stlContent;
+        document.body.appendChild(fileInput);
+        fileInput.click();
+        document.body.removeChild(fileInput);
     }
 
     /**
-     * Convert a mesh to triangles with world positions
+     * Read a scene project file and rebuild the scene from it
      */
-    meshToTriangles(mesh, parentTransform = null) {
-        if (!mesh || !mesh.isEnabled()) return [];
+    loadSceneFile(file) {
+        const reader = new FileReader();
 
-        try {
-            // Get vertex data from mesh
-            const vertexData = BABYLON.VertexData.ExtractFromMesh(mesh);
-            if (!vertexData.positions || vertexData.positions.length === 0) {
-                return [];
+        reader.onload = (e) => {
+            let project;
+            try {
+                project = JSON.parse(e.target.result);
+            } catch (error) {
+                console.error('Invalid scene file:', error);
+                alert('Error loading scene: the file is not valid JSON.');
+                return;
             }
 
-            const positions = vertexData.positions;
-            const indices = vertexData.indices || [];
-
-            // If no indices, create them (assuming triangles)
-            let triangleIndices = indices;
-            if (triangleIndices.length === 0) {
-                triangleIndices = [];
-                for (let i = 0; i < positions.length; i += 3) {
-                    triangleIndices.push(i, i + 1, i + 2);
+            try {
+                if (this.sceneSerializer.deserialize(project)) {
+                    this.dispatchSceneChangeEvent();
                 }
+            } catch (error) {
+                console.error('Error loading scene:', error);
+                alert('Error loading scene. Please check the file and try again.');
             }
+        };
 
-            const triangles = [];
+        reader.onerror = () => {
+            alert('Error reading file. Please try again.');
+        };
 
-            // Process each triangle
-            for (let i = 0; i < triangleIndices.length; i += 3) {
-                const i0 = triangleIndices[i] * 3;
-                const i1 = triangleIndices[i + 1] * 3;
-                const i2 = triangleIndices[i + 2] * 3;
+        reader.readAsText(file);
+    }
 
-                // Get vertex positions
-                const v0 = new BABYLON.Vector3(positions[i0], positions[i0 + 1], positions[i0 + 2]);
-                const v1 = new BABYLON.Vector3(positions[i1], positions[i1 + 1], positions[i1 + 2]);
-                const v2 = new BABYLON.Vector3(positions[i2], positions[i2 + 1], positions[i2 + 2]);
+    /**
+     * Import building, road, water and green footprints from a GeoJSON file
+     */
+    importGeoJSON() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.geojson,.json';
+        fileInput.style.display = 'none';
 
-                // Apply mesh transform
-                const worldMatrix = mesh.getWorldMatrix();
-                const worldV0 = BABYLON.Vector3.TransformCoordinates(v0, worldMatrix);
-                const worldV1 = BABYLON.Vector3.TransformCoordinates(v1, worldMatrix);
-                const worldV2 = BABYLON.Vector3.TransformCoordinates(v2, worldMatrix);
+        fileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                this.loadGeoJSONFile(file);
+            }
+        });
 
-                // If parent transform exists (for trees), apply it
-                if (parentTransform) {
-                    const parentMatrix = parentTransform.getWorldMatrix();
-                    const finalV0 = BABYLON.Vector3.TransformCoordinates(worldV0, parentMatrix);
-                    const finalV1 = BABYLON.Vector3.TransformCoordinates(worldV1, parentMatrix);
-                    const finalV2 = BABYLON.Vector3.TransformCoordinates(worldV2, parentMatrix);
+        document.body.appendChild(fileInput);
+        fileInput.click();
+        document.body.removeChild(fileInput);
+    }
 
-                    // Calculate normal
-                    const normal = this.calculateTriangleNormal(finalV0, finalV1, finalV2);
+    /**
+     * Read a GeoJSON file and add its features to the scene
+     */
+    loadGeoJSONFile(file) {
+        if (!this.geoJSONManager) {
+            console.error('GeoJSONManager not available');
+            return;
+        }
 
-                    triangles.push({
-                        normal: normal,
-                        vertices: [finalV0, finalV1, finalV2]
-                    });
-                } else {
-                    // Calculate normal
-                    const normal = this.calculateTriangleNormal(worldV0, worldV1, worldV2);
+        const reader = new FileReader();
 
-                    triangles.push({
-                        normal: normal,
-                        vertices: [worldV0, worldV1, worldV2]
-                    });
+        reader.onload = (e) => {
+            let geojson;
+            try {
+                geojson = JSON.parse(e.target.result);
+            } catch (error) {
+                console.error('Invalid GeoJSON file:', error);
+                alert('Error loading GeoJSON: the file is not valid JSON.');
+                return;
+            }
+
+            try {
+                const result = this.geoJSONManager.importData(geojson, this.isAutoGeoOriginEnabled());
+
+                if (this.historyManager && result.meshes.length > 0) {
+                    this.historyManager.recordCreation(result.meshes, 'Import GeoJSON');
+                }
+
+                if (this.lightingManager && this.lightingManager.autoAdjustShadowFrustum) {
+                    this.lightingManager.autoAdjustShadowFrustum();
                 }
+                this.dispatchSceneChangeEvent();
+                alert(`Imported ${result.created} objects from GeoJSON (${result.skipped} features skipped).`);
+            } catch (error) {
+                console.error('Error importing GeoJSON:', error);
+                alert(`Error importing GeoJSON: ${error.message}`);
             }
+        };
 
-            return triangles;
-        } catch (error) {
-            console.error(`Error converting mesh ${mesh.name} to triangles:`, error);
-            return [];
-        }
-    }
+        reader.onerror = () => {
+            alert('Error reading file. Please try again.');
+        };
 
-    /**
-     * Calculate triangle normal
-     */
-    calculateTriangleNormal(v0, v1, v2) {
-        const edge1 = v1.subtract(v0);
-        const edge2 = v2.subtract(v0);
-        const normal = BABYLON.Vector3.Cross(edge1, edge2);
-        normal.normalize();
-        return normal;
+        reader.readAsText(file);
     }
 
     /**
-     * Convert a triangle to STL format
+     * Export the scene as CityJSON with LoD1 buildings and typed city objects
      */
-    triangleToSTL(triangle) {
-        const normal = triangle.normal;
-        const v0 = triangle.vertices[0];
-        const v1 = triangle.vertices[1];
-        const v2 = triangle.vertices[2];
-
-        // Format: scientific notation with 6 decimal places (as in sample file)
-        // Example: 0.000000e+00, 4.667083e+06
-        const formatFloat = (val) => {
-            // Use toExponential with 6 decimal places
-            let str = val.toExponential(6);
-            // Ensure positive exponent has + sign and is 2 digits
-            str = str.replace(/e\+?(\d+)/, (match, exp) => {
-                const expNum = parseInt(exp);
-                const sign = expNum >= 0 ? '+' : '-';
-                return 'e' + sign + Math.abs(expNum).toString().padStart(2, '0');
-            });
-            // Ensure negative exponent has - sign and is 2 digits
-            str = str.replace(/e-(\d+)/, (match, exp) => {
-                return 'e-' + exp.padStart(2, '0');
-            });
-            return str;
-        };
+    exportCityJSON() {
+        if (!this.cityJSONExporter) {
+            console.error('CityJSONExporter not available');
+            return;
+        }
 
-        let stl = `  facet normal ${formatFloat(normal.x)} ${formatFloat(normal.y)} ${formatFloat(normal.z)}\n`;
-        stl += `    outer loop\n`;
-        stl += `      vertex ${formatFloat(v0.x)} ${formatFloat(v0.y)} ${formatFloat(v0.z)}\n`;
-        stl += `      vertex ${formatFloat(v1.x)} ${formatFloat(v1.y)} ${formatFloat(v1.z)}\n`;
-        stl += `      vertex ${formatFloat(v2.x)} ${formatFloat(v2.y)} ${formatFloat(v2.z)}\n`;
-        stl += `    endloop\n`;
-        stl += `  endfacet\n`;
+        const cityJSON = this.cityJSONExporter.export();
+        const objectCount = Object.keys(cityJSON.CityObjects).length;
+        if (objectCount === 0) {
+            alert('No objects to export. Please create some buildings, roads, or other objects first.');
+            return;
+        }
 
-        return stl;
+        this.downloadFile(JSON.stringify(cityJSON), 'scene_export.city.json', 'application/city+json');
+        console.log(`CityJSON file exported: scene_export.city.json (${objectCount} city objects)`);
     }
 
     /**
-     * Download STL file
+     * Check whether imports into an empty scene should move the geographic origin to the centre of the data
      */
-    downloadSTLFile(content, filename) {
-        const blob = new Blob([content], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = filename;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-        console.log(`STL file exported: ${filename}`);
+    isAutoGeoOriginEnabled() {
+        const autoOriginToggle = document.getElementById('autoGeoOriginPref');
+        return !!autoOriginToggle && autoOriginToggle.classList.contains('active');
     }
 
-    openPreferences() {
-        this.showPreferencesWindow();
+    /**
+     * Import an OpenStreetMap .osm XML extract
+     */
+    importOSM() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.osm,.xml';
+        fileInput.style.display = 'none';
+
+        fileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                this.loadOSMFile(file);
+            }
+        });
+
+        document.body.appendChild(fileInput);
+        fileInput.click();
+        document.body.removeChild(fileInput);
     }
 
-    showAbout() {
-        const aboutText = `Eco Digital Twin Sandbox
-Version 1.0
-Powered by Babylon.js
+    /**
+     * Read an .osm file and add its buildings, highways, waterways and parks to the scene
+     */
+    loadOSMFile(file) {
+        if (!this.osmImporter) {
+            console.error('OSMImporter not available');
+            return;
+        }
 
-About EcoTwin AI
+        const reader = new FileReader();
 
-We are a startup company specializing in energy consumption modeling, dedicated to reducing CO2 emissions and carbon footprint. Our mission focuses on:
+        reader.onload = (e) => {
+            try {
+                const result = this.osmImporter.importText(e.target.result, this.isAutoGeoOriginEnabled());
 
-• Finding solutions for energy consumption optimization
-• Clean, renewable, and sustainable energy production
-• Energy democracy and accessibility
-• Urban sustainability and resilience
-• Residential, agricultural, and industrial applications
+                if (this.historyManager && result.meshes.length > 0) {
+                    this.historyManager.recordCreation(result.meshes, 'Import OSM');
+                }
 
-This application helps you import STL building and urban models, add and edit various components to achieve your desired patterns, and prepare them for export to energy simulation software.
+                if (this.lightingManager && this.lightingManager.autoAdjustShadowFrustum) {
+                    this.lightingManager.autoAdjustShadowFrustum();
+                }
+                this.dispatchSceneChangeEvent();
+                alert(`Imported ${result.created} objects from OSM (${result.skipped} features skipped).`);
+            } catch (error) {
+                console.error('Error importing OSM file:', error);
+                alert(`Error importing OSM file: ${error.message}`);
+            }
+        };
 
-Transform your 3D models into powerful energy analysis tools.`;
+        reader.onerror = () => {
+            alert('Error reading file. Please try again.');
+        };
 
-        alert(aboutText);
+        reader.readAsText(file);
     }
 
     /**
-     * Select all 3D models except ground
+     * Export footprints of all typed objects as GeoJSON in geographic coordinates
      */
-    selectAll() {
-        if (this.selectionManager) {
-            this.selectionManager.selectAll();
+    exportGeoJSON() {
+        if (!this.geoJSONManager) {
+            console.error('GeoJSONManager not available');
+            return;
         }
-    }
 
-    /**
-     * Clear all selections
-     */
-    clearSelection() {
-        if (this.selectionManager) {
-            this.selectionManager.clearSelection();
+        let collection;
+        try {
+            collection = this.geoJSONManager.exportData();
+        } catch (error) {
+            console.error('Error exporting GeoJSON:', error);
+            alert(error.message);
+            return;
+        }
+
+        if (collection.features.length === 0) {
+            alert('No objects to export. Please create some buildings, roads, or other objects first.');
+            return;
         }
+
+        this.downloadFile(JSON.stringify(collection, null, 2), 'scene_export.geojson', 'application/geo+json');
+        console.log(`GeoJSON file exported: scene_export.geojson (${collection.features.length} features)`);
     }
 
     /**
-     * Duplicate selected objects - NEW ALGORITHM: Create from scratch instead of cloning
+     * Export all 3D models to STL format (ASCII by default, or binary)
      */
-    duplicateSelected() {
-        if (!this.selectionManager) {
-            console.log('SelectionManager not available');
+    exportSTL(binary = false) {
+        if (!this.sceneManager) {
+            console.error('SceneManager not available');
             return;
         }
 
-        const selectedObjects = this.selectionManager.getSelectedObjects();
-        if (selectedObjects.length === 0) {
-            console.log('No objects selected to duplicate');
+        const scene = this.sceneManager.getScene();
+        if (!scene) {
+            console.error('Scene not available');
             return;
         }
 
-        console.log(`Duplicating ${selectedObjects.length} selected objects using new algorithm`);
+        console.log('Starting STL export...');
 
-        const duplicatedObjects = [];
-        const offsetDistance = 2; // Offset distance in meters
-        const scene = this.sceneManager.getScene();
+        // Collect all meshes to export
+        const meshesToExport = this.collectExportObjects();
 
-        selectedObjects.forEach((obj, index) => {
-            try {
-                // Skip if object is an extrusion (we'll duplicate the parent shape instead)
-                if (obj.name && obj.name.includes('_extrusion')) {
-                    console.log(`Skipping extrusion ${obj.name}, will be handled by parent shape`);
-                    return;
-                }
-
-                // Get object properties
-                const shapeType = this.getShapeType(obj);
-                const userData = obj.userData ? JSON.parse(JSON.stringify(obj.userData)) : {};
-                const position = obj.position.clone();
-                const rotation = obj.rotation.clone();
-                const scaling = obj.scaling.clone();
-                const originalExtrusion = obj.extrusion;
-                
-                // Offset position for duplicate
-                position.x += offsetDistance;
-                position.z += offsetDistance;
+        if (meshesToExport.length === 0) {
+            alert('No objects to export. Please create some buildings, roads, or other objects first.');
+            return;
+        }
 
-                let clonedMesh = null;
-                const timestamp = Date.now();
-                const uniqueId = `${timestamp}_${index}`;
+        console.log(`Total objects to export: ${meshesToExport.length}`);
 
-                // Create new mesh from scratch based on shape type
-                if (shapeType === 'rectangle' || shapeType === 'building') {
-                    // Get dimensions from userData or calculate from bounding box
-                    let width, depth, height;
-                    if (userData.dimensions) {
-                        width = parseFloat(userData.dimensions.width) || 1;
-                        depth = parseFloat(userData.dimensions.depth) || 1;
-                        height = parseFloat(userData.dimensions.height) || 0.1;
-                    } else {
-                        const boundingInfo = obj.getBoundingInfo();
-                        width = boundingInfo.boundingBox.extendSize.x * 2;
-                        depth = boundingInfo.boundingBox.extendSize.z * 2;
-                        height = boundingInfo.boundingBox.extendSize.y * 2;
-                    }
+        // Generate STL content
+        if (binary) {
+            const stlBuffer = this.generateBinarySTLContent(meshesToExport);
+            this.downloadFile(stlBuffer, 'scene_export.stl', 'application/octet-stream');
+            console.log('Binary STL file exported: scene_export.stl');
+            return;
+        }
 
-                    // Create new box from scratch
-                    clonedMesh = BABYLON.MeshBuilder.CreateBox(`${obj.name}_copy_${uniqueId}`, {
-                        width: width,
-                        height: height,
-                        depth: depth
-                    }, scene);
+        const stlContent = this.generateSTLContent(meshesToExport);
 
-                    // Set position (center Y at height/2)
-                    clonedMesh.position = new BABYLON.Vector3(
-                        position.x,
-                        position.y + height / 2,
-                        position.z
-                    );
+        // Download the file
+        this.downloadSTLFile(stlContent, 'scene_export.stl');
+    }
 
-                } else if (shapeType === 'circle') {
-                    // Get dimensions from userData
-                    let diameterTop, diameterBottom, height;
-                    if (userData.dimensions) {
-                        diameterTop = parseFloat(userData.dimensions.diameterTop) || 1;
-                        diameterBottom = parseFloat(userData.dimensions.diameterBottom) || 1;
-                        height = parseFloat(userData.dimensions.height) || 0.1;
-                    } else {
-                        const boundingInfo = obj.getBoundingInfo();
-                        diameterTop = boundingInfo.boundingBox.extendSize.x * 2;
-                        diameterBottom = diameterTop;
-                        height = boundingInfo.boundingBox.extendSize.y * 2;
-                    }
+    /**
+     * Export scene to GLB, keeping each object as a named node with its color and type metadata
+     */
+    exportGLB() {
+        if (!this.glbManager) {
+            console.error('GLBManager not available');
+            return;
+        }
 
-                    // Create new cylinder from scratch
-                    clonedMesh = BABYLON.MeshBuilder.CreateCylinder(`${obj.name}_copy_${uniqueId}`, {
-                        height: height,
-                        diameterTop: diameterTop,
-                        diameterBottom: diameterBottom,
-                        tessellation: 32
-                    }, scene);
+        console.log('Starting GLB export...');
 
-                    // Set position (center Y at height/2)
-                    clonedMesh.position = new BABYLON.Vector3(
-                        position.x,
-                        position.y + height / 2,
-                        position.z
-                    );
+        const meshesToExport = this.collectExportObjects();
+        if (meshesToExport.length === 0) {
+            alert('No objects to export. Please create some buildings, roads, or other objects first.');
+            return;
+        }
 
-                } else if (shapeType === 'polygon') {
-                    // For polygons, we need to extract the polygon points
-                    // This is more complex - we'll use VertexData approach
-                    try {
-                        const vertexData = BABYLON.VertexData.ExtractFromMesh(obj);
-                        clonedMesh = new BABYLON.Mesh(`${obj.name}_copy_${uniqueId}`, scene);
-                        vertexData.applyToMesh(clonedMesh);
-                        clonedMesh.position = position.clone();
-                    } catch (error) {
-                        console.error(`Error duplicating polygon ${obj.name}:`, error);
-                        return;
-                    }
+        const glbBuffer = this.glbManager.exportObjects(meshesToExport);
+        this.downloadFile(glbBuffer, 'scene_export.glb', 'model/gltf-binary');
+        console.log(`GLB file exported: scene_export.glb (${meshesToExport.length} objects)`);
+    }
 
-                } else if (this.isTree(obj)) {
-                    // For trees, use VertexData to create independent geometry
-                    try {
-                        const vertexData = BABYLON.VertexData.ExtractFromMesh(obj);
-                        clonedMesh = new BABYLON.Mesh(`${obj.name}_copy_${uniqueId}`, scene);
-                        vertexData.applyToMesh(clonedMesh);
-                        clonedMesh.position = position.clone();
-                        clonedMesh.rotation = rotation;
-                        clonedMesh.scaling = scaling;
-                        
-                        // Clone material for tree
-                        if (obj.material) {
-                            const clonedTreeMaterial = new BABYLON.StandardMaterial(`${obj.material.name}_copy_${uniqueId}`, scene);
-                            if (obj.material instanceof BABYLON.StandardMaterial) {
-                                clonedTreeMaterial.diffuseColor = obj.material.diffuseColor ? obj.material.diffuseColor.clone() : new BABYLON.Color3(0.4, 0.3, 0.2);
-                                clonedTreeMaterial.specularColor = obj.material.specularColor ? obj.material.specularColor.clone() : new BABYLON.Color3(0.1, 0.1, 0.1);
-                                clonedTreeMaterial.alpha = obj.material.alpha !== undefined ? obj.material.alpha : 1.0;
-                            }
-                            clonedMesh.material = clonedTreeMaterial;
-                        }
-                        
-                        // Handle tree structure
-                        if (this.treeManager) {
-                            const tree = this.treeManager.trees.find(t => t.parent === obj || t.meshes.includes(obj));
-                            if (tree) {
-                                this.treeManager.trees.push({
-                                    parent: clonedMesh,
-                                    meshes: [clonedMesh],
-                                    type: tree.type || 'default'
-                                });
-                            }
-                        }
-                    } catch (error) {
-                        console.error(`Error duplicating tree ${obj.name}:`, error);
-                        return;
-                    }
-                } else {
-                    // Fallback: use VertexData for unknown shapes
-                    try {
-                        const vertexData = BABYLON.VertexData.ExtractFromMesh(obj);
-                        clonedMesh = new BABYLON.Mesh(`${obj.name}_copy_${uniqueId}`, scene);
-                        vertexData.applyToMesh(clonedMesh);
-                        clonedMesh.position = position.clone();
-                    } catch (error) {
-                        console.error(`Error duplicating unknown shape ${obj.name}:`, error);
-                        return;
-                    }
-                }
+    /**
+     * Export scene (or only the selection) to Wavefront OBJ with an MTL of type colors
+     * Both files go into one zip, since browsers block a second download from the same click
+     */
+    exportOBJ(selectionOnly = false) {
+        if (!this.sceneManager || !this.sceneManager.getScene()) {
+            console.error('Scene not available');
+            return;
+        }
 
-                if (!clonedMesh) {
-                    console.warn(`Failed to create duplicate for ${obj.name}`);
-                    return;
-                }
+        console.log(`Starting OBJ export (${selectionOnly ? 'selection' : 'all objects'})...`);
 
-                // Copy transform properties
-                clonedMesh.rotation = rotation;
-                clonedMesh.scaling = scaling;
+        const meshesToExport = this.collectExportObjects(selectionOnly);
+        if (meshesToExport.length === 0) {
+            alert(selectionOnly
+                ? 'No objects selected. Please select the objects to export first.'
+                : 'No objects to export. Please create some buildings, roads, or other objects first.');
+            return;
+        }
 
-                // Create new material (completely independent)
-                if (obj.material) {
-                    const clonedMaterial = new BABYLON.StandardMaterial(`${obj.material.name}_copy_${uniqueId}`, scene);
-                    
-                    if (obj.material instanceof BABYLON.StandardMaterial) {
-                        clonedMaterial.diffuseColor = obj.material.diffuseColor ? obj.material.diffuseColor.clone() : new BABYLON.Color3(0.4, 0.3, 0.2);
-                        clonedMaterial.specularColor = obj.material.specularColor ? obj.material.specularColor.clone() : new BABYLON.Color3(0.1, 0.1, 0.1);
-                        clonedMaterial.emissiveColor = obj.material.emissiveColor ? obj.material.emissiveColor.clone() : new BABYLON.Color3(0, 0, 0);
-                        clonedMaterial.ambientColor = obj.material.ambientColor ? obj.material.ambientColor.clone() : new BABYLON.Color3(0, 0, 0);
-                        clonedMaterial.alpha = obj.material.alpha !== undefined ? obj.material.alpha : 1.0;
-                        clonedMaterial.backFaceCulling = obj.material.backFaceCulling !== undefined ? obj.material.backFaceCulling : false;
-                        clonedMaterial.twoSidedLighting = obj.material.twoSidedLighting !== undefined ? obj.material.twoSidedLighting : true;
-                    }
-                    
-                    clonedMesh.material = clonedMaterial;
-                }
+        const mtlFilename = 'scene_export.mtl';
+        const objContent = this.generateOBJContent(meshesToExport, mtlFilename);
+        const mtlContent = this.generateMTLContent(meshesToExport);
 
-                // Copy userData
-                clonedMesh.userData = userData;
-                if (clonedMesh.userData.name) {
-                    clonedMesh.userData.name = clonedMesh.name;
-                }
+        const archive = this.createZipArchive([
+            { name: 'scene_export.obj', content: objContent },
+            { name: mtlFilename, content: mtlContent }
+        ]);
+        this.downloadFile(archive, 'scene_export.zip', 'application/zip');
+        console.log(`OBJ file exported: scene_export.zip with scene_export.obj and ${mtlFilename} (${meshesToExport.length} objects)`);
+    }
 
-                // Set rendering properties
-                clonedMesh.renderingGroupId = obj.renderingGroupId || 1;
-                clonedMesh.setEnabled(true);
-                clonedMesh.isVisible = true;
+    /**
+     * Generate OBJ content with one group per object and a material per type
+     * Vertices are mirrored on X into the right-handed Y-up frame that Blender and Rhino expect
+     */
+    generateOBJContent(meshesToExport, mtlFilename) {
+        const lines = ['# EcoTwin AI OBJ export', `mtllib ${mtlFilename}`];
+        const formatFloat = (value) => (Math.abs(value) < 1e-7 ? 0 : value).toFixed(6);
+        let vertexOffset = 0;
+        let normalOffset = 0;
 
-                // Handle extrusions if the original has one
-                if (originalExtrusion && (shapeType === 'rectangle' || shapeType === 'building' || shapeType === 'polygon')) {
-                    try {
-                        // Extract extrusion vertex data
-                        const extrusionVertexData = BABYLON.VertexData.ExtractFromMesh(originalExtrusion);
-                        
-                        // Create new extrusion mesh
-                        const clonedExtrusion = new BABYLON.Mesh(`${originalExtrusion.name}_copy_${uniqueId}`, scene);
-                        extrusionVertexData.applyToMesh(clonedExtrusion);
-                        
-                        // Create new material for extrusion
-                        if (originalExtrusion.material) {
-                            const clonedExtrusionMaterial = new BABYLON.StandardMaterial(`${originalExtrusion.material.name}_copy_${uniqueId}`, scene);
-                            if (originalExtrusion.material instanceof BABYLON.StandardMaterial) {
-                                clonedExtrusionMaterial.diffuseColor = originalExtrusion.material.diffuseColor ? originalExtrusion.material.diffuseColor.clone() : new BABYLON.Color3(1, 1, 1);
-                                clonedExtrusionMaterial.specularColor = originalExtrusion.material.specularColor ? originalExtrusion.material.specularColor.clone() : new BABYLON.Color3(0.1, 0.1, 0.1);
-                                clonedExtrusionMaterial.emissiveColor = originalExtrusion.material.emissiveColor ? originalExtrusion.material.emissiveColor.clone() : new BABYLON.Color3(0, 0, 0);
-                                clonedExtrusionMaterial.alpha = originalExtrusion.material.alpha !== undefined ? originalExtrusion.material.alpha : 1.0;
-                                clonedExtrusionMaterial.backFaceCulling = originalExtrusion.material.backFaceCulling !== undefined ? originalExtrusion.material.backFaceCulling : false;
-                                clonedExtrusionMaterial.twoSidedLighting = originalExtrusion.material.twoSidedLighting !== undefined ? originalExtrusion.material.twoSidedLighting : true;
-                            }
-                            clonedExtrusion.material = clonedExtrusionMaterial;
-                        }
-                        
-                        // Copy extrusion userData
-                        if (originalExtrusion.userData) {
-                            clonedExtrusion.userData = JSON.parse(JSON.stringify(originalExtrusion.userData));
-                        }
-                        
-                        // Set extrusion position relative to cloned mesh
-                        const originalExtrusionRelativePos = originalExtrusion.parent === obj ? originalExtrusion.position.clone() : originalExtrusion.position.clone();
-                        clonedExtrusion.position = originalExtrusionRelativePos;
-                        
-                        // Parent to cloned mesh
-                        clonedExtrusion.setParent(clonedMesh);
-                        
-                        // Link bidirectional
-                        clonedMesh.extrusion = clonedExtrusion;
-                        clonedExtrusion.basePolygon = clonedMesh;
-                        
-                        // Enable and make visible
-                        clonedExtrusion.setEnabled(true);
-                        clonedExtrusion.isVisible = true;
-                        clonedExtrusion.renderingGroupId = originalExtrusion.renderingGroupId || 1;
-                        
-                        // Add to selection manager
-                        if (this.selectionManager) {
-                            this.selectionManager.addSelectableObject(clonedExtrusion);
-                        }
-                    } catch (error) {
-                        console.error(`Error duplicating extrusion for ${obj.name}:`, error);
+        meshesToExport.forEach((obj, index) => {
+            const objectName = (obj.name || `object_${index + 1}`).replace(/\s+/g, '_');
+            const triangles = this.getExportTriangles(obj);
+            if (triangles.length === 0) return;
+
+            lines.push(`o ${objectName}`, `g ${objectName}`, `usemtl ${obj.type}`);
+
+            // Shared vertices within an object keep the file small and the mesh welded
+            const vertexMap = new Map();
+            const faces = [];
+            triangles.forEach((triangle, triIndex) => {
+                const indices = triangle.vertices.map(vertex => {
+                    const key = `${formatFloat(-vertex.x)} ${formatFloat(vertex.y)} ${formatFloat(vertex.z)}`;
+                    if (!vertexMap.has(key)) {
+                        vertexMap.set(key, vertexOffset + vertexMap.size + 1);
+                        lines.push(`v ${key}`);
                     }
-                }
+                    return vertexMap.get(key);
+                });
 
-                // Add to selection manager
-                if (this.selectionManager) {
-                    this.selectionManager.addSelectableObject(clonedMesh);
-                }
+                const normal = triangle.normal;
+                lines.push(`vn ${formatFloat(-normal.x)} ${formatFloat(normal.y)} ${formatFloat(normal.z)}`);
+                const normalIndex = normalOffset + triIndex + 1;
 
-                // Update rectangleManager if applicable
-                if (this.rectangleManager && (shapeType === 'rectangle' || shapeType === 'building')) {
-                    this.rectangleManager.rectangles.push(clonedMesh);
-                }
+                // Mirroring reverses the winding, so list the corners in reverse order
+                faces.push(`f ${indices[0]}//${normalIndex} ${indices[2]}//${normalIndex} ${indices[1]}//${normalIndex}`);
+            });
 
-                // Enable shadows
-                if (this.lightingManager) {
-                    this.lightingManager.updateShadowsForNewObject(clonedMesh);
-                    if (clonedMesh.extrusion) {
-                        this.lightingManager.updateShadowsForNewObject(clonedMesh.extrusion);
-                    }
-                }
+            lines.push(...faces);
+            vertexOffset += vertexMap.size;
+            normalOffset += triangles.length;
+        });
 
-                duplicatedObjects.push(clonedMesh);
-                console.log(`Duplicated object: ${obj.name} -> ${clonedMesh.name} (created from scratch)`);
-            } catch (error) {
-                console.error(`Error duplicating object ${obj.name}:`, error);
-            }
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Generate MTL content with one material per exported object type
+     */
+    generateMTLContent(meshesToExport) {
+        const lines = ['# EcoTwin AI MTL export'];
+        const types = [...new Set(meshesToExport.map(obj => obj.type))];
+
+        types.forEach(type => {
+            const color = this.getSTLTypeColor(type);
+            lines.push(
+                '',
+                `newmtl ${type}`,
+                `Ka 0.000000 0.000000 0.000000`,
+                `Kd ${color.r.toFixed(6)} ${color.g.toFixed(6)} ${color.b.toFixed(6)}`,
+                `Ks 0.100000 0.100000 0.100000`,
+                'Ns 10.000000',
+                'd 1.000000',
+                'illum 2'
+            );
         });
 
-        if (duplicatedObjects.length > 0) {
-            // Clear current selection
-            this.selectionManager.clearSelection();
-            
-            // Select duplicated objects
-            duplicatedObjects.forEach(obj => {
-                this.selectionManager.selectObject(obj, false, true);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Collect typed meshes and trees for file export, optionally only the selected ones
+     */
+    collectExportObjects(selectionOnly = false) {
+        const scene = this.sceneManager.getScene();
+        const meshesToExport = [];
+
+        // 1. Get all meshes with valid types (building, highway, ground, green, waterway)
+        const validTypes = ['building', 'highway', 'ground', 'green', 'waterway'];
+        const typedMeshes = scene.meshes.filter(mesh => {
+            if (!mesh || !mesh.isEnabled() || !mesh.isVisible) return false;
+            if (!mesh.userData || !mesh.userData.type) return false;
+            return validTypes.includes(mesh.userData.type);
+        });
+
+        console.log(`Found ${typedMeshes.length} typed meshes`);
+
+        // Add typed meshes to export list
+        typedMeshes.forEach(mesh => {
+            meshesToExport.push({
+                mesh: mesh,
+                name: mesh.name || 'unnamed',
+                type: mesh.userData.type
             });
+        });
 
-            // Dispatch scene change event
-            this.dispatchSceneChangeEvent();
+        // 2. Get trees from TreeManager
+        if (this.treeManager && this.treeManager.trees) {
+            const trees = this.treeManager.trees;
+            console.log(`Found ${trees.length} trees`);
 
-            // Update object list
-            if (this.objectListManager) {
-                this.objectListManager.updateObjectList();
-            }
+            trees.forEach((tree, index) => {
+                if (tree.parent && tree.meshes && tree.meshes.length > 0) {
+                    // Combine all meshes of a tree into one export object
+                    meshesToExport.push({
+                        mesh: tree.parent, // Use parent TransformNode for transform info
+                        childMeshes: tree.meshes, // All child meshes
+                        name: `tree_${index + 1}`, // Name: tree_1, tree_2, ...
+                        type: 'tree'
+                    });
+                }
+            });
+        }
 
-            console.log(`Duplicated ${duplicatedObjects.length} objects successfully using new algorithm`);
-        } else {
-            console.warn('No objects were duplicated');
+        if (selectionOnly) {
+            const selected = this.selectionManager ? this.selectionManager.getSelectedObjects() : [];
+            return meshesToExport.filter(obj =>
+                selected.includes(obj.mesh) || (obj.childMeshes && obj.childMeshes.some(child => selected.includes(child)))
+            );
         }
+
+        return meshesToExport;
     }
 
     /**
-     * Delete selected objects
+     * Generate STL ASCII content from meshes
      */
-    deleteSelected() {
-        this.deleteSelectedObjects();
+    generateSTLContent(meshesToExport) {
+        let stlContent = '';
+
+        meshesToExport.forEach((obj, index) => {
+            const objectName = obj.name || `object_${index + 1}`;
+            stlContent += `solid ${objectName}\n`;
+
+            this.getExportTriangles(obj).forEach(triangle => {
+                stlContent += this.triangleToSTL(triangle);
+            });
+
+            stlContent += `endsolid ${objectName}\n`;
+        });
+
+        return stlContent;
     }
 
     /**
-     * Import STL file
+     * Get world-space triangles for an export object
      */
-    importSTL() {
-        // Create file input element
-        const fileInput = document.createElement('input');
-        fileInput.type = 'file';
-        fileInput.accept = '.stl';
-        fileInput.style.display = 'none';
-        
-        fileInput.addEventListener('change', (event) => {
-            const file = event.target.files[0];
-            if (file) {
-                this.loadSTLFile(file);
+    getExportTriangles(obj) {
+        if (obj.type === 'tree') {
+            // Handle trees: combine all child meshes with parent transform
+            const triangles = [];
+            if (obj.childMeshes && obj.childMeshes.length > 0) {
+                obj.childMeshes.forEach(childMesh => {
+                    triangles.push(...this.meshToTriangles(childMesh, obj.mesh));
+                });
             }
-        });
-        
-        // Trigger file selection
-        document.body.appendChild(fileInput);
-        fileInput.click();
-        document.body.removeChild(fileInput);
+            return triangles;
+        }
+
+        // Handle regular meshes, together with the stacked volumes and pitched roof a building carries
+        const triangles = this.meshToTriangles(obj.mesh);
+        if (obj.mesh.volumesMesh && !obj.mesh.volumesMesh.isDisposed()) {
+            obj.mesh.volumesMesh.computeWorldMatrix(true);
+            triangles.push(...this.meshToTriangles(obj.mesh.volumesMesh));
+        }
+        if (obj.mesh.roof && !obj.mesh.roof.isDisposed()) {
+            obj.mesh.roof.computeWorldMatrix(true);
+            triangles.push(...this.meshToTriangles(obj.mesh.roof));
+        }
+        return triangles;
     }
 
     /**
-     * Load STL file and add to scene
+     * Generate binary STL content from meshes
+     * Binary STL has no per-solid names, so each facet carries its object's type colour
+     * in the attribute bytes (VisCAM/SolidView 15-bit RGB) to keep types on re-import.
+     * The lowest blue bit alternates between objects, so neighbours of the same type stay apart
      */
-    loadSTLFile(file) {
-        const reader = new FileReader();
-        
-        reader.onload = (e) => {
-            try {
-                const content = e.target.result;
-                this.parseSTLFile(content);
-            } catch (error) {
-                console.error('Error loading STL file:', error);
-                alert('Error loading STL file. Please try again.');
-            }
-        };
-        
-        reader.onerror = () => {
-            alert('Error reading file. Please try again.');
-        };
-        
-        // Read as text (ASCII STL format)
-        reader.readAsText(file);
+    generateBinarySTLContent(meshesToExport) {
+        const objectTriangles = meshesToExport
+            .map(obj => ({ type: obj.type, triangles: this.getExportTriangles(obj) }))
+            .filter(obj => obj.triangles.length > 0);
+        objectTriangles.forEach((obj, index) => {
+            obj.attribute = this.colorToSTLAttribute(this.getSTLTypeColor(obj.type)) ^ (index & 1);
+        });
+        const triangleCount = objectTriangles.reduce((sum, obj) => sum + obj.triangles.length, 0);
+
+        const buffer = new ArrayBuffer(84 + triangleCount * 50);
+        const view = new DataView(buffer);
+
+        // 80-byte header; must not start with "solid" or readers mistake it for ASCII
+        const header = `${this.binarySTLHeader}, ${objectTriangles.length} objects`;
+        for (let i = 0; i < 80; i++) {
+            view.setUint8(i, i < header.length ? header.charCodeAt(i) & 0x7f : 0x20);
+        }
+        view.setUint32(80, triangleCount, true);
+
+        let offset = 84;
+        objectTriangles.forEach(obj => {
+            obj.triangles.forEach(triangle => {
+                const values = [triangle.normal, ...triangle.vertices];
+                values.forEach(v => {
+                    view.setFloat32(offset, v.x, true);
+                    view.setFloat32(offset + 4, v.y, true);
+                    view.setFloat32(offset + 8, v.z, true);
+                    offset += 12;
+                });
+                view.setUint16(offset, obj.attribute, true);
+                offset += 2;
+            });
+        });
+
+        console.log(`Binary STL: ${triangleCount} triangles, ${buffer.byteLength} bytes`);
+        return buffer;
     }
 
     /**
-     * Parse STL ASCII file content and create meshes
+     * Get the colour used to tag a type in binary STL attribute bytes
      */
-    parseSTLFile(content) {
-        if (!this.sceneManager) {
-            console.error('SceneManager not available');
-            return;
+    getSTLTypeColor(type) {
+        if (type === 'tree') {
+            return new BABYLON.Color3(0.1, 0.6, 0.1); // Same green as simple tree leaves
         }
+        return this.getColorByType(type);
+    }
 
-        const scene = this.sceneManager.getScene();
-        if (!scene) {
-            console.error('Scene not available');
-            return;
-        }
-
-        console.log('Parsing STL file...');
-
-        // Split content into lines
-        const lines = content.split('\n');
-        const objects = [];
-        let currentObject = null;
-        let currentTriangle = null;
-        let inFacet = false;
-        let inLoop = false;
-        let vertexCount = 0;
-
-        // Parse STL file line by line
-        for (let i = 0; i < lines.length; i++) {
-            const line = lines[i].trim();
+    /**
+     * Pack a colour into a 16-bit STL attribute (bit 15 = colour valid, 5 bits per channel)
+     */
+    colorToSTLAttribute(color) {
+        const r = Math.round(color.r * 31);
+        const g = Math.round(color.g * 31);
+        const b = Math.round(color.b * 31);
+        return 0x8000 | (r << 10) | (g << 5) | b;
+    }
 
-            // Check for solid start
-            if (line.startsWith('solid ')) {
-                const objectName = line.substring(6).trim();
-                currentObject = {
-                    name: objectName,
-                    type: this.detectTypeFromName(objectName),
-                    triangles: []
-                };
-                console.log(`Found solid: ${objectName}, type: ${currentObject.type}`);
-            }
-            // Check for solid end
-            else if (line.startsWith('endsolid ')) {
-                if (currentObject && currentObject.triangles.length > 0) {
-                    objects.push(currentObject);
-                }
-                currentObject = null;
-            }
-            // Check for facet start
-            else if (line.startsWith('facet normal ')) {
-                if (!currentObject) continue;
-                
-                const normalMatch = line.match(/facet normal\s+([\d\.e\+\-]+)\s+([\d\.e\+\-]+)\s+([\d\.e\+\-]+)/);
-                if (normalMatch) {
-                    currentTriangle = {
-                        normal: {
-                            x: parseFloat(normalMatch[1]),
-                            y: parseFloat(normalMatch[2]),
-                            z: parseFloat(normalMatch[3])
-                        },
-                        vertices: []
-                    };
-                    inFacet = true;
-                    vertexCount = 0;
-                }
-            }
-            // Check for facet end
-            else if (line === 'endfacet') {
-                if (currentTriangle && currentTriangle.vertices.length === 3) {
-                    currentObject.triangles.push(currentTriangle);
-                }
-                currentTriangle = null;
-                inFacet = false;
-                inLoop = false;
-            }
-            // Check for outer loop start
-            else if (line === 'outer loop') {
-                inLoop = true;
-            }
-            // Check for loop end
-            else if (line === 'endloop') {
-                inLoop = false;
-            }
-            // Check for vertex
-            else if (line.startsWith('vertex ') && inFacet && inLoop) {
-                const vertexMatch = line.match(/vertex\s+([\d\.e\+\-]+)\s+([\d\.e\+\-]+)\s+([\d\.e\+\-]+)/);
-                if (vertexMatch && currentTriangle) {
-                    currentTriangle.vertices.push({
-                        x: parseFloat(vertexMatch[1]),
-                        y: parseFloat(vertexMatch[2]),
-                        z: parseFloat(vertexMatch[3])
-                    });
-                    vertexCount++;
-                }
-            }
-        }
+    /**
+     * Find the object type whose STL colour is closest to a facet attribute
+     */
+    detectTypeFromSTLAttribute(attribute) {
+        if (!(attribute & 0x8000)) return null;
 
-        console.log(`Parsed ${objects.length} objects from STL file`);
+        const r = ((attribute >> 10) & 0x1f) / 31;
+        const g = ((attribute >> 5) & 0x1f) / 31;
+        const b = (attribute & 0x1f) / 31;
 
-        // Create meshes from parsed objects
-        let createdCount = 0;
-        objects.forEach((obj, index) => {
-            try {
-                const mesh = this.createMeshFromSTLObject(obj, scene);
-                if (mesh) {
-                    createdCount++;
-                }
-            } catch (error) {
-                console.error(`Error creating mesh for ${obj.name}:`, error);
+        let bestType = null;
+        let bestDistance = Infinity;
+        ['building', 'highway', 'ground', 'green', 'waterway', 'tree'].forEach(type => {
+            const color = this.getSTLTypeColor(type);
+            const distance = (color.r - r) ** 2 + (color.g - g) ** 2 + (color.b - b) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestType = type;
             }
         });
-
-        console.log(`Created ${createdCount} meshes from STL file`);
-
-        // Dispatch scene change event to update object list
-        this.dispatchSceneChangeEvent();
-
-        // Show success message
-        alert(`Successfully imported ${createdCount} objects from STL file.`);
+        return bestType;
     }
 
     /**
-     * Detect object type from name
+     * Convert a mesh to triangles with world positions
      */
-    detectTypeFromName(name) {
-        const lowerName = name.toLowerCase();
-        
-        if (lowerName.startsWith('tree_')) {
-            return 'tree';
-        } else if (lowerName.startsWith('building_') || lowerName.startsWith('building')) {
-            return 'building';
-        } else if (lowerName.startsWith('highway_') || lowerName.startsWith('highway')) {
-            return 'highway';
-        } else if (lowerName.startsWith('ground_') || lowerName.startsWith('ground')) {
-            return 'ground';
-        } else if (lowerName.startsWith('green_') || lowerName.startsWith('green')) {
-            return 'green';
-        } else if (lowerName.startsWith('waterway_') || lowerName.startsWith('waterway') || lowerName.startsWith('water_')) {
-            return 'waterway';
-        }
-        
-        // Default to ground if type cannot be determined
-        return 'ground';
-    }
-
-    /**
-     * Create a mesh from STL object data
-     */
-    createMeshFromSTLObject(obj, scene) {
-        if (!obj || !obj.triangles || obj.triangles.length === 0) {
-            return null;
-        }
+    meshToTriangles(mesh, parentTransform = null) {
+        if (!mesh || !mesh.isEnabled()) return [];
 
-        // Collect all vertices and create indices
-        const positions = [];
-        const indices = [];
-        const normals = [];
-        const vertexMap = new Map(); // Map to avoid duplicate vertices
+        try {
+            // Get vertex data from mesh
+            const vertexData = BABYLON.VertexData.ExtractFromMesh(mesh);
+            if (!vertexData.positions || vertexData.positions.length === 0) {
+                return [];
+            }
 
-        // Process each triangle
-        obj.triangles.forEach((triangle, triIndex) => {
-            const triangleIndices = [];
+            const positions = vertexData.positions;
+            const indices = vertexData.indices || [];
 
-            // Process each vertex in the triangle
-            triangle.vertices.forEach((vertex) => {
-                const key = `${vertex.x.toFixed(6)},${vertex.y.toFixed(6)},${vertex.z.toFixed(6)}`;
-                
-                if (vertexMap.has(key)) {
-                    // Vertex already exists, reuse index
-                    triangleIndices.push(vertexMap.get(key));
-                } else {
-                    // New vertex, add to positions
-                    const vertexIndex = positions.length / 3;
-                    positions.push(vertex.x, vertex.y, vertex.z);
-                    normals.push(triangle.normal.x, triangle.normal.y, triangle.normal.z);
-                    vertexMap.set(key, vertexIndex);
-                    triangleIndices.push(vertexIndex);
+            // If no indices, create them (assuming triangles)
+            let triangleIndices = indices;
+            if (triangleIndices.length === 0) {
+                triangleIndices = [];
+                for (let i = 0; i < positions.length; i += 3) {
+                    triangleIndices.push(i, i + 1, i + 2);
                 }
-            });
-
-            // Add triangle indices
-            if (triangleIndices.length === 3) {
-                indices.push(triangleIndices[0], triangleIndices[1], triangleIndices[2]);
             }
-        });
-
-        if (positions.length === 0) {
-            return null;
-        }
-
-        // Create mesh
-        const mesh = new BABYLON.Mesh(obj.name, scene);
-
-        // Create vertex data
-        const vertexData = new BABYLON.VertexData();
-        vertexData.positions = positions;
-        vertexData.indices = indices;
-        
-        // Recalculate normals to ensure correct direction
-        BABYLON.VertexData.ComputeNormals(positions, indices, normals);
-        vertexData.normals = normals;
-
-        // Apply vertex data to mesh
-        vertexData.applyToMesh(mesh);
 
-        // Set mesh properties based on type
-        mesh.renderingGroupId = 1;
+            const triangles = [];
 
-        // Create material based on type
-        const material = new BABYLON.StandardMaterial(`${obj.name}Material`, scene);
-        if (this.getColorByType) {
-            const color = this.getColorByType(obj.type);
-            material.diffuseColor = color;
-        } else {
-            // Fallback color
-            material.diffuseColor = new BABYLON.Color3(0.8, 0.8, 0.8);
-        }
-        material.backFaceCulling = false;
-        material.twoSidedLighting = true;
-        material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
-        material.roughness = 0.7;
-        mesh.material = material;
+            // Process each triangle
+            for (let i = 0; i < triangleIndices.length; i += 3) {
+                const i0 = triangleIndices[i] * 3;
+                const i1 = triangleIndices[i + 1] * 3;
+                const i2 = triangleIndices[i + 2] * 3;
 
-        // Enable edges rendering
-        mesh.enableEdgesRendering();
-        mesh.edgesWidth = 1.0;
-        mesh.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
+                // Get vertex positions
+                const v0 = new BABYLON.Vector3(positions[i0], positions[i0 + 1], positions[i0 + 2]);
+                const v1 = new BABYLON.Vector3(positions[i1], positions[i1 + 1], positions[i1 + 2]);
+                const v2 = new BABYLON.Vector3(positions[i2], positions[i2 + 1], positions[i2 + 2]);
 
-        // Set userData based on type
-        mesh.userData = {
-            type: obj.type,
-            shapeType: obj.type === 'tree' ? 'tree' : (obj.type === 'building' ? 'building' : 'polygon'),
-            dimensions: {
-                // Calculate bounding box for dimensions
-                width: this.calculateBoundingBox(mesh).width,
-                depth: this.calculateBoundingBox(mesh).depth,
-                height: this.calculateBoundingBox(mesh).height
-            },
-            originalHeight: this.calculateBoundingBox(mesh).height
-        };
+                // Apply mesh transform
+                const worldMatrix = mesh.getWorldMatrix();
+                const worldV0 = BABYLON.Vector3.TransformCoordinates(v0, worldMatrix);
+                const worldV1 = BABYLON.Vector3.TransformCoordinates(v1, worldMatrix);
+                const worldV2 = BABYLON.Vector3.TransformCoordinates(v2, worldMatrix);
 
-        // Enable shadows
-        mesh.receiveShadows = true;
-        mesh.castShadows = true;
+                // If parent transform exists (for trees), apply it
+                if (parentTransform) {
+                    const parentMatrix = parentTransform.getWorldMatrix();
+                    const finalV0 = BABYLON.Vector3.TransformCoordinates(worldV0, parentMatrix);
+                    const finalV1 = BABYLON.Vector3.TransformCoordinates(worldV1, parentMatrix);
+                    const finalV2 = BABYLON.Vector3.TransformCoordinates(worldV2, parentMatrix);
 
-        // Add to selection manager
-        if (this.selectionManager) {
-            this.selectionManager.addSelectableObject(mesh);
-        }
+                    // Calculate normal
+                    const normal = this.calculateTriangleNormal(finalV0, finalV1, finalV2);
 
-        // Add to scene manager if it's a building
-        if (obj.type === 'building' && this.sceneManager) {
-            this.sceneManager.addBuilding(mesh);
-        }
+                    triangles.push({
+                        normal: normal,
+                        vertices: [finalV0, finalV1, finalV2]
+                    });
+                } else {
+                    // Calculate normal
+                    const normal = this.calculateTriangleNormal(worldV0, worldV1, worldV2);
 
-        // For trees, we would need to handle them differently (as TransformNode with child meshes)
-        // For now, trees are imported as regular meshes
-        if (obj.type === 'tree' && this.treeManager) {
-            // Note: Trees imported from STL won't have the same structure as drawn trees
-            // They will be simple meshes, not TransformNodes with child meshes
-            console.log(`Imported tree: ${obj.name} (as simple mesh)`);
-        }
+                    triangles.push({
+                        normal: normal,
+                        vertices: [worldV0, worldV1, worldV2]
+                    });
+                }
+            }
 
-        // Update shadows
-        if (this.lightingManager) {
-            this.lightingManager.updateShadowsForNewObject(mesh);
+            return triangles;
+        } catch (error) {
+            console.error(`Error converting mesh ${mesh.name} to triangles:`, error);
+            return [];
         }
+    }
 
-        console.log(`Created mesh: ${obj.name} (type: ${obj.type}, triangles: ${obj.triangles.length})`);
-
-        return mesh;
+    /**
+     * Calculate triangle normal
+     */
+    calculateTriangleNormal(v0, v1, v2) {
+        const edge1 = v1.subtract(v0);
+        const edge2 = v2.subtract(v0);
+        const normal = BABYLON.Vector3.Cross(edge1, edge2);
+        normal.normalize();
+        return normal;
     }
 
     /**
-     * Calculate bounding box for a mesh
+     * Convert a triangle to STL format
      */
-    calculateBoundingBox(mesh) {
-        const boundingInfo = mesh.getBoundingInfo();
-        const min = boundingInfo.boundingBox.minimum;
-        const max = boundingInfo.boundingBox.maximum;
-        
-        return {
-            width: max.x - min.x,
-            depth: max.z - min.z,
-            height: max.y - min.y
+    triangleToSTL(triangle) {
+        const normal = triangle.normal;
+        const v0 = triangle.vertices[0];
+        const v1 = triangle.vertices[1];
+        const v2 = triangle.vertices[2];
+
+        // Format: scientific notation with 6 decimal places (as in sample file)
+        // Example: 0.000000e+00, 4.667083e+06
+        const formatFloat = (val) => {
+            // Use toExponential with 6 decimal places
+            let str = val.toExponential(6);
+            // Ensure positive exponent has + sign and is 2 digits
+            str = str.replace(/e\+?(\d+)/, (match, exp) => {
+                const expNum = parseInt(exp);
+                const sign = expNum >= 0 ? '+' : '-';
+                return 'e' + sign + Math.abs(expNum).toString().padStart(2, '0');
+            });
+            // Ensure negative exponent has - sign and is 2 digits
+            str = str.replace(/e-(\d+)/, (match, exp) => {
+                return 'e-' + exp.padStart(2, '0');
+            });
+            return str;
         };
+
+        let stl = `  facet normal ${formatFloat(normal.x)} ${formatFloat(normal.y)} ${formatFloat(normal.z)}\n`;
+        stl += `    outer loop\n`;
+        stl += `      vertex ${formatFloat(v0.x)} ${formatFloat(v0.y)} ${formatFloat(v0.z)}\n`;
+        stl += `      vertex ${formatFloat(v1.x)} ${formatFloat(v1.y)} ${formatFloat(v1.z)}\n`;
+        stl += `      vertex ${formatFloat(v2.x)} ${formatFloat(v2.y)} ${formatFloat(v2.z)}\n`;
+        stl += `    endloop\n`;
+        stl += `  endfacet\n`;
+
+        return stl;
     }
 
     /**
-     * Show preferences window
+     * Download STL file
      */
-    showPreferencesWindow() {
-        const window = document.getElementById('preferencesWindow');
-        const overlay = document.getElementById('preferencesOverlay');
-        
-        if (window && overlay) {
-            window.classList.add('show');
-            overlay.classList.add('show');
-            // Only setup listeners once
-            if (!this.preferencesListenersSetup) {
-                this.setupPreferencesListeners();
-                this.preferencesListenersSetup = true;
-            }
-            this.syncPreferencesState();
-        }
+    downloadSTLFile(content, filename) {
+        this.downloadFile(content, filename, 'text/plain');
+        console.log(`STL file exported: ${filename}`);
     }
 
     /**
-     * Hide preferences window
+     * Download content as a file through a temporary link
      */
-    hidePreferencesWindow() {
-        const window = document.getElementById('preferencesWindow');
-        const overlay = document.getElementById('preferencesOverlay');
-        
-        if (window && overlay) {
-            window.classList.remove('show');
-            overlay.classList.remove('show');
-        }
+    downloadFile(content, filename, mimeType = 'text/plain') {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
     }
 
     /**
-     * Setup preferences window event listeners
+     * Pack text files into an uncompressed (stored) zip archive
+     * @param {Array} files - {name, content} entries
+     * @returns {Uint8Array} Zip file bytes
      */
-    setupPreferencesListeners() {
-        // Close button
-        const closeBtn = document.getElementById('closePreferences');
-        if (closeBtn) {
-            closeBtn.addEventListener('click', () => {
-                this.hidePreferencesWindow();
-            });
+    createZipArchive(files) {
+        const encoder = new TextEncoder();
+        const crcTable = [];
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable.push(c >>> 0);
         }
+        const crc32 = bytes => {
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < bytes.length; i++) {
+                crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        };
 
-        // Overlay click to close
-        const overlay = document.getElementById('preferencesOverlay');
-        if (overlay) {
-            overlay.addEventListener('click', () => {
-                this.hidePreferencesWindow();
-            });
-        }
+        // MS-DOS date and time of the entries
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
 
-        // Grid toggle
-        const gridToggle = document.getElementById('gridTogglePref');
-        if (gridToggle) {
-            gridToggle.addEventListener('click', () => {
-                this.toggleGrid();
-            });
-        }
+        const entries = files.map(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            return { name: name, data: data, crc: crc32(data) };
+        });
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const bytes = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(bytes.buffer);
+
+        // Fields shared by the local header (from offset 4) and the central directory entry (from offset 6)
+        const writeCommon = (offset, entry) => {
+            view.setUint16(offset, 20, true); // Version needed to extract
+            view.setUint16(offset + 2, 0, true); // Flags
+            view.setUint16(offset + 4, 0, true); // Stored, no compression
+            view.setUint16(offset + 6, dosTime, true);
+            view.setUint16(offset + 8, dosDate, true);
+            view.setUint32(offset + 10, entry.crc, true);
+            view.setUint32(offset + 14, entry.data.length, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint16(offset + 22, entry.name.length, true);
+            view.setUint16(offset + 24, 0, true); // Extra field length
+        };
 
-        // Shadow toggle
-        const shadowToggle = document.getElementById('shadowTogglePref');
-        if (shadowToggle) {
-            shadowToggle.addEventListener('click', () => {
-                this.toggleObjectShadows();
-            });
-        }
+        let offset = 0;
+        entries.forEach(entry => {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034B50, true);
+            writeCommon(offset + 4, entry);
+            bytes.set(entry.name, offset + 30);
+            bytes.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
 
-        // Hard shadow toggle
-        const hardShadowToggle = document.getElementById('hardShadowTogglePref');
-        if (hardShadowToggle) {
-            hardShadowToggle.addEventListener('click', () => {
-                this.toggleHardShadows();
-            });
-        }
+        const centralStart = offset;
+        entries.forEach(entry => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true); // Version made by
+            writeCommon(offset + 6, entry);
+            // Comment length, disk number and attributes stay zero
+            view.setUint32(offset + 42, entry.offset, true);
+            bytes.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
 
-        // Light intensity slider
-        const lightIntensitySlider = document.getElementById('lightIntensityPref');
-        if (lightIntensitySlider) {
-            lightIntensitySlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setLightIntensity(value);
-                this.updateLightIntensityDisplay(value);
-            });
-        }
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - centralStart, true);
+        view.setUint32(offset + 16, centralStart, true);
+        return bytes;
+    }
 
-        // Shadow darkness slider
-        const shadowDarknessSlider = document.getElementById('shadowDarknessPref');
-        if (shadowDarknessSlider) {
-            shadowDarknessSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setShadowDarkness(value);
-                this.updateShadowDarknessDisplay(value);
-            });
-        }
+    openPreferences() {
+        this.showPreferencesWindow();
+    }
 
-        // Shadow bias slider
-        const shadowBiasSlider = document.getElementById('shadowBiasPref');
-        if (shadowBiasSlider) {
-            shadowBiasSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setShadowBias(value);
-                this.updateShadowBiasDisplay(value);
-            });
-        }
+    showAbout() {
+        const aboutText = `Eco Digital Twin Sandbox
+Version 1.0
+Powered by Babylon.js
 
-        // Shadow normal bias slider
-        const shadowNormalBiasSlider = document.getElementById('shadowNormalBiasPref');
-        if (shadowNormalBiasSlider) {
-            shadowNormalBiasSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setShadowNormalBias(value);
-                this.updateShadowNormalBiasDisplay(value);
-            });
-        }
+About EcoTwin AI
 
-        // Shadow depth scale slider
-        const shadowDepthScaleSlider = document.getElementById('shadowDepthScalePref');
-        if (shadowDepthScaleSlider) {
-            shadowDepthScaleSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setShadowDepthScale(value);
-                this.updateShadowDepthScaleDisplay(value);
-            });
-        }
+We are a startup company specializing in energy consumption modeling, dedicated to reducing CO2 emissions and carbon footprint. Our mission focuses on:
 
-        // Shadow ortho scale slider
-        const shadowOrthoScaleSlider = document.getElementById('shadowOrthoScalePref');
-        if (shadowOrthoScaleSlider) {
-            shadowOrthoScaleSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setShadowOrthoScale(value);
-                this.updateShadowOrthoScaleDisplay(value);
-            });
-        }
+• Finding solutions for energy consumption optimization
+• Clean, renewable, and sustainable energy production
+• Energy democracy and accessibility
+• Urban sustainability and resilience
+• Residential, agricultural, and industrial applications
 
-        // Shadow frustum size slider
-        const shadowFrustumSizeSlider = document.getElementById('shadowFrustumSizePref');
-        if (shadowFrustumSizeSlider) {
-            shadowFrustumSizeSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setShadowFrustumSize(value);
-                this.updateShadowFrustumSizeDisplay(value);
-            });
-        }
+This application helps you import STL building and urban models, add and edit various components to achieve your desired patterns, and prepare them for export to energy simulation software.
 
-        // Hemispheric light intensity slider
-        const hemisphericIntensitySlider = document.getElementById('hemisphericIntensityPref');
-        if (hemisphericIntensitySlider) {
-            hemisphericIntensitySlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setHemisphericIntensity(value);
-                this.updateHemisphericIntensityDisplay(value);
-            });
-        }
+Transform your 3D models into powerful energy analysis tools.`;
 
-        // Shadow min Z slider
-        const shadowMinZSlider = document.getElementById('shadowMinZPref');
-        if (shadowMinZSlider) {
-            shadowMinZSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setShadowMinZ(value);
-                this.updateShadowMinZDisplay(value);
-            });
-        }
+        alert(aboutText);
+    }
 
-        // Shadow max Z slider
-        const shadowMaxZSlider = document.getElementById('shadowMaxZPref');
-        if (shadowMaxZSlider) {
-            shadowMaxZSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setShadowMaxZ(value);
-                this.updateShadowMaxZDisplay(value);
-            });
+    /**
+     * Select all 3D models except ground
+     */
+    selectAll() {
+        if (this.selectionManager) {
+            this.selectionManager.selectAll();
         }
+    }
 
-        // Light position sliders
-        const lightPositionXSlider = document.getElementById('lightPositionXPref');
-        if (lightPositionXSlider) {
-            lightPositionXSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setLightPositionX(value);
-                this.updateLightPositionXDisplay(value);
-            });
+    /**
+     * Clear all selections
+     */
+    clearSelection() {
+        if (this.selectionManager) {
+            this.selectionManager.clearSelection();
         }
+    }
 
-        const lightPositionYSlider = document.getElementById('lightPositionYPref');
-        if (lightPositionYSlider) {
-            lightPositionYSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setLightPositionY(value);
-                this.updateLightPositionYDisplay(value);
-            });
+    /**
+     * Duplicate selected objects - NEW ALGORITHM: Create from scratch instead of cloning
+     */
+    duplicateSelected() {
+        if (!this.selectionManager) {
+            console.log('SelectionManager not available');
+            return;
         }
 
-        const lightPositionZSlider = document.getElementById('lightPositionZPref');
-        if (lightPositionZSlider) {
-            lightPositionZSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setLightPositionZ(value);
-                this.updateLightPositionZDisplay(value);
-            });
+        const selectedObjects = this.selectionManager.getSelectedObjects();
+        if (selectedObjects.length === 0) {
+            console.log('No objects selected to duplicate');
+            return;
         }
 
-        // Light direction sliders
-        const lightDirectionXSlider = document.getElementById('lightDirectionXPref');
-        if (lightDirectionXSlider) {
-            lightDirectionXSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setLightDirectionX(value);
-                this.updateLightDirectionXDisplay(value);
-            });
-        }
+        console.log(`Duplicating ${selectedObjects.length} selected objects using new algorithm`);
 
-        const lightDirectionYSlider = document.getElementById('lightDirectionYPref');
-        if (lightDirectionYSlider) {
-            lightDirectionYSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setLightDirectionY(value);
-                this.updateLightDirectionYDisplay(value);
-            });
-        }
+        const duplicatedObjects = [];
+        const offsetDistance = 2; // Offset distance in meters
+        const scene = this.sceneManager.getScene();
 
-        const lightDirectionZSlider = document.getElementById('lightDirectionZPref');
-        if (lightDirectionZSlider) {
-            lightDirectionZSlider.addEventListener('input', (e) => {
-                const value = parseFloat(e.target.value);
-                this.setLightDirectionZ(value);
-                this.updateLightDirectionZDisplay(value);
-            });
-        }
+        selectedObjects.forEach((obj, index) => {
+            try {
+                // Skip if object is an extrusion (we'll duplicate the parent shape instead)
+                if (obj.name && obj.name.includes('_extrusion')) {
+                    console.log(`Skipping extrusion ${obj.name}, will be handled by parent shape`);
+                    return;
+                }
 
-        // Reset camera
-        const resetCameraBtn = document.getElementById('resetCameraPref');
-        if (resetCameraBtn) {
-            resetCameraBtn.addEventListener('click', () => {
-                this.resetCamera();
-            });
-        }
-
-        // Zoom to fit ground
-        const zoomToFitGroundBtn = document.getElementById('zoomToFitGroundPref');
-        if (zoomToFitGroundBtn) {
-            zoomToFitGroundBtn.addEventListener('click', () => {
-                this.zoomToFitGround();
-            });
-        }
+                // Get object properties
+                const shapeType = this.getShapeType(obj);
+                const userData = obj.userData ? JSON.parse(JSON.stringify(obj.userData)) : {};
+                const position = obj.position.clone();
+                const rotation = obj.rotation.clone();
+                const scaling = obj.scaling.clone();
+                const originalExtrusion = obj.extrusion;
+                
+                // Offset position for duplicate
+                position.x += offsetDistance;
+                position.z += offsetDistance;
 
-        // Generate buildings
-        const generateBtn = document.getElementById('generateBuildingsPref');
-        if (generateBtn) {
-            generateBtn.addEventListener('click', () => {
-                this.generateBuildings();
-            });
-        }
+                let clonedMesh = null;
+                const timestamp = Date.now();
+                const uniqueId = `${timestamp}_${index}`;
 
-        // Generate buildings on large area
-        const generateLargeBtn = document.getElementById('generateBuildingsLargePref');
-        if (generateLargeBtn) {
-            generateLargeBtn.addEventListener('click', () => {
-                this.generateBuildingsOnLargeArea();
-            });
-        }
+                // Create new mesh from scratch based on shape type
+                if (shapeType === 'rectangle' || shapeType === 'building') {
+                    // Get dimensions from userData or calculate from bounding box
+                    let width, depth, height;
+                    if (userData.dimensions) {
+                        width = parseFloat(userData.dimensions.width) || 1;
+                        depth = parseFloat(userData.dimensions.depth) || 1;
+                        height = parseFloat(userData.dimensions.height) || 0.1;
+                    } else {
+                        const boundingInfo = obj.getBoundingInfo();
+                        width = boundingInfo.boundingBox.extendSize.x * 2;
+                        depth = boundingInfo.boundingBox.extendSize.z * 2;
+                        height = boundingInfo.boundingBox.extendSize.y * 2;
+                    }
 
-        // Reset scene
-        const resetBtn = document.getElementById('resetScenePref');
-        if (resetBtn) {
-            resetBtn.addEventListener('click', () => {
-                this.resetScene();
-            });
-        }
+                    // Create new box from scratch
+                    clonedMesh = BABYLON.MeshBuilder.CreateBox(`${obj.name}_copy_${uniqueId}`, {
+                        width: width,
+                        height: height,
+                        depth: depth
+                    }, scene);
 
-        // Save lighting settings
-        const saveLightingBtn = document.getElementById('saveLightingSettingsPref');
-        if (saveLightingBtn) {
-            saveLightingBtn.addEventListener('click', () => {
-                this.saveLightingSettings();
-            });
-        }
+                    // Set position (center Y at height/2)
+                    clonedMesh.position = new BABYLON.Vector3(
+                        position.x,
+                        position.y + height / 2,
+                        position.z
+                    );
 
-        // Create test circle
-        const createTestCircleBtn = document.getElementById('createTestCircle');
-        if (createTestCircleBtn) {
-            createTestCircleBtn.addEventListener('click', () => {
-                this.createTestCircle();
-            });
-        }
+                } else if (shapeType === 'circle') {
+                    // Get dimensions from userData
+                    let diameterTop, diameterBottom, height;
+                    if (userData.dimensions) {
+                        diameterTop = parseFloat(userData.dimensions.diameterTop) || 1;
+                        diameterBottom = parseFloat(userData.dimensions.diameterBottom) || 1;
+                        height = parseFloat(userData.dimensions.height) || 0.1;
+                    } else {
+                        const boundingInfo = obj.getBoundingInfo();
+                        diameterTop = boundingInfo.boundingBox.extendSize.x * 2;
+                        diameterBottom = diameterTop;
+                        height = boundingInfo.boundingBox.extendSize.y * 2;
+                    }
 
-        // Statistics toggle button
-        const statisticsTogglePref = document.getElementById('statisticsTogglePref');
-        if (statisticsTogglePref) {
-            statisticsTogglePref.addEventListener('click', () => {
-                this.toggleStatistics();
-            });
-        }
+                    // Create new cylinder from scratch
+                    clonedMesh = BABYLON.MeshBuilder.CreateCylinder(`${obj.name}_copy_${uniqueId}`, {
+                        height: height,
+                        diameterTop: diameterTop,
+                        diameterBottom: diameterBottom,
+                        tessellation: 32
+                    }, scene);
 
-        // Range inputs
-        this.setupPreferencesRangeInputs();
-    }
+                    // Set position (center Y at height/2)
+                    clonedMesh.position = new BABYLON.Vector3(
+                        position.x,
+                        position.y + height / 2,
+                        position.z
+                    );
 
-    /**
-     * Synchronize preferences window state with current application state
-     */
-    syncPreferencesState() {
-        // Sync grid toggle state
-        const gridTogglePref = document.getElementById('gridTogglePref');
-        if (gridTogglePref) {
-            const isGridVisible = this.gridManager.isGridVisible();
-            gridTogglePref.classList.toggle('active', isGridVisible);
-        }
+                } else if (shapeType === 'polygon') {
+                    // For polygons, we need to extract the polygon points
+                    // This is more complex - we'll use VertexData approach
+                    try {
+                        const vertexData = BABYLON.VertexData.ExtractFromMesh(obj);
+                        clonedMesh = new BABYLON.Mesh(`${obj.name}_copy_${uniqueId}`, scene);
+                        vertexData.applyToMesh(clonedMesh);
+                        clonedMesh.position = position.clone();
+                    } catch (error) {
+                        console.error(`Error duplicating polygon ${obj.name}:`, error);
+                        return;
+                    }
 
-        // Sync shadow toggle state
-        const shadowTogglePref = document.getElementById('shadowTogglePref');
-        if (shadowTogglePref) {
-            const areObjectShadowsEnabled = this.lightingManager.areObjectShadowsEnabled();
-            shadowTogglePref.classList.toggle('active', areObjectShadowsEnabled);
-        }
+                } else if (this.isTree(obj)) {
+                    // For trees, use VertexData to create independent geometry
+                    try {
+                        const vertexData = BABYLON.VertexData.ExtractFromMesh(obj);
+                        clonedMesh = new BABYLON.Mesh(`${obj.name}_copy_${uniqueId}`, scene);
+                        vertexData.applyToMesh(clonedMesh);
+                        clonedMesh.position = position.clone();
+                        clonedMesh.rotation = rotation;
+                        clonedMesh.scaling = scaling;
+                        
+                        // Clone material for tree
+                        if (obj.material) {
+                            const clonedTreeMaterial = new BABYLON.StandardMaterial(`${obj.material.name}_copy_${uniqueId}`, scene);
+                            if (obj.material instanceof BABYLON.StandardMaterial) {
+                                clonedTreeMaterial.diffuseColor = obj.material.diffuseColor ? obj.material.diffuseColor.clone() : new BABYLON.Color3(0.4, 0.3, 0.2);
+                                clonedTreeMaterial.specularColor = obj.material.specularColor ? obj.material.specularColor.clone() : new BABYLON.Color3(0.1, 0.1, 0.1);
+                                clonedTreeMaterial.alpha = obj.material.alpha !== undefined ? obj.material.alpha : 1.0;
+                            }
+                            clonedMesh.material = clonedTreeMaterial;
+                        }
+                        
+                        // Handle tree structure
+                        if (this.treeManager) {
+                            const tree = this.treeManager.trees.find(t => t.parent === obj || t.meshes.includes(obj));
+                            if (tree) {
+                                this.treeManager.trees.push({
+                                    parent: clonedMesh,
+                                    meshes: [clonedMesh],
+                                    type: tree.type || 'default'
+                                });
+                            }
+                        }
+                    } catch (error) {
+                        console.error(`Error duplicating tree ${obj.name}:`, error);
+                        return;
+                    }
+                } else {
+                    // Fallback: use VertexData for unknown shapes
+                    try {
+                        const vertexData = BABYLON.VertexData.ExtractFromMesh(obj);
+                        clonedMesh = new BABYLON.Mesh(`${obj.name}_copy_${uniqueId}`, scene);
+                        vertexData.applyToMesh(clonedMesh);
+                        clonedMesh.position = position.clone();
+                    } catch (error) {
+                        console.error(`Error duplicating unknown shape ${obj.name}:`, error);
+                        return;
+                    }
+                }
 
-        // Sync hard shadow toggle state
-        const hardShadowTogglePref = document.getElementById('hardShadowTogglePref');
-        if (hardShadowTogglePref) {
-            const areHardShadowsEnabled = this.lightingManager.areHardShadowsEnabled();
-            hardShadowTogglePref.classList.toggle('active', areHardShadowsEnabled);
-        }
+                if (!clonedMesh) {
+                    console.warn(`Failed to create duplicate for ${obj.name}`);
+                    return;
+                }
 
-        // Sync light intensity
-        const lightIntensitySlider = document.getElementById('lightIntensityPref');
-        const lightIntensityValue = document.getElementById('lightIntensityValuePref');
-        if (lightIntensitySlider && lightIntensityValue) {
-            const currentIntensity = this.lightingManager.getDirectionalIntensity();
-            lightIntensitySlider.value = currentIntensity;
-            lightIntensityValue.textContent = currentIntensity.toFixed(1);
-        }
+                // Copy transform properties
+                clonedMesh.rotation = rotation;
+                clonedMesh.scaling = scaling;
 
-        // Sync shadow darkness
-        const shadowDarknessSlider = document.getElementById('shadowDarknessPref');
-        const shadowDarknessValue = document.getElementById('shadowDarknessValuePref');
-        if (shadowDarknessSlider && shadowDarknessValue) {
-            const currentDarkness = this.lightingManager.getShadowDarkness();
-            shadowDarknessSlider.value = currentDarkness;
-            shadowDarknessValue.textContent = currentDarkness.toFixed(2);
-        }
+                // Create new material (completely independent)
+                if (obj.material) {
+                    const clonedMaterial = new BABYLON.StandardMaterial(`${obj.material.name}_copy_${uniqueId}`, scene);
+                    
+                    if (obj.material instanceof BABYLON.StandardMaterial) {
+                        clonedMaterial.diffuseColor = obj.material.diffuseColor ? obj.material.diffuseColor.clone() : new BABYLON.Color3(0.4, 0.3, 0.2);
+                        clonedMaterial.specularColor = obj.material.specularColor ? obj.material.specularColor.clone() : new BABYLON.Color3(0.1, 0.1, 0.1);
+                        clonedMaterial.emissiveColor = obj.material.emissiveColor ? obj.material.emissiveColor.clone() : new BABYLON.Color3(0, 0, 0);
+                        clonedMaterial.ambientColor = obj.material.ambientColor ? obj.material.ambientColor.clone() : new BABYLON.Color3(0, 0, 0);
+                        clonedMaterial.alpha = obj.material.alpha !== undefined ? obj.material.alpha : 1.0;
+                        clonedMaterial.backFaceCulling = obj.material.backFaceCulling !== undefined ? obj.material.backFaceCulling : false;
+                        clonedMaterial.twoSidedLighting = obj.material.twoSidedLighting !== undefined ? obj.material.twoSidedLighting : true;
+                    }
+                    
+                    clonedMesh.material = clonedMaterial;
+                }
 
-        // Sync shadow bias
-        const shadowBiasSlider = document.getElementById('shadowBiasPref');
-        const shadowBiasValue = document.getElementById('shadowBiasValuePref');
-        if (shadowBiasSlider && shadowBiasValue) {
-            const currentBias = this.lightingManager.getShadowBias();
-            shadowBiasSlider.value = currentBias;
-            shadowBiasValue.textContent = currentBias.toFixed(5);
-        }
+                // Copy userData
+                clonedMesh.userData = userData;
+                if (clonedMesh.userData.name) {
+                    clonedMesh.userData.name = clonedMesh.name;
+                }
 
-        // Sync shadow normal bias
-        const shadowNormalBiasSlider = document.getElementById('shadowNormalBiasPref');
-        const shadowNormalBiasValue = document.getElementById('shadowNormalBiasValuePref');
-        if (shadowNormalBiasSlider && shadowNormalBiasValue) {
-            const currentNormalBias = this.lightingManager.getShadowNormalBias();
-            shadowNormalBiasSlider.value = currentNormalBias;
-            shadowNormalBiasValue.textContent = currentNormalBias.toFixed(2);
-        }
-
-        // Sync shadow depth scale
-        const shadowDepthScaleSlider = document.getElementById('shadowDepthScalePref');
-        const shadowDepthScaleValue = document.getElementById('shadowDepthScaleValuePref');
-        if (shadowDepthScaleSlider && shadowDepthScaleValue) {
-            const currentDepthScale = this.lightingManager.getShadowDepthScale();
-            shadowDepthScaleSlider.value = currentDepthScale;
-            shadowDepthScaleValue.textContent = currentDepthScale.toFixed(0);
-        }
-
-        // Sync shadow ortho scale
-        const shadowOrthoScaleSlider = document.getElementById('shadowOrthoScalePref');
-        const shadowOrthoScaleValue = document.getElementById('shadowOrthoScaleValuePref');
-        if (shadowOrthoScaleSlider && shadowOrthoScaleValue) {
-            const currentOrthoScale = this.lightingManager.getShadowOrthoScale();
-            shadowOrthoScaleSlider.value = currentOrthoScale;
-            shadowOrthoScaleValue.textContent = currentOrthoScale.toFixed(0);
-        }
-
-        // Sync shadow frustum size
-        const shadowFrustumSizeSlider = document.getElementById('shadowFrustumSizePref');
-        const shadowFrustumSizeValue = document.getElementById('shadowFrustumSizeValuePref');
-        if (shadowFrustumSizeSlider && shadowFrustumSizeValue) {
-            const currentFrustumSize = this.lightingManager.getShadowFrustumSize();
-            shadowFrustumSizeSlider.value = currentFrustumSize;
-            shadowFrustumSizeValue.textContent = currentFrustumSize.toFixed(0);
-        }
+                // Set rendering properties
+                clonedMesh.renderingGroupId = obj.renderingGroupId || 1;
+                clonedMesh.setEnabled(true);
+                clonedMesh.isVisible = true;
 
-        // Sync hemispheric light intensity
-        const hemisphericIntensitySlider = document.getElementById('hemisphericIntensityPref');
-        const hemisphericIntensityValue = document.getElementById('hemisphericIntensityValuePref');
-        if (hemisphericIntensitySlider && hemisphericIntensityValue) {
-            const currentIntensity = this.lightingManager.hemisphericLight ? this.lightingManager.hemisphericLight.intensity : 0.8;
-            hemisphericIntensitySlider.value = currentIntensity;
-            hemisphericIntensityValue.textContent = currentIntensity.toFixed(1);
-        }
+                // Handle extrusions if the original has one
+                if (originalExtrusion && (shapeType === 'rectangle' || shapeType === 'building' || shapeType === 'polygon')) {
+                    try {
+                        // Extract extrusion vertex data
+                        const extrusionVertexData = BABYLON.VertexData.ExtractFromMesh(originalExtrusion);
+                        
+                        // Create new extrusion mesh
+                        const clonedExtrusion = new BABYLON.Mesh(`${originalExtrusion.name}_copy_${uniqueId}`, scene);
+                        extrusionVertexData.applyToMesh(clonedExtrusion);
+                        
+                        // Create new material for extrusion
+                        if (originalExtrusion.material) {
+                            const clonedExtrusionMaterial = new BABYLON.StandardMaterial(`${originalExtrusion.material.name}_copy_${uniqueId}`, scene);
+                            if (originalExtrusion.material instanceof BABYLON.StandardMaterial) {
+                                clonedExtrusionMaterial.diffuseColor = originalExtrusion.material.diffuseColor ? originalExtrusion.material.diffuseColor.clone() : new BABYLON.Color3(1, 1, 1);
+                                clonedExtrusionMaterial.specularColor = originalExtrusion.material.specularColor ? originalExtrusion.material.specularColor.clone() : new BABYLON.Color3(0.1, 0.1, 0.1);
+                                clonedExtrusionMaterial.emissiveColor = originalExtrusion.material.emissiveColor ? originalExtrusion.material.emissiveColor.clone() : new BABYLON.Color3(0, 0, 0);
+                                clonedExtrusionMaterial.alpha = originalExtrusion.material.alpha !== undefined ? originalExtrusion.material.alpha : 1.0;
+                                clonedExtrusionMaterial.backFaceCulling = originalExtrusion.material.backFaceCulling !== undefined ? originalExtrusion.material.backFaceCulling : false;
+                                clonedExtrusionMaterial.twoSidedLighting = originalExtrusion.material.twoSidedLighting !== undefined ? originalExtrusion.material.twoSidedLighting : true;
+                            }
+                            clonedExtrusion.material = clonedExtrusionMaterial;
+                        }
+                        
+                        // Copy extrusion userData
+                        if (originalExtrusion.userData) {
+                            clonedExtrusion.userData = JSON.parse(JSON.stringify(originalExtrusion.userData));
+                        }
+                        
+                        // Set extrusion position relative to cloned mesh
+                        const originalExtrusionRelativePos = originalExtrusion.parent === obj ? originalExtrusion.position.clone() : originalExtrusion.position.clone();
+                        clonedExtrusion.position = originalExtrusionRelativePos;
+                        
+                        // Parent to cloned mesh
+                        clonedExtrusion.setParent(clonedMesh);
+                        
+                        // Link bidirectional
+                        clonedMesh.extrusion = clonedExtrusion;
+                        clonedExtrusion.basePolygon = clonedMesh;
+                        
+                        // Enable and make visible
+                        clonedExtrusion.setEnabled(true);
+                        clonedExtrusion.isVisible = true;
+                        clonedExtrusion.renderingGroupId = originalExtrusion.renderingGroupId || 1;
+                        
+                        // Add to selection manager
+                        if (this.selectionManager) {
+                            this.selectionManager.addSelectableObject(clonedExtrusion);
+                        }
+                    } catch (error) {
+                        console.error(`Error duplicating extrusion for ${obj.name}:`, error);
+                    }
+                }
 
-        // Sync shadow min Z
-        const shadowMinZSlider = document.getElementById('shadowMinZPref');
-        const shadowMinZValue = document.getElementById('shadowMinZValuePref');
-        if (shadowMinZSlider && shadowMinZValue) {
-            const currentMinZ = this.lightingManager.directionalLight ? this.lightingManager.directionalLight.shadowMinZ : 0.01;
-            shadowMinZSlider.value = currentMinZ;
-            shadowMinZValue.textContent = currentMinZ.toFixed(3);
-        }
+                // Add to selection manager
+                if (this.selectionManager) {
+                    this.selectionManager.addSelectableObject(clonedMesh);
+                }
 
-        // Sync shadow max Z
-        const shadowMaxZSlider = document.getElementById('shadowMaxZPref');
-        const shadowMaxZValue = document.getElementById('shadowMaxZValuePref');
-        if (shadowMaxZSlider && shadowMaxZValue) {
-            const currentMaxZ = this.lightingManager.directionalLight ? this.lightingManager.directionalLight.shadowMaxZ : 1500;
-            shadowMaxZSlider.value = currentMaxZ;
-            shadowMaxZValue.textContent = currentMaxZ.toFixed(0);
-        }
+                // Update rectangleManager if applicable
+                if (this.rectangleManager && (shapeType === 'rectangle' || shapeType === 'building')) {
+                    this.rectangleManager.rectangles.push(clonedMesh);
+                }
 
-        // Sync light position
-        const lightPositionXSlider = document.getElementById('lightPositionXPref');
-        const lightPositionXValue = document.getElementById('lightPositionXValuePref');
-        if (lightPositionXSlider && lightPositionXValue && this.lightingManager.directionalLight) {
-            lightPositionXSlider.value = this.lightingManager.directionalLight.position.x;
-            lightPositionXValue.textContent = this.lightingManager.directionalLight.position.x.toFixed(0);
-        }
+                // Enable shadows
+                if (this.lightingManager) {
+                    this.lightingManager.updateShadowsForNewObject(clonedMesh);
+                    if (clonedMesh.extrusion) {
+                        this.lightingManager.updateShadowsForNewObject(clonedMesh.extrusion);
+                    }
+                }
 
-        const lightPositionYSlider = document.getElementById('lightPositionYPref');
-        const lightPositionYValue = document.getElementById('lightPositionYValuePref');
-        if (lightPositionYSlider && lightPositionYValue && this.lightingManager.directionalLight) {
-            lightPositionYSlider.value = this.lightingManager.directionalLight.position.y;
-            lightPositionYValue.textContent = this.lightingManager.directionalLight.position.y.toFixed(0);
-        }
+                if (this.volumeManager) {
+                    this.volumeManager.applyVolumes(clonedMesh);
+                }
+                if (this.roofManager) {
+                    this.roofManager.applyRoof(clonedMesh);
+                }
 
-        const lightPositionZSlider = document.getElementById('lightPositionZPref');
-        const lightPositionZValue = document.getElementById('lightPositionZValuePref');
-        if (lightPositionZSlider && lightPositionZValue && this.lightingManager.directionalLight) {
-            lightPositionZSlider.value = this.lightingManager.directionalLight.position.z;
-            lightPositionZValue.textContent = this.lightingManager.directionalLight.position.z.toFixed(0);
-        }
+                duplicatedObjects.push(clonedMesh);
+                console.log(`Duplicated object: ${obj.name} -> ${clonedMesh.name} (created from scratch)`);
+            } catch (error) {
+                console.error(`Error duplicating object ${obj.name}:`, error);
+            }
+        });
 
-        // Sync light direction
-        const lightDirectionXSlider = document.getElementById('lightDirectionXPref');
-        const lightDirectionXValue = document.getElementById('lightDirectionXValuePref');
-        if (lightDirectionXSlider && lightDirectionXValue && this.lightingManager.directionalLight) {
-            lightDirectionXSlider.value = this.lightingManager.directionalLight.direction.x;
-            lightDirectionXValue.textContent = this.lightingManager.directionalLight.direction.x.toFixed(1);
-        }
+        if (duplicatedObjects.length > 0) {
+            if (this.historyManager) {
+                this.historyManager.recordCreation(duplicatedObjects, 'Duplicate');
+            }
+            
+            // Clear current selection
+            this.selectionManager.clearSelection();
+            
+            // Select duplicated objects
+            duplicatedObjects.forEach(obj => {
+                this.selectionManager.selectObject(obj, false, true);
+            });
 
-        const lightDirectionYSlider = document.getElementById('lightDirectionYPref');
-        const lightDirectionYValue = document.getElementById('lightDirectionYValuePref');
-        if (lightDirectionYSlider && lightDirectionYValue && this.lightingManager.directionalLight) {
-            lightDirectionYSlider.value = this.lightingManager.directionalLight.direction.y;
-            lightDirectionYValue.textContent = this.lightingManager.directionalLight.direction.y.toFixed(1);
-        }
+            // Dispatch scene change event
+            this.dispatchSceneChangeEvent();
 
-        const lightDirectionZSlider = document.getElementById('lightDirectionZPref');
-        const lightDirectionZValue = document.getElementById('lightDirectionZValuePref');
-        if (lightDirectionZSlider && lightDirectionZValue && this.lightingManager.directionalLight) {
-            lightDirectionZSlider.value = this.lightingManager.directionalLight.direction.z;
-            lightDirectionZValue.textContent = this.lightingManager.directionalLight.direction.z.toFixed(1);
-        }
+            // Update object list
+            if (this.objectListManager) {
+                this.objectListManager.updateObjectList();
+            }
 
-        // Sync statistics toggle state
-        const statisticsTogglePref = document.getElementById('statisticsTogglePref');
-        if (statisticsTogglePref && window.fpsMonitor) {
-            const isStatisticsVisible = window.fpsMonitor.isVisible;
-            statisticsTogglePref.classList.toggle('active', isStatisticsVisible);
+            console.log(`Duplicated ${duplicatedObjects.length} objects successfully using new algorithm`);
+        } else {
+            console.warn('No objects were duplicated');
         }
     }
 
     /**
-     * Setup preferences range input controls
+     * Delete selected objects
      */
-    setupPreferencesRangeInputs() {
-        // Building count
-        const buildingCount = document.getElementById('buildingCountPref');
-        const buildingCountValue = document.getElementById('buildingCountValuePref');
-        if (buildingCount && buildingCountValue) {
-            buildingCount.addEventListener('input', (e) => {
-                buildingCountValue.textContent = e.target.value;
-            });
-        }
-
-        // Min height
-        const minHeight = document.getElementById('minHeightPref');
-        const minHeightValue = document.getElementById('minHeightValuePref');
-        if (minHeight && minHeightValue) {
-            minHeight.addEventListener('input', (e) => {
-                minHeightValue.textContent = e.target.value;
-            });
-        }
-
-        // Max height
-        const maxHeight = document.getElementById('maxHeightPref');
-        const maxHeightValue = document.getElementById('maxHeightValuePref');
-        if (maxHeight && maxHeightValue) {
-            maxHeight.addEventListener('input', (e) => {
-                maxHeightValue.textContent = e.target.value;
-            });
-        }
+    deleteSelected() {
+        this.deleteSelectedObjects();
     }
 
     /**
-     * Setup range input controls
+     * Import STL file
      */
-    setupRangeInputs() {
-        // Building count
-        const buildingCount = document.getElementById('buildingCount');
-        const buildingCountValue = document.getElementById('buildingCountValue');
-        if (buildingCount && buildingCountValue) {
-            buildingCount.addEventListener('input', (e) => {
-                buildingCountValue.textContent = e.target.value;
-            });
-        }
-
-        // Min height
-        const minHeight = document.getElementById('minHeight');
-        const minHeightValue = document.getElementById('minHeightValue');
-        if (minHeight && minHeightValue) {
-            minHeight.addEventListener('input', (e) => {
-                minHeightValue.textContent = e.target.value;
-            });
-        }
-
-        // Max height
-        const maxHeight = document.getElementById('maxHeight');
-        const maxHeightValue = document.getElementById('maxHeightValue');
-        if (maxHeight && maxHeightValue) {
-            maxHeight.addEventListener('input', (e) => {
-                maxHeightValue.textContent = e.target.value;
-            });
-        }
-    }
+    importSTL() {
+        // Create file input element
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.stl';
+        fileInput.style.display = 'none';
+        
+        fileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                this.loadSTLFile(file);
+            }
+        });
+        
+        // Trigger file selection
+        document.body.appendChild(fileInput);
+        fileInput.click();
+        document.body.removeChild(fileInput);
+    }
 
     /**
-     * Generate buildings
+     * Load STL file and add to scene
      */
-    generateBuildings() {
-        // Try to get values from preferences first, fallback to original elements
-        const countEl = document.getElementById('buildingCountPref') || document.getElementById('buildingCount');
-        const minHeightEl = document.getElementById('minHeightPref') || document.getElementById('minHeight');
-        const maxHeightEl = document.getElementById('maxHeightPref') || document.getElementById('maxHeight');
+    loadSTLFile(file) {
+        const reader = new FileReader();
         
-        const count = parseInt(countEl?.value) || 10;
-        const minHeight = parseInt(minHeightEl?.value) || 4;
-        const maxHeight = parseInt(maxHeightEl?.value) || 20;
-
-        // Clear existing buildings
-        this.sceneManager.clearBuildings();
-
-        // Generate new buildings on default area
-        const buildings = this.buildingGenerator.generateBuildings(count, minHeight, maxHeight);
-
-        // Add buildings to scene and setup shadows
-        buildings.forEach(building => {
-            this.sceneManager.addBuilding(building);
-            this.lightingManager.addShadowCaster(building.mesh);
-            
-            // Make building selectable
-            if (this.selectionManager) {
-                this.selectionManager.addSelectableObject(building.mesh);
+        reader.onload = (e) => {
+            try {
+                const buffer = e.target.result;
+                if (this.isBinarySTL(buffer)) {
+                    this.parseBinarySTLFile(buffer, file.name);
+                } else {
+                    this.parseSTLFile(new TextDecoder().decode(buffer));
+                }
+            } catch (error) {
+                console.error('Error loading STL file:', error);
+                alert('Error loading STL file. Please try again.');
             }
-        });
-
-        // Clean up any unwanted polygons (water_1 without type) that may have been created
-        // Call it multiple times to ensure all unwanted polygons are removed
-        if (this.buildingGenerator.cleanupUnwantedPolygons) {
-            this.buildingGenerator.cleanupUnwantedPolygons();
-            // Call again after a short delay to catch any that might have been created during shadow setup
-            setTimeout(() => {
-                this.buildingGenerator.cleanupUnwantedPolygons();
-            }, 500);
-        }
+        };
         
-        // Also cleanup from scene directly as a backup
-        this.cleanupWaterMeshesWithoutType();
-
-        // Show loading state
-        this.showLoading(false);
+        reader.onerror = () => {
+            alert('Error reading file. Please try again.');
+        };
         
+        // Read as binary; ASCII files are decoded to text after detection
+        reader.readAsArrayBuffer(file);
     }
 
     /**
-     * Generate buildings on large area
+     * Detect binary STL by its header and size
      */
-    generateBuildingsOnLargeArea() {
-        // Try to get values from preferences first, fallback to original elements
-        const countEl = document.getElementById('buildingCountPref') || document.getElementById('buildingCount');
-        const minHeightEl = document.getElementById('minHeightPref') || document.getElementById('minHeight');
-        const maxHeightEl = document.getElementById('maxHeightPref') || document.getElementById('maxHeight');
-        
-        const count = parseInt(countEl?.value) || 10;
-        const minHeight = parseInt(minHeightEl?.value) || 4;
-        const maxHeight = parseInt(maxHeightEl?.value) || 20;
-
-        // Clear existing buildings
-        this.sceneManager.clearBuildings();
+    isBinarySTL(buffer) {
+        if (buffer.byteLength < 84) return false;
 
-        // Generate new buildings on large area
-        const buildings = this.buildingGenerator.generateBuildingsOnLargeArea(count, minHeight, maxHeight);
+        // The triangle count must account for the exact file size
+        const view = new DataView(buffer);
+        const triangleCount = view.getUint32(80, true);
+        if (84 + triangleCount * 50 === buffer.byteLength) {
+            return true;
+        }
 
-        // Add buildings to scene and setup shadows
-        buildings.forEach(building => {
-            this.sceneManager.addBuilding(building);
-            this.lightingManager.addShadowCaster(building.mesh);
-            
-            // Make building selectable
-            if (this.selectionManager) {
-                this.selectionManager.addSelectableObject(building.mesh);
-            }
-        });
+        // Otherwise only a missing "solid" keyword marks it as binary
+        const start = new TextDecoder().decode(new Uint8Array(buffer, 0, 5));
+        return start.toLowerCase() !== 'solid';
+    }
 
-        // Show loading state
-        this.showLoading(false);
-        
-        console.log(`Generated ${buildings.length} buildings on large area (2000x2000)`);
+    /**
+     * Parse binary STL content and create meshes
+     */
+    parseBinarySTLFile(buffer, fileName = 'imported') {
+        console.log('Parsing binary STL file...');
+        const objects = this.readBinarySTLObjects(buffer, fileName);
+        console.log(`Parsed ${objects.length} objects from binary STL file`);
+        this.addSTLObjectsToScene(objects);
     }
 
     /**
-     * Reset scene
+     * Read the objects of a binary STL file as {name, type, triangles}
+     * Our own exports separate objects by attribute and state their object count in the header;
+     * otherwise each run of facets with the same attribute is split into its connected parts
      */
-    resetScene() {
-        // Clear buildings
-        this.sceneManager.clearBuildings();
-        this.buildingGenerator.clearBuildings();
+    readBinarySTLObjects(buffer, fileName = 'imported') {
+        const view = new DataView(buffer);
+        const triangleCount = view.getUint32(80, true);
+        const available = Math.floor((buffer.byteLength - 84) / 50);
+        if (triangleCount > available) {
+            console.warn(`Binary STL declares ${triangleCount} triangles but only ${available} fit in the file`);
+        }
 
-        // Reset camera
-        this.cameraController.resetCamera();
+        const fallbackType = this.detectTypeFromName(fileName.replace(/\.stl$/i, ''));
+        const runs = [];
+        let currentRun = null;
+        let offset = 84;
 
-        // Reset UI values
-        document.getElementById('buildingCount').value = 70;
-        document.getElementById('buildingCountValue').textContent = '70';
-        document.getElementById('minHeight').value = 4;
-        document.getElementById('minHeightValue').textContent = '4';
-        document.getElementById('maxHeight').value = 20;
-        document.getElementById('maxHeightValue').textContent = '20';
+        const readVector = () => {
+            const v = {
+                x: view.getFloat32(offset, true),
+                y: view.getFloat32(offset + 4, true),
+                z: view.getFloat32(offset + 8, true)
+            };
+            offset += 12;
+            return v;
+        };
 
+        for (let i = 0; i < Math.min(triangleCount, available); i++) {
+            const normal = readVector();
+            const vertices = [readVector(), readVector(), readVector()];
+            const attribute = view.getUint16(offset, true);
+            offset += 2;
+
+            if (!currentRun || attribute !== currentRun.attribute) {
+                currentRun = { attribute: attribute, triangles: [] };
+                runs.push(currentRun);
+            }
+            currentRun.triangles.push({ normal: normal, vertices: vertices });
+        }
+
+        const header = new TextDecoder().decode(new Uint8Array(buffer, 0, 80));
+        const declared = header.startsWith(this.binarySTLHeader) ? header.match(/(\d+) objects/) : null;
+        const ownExport = !!declared && parseInt(declared[1], 10) === runs.length;
+
+        const objects = [];
+        runs.forEach(run => {
+            const type = this.detectTypeFromSTLAttribute(run.attribute) || fallbackType;
+            const parts = ownExport ? [run.triangles] : this.splitConnectedTriangles(run.triangles);
+            parts.forEach(triangles => {
+                objects.push({
+                    name: null, // Named when the mesh is created, so numbering stays unique
+                    type: type,
+                    triangles: triangles
+                });
+            });
+        });
+        return objects;
     }
 
     /**
-     * Save current lighting settings
+     * Group triangles into connected parts: triangles sharing a vertex belong to the same part
      */
-    saveLightingSettings() {
-        if (!this.lightingManager) {
-            console.error('LightingManager not available');
-            return;
-        }
-
-        // Collect all current lighting settings
-        const settings = {
-            // Light settings
-            lightIntensity: this.lightingManager.getDirectionalIntensity(),
-            hemisphericIntensity: this.lightingManager.hemisphericLight ? this.lightingManager.hemisphericLight.intensity : 0.8,
-            
-            // Shadow settings
-            shadowDarkness: this.lightingManager.getShadowDarkness(),
-            shadowBias: this.lightingManager.getShadowBias(),
-            shadowNormalBias: this.lightingManager.getShadowNormalBias(),
-            shadowDepthScale: this.lightingManager.getShadowDepthScale(),
-            shadowOrthoScale: this.lightingManager.getShadowOrthoScale(),
-            shadowFrustumSize: this.lightingManager.getShadowFrustumSize(),
-            
-            // Shadow toggles
-            shadowsEnabled: this.lightingManager.areShadowsEnabled(),
-            objectShadowsEnabled: this.lightingManager.areObjectShadowsEnabled(),
-            hardShadowsEnabled: this.lightingManager.areHardShadowsEnabled(),
-            
-            // Light position and direction
-            lightPosition: this.lightingManager.directionalLight ? {
-                x: this.lightingManager.directionalLight.position.x,
-                y: this.lightingManager.directionalLight.position.y,
-                z: this.lightingManager.directionalLight.position.z
-            } : null,
-            lightDirection: this.lightingManager.directionalLight ? {
-                x: this.lightingManager.directionalLight.direction.x,
-                y: this.lightingManager.directionalLight.direction.y,
-                z: this.lightingManager.directionalLight.direction.z
-            } : null,
-            
-            // Shadow frustum settings
-            shadowMinZ: this.lightingManager.directionalLight ? this.lightingManager.directionalLight.shadowMinZ : 0.01,
-            shadowMaxZ: this.lightingManager.directionalLight ? this.lightingManager.directionalLight.shadowMaxZ : 500,
-            
-            // Timestamp
-            timestamp: new Date().toISOString(),
-            version: '1.0'
+    splitConnectedTriangles(triangles) {
+        const parents = triangles.map((triangle, index) => index);
+        const find = index => {
+            while (parents[index] !== index) {
+                parents[index] = parents[parents[index]];
+                index = parents[index];
+            }
+            return index;
         };
 
-        // Create downloadable JSON file
-        const dataStr = JSON.stringify(settings, null, 2);
-        const dataBlob = new Blob([dataStr], {type: 'application/json'});
-        
-        // Create download link
-        const link = document.createElement('a');
-        link.href = URL.createObjectURL(dataBlob);
-        link.download = `lighting-settings-${new Date().toISOString().split('T')[0]}.json`;
-        
-        // Trigger download
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        
-        // Also log to console for easy copy-paste
-        
-        // Show success message
-        this.showNotification('Lighting settings saved successfully!', 'success');
-        
-        return settings;
+        // Vertices are matched on rounded positions, as float32 copies of a point may differ slightly
+        const owners = new Map();
+        triangles.forEach((triangle, index) => {
+            triangle.vertices.forEach(v => {
+                const key = `${Math.round(v.x * 1000)},${Math.round(v.y * 1000)},${Math.round(v.z * 1000)}`;
+                if (owners.has(key)) {
+                    parents[find(index)] = find(owners.get(key));
+                } else {
+                    owners.set(key, index);
+                }
+            });
+        });
+
+        const parts = new Map();
+        triangles.forEach((triangle, index) => {
+            const root = find(index);
+            if (!parts.has(root)) {
+                parts.set(root, []);
+            }
+            parts.get(root).push(triangle);
+        });
+        return Array.from(parts.values());
     }
 
     /**
-     * Load lighting settings from JSON
+     * Parse STL ASCII file content and create meshes
      */
-    loadLightingSettings(settings) {
-        if (!this.lightingManager || !settings) {
-            console.error('LightingManager not available or settings invalid');
+    parseSTLFile(content) {
+        if (!this.sceneManager) {
+            console.error('SceneManager not available');
             return;
         }
 
-        try {
-            // Apply light settings
-            if (settings.lightIntensity !== undefined) {
-                this.lightingManager.setDirectionalIntensity(settings.lightIntensity);
-            }
-            if (settings.hemisphericIntensity !== undefined && this.lightingManager.hemisphericLight) {
-                this.lightingManager.hemisphericLight.intensity = settings.hemisphericIntensity;
-            }
+        const scene = this.sceneManager.getScene();
+        if (!scene) {
+            console.error('Scene not available');
+            return;
+        }
 
-            // Apply shadow settings
-            if (settings.shadowDarkness !== undefined) {
-                this.lightingManager.setShadowDarkness(settings.shadowDarkness);
+        console.log('Parsing STL file...');
+
+        // Split content into lines
+        const lines = content.split('\n');
+        const objects = [];
+        let currentObject = null;
+        let currentTriangle = null;
+        let inFacet = false;
+        let inLoop = false;
+        let vertexCount = 0;
+
+        // Parse STL file line by line
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+
+            // Check for solid start
+            if (line.startsWith('solid ')) {
+                const objectName = line.substring(6).trim();
+                currentObject = {
+                    name: objectName,
+                    type: this.detectTypeFromName(objectName),
+                    triangles: []
+                };
+                console.log(`Found solid: ${objectName}, type: ${currentObject.type}`);
             }
-            if (settings.shadowBias !== undefined) {
-                this.lightingManager.setShadowBias(settings.shadowBias);
+            // Check for solid end
+            else if (line.startsWith('endsolid ')) {
+                if (currentObject && currentObject.triangles.length > 0) {
+                    objects.push(currentObject);
+                }
+                currentObject = null;
             }
-            if (settings.shadowNormalBias !== undefined) {
-                this.lightingManager.setShadowNormalBias(settings.shadowNormalBias);
-            }
-            if (settings.shadowDepthScale !== undefined) {
-                this.lightingManager.setShadowDepthScale(settings.shadowDepthScale);
-            }
-            if (settings.shadowOrthoScale !== undefined) {
-                this.lightingManager.setShadowOrthoScale(settings.shadowOrthoScale);
-            }
-            if (settings.shadowFrustumSize !== undefined) {
-                this.lightingManager.setShadowFrustumSize(settings.shadowFrustumSize);
-            }
-
-            // Apply shadow toggles - force apply settings regardless of current state
-            if (settings.shadowsEnabled !== undefined) {
-                if (settings.shadowsEnabled) {
-                    this.lightingManager.enableShadows();
-                } else {
-                    this.lightingManager.disableShadows();
+            // Check for facet start
+            else if (line.startsWith('facet normal ')) {
+                if (!currentObject) continue;
+                
+                const normalMatch = line.match(/facet normal\s+([\d\.e\+\-]+)\s+([\d\.e\+\-]+)\s+([\d\.e\+\-]+)/);
+                if (normalMatch) {
+                    currentTriangle = {
+                        normal: {
+                            x: parseFloat(normalMatch[1]),
+                            y: parseFloat(normalMatch[2]),
+                            z: parseFloat(normalMatch[3])
+                        },
+                        vertices: []
+                    };
+                    inFacet = true;
+                    vertexCount = 0;
                 }
             }
-            if (settings.objectShadowsEnabled !== undefined) {
-                // Force set object shadows state
-                if (settings.objectShadowsEnabled !== this.lightingManager.areObjectShadowsEnabled()) {
-                    this.lightingManager.toggleObjectShadows();
+            // Check for facet end
+            else if (line === 'endfacet') {
+                if (currentTriangle && currentTriangle.vertices.length === 3) {
+                    currentObject.triangles.push(currentTriangle);
                 }
+                currentTriangle = null;
+                inFacet = false;
+                inLoop = false;
             }
-            if (settings.hardShadowsEnabled !== undefined) {
-                // Force set hard shadows state
-                if (settings.hardShadowsEnabled !== this.lightingManager.areHardShadowsEnabled()) {
-                    this.lightingManager.toggleHardShadows();
-                }
+            // Check for outer loop start
+            else if (line === 'outer loop') {
+                inLoop = true;
             }
-
-            // Apply light position and direction
-            if (settings.lightPosition && this.lightingManager.directionalLight) {
-                this.lightingManager.directionalLight.position = new BABYLON.Vector3(
-                    settings.lightPosition.x,
-                    settings.lightPosition.y,
-                    settings.lightPosition.z
-                );
+            // Check for loop end
+            else if (line === 'endloop') {
+                inLoop = false;
             }
-            if (settings.lightDirection && this.lightingManager.directionalLight) {
-                this.lightingManager.directionalLight.direction = new BABYLON.Vector3(
-                    settings.lightDirection.x,
-                    settings.lightDirection.y,
-                    settings.lightDirection.z
-                );
+            // Check for vertex
+            else if (line.startsWith('vertex ') && inFacet && inLoop) {
+                const vertexMatch = line.match(/vertex\s+([\d\.e\+\-]+)\s+([\d\.e\+\-]+)\s+([\d\.e\+\-]+)/);
+                if (vertexMatch && currentTriangle) {
+                    currentTriangle.vertices.push({
+                        x: parseFloat(vertexMatch[1]),
+                        y: parseFloat(vertexMatch[2]),
+                        z: parseFloat(vertexMatch[3])
+                    });
+                    vertexCount++;
+                }
             }
+        }
 
-            // Apply shadow frustum settings
-            if (settings.shadowMinZ !== undefined && this.lightingManager.directionalLight) {
-                this.lightingManager.directionalLight.shadowMinZ = settings.shadowMinZ;
-            }
-            if (settings.shadowMaxZ !== undefined && this.lightingManager.directionalLight) {
-                this.lightingManager.directionalLight.shadowMaxZ = settings.shadowMaxZ;
-            }
+        console.log(`Parsed ${objects.length} objects from STL file`);
 
-            // Sync UI with new settings
-            this.syncPreferencesState();
+        this.addSTLObjectsToScene(objects);
+    }
 
-            this.showNotification('Lighting settings loaded successfully!', 'success');
+    /**
+     * Create meshes for parsed STL objects and add them to the scene
+     */
+    addSTLObjectsToScene(objects) {
+        const createdMeshes = this.createMeshesFromSTLObjects(objects);
+        const createdCount = createdMeshes.length;
 
-        } catch (error) {
-            console.error('Error loading lighting settings:', error);
-            this.showNotification('Error loading lighting settings', 'error');
+        if (this.historyManager && createdCount > 0) {
+            this.historyManager.recordCreation(createdMeshes, 'Import STL');
         }
+
+        console.log(`Created ${createdCount} meshes from STL file`);
+
+        // Dispatch scene change event to update object list
+        this.dispatchSceneChangeEvent();
+
+        // Show success message
+        alert(`Successfully imported ${createdCount} objects from STL file.`);
     }
 
     /**
-     * Toggle statistics display
+     * Create meshes for triangle-based objects ({name, type, triangles}), returning the created meshes
      */
-    toggleStatistics() {
-        if (window.fpsMonitor) {
-            window.fpsMonitor.toggleVisibility();
-            
-            // Update button state
-            const statisticsTogglePref = document.getElementById('statisticsTogglePref');
-            if (statisticsTogglePref) {
-                const isVisible = window.fpsMonitor.isVisible;
-                if (isVisible) {
-                    statisticsTogglePref.classList.add('active');
-                } else {
-                    statisticsTogglePref.classList.remove('active');
+    createMeshesFromSTLObjects(objects) {
+        const scene = this.sceneManager.getScene();
+
+        // Create meshes from parsed objects
+        const createdMeshes = [];
+        objects.forEach((obj, index) => {
+            try {
+                if (!obj.name) {
+                    obj.name = this.generateUniqueNameByType(obj.type);
+                }
+                const mesh = this.createMeshFromSTLObject(obj, scene);
+                if (mesh) {
+                    createdMeshes.push(mesh);
                 }
+            } catch (error) {
+                console.error(`Error creating mesh for ${obj.name}:`, error);
             }
-            
-        } else {
-        }
+        });
+
+        return createdMeshes;
     }
 
     /**
-     * Create empty scene with only ground
+     * Import GLB file
      */
-    createEmptyScene() {
-        // Clear selection first
-        if (this.selectionManager) {
-            this.selectionManager.clearSelection();
-        }
-        
-        // Clear all trees
-        if (this.treeManager && this.treeManager.clearAllTrees) {
-            this.treeManager.clearAllTrees();
-        }
-        
-        // Clear all buildings (this also clears roads and polygons)
-        this.sceneManager.clearBuildings();
-        this.buildingGenerator.clearBuildings();
-        
-        // Clear all rectangles, circles, and polygons
-        this.clear2DShapes();
-
-        // Reset camera
-        this.cameraController.resetCamera();
+    importGLB() {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.glb';
+        fileInput.style.display = 'none';
 
-        // Reset UI values
-        document.getElementById('buildingCount').value = 70;
-        document.getElementById('buildingCountValue').textContent = '70';
-        document.getElementById('minHeight').value = 4;
-        document.getElementById('minHeightValue').textContent = '4';
-        document.getElementById('maxHeight').value = 20;
-        document.getElementById('maxHeightValue').textContent = '20';
+        fileInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            if (file) {
+                this.loadGLBFile(file);
+            }
+        });
 
-        // Ensure ground is visible
-        if (!this.sceneManager.getGround()) {
-            this.sceneManager.createGround();
-        }
-        
-        // Dispatch scene change event to update object list
-        this.dispatchSceneChangeEvent();
+        document.body.appendChild(fileInput);
+        fileInput.click();
+        document.body.removeChild(fileInput);
     }
 
     /**
-     * Create default scene with ground and 10 random buildings
+     * Load GLB file and add its objects to the scene
      */
-    createDefaultScene() {
-        // Clear selection first
-        if (this.selectionManager) {
-            this.selectionManager.clearSelection();
-        }
-        
-        // Clear all trees
-        if (this.treeManager && this.treeManager.clearAllTrees) {
-            this.treeManager.clearAllTrees();
+    loadGLBFile(file) {
+        if (!this.glbManager) {
+            console.error('GLBManager not available');
+            return;
         }
-        
-        // Clear all buildings (this also clears roads and polygons)
-        this.sceneManager.clearBuildings();
-        this.buildingGenerator.clearBuildings();
-        
-        // Clear all rectangles, circles, and polygons
-        this.clear2DShapes();
 
-        // Reset camera
-        this.cameraController.resetCamera();
-
-        // Reset UI values
-        document.getElementById('buildingCount').value = 70;
-        document.getElementById('buildingCountValue').textContent = '70';
-        document.getElementById('minHeight').value = 4;
-        document.getElementById('minHeightValue').textContent = '4';
-        document.getElementById('maxHeight').value = 20;
-        document.getElementById('maxHeightValue').textContent = '20';
+        this.glbManager.importFile(file)
+            .then((result) => {
+                // Meshes without EcoTwin metadata come in as plain typed geometry
+                const createdMeshes = this.createMeshesFromSTLObjects(result.plainObjects);
+                const total = result.restoredCount + createdMeshes.length;
 
-        // Ensure ground is visible
-        if (!this.sceneManager.getGround()) {
-            this.sceneManager.createGround();
-        }
+                if (this.historyManager && total > 0) {
+                    this.historyManager.recordCreation(result.restoredNodes.concat(createdMeshes), 'Import GLB');
+                }
 
-        // Generate 70 random buildings
-        this.buildingGenerator.generateBuildings(70);
-        
-        // Dispatch scene change event to update object list
-        this.dispatchSceneChangeEvent();
-        
-        // Auto-adjust shadow frustum after scene generation
-        // This ensures shadows work correctly in all parts of the scene
-        if (this.lightingManager && this.lightingManager.autoAdjustShadowFrustum) {
-            setTimeout(() => {
-                this.lightingManager.autoAdjustShadowFrustum();
-            }, 800);
-        }
-        
-        // Zoom to fit ground after scene is fully loaded
-        // Use a delay to ensure all objects are rendered and scene is stable
-        setTimeout(() => {
-            if (this.zoomToFitGround) {
-                this.zoomToFitGround();
-                console.log('Auto-zoomed to fit ground after default scene creation');
-            }
-        }, 1000);
+                if (this.lightingManager && this.lightingManager.autoAdjustShadowFrustum) {
+                    this.lightingManager.autoAdjustShadowFrustum();
+                }
+                this.dispatchSceneChangeEvent();
+                alert(`Successfully imported ${total} objects from GLB file.`);
+            })
+            .catch((error) => {
+                console.error('Error loading GLB file:', error);
+                alert('Error loading GLB file. Please try again.');
+            });
     }
 
     /**
-     * Toggle grid
+     * Detect object type from name
      */
-    toggleGrid() {
-        const isVisible = this.gridManager.toggle();
-        const gridToggle = document.getElementById('gridToggle');
-        const gridTogglePref = document.getElementById('gridTogglePref');
-        
-        if (gridToggle) {
-            gridToggle.classList.toggle('active', isVisible);
-        }
+    detectTypeFromName(name) {
+        const lowerName = name.toLowerCase();
         
-        if (gridTogglePref) {
-            gridTogglePref.classList.toggle('active', isVisible);
-        }
-    }
-
-    /**
-     * Toggle object shadows
-     */
-    toggleObjectShadows() {
-        const areEnabled = this.lightingManager.toggleObjectShadows();
-        const shadowTogglePref = document.getElementById('shadowTogglePref');
-        
-        if (shadowTogglePref) {
-            shadowTogglePref.classList.toggle('active', areEnabled);
+        if (lowerName.startsWith('tree_')) {
+            return 'tree';
+        } else if (lowerName.startsWith('building_') || lowerName.startsWith('building')) {
+            return 'building';
+        } else if (lowerName.startsWith('highway_') || lowerName.startsWith('highway')) {
+            return 'highway';
+        } else if (lowerName.startsWith('ground_') || lowerName.startsWith('ground')) {
+            return 'ground';
+        } else if (lowerName.startsWith('green_') || lowerName.startsWith('green')) {
+            return 'green';
+        } else if (lowerName.startsWith('waterway_') || lowerName.startsWith('waterway') || lowerName.startsWith('water_')) {
+            return 'waterway';
         }
         
-        return areEnabled;
+        // Default to ground if type cannot be determined
+        return 'ground';
     }
 
     /**
-     * Toggle hard shadows
+     * Create a mesh from STL object data
      */
-    toggleHardShadows() {
-        const areEnabled = this.lightingManager.toggleHardShadows();
-        const hardShadowTogglePref = document.getElementById('hardShadowTogglePref');
-        
-        if (hardShadowTogglePref) {
-            hardShadowTogglePref.classList.toggle('active', areEnabled);
+    createMeshFromSTLObject(obj, scene) {
+        if (!obj || !obj.triangles || obj.triangles.length === 0) {
+            return null;
         }
-        
-        return areEnabled;
-    }
 
-    /**
-     * Set light intensity
-     */
-    setLightIntensity(intensity) {
-        this.lightingManager.setDirectionalIntensity(intensity);
-    }
+        // Collect all vertices and create indices
+        const positions = [];
+        const indices = [];
+        const normals = [];
+        const vertexMap = new Map(); // Map to avoid duplicate vertices
 
-    /**
-     * Update light intensity display
-     */
-    updateLightIntensityDisplay(intensity) {
-        const lightIntensityValue = document.getElementById('lightIntensityValuePref');
-        if (lightIntensityValue) {
-            lightIntensityValue.textContent = intensity.toFixed(1);
+        // Process each triangle
+        obj.triangles.forEach((triangle, triIndex) => {
+            const triangleIndices = [];
+
+            // Process each vertex in the triangle
+            triangle.vertices.forEach((vertex) => {
+                const key = `${vertex.x.toFixed(6)},${vertex.y.toFixed(6)},${vertex.z.toFixed(6)}`;
+                
+                if (vertexMap.has(key)) {
+                    // Vertex already exists, reuse index
+                    triangleIndices.push(vertexMap.get(key));
+                } else {
+                    // New vertex, add to positions
+                    const vertexIndex = positions.length / 3;
+                    positions.push(vertex.x, vertex.y, vertex.z);
+                    normals.push(triangle.normal.x, triangle.normal.y, triangle.normal.z);
+                    vertexMap.set(key, vertexIndex);
+                    triangleIndices.push(vertexIndex);
+                }
+            });
+
+            // Add triangle indices
+            if (triangleIndices.length === 3) {
+                indices.push(triangleIndices[0], triangleIndices[1], triangleIndices[2]);
+            }
+        });
+
+        if (positions.length === 0) {
+            return null;
         }
-    }
 
-    /**
-     * Set shadow darkness
-     */
-    setShadowDarkness(darkness) {
-        this.lightingManager.setShadowDarkness(darkness);
-    }
+        // Create mesh
+        const mesh = new BABYLON.Mesh(obj.name, scene);
 
-    /**
-     * Update shadow darkness display
-     */
-    updateShadowDarknessDisplay(darkness) {
-        const shadowDarknessValue = document.getElementById('shadowDarknessValuePref');
-        if (shadowDarknessValue) {
-            shadowDarknessValue.textContent = darkness.toFixed(2);
+        // Create vertex data
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = positions;
+        vertexData.indices = indices;
+        
+        // Recalculate normals to ensure correct direction
+        BABYLON.VertexData.ComputeNormals(positions, indices, normals);
+        vertexData.normals = normals;
+
+        // Apply vertex data to mesh
+        vertexData.applyToMesh(mesh);
+
+        // Set mesh properties based on type
+        mesh.renderingGroupId = 1;
+
+        // Create material based on type
+        const material = new BABYLON.StandardMaterial(`${obj.name}Material`, scene);
+        if (this.getColorByType) {
+            const color = this.getColorByType(obj.type);
+            material.diffuseColor = color;
+        } else {
+            // Fallback color
+            material.diffuseColor = new BABYLON.Color3(0.8, 0.8, 0.8);
         }
-    }
+        material.backFaceCulling = false;
+        material.twoSidedLighting = true;
+        material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+        material.roughness = 0.7;
+        mesh.material = material;
 
-    /**
-     * Set shadow bias
-     */
-    setShadowBias(bias) {
-        this.lightingManager.setShadowBias(bias);
-    }
+        // Enable edges rendering
+        mesh.enableEdgesRendering();
+        mesh.edgesWidth = 1.0;
+        mesh.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
 
-    /**
-     * Update shadow bias display
-     */
-    updateShadowBiasDisplay(bias) {
-        const shadowBiasValue = document.getElementById('shadowBiasValuePref');
-        if (shadowBiasValue) {
-            shadowBiasValue.textContent = bias.toFixed(5);
+        // Set userData based on type
+        mesh.userData = {
+            type: obj.type,
+            shapeType: obj.type === 'tree' ? 'tree' : (obj.type === 'building' ? 'building' : 'polygon'),
+            dimensions: {
+                // Calculate bounding box for dimensions
+                width: this.calculateBoundingBox(mesh).width,
+                depth: this.calculateBoundingBox(mesh).depth,
+                height: this.calculateBoundingBox(mesh).height
+            },
+            originalHeight: this.calculateBoundingBox(mesh).height
+        };
+
+        // Enable shadows
+        mesh.receiveShadows = true;
+        mesh.castShadows = true;
+
+        // Add to selection manager
+        if (this.selectionManager) {
+            this.selectionManager.addSelectableObject(mesh);
         }
-    }
 
-    /**
-     * Set shadow normal bias
-     */
-    setShadowNormalBias(normalBias) {
-        this.lightingManager.setShadowNormalBias(normalBias);
-    }
+        // Add to scene manager if it's a building
+        if (obj.type === 'building' && this.sceneManager) {
+            this.sceneManager.addBuilding(mesh);
+        }
 
-    /**
-     * Update shadow normal bias display
-     */
-    updateShadowNormalBiasDisplay(normalBias) {
-        const shadowNormalBiasValue = document.getElementById('shadowNormalBiasValuePref');
-        if (shadowNormalBiasValue) {
-            shadowNormalBiasValue.textContent = normalBias.toFixed(2);
+        // For trees, we would need to handle them differently (as TransformNode with child meshes)
+        // For now, trees are imported as regular meshes
+        if (obj.type === 'tree' && this.treeManager) {
+            // Note: Trees imported from STL won't have the same structure as drawn trees
+            // They will be simple meshes, not TransformNodes with child meshes
+            console.log(`Imported tree: ${obj.name} (as simple mesh)`);
         }
-    }
 
-    /**
-     * Set shadow depth scale
-     */
-    setShadowDepthScale(depthScale) {
-        this.lightingManager.setShadowDepthScale(depthScale);
+        // Update shadows
+        if (this.lightingManager) {
+            this.lightingManager.updateShadowsForNewObject(mesh);
+        }
+
+        console.log(`Created mesh: ${obj.name} (type: ${obj.type}, triangles: ${obj.triangles.length})`);
+
+        return mesh;
     }
 
     /**
-     * Update shadow depth scale display
+     * Calculate bounding box for a mesh
      */
-    updateShadowDepthScaleDisplay(depthScale) {
-        const shadowDepthScaleValue = document.getElementById('shadowDepthScaleValuePref');
-        if (shadowDepthScaleValue) {
-            shadowDepthScaleValue.textContent = depthScale.toFixed(0);
-        }
+    calculateBoundingBox(mesh) {
+        const boundingInfo = mesh.getBoundingInfo();
+        const min = boundingInfo.boundingBox.minimum;
+        const max = boundingInfo.boundingBox.maximum;
+        
+        return {
+            width: max.x - min.x,
+            depth: max.z - min.z,
+            height: max.y - min.y
+        };
     }
 
     /**
-     * Set shadow ortho scale
+     * Show preferences window
      */
-    setShadowOrthoScale(orthoScale) {
-        this.lightingManager.setShadowOrthoScale(orthoScale);
+    showPreferencesWindow() {
+        const window = document.getElementById('preferencesWindow');
+        const overlay = document.getElementById('preferencesOverlay');
+        
+        if (window && overlay) {
+            window.classList.add('show');
+            overlay.classList.add('show');
+            // Only setup listeners once
+            if (!this.preferencesListenersSetup) {
+                this.setupPreferencesListeners();
+                this.preferencesListenersSetup = true;
+            }
+            this.syncPreferencesState();
+        }
     }
 
     /**
-     * Update shadow ortho scale display
+     * Hide preferences window
      */
-    updateShadowOrthoScaleDisplay(orthoScale) {
-        const shadowOrthoScaleValue = document.getElementById('shadowOrthoScaleValuePref');
-        if (shadowOrthoScaleValue) {
-            shadowOrthoScaleValue.textContent = orthoScale.toFixed(0);
+    hidePreferencesWindow() {
+        const window = document.getElementById('preferencesWindow');
+        const overlay = document.getElementById('preferencesOverlay');
+        
+        if (window && overlay) {
+            window.classList.remove('show');
+            overlay.classList.remove('show');
         }
     }
 
     /**
-     * Set shadow frustum size
-     */
-    setShadowFrustumSize(frustumSize) {
-        this.lightingManager.setShadowFrustumSize(frustumSize);
-    }
-
-    /**
-     * Update shadow frustum size display
+     * Setup preferences window event listeners
      */
-    updateShadowFrustumSizeDisplay(frustumSize) {
-        const shadowFrustumSizeValue = document.getElementById('shadowFrustumSizeValuePref');
-        if (shadowFrustumSizeValue) {
-            shadowFrustumSizeValue.textContent = frustumSize.toFixed(0);
+    setupPreferencesListeners() {
+        // Close button
+        const closeBtn = document.getElementById('closePreferences');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => {
+                this.hidePreferencesWindow();
+            });
         }
-    }
 
-    /**
-     * Set hemispheric light intensity
-     */
-    setHemisphericIntensity(intensity) {
-        if (this.lightingManager && this.lightingManager.hemisphericLight) {
-            this.lightingManager.hemisphericLight.intensity = intensity;
-            // Update light helper if it exists
-            if (this.lightingManager.updateLightHelper) {
-                this.lightingManager.updateLightHelper();
-            }
+        // Overlay click to close
+        const overlay = document.getElementById('preferencesOverlay');
+        if (overlay) {
+            overlay.addEventListener('click', () => {
+                this.hidePreferencesWindow();
+            });
         }
-    }
 
-    updateHemisphericIntensityDisplay(intensity) {
-        const valueDisplay = document.getElementById('hemisphericIntensityValuePref');
-        if (valueDisplay) {
-            valueDisplay.textContent = intensity.toFixed(1);
+        // Grid toggle
+        const gridToggle = document.getElementById('gridTogglePref');
+        if (gridToggle) {
+            gridToggle.addEventListener('click', () => {
+                this.toggleGrid();
+            });
         }
-    }
 
-    /**
-     * Set shadow min Z
-     */
-    setShadowMinZ(minZ) {
-        if (this.lightingManager && this.lightingManager.directionalLight) {
-            this.lightingManager.directionalLight.shadowMinZ = minZ;
-            // Force shadow map update
-            if (this.lightingManager.shadowGenerator) {
-                this.lightingManager.shadowGenerator.forceCompilation = true;
-            }
+        // Shadow toggle
+        const shadowToggle = document.getElementById('shadowTogglePref');
+        if (shadowToggle) {
+            shadowToggle.addEventListener('click', () => {
+                this.toggleObjectShadows();
+            });
         }
-    }
 
-    updateShadowMinZDisplay(minZ) {
-        const valueDisplay = document.getElementById('shadowMinZValuePref');
-        if (valueDisplay) {
-            valueDisplay.textContent = minZ.toFixed(3);
+        // Hard shadow toggle
+        const hardShadowToggle = document.getElementById('hardShadowTogglePref');
+        if (hardShadowToggle) {
+            hardShadowToggle.addEventListener('click', () => {
+                this.toggleHardShadows();
+            });
         }
-    }
 
-    /**
-     * Set shadow max Z
-     */
-    setShadowMaxZ(maxZ) {
-        if (this.lightingManager && this.lightingManager.directionalLight) {
-            this.lightingManager.directionalLight.shadowMaxZ = maxZ;
-            // Force shadow map update
-            if (this.lightingManager.shadowGenerator) {
-                this.lightingManager.shadowGenerator.forceCompilation = true;
-            }
-            // Auto-adjust shadow frustum after changing max Z
-            if (this.lightingManager.autoAdjustShadowFrustum) {
-                setTimeout(() => {
-                    this.lightingManager.autoAdjustShadowFrustum();
-                }, 100);
-            }
+        // Light intensity slider
+        const lightIntensitySlider = document.getElementById('lightIntensityPref');
+        if (lightIntensitySlider) {
+            lightIntensitySlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setLightIntensity(value);
+                this.updateLightIntensityDisplay(value);
+            });
         }
-    }
 
-    updateShadowMaxZDisplay(maxZ) {
-        const valueDisplay = document.getElementById('shadowMaxZValuePref');
-        if (valueDisplay) {
-            valueDisplay.textContent = maxZ.toFixed(0);
+        // Shadow darkness slider
+        const shadowDarknessSlider = document.getElementById('shadowDarknessPref');
+        if (shadowDarknessSlider) {
+            shadowDarknessSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setShadowDarkness(value);
+                this.updateShadowDarknessDisplay(value);
+            });
         }
-    }
 
-    /**
-     * Set light position X
-     */
-    setLightPositionX(x) {
-        if (this.lightingManager && this.lightingManager.directionalLight) {
-            this.lightingManager.directionalLight.position.x = x;
-            // Update light helper if it exists
-            if (this.lightingManager.updateLightHelper) {
-                this.lightingManager.updateLightHelper();
-            }
+        // Shadow bias slider
+        const shadowBiasSlider = document.getElementById('shadowBiasPref');
+        if (shadowBiasSlider) {
+            shadowBiasSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setShadowBias(value);
+                this.updateShadowBiasDisplay(value);
+            });
         }
-    }
 
-    updateLightPositionXDisplay(x) {
-        const valueDisplay = document.getElementById('lightPositionXValuePref');
-        if (valueDisplay) {
-            valueDisplay.textContent = x.toFixed(0);
+        // Shadow normal bias slider
+        const shadowNormalBiasSlider = document.getElementById('shadowNormalBiasPref');
+        if (shadowNormalBiasSlider) {
+            shadowNormalBiasSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setShadowNormalBias(value);
+                this.updateShadowNormalBiasDisplay(value);
+            });
         }
-    }
 
-    /**
-     * Set light position Y
-     */
-    setLightPositionY(y) {
-        if (this.lightingManager && this.lightingManager.directionalLight) {
-            this.lightingManager.directionalLight.position.y = y;
-            // Update light helper if it exists
-            if (this.lightingManager.updateLightHelper) {
-                this.lightingManager.updateLightHelper();
-            }
+        // Shadow depth scale slider
+        const shadowDepthScaleSlider = document.getElementById('shadowDepthScalePref');
+        if (shadowDepthScaleSlider) {
+            shadowDepthScaleSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setShadowDepthScale(value);
+                this.updateShadowDepthScaleDisplay(value);
+            });
         }
-    }
 
-    updateLightPositionYDisplay(y) {
-        const valueDisplay = document.getElementById('lightPositionYValuePref');
-        if (valueDisplay) {
-            valueDisplay.textContent = y.toFixed(0);
+        // Shadow ortho scale slider
+        const shadowOrthoScaleSlider = document.getElementById('shadowOrthoScalePref');
+        if (shadowOrthoScaleSlider) {
+            shadowOrthoScaleSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setShadowOrthoScale(value);
+                this.updateShadowOrthoScaleDisplay(value);
+            });
         }
-    }
 
-    /**
-     * Set light position Z
-     */
-    setLightPositionZ(z) {
-        if (this.lightingManager && this.lightingManager.directionalLight) {
-            this.lightingManager.directionalLight.position.z = z;
-            // Update light helper if it exists
-            if (this.lightingManager.updateLightHelper) {
-                this.lightingManager.updateLightHelper();
-            }
+        // Shadow frustum size slider
+        const shadowFrustumSizeSlider = document.getElementById('shadowFrustumSizePref');
+        if (shadowFrustumSizeSlider) {
+            shadowFrustumSizeSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setShadowFrustumSize(value);
+                this.updateShadowFrustumSizeDisplay(value);
+            });
         }
-    }
 
-    updateLightPositionZDisplay(z) {
-        const valueDisplay = document.getElementById('lightPositionZValuePref');
-        if (valueDisplay) {
-            valueDisplay.textContent = z.toFixed(0);
+        // Hemispheric light intensity slider
+        const hemisphericIntensitySlider = document.getElementById('hemisphericIntensityPref');
+        if (hemisphericIntensitySlider) {
+            hemisphericIntensitySlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setHemisphericIntensity(value);
+                this.updateHemisphericIntensityDisplay(value);
+            });
         }
-    }
 
-    /**
-     * Set light direction X
-     */
-    setLightDirectionX(x) {
-        if (this.lightingManager && this.lightingManager.directionalLight) {
-            // Get current Y and Z values before normalizing
-            const currentY = this.lightingManager.directionalLight.direction.y;
-            const currentZ = this.lightingManager.directionalLight.direction.z;
-            // Set new direction
-            this.lightingManager.directionalLight.direction = new BABYLON.Vector3(x, currentY, currentZ);
-            // Normalize direction vector
-            this.lightingManager.directionalLight.direction.normalize();
-            // Update sliders to reflect normalized values
-            this.updateLightDirectionXDisplay(this.lightingManager.directionalLight.direction.x);
-            this.updateLightDirectionYDisplay(this.lightingManager.directionalLight.direction.y);
-            this.updateLightDirectionZDisplay(this.lightingManager.directionalLight.direction.z);
-            // Update light helper if it exists
-            if (this.lightingManager.updateLightHelper) {
-                this.lightingManager.updateLightHelper();
-            }
-            // Force shadow map update
-            if (this.lightingManager.shadowGenerator) {
-                this.lightingManager.shadowGenerator.forceCompilation = true;
-            }
+        // Shadow min Z slider
+        const shadowMinZSlider = document.getElementById('shadowMinZPref');
+        if (shadowMinZSlider) {
+            shadowMinZSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setShadowMinZ(value);
+                this.updateShadowMinZDisplay(value);
+            });
         }
-    }
 
-    updateLightDirectionXDisplay(x) {
-        const valueDisplay = document.getElementById('lightDirectionXValuePref');
-        const slider = document.getElementById('lightDirectionXPref');
-        if (valueDisplay) {
-            valueDisplay.textContent = x.toFixed(1);
+        // Shadow max Z slider
+        const shadowMaxZSlider = document.getElementById('shadowMaxZPref');
+        if (shadowMaxZSlider) {
+            shadowMaxZSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setShadowMaxZ(value);
+                this.updateShadowMaxZDisplay(value);
+            });
         }
-        if (slider) {
-            slider.value = x;
+
+        // Light position sliders
+        const lightPositionXSlider = document.getElementById('lightPositionXPref');
+        if (lightPositionXSlider) {
+            lightPositionXSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setLightPositionX(value);
+                this.updateLightPositionXDisplay(value);
+            });
         }
-    }
 
-    /**
-     * Set light direction Y
-     */
-    setLightDirectionY(y) {
-        if (this.lightingManager && this.lightingManager.directionalLight) {
-            // Get current X and Z values before normalizing
-            const currentX = this.lightingManager.directionalLight.direction.x;
-            const currentZ = this.lightingManager.directionalLight.direction.z;
-            // Set new direction
-            this.lightingManager.directionalLight.direction = new BABYLON.Vector3(currentX, y, currentZ);
-            // Normalize direction vector
-            this.lightingManager.directionalLight.direction.normalize();
-            // Update sliders to reflect normalized values
-            this.updateLightDirectionXDisplay(this.lightingManager.directionalLight.direction.x);
-            this.updateLightDirectionYDisplay(this.lightingManager.directionalLight.direction.y);
-            this.updateLightDirectionZDisplay(this.lightingManager.directionalLight.direction.z);
-            // Update light helper if it exists
-            if (this.lightingManager.updateLightHelper) {
-                this.lightingManager.updateLightHelper();
-            }
-            // Force shadow map update
-            if (this.lightingManager.shadowGenerator) {
-                this.lightingManager.shadowGenerator.forceCompilation = true;
-            }
+        const lightPositionYSlider = document.getElementById('lightPositionYPref');
+        if (lightPositionYSlider) {
+            lightPositionYSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setLightPositionY(value);
+                this.updateLightPositionYDisplay(value);
+            });
         }
-    }
 
-    updateLightDirectionYDisplay(y) {
-        const valueDisplay = document.getElementById('lightDirectionYValuePref');
-        const slider = document.getElementById('lightDirectionYPref');
-        if (valueDisplay) {
-            valueDisplay.textContent = y.toFixed(1);
+        const lightPositionZSlider = document.getElementById('lightPositionZPref');
+        if (lightPositionZSlider) {
+            lightPositionZSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setLightPositionZ(value);
+                this.updateLightPositionZDisplay(value);
+            });
         }
-        if (slider) {
-            slider.value = y;
+
+        // Light direction sliders
+        const lightDirectionXSlider = document.getElementById('lightDirectionXPref');
+        if (lightDirectionXSlider) {
+            lightDirectionXSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setLightDirectionX(value);
+                this.updateLightDirectionXDisplay(value);
+            });
         }
-    }
 
-    /**
-     * Set light direction Z
-     */
-    setLightDirectionZ(z) {
-        if (this.lightingManager && this.lightingManager.directionalLight) {
-            // Get current X and Y values before normalizing
-            const currentX = this.lightingManager.directionalLight.direction.x;
-            const currentY = this.lightingManager.directionalLight.direction.y;
-            // Set new direction
-            this.lightingManager.directionalLight.direction = new BABYLON.Vector3(currentX, currentY, z);
-            // Normalize direction vector
-            this.lightingManager.directionalLight.direction.normalize();
-            // Update sliders to reflect normalized values
-            this.updateLightDirectionXDisplay(this.lightingManager.directionalLight.direction.x);
-            this.updateLightDirectionYDisplay(this.lightingManager.directionalLight.direction.y);
-            this.updateLightDirectionZDisplay(this.lightingManager.directionalLight.direction.z);
-            // Update light helper if it exists
-            if (this.lightingManager.updateLightHelper) {
-                this.lightingManager.updateLightHelper();
-            }
-            // Force shadow map update
-            if (this.lightingManager.shadowGenerator) {
-                this.lightingManager.shadowGenerator.forceCompilation = true;
-            }
+        const lightDirectionYSlider = document.getElementById('lightDirectionYPref');
+        if (lightDirectionYSlider) {
+            lightDirectionYSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setLightDirectionY(value);
+                this.updateLightDirectionYDisplay(value);
+            });
         }
-    }
 
-    updateLightDirectionZDisplay(z) {
-        const valueDisplay = document.getElementById('lightDirectionZValuePref');
-        const slider = document.getElementById('lightDirectionZPref');
-        if (valueDisplay) {
-            valueDisplay.textContent = z.toFixed(1);
+        const lightDirectionZSlider = document.getElementById('lightDirectionZPref');
+        if (lightDirectionZSlider) {
+            lightDirectionZSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.setLightDirectionZ(value);
+                this.updateLightDirectionZDisplay(value);
+            });
         }
-        if (slider) {
-            slider.value = z;
+
+        // Reset camera
+        const resetCameraBtn = document.getElementById('resetCameraPref');
+        if (resetCameraBtn) {
+            resetCameraBtn.addEventListener('click', () => {
+                this.resetCamera();
+            });
         }
-    }
 
-    /**
-     * Reset camera
-     */
-    resetCamera() {
-        this.cameraController.resetCamera();
-    }
+        // Zoom to fit ground
+        const zoomToFitGroundBtn = document.getElementById('zoomToFitGroundPref');
+        if (zoomToFitGroundBtn) {
+            zoomToFitGroundBtn.addEventListener('click', () => {
+                this.zoomToFitGround();
+            });
+        }
 
-    /**
-     * Zoom to fit ground
-     */
-    zoomToFitGround() {
-        this.cameraController.zoomToFitGround();
-    }
+        // Generate buildings
+        const generateBtn = document.getElementById('generateBuildingsPref');
+        if (generateBtn) {
+            generateBtn.addEventListener('click', () => {
+                this.generateBuildings();
+            });
+        }
 
-    /**
-     * Show/hide loading state
-     */
-    showLoading(show) {
-        const loading = document.getElementById('loading');
-        if (loading) {
-            loading.style.display = show ? 'flex' : 'none';
+        // Generate buildings on large area
+        const generateLargeBtn = document.getElementById('generateBuildingsLargePref');
+        if (generateLargeBtn) {
+            generateLargeBtn.addEventListener('click', () => {
+                this.generateBuildingsOnLargeArea();
+            });
         }
-    }
 
-    /**
-     * Start stats update interval
-     */
-    startStatsUpdate() {
-        this.statsInterval = setInterval(() => {
-            this.updateStats();
-        }, 1000);
-    }
+        // Reset scene
+        const resetBtn = document.getElementById('resetScenePref');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.resetScene();
+            });
+        }
 
-    /**
-     * Update statistics display
-     */
-    updateStats() {
-        const sceneStats = this.sceneManager.getStats();
-        const buildingStats = this.buildingGenerator.getStats();
-        const lightingStats = this.lightingManager.getStats();
+        // Save lighting settings
+        const saveLightingBtn = document.getElementById('saveLightingSettingsPref');
+        if (saveLightingBtn) {
+            saveLightingBtn.addEventListener('click', () => {
+                this.saveLightingSettings();
+            });
+        }
 
-        // Update FPS counter (if footer exists)
-        const fpsCounter = document.getElementById('fpsCounter');
-        if (fpsCounter) {
-            fpsCounter.textContent = `FPS: ${Math.round(sceneStats.fps)}`;
+        // Create test circle
+        const createTestCircleBtn = document.getElementById('createTestCircle');
+        if (createTestCircleBtn) {
+            createTestCircleBtn.addEventListener('click', () => {
+                this.createTestCircle();
+            });
         }
 
-        // Update object count (if footer exists)
-        const objectCount = document.getElementById('objectCount');
-        if (objectCount) {
-            objectCount.textContent = `Objects: ${sceneStats.meshCount}`;
+        // Geographic origin
+        const originLatInput = document.getElementById('originLatitudePref');
+        const originLonInput = document.getElementById('originLongitudePref');
+        const applyOrigin = () => {
+            if (originLatInput.value === '' || originLonInput.value === '') return;
+            this.setGeoOrigin(originLatInput.value, originLonInput.value);
+        };
+        if (originLatInput && originLonInput) {
+            originLatInput.addEventListener('change', applyOrigin);
+            originLonInput.addEventListener('change', applyOrigin);
         }
-    }
 
-    /**
-     * Handle window resize
-     */
-    handleResize() {
-        if (this.sceneManager && this.sceneManager.getEngine()) {
-            this.sceneManager.getEngine().resize();
+        const autoGeoOriginPref = document.getElementById('autoGeoOriginPref');
+        if (autoGeoOriginPref) {
+            autoGeoOriginPref.addEventListener('click', () => {
+                autoGeoOriginPref.classList.toggle('active');
+            });
         }
-    }
 
-    /**
-     * Show notification
-     */
-    showNotification(message, type = 'info') {
-        // Popup removed
-    }
+        // Sun position
+        const solarTogglePref = document.getElementById('solarTogglePref');
+        if (solarTogglePref) {
+            solarTogglePref.addEventListener('click', () => {
+                this.solarSettings.enabled = !this.solarSettings.enabled;
+                solarTogglePref.classList.toggle('active', this.solarSettings.enabled);
+                this.applySolarPosition();
+            });
+        }
 
+        const sunDateInput = document.getElementById('sunDatePref');
+        const sunTimeInput = document.getElementById('sunTimePref');
+        const sunUtcOffsetInput = document.getElementById('sunUtcOffsetPref');
+        const applySunInputs = () => {
+            if (sunDateInput && sunDateInput.value) this.solarSettings.date = sunDateInput.value;
+            if (sunTimeInput && sunTimeInput.value) this.solarSettings.time = sunTimeInput.value;
+            const offset = sunUtcOffsetInput ? parseFloat(sunUtcOffsetInput.value) : NaN;
+            if (isFinite(offset)) this.solarSettings.utcOffset = offset;
+            if (this.shadowStudyManager && this.shadowStudyManager.isVisible()) {
+                this.shadowStudyManager.dateInput.value = this.solarSettings.date;
+                this.shadowStudyManager.updateDay();
+            }
+            this.applySolarPosition();
+        };
+        [sunDateInput, sunTimeInput, sunUtcOffsetInput].forEach(input => {
+            if (input) input.addEventListener('change', applySunInputs);
+        });
 
-    /**
-     * Show move instructions
-     */
-    showMoveInstructions() {
-        // Popup removed
-    }
+        // Statistics toggle button
+        const statisticsTogglePref = document.getElementById('statisticsTogglePref');
+        if (statisticsTogglePref) {
+            statisticsTogglePref.addEventListener('click', () => {
+                this.toggleStatistics();
+            });
+        }
 
-    /**
-     * Show rotate instructions
-     */
-    showRotateInstructions() {
-        // Popup removed
+        // Range inputs
+        this.setupPreferencesRangeInputs();
     }
 
     /**
-     * Toggle coordinate mode (Local/Global)
+     * Synchronize preferences window state with current application state
      */
-    toggleCoordinateMode() {
-        // Don't allow coordinate toggle when scale tool is active (scale only works in local)
-        const activeTool = this.getActiveTransformTool();
-        if (activeTool === 'scale') {
-            console.log('Coordinate toggle is disabled for scale tool (scale only works in local mode)');
-            return;
-        }
-        
-        // Toggle coordinate mode
-        this.isGlobalMode = !this.isGlobalMode;
-        
-        // Update UI
-        this.updateCoordinateToggleUI();
-        
-        // Update transform managers
-        this.updateTransformManagers();
-        
+    syncPreferencesState() {
+        // Sync grid toggle state
+        const gridTogglePref = document.getElementById('gridTogglePref');
+        if (gridTogglePref) {
+            const isGridVisible = this.gridManager.isGridVisible();
+            gridTogglePref.classList.toggle('active', isGridVisible);
+        }
+
+        // Sync shadow toggle state
+        const shadowTogglePref = document.getElementById('shadowTogglePref');
+        if (shadowTogglePref) {
+            const areObjectShadowsEnabled = this.lightingManager.areObjectShadowsEnabled();
+            shadowTogglePref.classList.toggle('active', areObjectShadowsEnabled);
+        }
+
+        // Sync hard shadow toggle state
+        const hardShadowTogglePref = document.getElementById('hardShadowTogglePref');
+        if (hardShadowTogglePref) {
+            const areHardShadowsEnabled = this.lightingManager.areHardShadowsEnabled();
+            hardShadowTogglePref.classList.toggle('active', areHardShadowsEnabled);
+        }
+
+        // Sync light intensity
+        const lightIntensitySlider = document.getElementById('lightIntensityPref');
+        const lightIntensityValue = document.getElementById('lightIntensityValuePref');
+        if (lightIntensitySlider && lightIntensityValue) {
+            const currentIntensity = this.lightingManager.getDirectionalIntensity();
+            lightIntensitySlider.value = currentIntensity;
+            lightIntensityValue.textContent = currentIntensity.toFixed(1);
+        }
+
+        // Sync shadow darkness
+        const shadowDarknessSlider = document.getElementById('shadowDarknessPref');
+        const shadowDarknessValue = document.getElementById('shadowDarknessValuePref');
+        if (shadowDarknessSlider && shadowDarknessValue) {
+            const currentDarkness = this.lightingManager.getShadowDarkness();
+            shadowDarknessSlider.value = currentDarkness;
+            shadowDarknessValue.textContent = currentDarkness.toFixed(2);
+        }
+
+        // Sync shadow bias
+        const shadowBiasSlider = document.getElementById('shadowBiasPref');
+        const shadowBiasValue = document.getElementById('shadowBiasValuePref');
+        if (shadowBiasSlider && shadowBiasValue) {
+            const currentBias = this.lightingManager.getShadowBias();
+            shadowBiasSlider.value = currentBias;
+            shadowBiasValue.textContent = currentBias.toFixed(5);
+        }
+
+        // Sync shadow normal bias
+        const shadowNormalBiasSlider = document.getElementById('shadowNormalBiasPref');
+        const shadowNormalBiasValue = document.getElementById('shadowNormalBiasValuePref');
+        if (shadowNormalBiasSlider && shadowNormalBiasValue) {
+            const currentNormalBias = this.lightingManager.getShadowNormalBias();
+            shadowNormalBiasSlider.value = currentNormalBias;
+            shadowNormalBiasValue.textContent = currentNormalBias.toFixed(2);
+        }
+
+        // Sync shadow depth scale
+        const shadowDepthScaleSlider = document.getElementById('shadowDepthScalePref');
+        const shadowDepthScaleValue = document.getElementById('shadowDepthScaleValuePref');
+        if (shadowDepthScaleSlider && shadowDepthScaleValue) {
+            const currentDepthScale = this.lightingManager.getShadowDepthScale();
+            shadowDepthScaleSlider.value = currentDepthScale;
+            shadowDepthScaleValue.textContent = currentDepthScale.toFixed(0);
+        }
+
+        // Sync shadow ortho scale
+        const shadowOrthoScaleSlider = document.getElementById('shadowOrthoScalePref');
+        const shadowOrthoScaleValue = document.getElementById('shadowOrthoScaleValuePref');
+        if (shadowOrthoScaleSlider && shadowOrthoScaleValue) {
+            const currentOrthoScale = this.lightingManager.getShadowOrthoScale();
+            shadowOrthoScaleSlider.value = currentOrthoScale;
+            shadowOrthoScaleValue.textContent = currentOrthoScale.toFixed(0);
+        }
+
+        // Sync shadow frustum size
+        const shadowFrustumSizeSlider = document.getElementById('shadowFrustumSizePref');
+        const shadowFrustumSizeValue = document.getElementById('shadowFrustumSizeValuePref');
+        if (shadowFrustumSizeSlider && shadowFrustumSizeValue) {
+            const currentFrustumSize = this.lightingManager.getShadowFrustumSize();
+            shadowFrustumSizeSlider.value = currentFrustumSize;
+            shadowFrustumSizeValue.textContent = currentFrustumSize.toFixed(0);
+        }
+
+        // Sync hemispheric light intensity
+        const hemisphericIntensitySlider = document.getElementById('hemisphericIntensityPref');
+        const hemisphericIntensityValue = document.getElementById('hemisphericIntensityValuePref');
+        if (hemisphericIntensitySlider && hemisphericIntensityValue) {
+            const currentIntensity = this.lightingManager.hemisphericLight ? this.lightingManager.hemisphericLight.intensity : 0.8;
+            hemisphericIntensitySlider.value = currentIntensity;
+            hemisphericIntensityValue.textContent = currentIntensity.toFixed(1);
+        }
+
+        // Sync shadow min Z
+        const shadowMinZSlider = document.getElementById('shadowMinZPref');
+        const shadowMinZValue = document.getElementById('shadowMinZValuePref');
+        if (shadowMinZSlider && shadowMinZValue) {
+            const currentMinZ = this.lightingManager.directionalLight ? this.lightingManager.directionalLight.shadowMinZ : 0.01;
+            shadowMinZSlider.value = currentMinZ;
+            shadowMinZValue.textContent = currentMinZ.toFixed(3);
+        }
+
+        // Sync shadow max Z
+        const shadowMaxZSlider = document.getElementById('shadowMaxZPref');
+        const shadowMaxZValue = document.getElementById('shadowMaxZValuePref');
+        if (shadowMaxZSlider && shadowMaxZValue) {
+            const currentMaxZ = this.lightingManager.directionalLight ? this.lightingManager.directionalLight.shadowMaxZ : 1500;
+            shadowMaxZSlider.value = currentMaxZ;
+            shadowMaxZValue.textContent = currentMaxZ.toFixed(0);
+        }
+
+        // Sync light position
+        const lightPositionXSlider = document.getElementById('lightPositionXPref');
+        const lightPositionXValue = document.getElementById('lightPositionXValuePref');
+        if (lightPositionXSlider && lightPositionXValue && this.lightingManager.directionalLight) {
+            lightPositionXSlider.value = this.lightingManager.directionalLight.position.x;
+            lightPositionXValue.textContent = this.lightingManager.directionalLight.position.x.toFixed(0);
+        }
+
+        const lightPositionYSlider = document.getElementById('lightPositionYPref');
+        const lightPositionYValue = document.getElementById('lightPositionYValuePref');
+        if (lightPositionYSlider && lightPositionYValue && this.lightingManager.directionalLight) {
+            lightPositionYSlider.value = this.lightingManager.directionalLight.position.y;
+            lightPositionYValue.textContent = this.lightingManager.directionalLight.position.y.toFixed(0);
+        }
+
+        const lightPositionZSlider = document.getElementById('lightPositionZPref');
+        const lightPositionZValue = document.getElementById('lightPositionZValuePref');
+        if (lightPositionZSlider && lightPositionZValue && this.lightingManager.directionalLight) {
+            lightPositionZSlider.value = this.lightingManager.directionalLight.position.z;
+            lightPositionZValue.textContent = this.lightingManager.directionalLight.position.z.toFixed(0);
+        }
+
+        // Sync light direction
+        const lightDirectionXSlider = document.getElementById('lightDirectionXPref');
+        const lightDirectionXValue = document.getElementById('lightDirectionXValuePref');
+        if (lightDirectionXSlider && lightDirectionXValue && this.lightingManager.directionalLight) {
+            lightDirectionXSlider.value = this.lightingManager.directionalLight.direction.x;
+            lightDirectionXValue.textContent = this.lightingManager.directionalLight.direction.x.toFixed(1);
+        }
+
+        const lightDirectionYSlider = document.getElementById('lightDirectionYPref');
+        const lightDirectionYValue = document.getElementById('lightDirectionYValuePref');
+        if (lightDirectionYSlider && lightDirectionYValue && this.lightingManager.directionalLight) {
+            lightDirectionYSlider.value = this.lightingManager.directionalLight.direction.y;
+            lightDirectionYValue.textContent = this.lightingManager.directionalLight.direction.y.toFixed(1);
+        }
+
+        const lightDirectionZSlider = document.getElementById('lightDirectionZPref');
+        const lightDirectionZValue = document.getElementById('lightDirectionZValuePref');
+        if (lightDirectionZSlider && lightDirectionZValue && this.lightingManager.directionalLight) {
+            lightDirectionZSlider.value = this.lightingManager.directionalLight.direction.z;
+            lightDirectionZValue.textContent = this.lightingManager.directionalLight.direction.z.toFixed(1);
+        }
+
+        // Sync sun position inputs
+        const solarTogglePref = document.getElementById('solarTogglePref');
+        if (solarTogglePref) {
+            solarTogglePref.classList.toggle('active', this.solarSettings.enabled);
+        }
+        const sunDateInput = document.getElementById('sunDatePref');
+        const sunTimeInput = document.getElementById('sunTimePref');
+        const sunUtcOffsetInput = document.getElementById('sunUtcOffsetPref');
+        if (sunDateInput) sunDateInput.value = this.solarSettings.date;
+        if (sunTimeInput) sunTimeInput.value = this.solarSettings.time;
+        if (sunUtcOffsetInput) sunUtcOffsetInput.value = this.solarSettings.utcOffset;
+
+        // Sync statistics toggle state
+        const statisticsTogglePref = document.getElementById('statisticsTogglePref');
+        if (statisticsTogglePref && window.fpsMonitor) {
+            const isStatisticsVisible = window.fpsMonitor.isVisible;
+            statisticsTogglePref.classList.toggle('active', isStatisticsVisible);
+        }
     }
 
     /**
-     * Update coordinate toggle UI
+     * Setup preferences range input controls
      */
-    updateCoordinateToggleUI() {
-        const toggleButton = document.getElementById('coordinateToggle');
-        const toggleIcon = document.getElementById('coordinateIcon');
-        
-        if (toggleButton && toggleIcon) {
-            if (this.isGlobalMode) {
-                toggleButton.classList.remove('local-mode');
-                toggleButton.classList.add('global-mode');
-                toggleIcon.src = 'icons/global.svg';
-                toggleButton.title = 'Switch to Local Coordinates';
-            } else {
-                toggleButton.classList.remove('global-mode');
-                toggleButton.classList.add('local-mode');
-                toggleIcon.src = 'icons/local.svg';
-                toggleButton.title = 'Switch to Global Coordinates';
+    setupPreferencesRangeInputs() {
+        // Generator presets fill every preset-driven slider below; moving one makes the settings custom
+        const presetSelect = document.getElementById('generatorPresetPref');
+        if (presetSelect && this.buildingGenerator) {
+            this.updateGeneratorPresetOptions();
+            presetSelect.addEventListener('change', (e) => {
+                this.applyGeneratorPreset(e.target.value);
+            });
+        }
+        const markCustom = () => {
+            if (presetSelect) presetSelect.value = '';
+            if (this.buildingGenerator) this.buildingGenerator.presetName = null;
+            this.updateGeneratorPresetButtons();
+        };
+
+        this.getGeneratorPresetFields().forEach(({ id }) => {
+            const input = document.getElementById(id);
+            const value = document.getElementById(id.replace('Pref', 'ValuePref'));
+            if (input && value) {
+                input.addEventListener('input', (e) => {
+                    value.textContent = e.target.value;
+                    markCustom();
+                });
             }
+        });
+
+        // Save the sliders as a named preset in this browser, or delete the selected saved preset
+        const presetName = document.getElementById('generatorPresetNamePref');
+        const savePreset = document.getElementById('saveGeneratorPresetPref');
+        const deletePreset = document.getElementById('deleteGeneratorPresetPref');
+        if (presetName && savePreset && this.buildingGenerator) {
+            savePreset.addEventListener('click', () => {
+                try {
+                    this.applyGeneratorPreferences();
+                    const key = this.buildingGenerator.savePreset(presetName.value);
+                    this.updateGeneratorPresetOptions(key);
+                    presetName.value = '';
+                } catch (error) {
+                    alert(error.message);
+                }
+            });
+        }
+        if (deletePreset && presetSelect && this.buildingGenerator) {
+            deletePreset.addEventListener('click', () => {
+                try {
+                    this.buildingGenerator.deletePreset(presetSelect.value);
+                } catch (error) {
+                    alert(error.message);
+                }
+                this.updateGeneratorPresetOptions();
+            });
+        }
+
+        // Floor-to-floor height used for floor counts and gross floor area
+        const floorHeight = document.getElementById('floorHeightPref');
+        if (floorHeight) {
+            floorHeight.addEventListener('change', (e) => {
+                if (this.buildingMetrics && this.buildingMetrics.setFloorHeight(e.target.value)) {
+                    this.updateBuildingMetricsTables(this.currentShape);
+                }
+                e.target.value = this.buildingMetrics ? this.buildingMetrics.floorHeight : 3;
+            });
         }
     }
 
     /**
-     * Disable coordinate toggle button
+     * Preferences sliders for the generator settings a preset sets, with the factor from setting to slider
      */
-    disableCoordinateToggle() {
-        const toggleButton = document.getElementById('coordinateToggle');
-        if (toggleButton) {
-            toggleButton.style.opacity = '0.5';
-            toggleButton.style.pointerEvents = 'none';
-            toggleButton.style.cursor = 'not-allowed';
-        }
+    getGeneratorPresetFields() {
+        return [
+            { id: 'buildingCountPref', key: 'count', scale: 1 },
+            { id: 'minHeightPref', key: 'minHeight', scale: 1 },
+            { id: 'maxHeightPref', key: 'maxHeight', scale: 1 },
+            { id: 'minWidthPref', key: 'minWidth', scale: 1 },
+            { id: 'maxWidthPref', key: 'maxWidth', scale: 1 },
+            { id: 'minDepthPref', key: 'minDepth', scale: 1 },
+            { id: 'maxDepthPref', key: 'maxDepth', scale: 1 },
+            { id: 'minRoadSpacingPref', key: 'minRoadSpacing', scale: 1 },
+            { id: 'maxRoadSpacingPref', key: 'maxRoadSpacing', scale: 1 },
+            { id: 'treeDensityPref', key: 'treeDensity', scale: 1 },
+            { id: 'footprintMixPref', key: 'footprintMix', scale: 100 }
+        ];
     }
 
     /**
-     * Enable coordinate toggle button
+     * Fill the preset list with the built-in presets and the ones saved in this browser
+     * @param {string} selected - Preset to select; the generator's current preset by default
      */
-    enableCoordinateToggle() {
-        const toggleButton = document.getElementById('coordinateToggle');
-        if (toggleButton) {
-            toggleButton.style.opacity = '1';
-            toggleButton.style.pointerEvents = 'auto';
-            toggleButton.style.cursor = 'pointer';
+    updateGeneratorPresetOptions(selected = null) {
+        const presetSelect = document.getElementById('generatorPresetPref');
+        if (!presetSelect || !this.buildingGenerator) return;
+
+        const presets = this.buildingGenerator.presets;
+        presetSelect.innerHTML = '<option value="">Custom</option>';
+        const savedGroup = document.createElement('optgroup');
+        savedGroup.label = 'Saved';
+        Object.keys(presets).forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = presets[name].label;
+            (presets[name].saved ? savedGroup : presetSelect).appendChild(option);
+        });
+        if (savedGroup.children.length > 0) {
+            presetSelect.appendChild(savedGroup);
         }
+
+        const name = selected || this.buildingGenerator.presetName;
+        presetSelect.value = name && presets[name] ? name : '';
+        this.updateGeneratorPresetButtons();
     }
 
     /**
-     * Show scale instructions
+     * Only saved presets can be deleted
      */
-    showScaleInstructions() {
-        // Popup removed
+    updateGeneratorPresetButtons() {
+        const presetSelect = document.getElementById('generatorPresetPref');
+        const deletePreset = document.getElementById('deleteGeneratorPresetPref');
+        if (!presetSelect || !deletePreset || !this.buildingGenerator) return;
+
+        const preset = this.buildingGenerator.presets[presetSelect.value];
+        deletePreset.disabled = !(preset && preset.saved);
     }
 
     /**
-     * Update transform managers with current coordinate mode
+     * Apply a building generator preset and show all the settings it sets in the preferences
      */
-    updateTransformManagers() {
-        // Update move manager
-        if (this.moveManager) {
-            this.moveManager.setCoordinateMode(this.isGlobalMode);
-        }
-        
-        // Update rotate manager
-        if (this.rotateManager) {
-            this.rotateManager.setCoordinateMode(this.isGlobalMode);
-        }
-        
-        // Update scale manager
-        if (this.scaleManager) {
-            this.scaleManager.setCoordinateMode(this.isGlobalMode);
+    applyGeneratorPreset(name) {
+        this.updateGeneratorPresetButtons();
+        if (!this.buildingGenerator || !this.buildingGenerator.applyPreset(name)) {
+            if (this.buildingGenerator) this.buildingGenerator.presetName = null;
+            return;
         }
+
+        const settings = this.buildingGenerator.getSettings();
+        this.getGeneratorPresetFields().forEach(({ id, key, scale }) => {
+            const value = Math.round(settings[key] * scale * 100) / 100;
+            const input = document.getElementById(id);
+            const label = document.getElementById(id.replace('Pref', 'ValuePref'));
+            if (input) input.value = value;
+            if (label) label.textContent = value;
+        });
     }
 
     /**
-     * Test 2D shapes
+     * Read the seed typed in the preferences; empty means a fresh random seed
      */
-    test2DShapes() {
-        if (!this.shape2DManager) {
-            return;
-        }
+    getGeneratorSeed() {
+        const seedInput = document.getElementById('generatorSeedPref');
+        return seedInput ? seedInput.value : null;
+    }
 
+    /**
+     * Pass the road layout and every preset-driven setting shown in the preferences to the building
+     * generator, so a seed with these sliders always rebuilds the same scene
+     */
+    applyGeneratorPreferences() {
+        if (!this.buildingGenerator) return;
 
-        // Create a line
-        const startPoint = new BABYLON.Vector3(-10, 0, 0);
-        const endPoint = new BABYLON.Vector3(10, 0, 0);
-        this.shape2DManager.createLine(startPoint, endPoint, new BABYLON.Color3(1, 1, 0));
-
-        // Create a rectangle
-        this.shape2DManager.createRectangle(5, 3, new BABYLON.Vector3(0, 0, 5), new BABYLON.Color3(1, 0, 0));
+        const layoutSelect = document.getElementById('roadLayoutPref');
+        if (layoutSelect) {
+            this.buildingGenerator.setRoadLayout(layoutSelect.value);
+        }
 
-        // Create a circle
-        this.shape2DManager.createCircle(2, new BABYLON.Vector3(0, 0, -5), new BABYLON.Color3(0, 1, 0));
+        const keys = { count: 'buildingCount' }; // Settings key to generator field where they differ
+        this.getGeneratorPresetFields().forEach(({ id, key, scale }) => {
+            const input = document.getElementById(id);
+            const value = input ? parseFloat(input.value) : NaN;
+            if (isFinite(value)) {
+                this.buildingGenerator[keys[key] || key] = value / scale;
+            }
+        });
+    }
 
-        // Create a triangle
-        this.shape2DManager.createTriangle(4, new BABYLON.Vector3(8, 0, 0), new BABYLON.Color3(0, 0, 1));
+    /**
+     * Show the seed the current generated scene was built from
+     */
+    updateGeneratorSeedDisplay() {
+        const lastSeed = document.getElementById('generatorLastSeedPref');
+        if (lastSeed && this.buildingGenerator) {
+            lastSeed.textContent = this.buildingGenerator.seed;
+        }
+    }
 
-        // Create 3D text
-        this.shape2DManager.createText("2D Shapes Test", 1, new BABYLON.Vector3(0, 2, 0), new BABYLON.Color3(1, 1, 1));
+    /**
+     * Setup range input controls
+     */
+    setupRangeInputs() {
+        // Building count
+        const buildingCount = document.getElementById('buildingCount');
+        const buildingCountValue = document.getElementById('buildingCountValue');
+        if (buildingCount && buildingCountValue) {
+            buildingCount.addEventListener('input', (e) => {
+                buildingCountValue.textContent = e.target.value;
+            });
+        }
 
-        // Create a polyline
-        const polylinePoints = [
-            new BABYLON.Vector3(-5, 0, -10),
-            new BABYLON.Vector3(-3, 2, -10),
-            new BABYLON.Vector3(-1, 0, -10),
-            new BABYLON.Vector3(1, 2, -10),
-            new BABYLON.Vector3(3, 0, -10),
-            new BABYLON.Vector3(5, 2, -10)
-        ];
-        this.shape2DManager.createPolyline(polylinePoints, new BABYLON.Color3(1, 0, 1));
+        // Min height
+        const minHeight = document.getElementById('minHeight');
+        const minHeightValue = document.getElementById('minHeightValue');
+        if (minHeight && minHeightValue) {
+            minHeight.addEventListener('input', (e) => {
+                minHeightValue.textContent = e.target.value;
+            });
+        }
 
+        // Max height
+        const maxHeight = document.getElementById('maxHeight');
+        const maxHeightValue = document.getElementById('maxHeightValue');
+        if (maxHeight && maxHeightValue) {
+            maxHeight.addEventListener('input', (e) => {
+                maxHeightValue.textContent = e.target.value;
+            });
+        }
     }
 
     /**
-     * Create rectangle
+     * Generate buildings
      */
-    createRectangle() {
-        if (!this.rectangleManager) {
-            return;
-        }
+    generateBuildings() {
+        // Try to get values from preferences first, fallback to original elements
+        const countEl = document.getElementById('buildingCountPref') || document.getElementById('buildingCount');
+        const minHeightEl = document.getElementById('minHeightPref') || document.getElementById('minHeight');
+        const maxHeightEl = document.getElementById('maxHeightPref') || document.getElementById('maxHeight');
+        
+        const count = parseInt(countEl?.value) || 10;
+        const minHeight = parseInt(minHeightEl?.value) || 4;
+        const maxHeight = parseInt(maxHeightEl?.value) || 20;
 
-        // Disable camera controls during drawing
-        this.disableCameraControls();
+        // Clear existing buildings
+        this.sceneManager.clearBuildings();
 
-        // Set callback for when drawing stops
-        this.rectangleManager.onDrawingStopped = () => {
-            this.enableCameraControls();
-            // Deactivate drawing tool after drawing is complete
-            this.deactivateDrawingTool();
-        };
+        // Generate new buildings on default area
+        this.applyGeneratorPreferences();
+        const buildings = this.buildingGenerator.generateBuildings(count, minHeight, maxHeight, false, this.getGeneratorSeed());
+        this.updateGeneratorSeedDisplay();
 
-        // Set callback for when rectangle is created
-        this.rectangleManager.onRectangleCreated = (rectangle) => {
-            // Add to selection manager
-            if (this.selectionManager) {
-                this.selectionManager.addSelectableObject(rectangle);
-            }
-            
-            // Add to scene
-            if (this.sceneManager) {
-                this.sceneManager.addBuilding(rectangle);
-            }
-            
-            // Switch back to select tool after completion
-            this.activateSelectTool();
+        // Add buildings to scene and setup shadows
+        buildings.forEach(building => {
+            this.sceneManager.addBuilding(building);
+            this.lightingManager.addShadowCaster(building.mesh);
             
-            // Automatically select the newly created rectangle
+            // Make building selectable
             if (this.selectionManager) {
-                this.selectionManager.selectObject(rectangle, false, true);
+                this.selectionManager.addSelectableObject(building.mesh);
             }
-            
-            // Dispatch scene change event to update object list
-            this.dispatchSceneChangeEvent();
-            
-            console.log('Rectangle created:', rectangle.name);
-        };
+        });
 
-        // Start interactive rectangle drawing
-        this.rectangleManager.startInteractiveDrawing();
+        // Clean up any unwanted polygons (water_1 without type) that may have been created
+        // Call it multiple times to ensure all unwanted polygons are removed
+        if (this.buildingGenerator.cleanupUnwantedPolygons) {
+            this.buildingGenerator.cleanupUnwantedPolygons();
+            // Call again after a short delay to catch any that might have been created during shadow setup
+            setTimeout(() => {
+                this.buildingGenerator.cleanupUnwantedPolygons();
+            }, 500);
+        }
+        
+        // Also cleanup from scene directly as a backup
+        this.cleanupWaterMeshesWithoutType();
+
+        // Generated scenes replace everything, so older history no longer applies
+        if (this.historyManager) {
+            this.historyManager.clear();
+        }
+
+        // Show loading state
+        this.showLoading(false);
+        
     }
 
     /**
-     * Create circle
+     * Generate buildings on large area
      */
-    createCircle() {
-        if (!this.circleManager) {
-            return;
-        }
+    generateBuildingsOnLargeArea() {
+        // Try to get values from preferences first, fallback to original elements
+        const countEl = document.getElementById('buildingCountPref') || document.getElementById('buildingCount');
+        const minHeightEl = document.getElementById('minHeightPref') || document.getElementById('minHeight');
+        const maxHeightEl = document.getElementById('maxHeightPref') || document.getElementById('maxHeight');
+        
+        const count = parseInt(countEl?.value) || 10;
+        const minHeight = parseInt(minHeightEl?.value) || 4;
+        const maxHeight = parseInt(maxHeightEl?.value) || 20;
 
-        // Disable camera controls during drawing
-        this.disableCameraControls();
+        // Clear existing buildings
+        this.sceneManager.clearBuildings();
 
-        // Set callback for when drawing stops
-        this.circleManager.onDrawingStopped = () => {
-            this.enableCameraControls();
-            // Deactivate drawing tool after drawing is complete
-            this.deactivateDrawingTool();
-        };
+        // Generate new buildings on large area
+        this.applyGeneratorPreferences();
+        const buildings = this.buildingGenerator.generateBuildingsOnLargeArea(count, minHeight, maxHeight, this.getGeneratorSeed());
+        this.updateGeneratorSeedDisplay();
 
-        // Set callback for when circle is created
-        this.circleManager.onCircleCreated = (circle) => {
-            // Add to selection manager
-            if (this.selectionManager) {
-                this.selectionManager.addSelectableObject(circle);
-            }
-            
-            // Add to scene
-            if (this.sceneManager) {
-                this.sceneManager.addBuilding(circle);
-            }
-            
-            // Switch back to select tool after completion
-            this.activateSelectTool();
+        // Add buildings to scene and setup shadows
+        buildings.forEach(building => {
+            this.sceneManager.addBuilding(building);
+            this.lightingManager.addShadowCaster(building.mesh);
             
-            // Automatically select the newly created circle
+            // Make building selectable
             if (this.selectionManager) {
-                this.selectionManager.selectObject(circle, false, true);
+                this.selectionManager.addSelectableObject(building.mesh);
             }
-            
-            // Dispatch scene change event to update object list
-            this.dispatchSceneChangeEvent();
-            
-            console.log('Circle created:', circle.name);
-        };
+        });
 
-        // Start interactive circle drawing
-        this.circleManager.startInteractiveDrawing();
+        // Show loading state
+        this.showLoading(false);
+        
+        console.log(`Generated ${buildings.length} buildings on large area (2000x2000)`);
     }
 
-
     /**
-     * Setup drawing event listeners
+     * Reset scene
      */
-    setupDrawingEventListeners() {
-        if (!this.sceneManager || !this.sceneManager.canvas) return;
+    resetScene() {
+        // Clear buildings
+        this.sceneManager.clearBuildings();
+        this.buildingGenerator.clearBuildings();
 
-        const canvas = this.sceneManager.canvas;
-        let isMouseDown = false;
-        let isDragging = false;
-        let lastTreePosition = null;
-        let treePlacementInterval = null;
-        // Dynamic tree placement distance will be retrieved from TreeManager
+        // Reset camera
+        this.cameraController.resetCamera();
 
-        // Helper function to check if point is on ground
-        const isPointOnGround = (x, y) => {
-            const pickResult = this.sceneManager.getScene().pick(x, y, (mesh) => {
-                return mesh.name === 'earth';
-            });
-            return pickResult && pickResult.hit && pickResult.pickedMesh && 
-                   pickResult.pickedMesh.name === 'earth';
-        };
+        // Reset UI values
+        document.getElementById('buildingCount').value = 70;
+        document.getElementById('buildingCountValue').textContent = '70';
+        document.getElementById('minHeight').value = 4;
+        document.getElementById('minHeightValue').textContent = '4';
+        document.getElementById('maxHeight').value = 20;
+        document.getElementById('maxHeightValue').textContent = '20';
 
-        // Helper function to get what mesh is under the mouse
-        const getMeshUnderMouse = (x, y) => {
-            const pickResult = this.sceneManager.getScene().pick(x, y);
-            if (pickResult && pickResult.hit && pickResult.pickedMesh) {
-                return pickResult.pickedMesh.name;
-            }
-            return null;
-        };
+    }
 
-        // Mouse down
-        canvas.addEventListener('pointerdown', (event) => {
-            // Handle polygon drawing - only left click
-            if (this.polygonManager && this.polygonManager.isCurrentlyDrawing && event.button === 0) {
-                event.preventDefault();
-                event.stopPropagation();
+    /**
+     * Collect all current lighting settings
+     */
+    getLightingSettings() {
+        if (!this.lightingManager) {
+            return null;
+        }
 
-                // Get ground intersection point
-                const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
-                    return mesh.name === 'earth';
-                });
-                if (pickResult && pickResult.hit && pickResult.pickedMesh && 
-                    (pickResult.pickedMesh.name === 'earth' || pickResult.pickedMesh.name === 'invisible_ground')) {
-                    const point = pickResult.pickedPoint;
-                    this.polygonManager.addPoint(point);
-                }
-                return;
-            }
-
-            // Handle tree placement - only left click
-            if (this.treeManager && this.treeManager.isCurrentlyPlacing() && event.button === 0) {
-                event.preventDefault();
-                event.stopPropagation();
+        return {
+            // Light settings
+            lightIntensity: this.lightingManager.getDirectionalIntensity(),
+            hemisphericIntensity: this.lightingManager.hemisphericLight ? this.lightingManager.hemisphericLight.intensity : 0.8,
+            
+            // Shadow settings
+            shadowDarkness: this.lightingManager.getShadowDarkness(),
+            shadowBias: this.lightingManager.getShadowBias(),
+            shadowNormalBias: this.lightingManager.getShadowNormalBias(),
+            shadowDepthScale: this.lightingManager.getShadowDepthScale(),
+            shadowOrthoScale: this.lightingManager.getShadowOrthoScale(),
+            shadowFrustumSize: this.lightingManager.getShadowFrustumSize(),
+            
+            // Shadow toggles
+            shadowsEnabled: this.lightingManager.areShadowsEnabled(),
+            objectShadowsEnabled: this.lightingManager.areObjectShadowsEnabled(),
+            hardShadowsEnabled: this.lightingManager.areHardShadowsEnabled(),
+            
+            // Light position and direction
+            lightPosition: this.lightingManager.directionalLight ? {
+                x: this.lightingManager.directionalLight.position.x,
+                y: this.lightingManager.directionalLight.position.y,
+                z: this.lightingManager.directionalLight.position.z
+            } : null,
+            lightDirection: this.lightingManager.directionalLight ? {
+                x: this.lightingManager.directionalLight.direction.x,
+                y: this.lightingManager.directionalLight.direction.y,
+                z: this.lightingManager.directionalLight.direction.z
+            } : null,
+            solar: Object.assign({}, this.solarSettings),
+            
+            // Shadow frustum settings
+            shadowMinZ: this.lightingManager.directionalLight ? this.lightingManager.directionalLight.shadowMinZ : 0.01,
+            shadowMaxZ: this.lightingManager.directionalLight ? this.lightingManager.directionalLight.shadowMaxZ : 500,
+            
+            // Timestamp
+            timestamp: new Date().toISOString(),
+            version: '1.0'
+        };
+    }
 
-                // Check if point is on ground
-                if (isPointOnGround(event.offsetX, event.offsetY)) {
-                    // Get ground intersection point
-                    const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
-                        return mesh.name === 'earth';
-                    });
-                    const point = pickResult.pickedPoint;
-                    
-                    // Place first tree
-                    this.treeManager.placeTree(point);
-                    lastTreePosition = point.clone();
-                    
-                    // Start dragging for continuous tree placement
-                    isMouseDown = true;
-                    isDragging = false;
-                } else {
-                    // If not on ground, don't start dragging
-                    const meshName = getMeshUnderMouse(event.offsetX, event.offsetY);
-                    console.log(`Tree placement blocked - mouse over: ${meshName || 'nothing'}`);
-                }
-                return;
-            }
+    /**
+     * Save current lighting settings
+     */
+    saveLightingSettings() {
+        if (!this.lightingManager) {
+            console.error('LightingManager not available');
+            return;
+        }
 
-            if (!this.shape2DManager || !this.shape2DManager.isCurrentlyDrawing()) return;
+        const settings = this.getLightingSettings();
 
-            // Prevent camera movement during drawing
-            event.preventDefault();
-            event.stopPropagation();
+        // Create downloadable JSON file
+        const dataStr = JSON.stringify(settings, null, 2);
+        const dataBlob = new Blob([dataStr], {type: 'application/json'});
+        
+        // Create download link
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = `lighting-settings-${new Date().toISOString().split('T')[0]}.json`;
+        
+        // Trigger download
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        // Also log to console for easy copy-paste
+        
+        // Show success message
+        this.showNotification('Lighting settings saved successfully!', 'success');
+        
+        return settings;
+    }
 
-            isMouseDown = true;
-            isDragging = false;
+    /**
+     * Load lighting settings from JSON
+     */
+    loadLightingSettings(settings) {
+        if (!this.lightingManager || !settings) {
+            console.error('LightingManager not available or settings invalid');
+            return;
+        }
 
-            // Get ground intersection point (ignore temp shapes during drawing)
-            const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
-                // Only pick ground, ignore temp shapes
-                return mesh.name === 'earth';
-            });
-            if (pickResult && pickResult.hit && pickResult.pickedMesh && pickResult.pickedMesh.name === 'earth') {
-                const point = pickResult.pickedPoint;
-                this.shape2DManager.onMouseDown(point);
+        try {
+            // Apply light settings
+            if (settings.lightIntensity !== undefined) {
+                this.lightingManager.setDirectionalIntensity(settings.lightIntensity);
             }
-        });
-
-        // Mouse move
-        canvas.addEventListener('pointermove', (event) => {
-            // Handle polygon preview
-            if (this.polygonManager && this.polygonManager.isCurrentlyDrawing) {
-                event.preventDefault();
-                event.stopPropagation();
-
-                // Get ground intersection point for preview
-                const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
-                    return mesh.name === 'earth';
-                });
-                if (pickResult && pickResult.hit && pickResult.pickedMesh && pickResult.pickedMesh.name === 'earth') {
-                    const point = pickResult.pickedPoint;
-                    this.polygonManager.updatePreview(point);
-                }
-                return;
+            if (settings.hemisphericIntensity !== undefined && this.lightingManager.hemisphericLight) {
+                this.lightingManager.hemisphericLight.intensity = settings.hemisphericIntensity;
             }
 
-            // Handle continuous tree placement during drag
-            if (this.treeManager && this.treeManager.isCurrentlyPlacing() && isMouseDown) {
-                event.preventDefault();
-                event.stopPropagation();
+            // Apply shadow settings
+            if (settings.shadowDarkness !== undefined) {
+                this.lightingManager.setShadowDarkness(settings.shadowDarkness);
+            }
+            if (settings.shadowBias !== undefined) {
+                this.lightingManager.setShadowBias(settings.shadowBias);
+            }
+            if (settings.shadowNormalBias !== undefined) {
+                this.lightingManager.setShadowNormalBias(settings.shadowNormalBias);
+            }
+            if (settings.shadowDepthScale !== undefined) {
+                this.lightingManager.setShadowDepthScale(settings.shadowDepthScale);
+            }
+            if (settings.shadowOrthoScale !== undefined) {
+                this.lightingManager.setShadowOrthoScale(settings.shadowOrthoScale);
+            }
+            if (settings.shadowFrustumSize !== undefined) {
+                this.lightingManager.setShadowFrustumSize(settings.shadowFrustumSize);
+            }
 
-                // Check if point is on ground
-                if (isPointOnGround(event.offsetX, event.offsetY)) {
-                    // Get ground intersection point
-                    const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
-                        return mesh.name === 'earth';
-                    });
-                    const point = pickResult.pickedPoint;
-                    
-                    // Check if we should place a new tree (minimum distance with random variation)
-                    if (lastTreePosition) {
-                        const currentDistance = BABYLON.Vector3.Distance(point, lastTreePosition);
-                        const requiredDistance = this.treeManager.getRandomTreeDistance();
-                        
-                        if (currentDistance > requiredDistance) {
-                            this.treeManager.placeTree(point);
-                            lastTreePosition = point.clone();
-                            isDragging = true;
-                        }
-                    }
+            // Apply shadow toggles - force apply settings regardless of current state
+            if (settings.shadowsEnabled !== undefined) {
+                if (settings.shadowsEnabled) {
+                    this.lightingManager.enableShadows();
                 } else {
-                    // If not on ground (on building), don't place trees during drag
-                    // But continue dragging to allow resuming when back on ground
-                    const meshName = getMeshUnderMouse(event.offsetX, event.offsetY);
-                    console.log(`Tree placement blocked during drag - mouse over: ${meshName || 'nothing'}`);
+                    this.lightingManager.disableShadows();
+                }
+            }
+            if (settings.objectShadowsEnabled !== undefined) {
+                // Force set object shadows state
+                if (settings.objectShadowsEnabled !== this.lightingManager.areObjectShadowsEnabled()) {
+                    this.lightingManager.toggleObjectShadows();
+                }
+            }
+            if (settings.hardShadowsEnabled !== undefined) {
+                // Force set hard shadows state
+                if (settings.hardShadowsEnabled !== this.lightingManager.areHardShadowsEnabled()) {
+                    this.lightingManager.toggleHardShadows();
                 }
-                return;
             }
 
-            // Prevent camera movement during tree placement
-            if (this.treeManager && this.treeManager.isCurrentlyPlacing()) {
-                event.preventDefault();
-                event.stopPropagation();
-                return;
+            // Apply light position and direction
+            if (settings.lightPosition && this.lightingManager.directionalLight) {
+                this.lightingManager.directionalLight.position = new BABYLON.Vector3(
+                    settings.lightPosition.x,
+                    settings.lightPosition.y,
+                    settings.lightPosition.z
+                );
+            }
+            if (settings.lightDirection && this.lightingManager.directionalLight) {
+                this.lightingManager.directionalLight.direction = new BABYLON.Vector3(
+                    settings.lightDirection.x,
+                    settings.lightDirection.y,
+                    settings.lightDirection.z
+                );
             }
 
-            if (!this.shape2DManager || !this.shape2DManager.isCurrentlyDrawing()) return;
+            // Apply shadow frustum settings
+            if (settings.shadowMinZ !== undefined && this.lightingManager.directionalLight) {
+                this.lightingManager.directionalLight.shadowMinZ = settings.shadowMinZ;
+            }
+            if (settings.shadowMaxZ !== undefined && this.lightingManager.directionalLight) {
+                this.lightingManager.directionalLight.shadowMaxZ = settings.shadowMaxZ;
+            }
 
-            // Only handle mouse move if mouse is down (dragging)
-            if (isMouseDown) {
-                // Prevent camera movement during drawing
-                event.preventDefault();
-                event.stopPropagation();
+            // Solar position overrides the saved direction when it was enabled
+            if (settings.solar) {
+                Object.assign(this.solarSettings, settings.solar);
+                this.applySolarPosition();
+            }
 
-                isDragging = true;
+            // Sync UI with new settings
+            this.syncPreferencesState();
 
-                // Get ground intersection point (ignore temp shapes during drawing)
-                const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
-                    // Only pick ground, ignore temp shapes
-                    return mesh.name === 'earth';
-                });
-                if (pickResult && pickResult.hit && pickResult.pickedMesh && pickResult.pickedMesh.name === 'earth') {
-                    const point = pickResult.pickedPoint;
-                    this.shape2DManager.onMouseMove(point);
-                }
-            }
-        });
+            this.showNotification('Lighting settings loaded successfully!', 'success');
 
-        // Mouse up
-        canvas.addEventListener('pointerup', (event) => {
-            // Handle tree placement drag end
-            if (this.treeManager && this.treeManager.isCurrentlyPlacing() && isMouseDown) {
-                event.preventDefault();
-                event.stopPropagation();
-                
-                // End dragging
-                isMouseDown = false;
-                isDragging = false;
-                lastTreePosition = null;
-                
-                console.log('Tree placement drag ended');
-                return;
-            }
-
-            // Prevent camera movement during tree placement
-            if (this.treeManager && this.treeManager.isCurrentlyPlacing()) {
-                event.preventDefault();
-                event.stopPropagation();
-                return;
-            }
-
-            if (!this.shape2DManager || !this.shape2DManager.isCurrentlyDrawing()) return;
-
-            // Prevent camera movement during drawing
-            event.preventDefault();
-            event.stopPropagation();
-
-            if (isMouseDown) {
-                isMouseDown = false;
-
-                // Get ground intersection point (ignore temp shapes during drawing)
-                const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
-                    // Only pick ground, ignore temp shapes
-                    return mesh.name === 'earth';
-                });
-                if (pickResult && pickResult.hit && pickResult.pickedMesh && pickResult.pickedMesh.name === 'earth') {
-                    const point = pickResult.pickedPoint;
-                    this.shape2DManager.onMouseUp(point);
-                }
-            }
-        });
-
-
-        // Keyboard events - Using event.code instead of event.key for language-independent shortcuts
-        document.addEventListener('keydown', (event) => {
-            // Handle polygon drawing specific keys first
-            if (this.polygonManager && this.polygonManager.isCurrentlyDrawing) {
-                if (event.code === 'Backspace') {
-                    // Remove last point during polygon drawing
-                    const removed = this.polygonManager.removeLastPoint();
-                    if (removed) {
-                        console.log('Last point removed from polygon');
-                        event.preventDefault(); // Prevent default browser behavior
-                    }
-                    return;
-                } else if (event.code === 'Escape') {
-                    this.cancelPolygonDrawing();
-                    
-                    // Deactivate drawing tool
-                    const activeTool = document.querySelector('#drawingPanel .tool-item.active');
-                    if (activeTool) {
-                        activeTool.classList.remove('active');
-                    }
-                    
-                    return;
-                } else if (event.code === 'Enter') {
-                    this.completePolygonDrawing();
-                    
-                    // Deactivate drawing tool
-                    const activeTool = document.querySelector('#drawingPanel .tool-item.active');
-                    if (activeTool) {
-                        activeTool.classList.remove('active');
-                    }
-                    
-                    return;
-                }
-            }
-
-
-            // Handle Shift+F for statistics toggle (using event.code for language independence)
-            if (event.shiftKey && event.code === 'KeyF') {
-                event.preventDefault();
-                this.toggleStatistics();
-                return;
-            }
-
-            // Handle Escape key for other drawing modes
-            if (this.shape2DManager && this.shape2DManager.isCurrentlyDrawing()) {
-                if (event.code === 'Escape') {
-                    this.shape2DManager.stopInteractiveDrawing();
-                    
-                    // Re-enable camera controls
-                    this.enableCameraControls();
-                    
-                    // Deactivate drawing tool
-                    const activeTool = document.querySelector('#drawingPanel .tool-item.active');
-                    if (activeTool) {
-                        activeTool.classList.remove('active');
-                    }
-                    
-                    console.log('Drawing cancelled');
-                }
-            } else if (this.treeManager && this.treeManager.isCurrentlyPlacing()) {
-                if (event.code === 'Escape') {
-                    this.deactivateTreePlacement();
-                    console.log('Tree placement cancelled');
-                }
-            }
-
-            // Handle Shift+A for Select All (using event.code for language independence)
-            if (event.shiftKey && event.code === 'KeyA') {
-                event.preventDefault(); // Prevent default browser behavior
-                this.selectAll();
-                return;
-            }
-
-            // Handle Shift+D for Clear Selection (using event.code for language independence)
-            if (event.shiftKey && event.code === 'KeyD') {
-                event.preventDefault(); // Prevent default browser behavior
-                this.clearSelection();
-                return;
-            }
-
-            // Handle Ctrl+L for Object List Toggle (using event.code for language independence)
-            if (event.ctrlKey && event.code === 'KeyL') {
-                event.preventDefault(); // Prevent default browser behavior
-                this.toggleObjectList();
-                return;
-            }
-
-            // Handle Ctrl+Alt+D for Duplicate (using event.code for language independence)
-            if (event.ctrlKey && event.altKey && event.code === 'KeyD') {
-                event.preventDefault(); // Prevent default browser behavior
-                event.stopPropagation(); // Stop event propagation
-                console.log('Ctrl+Alt+D pressed - duplicating selected objects');
-                this.duplicateSelected();
-                return;
-            }
-        });
-        
-        // Also add global keyboard listener for duplicate (in case document listener doesn't catch it)
-        window.addEventListener('keydown', (event) => {
-            // Handle Ctrl+Alt+D for Duplicate (using event.code for language independence)
-            if (event.ctrlKey && event.altKey && event.code === 'KeyD') {
-                // Only handle if no input field is focused
-                const activeElement = document.activeElement;
-                const isInputFocused = activeElement && (
-                    activeElement.tagName === 'INPUT' || 
-                    activeElement.tagName === 'TEXTAREA' ||
-                    activeElement.isContentEditable
-                );
-                
-                if (!isInputFocused) {
-                    event.preventDefault();
-                    event.stopPropagation();
-                    console.log('Ctrl+Alt+D pressed (window listener) - duplicating selected objects');
-                    this.duplicateSelected();
-                }
-            }
-        }, true); // Use capture phase
-
-        // Right click to exit drawing mode and switch to select tool
-        // Use capture phase to handle before SelectionManager's contextmenu handler
-        canvas.addEventListener('contextmenu', (event) => {
-            // Check if we're in drawing mode (rectangle, circle, polygon) or tree placement
-            const isDrawingActive = this.isDrawingModeActive();
-            const isTreeActive = this.treeManager && this.treeManager.isCurrentlyPlacing();
-            
-            if (isDrawingActive || isTreeActive) {
-                event.preventDefault();
-                event.stopPropagation();
-                event.stopImmediatePropagation(); // Stop all other handlers on this element
-                
-                // Stop all drawing operations
-                this.stopAllDrawingOperations();
-                
-                // Deactivate all drawing tools
-                const allDrawingTools = document.querySelectorAll('#drawingPanel .tool-item');
-                allDrawingTools.forEach(tool => tool.classList.remove('active'));
-                
-                // Activate select tool
-                this.selectTransformTool('select');
-                
-                console.log('Exited drawing mode via right click, switched to select tool');
-            }
-        }, true); // Use capture phase
+        } catch (error) {
+            console.error('Error loading lighting settings:', error);
+            this.showNotification('Error loading lighting settings', 'error');
+        }
     }
 
     /**
-     * Disable camera controls
+     * Toggle statistics display
      */
-    disableCameraControls() {
-        if (this.cameraController && this.cameraController.camera) {
-            // Store current camera state
-            this.cameraControlsDisabled = true;
+    toggleStatistics() {
+        if (window.fpsMonitor) {
+            window.fpsMonitor.toggleVisibility();
             
-            // Use CameraController's method to disable controls
-            if (typeof this.cameraController.setControlsEnabled === 'function') {
-                this.cameraController.setControlsEnabled(false);
-                console.log('Camera controls disabled via CameraController');
-            } else {
-                // Fallback to direct camera control
-                if (typeof this.cameraController.camera.detachControls === 'function') {
-                    this.cameraController.camera.detachControls();
-                    console.log('Camera controls disabled via detachControls');
-                } else if (typeof this.cameraController.camera.detachControl === 'function') {
-                    this.cameraController.camera.detachControl();
-                    console.log('Camera controls disabled via detachControl');
+            // Update button state
+            const statisticsTogglePref = document.getElementById('statisticsTogglePref');
+            if (statisticsTogglePref) {
+                const isVisible = window.fpsMonitor.isVisible;
+                if (isVisible) {
+                    statisticsTogglePref.classList.add('active');
+                } else {
+                    statisticsTogglePref.classList.remove('active');
                 }
             }
             
-            console.log('Camera controls disabled for drawing');
         } else {
-            console.warn('Cannot disable camera controls: cameraController or camera not available');
         }
     }
 
     /**
-     * Enable camera controls
+     * Create empty scene with only ground
      */
-    enableCameraControls() {
-        if (this.cameraController && this.cameraController.camera) {
-            // Use CameraController's method to enable controls
-            if (typeof this.cameraController.setControlsEnabled === 'function') {
-                this.cameraController.setControlsEnabled(true);
-                console.log('Camera controls enabled via CameraController');
-            } else {
-                // Fallback to direct camera control
-                if (typeof this.cameraController.camera.attachControl === 'function') {
-                    this.cameraController.camera.attachControl(this.sceneManager.canvas, true);
-                    console.log('Camera controls enabled via attachControl');
-                } else if (typeof this.cameraController.camera.attachControls === 'function') {
-                    this.cameraController.camera.attachControls(this.sceneManager.canvas, true);
-                    console.log('Camera controls enabled via attachControls');
-                }
-            }
-            
-            this.cameraControlsDisabled = false;
-            console.log('Camera controls enabled');
-        } else {
-            console.warn('Cannot enable camera controls: cameraController or camera not available');
+    createEmptyScene() {
+        // Clear selection first
+        if (this.selectionManager) {
+            this.selectionManager.clearSelection();
         }
-    }
-
-    /**
-     * Deactivate drawing tool
-     */
-    deactivateDrawingTool() {
-        const activeTool = document.querySelector('#drawingPanel .tool-item.active');
-        if (activeTool) {
-            activeTool.classList.remove('active');
+        
+        // Clear all trees
+        if (this.treeManager && this.treeManager.clearAllTrees) {
+            this.treeManager.clearAllTrees();
         }
         
-        // Also deactivate tree placement when deactivating drawing tools
-        this.deactivateTreePlacement();
-    }
+        // Clear all buildings (this also clears roads and polygons)
+        this.sceneManager.clearBuildings();
+        this.buildingGenerator.clearBuildings();
+        
+        // Clear all rectangles, circles, and polygons
+        this.clear2DShapes();
 
-    /**
-     * Check if any drawing tool is currently active
-     */
-    isDrawingModeActive() {
-        const activeDrawingTool = document.querySelector('#drawingPanel .tool-item.active');
-        return activeDrawingTool !== null;
+        // Reset camera
+        this.cameraController.resetCamera();
+
+        // Reset UI values
+        document.getElementById('buildingCount').value = 70;
+        document.getElementById('buildingCountValue').textContent = '70';
+        document.getElementById('minHeight').value = 4;
+        document.getElementById('minHeightValue').textContent = '4';
+        document.getElementById('maxHeight').value = 20;
+        document.getElementById('maxHeightValue').textContent = '20';
+
+        // Ensure ground is visible
+        if (!this.sceneManager.getGround()) {
+            this.sceneManager.createGround();
+        }
+        
+        // Start a fresh history for the new scene
+        if (this.historyManager) {
+            this.historyManager.clear();
+        }
+        
+        // Dispatch scene change event to update object list
+        this.dispatchSceneChangeEvent();
     }
 
     /**
-     * Stop all active drawing operations
+     * Create default scene with ground and 10 random buildings
      */
-    stopAllDrawingOperations() {
-        // Stop polygon drawing
-        if (this.polygonManager && this.polygonManager.isDrawing) {
-            this.stopPolygonDrawing();
+    createDefaultScene() {
+        // Clear selection first
+        if (this.selectionManager) {
+            this.selectionManager.clearSelection();
         }
-
-        // Stop rectangle drawing
-        if (this.rectangleManager && this.rectangleManager.isDrawing) {
-            this.rectangleManager.stopInteractiveDrawing();
+        
+        // Clear all trees
+        if (this.treeManager && this.treeManager.clearAllTrees) {
+            this.treeManager.clearAllTrees();
         }
+        
+        // Clear all buildings (this also clears roads and polygons)
+        this.sceneManager.clearBuildings();
+        this.buildingGenerator.clearBuildings();
+        
+        // Clear all rectangles, circles, and polygons
+        this.clear2DShapes();
 
-        // Stop circle drawing
-        if (this.circleManager && this.circleManager.isDrawing) {
-            this.circleManager.stopInteractiveDrawing();
-        }
+        // Reset camera
+        this.cameraController.resetCamera();
 
-        // Stop tree placement
-        this.deactivateTreePlacement();
+        // Reset UI values
+        document.getElementById('buildingCount').value = 70;
+        document.getElementById('buildingCountValue').textContent = '70';
+        document.getElementById('minHeight').value = 4;
+        document.getElementById('minHeightValue').textContent = '4';
+        document.getElementById('maxHeight').value = 20;
+        document.getElementById('maxHeightValue').textContent = '20';
 
-        // Stop any other drawing operations
-        if (this.shape2DManager && this.shape2DManager.isCurrentlyDrawing()) {
-            this.shape2DManager.stopInteractiveDrawing();
+        // Ensure ground is visible
+        if (!this.sceneManager.getGround()) {
+            this.sceneManager.createGround();
         }
 
-        // Re-enable camera controls
-        this.enableCameraControls();
+        // Generate 70 random buildings
+        this.buildingGenerator.generateBuildings(70);
+        this.updateGeneratorSeedDisplay();
+        
+        // Start a fresh history for the new scene
+        if (this.historyManager) {
+            this.historyManager.clear();
+        }
+        
+        // Dispatch scene change event to update object list
+        this.dispatchSceneChangeEvent();
+        
+        // Auto-adjust shadow frustum after scene generation
+        // This ensures shadows work correctly in all parts of the scene
+        if (this.lightingManager && this.lightingManager.autoAdjustShadowFrustum) {
+            setTimeout(() => {
+                this.lightingManager.autoAdjustShadowFrustum();
+            }, 800);
+        }
+        
+        // Zoom to fit ground after scene is fully loaded
+        // Use a delay to ensure all objects are rendered and scene is stable
+        setTimeout(() => {
+            if (this.zoomToFitGround) {
+                this.zoomToFitGround();
+                console.log('Auto-zoomed to fit ground after default scene creation');
+            }
+        }, 1000);
     }
 
     /**
-     * Check if select tool is active
+     * Toggle grid
      */
-    isSelectToolActive() {
-        const activeTool = document.querySelector('#transformPanel .tool-item.active');
-        return activeTool && activeTool.getAttribute('data-tool') === 'select';
+    toggleGrid() {
+        const isVisible = this.gridManager.toggle();
+        const gridToggle = document.getElementById('gridToggle');
+        const gridTogglePref = document.getElementById('gridTogglePref');
+        
+        if (gridToggle) {
+            gridToggle.classList.toggle('active', isVisible);
+        }
+        
+        if (gridTogglePref) {
+            gridTogglePref.classList.toggle('active', isVisible);
+        }
     }
 
     /**
-     * Check if any transform tool is active (select, move, rotate, scale)
+     * Toggle object shadows
      */
-    isAnyTransformToolActive() {
-        const activeTool = document.querySelector('#transformPanel .tool-item.active');
-        if (!activeTool) return false;
+    toggleObjectShadows() {
+        const areEnabled = this.lightingManager.toggleObjectShadows();
+        const shadowTogglePref = document.getElementById('shadowTogglePref');
         
-        const toolName = activeTool.getAttribute('data-tool');
-        return ['select', 'move', 'rotate', 'scale'].includes(toolName);
+        if (shadowTogglePref) {
+            shadowTogglePref.classList.toggle('active', areEnabled);
+        }
+        
+        return areEnabled;
     }
 
     /**
-     * Check if a transform editing tool is active (move, rotate, scale - excluding select)
+     * Toggle hard shadows
      */
-    isTransformEditingToolActive() {
-        const activeTool = document.querySelector('#transformPanel .tool-item.active');
-        if (!activeTool) return false;
+    toggleHardShadows() {
+        const areEnabled = this.lightingManager.toggleHardShadows();
+        const hardShadowTogglePref = document.getElementById('hardShadowTogglePref');
         
-        const toolName = activeTool.getAttribute('data-tool');
-        return ['move', 'rotate', 'scale'].includes(toolName);
+        if (hardShadowTogglePref) {
+            hardShadowTogglePref.classList.toggle('active', areEnabled);
+        }
+        
+        return areEnabled;
     }
 
     /**
-     * Setup properties popup
+     * Set light intensity
      */
-    setupPropertiesPopup() {
-        // Close button
-        document.getElementById('closeProperties').addEventListener('click', () => {
-            this.hidePropertiesPopup();
-        });
-
-        // Circle properties popup event listeners
-        document.getElementById('closeCircleProperties').addEventListener('click', () => {
-            this.hideCirclePropertiesPopup();
-        });
+    setLightIntensity(intensity) {
+        this.lightingManager.setDirectionalIntensity(intensity);
+    }
 
-        // Polygon properties popup event listeners
-        document.getElementById('closePolygonProperties').addEventListener('click', () => {
-            this.hidePolygonPropertiesPopup();
-        });
+    /**
+     * Update light intensity display
+     */
+    updateLightIntensityDisplay(intensity) {
+        const lightIntensityValue = document.getElementById('lightIntensityValuePref');
+        if (lightIntensityValue) {
+            lightIntensityValue.textContent = intensity.toFixed(1);
+        }
+    }
 
-        // Tree properties popup event listeners
-        document.getElementById('closeTreeProperties').addEventListener('click', () => {
-            this.hideTreePropertiesPopup();
-        });
+    /**
+     * Set shadow darkness
+     */
+    setShadowDarkness(darkness) {
+        this.lightingManager.setShadowDarkness(darkness);
+    }
 
-        // Auto-save event listeners for shape properties
-        this.setupAutoSaveListeners();
+    /**
+     * Update shadow darkness display
+     */
+    updateShadowDarknessDisplay(darkness) {
+        const shadowDarknessValue = document.getElementById('shadowDarknessValuePref');
+        if (shadowDarknessValue) {
+            shadowDarknessValue.textContent = darkness.toFixed(2);
+        }
+    }
 
-        // Real-time scale update for trees
-        document.getElementById('treeScale').addEventListener('input', (e) => {
-            this.updateTreeScaleInRealTime(parseFloat(e.target.value));
-        });
+    /**
+     * Set shadow bias
+     */
+    setShadowBias(bias) {
+        this.lightingManager.setShadowBias(bias);
     }
 
     /**
-     * Check if a name is unique in the scene
-     * @param {string} newName - The new name to check
-     * @param {BABYLON.Mesh} currentObject - The current object being renamed (to exclude from check)
-     * @returns {boolean} - True if name is unique, false if duplicate
+     * Update shadow bias display
      */
-    isNameUnique(newName, currentObject) {
-        if (!newName || newName.trim() === '') {
-            return false; // Empty name is not valid
-        }
-        
-        const scene = this.sceneManager.getScene();
-        if (!scene) return false;
-        
-        // Check all meshes in the scene
-        const existingMesh = scene.getMeshByName(newName);
-        
-        // If a mesh with this name exists and it's not the current object, name is duplicate
-        if (existingMesh && existingMesh !== currentObject) {
-            return false;
-        }
-        
-        // Also check transform nodes (for trees)
-        const existingTransformNode = scene.getTransformNodeByName(newName);
-        if (existingTransformNode && existingTransformNode !== currentObject) {
-            return false;
+    updateShadowBiasDisplay(bias) {
+        const shadowBiasValue = document.getElementById('shadowBiasValuePref');
+        if (shadowBiasValue) {
+            shadowBiasValue.textContent = bias.toFixed(5);
         }
-        
-        return true; // Name is unique
     }
 
     /**
-     * Setup auto-save event listeners for all property inputs
+     * Set shadow normal bias
      */
-    setupAutoSaveListeners() {
-        // Shape name validation
-        const shapeNameInput = document.getElementById('shapeName');
-        if (shapeNameInput) {
-            let originalShapeName = '';
-            
-            shapeNameInput.addEventListener('focus', () => {
-                originalShapeName = shapeNameInput.value;
-            });
-            
-            shapeNameInput.addEventListener('blur', () => {
-                const newName = shapeNameInput.value.trim();
-                if (newName === '') {
-                    shapeNameInput.value = originalShapeName;
-                    alert('Name cannot be empty');
-                    return;
-                }
-                
-                if (!this.isNameUnique(newName, this.currentShape)) {
-                    shapeNameInput.value = originalShapeName;
-                    alert('Duplicate name. Please choose a different name.');
-                    return;
-                }
-                
-                // Name is unique, update the object name
-                if (this.currentShape) {
-                    this.currentShape.name = newName;
-                    // Also update extrusion name if exists
-                    if (this.currentShape.extrusion) {
-                        this.currentShape.extrusion.name = `${newName}_extrusion`;
-                    }
-                    this.dispatchSceneChangeEvent();
-                }
-            });
+    setShadowNormalBias(normalBias) {
+        this.lightingManager.setShadowNormalBias(normalBias);
+    }
+
+    /**
+     * Update shadow normal bias display
+     */
+    updateShadowNormalBiasDisplay(normalBias) {
+        const shadowNormalBiasValue = document.getElementById('shadowNormalBiasValuePref');
+        if (shadowNormalBiasValue) {
+            shadowNormalBiasValue.textContent = normalBias.toFixed(2);
         }
+    }
 
-        // Circle name validation
-        const circleNameInput = document.getElementById('circleName');
-        if (circleNameInput) {
-            let originalCircleName = '';
-            
-            circleNameInput.addEventListener('focus', () => {
-                originalCircleName = circleNameInput.value;
-            });
-            
-            circleNameInput.addEventListener('blur', () => {
-                const newName = circleNameInput.value.trim();
-                if (newName === '') {
-                    circleNameInput.value = originalCircleName;
-                    alert('Name cannot be empty');
-                    return;
-                }
-                
-                if (!this.isNameUnique(newName, this.currentShape)) {
-                    circleNameInput.value = originalCircleName;
-                    alert('Duplicate name. Please choose a different name.');
-                    return;
-                }
-                
-                // Name is unique, update the object name
-                if (this.currentShape) {
-                    this.currentShape.name = newName;
-                    // Also update extrusion name if exists
-                    if (this.currentShape.extrusion) {
-                        this.currentShape.extrusion.name = `${newName}_extrusion`;
-                    }
-                    this.dispatchSceneChangeEvent();
-                }
-            });
+    /**
+     * Set shadow depth scale
+     */
+    setShadowDepthScale(depthScale) {
+        this.lightingManager.setShadowDepthScale(depthScale);
+    }
+
+    /**
+     * Update shadow depth scale display
+     */
+    updateShadowDepthScaleDisplay(depthScale) {
+        const shadowDepthScaleValue = document.getElementById('shadowDepthScaleValuePref');
+        if (shadowDepthScaleValue) {
+            shadowDepthScaleValue.textContent = depthScale.toFixed(0);
         }
+    }
 
-        // Polygon name validation
-        const polygonNameInput = document.getElementById('polygonName');
-        if (polygonNameInput) {
-            let originalPolygonName = '';
-            
-            polygonNameInput.addEventListener('focus', () => {
-                originalPolygonName = polygonNameInput.value;
-            });
-            
-            polygonNameInput.addEventListener('blur', () => {
-                const newName = polygonNameInput.value.trim();
-                if (newName === '') {
-                    polygonNameInput.value = originalPolygonName;
-                    alert('Name cannot be empty');
-                    return;
-                }
-                
-                if (!this.isNameUnique(newName, this.currentPolygon)) {
-                    polygonNameInput.value = originalPolygonName;
-                    alert('Duplicate name. Please choose a different name.');
-                    return;
-                }
-                
-                // Name is unique, update the object name
-                if (this.currentPolygon) {
-                    this.currentPolygon.name = newName;
-                    // Also update extrusion name if exists
-                    if (this.currentPolygon.extrusion) {
-                        this.currentPolygon.extrusion.name = `${newName}_extrusion`;
-                    }
-                    this.dispatchSceneChangeEvent();
-                }
-            });
+    /**
+     * Set shadow ortho scale
+     */
+    setShadowOrthoScale(orthoScale) {
+        this.lightingManager.setShadowOrthoScale(orthoScale);
+    }
+
+    /**
+     * Update shadow ortho scale display
+     */
+    updateShadowOrthoScaleDisplay(orthoScale) {
+        const shadowOrthoScaleValue = document.getElementById('shadowOrthoScaleValuePref');
+        if (shadowOrthoScaleValue) {
+            shadowOrthoScaleValue.textContent = orthoScale.toFixed(0);
         }
+    }
 
-        // Tree name validation
-        const treeNameInput = document.getElementById('treeName');
-        if (treeNameInput) {
-            let originalTreeName = '';
-            
-            treeNameInput.addEventListener('focus', () => {
-                originalTreeName = treeNameInput.value;
-            });
-            
-            treeNameInput.addEventListener('blur', () => {
-                const newName = treeNameInput.value.trim();
-                if (newName === '') {
-                    treeNameInput.value = originalTreeName;
-                    alert('Name cannot be empty');
-                    return;
-                }
-                
-                // For trees, check the parent transform node
-                const currentTree = this.currentTree ? (this.currentTree.parent || this.currentTree) : null;
-                if (!this.isNameUnique(newName, currentTree)) {
-                    treeNameInput.value = originalTreeName;
-                    alert('Duplicate name. Please choose a different name.');
-                    return;
-                }
-                
-                // Name is unique, update the tree name
-                if (currentTree) {
-                    currentTree.name = newName;
-                    this.dispatchSceneChangeEvent();
-                }
-            });
+    /**
+     * Set shadow frustum size
+     */
+    setShadowFrustumSize(frustumSize) {
+        this.lightingManager.setShadowFrustumSize(frustumSize);
+    }
+
+    /**
+     * Update shadow frustum size display
+     */
+    updateShadowFrustumSizeDisplay(frustumSize) {
+        const shadowFrustumSizeValue = document.getElementById('shadowFrustumSizeValuePref');
+        if (shadowFrustumSizeValue) {
+            shadowFrustumSizeValue.textContent = frustumSize.toFixed(0);
         }
+    }
 
-        // Shape properties auto-save
-        const shapeInputs = [
-            'shapeType', 'shapeColor', 'shapeLength', 'shapeWidth', 'shapeHeight', 'shapeRadius'
-        ];
-        
-        shapeInputs.forEach(inputId => {
-            const element = document.getElementById(inputId);
-            if (element) {
-                element.addEventListener('input', () => {
-                    this.saveShapeProperties();
-                });
-                element.addEventListener('change', () => {
-                    this.saveShapeProperties();
-                });
+    /**
+     * Set hemispheric light intensity
+     */
+    setHemisphericIntensity(intensity) {
+        if (this.lightingManager && this.lightingManager.hemisphericLight) {
+            this.lightingManager.hemisphericLight.intensity = intensity;
+            // Update light helper if it exists
+            if (this.lightingManager.updateLightHelper) {
+                this.lightingManager.updateLightHelper();
             }
-        });
+        }
+    }
 
-        // Circle properties auto-save
-        const circleInputs = [
-            'circleType', 'circleColor', 'circleDiameter', 'circleHeight'
-        ];
-        
-        circleInputs.forEach(inputId => {
-            const element = document.getElementById(inputId);
-            if (element) {
-                element.addEventListener('input', () => {
-                    this.saveCircleProperties();
-                });
-                element.addEventListener('change', () => {
-                    this.saveCircleProperties();
-                });
-            }
-        });
+    updateHemisphericIntensityDisplay(intensity) {
+        const valueDisplay = document.getElementById('hemisphericIntensityValuePref');
+        if (valueDisplay) {
+            valueDisplay.textContent = intensity.toFixed(1);
+        }
+    }
 
-        // Polygon properties auto-save
-        const polygonInputs = [
-            'polygonType', 'polygonColor', 'polygonHeight'
-        ];
-        
-        polygonInputs.forEach(inputId => {
-            const element = document.getElementById(inputId);
-            if (element) {
-                element.addEventListener('input', () => {
-                    this.savePolygonProperties();
-                });
-                element.addEventListener('change', () => {
-                    this.savePolygonProperties();
-                });
+    /**
+     * Set shadow min Z
+     */
+    setShadowMinZ(minZ) {
+        if (this.lightingManager && this.lightingManager.directionalLight) {
+            this.lightingManager.directionalLight.shadowMinZ = minZ;
+            // Force shadow map update
+            if (this.lightingManager.shadowGenerator) {
+                this.lightingManager.shadowGenerator.forceCompilation = true;
             }
-        });
-
-        // Tree properties auto-save (scale is already handled above)
-        const treeInputs = [
-            'treeScale'
-        ];
-        
-        treeInputs.forEach(inputId => {
-            const element = document.getElementById(inputId);
-            if (element) {
-                element.addEventListener('input', () => {
-                    this.saveTreeProperties();
-                });
-                element.addEventListener('change', () => {
-                    this.saveTreeProperties();
-                });
-            }
-        });
+        }
+    }
 
-        // Polygon type change listener
-        document.getElementById('polygonType').addEventListener('change', (e) => {
-            const newType = e.target.value;
-            console.log('Polygon type changed to:', newType);
-            
-            // Show/hide height field based on type
-            const heightGroup = document.getElementById('polygonHeightGroup');
-            if (newType === 'building') {
-                heightGroup.style.display = 'block';
-                // Set default height for building
-                document.getElementById('polygonHeight').value = 1;
-            } else {
-                heightGroup.style.display = 'none';
+    updateShadowMinZDisplay(minZ) {
+        const valueDisplay = document.getElementById('shadowMinZValuePref');
+        if (valueDisplay) {
+            valueDisplay.textContent = minZ.toFixed(3);
+        }
+    }
+
+    /**
+     * Set shadow max Z
+     */
+    setShadowMaxZ(maxZ) {
+        if (this.lightingManager && this.lightingManager.directionalLight) {
+            this.lightingManager.directionalLight.shadowMaxZ = maxZ;
+            // Force shadow map update
+            if (this.lightingManager.shadowGenerator) {
+                this.lightingManager.shadowGenerator.forceCompilation = true;
             }
-            
-            // Update color based on type
-            this.updatePolygonColorByType(newType);
-            
-            // Update polygon name based on type
-            const newName = this.generateUniquePolygonName(newType);
-            document.getElementById('polygonName').value = newName;
-            
-            // Update polygon material in real-time
-            if (this.currentShape) {
-                this.updatePolygonMaterialByType(this.currentShape, newType);
-                // Update polygon name in real-time
-                this.currentShape.name = newName;
+            // Auto-adjust shadow frustum after changing max Z
+            if (this.lightingManager.autoAdjustShadowFrustum) {
+                setTimeout(() => {
+                    this.lightingManager.autoAdjustShadowFrustum();
+                }, 100);
             }
-        });
+        }
+    }
 
-        // Polygon color change listener
-        document.getElementById('polygonColor').addEventListener('input', (e) => {
-            const newColor = e.target.value;
-            console.log('Polygon color changed to:', newColor);
-            
-            // Update polygon material color in real-time
-            if (this.currentShape && this.currentShape.material) {
-                const color = this.hexToRgb(newColor);
-                this.currentShape.material.diffuseColor = new BABYLON.Color3(color.r, color.g, color.b);
+    updateShadowMaxZDisplay(maxZ) {
+        const valueDisplay = document.getElementById('shadowMaxZValuePref');
+        if (valueDisplay) {
+            valueDisplay.textContent = maxZ.toFixed(0);
+        }
+    }
+
+    /**
+     * Set light position X
+     */
+    setLightPositionX(x) {
+        if (this.lightingManager && this.lightingManager.directionalLight) {
+            this.lightingManager.directionalLight.position.x = x;
+            // Update light helper if it exists
+            if (this.lightingManager.updateLightHelper) {
+                this.lightingManager.updateLightHelper();
             }
-        });
+        }
+    }
 
-        // Polygon height change listener (only for building type)
-        document.getElementById('polygonHeight').addEventListener('input', (e) => {
-            const newHeight = parseFloat(e.target.value) || 1;
-            console.log('Polygon height changed to:', newHeight);
-            
-            // Update polygon height in real-time (only for building type)
-            if (this.currentShape && this.currentShape.userData?.type === 'building') {
-                const originalHeight = this.currentShape.userData?.originalHeight || 0.05;
-                const scaleFactor = newHeight / originalHeight;
-                const baseY = this.getPolygonBaseWorldY(this.currentShape);
-                
-                this.currentShape.scaling.y = scaleFactor;
-                this.realignPolygonBase(this.currentShape, baseY);
-                this.currentShape.userData.currentHeight = newHeight;
+    updateLightPositionXDisplay(x) {
+        const valueDisplay = document.getElementById('lightPositionXValuePref');
+        if (valueDisplay) {
+            valueDisplay.textContent = x.toFixed(0);
+        }
+    }
+
+    /**
+     * Set light position Y
+     */
+    setLightPositionY(y) {
+        if (this.lightingManager && this.lightingManager.directionalLight) {
+            this.lightingManager.directionalLight.position.y = y;
+            // Update light helper if it exists
+            if (this.lightingManager.updateLightHelper) {
+                this.lightingManager.updateLightHelper();
             }
-        });
+        }
+    }
 
-        // Shape type change
-        document.getElementById('shapeType').addEventListener('change', (e) => {
-            const newType = e.target.value;
-            console.log('Shape type changed to:', newType);
-            
-            // Check if type actually changed before updating userData
-            const currentType = this.currentShape?.userData?.type;
-            const typeChanged = currentType !== newType;
-            console.log('Shape type change check:', { currentType, newType, typeChanged });
-            
-            // Always update color when type changes, even if it's the same type
-            // This ensures color picker reflects the correct type-based color
-            if (this.currentShape) {
-                const newColor = this.getHexColorByType(newType);
-                console.log('Getting color for type:', newType, 'result:', newColor);
-                document.getElementById('shapeColor').value = newColor;
-                console.log('Auto-updated shape color to:', newColor, 'for type:', newType);
+    updateLightPositionYDisplay(y) {
+        const valueDisplay = document.getElementById('lightPositionYValuePref');
+        if (valueDisplay) {
+            valueDisplay.textContent = y.toFixed(0);
+        }
+    }
+
+    /**
+     * Set light position Z
+     */
+    setLightPositionZ(z) {
+        if (this.lightingManager && this.lightingManager.directionalLight) {
+            this.lightingManager.directionalLight.position.z = z;
+            // Update light helper if it exists
+            if (this.lightingManager.updateLightHelper) {
+                this.lightingManager.updateLightHelper();
             }
-            
-            this.updatePropertiesFields(newType);
-            
-            // Update userData type
-            if (this.currentShape) {
-                this.currentShape.userData = this.currentShape.userData || {};
-                this.currentShape.userData.type = newType;
-                console.log('Updated userData.type to:', newType);
+        }
+    }
+
+    updateLightPositionZDisplay(z) {
+        const valueDisplay = document.getElementById('lightPositionZValuePref');
+        if (valueDisplay) {
+            valueDisplay.textContent = z.toFixed(0);
+        }
+    }
+
+    /**
+     * Set light direction X
+     */
+    setLightDirectionX(x) {
+        if (this.lightingManager && this.lightingManager.directionalLight) {
+            // Get current Y and Z values before normalizing
+            const currentY = this.lightingManager.directionalLight.direction.y;
+            const currentZ = this.lightingManager.directionalLight.direction.z;
+            // Set new direction
+            this.lightingManager.directionalLight.direction = new BABYLON.Vector3(x, currentY, currentZ);
+            // Normalize direction vector
+            this.lightingManager.directionalLight.direction.normalize();
+            // Update sliders to reflect normalized values
+            this.updateLightDirectionXDisplay(this.lightingManager.directionalLight.direction.x);
+            this.updateLightDirectionYDisplay(this.lightingManager.directionalLight.direction.y);
+            this.updateLightDirectionZDisplay(this.lightingManager.directionalLight.direction.z);
+            // Update light helper if it exists
+            if (this.lightingManager.updateLightHelper) {
+                this.lightingManager.updateLightHelper();
             }
-            
-            // Update name based on new type (only if type actually changed)
-            if (typeChanged) {
-                const newName = this.generateUniqueNameByType(newType);
-                console.log('Type changed from', currentType, 'to', newType, '- generating new name:', newName);
-                // Update both the shape name and the popup field
-                this.currentShape.name = newName;
-                document.getElementById('shapeName').value = newName;
-                
-                // Automatically update color based on new type
-                const newColor = this.getHexColorByType(newType);
-                console.log('Getting color for type:', newType, 'result:', newColor);
-                document.getElementById('shapeColor').value = newColor;
-                console.log('Auto-updated shape color to:', newColor, 'for type:', newType);
+            // Force shadow map update
+            if (this.lightingManager.shadowGenerator) {
+                this.lightingManager.shadowGenerator.forceCompilation = true;
             }
-            
-            this.updateShapeInRealTime();
-        });
+        }
+    }
+
+    updateLightDirectionXDisplay(x) {
+        const valueDisplay = document.getElementById('lightDirectionXValuePref');
+        const slider = document.getElementById('lightDirectionXPref');
+        if (valueDisplay) {
+            valueDisplay.textContent = x.toFixed(1);
+        }
+        if (slider) {
+            slider.value = x;
+        }
+    }
+
+    /**
+     * Set light direction Y
+     */
+    setLightDirectionY(y) {
+        if (this.lightingManager && this.lightingManager.directionalLight) {
+            // Get current X and Z values before normalizing
+            const currentX = this.lightingManager.directionalLight.direction.x;
+            const currentZ = this.lightingManager.directionalLight.direction.z;
+            // Set new direction
+            this.lightingManager.directionalLight.direction = new BABYLON.Vector3(currentX, y, currentZ);
+            // Normalize direction vector
+            this.lightingManager.directionalLight.direction.normalize();
+            // Update sliders to reflect normalized values
+            this.updateLightDirectionXDisplay(this.lightingManager.directionalLight.direction.x);
+            this.updateLightDirectionYDisplay(this.lightingManager.directionalLight.direction.y);
+            this.updateLightDirectionZDisplay(this.lightingManager.directionalLight.direction.z);
+            // Update light helper if it exists
+            if (this.lightingManager.updateLightHelper) {
+                this.lightingManager.updateLightHelper();
+            }
+            // Force shadow map update
+            if (this.lightingManager.shadowGenerator) {
+                this.lightingManager.shadowGenerator.forceCompilation = true;
+            }
+        }
+    }
+
+    updateLightDirectionYDisplay(y) {
+        const valueDisplay = document.getElementById('lightDirectionYValuePref');
+        const slider = document.getElementById('lightDirectionYPref');
+        if (valueDisplay) {
+            valueDisplay.textContent = y.toFixed(1);
+        }
+        if (slider) {
+            slider.value = y;
+        }
+    }
+
+    /**
+     * Set light direction Z
+     */
+    setLightDirectionZ(z) {
+        if (this.lightingManager && this.lightingManager.directionalLight) {
+            // Get current X and Y values before normalizing
+            const currentX = this.lightingManager.directionalLight.direction.x;
+            const currentY = this.lightingManager.directionalLight.direction.y;
+            // Set new direction
+            this.lightingManager.directionalLight.direction = new BABYLON.Vector3(currentX, currentY, z);
+            // Normalize direction vector
+            this.lightingManager.directionalLight.direction.normalize();
+            // Update sliders to reflect normalized values
+            this.updateLightDirectionXDisplay(this.lightingManager.directionalLight.direction.x);
+            this.updateLightDirectionYDisplay(this.lightingManager.directionalLight.direction.y);
+            this.updateLightDirectionZDisplay(this.lightingManager.directionalLight.direction.z);
+            // Update light helper if it exists
+            if (this.lightingManager.updateLightHelper) {
+                this.lightingManager.updateLightHelper();
+            }
+            // Force shadow map update
+            if (this.lightingManager.shadowGenerator) {
+                this.lightingManager.shadowGenerator.forceCompilation = true;
+            }
+        }
+    }
+
+    updateLightDirectionZDisplay(z) {
+        const valueDisplay = document.getElementById('lightDirectionZValuePref');
+        const slider = document.getElementById('lightDirectionZPref');
+        if (valueDisplay) {
+            valueDisplay.textContent = z.toFixed(1);
+        }
+        if (slider) {
+            slider.value = z;
+        }
+    }
+
+    /**
+     * Reset camera
+     */
+    resetCamera() {
+        this.cameraController.resetCamera();
+    }
+
+    /**
+     * Zoom to fit ground
+     */
+    zoomToFitGround() {
+        this.cameraController.zoomToFitGround();
+    }
+
+    /**
+     * Show/hide loading state
+     */
+    showLoading(show) {
+        const loading = document.getElementById('loading');
+        if (loading) {
+            loading.style.display = show ? 'flex' : 'none';
+        }
+    }
+
+    /**
+     * Start stats update interval
+     */
+    startStatsUpdate() {
+        this.statsInterval = setInterval(() => {
+            this.updateStats();
+        }, 1000);
+    }
+
+    /**
+     * Update statistics display
+     */
+    updateStats() {
+        const sceneStats = this.sceneManager.getStats();
+        const buildingStats = this.buildingGenerator.getStats();
+        const lightingStats = this.lightingManager.getStats();
+
+        // Update FPS counter (if footer exists)
+        const fpsCounter = document.getElementById('fpsCounter');
+        if (fpsCounter) {
+            fpsCounter.textContent = `FPS: ${Math.round(sceneStats.fps)}`;
+        }
+
+        // Update object count (if footer exists)
+        const objectCount = document.getElementById('objectCount');
+        if (objectCount) {
+            objectCount.textContent = `Objects: ${sceneStats.meshCount}`;
+        }
+    }
+
+    /**
+     * Handle window resize
+     */
+    handleResize() {
+        if (this.sceneManager && this.sceneManager.getEngine()) {
+            this.sceneManager.getEngine().resize();
+        }
+    }
+
+    /**
+     * Show notification
+     */
+    showNotification(message, type = 'info') {
+        // Popup removed
+    }
+
+
+    /**
+     * Show move instructions
+     */
+    showMoveInstructions() {
+        // Popup removed
+    }
+
+    /**
+     * Show rotate instructions
+     */
+    showRotateInstructions() {
+        // Popup removed
+    }
+
+    /**
+     * Toggle coordinate mode (Local/Global)
+     */
+    toggleCoordinateMode() {
+        // Don't allow coordinate toggle when scale tool is active (scale only works in local)
+        const activeTool = this.getActiveTransformTool();
+        if (activeTool === 'scale') {
+            console.log('Coordinate toggle is disabled for scale tool (scale only works in local mode)');
+            return;
+        }
+        
+        // Toggle coordinate mode
+        this.isGlobalMode = !this.isGlobalMode;
+        
+        // Update UI
+        this.updateCoordinateToggleUI();
+        
+        // Update transform managers
+        this.updateTransformManagers();
+        
+    }
+
+    /**
+     * Update coordinate toggle UI
+     */
+    updateCoordinateToggleUI() {
+        const toggleButton = document.getElementById('coordinateToggle');
+        const toggleIcon = document.getElementById('coordinateIcon');
+        
+        if (toggleButton && toggleIcon) {
+            if (this.isGlobalMode) {
+                toggleButton.classList.remove('local-mode');
+                toggleButton.classList.add('global-mode');
+                toggleIcon.src = 'icons/global.svg';
+                toggleButton.title = 'Switch to Local Coordinates';
+            } else {
+                toggleButton.classList.remove('global-mode');
+                toggleButton.classList.add('local-mode');
+                toggleIcon.src = 'icons/local.svg';
+                toggleButton.title = 'Switch to Global Coordinates';
+            }
+        }
+    }
+
+    /**
+     * Disable coordinate toggle button
+     */
+    disableCoordinateToggle() {
+        const toggleButton = document.getElementById('coordinateToggle');
+        if (toggleButton) {
+            toggleButton.style.opacity = '0.5';
+            toggleButton.style.pointerEvents = 'none';
+            toggleButton.style.cursor = 'not-allowed';
+        }
+    }
+
+    /**
+     * Enable coordinate toggle button
+     */
+    enableCoordinateToggle() {
+        const toggleButton = document.getElementById('coordinateToggle');
+        if (toggleButton) {
+            toggleButton.style.opacity = '1';
+            toggleButton.style.pointerEvents = 'auto';
+            toggleButton.style.cursor = 'pointer';
+        }
+    }
+
+    /**
+     * Show scale instructions
+     */
+    showScaleInstructions() {
+        // Popup removed
+    }
+
+    /**
+     * Update transform managers with current coordinate mode
+     */
+    updateTransformManagers() {
+        // Update move manager
+        if (this.moveManager) {
+            this.moveManager.setCoordinateMode(this.isGlobalMode);
+        }
+        
+        // Update rotate manager
+        if (this.rotateManager) {
+            this.rotateManager.setCoordinateMode(this.isGlobalMode);
+        }
+        
+        // Update scale manager
+        if (this.scaleManager) {
+            this.scaleManager.setCoordinateMode(this.isGlobalMode);
+        }
+    }
+
+    /**
+     * Test 2D shapes
+     */
+    test2DShapes() {
+        if (!this.shape2DManager) {
+            return;
+        }
+
+
+        // Create a line
+        const startPoint = new BABYLON.Vector3(-10, 0, 0);
+        const endPoint = new BABYLON.Vector3(10, 0, 0);
+        this.shape2DManager.createLine(startPoint, endPoint, new BABYLON.Color3(1, 1, 0));
+
+        // Create a rectangle
+        this.shape2DManager.createRectangle(5, 3, new BABYLON.Vector3(0, 0, 5), new BABYLON.Color3(1, 0, 0));
+
+        // Create a circle
+        this.shape2DManager.createCircle(2, new BABYLON.Vector3(0, 0, -5), new BABYLON.Color3(0, 1, 0));
+
+        // Create a triangle
+        this.shape2DManager.createTriangle(4, new BABYLON.Vector3(8, 0, 0), new BABYLON.Color3(0, 0, 1));
+
+        // Create 3D text
+        this.shape2DManager.createText("2D Shapes Test", 1, new BABYLON.Vector3(0, 2, 0), new BABYLON.Color3(1, 1, 1));
+
+        // Create a polyline
+        const polylinePoints = [
+            new BABYLON.Vector3(-5, 0, -10),
+            new BABYLON.Vector3(-3, 2, -10),
+            new BABYLON.Vector3(-1, 0, -10),
+            new BABYLON.Vector3(1, 2, -10),
+            new BABYLON.Vector3(3, 0, -10),
+            new BABYLON.Vector3(5, 2, -10)
+        ];
+        this.shape2DManager.createPolyline(polylinePoints, new BABYLON.Color3(1, 0, 1));
+
+    }
+
+    /**
+     * Create rectangle
+     */
+    createRectangle() {
+        if (!this.rectangleManager) {
+            return;
+        }
+
+        // Disable camera controls during drawing
+        this.disableCameraControls();
+
+        // Set callback for when drawing stops
+        this.rectangleManager.onDrawingStopped = () => {
+            this.enableCameraControls();
+            // Deactivate drawing tool after drawing is complete
+            this.deactivateDrawingTool();
+        };
+
+        // Set callback for when rectangle is created
+        this.rectangleManager.onRectangleCreated = (rectangle) => {
+            // Add to selection manager
+            if (this.selectionManager) {
+                this.selectionManager.addSelectableObject(rectangle);
+            }
+            
+            // Add to scene
+            if (this.sceneManager) {
+                this.sceneManager.addBuilding(rectangle);
+            }
+            
+            if (this.historyManager) {
+                this.historyManager.recordCreation([rectangle], 'Draw rectangle');
+            }
+            
+            // Switch back to select tool after completion
+            this.activateSelectTool();
+            
+            // Automatically select the newly created rectangle
+            if (this.selectionManager) {
+                this.selectionManager.selectObject(rectangle, false, true);
+            }
+            
+            // Dispatch scene change event to update object list
+            this.dispatchSceneChangeEvent();
+            
+            console.log('Rectangle created:', rectangle.name);
+        };
+
+        // Start interactive rectangle drawing
+        this.rectangleManager.startInteractiveDrawing();
+    }
+
+    /**
+     * Create circle
+     */
+    createCircle() {
+        if (!this.circleManager) {
+            return;
+        }
+
+        // Disable camera controls during drawing
+        this.disableCameraControls();
+
+        // Set callback for when drawing stops
+        this.circleManager.onDrawingStopped = () => {
+            this.enableCameraControls();
+            // Deactivate drawing tool after drawing is complete
+            this.deactivateDrawingTool();
+        };
+
+        // Set callback for when circle is created
+        this.circleManager.onCircleCreated = (circle) => {
+            // Add to selection manager
+            if (this.selectionManager) {
+                this.selectionManager.addSelectableObject(circle);
+            }
+            
+            // Add to scene
+            if (this.sceneManager) {
+                this.sceneManager.addBuilding(circle);
+            }
+            
+            if (this.historyManager) {
+                this.historyManager.recordCreation([circle], 'Draw circle');
+            }
+            
+            // Switch back to select tool after completion
+            this.activateSelectTool();
+            
+            // Automatically select the newly created circle
+            if (this.selectionManager) {
+                this.selectionManager.selectObject(circle, false, true);
+            }
+            
+            // Dispatch scene change event to update object list
+            this.dispatchSceneChangeEvent();
+            
+            console.log('Circle created:', circle.name);
+        };
+
+        // Start interactive circle drawing
+        this.circleManager.startInteractiveDrawing();
+    }
+
+
+    /**
+     * Setup drawing event listeners
+     */
+    setupDrawingEventListeners() {
+        if (!this.sceneManager || !this.sceneManager.canvas) return;
+
+        const canvas = this.sceneManager.canvas;
+        let isMouseDown = false;
+        let isDragging = false;
+        let lastTreePosition = null;
+        let placedTrees = []; // Trees placed during the current click/drag, recorded as one undo step
+        let treePlacementInterval = null;
+        // Dynamic tree placement distance will be retrieved from TreeManager
+
+        // Helper function to check if point is on ground
+        const isPointOnGround = (x, y) => {
+            const pickResult = this.sceneManager.getScene().pick(x, y, (mesh) => {
+                return mesh.name === 'earth';
+            });
+            return pickResult && pickResult.hit && pickResult.pickedMesh && 
+                   pickResult.pickedMesh.name === 'earth';
+        };
+
+        // Helper function to get what mesh is under the mouse
+        const getMeshUnderMouse = (x, y) => {
+            const pickResult = this.sceneManager.getScene().pick(x, y);
+            if (pickResult && pickResult.hit && pickResult.pickedMesh) {
+                return pickResult.pickedMesh.name;
+            }
+            return null;
+        };
+
+        // Mouse down
+        canvas.addEventListener('pointerdown', (event) => {
+            // Handle polygon drawing - only left click
+            if (this.polygonManager && this.polygonManager.isCurrentlyDrawing && event.button === 0) {
+                event.preventDefault();
+                event.stopPropagation();
+
+                // Get ground intersection point
+                const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
+                    return mesh.name === 'earth';
+                });
+                if (pickResult && pickResult.hit && pickResult.pickedMesh && 
+                    (pickResult.pickedMesh.name === 'earth' || pickResult.pickedMesh.name === 'invisible_ground')) {
+                    const point = pickResult.pickedPoint;
+                    this.polygonManager.addPoint(point);
+                }
+                return;
+            }
+
+            // Handle tree placement - only left click
+            if (this.treeManager && this.treeManager.isCurrentlyPlacing() && event.button === 0) {
+                event.preventDefault();
+                event.stopPropagation();
+
+                // Check if point is on ground
+                if (isPointOnGround(event.offsetX, event.offsetY)) {
+                    // Get ground intersection point
+                    const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
+                        return mesh.name === 'earth';
+                    });
+                    const point = pickResult.pickedPoint;
+                    
+                    // Place first tree
+                    const treeData = this.treeManager.placeTree(point);
+                    placedTrees = treeData ? [treeData.parent] : [];
+                    lastTreePosition = point.clone();
+                    
+                    // Start dragging for continuous tree placement
+                    isMouseDown = true;
+                    isDragging = false;
+                } else {
+                    // If not on ground, don't start dragging
+                    const meshName = getMeshUnderMouse(event.offsetX, event.offsetY);
+                    console.log(`Tree placement blocked - mouse over: ${meshName || 'nothing'}`);
+                }
+                return;
+            }
+
+            if (!this.shape2DManager || !this.shape2DManager.isCurrentlyDrawing()) return;
+
+            // Prevent camera movement during drawing
+            event.preventDefault();
+            event.stopPropagation();
+
+            isMouseDown = true;
+            isDragging = false;
+
+            // Get ground intersection point (ignore temp shapes during drawing)
+            const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
+                // Only pick ground, ignore temp shapes
+                return mesh.name === 'earth';
+            });
+            if (pickResult && pickResult.hit && pickResult.pickedMesh && pickResult.pickedMesh.name === 'earth') {
+                const point = pickResult.pickedPoint;
+                this.shape2DManager.onMouseDown(point);
+            }
+        });
+
+        // Mouse move
+        canvas.addEventListener('pointermove', (event) => {
+            // Handle polygon preview
+            if (this.polygonManager && this.polygonManager.isCurrentlyDrawing) {
+                event.preventDefault();
+                event.stopPropagation();
+
+                // Get ground intersection point for preview
+                const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
+                    return mesh.name === 'earth';
+                });
+                if (pickResult && pickResult.hit && pickResult.pickedMesh && pickResult.pickedMesh.name === 'earth') {
+                    const point = pickResult.pickedPoint;
+                    this.polygonManager.updatePreview(point);
+                }
+                return;
+            }
+
+            // Handle continuous tree placement during drag
+            if (this.treeManager && this.treeManager.isCurrentlyPlacing() && isMouseDown) {
+                event.preventDefault();
+                event.stopPropagation();
+
+                // Check if point is on ground
+                if (isPointOnGround(event.offsetX, event.offsetY)) {
+                    // Get ground intersection point
+                    const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
+                        return mesh.name === 'earth';
+                    });
+                    const point = pickResult.pickedPoint;
+                    
+                    // Check if we should place a new tree (minimum distance with random variation)
+                    if (lastTreePosition) {
+                        const currentDistance = BABYLON.Vector3.Distance(point, lastTreePosition);
+                        const requiredDistance = this.treeManager.getRandomTreeDistance();
+                        
+                        if (currentDistance > requiredDistance) {
+                            const treeData = this.treeManager.placeTree(point);
+                            if (treeData) {
+                                placedTrees.push(treeData.parent);
+                            }
+                            lastTreePosition = point.clone();
+                            isDragging = true;
+                        }
+                    }
+                } else {
+                    // If not on ground (on building), don't place trees during drag
+                    // But continue dragging to allow resuming when back on ground
+                    const meshName = getMeshUnderMouse(event.offsetX, event.offsetY);
+                    console.log(`Tree placement blocked during drag - mouse over: ${meshName || 'nothing'}`);
+                }
+                return;
+            }
+
+            // Prevent camera movement during tree placement
+            if (this.treeManager && this.treeManager.isCurrentlyPlacing()) {
+                event.preventDefault();
+                event.stopPropagation();
+                return;
+            }
+
+            if (!this.shape2DManager || !this.shape2DManager.isCurrentlyDrawing()) return;
+
+            // Only handle mouse move if mouse is down (dragging)
+            if (isMouseDown) {
+                // Prevent camera movement during drawing
+                event.preventDefault();
+                event.stopPropagation();
+
+                isDragging = true;
+
+                // Get ground intersection point (ignore temp shapes during drawing)
+                const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
+                    // Only pick ground, ignore temp shapes
+                    return mesh.name === 'earth';
+                });
+                if (pickResult && pickResult.hit && pickResult.pickedMesh && pickResult.pickedMesh.name === 'earth') {
+                    const point = pickResult.pickedPoint;
+                    this.shape2DManager.onMouseMove(point);
+                }
+            }
+        });
+
+        // Mouse up
+        canvas.addEventListener('pointerup', (event) => {
+            // Handle tree placement drag end
+            if (this.treeManager && this.treeManager.isCurrentlyPlacing() && isMouseDown) {
+                event.preventDefault();
+                event.stopPropagation();
+                
+                // End dragging
+                isMouseDown = false;
+                isDragging = false;
+                lastTreePosition = null;
+                
+                if (placedTrees.length > 0 && this.historyManager) {
+                    this.historyManager.recordCreation(placedTrees, placedTrees.length > 1 ? 'Place trees' : 'Place tree');
+                }
+                placedTrees = [];
+                
+                console.log('Tree placement drag ended');
+                return;
+            }
+
+            // Prevent camera movement during tree placement
+            if (this.treeManager && this.treeManager.isCurrentlyPlacing()) {
+                event.preventDefault();
+                event.stopPropagation();
+                return;
+            }
+
+            if (!this.shape2DManager || !this.shape2DManager.isCurrentlyDrawing()) return;
+
+            // Prevent camera movement during drawing
+            event.preventDefault();
+            event.stopPropagation();
+
+            if (isMouseDown) {
+                isMouseDown = false;
+
+                // Get ground intersection point (ignore temp shapes during drawing)
+                const pickResult = this.sceneManager.getScene().pick(event.offsetX, event.offsetY, (mesh) => {
+                    // Only pick ground, ignore temp shapes
+                    return mesh.name === 'earth';
+                });
+                if (pickResult && pickResult.hit && pickResult.pickedMesh && pickResult.pickedMesh.name === 'earth') {
+                    const point = pickResult.pickedPoint;
+                    this.shape2DManager.onMouseUp(point);
+                }
+            }
+        });
+
+
+        // Keyboard events - Using event.code instead of event.key for language-independent shortcuts
+        document.addEventListener('keydown', (event) => {
+            // Handle polygon drawing specific keys first
+            if (this.polygonManager && this.polygonManager.isCurrentlyDrawing) {
+                if (event.code === 'Backspace') {
+                    // Remove last point during polygon drawing
+                    const removed = this.polygonManager.removeLastPoint();
+                    if (removed) {
+                        console.log('Last point removed from polygon');
+                        event.preventDefault(); // Prevent default browser behavior
+                    }
+                    return;
+                } else if (event.code === 'Escape') {
+                    this.cancelPolygonDrawing();
+                    
+                    // Deactivate drawing tool
+                    const activeTool = document.querySelector('#drawingPanel .tool-item.active');
+                    if (activeTool) {
+                        activeTool.classList.remove('active');
+                    }
+                    
+                    return;
+                } else if (event.code === 'Enter') {
+                    this.completePolygonDrawing();
+                    
+                    // Deactivate drawing tool
+                    const activeTool = document.querySelector('#drawingPanel .tool-item.active');
+                    if (activeTool) {
+                        activeTool.classList.remove('active');
+                    }
+                    
+                    return;
+                }
+            }
+
+
+            // Handle vertex editing keys
+            if (this.vertexEditManager && this.vertexEditManager.isActive) {
+                if (event.code === 'Backspace') {
+                    if (this.vertexEditManager.removeSelectedVertex()) {
+                        event.preventDefault();
+                    }
+                    return;
+                } else if (event.code === 'Enter') {
+                    this.vertexEditManager.finish();
+                    return;
+                } else if (event.code === 'Escape') {
+                    this.vertexEditManager.cancel();
+                    return;
+                }
+            }
+
+            // Handle measure tool keys
+            if (this.measureManager && this.measureManager.isActive) {
+                if (event.code === 'Backspace') {
+                    if (this.measureManager.removeLastPoint()) {
+                        event.preventDefault();
+                    }
+                    return;
+                } else if (event.code === 'Enter') {
+                    this.measureManager.finish();
+                    return;
+                } else if (event.code === 'Escape') {
+                    if (this.measureManager.isMeasuring()) {
+                        // First Escape drops the unfinished measurement, the next one leaves the tool
+                        this.measureManager.cancel();
+                    } else {
+                        this.selectTransformTool('select');
+                    }
+                    return;
+                }
+            }
+
+            // Handle polyline tool keys
+            if (this.polylineManager && this.polylineManager.isActive) {
+                if (event.code === 'Backspace') {
+                    if (this.polylineManager.removeLastPoint()) {
+                        event.preventDefault();
+                    }
+                    return;
+                } else if (event.code === 'Enter') {
+                    this.polylineManager.finish();
+                    return;
+                } else if (event.code === 'Escape') {
+                    if (this.polylineManager.isDrawing()) {
+                        this.polylineManager.cancel();
+                    } else {
+                        this.selectTransformTool('select');
+                    }
+                    return;
+                }
+            }
+
+            // Handle Shift+F for statistics toggle (using event.code for language independence)
+            if (event.shiftKey && event.code === 'KeyF') {
+                event.preventDefault();
+                this.toggleStatistics();
+                return;
+            }
+
+            // Handle Escape key for other drawing modes
+            if (this.shape2DManager && this.shape2DManager.isCurrentlyDrawing()) {
+                if (event.code === 'Escape') {
+                    this.shape2DManager.stopInteractiveDrawing();
+                    
+                    // Re-enable camera controls
+                    this.enableCameraControls();
+                    
+                    // Deactivate drawing tool
+                    const activeTool = document.querySelector('#drawingPanel .tool-item.active');
+                    if (activeTool) {
+                        activeTool.classList.remove('active');
+                    }
+                    
+                    console.log('Drawing cancelled');
+                }
+            } else if (this.treeManager && this.treeManager.isCurrentlyPlacing()) {
+                if (event.code === 'Escape') {
+                    this.deactivateTreePlacement();
+                    console.log('Tree placement cancelled');
+                }
+            }
+
+            // Handle Shift+A for Select All (using event.code for language independence)
+            if (event.shiftKey && event.code === 'KeyA') {
+                event.preventDefault(); // Prevent default browser behavior
+                this.selectAll();
+                return;
+            }
+
+            // Handle Shift+D for Clear Selection (using event.code for language independence)
+            if (event.shiftKey && event.code === 'KeyD') {
+                event.preventDefault(); // Prevent default browser behavior
+                this.clearSelection();
+                return;
+            }
+
+            // Handle Ctrl+Z / Ctrl+Y / Ctrl+Shift+Z for Undo/Redo (using event.code for language independence)
+            if ((event.ctrlKey || event.metaKey) && (event.code === 'KeyZ' || event.code === 'KeyY')) {
+                const activeElement = document.activeElement;
+                if (activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA')) {
+                    return; // Keep native text undo in input fields
+                }
+                if (this.isDrawingModeActive() || (this.polygonManager && this.polygonManager.isCurrentlyDrawing) ||
+                    (this.vertexEditManager && this.vertexEditManager.isActive)) {
+                    return; // Don't rewrite the scene while a shape is being drawn or edited
+                }
+
+                event.preventDefault();
+                if (event.code === 'KeyY' || event.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return;
+            }
+
+            // Handle Ctrl+L for Object List Toggle (using event.code for language independence)
+            if (event.ctrlKey && event.code === 'KeyL') {
+                event.preventDefault(); // Prevent default browser behavior
+                this.toggleObjectList();
+                return;
+            }
+
+            // Handle Ctrl+Alt+D for Duplicate (using event.code for language independence)
+            if (event.ctrlKey && event.altKey && event.code === 'KeyD') {
+                event.preventDefault(); // Prevent default browser behavior
+                event.stopPropagation(); // Stop event propagation
+                console.log('Ctrl+Alt+D pressed - duplicating selected objects');
+                this.duplicateSelected();
+                return;
+            }
+        });
+        
+        // Also add global keyboard listener for duplicate (in case document listener doesn't catch it)
+        window.addEventListener('keydown', (event) => {
+            // Handle Ctrl+Alt+D for Duplicate (using event.code for language independence)
+            if (event.ctrlKey && event.altKey && event.code === 'KeyD') {
+                // Only handle if no input field is focused
+                const activeElement = document.activeElement;
+                const isInputFocused = activeElement && (
+                    activeElement.tagName === 'INPUT' || 
+                    activeElement.tagName === 'TEXTAREA' ||
+                    activeElement.isContentEditable
+                );
+                
+                if (!isInputFocused) {
+                    event.preventDefault();
+                    event.stopPropagation();
+                    console.log('Ctrl+Alt+D pressed (window listener) - duplicating selected objects');
+                    this.duplicateSelected();
+                }
+            }
+        }, true); // Use capture phase
+
+        // Right click to exit drawing mode and switch to select tool
+        // Use capture phase to handle before SelectionManager's contextmenu handler
+        canvas.addEventListener('contextmenu', (event) => {
+            // Check if we're in drawing mode (rectangle, circle, polygon) or tree placement
+            const isDrawingActive = this.isDrawingModeActive();
+            const isTreeActive = this.treeManager && this.treeManager.isCurrentlyPlacing();
+            
+            if (isDrawingActive || isTreeActive) {
+                event.preventDefault();
+                event.stopPropagation();
+                event.stopImmediatePropagation(); // Stop all other handlers on this element
+                
+                // Stop all drawing operations
+                this.stopAllDrawingOperations();
+                
+                // Deactivate all drawing tools
+                const allDrawingTools = document.querySelectorAll('#drawingPanel .tool-item');
+                allDrawingTools.forEach(tool => tool.classList.remove('active'));
+                
+                // Activate select tool
+                this.selectTransformTool('select');
+                
+                console.log('Exited drawing mode via right click, switched to select tool');
+            }
+        }, true); // Use capture phase
+    }
+
+    /**
+     * Disable camera controls
+     */
+    disableCameraControls() {
+        if (this.cameraController && this.cameraController.camera) {
+            // Store current camera state
+            this.cameraControlsDisabled = true;
+            
+            // Use CameraController's method to disable controls
+            if (typeof this.cameraController.setControlsEnabled === 'function') {
+                this.cameraController.setControlsEnabled(false);
+                console.log('Camera controls disabled via CameraController');
+            } else {
+                // Fallback to direct camera control
+                if (typeof this.cameraController.camera.detachControls === 'function') {
+                    this.cameraController.camera.detachControls();
+                    console.log('Camera controls disabled via detachControls');
+                } else if (typeof this.cameraController.camera.detachControl === 'function') {
+                    this.cameraController.camera.detachControl();
+                    console.log('Camera controls disabled via detachControl');
+                }
+            }
+            
+            console.log('Camera controls disabled for drawing');
+        } else {
+            console.warn('Cannot disable camera controls: cameraController or camera not available');
+        }
+    }
+
+    /**
+     * Enable camera controls
+     */
+    enableCameraControls() {
+        if (this.cameraController && this.cameraController.camera) {
+            // Use CameraController's method to enable controls
+            if (typeof this.cameraController.setControlsEnabled === 'function') {
+                this.cameraController.setControlsEnabled(true);
+                console.log('Camera controls enabled via CameraController');
+            } else {
+                // Fallback to direct camera control
+                if (typeof this.cameraController.camera.attachControl === 'function') {
+                    this.cameraController.camera.attachControl(this.sceneManager.canvas, true);
+                    console.log('Camera controls enabled via attachControl');
+                } else if (typeof this.cameraController.camera.attachControls === 'function') {
+                    this.cameraController.camera.attachControls(this.sceneManager.canvas, true);
+                    console.log('Camera controls enabled via attachControls');
+                }
+            }
+            
+            this.cameraControlsDisabled = false;
+            console.log('Camera controls enabled');
+        } else {
+            console.warn('Cannot enable camera controls: cameraController or camera not available');
+        }
+    }
+
+    /**
+     * Deactivate drawing tool
+     */
+    deactivateDrawingTool() {
+        const activeTool = document.querySelector('#drawingPanel .tool-item.active');
+        if (activeTool) {
+            activeTool.classList.remove('active');
+        }
+        
+        // Also deactivate tree placement when deactivating drawing tools
+        this.deactivateTreePlacement();
+    }
+
+    /**
+     * Check if any drawing tool is currently active
+     */
+    isDrawingModeActive() {
+        const activeDrawingTool = document.querySelector('#drawingPanel .tool-item.active');
+        return activeDrawingTool !== null;
+    }
+
+    /**
+     * Stop all active drawing operations
+     */
+    stopAllDrawingOperations() {
+        // Stop polygon drawing
+        if (this.polygonManager && this.polygonManager.isDrawing) {
+            this.stopPolygonDrawing();
+        }
+
+        // Stop rectangle drawing
+        if (this.rectangleManager && this.rectangleManager.isDrawing) {
+            this.rectangleManager.stopInteractiveDrawing();
+        }
+
+        // Stop circle drawing
+        if (this.circleManager && this.circleManager.isDrawing) {
+            this.circleManager.stopInteractiveDrawing();
+        }
+
+        // Stop tree placement
+        this.deactivateTreePlacement();
+
+        // Stop measuring
+        if (this.measureManager) {
+            this.measureManager.deactivate();
+        }
+
+        // Stop polyline drawing
+        if (this.polylineManager) {
+            this.polylineManager.deactivate();
+        }
+
+        // Stop any other drawing operations
+        if (this.shape2DManager && this.shape2DManager.isCurrentlyDrawing()) {
+            this.shape2DManager.stopInteractiveDrawing();
+        }
+
+        // Re-enable camera controls
+        this.enableCameraControls();
+    }
+
+    /**
+     * Check if select tool is active
+     */
+    isSelectToolActive() {
+        const activeTool = document.querySelector('#transformPanel .tool-item.active');
+        return activeTool && activeTool.getAttribute('data-tool') === 'select';
+    }
+
+    /**
+     * Check if any transform tool is active (select, move, rotate, scale)
+     */
+    isAnyTransformToolActive() {
+        const activeTool = document.querySelector('#transformPanel .tool-item.active');
+        if (!activeTool) return false;
+        
+        const toolName = activeTool.getAttribute('data-tool');
+        return ['select', 'move', 'rotate', 'scale'].includes(toolName);
+    }
+
+    /**
+     * Check if a transform editing tool is active (move, rotate, scale - excluding select)
+     */
+    isTransformEditingToolActive() {
+        const activeTool = document.querySelector('#transformPanel .tool-item.active');
+        if (!activeTool) return false;
+        
+        const toolName = activeTool.getAttribute('data-tool');
+        return ['move', 'rotate', 'scale'].includes(toolName);
+    }
+
+    /**
+     * Setup properties popup
+     */
+    setupPropertiesPopup() {
+        // Close button
+        document.getElementById('closeProperties').addEventListener('click', () => {
+            this.hidePropertiesPopup();
+        });
+
+        // Circle properties popup event listeners
+        document.getElementById('closeCircleProperties').addEventListener('click', () => {
+            this.hideCirclePropertiesPopup();
+        });
+
+        // Polygon properties popup event listeners
+        document.getElementById('closePolygonProperties').addEventListener('click', () => {
+            this.hidePolygonPropertiesPopup();
+        });
+        document.getElementById('drawPolygonHole').addEventListener('click', () => {
+            this.startPolygonHoleDrawing();
+        });
+        document.getElementById('clearPolygonHoles').addEventListener('click', () => {
+            this.clearPolygonHoles();
+        });
+        document.getElementById('editPolygonVertices').addEventListener('click', () => {
+            this.startVertexEditing();
+        });
+
+        // Polyline properties popup event listeners
+        document.getElementById('closePolylineProperties').addEventListener('click', () => {
+            this.hidePolylinePropertiesPopup();
+        });
+        document.getElementById('editPolylinePoints').addEventListener('click', () => {
+            this.startVertexEditing();
+        });
+
+        // Tree properties popup event listeners
+        document.getElementById('closeTreeProperties').addEventListener('click', () => {
+            this.hideTreePropertiesPopup();
+        });
+
+        // Auto-save event listeners for shape properties
+        this.setupAutoSaveListeners();
+
+        // Real-time scale update for trees
+        document.getElementById('treeScale').addEventListener('input', (e) => {
+            this.updateTreeScaleInRealTime(parseFloat(e.target.value));
+        });
+    }
+
+    /**
+     * Check if a name is unique in the scene
+     * @param {string} newName - The new name to check
+     * @param {BABYLON.Mesh} currentObject - The current object being renamed (to exclude from check)
+     * @returns {boolean} - True if name is unique, false if duplicate
+     */
+    isNameUnique(newName, currentObject) {
+        if (!newName || newName.trim() === '') {
+            return false; // Empty name is not valid
+        }
+        
+        const scene = this.sceneManager.getScene();
+        if (!scene) return false;
+        
+        // Check all meshes in the scene
+        const existingMesh = scene.getMeshByName(newName);
+        
+        // If a mesh with this name exists and it's not the current object, name is duplicate
+        if (existingMesh && existingMesh !== currentObject) {
+            return false;
+        }
+        
+        // Also check transform nodes (for trees)
+        const existingTransformNode = scene.getTransformNodeByName(newName);
+        if (existingTransformNode && existingTransformNode !== currentObject) {
+            return false;
+        }
+        
+        return true; // Name is unique
+    }
+
+    /**
+     * Setup auto-save event listeners for all property inputs
+     */
+    setupAutoSaveListeners() {
+        // Shape name validation
+        const shapeNameInput = document.getElementById('shapeName');
+        if (shapeNameInput) {
+            let originalShapeName = '';
+            
+            shapeNameInput.addEventListener('focus', () => {
+                originalShapeName = shapeNameInput.value;
+            });
+            
+            shapeNameInput.addEventListener('blur', () => {
+                const newName = shapeNameInput.value.trim();
+                if (newName === '') {
+                    shapeNameInput.value = originalShapeName;
+                    alert('Name cannot be empty');
+                    return;
+                }
+                
+                if (!this.isNameUnique(newName, this.currentShape)) {
+                    shapeNameInput.value = originalShapeName;
+                    alert('Duplicate name. Please choose a different name.');
+                    return;
+                }
+                
+                // Name is unique, update the object name
+                if (this.currentShape) {
+                    this.currentShape.name = newName;
+                    // Also update extrusion name if exists
+                    if (this.currentShape.extrusion) {
+                        this.currentShape.extrusion.name = `${newName}_extrusion`;
+                    }
+                    this.dispatchSceneChangeEvent();
+                }
+            });
+        }
+
+        // Circle name validation
+        const circleNameInput = document.getElementById('circleName');
+        if (circleNameInput) {
+            let originalCircleName = '';
+            
+            circleNameInput.addEventListener('focus', () => {
+                originalCircleName = circleNameInput.value;
+            });
+            
+            circleNameInput.addEventListener('blur', () => {
+                const newName = circleNameInput.value.trim();
+                if (newName === '') {
+                    circleNameInput.value = originalCircleName;
+                    alert('Name cannot be empty');
+                    return;
+                }
+                
+                if (!this.isNameUnique(newName, this.currentShape)) {
+                    circleNameInput.value = originalCircleName;
+                    alert('Duplicate name. Please choose a different name.');
+                    return;
+                }
+                
+                // Name is unique, update the object name
+                if (this.currentShape) {
+                    this.currentShape.name = newName;
+                    // Also update extrusion name if exists
+                    if (this.currentShape.extrusion) {
+                        this.currentShape.extrusion.name = `${newName}_extrusion`;
+                    }
+                    this.dispatchSceneChangeEvent();
+                }
+            });
+        }
+
+        // Polygon name validation
+        const polygonNameInput = document.getElementById('polygonName');
+        if (polygonNameInput) {
+            let originalPolygonName = '';
+            
+            polygonNameInput.addEventListener('focus', () => {
+                originalPolygonName = polygonNameInput.value;
+            });
+            
+            polygonNameInput.addEventListener('blur', () => {
+                const newName = polygonNameInput.value.trim();
+                if (newName === '') {
+                    polygonNameInput.value = originalPolygonName;
+                    alert('Name cannot be empty');
+                    return;
+                }
+                
+                if (!this.isNameUnique(newName, this.currentPolygon)) {
+                    polygonNameInput.value = originalPolygonName;
+                    alert('Duplicate name. Please choose a different name.');
+                    return;
+                }
+                
+                // Name is unique, update the object name
+                if (this.currentPolygon) {
+                    this.currentPolygon.name = newName;
+                    // Also update extrusion name if exists
+                    if (this.currentPolygon.extrusion) {
+                        this.currentPolygon.extrusion.name = `${newName}_extrusion`;
+                    }
+                    this.dispatchSceneChangeEvent();
+                }
+            });
+        }
+
+        // Tree name validation
+        const treeNameInput = document.getElementById('treeName');
+        if (treeNameInput) {
+            let originalTreeName = '';
+            
+            treeNameInput.addEventListener('focus', () => {
+                originalTreeName = treeNameInput.value;
+            });
+            
+            treeNameInput.addEventListener('blur', () => {
+                const newName = treeNameInput.value.trim();
+                if (newName === '') {
+                    treeNameInput.value = originalTreeName;
+                    alert('Name cannot be empty');
+                    return;
+                }
+                
+                // For trees, check the parent transform node
+                const currentTree = this.currentTree ? (this.currentTree.parent || this.currentTree) : null;
+                if (!this.isNameUnique(newName, currentTree)) {
+                    treeNameInput.value = originalTreeName;
+                    alert('Duplicate name. Please choose a different name.');
+                    return;
+                }
+                
+                // Name is unique, update the tree name
+                if (currentTree) {
+                    currentTree.name = newName;
+                    this.dispatchSceneChangeEvent();
+                }
+            });
+        }
+
+        // Shape properties auto-save
+        const shapeInputs = [
+            'shapeType', 'shapeColor', 'shapeLength', 'shapeWidth', 'shapeHeight', 'shapeRadius'
+        ];
+        
+        shapeInputs.forEach(inputId => {
+            const element = document.getElementById(inputId);
+            if (element) {
+                element.addEventListener('input', () => {
+                    this.saveShapeProperties();
+                });
+                element.addEventListener('change', () => {
+                    this.saveShapeProperties();
+                });
+            }
+        });
+
+        // Circle properties auto-save
+        const circleInputs = [
+            'circleType', 'circleColor', 'circleDiameter', 'circleHeight'
+        ];
+        
+        circleInputs.forEach(inputId => {
+            const element = document.getElementById(inputId);
+            if (element) {
+                element.addEventListener('input', () => {
+                    this.saveCircleProperties();
+                });
+                element.addEventListener('change', () => {
+                    this.saveCircleProperties();
+                });
+            }
+        });
+
+        // Polygon properties auto-save
+        const polygonInputs = [
+            'polygonType', 'polygonColor', 'polygonHeight'
+        ];
+        
+        polygonInputs.forEach(inputId => {
+            const element = document.getElementById(inputId);
+            if (element) {
+                element.addEventListener('input', () => {
+                    this.savePolygonProperties();
+                });
+                element.addEventListener('change', () => {
+                    this.savePolygonProperties();
+                });
+            }
+        });
+
+        // Tree properties auto-save (scale is already handled above)
+        const treeInputs = [
+            'treeScale'
+        ];
+        
+        treeInputs.forEach(inputId => {
+            const element = document.getElementById(inputId);
+            if (element) {
+                element.addEventListener('input', () => {
+                    this.saveTreeProperties();
+                });
+                element.addEventListener('change', () => {
+                    this.saveTreeProperties();
+                });
+            }
+        });
+
+        // Polygon type change listener
+        document.getElementById('polygonType').addEventListener('change', (e) => {
+            const newType = e.target.value;
+            console.log('Polygon type changed to:', newType);
+            
+            // Show/hide height field based on type
+            const heightGroup = document.getElementById('polygonHeightGroup');
+            if (newType === 'building') {
+                heightGroup.style.display = 'block';
+                // Set default height for building
+                document.getElementById('polygonHeight').value = 1;
+            } else {
+                heightGroup.style.display = 'none';
+            }
+            
+            // Update color based on type
+            this.updatePolygonColorByType(newType);
+            
+            // Update polygon name based on type
+            const newName = this.generateUniquePolygonName(newType);
+            document.getElementById('polygonName').value = newName;
+            
+            // Update polygon material in real-time
+            if (this.currentShape) {
+                this.updatePolygonMaterialByType(this.currentShape, newType);
+                // Update polygon name in real-time
+                this.currentShape.name = newName;
+            }
+        });
+
+        // Polygon color change listener
+        document.getElementById('polygonColor').addEventListener('input', (e) => {
+            const newColor = e.target.value;
+            console.log('Polygon color changed to:', newColor);
+            
+            // Update polygon material color in real-time
+            if (this.currentShape && this.currentShape.material) {
+                const color = this.hexToRgb(newColor);
+                this.currentShape.material.diffuseColor = new BABYLON.Color3(color.r, color.g, color.b);
+            }
+        });
+
+        // Polygon height change listener (only for building type)
+        document.getElementById('polygonHeight').addEventListener('input', (e) => {
+            const newHeight = parseFloat(e.target.value) || 1;
+            console.log('Polygon height changed to:', newHeight);
+            
+            // Update polygon height in real-time (only for building type)
+            if (this.currentShape && this.currentShape.userData?.type === 'building') {
+                const originalHeight = this.currentShape.userData?.originalHeight || 0.05;
+                const scaleFactor = newHeight / originalHeight;
+                const baseY = this.getPolygonBaseWorldY(this.currentShape);
+                
+                this.currentShape.scaling.y = scaleFactor;
+                this.realignPolygonBase(this.currentShape, baseY);
+                this.currentShape.userData.currentHeight = newHeight;
+            }
+        });
+
+        this.setupPolylinePropertyListeners();
+
+        // Shape type change
+        document.getElementById('shapeType').addEventListener('change', (e) => {
+            const newType = e.target.value;
+            console.log('Shape type changed to:', newType);
+            
+            // Check if type actually changed before updating userData
+            const currentType = this.currentShape?.userData?.type;
+            const typeChanged = currentType !== newType;
+            console.log('Shape type change check:', { currentType, newType, typeChanged });
+            
+            // Always update color when type changes, even if it's the same type
+            // This ensures color picker reflects the correct type-based color
+            if (this.currentShape) {
+                const newColor = this.getHexColorByType(newType);
+                console.log('Getting color for type:', newType, 'result:', newColor);
+                document.getElementById('shapeColor').value = newColor;
+                console.log('Auto-updated shape color to:', newColor, 'for type:', newType);
+            }
+            
+            this.updatePropertiesFields(newType);
+            
+            // Update userData type
+            if (this.currentShape) {
+                this.currentShape.userData = this.currentShape.userData || {};
+                this.currentShape.userData.type = newType;
+                console.log('Updated userData.type to:', newType);
+            }
+            
+            // Update name based on new type (only if type actually changed)
+            if (typeChanged) {
+                const newName = this.generateUniqueNameByType(newType);
+                console.log('Type changed from', currentType, 'to', newType, '- generating new name:', newName);
+                // Update both the shape name and the popup field
+                this.currentShape.name = newName;
+                document.getElementById('shapeName').value = newName;
+                
+                // Automatically update color based on new type
+                const newColor = this.getHexColorByType(newType);
+                console.log('Getting color for type:', newType, 'result:', newColor);
+                document.getElementById('shapeColor').value = newColor;
+                console.log('Auto-updated shape color to:', newColor, 'for type:', newType);
+            }
+            
+            this.updateShapeInRealTime();
+        });
+
+        // Real-time updates for all input fields
+        document.getElementById('shapeColor').addEventListener('input', (e) => {
+            this.updateShapeInRealTime();
+        });
+
+        // Add continuous parameter change functionality
+        this.setupContinuousParameterChange('shapeLength', () => this.updateShapeInRealTime());
+        this.setupContinuousParameterChange('shapeWidth', () => this.updateShapeInRealTime());
+        this.setupContinuousParameterChange('shapeHeight', () => {
+            this.updateShapeInRealTime();
+            this.previewHeightChanges();
+        });
+        this.setupContinuousParameterChange('shapeRadius', () => this.updateShapeInRealTime());
+
+        // Prevent backspace from closing popup when typing in input fields
+        const popup = document.getElementById('propertiesPopup');
+        popup.addEventListener('keydown', (event) => {
+            // Allow backspace in input fields
+            if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') {
+                event.stopPropagation();
+            }
+        });
+
+        // Circle properties real-time updates
+        document.getElementById('circleType').addEventListener('change', (e) => {
+            const newType = e.target.value;
+            console.log('Circle type changed to:', newType);
+            
+            // Check if type actually changed before updating userData
+            const currentType = this.currentShape?.userData?.type;
+            const typeChanged = currentType !== newType;
+            console.log('Circle type change check:', { currentType, newType, typeChanged });
+            
+            // Always update color when type changes, even if it's the same type
+            // This ensures color picker reflects the correct type-based color
+            if (this.currentShape) {
+                const newColor = this.getHexColorByType(newType);
+                console.log('Getting circle color for type:', newType, 'result:', newColor);
+                document.getElementById('circleColor').value = newColor;
+                console.log('Auto-updated circle color to:', newColor, 'for type:', newType);
+            }
+            
+            // Update userData type
+            if (this.currentShape) {
+                this.currentShape.userData = this.currentShape.userData || {};
+                this.currentShape.userData.type = newType;
+                this.currentShape.userData.shapeType = newType === 'building' ? 'building' : 'circle';
+                console.log('Updated circle userData.type to:', newType);
+            }
+            
+            // Keep current values when changing type
+            const currentDiameterTop = this.currentShape?.userData?.dimensions?.diameterTop || 0.1;
+            document.getElementById('circleDiameter').value = currentDiameterTop;
+            document.getElementById('circleHeight').value = this.currentShape?.userData?.dimensions?.height || 0.1;
+            
+            // Update name based on new type (only if type actually changed)
+            if (typeChanged) {
+                const newName = this.generateUniqueNameByType(newType);
+                console.log('Type changed from', currentType, 'to', newType, '- generating new name:', newName);
+                // Update both the shape name and the popup field
+                this.currentShape.name = newName;
+                document.getElementById('circleName').value = newName;
+                
+                // Automatically update color based on new type
+                const newColor = this.getHexColorByType(newType);
+                console.log('Getting circle color for type:', newType, 'result:', newColor);
+                document.getElementById('circleColor').value = newColor;
+                console.log('Auto-updated circle color to:', newColor, 'for type:', newType);
+            }
+            
+            // Update color based on type
+            let newColor;
+            if (newType === 'building') {
+                newColor = '#ffffff'; // White for buildings
+            } else if (newType === 'ground') {
+                newColor = '#8B4513'; // Brown for ground
+            } else if (newType === 'waterway') {
+                newColor = '#0080ff'; // Blue for waterway
+            } else if (newType === 'highway') {
+                newColor = '#4d4d4d'; // Gray for highway
+            } else if (newType === 'green') {
+                newColor = '#00cc00'; // Green for green areas
+            }
+            document.getElementById('circleColor').value = newColor;
+            
+            this.updateCircleInRealTime();
+        });
+
+        document.getElementById('circleColor').addEventListener('input', (e) => {
+            this.updateCircleInRealTime();
+        });
+
+        // Add continuous parameter change functionality for circles
+        this.setupContinuousParameterChange('circleDiameter', () => this.updateCircleInRealTime());
+        this.setupContinuousParameterChange('circleHeight', () => this.updateCircleInRealTime());
+
+        // Prevent backspace from closing circle popup when typing in input fields
+        const circlePopup = document.getElementById('circlePropertiesPopup');
+        circlePopup.addEventListener('keydown', (event) => {
+            // Allow backspace in input fields
+            if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') {
+                event.stopPropagation();
+            }
+        });
+    }
+
+    /**
+     * Show properties popup for a shape
+     */
+    showPropertiesPopup(shape) {
+        this.commitPropertyEdit();
+        this.currentShape = shape;
+        
+        // Get shape properties
+        const properties = this.getShapeProperties(shape);
+        console.log('Showing properties for shape:', shape.name);
+        console.log('Shape userData:', shape.userData);
+        console.log('Properties:', properties);
+        
+        // Use the actual color from the shape material
+        let displayColor = properties.color;
+        
+        // Fill form fields
+        document.getElementById('shapeName').value = properties.name;
+        document.getElementById('shapeType').value = properties.type;
+        document.getElementById('shapeColor').value = displayColor;
+        document.getElementById('shapeLength').value = properties.length;
+        document.getElementById('shapeWidth').value = properties.width;
+        
+        // Set height value for all types
+        document.getElementById('shapeHeight').value = properties.height || 0.1;
+        
+        // Show/hide fields based on shape type
+        this.updatePropertiesFields(properties.type);
+        
+        // Set radius value for shapes that have radius
+        if (properties.shapeType === 'circle') {
+            document.getElementById('shapeRadius').value = properties.radius || 0;
+        }
+        
+        this.updateIrradianceTables(shape);
+        this.updateBuildingMetricsTables(shape);
+        this.updateRoofFields(shape);
+        this.updateVolumeFields(shape);
+
+        // Show popup
+        document.getElementById('propertiesPopup').classList.add('show');
+        this.beginPropertyEdit(shape);
+    }
+
+    /**
+     * Hide properties popup
+     */
+    hidePropertiesPopup() {
+        // Remove preview extrusion when hiding popup
+        this.removePreviewExtrusion();
+        
+        document.getElementById('propertiesPopup').classList.remove('show');
+        document.getElementById('circlePropertiesPopup').classList.remove('show');
+        document.getElementById('polygonPropertiesPopup').classList.remove('show');
+        document.getElementById('polylinePropertiesPopup').classList.remove('show');
+        document.getElementById('treePropertiesPopup').classList.remove('show');
+        this.commitPropertyEdit();
+        this.currentShape = null;
+    }
+
+    /**
+     * Show circle properties popup
+     */
+    showCirclePropertiesPopup(shape) {
+        this.commitPropertyEdit();
+        this.currentShape = shape;
+        
+        // Get shape properties
+        const properties = this.getShapeProperties(shape);
+        console.log('Showing circle properties for shape:', shape.name);
+        console.log('Shape userData:', shape.userData);
+        console.log('Properties:', properties);
+        
+        // Use the actual color from the shape material
+        let displayColor = properties.color;
+        
+        // Fill form fields
+        document.getElementById('circleName').value = properties.name;
+        document.getElementById('circleType').value = properties.type;
+        document.getElementById('circleColor').value = displayColor;
+        
+        // Set values for diameter and height
+        document.getElementById('circleDiameter').value = properties.diameterTop || 0.1;
+        document.getElementById('circleHeight').value = properties.height || 0.1;
+        
+        this.updateIrradianceTables(shape);
+        this.updateBuildingMetricsTables(shape);
+        this.updateRoofFields(shape);
+        this.updateVolumeFields(shape);
+
+        // Show popup
+        document.getElementById('circlePropertiesPopup').classList.add('show');
+        this.beginPropertyEdit(shape);
+    }
+
+    /**
+     * Hide circle properties popup
+     */
+    hideCirclePropertiesPopup() {
+        document.getElementById('circlePropertiesPopup').classList.remove('show');
+        this.commitPropertyEdit();
+        this.currentShape = null;
+    }
+
+    /**
+     * Show tree properties popup
+     */
+    showTreePropertiesPopup(tree) {
+        this.commitPropertyEdit();
+        this.currentShape = tree;
+        this.currentTree = tree; // Store tree reference for name validation
+        
+        console.log('Showing tree properties for:', tree.name);
+        
+        // Get tree type from name (e.g., "tree_1_0" -> "1")
+        const treeType = this.getTreeTypeFromName(tree.name);
+        
+        // Fill form fields
+        document.getElementById('treeName').value = tree.name;
+        document.getElementById('treeCategory').value = 'Tree';
+        
+        // Set current scale value
+        const currentScale = tree.scaling.x; // Use X scaling as reference
+        document.getElementById('treeScale').value = currentScale.toFixed(1);
+        
+        // Show popup
+        document.getElementById('treePropertiesPopup').classList.add('show');
+        this.beginPropertyEdit(tree);
+    }
+
+    /**
+     * Hide tree properties popup
+     */
+    hideTreePropertiesPopup() {
+        document.getElementById('treePropertiesPopup').classList.remove('show');
+        this.commitPropertyEdit();
+        this.currentShape = null;
+    }
+
+    /**
+     * Get tree type from tree name
+     */
+    getTreeTypeFromName(name) {
+        // Extract type from names like "tree_1_0" or "simple_tree_1_0"
+        const match = name.match(/(?:tree_|simple_tree_)(\d+)_/);
+        return match ? match[1] : '1';
+    }
+
+    /**
+     * Update shape in real-time based on popup values (for rectangles and other shapes)
+     */
+    updateShapeInRealTime() {
+        if (!this.currentShape) return;
+
+        // Get current values from popup (for rectangles and other shapes)
+        const type = document.getElementById('shapeType').value;
+        const color = document.getElementById('shapeColor').value;
+        const length = Math.max(parseFloat(document.getElementById('shapeLength').value) || 1.0, 0.1);
+        const width = Math.max(parseFloat(document.getElementById('shapeWidth').value) || 1.0, 0.1);
+        const height = Math.max(parseFloat(document.getElementById('shapeHeight').value) || 0.1, 0.1);
+        const radius = parseFloat(document.getElementById('shapeRadius').value) || 0;
+        
+        // Round to 2 decimal places
+        const roundedLength = Math.round(length * 100) / 100;
+        const roundedWidth = Math.round(width * 100) / 100;
+        const roundedHeight = Math.round(height * 100) / 100;
+        const roundedRadius = Math.round(radius * 100) / 100;
+        
+        console.log('Updating rectangle with:', { type, length: roundedLength, width: roundedWidth, height: roundedHeight });
+
+        // Use the color selected by user (from color picker)
+        const rgbColor = this.hexToRgb(color);
+        const newColor = new BABYLON.Color3(rgbColor.r, rgbColor.g, rgbColor.b);
+        
+        // Update material color immediately for visual feedback
+        if (this.currentShape.material && this.currentShape.material.diffuseColor) {
+            this.currentShape.material.diffuseColor = newColor;
+        }
+
+        // Check if type actually changed before updating userData
+        const currentType = this.currentShape.userData.type;
+        const typeChanged = currentType !== type;
+        
+        // Update userData
+        this.currentShape.userData.type = type;
+        this.currentShape.userData.shapeType = type === 'building' ? 'building' : 'rectangle';
+        
+        // Only generate new name if type actually changed
+        if (typeChanged) {
+            const newName = this.generateUniqueNameByType(type);
+            this.currentShape.name = newName;
+            document.getElementById('shapeName').value = newName;
+        }
+
+        // Update geometry based on shape type
+        console.log('Updating shape geometry with properties:', {
+            type: type,
+            length: length,
+            width: width,
+            height: height,
+            radius: radius
+        });
+        
+        // Update rectangle geometry using CircleManager-like approach
+        const newRectangle = this.updateRectangleGeometryLikeCircle(this.currentShape, roundedLength, roundedWidth, roundedHeight, type);
+        if (newRectangle) {
+            this.currentShape = newRectangle;
+        }
+    }
+
+    /**
+     * Update rectangle geometry like CircleManager (preserves focus and works smoothly)
+     */
+    updateRectangleGeometryLikeCircle(shape, newLength, newWidth, newHeight, type) {
+        if (!shape || !shape.userData) {
+            console.warn('Cannot update: no shape or userData');
+            return;
+        }
+        
+        // Check if this is a rectangle or building
+        const isRectangle = shape.userData.shapeType === 'rectangle' || shape.userData.shapeType === 'building';
+        
+        if (!isRectangle) {
+            console.warn('Cannot update: not a rectangle or building');
+            return;
+        }
+        
+        console.log('Updating rectangle:', shape.name, 'length:', newLength, 'width:', newWidth, 'height:', newHeight);
+        
+        // Store current transform properties
+        const currentPosition = shape.position.clone();
+        const currentRotation = shape.rotation.clone();
+        const currentScaling = shape.scaling.clone();
+        
+        // Store references before disposing
+        const oldMaterial = shape.material;
+        const materialName = oldMaterial ? oldMaterial.name : null;
+        const oldExtrusion = shape.extrusion;
+        const oldName = shape.name;
+        const oldUserData = shape.userData ? JSON.parse(JSON.stringify(shape.userData)) : null;
+        
+        // Unlink extrusion before disposing to prevent issues
+        if (oldExtrusion) {
+            oldExtrusion.setParent(null);
+            if (oldExtrusion.basePolygon === shape) {
+                oldExtrusion.basePolygon = null;
+            }
+        }
+        
+        // Remove from selection manager before disposing
+        if (this.selectionManager) {
+            this.selectionManager.removeSelectableObject(shape);
+            if (oldExtrusion) {
+                this.selectionManager.removeSelectableObject(oldExtrusion);
+            }
+        }
+        
+        // Check if material is shared with other meshes before disposing
+        let shouldDisposeMaterial = true;
+        if (oldMaterial && oldMaterial !== this.sceneManager.getScene().defaultMaterial) {
+            const scene = this.sceneManager.getScene();
+            // Check if this material is used by other meshes
+            const meshesUsingMaterial = scene.meshes.filter(m => m.material === oldMaterial && m !== shape);
+            if (meshesUsingMaterial.length > 0) {
+                console.log(`Material ${materialName} is shared with ${meshesUsingMaterial.length} other meshes, not disposing`);
+                shouldDisposeMaterial = false;
+            }
+        }
+        
+        // Dispose old mesh
+        if (shape.geometry) { shape.geometry.dispose(); }
+        if (shouldDisposeMaterial && oldMaterial && oldMaterial !== this.sceneManager.getScene().defaultMaterial) {
+            oldMaterial.dispose();
+        }
+        shape.setEnabled(false);
+        shape.dispose();
+        
+        // Create new box with updated dimensions
+        // Use the stored oldName to ensure we use the correct name (shape is disposed, so we can't use shape.name)
+        const newRectangle = BABYLON.MeshBuilder.CreateBox(oldName, {
+            width: newLength,
+            height: newHeight,
+            depth: newWidth
+        }, this.sceneManager.getScene());
+        
+        // Restore all transform properties with smart Y positioning
+        // Calculate the bottom of the original rectangle (use stored userData since shape is disposed)
+        const originalHeight = oldUserData?.dimensions?.height || oldUserData?.originalHeight || newHeight;
+        const originalBottom = currentPosition.y - (originalHeight / 2);
+        
+        // Position new rectangle with same bottom but new height
+        newRectangle.position = new BABYLON.Vector3(
+            currentPosition.x,
+            originalBottom + (newHeight / 2), // Keep same bottom, adjust for new height
+            currentPosition.z
+        );
+        newRectangle.rotation = currentRotation;
+        newRectangle.scaling = currentScaling;
+        
+        // Create new material (color will be set later based on type)
+        // Use oldName since shape is already disposed
+        const material = new BABYLON.StandardMaterial(`${oldName}Material`, this.sceneManager.getScene());
+        material.diffuseColor = new BABYLON.Color3(0.4, 0.3, 0.2); // Default brown (will be updated)
+        material.backFaceCulling = false;
+        material.twoSidedLighting = true;
+        material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+        material.alpha = 1.0;
+        newRectangle.material = material;
+        newRectangle.renderingGroupId = 1; // Same rendering priority as buildings and trees
+        
+        // Use the color selected by user (from color picker)
+        const colorPicker = document.getElementById('shapeColor');
+        if (colorPicker && colorPicker.value) {
+            const rgbColor = this.hexToRgb(colorPicker.value);
+            material.diffuseColor = new BABYLON.Color3(rgbColor.r, rgbColor.g, rgbColor.b);
+        }
+        // No fallback colors - user must choose from color picker
+        
+        // Update userData
+        newRectangle.userData = {
+            type: type,
+            shapeType: type === 'building' ? 'building' : 'rectangle',
+            dimensions: {
+                width: newLength,
+                depth: newWidth,
+                height: newHeight
+            },
+            originalHeight: newHeight
+        };
+        if (oldUserData && oldUserData.roof) {
+            newRectangle.userData.roof = oldUserData.roof;
+        }
+        if (oldUserData && oldUserData.volumes) {
+            newRectangle.userData.volumes = oldUserData.volumes;
+        }
+        
+        // Re-link extrusion to new mesh if it existed
+        if (oldExtrusion) {
+            // Re-parent extrusion to new mesh
+            oldExtrusion.setParent(newRectangle);
+            // Re-link bidirectional references
+            newRectangle.extrusion = oldExtrusion;
+            oldExtrusion.basePolygon = newRectangle;
+            
+            // Add extrusion back to selection manager
+            if (this.selectionManager) {
+                this.selectionManager.addSelectableObject(oldExtrusion);
+            }
+        }
+        
+        // Add to selection manager
+        if (this.selectionManager) {
+            this.selectionManager.addSelectableObject(newRectangle);
+        }
+        
+        // Enable shadows
+        if (this.lightingManager) {
+            this.lightingManager.updateShadowsForNewObject(newRectangle);
+            if (oldExtrusion) {
+                this.lightingManager.updateShadowsForNewObject(oldExtrusion);
+            }
+        }
+        
+        // Update rectangleManager rectangles array
+        if (this.rectangleManager) {
+            // Remove old mesh from rectangles array
+            const oldIndex = this.rectangleManager.rectangles.indexOf(shape);
+            if (oldIndex !== -1) {
+                this.rectangleManager.rectangles.splice(oldIndex, 1);
+            }
+            // Add new mesh to rectangles array
+            this.rectangleManager.rectangles.push(newRectangle);
+        }
+
+        // The old roof and volumes were disposed with the old mesh
+        if (this.volumeManager) {
+            this.volumeManager.applyVolumes(newRectangle);
+        }
+        if (this.roofManager) {
+            this.roofManager.applyRoof(newRectangle);
+        }
+        
+        return newRectangle;
+    }
+
+    /**
+     * Update shape geometry (for rectangles and other shapes, NOT circles)
+     */
+    updateShapeGeometry(shape, properties) {
+        const shapeType = this.getShapeType(shape);
+        
+        if (shapeType === 'rectangle') {
+            this.updateRectangleGeometry(shape, properties);
+        } else if (shapeType === 'building') {
+            // For buildings from rectangles, use building geometry update
+            this.updateBuildingGeometry(shape, properties);
+        } else if (shapeType === 'polygon') {
+            this.updatePolygonGeometry(shape, properties);
+        }
+    }
+
+    /**
+     * Update rectangle geometry using scaling (preserves focus)
+     */
+    updateRectangleGeometryWithScaling(shape, properties) {
+        // Get current dimensions from userData
+        const currentDimensions = shape.userData.dimensions || { width: 1, depth: 1, height: 1 };
+        
+        // Calculate scaling factors
+        const scaleX = properties.length / currentDimensions.width;
+        const scaleY = properties.height / currentDimensions.height;
+        const scaleZ = properties.width / currentDimensions.depth;
+        
+        // Apply scaling
+        shape.scaling = new BABYLON.Vector3(scaleX, scaleY, scaleZ);
+        
+        // Update userData
+        shape.userData.dimensions = {
+            width: properties.length,
+            depth: properties.width,
+            height: properties.height
+        };
+        shape.userData.type = properties.type;
+        shape.userData.shapeType = properties.type === 'building' ? 'building' : 'rectangle';
+        shape.userData.originalHeight = properties.height;
+        
+        // Update material color based on type
+        if (shape.material) {
+            if (properties.type === 'building') {
+                shape.material.diffuseColor = new BABYLON.Color3(1, 1, 1); // White for buildings
+            } else if (properties.type === 'ground') {
+                shape.material.diffuseColor = new BABYLON.Color3(0.4, 0.3, 0.2); // Brown for ground
+            } else if (properties.type === 'waterway') {
+                shape.material.diffuseColor = new BABYLON.Color3(0, 0.5, 1); // Blue for waterway
+            } else if (properties.type === 'highway') {
+                shape.material.diffuseColor = new BABYLON.Color3(0.3, 0.3, 0.3); // Gray for highway
+            } else if (properties.type === 'green') {
+                shape.material.diffuseColor = new BABYLON.Color3(0, 0.8, 0); // Green for green areas
+            }
+        }
+    }
+
+    /**
+     * Update building geometry using scaling (preserves focus)
+     */
+    updateBuildingGeometryWithScaling(shape, properties) {
+        // Get current dimensions from userData
+        const currentDimensions = shape.userData.dimensions || { width: 1, depth: 1, height: 1 };
+        
+        // Calculate scaling factors
+        const scaleX = properties.length / currentDimensions.width;
+        const scaleY = properties.height / currentDimensions.height;
+        const scaleZ = properties.width / currentDimensions.depth;
+        
+        // Apply scaling
+        shape.scaling = new BABYLON.Vector3(scaleX, scaleY, scaleZ);
+        
+        // Update userData
+        shape.userData.dimensions = {
+            width: properties.length,
+            depth: properties.width,
+            height: properties.height
+        };
+        shape.userData.type = properties.type;
+        shape.userData.shapeType = 'building';
+        shape.userData.originalHeight = properties.height;
+        
+        // Update material color based on type
+        if (shape.material) {
+            if (properties.type === 'building') {
+                shape.material.diffuseColor = new BABYLON.Color3(1, 1, 1); // White for buildings
+            } else if (properties.type === 'ground') {
+                shape.material.diffuseColor = new BABYLON.Color3(0.4, 0.3, 0.2); // Brown for ground
+            } else if (properties.type === 'waterway') {
+                shape.material.diffuseColor = new BABYLON.Color3(0, 0.5, 1); // Blue for waterway
+            } else if (properties.type === 'highway') {
+                shape.material.diffuseColor = new BABYLON.Color3(0.3, 0.3, 0.3); // Gray for highway
+            } else if (properties.type === 'green') {
+                shape.material.diffuseColor = new BABYLON.Color3(0, 0.8, 0); // Green for green areas
+            }
+        }
+    }
+
+    /**
+     * Update building geometry
+     */
+    updateBuildingGeometry(shape, properties) {
+        // Store current transform properties and material
+        const currentPosition = shape.position.clone();
+        const currentRotation = shape.rotation.clone();
+        const currentScaling = shape.scaling.clone();
+        const currentMaterial = shape.material;
+        // Keep the same name (don't generate new name for updates)
+        const currentName = shape.name;
+        const isSelected = this.selectionManager && this.selectionManager.isSelected(shape);
+        
+        // Store current focus element
+        const activeElement = document.activeElement;
+        
+        // Remove from selection manager first
+        if (this.selectionManager) {
+            this.selectionManager.removeSelectableObject(shape);
+            this.selectionManager.originalMaterials.delete(shape);
+        }
+        
+        // Dispose old mesh completely
+        if (shape.geometry) { shape.geometry.dispose(); }
+        if (shape.material && shape.material !== this.sceneManager.getScene().defaultMaterial) { shape.material.dispose(); }
+        shape.setEnabled(false);
+        shape.dispose();
+        
+        // Create new 3D box mesh with updated dimensions
+        const newMesh = BABYLON.MeshBuilder.CreateBox(currentName, {
+            width: properties.length,
+            height: properties.height,
+            depth: properties.width
+        }, this.sceneManager.getScene());
+        
+        // Restore all transform properties with smart Y positioning
+        // Calculate the bottom of the original building
+        const originalHeight = shape.userData?.dimensions?.height || shape.userData?.originalHeight || properties.height;
+        const originalBottom = currentPosition.y - (originalHeight / 2);
+        
+        // Position new building with same bottom but new height
+        newMesh.position = new BABYLON.Vector3(
+            currentPosition.x,
+            originalBottom + (properties.height / 2), // Keep same bottom, adjust for new height
+            currentPosition.z
+        );
+        newMesh.rotation = currentRotation;
+        newMesh.scaling = currentScaling;
+        
+        // Create new material with appropriate color based on type
+        const newMaterial = new BABYLON.StandardMaterial(`${currentName}Material`, this.sceneManager.getScene());
+        
+        // Set color based on type
+        if (properties.type === 'building') {
+            newMaterial.diffuseColor = new BABYLON.Color3(1, 1, 1); // White for buildings
+        } else if (properties.type === 'ground') {
+            newMaterial.diffuseColor = new BABYLON.Color3(0.4, 0.3, 0.2); // Brown for ground
+        } else if (properties.type === 'waterway') {
+            newMaterial.diffuseColor = new BABYLON.Color3(0, 0.5, 1); // Blue for waterway
+        } else if (properties.type === 'highway') {
+            newMaterial.diffuseColor = new BABYLON.Color3(0.3, 0.3, 0.3); // Gray for highway
+        } else if (properties.type === 'green') {
+            newMaterial.diffuseColor = new BABYLON.Color3(0, 0.8, 0); // Green for green areas
+        } else {
+            newMaterial.diffuseColor = new BABYLON.Color3(1, 1, 1); // Default white
+        }
+        
+        newMaterial.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
+        newMaterial.roughness = 0.7;
+        newMaterial.twoSidedLighting = true;
+        
+        newMesh.material = newMaterial;
+        newMesh.renderingGroupId = 1;
+        newMesh.enableEdgesRendering();
+        newMesh.edgesWidth = 1.0;
+        newMesh.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
+        
+        // Update userData
+        newMesh.userData = {
+            type: properties.type,
+            shapeType: 'building',
+            dimensions: {
+                width: properties.length,
+                depth: properties.width,
+                height: properties.height
+            },
+            originalHeight: properties.height
+        };
+        if (shape.userData && shape.userData.volumes) {
+            newMesh.userData.volumes = shape.userData.volumes;
+        }
+        
+        // Update currentShape reference
+        this.currentShape = newMesh;
+        
+        // Make new mesh selectable
+        if (this.selectionManager) {
+            this.selectionManager.addSelectableObject(newMesh);
+            if (isSelected) {
+                this.selectionManager.originalMaterials.set(newMesh, currentMaterial);
+                this.selectionManager.selectObject(newMesh, false, false);
+            }
+        }
+        
+        // Enable shadows for the new mesh
+        if (this.lightingManager) {
+            this.lightingManager.updateShadowsForNewObject(newMesh);
+        }
+        
+        // Restore focus to the active element
+        if (activeElement && activeElement.focus) {
+            setTimeout(() => {
+                activeElement.focus();
+            }, 0);
+        }
+    }
+
+    /**
+     * Update polygon geometry
+     */
+    updatePolygonGeometry(shape, properties) {
+        // Store current position and material
+        const currentPosition = shape.position.clone();
+        const currentMaterial = shape.material;
+        const currentName = shape.name;
+        const currentUserData = shape.userData || {};
+        const currentPoints = currentUserData.points || [];
+
+        // Dispose old mesh
+        shape.dispose();
+
+        if (properties.type === 'building' && properties.height > 0.001) {
+            // Create extrusion for building
+            this.createPolygonExtrusion(currentName, currentPoints, properties.height, currentPosition, currentMaterial, currentUserData);
+        } else {
+            // Keep as 2D polygon
+            this.createPolygonMesh(currentName, currentPoints, currentPosition, currentMaterial, currentUserData);
+        }
+    }
+
+    /**
+     * Create polygon mesh (2D)
+     */
+    createPolygonMesh(name, points, position, material, userData) {
+        if (points.length < 3) return;
+
+        // Calculate center and relative points
+        const center = BABYLON.Vector3.Zero();
+        points.forEach(point => center.addInPlace(point));
+        center.scaleInPlace(1 / points.length);
+        center.y = 0;
+
+        const relativePoints = points.map(point => point.subtract(center));
+        const holes = this.getPolygonHoles(userData);
+
+        // Create polygon mesh using PolygonManager's method
+        const mesh = this.createCustomPolygonMesh(relativePoints, holes);
+        
+        // Set properties immediately after creation
+        mesh.name = name;
+        mesh.material = material;
+        mesh.renderingGroupId = 1;
+        mesh.receiveShadows = true;
+        mesh.castShadows = true;
+        mesh.position = center;
+        mesh.userData = userData;
+        
+        // Ensure material is properly applied
+        if (material) {
+            mesh.material = material;
+        }
+        
+        // Ensure userData is properly set
+        if (userData) {
+            mesh.userData = userData;
+        }
+        
+        // Final validation: ensure type is set correctly
+        if (!mesh.userData || !mesh.userData.type || mesh.userData.type === undefined || mesh.userData.type === null || mesh.userData.type === '') {
+            if (userData && userData.type) {
+                mesh.userData = userData;
+            } else {
+                // If no type provided, set default based on name
+                if (!mesh.userData) {
+                    mesh.userData = {};
+                }
+                // Try to extract type from name (e.g., polygon_water_1 -> water)
+                const nameMatch = name.match(/polygon_(water|waterway|ground|green)_/);
+                if (nameMatch) {
+                    mesh.userData.type = nameMatch[1];
+                } else {
+                    mesh.userData.type = 'ground'; // Default fallback
+                }
+                console.warn(`Polygon ${name} had no type in userData, extracted from name or set to 'ground'`);
+            }
+        }
+        
+        console.log(`Created polygon mesh: ${name}, type: ${mesh.userData?.type || 'unknown'}, material color: R=${material?.diffuseColor?.r?.toFixed(2) || 'N/A'}, G=${material?.diffuseColor?.g?.toFixed(2) || 'N/A'}, B=${material?.diffuseColor?.b?.toFixed(2) || 'N/A'}`);
+
+        // Add to selection manager
+        if (this.selectionManager) {
+            this.selectionManager.addSelectableObject(mesh);
+        }
 
-        // Real-time updates for all input fields
-        document.getElementById('shapeColor').addEventListener('input', (e) => {
-            this.updateShapeInRealTime();
-        });
+        return mesh;
+    }
 
-        // Add continuous parameter change functionality
-        this.setupContinuousParameterChange('shapeLength', () => this.updateShapeInRealTime());
-        this.setupContinuousParameterChange('shapeWidth', () => this.updateShapeInRealTime());
-        this.setupContinuousParameterChange('shapeHeight', () => {
-            this.updateShapeInRealTime();
-            this.previewHeightChanges();
-        });
-        this.setupContinuousParameterChange('shapeRadius', () => this.updateShapeInRealTime());
+    /**
+     * Create polygon extrusion (3D building)
+     */
+    createPolygonExtrusion(name, points, height, position, material, userData) {
+        if (points.length < 3) return null;
 
-        // Prevent backspace from closing popup when typing in input fields
-        const popup = document.getElementById('propertiesPopup');
-        popup.addEventListener('keydown', (event) => {
-            // Allow backspace in input fields
-            if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') {
-                event.stopPropagation();
-            }
-        });
+        console.log(`Creating polygon extrusion for ${name} with ${points.length} points`);
 
-        // Circle properties real-time updates
-        document.getElementById('circleType').addEventListener('change', (e) => {
-            const newType = e.target.value;
-            console.log('Circle type changed to:', newType);
-            
-            // Check if type actually changed before updating userData
-            const currentType = this.currentShape?.userData?.type;
-            const typeChanged = currentType !== newType;
-            console.log('Circle type change check:', { currentType, newType, typeChanged });
-            
-            // Always update color when type changes, even if it's the same type
-            // This ensures color picker reflects the correct type-based color
-            if (this.currentShape) {
-                const newColor = this.getHexColorByType(newType);
-                console.log('Getting circle color for type:', newType, 'result:', newColor);
-                document.getElementById('circleColor').value = newColor;
-                console.log('Auto-updated circle color to:', newColor, 'for type:', newType);
-            }
-            
-            // Update userData type
-            if (this.currentShape) {
-                this.currentShape.userData = this.currentShape.userData || {};
-                this.currentShape.userData.type = newType;
-                this.currentShape.userData.shapeType = newType === 'building' ? 'building' : 'circle';
-                console.log('Updated circle userData.type to:', newType);
-            }
-            
-            // Keep current values when changing type
-            const currentDiameterTop = this.currentShape?.userData?.dimensions?.diameterTop || 0.1;
-            document.getElementById('circleDiameter').value = currentDiameterTop;
-            document.getElementById('circleHeight').value = this.currentShape?.userData?.dimensions?.height || 0.1;
-            
-            // Update name based on new type (only if type actually changed)
-            if (typeChanged) {
-                const newName = this.generateUniqueNameByType(newType);
-                console.log('Type changed from', currentType, 'to', newType, '- generating new name:', newName);
-                // Update both the shape name and the popup field
-                this.currentShape.name = newName;
-                document.getElementById('circleName').value = newName;
-                
-                // Automatically update color based on new type
-                const newColor = this.getHexColorByType(newType);
-                console.log('Getting circle color for type:', newType, 'result:', newColor);
-                document.getElementById('circleColor').value = newColor;
-                console.log('Auto-updated circle color to:', newColor, 'for type:', newType);
-            }
-            
-            // Update color based on type
-            let newColor;
-            if (newType === 'building') {
-                newColor = '#ffffff'; // White for buildings
-            } else if (newType === 'ground') {
-                newColor = '#8B4513'; // Brown for ground
-            } else if (newType === 'waterway') {
-                newColor = '#0080ff'; // Blue for waterway
-            } else if (newType === 'highway') {
-                newColor = '#4d4d4d'; // Gray for highway
-            } else if (newType === 'green') {
-                newColor = '#00cc00'; // Green for green areas
-            }
-            document.getElementById('circleColor').value = newColor;
+        // Create 2D polygon base
+        const basePolygon = this.createPolygonMesh(name, points, position, material, userData);
+        this.attachPolygonExtrusion(basePolygon, points, height);
+        return basePolygon;
+    }
+
+    /**
+     * Build the extruded body of a flat base polygon and link it to the base
+     */
+    attachPolygonExtrusion(basePolygon, points, height) {
+        if (!basePolygon || points.length < 3) return null;
+
+        // Ensure points are in the correct order (same as the base polygon)
+        const correctedPoints = this.ensureCounterClockwiseForExtrusion(points);
+        console.log(`Using ${correctedPoints.length} corrected points for extrusion`);
+
+        // Calculate center of polygon for positioning
+        const centerX = correctedPoints.reduce((sum, p) => sum + p.x, 0) / correctedPoints.length;
+        const centerZ = correctedPoints.reduce((sum, p) => sum + p.z, 0) / correctedPoints.length;
+        const relativePoints = correctedPoints.map(p => new BABYLON.Vector3(p.x - centerX, 0, p.z - centerZ));
+
+        const extrusionName = basePolygon.name + '_extrusion';
+        const extrusion = this.createCustomPolygonExtrusion(extrusionName, relativePoints, height, this.getPolygonHoles(basePolygon.userData));
+
+        // PolygonMeshBuilder extrudes downwards from the outline, so lift the top to height
+        // to keep the extrusion base at the same Y level as the base polygon
+        extrusion.position = new BABYLON.Vector3(centerX, basePolygon.position.y + height, centerZ);
+        extrusion.material = basePolygon.material;
+        extrusion.renderingGroupId = 1;
+        extrusion.receiveShadows = true;
+        extrusion.castShadows = true;
+        extrusion.userData = {
+            ...basePolygon.userData,
+            type: 'building',
+            buildingHeight: height
+        };
+
+        // Link extrusion to base polygon
+        basePolygon.extrusion = extrusion;
+        extrusion.basePolygon = basePolygon;
+
+        // Make extrusion a child of base polygon for transform synchronization
+        extrusion.setParent(basePolygon);
+
+        // Add to selection manager
+        if (this.selectionManager) {
+            this.selectionManager.addSelectableObject(extrusion);
+        }
+        return extrusion;
+    }
+
+    /**
+     * Get the holes stored in polygon userData as rings of center-relative points
+     */
+    getPolygonHoles(userData) {
+        if (!userData || !userData.holes) return [];
+        return userData.holes.map(ring => ring.map(p => new BABYLON.Vector3(p[0], 0, p[1])));
+    }
+
+    /**
+     * Create custom polygon mesh (helper method)
+     */
+    createCustomPolygonMesh(relativePoints, holes = []) {
+        // Only earcut can cut holes, which PolygonManager wraps
+        if (holes.length > 0 && this.polygonManager) {
+            const mesh = this.polygonManager.createCustomPolygonMesh(relativePoints, holes);
+            mesh.name = `temp_polygon_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            return mesh;
+        }
+
+        const positions = [];
+        const indices = [];
+        const normals = [];
+        const uvs = [];
+
+        // Add polygon vertices
+        relativePoints.forEach((point, index) => {
+            positions.push(point.x, 0.01, point.z);
+            normals.push(0, 1, 0); // Normal pointing upward
             
-            this.updateCircleInRealTime();
+            const u = (point.x + 1) / 2;
+            const v = (point.z + 1) / 2;
+            uvs.push(u, v);
         });
 
-        document.getElementById('circleColor').addEventListener('input', (e) => {
-            this.updateCircleInRealTime();
-        });
+        // Triangulate polygon
+        this.triangulatePolygon(relativePoints, indices);
 
-        // Add continuous parameter change functionality for circles
-        this.setupContinuousParameterChange('circleDiameter', () => this.updateCircleInRealTime());
-        this.setupContinuousParameterChange('circleHeight', () => this.updateCircleInRealTime());
+        const scene = this.sceneManager.getScene();
+        // Use a temporary unique name to avoid conflicts
+        const tempName = `temp_polygon_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const mesh = new BABYLON.Mesh(tempName, scene);
+        mesh.setVerticesData(BABYLON.VertexBuffer.PositionKind, positions);
+        mesh.setVerticesData(BABYLON.VertexBuffer.NormalKind, normals);
+        mesh.setVerticesData(BABYLON.VertexBuffer.UVKind, uvs);
+        mesh.setIndices(indices);
 
-        // Prevent backspace from closing circle popup when typing in input fields
-        const circlePopup = document.getElementById('circlePropertiesPopup');
-        circlePopup.addEventListener('keydown', (event) => {
-            // Allow backspace in input fields
-            if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') {
-                event.stopPropagation();
-            }
-        });
+        return mesh;
     }
 
     /**
-     * Show properties popup for a shape
+     * Triangulate polygon (helper method)
      */
-    showPropertiesPopup(shape) {
-        this.currentShape = shape;
-        
-        // Get shape properties
-        const properties = this.getShapeProperties(shape);
-        console.log('Showing properties for shape:', shape.name);
-        console.log('Shape userData:', shape.userData);
-        console.log('Properties:', properties);
-        
-        // Use the actual color from the shape material
-        let displayColor = properties.color;
-        
-        // Fill form fields
-        document.getElementById('shapeName').value = properties.name;
-        document.getElementById('shapeType').value = properties.type;
-        document.getElementById('shapeColor').value = displayColor;
-        document.getElementById('shapeLength').value = properties.length;
-        document.getElementById('shapeWidth').value = properties.width;
+    triangulatePolygon(points, indices) {
+        if (points.length < 3) return;
         
-        // Set height value for all types
-        document.getElementById('shapeHeight').value = properties.height || 0.1;
+        if (points.length === 3) {
+            indices.push(0, 2, 1); // Reverse order for upward normals
+            return;
+        }
         
-        // Show/hide fields based on shape type
-        this.updatePropertiesFields(properties.type);
+        if (points.length === 4) {
+            indices.push(0, 2, 1); // Reverse order for upward normals
+            indices.push(0, 3, 2);
+            return;
+        }
         
-        // Set radius value for shapes that have radius
-        if (properties.shapeType === 'circle') {
-            document.getElementById('shapeRadius').value = properties.radius || 0;
+        const vertexIndices = [];
+        for (let i = 0; i < points.length; i++) {
+            vertexIndices.push(i);
         }
         
-        // Show popup
-        document.getElementById('propertiesPopup').classList.add('show');
-    }
-
-    /**
-     * Hide properties popup
-     */
-    hidePropertiesPopup() {
-        // Remove preview extrusion when hiding popup
-        this.removePreviewExtrusion();
+        let attempts = 0;
+        const maxAttempts = vertexIndices.length * 2; // Prevent infinite loops
+        
+        while (vertexIndices.length > 3 && attempts < maxAttempts) {
+            let earFound = false;
+            
+            for (let i = 0; i < vertexIndices.length; i++) {
+                const prev = vertexIndices[(i - 1 + vertexIndices.length) % vertexIndices.length];
+                const curr = vertexIndices[i];
+                const next = vertexIndices[(i + 1) % vertexIndices.length];
+                
+                if (this.isEar(points, vertexIndices, prev, curr, next)) {
+                    indices.push(prev, next, curr); // Reverse order for upward normals
+                    vertexIndices.splice(i, 1);
+                    earFound = true;
+                    break;
+                }
+            }
+            
+            if (!earFound) {
+                // Try to find any convex vertex and force triangulation
+                let convexFound = false;
+                for (let i = 0; i < vertexIndices.length; i++) {
+                    const prev = vertexIndices[(i - 1 + vertexIndices.length) % vertexIndices.length];
+                    const curr = vertexIndices[i];
+                    const next = vertexIndices[(i + 1) % vertexIndices.length];
+                    
+                    if (this.isConvex(points, prev, curr, next)) {
+                        indices.push(prev, next, curr);
+                        vertexIndices.splice(i, 1);
+                        convexFound = true;
+                        break;
+                    }
+                }
+                
+                if (!convexFound) {
+                    // Force triangulation from first vertex
+                    for (let i = 1; i < vertexIndices.length - 1; i++) {
+                        indices.push(vertexIndices[0], vertexIndices[i + 1], vertexIndices[i]);
+                    }
+                    break;
+                }
+            }
+            
+            attempts++;
+        }
         
-        document.getElementById('propertiesPopup').classList.remove('show');
-        document.getElementById('circlePropertiesPopup').classList.remove('show');
-        document.getElementById('polygonPropertiesPopup').classList.remove('show');
-        document.getElementById('treePropertiesPopup').classList.remove('show');
-        this.currentShape = null;
+        if (vertexIndices.length === 3) {
+            indices.push(vertexIndices[0], vertexIndices[2], vertexIndices[1]); // Reverse order for upward normals
+        }
     }
 
     /**
-     * Show circle properties popup
+     * Check if vertex is an ear (helper method)
      */
-    showCirclePropertiesPopup(shape) {
-        this.currentShape = shape;
-        
-        // Get shape properties
-        const properties = this.getShapeProperties(shape);
-        console.log('Showing circle properties for shape:', shape.name);
-        console.log('Shape userData:', shape.userData);
-        console.log('Properties:', properties);
-        
-        // Use the actual color from the shape material
-        let displayColor = properties.color;
-        
-        // Fill form fields
-        document.getElementById('circleName').value = properties.name;
-        document.getElementById('circleType').value = properties.type;
-        document.getElementById('circleColor').value = displayColor;
+    isEar(points, vertexIndices, prev, curr, next) {
+        const p1 = points[prev];
+        const p2 = points[curr];
+        const p3 = points[next];
         
-        // Set values for diameter and height
-        document.getElementById('circleDiameter').value = properties.diameterTop || 0.1;
-        document.getElementById('circleHeight').value = properties.height || 0.1;
+        const cross = (p2.x - p1.x) * (p3.z - p1.z) - (p2.z - p1.z) * (p3.x - p1.x);
+        if (cross <= 0) return false; // Not convex
         
-        // Show popup
-        document.getElementById('circlePropertiesPopup').classList.add('show');
+        for (let i = 0; i < vertexIndices.length; i++) {
+            const idx = vertexIndices[i];
+            if (idx === prev || idx === curr || idx === next) continue;
+            
+            const point = points[idx];
+            if (this.isPointInTriangle(point, p1, p2, p3)) {
+                return false;
+            }
+        }
+        return true;
     }
 
     /**
-     * Hide circle properties popup
+     * Check if vertex is convex (helper method)
      */
-    hideCirclePropertiesPopup() {
-        document.getElementById('circlePropertiesPopup').classList.remove('show');
-        this.currentShape = null;
+    isConvex(points, prev, curr, next) {
+        const p1 = points[prev];
+        const p2 = points[curr];
+        const p3 = points[next];
+        
+        // Check if the triangle is convex (counter-clockwise)
+        const cross = (p2.x - p1.x) * (p3.z - p1.z) - (p2.z - p1.z) * (p3.x - p1.x);
+        return cross > 0; // Convex if counter-clockwise
     }
 
     /**
-     * Show tree properties popup
+     * Check if point is inside triangle (helper method)
      */
-    showTreePropertiesPopup(tree) {
-        this.currentShape = tree;
-        this.currentTree = tree; // Store tree reference for name validation
-        
-        console.log('Showing tree properties for:', tree.name);
-        
-        // Get tree type from name (e.g., "tree_1_0" -> "1")
-        const treeType = this.getTreeTypeFromName(tree.name);
-        
-        // Fill form fields
-        document.getElementById('treeName').value = tree.name;
-        document.getElementById('treeCategory').value = 'Tree';
+    isPointInTriangle(point, a, b, c) {
+        const denom = (b.z - c.z) * (a.x - c.x) + (c.x - b.x) * (a.z - c.z);
+        if (Math.abs(denom) < 0.0001) return false;
         
-        // Set current scale value
-        const currentScale = tree.scaling.x; // Use X scaling as reference
-        document.getElementById('treeScale').value = currentScale.toFixed(1);
+        const alpha = ((b.z - c.z) * (point.x - c.x) + (c.x - b.x) * (point.z - c.z)) / denom;
+        const beta = ((c.z - a.z) * (point.x - c.x) + (a.x - c.x) * (point.z - c.z)) / denom;
+        const gamma = 1 - alpha - beta;
         
-        // Show popup
-        document.getElementById('treePropertiesPopup').classList.add('show');
-    }
-
-    /**
-     * Hide tree properties popup
-     */
-    hideTreePropertiesPopup() {
-        document.getElementById('treePropertiesPopup').classList.remove('show');
-        this.currentShape = null;
-    }
-
-    /**
-     * Get tree type from tree name
-     */
-    getTreeTypeFromName(name) {
-        // Extract type from names like "tree_1_0" or "simple_tree_1_0"
-        const match = name.match(/(?:tree_|simple_tree_)(\d+)_/);
-        return match ? match[1] : '1';
+        return alpha >= 0 && beta >= 0 && gamma >= 0;
     }
 
     /**
-     * Update shape in real-time based on popup values (for rectangles and other shapes)
+     * Create custom polygon extrusion (3D building)
      */
-    updateShapeInRealTime() {
-        if (!this.currentShape) return;
-
-        // Get current values from popup (for rectangles and other shapes)
-        const type = document.getElementById('shapeType').value;
-        const color = document.getElementById('shapeColor').value;
-        const length = Math.max(parseFloat(document.getElementById('shapeLength').value) || 1.0, 0.1);
-        const width = Math.max(parseFloat(document.getElementById('shapeWidth').value) || 1.0, 0.1);
-        const height = Math.max(parseFloat(document.getElementById('shapeHeight').value) || 0.1, 0.1);
-        const radius = parseFloat(document.getElementById('shapeRadius').value) || 0;
+    createCustomPolygonExtrusion(name, points, height, holes = []) {
+        console.log(`Creating extrusion for ${name} with ${points.length} points and height ${height}`);
         
-        // Round to 2 decimal places
-        const roundedLength = Math.round(length * 100) / 100;
-        const roundedWidth = Math.round(width * 100) / 100;
-        const roundedHeight = Math.round(height * 100) / 100;
-        const roundedRadius = Math.round(radius * 100) / 100;
+        const scene = this.sceneManager.getScene();
         
-        console.log('Updating rectangle with:', { type, length: roundedLength, width: roundedWidth, height: roundedHeight });
-
-        // Use the color selected by user (from color picker)
-        const rgbColor = this.hexToRgb(color);
-        const newColor = new BABYLON.Color3(rgbColor.r, rgbColor.g, rgbColor.b);
+        // Convert points to Vector2 format for PolygonMeshBuilder
+        const shape2D = points.map(p => new BABYLON.Vector2(p.x, p.z));
         
-        // Update material color immediately for visual feedback
-        if (this.currentShape.material && this.currentShape.material.diffuseColor) {
-            this.currentShape.material.diffuseColor = newColor;
-        }
-
-        // Check if type actually changed before updating userData
-        const currentType = this.currentShape.userData.type;
-        const typeChanged = currentType !== type;
+        // Create polygon mesh using PolygonMeshBuilder with earcut
+        const builder = new BABYLON.PolygonMeshBuilder(name, shape2D, scene, earcut);
+        holes.forEach(hole => builder.addHole(hole.map(p => new BABYLON.Vector2(p.x, p.z))));
+        const mesh = builder.build(false, height);
         
-        // Update userData
-        this.currentShape.userData.type = type;
-        this.currentShape.userData.shapeType = type === 'building' ? 'building' : 'rectangle';
+        // Fix normals for proper surface orientation
+        // Flip faces to correct side wall normals
+        mesh.flipFaces(false);
         
-        // Only generate new name if type actually changed
-        if (typeChanged) {
-            const newName = this.generateUniqueNameByType(type);
-            this.currentShape.name = newName;
-            document.getElementById('shapeName').value = newName;
+        // Ensure material has backFaceCulling disabled and is double-sided
+        if (mesh.material) {
+            mesh.material.backFaceCulling = false;
+            mesh.material.sideOrientation = BABYLON.Material.DoubleSide;
         }
-
-        // Update geometry based on shape type
-        console.log('Updating shape geometry with properties:', {
-            type: type,
-            length: length,
-            width: width,
-            height: height,
-            radius: radius
-        });
         
-        // Update rectangle geometry using CircleManager-like approach
-        const newRectangle = this.updateRectangleGeometryLikeCircle(this.currentShape, roundedLength, roundedWidth, roundedHeight, type);
-        if (newRectangle) {
-            this.currentShape = newRectangle;
-        }
+        // Force normal recalculation
+        mesh.computeWorldMatrix(true);
+        mesh.refreshBoundingInfo();
+        
+        // Position the mesh so the base is at y=0 and top is at y=height
+        mesh.position.y = height / 2;
+        
+        console.log(`Extrusion created using PolygonMeshBuilder with height ${height}`);
+        return mesh;
     }
 
     /**
-     * Update rectangle geometry like CircleManager (preserves focus and works smoothly)
+     * Remove bottom faces from mesh to prevent Z-fighting
      */
-    updateRectangleGeometryLikeCircle(shape, newLength, newWidth, newHeight, type) {
-        if (!shape || !shape.userData) {
-            console.warn('Cannot update: no shape or userData');
-            return;
-        }
-        
-        // Check if this is a rectangle or building
-        const isRectangle = shape.userData.shapeType === 'rectangle' || shape.userData.shapeType === 'building';
-        
-        if (!isRectangle) {
-            console.warn('Cannot update: not a rectangle or building');
-            return;
-        }
-        
-        console.log('Updating rectangle:', shape.name, 'length:', newLength, 'width:', newWidth, 'height:', newHeight);
-        
-        // Store current transform properties
-        const currentPosition = shape.position.clone();
-        const currentRotation = shape.rotation.clone();
-        const currentScaling = shape.scaling.clone();
+    removeBottomFaces(mesh) {
+        if (!mesh.geometry || !mesh.geometry.indices) return;
         
-        // Store references before disposing
-        const oldMaterial = shape.material;
-        const materialName = oldMaterial ? oldMaterial.name : null;
-        const oldExtrusion = shape.extrusion;
-        const oldName = shape.name;
-        const oldUserData = shape.userData ? JSON.parse(JSON.stringify(shape.userData)) : null;
+        const indices = mesh.geometry.indices;
+        const positions = mesh.geometry.positions;
+        const newIndices = [];
         
-        // Unlink extrusion before disposing to prevent issues
-        if (oldExtrusion) {
-            oldExtrusion.setParent(null);
-            if (oldExtrusion.basePolygon === shape) {
-                oldExtrusion.basePolygon = null;
-            }
+        // Find the minimum Y coordinate (bottom of the mesh)
+        let minY = Infinity;
+        for (let i = 1; i < positions.length; i += 3) {
+            minY = Math.min(minY, positions[i]);
         }
         
-        // Remove from selection manager before disposing
-        if (this.selectionManager) {
-            this.selectionManager.removeSelectableObject(shape);
-            if (oldExtrusion) {
-                this.selectionManager.removeSelectableObject(oldExtrusion);
-            }
-        }
+        console.log(`Mesh minY: ${minY}, scaling.y: ${mesh.scaling.y}`);
         
-        // Check if material is shared with other meshes before disposing
-        let shouldDisposeMaterial = true;
-        if (oldMaterial && oldMaterial !== this.sceneManager.getScene().defaultMaterial) {
-            const scene = this.sceneManager.getScene();
-            // Check if this material is used by other meshes
-            const meshesUsingMaterial = scene.meshes.filter(m => m.material === oldMaterial && m !== shape);
-            if (meshesUsingMaterial.length > 0) {
-                console.log(`Material ${materialName} is shared with ${meshesUsingMaterial.length} other meshes, not disposing`);
-                shouldDisposeMaterial = false;
+        // Filter out triangles that are on the bottom face
+        for (let i = 0; i < indices.length; i += 3) {
+            const i1 = indices[i] * 3;
+            const i2 = indices[i + 1] * 3;
+            const i3 = indices[i + 2] * 3;
+            
+            const y1 = positions[i1 + 1];
+            const y2 = positions[i2 + 1];
+            const y3 = positions[i3 + 1];
+            
+            // Check if all three vertices are on the bottom face
+            const tolerance = 0.001;
+            const isBottomFace = Math.abs(y1 - minY) < tolerance && 
+                                Math.abs(y2 - minY) < tolerance && 
+                                Math.abs(y3 - minY) < tolerance;
+            
+            // Keep only non-bottom faces
+            if (!isBottomFace) {
+                newIndices.push(indices[i], indices[i + 1], indices[i + 2]);
+            } else {
+                console.log(`Removing bottom face with Y coordinates: ${y1}, ${y2}, ${y3}`);
             }
         }
         
-        // Dispose old mesh
-        if (shape.geometry) { shape.geometry.dispose(); }
-        if (shouldDisposeMaterial && oldMaterial && oldMaterial !== this.sceneManager.getScene().defaultMaterial) {
-            oldMaterial.dispose();
-        }
-        shape.setEnabled(false);
-        shape.dispose();
-        
-        // Create new box with updated dimensions
-        // Use the stored oldName to ensure we use the correct name (shape is disposed, so we can't use shape.name)
-        const newRectangle = BABYLON.MeshBuilder.CreateBox(oldName, {
-            width: newLength,
-            height: newHeight,
-            depth: newWidth
-        }, this.sceneManager.getScene());
-        
-        // Restore all transform properties with smart Y positioning
-        // Calculate the bottom of the original rectangle (use stored userData since shape is disposed)
-        const originalHeight = oldUserData?.dimensions?.height || oldUserData?.originalHeight || newHeight;
-        const originalBottom = currentPosition.y - (originalHeight / 2);
+        console.log(`Original indices: ${indices.length}, New indices: ${newIndices.length}`);
         
-        // Position new rectangle with same bottom but new height
-        newRectangle.position = new BABYLON.Vector3(
-            currentPosition.x,
-            originalBottom + (newHeight / 2), // Keep same bottom, adjust for new height
-            currentPosition.z
-        );
-        newRectangle.rotation = currentRotation;
-        newRectangle.scaling = currentScaling;
+        // Update mesh indices
+        mesh.setIndices(newIndices);
         
-        // Create new material (color will be set later based on type)
-        // Use oldName since shape is already disposed
-        const material = new BABYLON.StandardMaterial(`${oldName}Material`, this.sceneManager.getScene());
-        material.diffuseColor = new BABYLON.Color3(0.4, 0.3, 0.2); // Default brown (will be updated)
-        material.backFaceCulling = false;
-        material.twoSidedLighting = true;
-        material.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
-        material.alpha = 1.0;
-        newRectangle.material = material;
-        newRectangle.renderingGroupId = 1; // Same rendering priority as buildings and trees
+        // Force mesh update
+        mesh.refreshBoundingInfo();
+    }
+
+    /**
+     * Convert polygon to 3D model after completion
+     */
+    convertPolygonTo3D(polygon) {
+        if (!polygon || !polygon.userData || !polygon.userData.points) {
+            console.warn('Cannot convert polygon to 3D: missing userData or points');
+            return;
+        }
+
+        const points = polygon.userData.points;
+        if (points.length < 3) {
+            console.warn('Cannot convert polygon to 3D: not enough points');
+            return;
+        }
+
+        // Create 3D extrusion with height 0.05
+        const extrusionName = `${polygon.name}_3d`;
+        const extrusion = this.createCustomPolygonExtrusion(extrusionName, points, 0.05);
         
-        // Use the color selected by user (from color picker)
-        const colorPicker = document.getElementById('shapeColor');
-        if (colorPicker && colorPicker.value) {
-            const rgbColor = this.hexToRgb(colorPicker.value);
-            material.diffuseColor = new BABYLON.Color3(rgbColor.r, rgbColor.g, rgbColor.b);
+        // Copy material from original polygon
+        if (polygon.material) {
+            const newMaterial = new BABYLON.StandardMaterial(`${extrusionName}Material`, this.sceneManager.getScene());
+            newMaterial.diffuseColor = polygon.material.diffuseColor.clone();
+            newMaterial.backFaceCulling = false;
+            extrusion.material = newMaterial;
         }
-        // No fallback colors - user must choose from color picker
         
-        // Update userData
-        newRectangle.userData = {
-            type: type,
-            shapeType: type === 'building' ? 'building' : 'rectangle',
-            dimensions: {
-                width: newLength,
-                depth: newWidth,
-                height: newHeight
-            },
-            originalHeight: newHeight
+        // Copy position from original polygon
+        extrusion.position = polygon.position.clone();
+        extrusion.position.y = 0.05 / 2; // Half height above ground
+        
+        // Copy userData from original polygon
+        extrusion.userData = {
+            ...polygon.userData,
+            shapeType: 'polygon',
+            is3D: true,
+            originalHeight: 0.05
         };
         
-        // Re-link extrusion to new mesh if it existed
-        if (oldExtrusion) {
-            // Re-parent extrusion to new mesh
-            oldExtrusion.setParent(newRectangle);
-            // Re-link bidirectional references
-            newRectangle.extrusion = oldExtrusion;
-            oldExtrusion.basePolygon = newRectangle;
-            
-            // Add extrusion back to selection manager
-            if (this.selectionManager) {
-                this.selectionManager.addSelectableObject(oldExtrusion);
-            }
+        // Enable shadows for the polygon
+        extrusion.receiveShadows = true;
+        
+        // Add to shadow system
+        if (this.lightingManager) {
+            this.lightingManager.addShadowCaster(extrusion);
+            this.lightingManager.addShadowReceiver(extrusion);
         }
         
-        // Add to selection manager
+        // Make extrusion selectable
         if (this.selectionManager) {
-            this.selectionManager.addSelectableObject(newRectangle);
+            this.selectionManager.addSelectableObject(extrusion);
         }
         
-        // Enable shadows
-        if (this.lightingManager) {
-            this.lightingManager.updateShadowsForNewObject(newRectangle);
-            if (oldExtrusion) {
-                this.lightingManager.updateShadowsForNewObject(oldExtrusion);
-            }
+        // Update wireframe if exists
+        if (this.selectionManager) {
+            this.selectionManager.updateWireframeTransforms(extrusion);
         }
         
-        // Update rectangleManager rectangles array
-        if (this.rectangleManager) {
-            // Remove old mesh from rectangles array
-            const oldIndex = this.rectangleManager.rectangles.indexOf(shape);
-            if (oldIndex !== -1) {
-                this.rectangleManager.rectangles.splice(oldIndex, 1);
-            }
-            // Add new mesh to rectangles array
-            this.rectangleManager.rectangles.push(newRectangle);
+        // Remove original 2D polygon
+        if (this.selectionManager) {
+            this.selectionManager.removeSelectableObject(polygon);
         }
+        polygon.dispose();
         
-        return newRectangle;
+        console.log(`Converted polygon ${polygon.name} to 3D model ${extrusionName}`);
+        return extrusion;
     }
 
+
     /**
-     * Update shape geometry (for rectangles and other shapes, NOT circles)
+     * Ensure polygon has counter-clockwise winding order for extrusion
+     * @param {BABYLON.Vector3[]} points - Polygon points
+     * @returns {BABYLON.Vector3[]} Points with correct winding order
      */
-    updateShapeGeometry(shape, properties) {
-        const shapeType = this.getShapeType(shape);
+    ensureCounterClockwiseForExtrusion(points) {
+        let totalCross = 0;
+        for (let i = 0; i < points.length; i++) {
+            const prev = points[(i - 1 + points.length) % points.length];
+            const curr = points[i];
+            const next = points[(i + 1) % points.length];
+            
+            const cross = this.calculateCrossProductForExtrusion(prev, curr, next);
+            totalCross += cross;
+        }
         
-        if (shapeType === 'rectangle') {
-            this.updateRectangleGeometry(shape, properties);
-        } else if (shapeType === 'building') {
-            // For buildings from rectangles, use building geometry update
-            this.updateBuildingGeometry(shape, properties);
-        } else if (shapeType === 'polygon') {
-            this.updatePolygonGeometry(shape, properties);
+        // If clockwise, reverse the order
+        if (totalCross < 0) {
+            console.log('Reversing polygon winding order for extrusion to counter-clockwise');
+            return points.slice().reverse();
         }
+        
+        return points;
     }
 
     /**
-     * Update rectangle geometry using scaling (preserves focus)
+     * Cross product of the XZ vectors p1→p2 and p1→p3, positive for a counter-clockwise turn
      */
-    updateRectangleGeometryWithScaling(shape, properties) {
-        // Get current dimensions from userData
-        const currentDimensions = shape.userData.dimensions || { width: 1, depth: 1, height: 1 };
-        
-        // Calculate scaling factors
-        const scaleX = properties.length / currentDimensions.width;
-        const scaleY = properties.height / currentDimensions.height;
-        const scaleZ = properties.width / currentDimensions.depth;
-        
-        // Apply scaling
-        shape.scaling = new BABYLON.Vector3(scaleX, scaleY, scaleZ);
-        
-        // Update userData
-        shape.userData.dimensions = {
-            width: properties.length,
-            depth: properties.width,
-            height: properties.height
-        };
-        shape.userData.type = properties.type;
-        shape.userData.shapeType = properties.type === 'building' ? 'building' : 'rectangle';
-        shape.userData.originalHeight = properties.height;
-        
-        // Update material color based on type
-        if (shape.material) {
-            if (properties.type === 'building') {
-                shape.material.diffuseColor = new BABYLON.Color3(1, 1, 1); // White for buildings
-            } else if (properties.type === 'ground') {
-                shape.material.diffuseColor = new BABYLON.Color3(0.4, 0.3, 0.2); // Brown for ground
-            } else if (properties.type === 'waterway') {
-                shape.material.diffuseColor = new BABYLON.Color3(0, 0.5, 1); // Blue for waterway
-            } else if (properties.type === 'highway') {
-                shape.material.diffuseColor = new BABYLON.Color3(0.3, 0.3, 0.3); // Gray for highway
-            } else if (properties.type === 'green') {
-                shape.material.diffuseColor = new BABYLON.Color3(0, 0.8, 0); // Green for green areas
-            }
-        }
+    calculateCrossProductForExtrusion(p1, p2, p3) {
+        return (p2.x - p1.x) * (p3.z - p1.z) - (p2.z - p1.z) * (p3.x - p1.x);
     }
 
     /**
-     * Update building geometry using scaling (preserves focus)
+     * Triangulate polygon for extrusion (legacy method)
      */
-    updateBuildingGeometryWithScaling(shape, properties) {
-        // Get current dimensions from userData
-        const currentDimensions = shape.userData.dimensions || { width: 1, depth: 1, height: 1 };
-        
-        // Calculate scaling factors
-        const scaleX = properties.length / currentDimensions.width;
-        const scaleY = properties.height / currentDimensions.height;
-        const scaleZ = properties.width / currentDimensions.depth;
+    triangulatePolygonForExtrusion(points, indices, reverse = false) {
+        if (points.length < 3) return;
         
-        // Apply scaling
-        shape.scaling = new BABYLON.Vector3(scaleX, scaleY, scaleZ);
+        if (points.length === 3) {
+            if (reverse) {
+                indices.push(0, 2, 1);
+            } else {
+                indices.push(0, 1, 2);
+            }
+            return;
+        }
         
-        // Update userData
-        shape.userData.dimensions = {
-            width: properties.length,
-            depth: properties.width,
-            height: properties.height
-        };
-        shape.userData.type = properties.type;
-        shape.userData.shapeType = 'building';
-        shape.userData.originalHeight = properties.height;
+        if (points.length === 4) {
+            if (reverse) {
+                indices.push(0, 2, 1);
+                indices.push(0, 3, 2);
+            } else {
+                indices.push(0, 1, 2);
+                indices.push(0, 2, 3);
+            }
+            return;
+        }
         
-        // Update material color based on type
-        if (shape.material) {
-            if (properties.type === 'building') {
-                shape.material.diffuseColor = new BABYLON.Color3(1, 1, 1); // White for buildings
-            } else if (properties.type === 'ground') {
-                shape.material.diffuseColor = new BABYLON.Color3(0.4, 0.3, 0.2); // Brown for ground
-            } else if (properties.type === 'waterway') {
-                shape.material.diffuseColor = new BABYLON.Color3(0, 0.5, 1); // Blue for waterway
-            } else if (properties.type === 'highway') {
-                shape.material.diffuseColor = new BABYLON.Color3(0.3, 0.3, 0.3); // Gray for highway
-            } else if (properties.type === 'green') {
-                shape.material.diffuseColor = new BABYLON.Color3(0, 0.8, 0); // Green for green areas
+        // For more complex polygons, use fan triangulation
+        for (let i = 1; i < points.length - 1; i++) {
+            if (reverse) {
+                indices.push(0, i + 1, i);
+            } else {
+                indices.push(0, i, i + 1);
             }
         }
     }
 
     /**
-     * Update building geometry
+     * Update rectangle geometry
      */
-    updateBuildingGeometry(shape, properties) {
-        // Store current transform properties and material
+    updateRectangleGeometry(shape, properties) {
+        // Store current position and material
         const currentPosition = shape.position.clone();
-        const currentRotation = shape.rotation.clone();
-        const currentScaling = shape.scaling.clone();
         const currentMaterial = shape.material;
         // Keep the same name (don't generate new name for updates)
         const currentName = shape.name;
-        const isSelected = this.selectionManager && this.selectionManager.isSelected(shape);
+        const currentUserData = shape.userData;
+
+        // Check if shape is selected
+        const isSelected = this.selectionManager && this.selectionManager.selectedObjects.includes(shape);
         
         // Store current focus element
         const activeElement = document.activeElement;
@@ -5288,34 +7506,31 @@ Transform your 3D models into powerful energy analysis tools.`;
             this.selectionManager.removeSelectableObject(shape);
             this.selectionManager.originalMaterials.delete(shape);
         }
-        
+
         // Dispose old mesh completely
-        if (shape.geometry) { shape.geometry.dispose(); }
-        if (shape.material && shape.material !== this.sceneManager.getScene().defaultMaterial) { shape.material.dispose(); }
+        if (shape.geometry) {
+            shape.geometry.dispose();
+        }
+        if (shape.material && shape.material !== this.sceneManager.getScene().defaultMaterial) {
+            shape.material.dispose();
+        }
+        
+        // Remove from scene before disposing
         shape.setEnabled(false);
         shape.dispose();
         
-        // Create new 3D box mesh with updated dimensions
+        // Force garbage collection hint
+        if (this.sceneManager.getScene().getEngine()._gl) {
+            this.sceneManager.getScene().getEngine()._gl.flush();
+        }
+
+        // Create new 3D box mesh with updated dimensions (always start with unit box)
         const newMesh = BABYLON.MeshBuilder.CreateBox(currentName, {
             width: properties.length,
             height: properties.height,
             depth: properties.width
         }, this.sceneManager.getScene());
-        
-        // Restore all transform properties with smart Y positioning
-        // Calculate the bottom of the original building
-        const originalHeight = shape.userData?.dimensions?.height || shape.userData?.originalHeight || properties.height;
-        const originalBottom = currentPosition.y - (originalHeight / 2);
-        
-        // Position new building with same bottom but new height
-        newMesh.position = new BABYLON.Vector3(
-            currentPosition.x,
-            originalBottom + (properties.height / 2), // Keep same bottom, adjust for new height
-            currentPosition.z
-        );
-        newMesh.rotation = currentRotation;
-        newMesh.scaling = currentScaling;
-        
+
         // Create new material with appropriate color based on type
         const newMaterial = new BABYLON.StandardMaterial(`${currentName}Material`, this.sceneManager.getScene());
         
@@ -5331,2384 +7546,2531 @@ Transform your 3D models into powerful energy analysis tools.`;
         } else if (properties.type === 'green') {
             newMaterial.diffuseColor = new BABYLON.Color3(0, 0.8, 0); // Green for green areas
         } else {
-            newMaterial.diffuseColor = new BABYLON.Color3(1, 1, 1); // Default white
+            // Use original material color for other types
+            if (currentMaterial && currentMaterial.diffuseColor) {
+                newMaterial.diffuseColor = currentMaterial.diffuseColor.clone();
+            } else {
+                newMaterial.diffuseColor = new BABYLON.Color3(0, 1, 0); // Default green
+            }
         }
         
+        // Set common material properties
         newMaterial.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
         newMaterial.roughness = 0.7;
-        newMaterial.twoSidedLighting = true;
         
+        // Restore properties
+        newMesh.position = new BABYLON.Vector3(
+            currentPosition.x,
+            properties.height / 2, // Center the box vertically
+            currentPosition.z
+        );
         newMesh.material = newMaterial;
         newMesh.renderingGroupId = 1;
+        newMesh.userData = currentUserData;
+
+        // Apply anti-flickering settings
         newMesh.enableEdgesRendering();
         newMesh.edgesWidth = 1.0;
         newMesh.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
-        
-        // Update userData
-        newMesh.userData = {
-            type: properties.type,
-            shapeType: 'building',
-            dimensions: {
-                width: properties.length,
-                depth: properties.width,
-                height: properties.height
-            },
-            originalHeight: properties.height
+
+        // Update userData dimensions and type
+        newMesh.userData.dimensions = {
+            width: properties.length,
+            depth: properties.width,
+            height: properties.height
         };
-        
+        newMesh.userData.type = properties.type;
+        newMesh.userData.shapeType = properties.type === 'building' ? 'building' : 'rectangle';
+        newMesh.userData.originalHeight = properties.height;
+
         // Update currentShape reference
         this.currentShape = newMesh;
-        
+
         // Make new mesh selectable
         if (this.selectionManager) {
             this.selectionManager.addSelectableObject(newMesh);
+            
+            // If the old shape was selected, select the new one
             if (isSelected) {
-                this.selectionManager.originalMaterials.set(newMesh, currentMaterial);
+                this.selectionManager.originalMaterials.set(newMesh, newMaterial);
                 this.selectionManager.selectObject(newMesh, false, false);
             }
         }
-        
-        // Enable shadows for the new mesh
-        if (this.lightingManager) {
-            this.lightingManager.updateShadowsForNewObject(newMesh);
-        }
-        
-        // Restore focus to the active element
-        if (activeElement && activeElement.focus) {
-            setTimeout(() => {
-                activeElement.focus();
-            }, 0);
-        }
-    }
-
-    /**
-     * Update polygon geometry
-     */
-    updatePolygonGeometry(shape, properties) {
-        // Store current position and material
-        const currentPosition = shape.position.clone();
-        const currentMaterial = shape.material;
-        const currentName = shape.name;
-        const currentUserData = shape.userData || {};
-        const currentPoints = currentUserData.points || [];
-
-        // Dispose old mesh
-        shape.dispose();
-
-        if (properties.type === 'building' && properties.height > 0.001) {
-            // Create extrusion for building
-            this.createPolygonExtrusion(currentName, currentPoints, properties.height, currentPosition, currentMaterial, currentUserData);
-        } else {
-            // Keep as 2D polygon
-            this.createPolygonMesh(currentName, currentPoints, currentPosition, currentMaterial, currentUserData);
-        }
-    }
-
-    /**
-     * Create polygon mesh (2D)
-     */
-    createPolygonMesh(name, points, position, material, userData) {
-        if (points.length < 3) return;
-
-        // Calculate center and relative points
-        const center = BABYLON.Vector3.Zero();
-        points.forEach(point => center.addInPlace(point));
-        center.scaleInPlace(1 / points.length);
-        center.y = 0;
 
-        const relativePoints = points.map(point => point.subtract(center));
-
-        // Create polygon mesh using PolygonManager's method
-        const mesh = this.createCustomPolygonMesh(relativePoints);
-        
-        // Set properties immediately after creation
-        mesh.name = name;
-        mesh.material = material;
-        mesh.renderingGroupId = 1;
-        mesh.receiveShadows = true;
-        mesh.castShadows = true;
-        mesh.position = center;
-        mesh.userData = userData;
-        
-        // Ensure material is properly applied
-        if (material) {
-            mesh.material = material;
-        }
-        
-        // Ensure userData is properly set
-        if (userData) {
-            mesh.userData = userData;
-        }
-        
-        // Final validation: ensure type is set correctly
-        if (!mesh.userData || !mesh.userData.type || mesh.userData.type === undefined || mesh.userData.type === null || mesh.userData.type === '') {
-            if (userData && userData.type) {
-                mesh.userData = userData;
-            } else {
-                // If no type provided, set default based on name
-                if (!mesh.userData) {
-                    mesh.userData = {};
-                }
-                // Try to extract type from name (e.g., polygon_water_1 -> water)
-                const nameMatch = name.match(/polygon_(water|waterway|ground|green)_/);
-                if (nameMatch) {
-                    mesh.userData.type = nameMatch[1];
-                } else {
-                    mesh.userData.type = 'ground'; // Default fallback
-                }
-                console.warn(`Polygon ${name} had no type in userData, extracted from name or set to 'ground'`);
+        // Update rectangleManager rectangles array
+        if (this.rectangleManager) {
+            // Remove old mesh from rectangles array
+            const oldIndex = this.rectangleManager.rectangles.indexOf(shape);
+            if (oldIndex !== -1) {
+                this.rectangleManager.rectangles.splice(oldIndex, 1);
             }
+            // Add new mesh to rectangles array
+            this.rectangleManager.rectangles.push(newMesh);
         }
-        
-        console.log(`Created polygon mesh: ${name}, type: ${mesh.userData?.type || 'unknown'}, material color: R=${material?.diffuseColor?.r?.toFixed(2) || 'N/A'}, G=${material?.diffuseColor?.g?.toFixed(2) || 'N/A'}, B=${material?.diffuseColor?.b?.toFixed(2) || 'N/A'}`);
-
-        // Add to selection manager
-        if (this.selectionManager) {
-            this.selectionManager.addSelectableObject(mesh);
-        }
-    }
 
-    /**
-     * Create polygon extrusion (3D building)
-     */
-    createPolygonExtrusion(name, points, height, position, material, userData) {
-        if (points.length < 3) return;
-
-        console.log(`Creating polygon extrusion for ${name} with ${points.length} points`);
-
-        // Create 2D polygon base
-        this.createPolygonMesh(name, points, position, material, userData);
-
-        // Ensure points are in the correct order (same as the base polygon)
-        const correctedPoints = this.ensureCounterClockwiseForExtrusion(points);
-        console.log(`Using ${correctedPoints.length} corrected points for extrusion`);
-
-        // TODO: Implement new extrusion method
-        const extrusionName = name + '_extrusion';
-        // const extrusion = this.createCustomPolygonExtrusion(extrusionName, correctedPoints, height);
-
-        // Calculate center of polygon for positioning
-        const centerX = correctedPoints.reduce((sum, p) => sum + p.x, 0) / correctedPoints.length;
-        const centerZ = correctedPoints.reduce((sum, p) => sum + p.z, 0) / correctedPoints.length;
-        
-        extrusion.position = new BABYLON.Vector3(centerX, position.y, centerZ);
-        // Keep extrusion at the same Y level as the base polygon
-        extrusion.material = material;
-        extrusion.renderingGroupId = 1;
-        extrusion.receiveShadows = true;
-        extrusion.castShadows = true;
-        extrusion.userData = {
-            ...userData,
-            type: 'building',
-            buildingHeight: height
-        };
-
-        // Link extrusion to base polygon
-        const scene = this.sceneManager.getScene();
-        const basePolygon = scene.getMeshByName(name);
-        if (basePolygon) {
-            basePolygon.extrusion = extrusion;
-            extrusion.basePolygon = basePolygon;
-            
-            // Make extrusion a child of base polygon for transform synchronization
-            extrusion.setParent(basePolygon);
+        // Enable shadows for the new mesh
+        if (this.lightingManager) {
+            this.lightingManager.updateShadowsForNewObject(newMesh);
         }
-
-        // Add to selection manager
-        if (this.selectionManager) {
-            this.selectionManager.addSelectableObject(extrusion);
+        
+        // Restore focus to the active element
+        if (activeElement && activeElement.focus) {
+            setTimeout(() => {
+                activeElement.focus();
+            }, 0);
         }
     }
 
-    /**
-     * Create custom polygon mesh (helper method)
-     */
-    createCustomPolygonMesh(relativePoints) {
-        const positions = [];
-        const indices = [];
-        const normals = [];
-        const uvs = [];
-
-        // Add polygon vertices
-        relativePoints.forEach((point, index) => {
-            positions.push(point.x, 0.01, point.z);
-            normals.push(0, 1, 0); // Normal pointing upward
-            
-            const u = (point.x + 1) / 2;
-            const v = (point.z + 1) / 2;
-            uvs.push(u, v);
-        });
-
-        // Triangulate polygon
-        this.triangulatePolygon(relativePoints, indices);
-
-        const scene = this.sceneManager.getScene();
-        // Use a temporary unique name to avoid conflicts
-        const tempName = `temp_polygon_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        const mesh = new BABYLON.Mesh(tempName, scene);
-        mesh.setVerticesData(BABYLON.VertexBuffer.PositionKind, positions);
-        mesh.setVerticesData(BABYLON.VertexBuffer.NormalKind, normals);
-        mesh.setVerticesData(BABYLON.VertexBuffer.UVKind, uvs);
-        mesh.setIndices(indices);
 
-        return mesh;
-    }
 
     /**
-     * Triangulate polygon (helper method)
+     * Extrude shape to create 3D building
      */
-    triangulatePolygon(points, indices) {
-        if (points.length < 3) return;
-        
-        if (points.length === 3) {
-            indices.push(0, 2, 1); // Reverse order for upward normals
-            return;
-        }
-        
-        if (points.length === 4) {
-            indices.push(0, 2, 1); // Reverse order for upward normals
-            indices.push(0, 3, 2);
-            return;
-        }
-        
-        const vertexIndices = [];
-        for (let i = 0; i < points.length; i++) {
-            vertexIndices.push(i);
-        }
+    extrudeShape(shape, height) {
+        console.log(`Extruding shape ${shape.name} to height ${height}`);
         
-        let attempts = 0;
-        const maxAttempts = vertexIndices.length * 2; // Prevent infinite loops
+        const shapeType = this.getShapeType(shape);
         
-        while (vertexIndices.length > 3 && attempts < maxAttempts) {
-            let earFound = false;
-            
-            for (let i = 0; i < vertexIndices.length; i++) {
-                const prev = vertexIndices[(i - 1 + vertexIndices.length) % vertexIndices.length];
-                const curr = vertexIndices[i];
-                const next = vertexIndices[(i + 1) % vertexIndices.length];
+        if (shapeType === 'polygon') {
+            // For 3D polygons, use scaling method (working version)
+            if (shape.userData && shape.userData.is3D) {
+                const originalHeight = shape.userData.originalHeight || 0.05;
+                const scaleFactor = height / originalHeight;
                 
-                if (this.isEar(points, vertexIndices, prev, curr, next)) {
-                    indices.push(prev, next, curr); // Reverse order for upward normals
-                    vertexIndices.splice(i, 1);
-                    earFound = true;
-                    break;
+                // Update scaling
+                shape.scaling.y = scaleFactor;
+                
+                // Adjust position to keep base at Y=0
+                // When scaling, the mesh center moves, so we need to adjust position
+                // The base should be at Y=0, so position.y = height
+                shape.position.y = height;
+                
+                // Update userData
+                shape.userData.originalHeight = height;
+                
+                // This method is no longer used - height is managed automatically in updatePolygonMaterialByType
+                console.log(`Height management moved to updatePolygonMaterialByType`);
+                return;
+            }
+            
+            // For 2D polygons, create extrusion (legacy support)
+            if (shape.extrusion) {
+                // Remove existing extrusion
+                if (this.selectionManager) {
+                    this.selectionManager.removeSelectableObject(shape.extrusion);
+                }
+                if (shape.extrusion.material) {
+                    shape.extrusion.material.dispose();
                 }
+                shape.extrusion.dispose();
+                shape.extrusion = null;
             }
             
-            if (!earFound) {
-                // Try to find any convex vertex and force triangulation
-                let convexFound = false;
-                for (let i = 0; i < vertexIndices.length; i++) {
-                    const prev = vertexIndices[(i - 1 + vertexIndices.length) % vertexIndices.length];
-                    const curr = vertexIndices[i];
-                    const next = vertexIndices[(i + 1) % vertexIndices.length];
+            if (height > 0.001) {
+                // Create new extrusion
+                const points = shape.userData.points || [];
+                if (points.length >= 3) {
+                    const extrusionName = `${shape.name}_extrusion`;
+                    const extrusion = this.createCustomPolygonExtrusion(extrusionName, points, height);
                     
-                    if (this.isConvex(points, prev, curr, next)) {
-                        indices.push(prev, next, curr);
-                        vertexIndices.splice(i, 1);
-                        convexFound = true;
-                        break;
+                    // Copy material from original shape
+                    if (shape.material) {
+                        const newMaterial = new BABYLON.StandardMaterial(`${extrusionName}Material`, this.sceneManager.getScene());
+                        newMaterial.diffuseColor = shape.material.diffuseColor.clone();
+                        newMaterial.backFaceCulling = false;
+                        extrusion.material = newMaterial;
                     }
-                }
-                
-                if (!convexFound) {
-                    // Force triangulation from first vertex
-                    for (let i = 1; i < vertexIndices.length - 1; i++) {
-                        indices.push(vertexIndices[0], vertexIndices[i + 1], vertexIndices[i]);
+                    
+                    // Position extrusion
+                    extrusion.position = shape.position.clone();
+                    extrusion.position.y = height / 2;
+                    
+                    // Make extrusion selectable
+                    if (this.selectionManager) {
+                        this.selectionManager.addSelectableObject(extrusion);
                     }
-                    break;
+                    
+                    // Store reference
+                    shape.extrusion = extrusion;
+                    
+                    console.log(`Created new extrusion for ${shape.name} with height ${height}`);
                 }
             }
-            
-            attempts++;
-        }
-        
-        if (vertexIndices.length === 3) {
-            indices.push(vertexIndices[0], vertexIndices[2], vertexIndices[1]); // Reverse order for upward normals
         }
     }
 
     /**
-     * Check if vertex is an ear (helper method)
+     * Check for duplicate extrusions and clean them up
      */
-    isEar(points, vertexIndices, prev, curr, next) {
-        const p1 = points[prev];
-        const p2 = points[curr];
-        const p3 = points[next];
+    cleanupDuplicateExtrusions(shape) {
+        const scene = this.sceneManager.getScene();
+        const extrusionName = `${shape.name}_extrusion`;
         
-        const cross = (p2.x - p1.x) * (p3.z - p1.z) - (p2.z - p1.z) * (p3.x - p1.x);
-        if (cross <= 0) return false; // Not convex
+        // Find all meshes with the same extrusion name
+        const duplicateExtrusions = scene.meshes.filter(mesh => 
+            mesh.name === extrusionName && mesh !== shape.extrusion
+        );
         
-        for (let i = 0; i < vertexIndices.length; i++) {
-            const idx = vertexIndices[i];
-            if (idx === prev || idx === curr || idx === next) continue;
+        if (duplicateExtrusions.length > 0) {
+            console.log(`Found ${duplicateExtrusions.length} duplicate extrusions for ${shape.name}, cleaning up...`);
             
-            const point = points[idx];
-            if (this.isPointInTriangle(point, p1, p2, p3)) {
-                return false;
-            }
+            duplicateExtrusions.forEach(duplicate => {
+                console.log(`Disposing duplicate extrusion: ${duplicate.name}`);
+                
+                // Remove from selection manager
+                if (this.selectionManager) {
+                    this.selectionManager.removeSelectableObject(duplicate);
+                }
+                
+                // Remove from shape2DManager
+                if (this.shape2DManager) {
+                    const index = this.shape2DManager.shapes.indexOf(duplicate);
+                    if (index !== -1) {
+                        this.shape2DManager.shapes.splice(index, 1);
+                    }
+                }
+                
+                // Remove from parent
+                duplicate.setParent(null);
+                
+                // Dispose material
+                if (duplicate.material) {
+                    duplicate.material.dispose();
+                }
+                
+                // Dispose mesh
+                duplicate.dispose();
+            });
+            
+            console.log(`Cleaned up ${duplicateExtrusions.length} duplicate extrusions`);
         }
-        return true;
-    }
-
-    /**
-     * Check if vertex is convex (helper method)
-     */
-    isConvex(points, prev, curr, next) {
-        const p1 = points[prev];
-        const p2 = points[curr];
-        const p3 = points[next];
-        
-        // Check if the triangle is convex (counter-clockwise)
-        const cross = (p2.x - p1.x) * (p3.z - p1.z) - (p2.z - p1.z) * (p3.x - p1.x);
-        return cross > 0; // Convex if counter-clockwise
-    }
-
-    /**
-     * Check if point is inside triangle (helper method)
-     */
-    isPointInTriangle(point, a, b, c) {
-        const denom = (b.z - c.z) * (a.x - c.x) + (c.x - b.x) * (a.z - c.z);
-        if (Math.abs(denom) < 0.0001) return false;
         
-        const alpha = ((b.z - c.z) * (point.x - c.x) + (c.x - b.x) * (point.z - c.z)) / denom;
-        const beta = ((c.z - a.z) * (point.x - c.x) + (a.x - c.x) * (point.z - c.z)) / denom;
-        const gamma = 1 - alpha - beta;
+        // Also clean up any meshes that might be related to this shape
+        const relatedMeshes = scene.meshes.filter(mesh => 
+            mesh.name.includes(shape.name) && 
+            mesh.name !== shape.name && 
+            mesh !== shape.extrusion &&
+            (mesh.name.includes('_extrusion') || mesh.name.includes('_box') || mesh.name.includes('_copy'))
+        );
         
-        return alpha >= 0 && beta >= 0 && gamma >= 0;
+        if (relatedMeshes.length > 0) {
+            console.log(`Found ${relatedMeshes.length} related meshes for ${shape.name}, cleaning up...`);
+            
+            relatedMeshes.forEach(mesh => {
+                console.log(`Disposing related mesh: ${mesh.name}`);
+                
+                // Remove from selection manager
+                if (this.selectionManager) {
+                    this.selectionManager.removeSelectableObject(mesh);
+                }
+                
+                // Remove from shape2DManager
+                if (this.shape2DManager) {
+                    const index = this.shape2DManager.shapes.indexOf(mesh);
+                    if (index !== -1) {
+                        this.shape2DManager.shapes.splice(index, 1);
+                    }
+                }
+                
+                // Remove from parent
+                mesh.setParent(null);
+                
+                // Dispose material
+                if (mesh.material) {
+                    mesh.material.dispose();
+                }
+                
+                // Dispose mesh
+                mesh.dispose();
+            });
+            
+            console.log(`Cleaned up ${relatedMeshes.length} related meshes`);
+        }
     }
 
     /**
-     * Create custom polygon extrusion (3D building)
+     * Clean up all duplicate extrusions in the scene
      */
-    createCustomPolygonExtrusion(name, points, height) {
-        console.log(`Creating extrusion for ${name} with ${points.length} points and height ${height}`);
-        
+    cleanupAllDuplicateExtrusions() {
         const scene = this.sceneManager.getScene();
         
-        // Convert points to Vector2 format for PolygonMeshBuilder
-        const shape2D = points.map(p => new BABYLON.Vector2(p.x, p.z));
-        
-        // Create polygon mesh using PolygonMeshBuilder with earcut
-        const builder = new BABYLON.PolygonMeshBuilder(name, shape2D, scene, earcut);
-        const mesh = builder.build(false, height);
+        // Log all meshes in scene for debugging
+        console.log('All meshes in scene:');
+        scene.meshes.forEach(mesh => {
+            console.log(`- ${mesh.name} (type: ${mesh.constructor.name})`);
+        });
         
-        // Fix normals for proper surface orientation
-        // Flip faces to correct side wall normals
-        mesh.flipFaces(false);
+        // Find all extrusion meshes
+        const extrusionMeshes = scene.meshes.filter(mesh => 
+            mesh.name.includes('_extrusion') || 
+            mesh.name.includes('_box') || 
+            mesh.name.includes('_copy') ||
+            mesh.name.includes('polygon') && mesh.name !== 'polygon'
+        );
         
-        // Ensure material has backFaceCulling disabled and is double-sided
-        if (mesh.material) {
-            mesh.material.backFaceCulling = false;
-            mesh.material.sideOrientation = BABYLON.Material.DoubleSide;
+        if (extrusionMeshes.length > 0) {
+            console.log(`Found ${extrusionMeshes.length} duplicate extrusions in scene, cleaning up...`);
+            
+            extrusionMeshes.forEach(mesh => {
+                console.log(`Disposing duplicate extrusion: ${mesh.name}`);
+                
+                // Remove from selection manager
+                if (this.selectionManager) {
+                    this.selectionManager.removeSelectableObject(mesh);
+                }
+                
+                // Remove from shape2DManager
+                if (this.shape2DManager) {
+                    const index = this.shape2DManager.shapes.indexOf(mesh);
+                    if (index !== -1) {
+                        this.shape2DManager.shapes.splice(index, 1);
+                    }
+                }
+                
+                // Remove from parent
+                mesh.setParent(null);
+                
+                // Dispose material
+                if (mesh.material) {
+                    mesh.material.dispose();
+                }
+                
+                // Dispose mesh
+                mesh.dispose();
+            });
+            
+            console.log(`Cleaned up ${extrusionMeshes.length} duplicate extrusions`);
         }
-        
-        // Force normal recalculation
-        mesh.computeWorldMatrix(true);
-        mesh.refreshBoundingInfo();
-        
-        // Position the mesh so the base is at y=0 and top is at y=height
-        mesh.position.y = height / 2;
-        
-        console.log(`Extrusion created using PolygonMeshBuilder with height ${height}`);
-        return mesh;
     }
 
     /**
-     * Remove bottom faces from mesh to prevent Z-fighting
+     * Clean up all duplicate and related meshes for a shape
      */
-    removeBottomFaces(mesh) {
-        if (!mesh.geometry || !mesh.geometry.indices) return;
+    cleanupAllRelatedMeshes(shape) {
+        const scene = this.sceneManager.getScene();
+        const shapeName = shape.name;
         
-        const indices = mesh.geometry.indices;
-        const positions = mesh.geometry.positions;
-        const newIndices = [];
+        // Find all meshes that are related to this shape
+        const relatedMeshes = scene.meshes.filter(mesh => 
+            mesh.name.includes(shapeName) && 
+            mesh.name !== shapeName && 
+            mesh !== shape.extrusion &&
+            mesh !== shape // Also exclude the shape itself
+        );
         
-        // Find the minimum Y coordinate (bottom of the mesh)
-        let minY = Infinity;
-        for (let i = 1; i < positions.length; i += 3) {
-            minY = Math.min(minY, positions[i]);
+        if (relatedMeshes.length > 0) {
+            console.log(`Found ${relatedMeshes.length} related meshes for ${shapeName}, cleaning up all...`);
+            
+            relatedMeshes.forEach(mesh => {
+                console.log(`Disposing related mesh: ${mesh.name}`);
+                
+                // Remove from selection manager
+                if (this.selectionManager) {
+                    this.selectionManager.removeSelectableObject(mesh);
+                }
+                
+                // Remove from shape2DManager
+                if (this.shape2DManager) {
+                    const index = this.shape2DManager.shapes.indexOf(mesh);
+                    if (index !== -1) {
+                        this.shape2DManager.shapes.splice(index, 1);
+                    }
+                }
+                
+                // Remove from parent
+                mesh.setParent(null);
+                
+                // Dispose material
+                if (mesh.material) {
+                    mesh.material.dispose();
+                }
+                
+                // Dispose mesh
+                mesh.dispose();
+            });
+            
+            console.log(`Cleaned up ${relatedMeshes.length} related meshes`);
         }
         
-        console.log(`Mesh minY: ${minY}, scaling.y: ${mesh.scaling.y}`);
+        // Also clean up any polygon meshes that might be duplicates
+        const polygonMeshes = scene.meshes.filter(mesh => 
+            mesh.name === 'polygon' && 
+            mesh !== shape &&
+            mesh !== shape.extrusion
+        );
         
-        // Filter out triangles that are on the bottom face
-        for (let i = 0; i < indices.length; i += 3) {
-            const i1 = indices[i] * 3;
-            const i2 = indices[i + 1] * 3;
-            const i3 = indices[i + 2] * 3;
-            
-            const y1 = positions[i1 + 1];
-            const y2 = positions[i2 + 1];
-            const y3 = positions[i3 + 1];
+        if (polygonMeshes.length > 0) {
+            console.log(`Found ${polygonMeshes.length} duplicate polygon meshes, cleaning up...`);
             
-            // Check if all three vertices are on the bottom face
-            const tolerance = 0.001;
-            const isBottomFace = Math.abs(y1 - minY) < tolerance && 
-                                Math.abs(y2 - minY) < tolerance && 
-                                Math.abs(y3 - minY) < tolerance;
+            polygonMeshes.forEach(mesh => {
+                console.log(`Disposing duplicate polygon mesh: ${mesh.name}`);
+                
+                // Remove from selection manager
+                if (this.selectionManager) {
+                    this.selectionManager.removeSelectableObject(mesh);
+                }
+                
+                // Remove from shape2DManager
+                if (this.shape2DManager) {
+                    const index = this.shape2DManager.shapes.indexOf(mesh);
+                    if (index !== -1) {
+                        this.shape2DManager.shapes.splice(index, 1);
+                    }
+                }
+                
+                // Remove from parent
+                mesh.setParent(null);
+                
+                // Dispose material
+                if (mesh.material) {
+                    mesh.material.dispose();
+                }
+                
+                // Dispose mesh
+                mesh.dispose();
+            });
             
-            // Keep only non-bottom faces
-            if (!isBottomFace) {
-                newIndices.push(indices[i], indices[i + 1], indices[i + 2]);
-            } else {
-                console.log(`Removing bottom face with Y coordinates: ${y1}, ${y2}, ${y3}`);
-            }
+            console.log(`Cleaned up ${polygonMeshes.length} duplicate polygon meshes`);
         }
+    }
+
+    /**
+     * Clean up all extra meshes in the scene
+     */
+    cleanupAllExtraMeshes() {
+        const scene = this.sceneManager.getScene();
         
-        console.log(`Original indices: ${indices.length}, New indices: ${newIndices.length}`);
-        
-        // Update mesh indices
-        mesh.setIndices(newIndices);
+        // Find all meshes that might be extra
+        const extraMeshes = scene.meshes.filter(mesh => 
+            mesh.name === 'polygon' || 
+            mesh.name.includes('_extrusion') || 
+            mesh.name.includes('_box') || 
+            mesh.name.includes('_copy') ||
+            mesh.name.includes('_temp') ||
+            mesh.name.includes('_old')
+        );
         
-        // Force mesh update
-        mesh.refreshBoundingInfo();
+        if (extraMeshes.length > 0) {
+            console.log(`Found ${extraMeshes.length} extra meshes in scene, cleaning up...`);
+            
+            extraMeshes.forEach(mesh => {
+                console.log(`Disposing extra mesh: ${mesh.name}`);
+                
+                // Remove from selection manager
+                if (this.selectionManager) {
+                    this.selectionManager.removeSelectableObject(mesh);
+                }
+                
+                // Remove from shape2DManager
+                if (this.shape2DManager) {
+                    const index = this.shape2DManager.shapes.indexOf(mesh);
+                    if (index !== -1) {
+                        this.shape2DManager.shapes.splice(index, 1);
+                    }
+                }
+                
+                // Remove from parent
+                mesh.setParent(null);
+                
+                // Dispose material
+                if (mesh.material) {
+                    mesh.material.dispose();
+                }
+                
+                // Dispose mesh
+                mesh.dispose();
+            });
+            
+            console.log(`Cleaned up ${extraMeshes.length} extra meshes`);
+        }
     }
 
-    /**
-     * Convert polygon to 3D model after completion
-     */
-    convertPolygonTo3D(polygon) {
-        if (!polygon || !polygon.userData || !polygon.userData.points) {
-            console.warn('Cannot convert polygon to 3D: missing userData or points');
-            return;
-        }
 
-        const points = polygon.userData.points;
-        if (points.length < 3) {
-            console.warn('Cannot convert polygon to 3D: not enough points');
-            return;
-        }
 
-        // Create 3D extrusion with height 0.05
-        const extrusionName = `${polygon.name}_3d`;
-        const extrusion = this.createCustomPolygonExtrusion(extrusionName, points, 0.05);
-        
-        // Copy material from original polygon
-        if (polygon.material) {
-            const newMaterial = new BABYLON.StandardMaterial(`${extrusionName}Material`, this.sceneManager.getScene());
-            newMaterial.diffuseColor = polygon.material.diffuseColor.clone();
-            newMaterial.backFaceCulling = false;
-            extrusion.material = newMaterial;
-        }
-        
-        // Copy position from original polygon
-        extrusion.position = polygon.position.clone();
-        extrusion.position.y = 0.05 / 2; // Half height above ground
-        
-        // Copy userData from original polygon
-        extrusion.userData = {
-            ...polygon.userData,
-            shapeType: 'polygon',
-            is3D: true,
-            originalHeight: 0.05
-        };
-        
-        // Enable shadows for the polygon
-        extrusion.receiveShadows = true;
-        
-        // Add to shadow system
-        if (this.lightingManager) {
-            this.lightingManager.addShadowCaster(extrusion);
-            this.lightingManager.addShadowReceiver(extrusion);
-        }
+
+
+    /**
+     * Update properties fields based on shape type
+     */
+    updatePropertiesFields(type) {
+        const heightGroup = document.getElementById('heightGroup');
+        const radiusGroup = document.getElementById('radiusGroup');
+        const lengthGroup = document.getElementById('shapeLength').parentElement;
+        const widthGroup = document.getElementById('shapeWidth').parentElement;
         
-        // Make extrusion selectable
-        if (this.selectionManager) {
-            this.selectionManager.addSelectableObject(extrusion);
-        }
+        // Get current shape type (rectangle/circle)
+        const shapeType = this.getShapeType(this.currentShape);
         
-        // Update wireframe if exists
-        if (this.selectionManager) {
-            this.selectionManager.updateWireframeTransforms(extrusion);
+        // Show height for all types
+        heightGroup.style.display = 'flex';
+        // Set height value
+        const heightInput = document.getElementById('shapeHeight');
+        if (heightInput) {
+            // Always set the height value
+            const currentHeight = this.currentShape?.userData?.dimensions?.height || 0.1;
+            heightInput.value = currentHeight;
         }
         
-        // Remove original 2D polygon
-        if (this.selectionManager) {
-            this.selectionManager.removeSelectableObject(polygon);
+        // Show appropriate geometric fields based on shape type
+        if (shapeType === 'circle') {
+            lengthGroup.style.display = 'none';
+            widthGroup.style.display = 'none';
+            radiusGroup.style.display = 'flex';
+        } else if (shapeType === 'rectangle') {
+            lengthGroup.style.display = 'flex';
+            widthGroup.style.display = 'flex';
+            radiusGroup.style.display = 'none';
+        } else if (shapeType === 'building') {
+            // For buildings from rectangles, show length and width
+            lengthGroup.style.display = 'flex';
+            widthGroup.style.display = 'flex';
+            radiusGroup.style.display = 'none';
+        } else if (shapeType === 'polygon') {
+            // For polygons, show area and perimeter instead of length/width
+            lengthGroup.style.display = 'none';
+            widthGroup.style.display = 'none';
+            radiusGroup.style.display = 'none';
+            // Note: We'll need to add polygon-specific fields to the HTML
         }
-        polygon.dispose();
-        
-        console.log(`Converted polygon ${polygon.name} to 3D model ${extrusionName}`);
-        return extrusion;
     }
 
-
     /**
-     * Ensure polygon has counter-clockwise winding order for extrusion
-     * @param {BABYLON.Vector3[]} points - Polygon points
-     * @returns {BABYLON.Vector3[]} Points with correct winding order
+     * Get shape properties
      */
-    ensureCounterClockwiseForExtrusion(points) {
-        let totalCross = 0;
-        for (let i = 0; i < points.length; i++) {
-            const prev = points[(i - 1 + points.length) % points.length];
-            const curr = points[i];
-            const next = points[(i + 1) % points.length];
-            
-            const cross = this.calculateCrossProductForExtrusion(prev, curr, next);
-            totalCross += cross;
-        }
+    getShapeProperties(shape) {
+        const name = shape.name || 'Unnamed Shape';
+        const type = shape.userData?.type || 'ground';
+        const color = this.getShapeColor(shape);
+        const dimensions = this.getShapeDimensions(shape);
         
-        // If clockwise, reverse the order
-        if (totalCross < 0) {
-            console.log('Reversing polygon winding order for extrusion to counter-clockwise');
-            return points.slice().reverse();
+        return {
+            name: name,
+            type: type,
+            color: color,
+            length: dimensions.length,
+            width: dimensions.width,
+            height: dimensions.height,
+            diameterTop: dimensions.diameterTop,
+            diameterBottom: dimensions.diameterBottom,
+            shapeType: this.getShapeType(shape)
+        };
+    }
+
+    /**
+     * Get shape color in hex format
+     */
+    getShapeColor(shape) {
+        if (shape.material && shape.material.diffuseColor) {
+            const color = shape.material.diffuseColor;
+            return this.rgbToHex(
+                Math.round(color.r * 255),
+                Math.round(color.g * 255),
+                Math.round(color.b * 255)
+            );
         }
-        
-        return points;
+        return '#8B4513'; // Default brown
     }
 
     /**
-     * Triangulate polygon for extrusion (legacy method)
+     * Get shape dimensions
      */
-    triangulatePolygonForExtrusion(points, indices, reverse = false) {
-        if (points.length < 3) return;
-        
-        if (points.length === 3) {
-            if (reverse) {
-                indices.push(0, 2, 1);
-            } else {
-                indices.push(0, 1, 2);
+    getShapeDimensions(shape) {
+        const dimensions = {
+            length: 0,
+            width: 0,
+            height: 0,
+            radius: 0,
+            area: 0,
+            perimeter: 0,
+            vertices: 0
+        };
+
+        // First try to get dimensions from userData (stored during creation)
+        if (shape.userData && shape.userData.dimensions) {
+            const storedDimensions = shape.userData.dimensions;
+            
+            if (this.getShapeType(shape) === 'rectangle') {
+                dimensions.length = parseFloat(storedDimensions.width || 1.0).toFixed(2);
+                dimensions.width = parseFloat(storedDimensions.depth || 1.0).toFixed(2);
+                dimensions.height = parseFloat(storedDimensions.height || 0.1).toFixed(2);
+            } else if (this.getShapeType(shape) === 'building') {
+                // For buildings, check if it's from a circle or rectangle
+                if (storedDimensions.diameterTop !== undefined) {
+                    // This is a building from a circle - show diameter and height
+                    dimensions.diameterTop = parseFloat(storedDimensions.diameterTop || 1.0).toFixed(2);
+                    dimensions.diameterBottom = parseFloat(storedDimensions.diameterBottom || 1.0).toFixed(2);
+                    dimensions.height = parseFloat(storedDimensions.height || 0.1).toFixed(2);
+                } else {
+                    // This is a building from a rectangle - show length, width, and height
+                    dimensions.length = parseFloat(storedDimensions.width || 1.0).toFixed(2);
+                    dimensions.width = parseFloat(storedDimensions.depth || 1.0).toFixed(2);
+                    dimensions.height = parseFloat(storedDimensions.height || 0.1).toFixed(2);
+                }
+            } else if (this.getShapeType(shape) === 'circle') {
+                dimensions.diameterTop = parseFloat(storedDimensions.diameterTop || 1.0).toFixed(2);
+                dimensions.diameterBottom = parseFloat(storedDimensions.diameterBottom || 1.0).toFixed(2);
+                dimensions.height = parseFloat(storedDimensions.height || 0.1).toFixed(2);
+            } else if (this.getShapeType(shape) === 'polygon') {
+                dimensions.area = parseFloat(storedDimensions.area || 0).toFixed(2);
+                dimensions.perimeter = parseFloat(storedDimensions.perimeter || 0).toFixed(2);
+                dimensions.vertices = parseInt(storedDimensions.vertices || 0);
             }
-            return;
-        }
-        
-        if (points.length === 4) {
-            if (reverse) {
-                indices.push(0, 2, 1);
-                indices.push(0, 3, 2);
-            } else {
-                indices.push(0, 1, 2);
-                indices.push(0, 2, 3);
+            
+            // Get building height if available
+            if (storedDimensions.buildingHeight !== undefined) {
+                dimensions.height = parseFloat(storedDimensions.buildingHeight || 0).toFixed(2);
+            }
+        } else if (shape.geometry && shape.geometry.boundingInfo) {
+            // Fallback to boundingBox calculation
+            const boundingBox = shape.geometry.boundingInfo.boundingBox;
+            const size = boundingBox.extendSize;
+            
+            dimensions.length = (size.x * 2).toFixed(2);
+            dimensions.width = (size.z * 2).toFixed(2);
+            dimensions.height = (size.y * 2).toFixed(2);
+            
+            // For circles, radius is half the width
+            if (this.getShapeType(shape) === 'circle') {
+                dimensions.radius = (size.x).toFixed(2);
+            } else if (this.getShapeType(shape) === 'polygon') {
+                // For polygons, calculate approximate area and perimeter
+                dimensions.area = (size.x * size.z).toFixed(2);
+                dimensions.perimeter = (2 * (size.x + size.z)).toFixed(2);
+                dimensions.vertices = 0; // Will be calculated from mesh data if available
             }
-            return;
         }
+
+        return dimensions;
+    }
+
+    /**
+     * Count models by type in the scene
+     */
+    countModelsByType(type) {
+        let count = 0;
+        const scene = this.sceneManager.getScene();
         
-        // For more complex polygons, use fan triangulation
-        for (let i = 1; i < points.length - 1; i++) {
-            if (reverse) {
-                indices.push(0, i + 1, i);
-            } else {
-                indices.push(0, i, i + 1);
+        scene.meshes.forEach(mesh => {
+            if (mesh.userData && mesh.userData.type === type) {
+                count++;
             }
-        }
+        });
+        
+        return count;
     }
 
     /**
-     * Update rectangle geometry
+     * Setup continuous parameter change for number inputs
      */
-    updateRectangleGeometry(shape, properties) {
-        // Store current position and material
-        const currentPosition = shape.position.clone();
-        const currentMaterial = shape.material;
-        // Keep the same name (don't generate new name for updates)
-        const currentName = shape.name;
-        const currentUserData = shape.userData;
+    setupContinuousParameterChange(inputId, updateCallback) {
+        const input = document.getElementById(inputId);
+        if (!input) return;
 
-        // Check if shape is selected
-        const isSelected = this.selectionManager && this.selectionManager.selectedObjects.includes(shape);
-        
-        // Store current focus element
-        const activeElement = document.activeElement;
-        
-        // Remove from selection manager first
-        if (this.selectionManager) {
-            this.selectionManager.removeSelectableObject(shape);
-            this.selectionManager.originalMaterials.delete(shape);
-        }
+        let isMouseDown = false;
+        let isIncreasing = false;
+        let intervalId = null;
+        let timeoutId = null;
+        let isTyping = false;
 
-        // Dispose old mesh completely
-        if (shape.geometry) {
-            shape.geometry.dispose();
-        }
-        if (shape.material && shape.material !== this.sceneManager.getScene().defaultMaterial) {
-            shape.material.dispose();
-        }
-        
-        // Remove from scene before disposing
-        shape.setEnabled(false);
-        shape.dispose();
-        
-        // Force garbage collection hint
-        if (this.sceneManager.getScene().getEngine()._gl) {
-            this.sceneManager.getScene().getEngine()._gl.flush();
-        }
+        const applyStepChange = () => {
+            const currentValue = parseFloat(input.value) || 0;
+            const step = parseFloat(input.step) || 0.1;
+            const min = input.min !== '' ? parseFloat(input.min) : -Infinity;
+            const max = input.max !== '' ? parseFloat(input.max) : Infinity;
 
-        // Create new 3D box mesh with updated dimensions (always start with unit box)
-        const newMesh = BABYLON.MeshBuilder.CreateBox(currentName, {
-            width: properties.length,
-            height: properties.height,
-            depth: properties.width
-        }, this.sceneManager.getScene());
+            const newValue = isIncreasing ? currentValue + step : currentValue - step;
+            const constrainedValue = Math.max(min, Math.min(max, newValue));
+            const roundedValue = Math.round(constrainedValue * 100) / 100;
 
-        // Create new material with appropriate color based on type
-        const newMaterial = new BABYLON.StandardMaterial(`${currentName}Material`, this.sceneManager.getScene());
-        
-        // Set color based on type
-        if (properties.type === 'building') {
-            newMaterial.diffuseColor = new BABYLON.Color3(1, 1, 1); // White for buildings
-        } else if (properties.type === 'ground') {
-            newMaterial.diffuseColor = new BABYLON.Color3(0.4, 0.3, 0.2); // Brown for ground
-        } else if (properties.type === 'waterway') {
-            newMaterial.diffuseColor = new BABYLON.Color3(0, 0.5, 1); // Blue for waterway
-        } else if (properties.type === 'highway') {
-            newMaterial.diffuseColor = new BABYLON.Color3(0.3, 0.3, 0.3); // Gray for highway
-        } else if (properties.type === 'green') {
-            newMaterial.diffuseColor = new BABYLON.Color3(0, 0.8, 0); // Green for green areas
-        } else {
-            // Use original material color for other types
-            if (currentMaterial && currentMaterial.diffuseColor) {
-                newMaterial.diffuseColor = currentMaterial.diffuseColor.clone();
-            } else {
-                newMaterial.diffuseColor = new BABYLON.Color3(0, 1, 0); // Default green
+            if (roundedValue === currentValue) {
+                return;
             }
-        }
-        
-        // Set common material properties
-        newMaterial.specularColor = new BABYLON.Color3(0.1, 0.1, 0.1);
-        newMaterial.roughness = 0.7;
-        
-        // Restore properties
-        newMesh.position = new BABYLON.Vector3(
-            currentPosition.x,
-            properties.height / 2, // Center the box vertically
-            currentPosition.z
-        );
-        newMesh.material = newMaterial;
-        newMesh.renderingGroupId = 1;
-        newMesh.userData = currentUserData;
 
-        // Apply anti-flickering settings
-        newMesh.enableEdgesRendering();
-        newMesh.edgesWidth = 1.0;
-        newMesh.edgesColor = new BABYLON.Color4(0, 0, 0, 1);
+            input.value = roundedValue;
+            isTyping = false;
 
-        // Update userData dimensions and type
-        newMesh.userData.dimensions = {
-            width: properties.length,
-            depth: properties.width,
-            height: properties.height
+            const inputEvent = new Event('input', { bubbles: true });
+            const changeEvent = new Event('change', { bubbles: true });
+            input.dispatchEvent(inputEvent);
+            input.dispatchEvent(changeEvent);
         };
-        newMesh.userData.type = properties.type;
-        newMesh.userData.shapeType = properties.type === 'building' ? 'building' : 'rectangle';
-        newMesh.userData.originalHeight = properties.height;
-
-        // Update currentShape reference
-        this.currentShape = newMesh;
 
-        // Make new mesh selectable
-        if (this.selectionManager) {
-            this.selectionManager.addSelectableObject(newMesh);
+        // Handle mouse down on spin buttons
+        input.addEventListener('mousedown', (e) => {
+            // Check if click is on spin button
+            const rect = input.getBoundingClientRect();
+            const clickX = e.clientX - rect.left;
+            const clickY = e.clientY - rect.top;
             
-            // If the old shape was selected, select the new one
-            if (isSelected) {
-                this.selectionManager.originalMaterials.set(newMesh, newMaterial);
-                this.selectionManager.selectObject(newMesh, false, false);
-            }
-        }
-
-        // Update rectangleManager rectangles array
-        if (this.rectangleManager) {
-            // Remove old mesh from rectangles array
-            const oldIndex = this.rectangleManager.rectangles.indexOf(shape);
-            if (oldIndex !== -1) {
-                this.rectangleManager.rectangles.splice(oldIndex, 1);
-            }
-            // Add new mesh to rectangles array
-            this.rectangleManager.rectangles.push(newMesh);
-        }
-
-        // Enable shadows for the new mesh
-        if (this.lightingManager) {
-            this.lightingManager.updateShadowsForNewObject(newMesh);
-        }
-        
-        // Restore focus to the active element
-        if (activeElement && activeElement.focus) {
-            setTimeout(() => {
-                activeElement.focus();
-            }, 0);
-        }
-    }
-
+            // Check if click is in the right side (spin button area)
+            if (clickX > rect.width - 30) {
+                e.preventDefault();
+                
+                // Determine if clicking up or down arrow
+                isIncreasing = clickY < rect.height / 2;
+                isMouseDown = true;
 
+                applyStepChange();
 
-    /**
-     * Extrude shape to create 3D building
-     */
-    extrudeShape(shape, height) {
-        console.log(`Extruding shape ${shape.name} to height ${height}`);
-        
-        const shapeType = this.getShapeType(shape);
-        
-        if (shapeType === 'polygon') {
-            // For 3D polygons, use scaling method (working version)
-            if (shape.userData && shape.userData.is3D) {
-                const originalHeight = shape.userData.originalHeight || 0.05;
-                const scaleFactor = height / originalHeight;
-                
-                // Update scaling
-                shape.scaling.y = scaleFactor;
-                
-                // Adjust position to keep base at Y=0
-                // When scaling, the mesh center moves, so we need to adjust position
-                // The base should be at Y=0, so position.y = height
-                shape.position.y = height;
-                
-                // Update userData
-                shape.userData.originalHeight = height;
-                
-                // This method is no longer used - height is managed automatically in updatePolygonMaterialByType
-                console.log(`Height management moved to updatePolygonMaterialByType`);
-                return;
+                // Start continuous change after a short delay
+                timeoutId = setTimeout(() => {
+                    if (isMouseDown && !isTyping) {
+                        intervalId = setInterval(() => {
+                            if (isMouseDown && !isTyping) {
+                                applyStepChange();
+                            }
+                        }, 50); // Change every 50ms
+                    }
+                }, 300); // Start after 300ms delay
             }
-            
-            // For 2D polygons, create extrusion (legacy support)
-            if (shape.extrusion) {
-                // Remove existing extrusion
-                if (this.selectionManager) {
-                    this.selectionManager.removeSelectableObject(shape.extrusion);
-                }
-                if (shape.extrusion.material) {
-                    shape.extrusion.material.dispose();
+        });
+
+        // Handle mouse up
+        document.addEventListener('mouseup', () => {
+            if (isMouseDown) {
+                isMouseDown = false;
+                if (timeoutId) {
+                    clearTimeout(timeoutId);
+                    timeoutId = null;
                 }
-                shape.extrusion.dispose();
-                shape.extrusion = null;
-            }
-            
-            if (height > 0.001) {
-                // Create new extrusion
-                const points = shape.userData.points || [];
-                if (points.length >= 3) {
-                    const extrusionName = `${shape.name}_extrusion`;
-                    const extrusion = this.createCustomPolygonExtrusion(extrusionName, points, height);
-                    
-                    // Copy material from original shape
-                    if (shape.material) {
-                        const newMaterial = new BABYLON.StandardMaterial(`${extrusionName}Material`, this.sceneManager.getScene());
-                        newMaterial.diffuseColor = shape.material.diffuseColor.clone();
-                        newMaterial.backFaceCulling = false;
-                        extrusion.material = newMaterial;
-                    }
-                    
-                    // Position extrusion
-                    extrusion.position = shape.position.clone();
-                    extrusion.position.y = height / 2;
-                    
-                    // Make extrusion selectable
-                    if (this.selectionManager) {
-                        this.selectionManager.addSelectableObject(extrusion);
-                    }
-                    
-                    // Store reference
-                    shape.extrusion = extrusion;
-                    
-                    console.log(`Created new extrusion for ${shape.name} with height ${height}`);
+                if (intervalId) {
+                    clearInterval(intervalId);
+                    intervalId = null;
                 }
             }
-        }
+        });
+
+        // Handle mouse leave
+        input.addEventListener('mouseleave', () => {
+            if (isMouseDown) {
+                isMouseDown = false;
+                if (timeoutId) {
+                    clearTimeout(timeoutId);
+                    timeoutId = null;
+                }
+                if (intervalId) {
+                    clearInterval(intervalId);
+                    intervalId = null;
+                }
+            }
+        });
+
+        // Handle focus events to detect typing
+        input.addEventListener('focus', () => {
+            isTyping = false;
+        });
+
+        input.addEventListener('blur', () => {
+            isTyping = false;
+        });
+
+        // Handle keydown to detect typing
+        input.addEventListener('keydown', () => {
+            isTyping = true;
+        });
+
+        input.addEventListener('keyup', () => {
+            isTyping = false;
+        });
+
+        // Handle input events - immediate update for real-time changes
+        input.addEventListener('input', () => {
+            isTyping = false;
+            
+            // Round to 2 decimal places
+            const currentValue = parseFloat(input.value) || 0;
+            const roundedValue = Math.round(currentValue * 100) / 100;
+            input.value = roundedValue;
+            
+            updateCallback(); // Immediate update
+        });
     }
 
     /**
-     * Check for duplicate extrusions and clean them up
+     * Generate unique name based on type
      */
-    cleanupDuplicateExtrusions(shape) {
+    generateUniqueNameByType(type) {
+        // Count existing objects of this type in the scene
+        let maxNumber = 0;
+        const usedNumbers = new Set();
         const scene = this.sceneManager.getScene();
-        const extrusionName = `${shape.name}_extrusion`;
-        
-        // Find all meshes with the same extrusion name
-        const duplicateExtrusions = scene.meshes.filter(mesh => 
-            mesh.name === extrusionName && mesh !== shape.extrusion
-        );
         
-        if (duplicateExtrusions.length > 0) {
-            console.log(`Found ${duplicateExtrusions.length} duplicate extrusions for ${shape.name}, cleaning up...`);
-            
-            duplicateExtrusions.forEach(duplicate => {
-                console.log(`Disposing duplicate extrusion: ${duplicate.name}`);
-                
-                // Remove from selection manager
-                if (this.selectionManager) {
-                    this.selectionManager.removeSelectableObject(duplicate);
-                }
-                
-                // Remove from shape2DManager
-                if (this.shape2DManager) {
-                    const index = this.shape2DManager.shapes.indexOf(duplicate);
-                    if (index !== -1) {
-                        this.shape2DManager.shapes.splice(index, 1);
+        // Check all meshes and tree roots in the scene for names of this type
+        // Only count enabled nodes that are still in the scene
+        scene.meshes.concat(scene.transformNodes).forEach(mesh => {
+            if (mesh.name && mesh.isEnabled() && mesh.name.startsWith(`${type}_`)) {
+                const match = mesh.name.match(new RegExp(`^${type}_(\\d+)$`));
+                if (match) {
+                    const number = parseInt(match[1]);
+                    usedNumbers.add(number);
+                    if (number > maxNumber) {
+                        maxNumber = number;
                     }
                 }
-                
-                // Remove from parent
-                duplicate.setParent(null);
-                
-                // Dispose material
-                if (duplicate.material) {
-                    duplicate.material.dispose();
-                }
-                
-                // Dispose mesh
-                duplicate.dispose();
-            });
-            
-            console.log(`Cleaned up ${duplicateExtrusions.length} duplicate extrusions`);
-        }
-        
-        // Also clean up any meshes that might be related to this shape
-        const relatedMeshes = scene.meshes.filter(mesh => 
-            mesh.name.includes(shape.name) && 
-            mesh.name !== shape.name && 
-            mesh !== shape.extrusion &&
-            (mesh.name.includes('_extrusion') || mesh.name.includes('_box') || mesh.name.includes('_copy'))
-        );
+            }
+        });
         
-        if (relatedMeshes.length > 0) {
-            console.log(`Found ${relatedMeshes.length} related meshes for ${shape.name}, cleaning up...`);
-            
-            relatedMeshes.forEach(mesh => {
-                console.log(`Disposing related mesh: ${mesh.name}`);
-                
-                // Remove from selection manager
-                if (this.selectionManager) {
-                    this.selectionManager.removeSelectableObject(mesh);
-                }
-                
-                // Remove from shape2DManager
-                if (this.shape2DManager) {
-                    const index = this.shape2DManager.shapes.indexOf(mesh);
-                    if (index !== -1) {
-                        this.shape2DManager.shapes.splice(index, 1);
-                    }
-                }
-                
-                // Remove from parent
-                mesh.setParent(null);
-                
-                // Dispose material
-                if (mesh.material) {
-                    mesh.material.dispose();
-                }
-                
-                // Dispose mesh
-                mesh.dispose();
-            });
-            
-            console.log(`Cleaned up ${relatedMeshes.length} related meshes`);
+        // Find the first available number (not just maxNumber + 1)
+        // This prevents duplicate names when objects are deleted
+        let nextNumber = 1;
+        while (usedNumbers.has(nextNumber)) {
+            nextNumber++;
         }
+        
+        // Return next available number
+        return `${type}_${nextNumber}`;
     }
 
     /**
-     * Clean up all duplicate extrusions in the scene
+     * Generate unique building name (for backward compatibility)
      */
-    cleanupAllDuplicateExtrusions() {
-        const scene = this.sceneManager.getScene();
-        
-        // Log all meshes in scene for debugging
-        console.log('All meshes in scene:');
-        scene.meshes.forEach(mesh => {
-            console.log(`- ${mesh.name} (type: ${mesh.constructor.name})`);
-        });
+    generateUniqueBuildingName() {
+        return this.generateUniqueNameByType('building');
+    }
+
+    /**
+     * Get shape type (rectangle, circle, polygon, etc.)
+     */
+    getShapeType(shape) {
+        // First check userData for explicit shape type
+        if (shape.userData && shape.userData.shapeType) {
+            return shape.userData.shapeType;
+        }
         
-        // Find all extrusion meshes
-        const extrusionMeshes = scene.meshes.filter(mesh => 
-            mesh.name.includes('_extrusion') || 
-            mesh.name.includes('_box') || 
-            mesh.name.includes('_copy') ||
-            mesh.name.includes('polygon') && mesh.name !== 'polygon'
-        );
+        // Check if this is a circle by looking for diameterTop in dimensions
+        if (shape.userData && shape.userData.dimensions && shape.userData.dimensions.diameterTop !== undefined) {
+            return 'circle';
+        }
         
-        if (extrusionMeshes.length > 0) {
-            console.log(`Found ${extrusionMeshes.length} duplicate extrusions in scene, cleaning up...`);
-            
-            extrusionMeshes.forEach(mesh => {
-                console.log(`Disposing duplicate extrusion: ${mesh.name}`);
-                
-                // Remove from selection manager
-                if (this.selectionManager) {
-                    this.selectionManager.removeSelectableObject(mesh);
-                }
-                
-                // Remove from shape2DManager
-                if (this.shape2DManager) {
-                    const index = this.shape2DManager.shapes.indexOf(mesh);
-                    if (index !== -1) {
-                        this.shape2DManager.shapes.splice(index, 1);
-                    }
-                }
-                
-                // Remove from parent
-                mesh.setParent(null);
-                
-                // Dispose material
-                if (mesh.material) {
-                    mesh.material.dispose();
-                }
-                
-                // Dispose mesh
-                mesh.dispose();
-            });
-            
-            console.log(`Cleaned up ${extrusionMeshes.length} duplicate extrusions`);
+        // Check if this is a rectangle by looking for width/depth in dimensions
+        if (shape.userData && shape.userData.dimensions && 
+            (shape.userData.dimensions.width !== undefined || shape.userData.dimensions.depth !== undefined)) {
+            return 'rectangle';
         }
+        
+        // Fallback to name-based detection
+        if (shape.name.includes('circle')) return 'circle';
+        if (shape.name.includes('rectangle')) return 'rectangle';
+        if (shape.name.includes('polygon')) return 'polygon';
+        if (shape.name.includes('building')) return 'building';
+        return 'rectangle'; // Default
     }
 
     /**
-     * Clean up all duplicate and related meshes for a shape
+     * Convert RGB to hex
      */
-    cleanupAllRelatedMeshes(shape) {
+    rgbToHex(r, g, b) {
+        return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+    }
+
+    /**
+     * Clean up all water_* meshes without proper type
+     * This is a backup cleanup method that works directly on the scene
+     */
+    cleanupWaterMeshesWithoutType() {
+        if (!this.sceneManager) return;
+        
         const scene = this.sceneManager.getScene();
-        const shapeName = shape.name;
+        if (!scene) return;
         
-        // Find all meshes that are related to this shape
-        const relatedMeshes = scene.meshes.filter(mesh => 
-            mesh.name.includes(shapeName) && 
-            mesh.name !== shapeName && 
-            mesh !== shape.extrusion &&
-            mesh !== shape // Also exclude the shape itself
-        );
+        // Find all meshes with name starting with 'water_' that don't have a valid type
+        const unwantedMeshes = scene.meshes.filter(mesh => {
+            if (!mesh.name || !mesh.name.startsWith('water_')) return false;
+            
+            // Check if mesh has no type in userData or type is invalid
+            const hasNoType = !mesh.userData || !mesh.userData.type || mesh.userData.type === undefined || mesh.userData.type === null || mesh.userData.type === '';
+            
+            // Also check if it's a rectangle (not a polygon) with water name
+            const isRectangleNotPolygon = mesh.userData && mesh.userData.shapeType === 'rectangle';
+            
+            // Remove if: has no type OR is a rectangle (not polygon)
+            return hasNoType || isRectangleNotPolygon;
+        });
         
-        if (relatedMeshes.length > 0) {
-            console.log(`Found ${relatedMeshes.length} related meshes for ${shapeName}, cleaning up all...`);
+        if (unwantedMeshes.length > 0) {
+            console.log(`[UIManager] Found ${unwantedMeshes.length} unwanted water_* meshes, removing...`);
             
-            relatedMeshes.forEach(mesh => {
-                console.log(`Disposing related mesh: ${mesh.name}`);
+            unwantedMeshes.forEach(mesh => {
+                console.log(`[UIManager] Removing: ${mesh.name} (type: ${mesh.userData?.type || 'none'})`);
                 
                 // Remove from selection manager
                 if (this.selectionManager) {
                     this.selectionManager.removeSelectableObject(mesh);
                 }
                 
-                // Remove from shape2DManager
-                if (this.shape2DManager) {
-                    const index = this.shape2DManager.shapes.indexOf(mesh);
-                    if (index !== -1) {
-                        this.shape2DManager.shapes.splice(index, 1);
-                    }
+                // Remove from scene
+                try {
+                    scene.removeMesh(mesh);
+                } catch (e) {
+                    console.warn(`Error removing mesh ${mesh.name}:`, e);
                 }
                 
-                // Remove from parent
-                mesh.setParent(null);
-                
                 // Dispose material
-                if (mesh.material) {
-                    mesh.material.dispose();
+                try {
+                    if (mesh.material && mesh.material.dispose) {
+                        mesh.material.dispose();
+                    }
+                } catch (e) {
+                    console.warn(`Error disposing material:`, e);
                 }
                 
                 // Dispose mesh
-                mesh.dispose();
+                try {
+                    if (mesh.dispose) {
+                        mesh.dispose();
+                    }
+                } catch (e) {
+                    console.warn(`Error disposing mesh:`, e);
+                }
             });
             
-            console.log(`Cleaned up ${relatedMeshes.length} related meshes`);
+            console.log(`[UIManager] Removed ${unwantedMeshes.length} unwanted water_* meshes`);
         }
+    }
+
+    /**
+     * Get color for a specific type - Centralized color configuration
+     */
+    getColorByType(type) {
+        switch (type) {
+            case 'building':
+                return new BABYLON.Color3(1, 1, 1); // White for buildings
+            case 'ground':
+                return new BABYLON.Color3(0.4, 0.3, 0.2); // Brown for ground
+            case 'water':
+                return new BABYLON.Color3(0, 0.4, 0.8); // Blue for water
+            case 'waterway':
+                return new BABYLON.Color3(0, 0.5, 1); // Light blue for waterway
+            case 'highway':
+                return new BABYLON.Color3(0.3, 0.3, 0.3); // Gray for highway
+            case 'green':
+                return new BABYLON.Color3(0, 0.8, 0); // Green for green areas
+            default:
+                return new BABYLON.Color3(0.4, 0.3, 0.2); // Default brown
+        }
+    }
+
+    /**
+     * Get standardized default color for all drawing tools
+     */
+    getDefaultDrawingColor() {
+        return new BABYLON.Color3(0.4, 0.3, 0.2); // Consistent brown for all drawing tools
+    }
+
+    /**
+     * Get standardized preview color for all drawing tools
+     */
+    getDefaultPreviewColor() {
+        return new BABYLON.Color3(0.4, 0.3, 0.2); // Same brown for preview
+    }
+
+    /**
+     * Get standardized preview alpha for all drawing tools
+     */
+    getDefaultPreviewAlpha() {
+        return 0.5; // Consistent transparency for all previews
+    }
+
+    /**
+     * Get hex color for a specific type
+     */
+    getHexColorByType(type) {
+        const color = this.getColorByType(type);
+        return this.rgbToHex(Math.round(color.r * 255), Math.round(color.g * 255), Math.round(color.b * 255));
+    }
+
+    /**
+     * Save shape properties
+     */
+    saveShapeProperties() {
+        // Use currentShape if available, otherwise try to find by name
+        let shape = this.currentShape;
         
-        // Also clean up any polygon meshes that might be duplicates
-        const polygonMeshes = scene.meshes.filter(mesh => 
-            mesh.name === 'polygon' && 
-            mesh !== shape &&
-            mesh !== shape.extrusion
-        );
-        
-        if (polygonMeshes.length > 0) {
-            console.log(`Found ${polygonMeshes.length} duplicate polygon meshes, cleaning up...`);
-            
-            polygonMeshes.forEach(mesh => {
-                console.log(`Disposing duplicate polygon mesh: ${mesh.name}`);
-                
-                // Remove from selection manager
-                if (this.selectionManager) {
-                    this.selectionManager.removeSelectableObject(mesh);
-                }
-                
-                // Remove from shape2DManager
-                if (this.shape2DManager) {
-                    const index = this.shape2DManager.shapes.indexOf(mesh);
-                    if (index !== -1) {
-                        this.shape2DManager.shapes.splice(index, 1);
-                    }
-                }
-                
-                // Remove from parent
-                mesh.setParent(null);
-                
-                // Dispose material
-                if (mesh.material) {
-                    mesh.material.dispose();
-                }
-                
-                // Dispose mesh
-                mesh.dispose();
-            });
+        if (!shape) {
+            // Fallback: try to find by name from input field
+            const shapeNameElement = document.getElementById('shapeName');
+            if (!shapeNameElement) {
+                console.warn('Cannot save properties: shape name element not found');
+                return;
+            }
+
+            const shapeName = shapeNameElement.value;
+            if (!shapeName) {
+                console.warn('Cannot save properties: shape name is empty');
+                return;
+            }
+
+            // Find the shape in the scene
+            const scene = this.sceneManager.getScene();
+            shape = scene.getMeshByName(shapeName);
+            if (!shape) {
+                console.warn('Cannot save properties: shape not found in scene:', shapeName);
+                return;
+            }
             
-            console.log(`Cleaned up ${polygonMeshes.length} duplicate polygon meshes`);
+            // Set currentShape for future use
+            this.currentShape = shape;
         }
+
+        // Get the height value from the popup
+        const height = Math.max(parseFloat(document.getElementById('shapeHeight').value) || 0, 0.001);
+        
+        // Apply height changes now (this is the only time height is applied)
+        this.applyHeightChanges(shape, height);
+
+        // Final update to ensure everything is saved
+        this.updateShapeInRealTime();
+
+        // After saving, select both the shape and its extrusion (if exists)
+        this.selectShapeAndExtrusionAfterSave();
+
+        // Dispatch event to update object list
+        this.dispatchSceneChangeEvent();
     }
 
+
     /**
-     * Clean up all extra meshes in the scene
+     * Preview height changes (shows temporary extrusion for preview)
      */
-    cleanupAllExtraMeshes() {
-        const scene = this.sceneManager.getScene();
+    previewHeightChanges() {
+        if (!this.currentShape) return;
         
-        // Find all meshes that might be extra
-        const extraMeshes = scene.meshes.filter(mesh => 
-            mesh.name === 'polygon' || 
-            mesh.name.includes('_extrusion') || 
-            mesh.name.includes('_box') || 
-            mesh.name.includes('_copy') ||
-            mesh.name.includes('_temp') ||
-            mesh.name.includes('_old')
-        );
+        // Get the height value from the popup
+        const height = Math.max(parseFloat(document.getElementById('shapeHeight').value) || 0, 0.001);
+        const type = document.getElementById('shapeType').value;
         
-        if (extraMeshes.length > 0) {
-            console.log(`Found ${extraMeshes.length} extra meshes in scene, cleaning up...`);
+        // Remove existing preview extrusion
+        this.removePreviewExtrusion();
+        
+        // Only show preview if type is building and height > 0
+        if (type === 'building' && height > 0.001) {
+            this.createPreviewExtrusion(height);
+        }
+    }
+
+    /**
+     * Create a temporary preview extrusion
+     * @param {number} height - The height for the preview
+     */
+    createPreviewExtrusion(height) {
+        if (!this.currentShape) return;
+        
+        const shapeType = this.getShapeType(this.currentShape);
+        const previewName = `${this.currentShape.name}_preview_extrusion`;
+        
+        let previewExtrusion;
+        if (shapeType === 'rectangle') {
+            const dimensions = this.currentShape.userData.dimensions;
+            previewExtrusion = BABYLON.MeshBuilder.CreateBox(previewName, {
+                width: dimensions.width,
+                height: height,
+                depth: dimensions.height
+            }, this.sceneManager.getScene());
+        } else if (shapeType === 'circle') {
+            const radius = this.currentShape.userData.dimensions.radius;
+            previewExtrusion = BABYLON.MeshBuilder.CreateCylinder(previewName, {
+                height: height,
+                diameter: radius * 2,
+                tessellation: 32
+            }, this.sceneManager.getScene());
+        } else if (shapeType === 'polygon') {
+            // For polygons, create a simple box preview
+            const dimensions = this.currentShape.userData.dimensions;
+            previewExtrusion = BABYLON.MeshBuilder.CreateBox(previewName, {
+                width: dimensions.width || 2,
+                height: height,
+                depth: dimensions.height || 2
+            }, this.sceneManager.getScene());
+        }
+        
+        if (previewExtrusion) {
+            // Position preview extrusion
+            previewExtrusion.position = this.currentShape.position.clone();
+            previewExtrusion.position.y = height / 2;
+            
+            // Create preview material (semi-transparent)
+            const previewMaterial = new BABYLON.StandardMaterial(`${previewName}Material`, this.sceneManager.getScene());
+            previewMaterial.diffuseColor = new BABYLON.Color3(0.5, 0.5, 1.0); // Light blue
+            previewMaterial.alpha = 0.3; // Semi-transparent
+            previewMaterial.backFaceCulling = false;
+            previewExtrusion.material = previewMaterial;
+            previewExtrusion.renderingGroupId = 1;
             
-            extraMeshes.forEach(mesh => {
-                console.log(`Disposing extra mesh: ${mesh.name}`);
-                
-                // Remove from selection manager
-                if (this.selectionManager) {
-                    this.selectionManager.removeSelectableObject(mesh);
-                }
-                
-                // Remove from shape2DManager
-                if (this.shape2DManager) {
-                    const index = this.shape2DManager.shapes.indexOf(mesh);
-                    if (index !== -1) {
-                        this.shape2DManager.shapes.splice(index, 1);
-                    }
-                }
-                
-                // Remove from parent
-                mesh.setParent(null);
-                
-                // Dispose material
-                if (mesh.material) {
-                    mesh.material.dispose();
-                }
-                
-                // Dispose mesh
-                mesh.dispose();
-            });
+            // Store reference for removal
+            this.currentShape.previewExtrusion = previewExtrusion;
             
-            console.log(`Cleaned up ${extraMeshes.length} extra meshes`);
+            console.log(`Preview extrusion created for ${this.currentShape.name} with height ${height}`);
         }
     }
 
-
-
-
+    /**
+     * Remove preview extrusion
+     */
+    removePreviewExtrusion() {
+        if (this.currentShape && this.currentShape.previewExtrusion) {
+            this.currentShape.previewExtrusion.dispose();
+            this.currentShape.previewExtrusion = null;
+        }
+    }
 
     /**
-     * Update properties fields based on shape type
+     * Apply height changes to a shape (only called when save is clicked)
+     * @param {BABYLON.Mesh} shape - The shape to apply height changes to
+     * @param {number} height - The new height value
      */
-    updatePropertiesFields(type) {
-        const heightGroup = document.getElementById('heightGroup');
-        const radiusGroup = document.getElementById('radiusGroup');
-        const lengthGroup = document.getElementById('shapeLength').parentElement;
-        const widthGroup = document.getElementById('shapeWidth').parentElement;
+    applyHeightChanges(shape, height) {
+        console.log(`Applying height changes to ${shape.name}: height = ${height}`);
         
-        // Get current shape type (rectangle/circle)
-        const shapeType = this.getShapeType(this.currentShape);
+        // Remove preview extrusion first
+        this.removePreviewExtrusion();
         
-        // Show height for all types
-        heightGroup.style.display = 'flex';
-        // Set height value
-        const heightInput = document.getElementById('shapeHeight');
-        if (heightInput) {
-            // Always set the height value
-            const currentHeight = this.currentShape?.userData?.dimensions?.height || 0.1;
-            heightInput.value = currentHeight;
+        // Get current properties
+        const type = document.getElementById('shapeType').value;
+        
+        // Update userData with new height
+        if (!shape.userData) {
+            shape.userData = {};
+        }
+        if (!shape.userData.dimensions) {
+            shape.userData.dimensions = {};
         }
+        shape.userData.dimensions.buildingHeight = height;
+        shape.userData.type = type;
         
-        // Show appropriate geometric fields based on shape type
-        if (shapeType === 'circle') {
-            lengthGroup.style.display = 'none';
-            widthGroup.style.display = 'none';
-            radiusGroup.style.display = 'flex';
-        } else if (shapeType === 'rectangle') {
-            lengthGroup.style.display = 'flex';
-            widthGroup.style.display = 'flex';
-            radiusGroup.style.display = 'none';
-        } else if (shapeType === 'building') {
-            // For buildings from rectangles, show length and width
-            lengthGroup.style.display = 'flex';
-            widthGroup.style.display = 'flex';
-            radiusGroup.style.display = 'none';
-        } else if (shapeType === 'polygon') {
-            // For polygons, show area and perimeter instead of length/width
-            lengthGroup.style.display = 'none';
-            widthGroup.style.display = 'none';
-            radiusGroup.style.display = 'none';
-            // Note: We'll need to add polygon-specific fields to the HTML
+        // Apply height changes based on shape type
+        if (type === 'building' && height > 0.001) {
+            // TODO: Implement new extrusion method
+        } else {
+            // TODO: Implement new extrusion removal method
         }
+        
+        console.log(`Height changes applied to ${shape.name}`);
     }
 
     /**
-     * Get shape properties
+     * Select shape and its extrusion after saving properties
      */
-    getShapeProperties(shape) {
-        const name = shape.name || 'Unnamed Shape';
-        const type = shape.userData?.type || 'ground';
-        const color = this.getShapeColor(shape);
-        const dimensions = this.getShapeDimensions(shape);
+    selectShapeAndExtrusionAfterSave() {
+        if (!this.selectionManager) {
+            console.warn('Cannot select after save: selectionManager is null');
+            return;
+        }
+
+        // Get the shape name from the properties popup
+        const shapeNameElement = document.getElementById('shapeName');
+        if (!shapeNameElement) {
+            console.warn('Cannot select after save: shape name element not found');
+            return;
+        }
+
+        const shapeName = shapeNameElement.value;
+        if (!shapeName) {
+            console.warn('Cannot select after save: shape name is empty');
+            return;
+        }
+
+        console.log('Selecting shape and extrusion after save:', shapeName);
+
+        // Clear current selection
+        this.selectionManager.clearSelection();
+
+        // Check if the shape still exists in the scene
+        const scene = this.sceneManager.getScene();
+        const shapeInScene = scene.getMeshByName(shapeName);
         
-        return {
-            name: name,
-            type: type,
-            color: color,
-            length: dimensions.length,
-            width: dimensions.width,
-            height: dimensions.height,
-            diameterTop: dimensions.diameterTop,
-            diameterBottom: dimensions.diameterBottom,
-            shapeType: this.getShapeType(shape)
-        };
+        if (!shapeInScene) {
+            console.warn('Shape not found in scene after save:', shapeName);
+            return;
+        }
+
+        // Select the current shape
+        this.selectionManager.selectObject(shapeInScene, false, true); // includeExtrusion = true
+
+        console.log('Selected objects after save:', this.selectionManager.selectedObjects.map(obj => obj.name));
     }
 
     /**
-     * Get shape color in hex format
+     * Convert hex to RGB (returns values 0-1 for Babylon.js)
      */
-    getShapeColor(shape) {
-        if (shape.material && shape.material.diffuseColor) {
-            const color = shape.material.diffuseColor;
-            return this.rgbToHex(
-                Math.round(color.r * 255),
-                Math.round(color.g * 255),
-                Math.round(color.b * 255)
-            );
-        }
-        return '#8B4513'; // Default brown
+    hexToRgb(hex) {
+        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+        return result ? {
+            r: parseInt(result[1], 16) / 255,
+            g: parseInt(result[2], 16) / 255,
+            b: parseInt(result[3], 16) / 255
+        } : { r: 0.4, g: 0.3, b: 0.2 }; // Default brown
     }
 
     /**
-     * Get shape dimensions
+     * Delete selected objects
      */
-    getShapeDimensions(shape) {
-        const dimensions = {
-            length: 0,
-            width: 0,
-            height: 0,
-            radius: 0,
-            area: 0,
-            perimeter: 0,
-            vertices: 0
-        };
+    deleteSelectedObjects() {
+        if (!this.selectionManager) {
+            console.log('SelectionManager not available');
+            return;
+        }
 
-        // First try to get dimensions from userData (stored during creation)
-        if (shape.userData && shape.userData.dimensions) {
-            const storedDimensions = shape.userData.dimensions;
-            
-            if (this.getShapeType(shape) === 'rectangle') {
-                dimensions.length = parseFloat(storedDimensions.width || 1.0).toFixed(2);
-                dimensions.width = parseFloat(storedDimensions.depth || 1.0).toFixed(2);
-                dimensions.height = parseFloat(storedDimensions.height || 0.1).toFixed(2);
-            } else if (this.getShapeType(shape) === 'building') {
-                // For buildings, check if it's from a circle or rectangle
-                if (storedDimensions.diameterTop !== undefined) {
-                    // This is a building from a circle - show diameter and height
-                    dimensions.diameterTop = parseFloat(storedDimensions.diameterTop || 1.0).toFixed(2);
-                    dimensions.diameterBottom = parseFloat(storedDimensions.diameterBottom || 1.0).toFixed(2);
-                    dimensions.height = parseFloat(storedDimensions.height || 0.1).toFixed(2);
-                } else {
-                    // This is a building from a rectangle - show length, width, and height
-                    dimensions.length = parseFloat(storedDimensions.width || 1.0).toFixed(2);
-                    dimensions.width = parseFloat(storedDimensions.depth || 1.0).toFixed(2);
-                    dimensions.height = parseFloat(storedDimensions.height || 0.1).toFixed(2);
-                }
-            } else if (this.getShapeType(shape) === 'circle') {
-                dimensions.diameterTop = parseFloat(storedDimensions.diameterTop || 1.0).toFixed(2);
-                dimensions.diameterBottom = parseFloat(storedDimensions.diameterBottom || 1.0).toFixed(2);
-                dimensions.height = parseFloat(storedDimensions.height || 0.1).toFixed(2);
-            } else if (this.getShapeType(shape) === 'polygon') {
-                dimensions.area = parseFloat(storedDimensions.area || 0).toFixed(2);
-                dimensions.perimeter = parseFloat(storedDimensions.perimeter || 0).toFixed(2);
-                dimensions.vertices = parseInt(storedDimensions.vertices || 0);
-            }
-            
-            // Get building height if available
-            if (storedDimensions.buildingHeight !== undefined) {
-                dimensions.height = parseFloat(storedDimensions.buildingHeight || 0).toFixed(2);
-            }
-        } else if (shape.geometry && shape.geometry.boundingInfo) {
-            // Fallback to boundingBox calculation
-            const boundingBox = shape.geometry.boundingInfo.boundingBox;
-            const size = boundingBox.extendSize;
-            
-            dimensions.length = (size.x * 2).toFixed(2);
-            dimensions.width = (size.z * 2).toFixed(2);
-            dimensions.height = (size.y * 2).toFixed(2);
-            
-            // For circles, radius is half the width
-            if (this.getShapeType(shape) === 'circle') {
-                dimensions.radius = (size.x).toFixed(2);
-            } else if (this.getShapeType(shape) === 'polygon') {
-                // For polygons, calculate approximate area and perimeter
-                dimensions.area = (size.x * size.z).toFixed(2);
-                dimensions.perimeter = (2 * (size.x + size.z)).toFixed(2);
-                dimensions.vertices = 0; // Will be calculated from mesh data if available
+        const selectedObjects = this.selectionManager.getSelectedObjects();
+        if (selectedObjects.length === 0) {
+            console.log('No objects selected to delete');
+            return;
+        }
+
+        console.log(`Deleting ${selectedObjects.length} selected objects`);
+
+        // Snapshot before disposing so the deletion can be undone
+        this.commitPropertyEdit();
+        const deletedSnapshot = this.sceneSerializer ? this.sceneSerializer.snapshot(selectedObjects) : null;
+
+        // Delete each selected object
+        selectedObjects.forEach(obj => {
+            if (obj && obj.dispose) {
+                // Check if it's a tree
+                if (this.treeManager && this.isTree(obj)) {
+                    // Find the tree object in the tree manager
+                    const tree = this.treeManager.trees.find(t => t.parent === obj);
+                    if (tree) {
+                        this.treeManager.removeTree(tree);
+                    } else {
+                        // Fallback: just dispose the object
+                        obj.dispose();
+                    }
+                }
+                // Check if it's a 2D shape
+                else if (this.shape2DManager && this.is2DShape(obj)) {
+                    this.shape2DManager.removeShape(obj);
+                } 
+                // Check if it's a polygon
+                else if (this.polygonManager && this.isPolygon(obj)) {
+                    // For now, just dispose the polygon object
+                    // TODO: Add proper polygon removal method to PolygonManager
+                    obj.dispose();
+                }
+                else {
+                    // It's a 3D building or other object
+                    obj.dispose();
+                }
+                console.log(`Deleted object: ${obj.name}`);
             }
-        }
+        });
 
-        return dimensions;
+        // Clear selection after deletion
+        this.selectionManager.clearSelection();
+        
+        if (this.historyManager) {
+            this.historyManager.recordDeletion(deletedSnapshot, 'Delete');
+        }
+        
+        // Dispatch event to update object list
+        this.dispatchSceneChangeEvent();
+        
+        console.log('Selected objects deleted and selection cleared');
     }
 
     /**
-     * Count models by type in the scene
+     * Check if object is a 2D shape
      */
-    countModelsByType(type) {
-        let count = 0;
-        const scene = this.sceneManager.getScene();
-        
-        scene.meshes.forEach(mesh => {
-            if (mesh.userData && mesh.userData.type === type) {
-                count++;
-            }
-        });
+    is2DShape(obj) {
+        if (!obj || !obj.name) return false;
         
-        return count;
+        const shapeNames = ['rectangle', 'circle', 'triangle', 'text', 'polyline', 'line'];
+        return shapeNames.some(name => obj.name.includes(name));
     }
 
     /**
-     * Setup continuous parameter change for number inputs
+     * Check if object is a tree
      */
-    setupContinuousParameterChange(inputId, updateCallback) {
-        const input = document.getElementById(inputId);
-        if (!input) return;
-
-        let isMouseDown = false;
-        let isIncreasing = false;
-        let intervalId = null;
-        let timeoutId = null;
-        let isTyping = false;
-
-        const applyStepChange = () => {
-            const currentValue = parseFloat(input.value) || 0;
-            const step = parseFloat(input.step) || 0.1;
-            const min = input.min !== '' ? parseFloat(input.min) : -Infinity;
-            const max = input.max !== '' ? parseFloat(input.max) : Infinity;
+    isTree(obj) {
+        if (!obj || !obj.name) return false;
+        
+        return obj.name.startsWith('tree_') || 
+               obj.name.includes('_tree_') || 
+               obj.name.startsWith('simple_tree_');
+    }
 
-            const newValue = isIncreasing ? currentValue + step : currentValue - step;
-            const constrainedValue = Math.max(min, Math.min(max, newValue));
-            const roundedValue = Math.round(constrainedValue * 100) / 100;
+    /**
+     * Check if object is a polygon
+     */
+    isPolygon(obj) {
+        if (!obj || !obj.name) return false;
+        
+        return obj.name.includes('polygon');
+    }
 
-            if (roundedValue === currentValue) {
-                return;
-            }
+    /**
+     * Clear all 2D shapes
+     */
+    clear2DShapes() {
+        // Clear rectangles
+        if (this.rectangleManager) {
+            this.rectangleManager.clearAllRectangles();
+        }
+        
+        // Clear circles
+        if (this.circleManager) {
+            this.circleManager.clearAllCircles();
+        }
+        
+        // Clear polygons
+        if (this.polygonManager) {
+            this.polygonManager.clearAllPolygons();
+        }
+        
+        // Clear other shapes from shape2DManager if it exists
+        if (this.shape2DManager) {
+            this.shape2DManager.clearAllShapes();
+        }
+        
+        console.log('All 2D shapes cleared');
+    }
 
-            input.value = roundedValue;
-            isTyping = false;
+    /**
+     * Dispose of UI manager
+     */
+    dispose() {
+        if (this.statsInterval) {
+            clearInterval(this.statsInterval);
+        }
+    }
 
-            const inputEvent = new Event('input', { bubbles: true });
-            const changeEvent = new Event('change', { bubbles: true });
-            input.dispatchEvent(inputEvent);
-            input.dispatchEvent(changeEvent);
-        };
+    /**
+     * Update circle in real-time based on popup values
+     */
+    updateCircleInRealTime() {
+        if (!this.currentShape) return;
 
-        // Handle mouse down on spin buttons
-        input.addEventListener('mousedown', (e) => {
-            // Check if click is on spin button
-            const rect = input.getBoundingClientRect();
-            const clickX = e.clientX - rect.left;
-            const clickY = e.clientY - rect.top;
-            
-            // Check if click is in the right side (spin button area)
-            if (clickX > rect.width - 30) {
-                e.preventDefault();
-                
-                // Determine if clicking up or down arrow
-                isIncreasing = clickY < rect.height / 2;
-                isMouseDown = true;
+        // Get current values from popup
+        const type = document.getElementById('circleType').value;
+        const color = document.getElementById('circleColor').value;
+        
+        // Get diameter value (same for all types)
+        const diameter = Math.max(parseFloat(document.getElementById('circleDiameter').value) || 1.0, 0.1);
+        const diameterTop = diameter;
+        const diameterBottom = diameter;
+        
+        // Get height value (always available for circles)
+        const height = Math.max(parseFloat(document.getElementById('circleHeight').value) || 0.1, 0.1);
+        
+        // Round to 2 decimal places
+        const roundedDiameterTop = Math.round(diameterTop * 100) / 100;
+        const roundedDiameterBottom = Math.round(diameterBottom * 100) / 100;
+        const roundedHeight = Math.round(height * 100) / 100;
+        
+        console.log('Updating circle with:', { type, diameterTop: roundedDiameterTop, diameterBottom: roundedDiameterBottom, height: roundedHeight });
 
-                applyStepChange();
+        // Use the color selected by user (from color picker)
+        const rgbColor = this.hexToRgb(color);
+        const newColor = new BABYLON.Color3(rgbColor.r, rgbColor.g, rgbColor.b);
+        
+        // Update material color immediately for visual feedback
+        if (this.currentShape.material && this.currentShape.material.diffuseColor) {
+            this.currentShape.material.diffuseColor = newColor;
+        }
 
-                // Start continuous change after a short delay
-                timeoutId = setTimeout(() => {
-                    if (isMouseDown && !isTyping) {
-                        intervalId = setInterval(() => {
-                            if (isMouseDown && !isTyping) {
-                                applyStepChange();
-                            }
-                        }, 50); // Change every 50ms
-                    }
-                }, 300); // Start after 300ms delay
+        // Check if type actually changed before updating userData
+        const currentType = this.currentShape.userData.type;
+        const typeChanged = currentType !== type;
+        
+        // Update userData
+        this.currentShape.userData.type = type;
+        this.currentShape.userData.shapeType = type === 'building' ? 'building' : 'circle';
+        
+        // Only generate new name if type actually changed
+        if (typeChanged) {
+            const newName = this.generateUniqueNameByType(type);
+            this.currentShape.name = newName;
+            document.getElementById('circleName').value = newName;
+        }
+        
+        // Update circle geometry
+        const roof = this.currentShape.userData.roof;
+        const volumes = this.currentShape.userData.volumes;
+        const newCircle = this.circleManager.updateCircle(this.currentShape, roundedDiameterTop, roundedDiameterBottom, roundedHeight);
+        if (newCircle) {
+            this.currentShape = newCircle;
+            // Update dimensions in userData
+            this.currentShape.userData.dimensions.diameterTop = roundedDiameterTop;
+            this.currentShape.userData.dimensions.diameterBottom = roundedDiameterBottom;
+            this.currentShape.userData.dimensions.height = roundedHeight;
+            if (roof) {
+                this.currentShape.userData.roof = roof;
             }
-        });
-
-        // Handle mouse up
-        document.addEventListener('mouseup', () => {
-            if (isMouseDown) {
-                isMouseDown = false;
-                if (timeoutId) {
-                    clearTimeout(timeoutId);
-                    timeoutId = null;
-                }
-                if (intervalId) {
-                    clearInterval(intervalId);
-                    intervalId = null;
-                }
+            if (volumes) {
+                this.currentShape.userData.volumes = volumes;
             }
-        });
-
-        // Handle mouse leave
-        input.addEventListener('mouseleave', () => {
-            if (isMouseDown) {
-                isMouseDown = false;
-                if (timeoutId) {
-                    clearTimeout(timeoutId);
-                    timeoutId = null;
-                }
-                if (intervalId) {
-                    clearInterval(intervalId);
-                    intervalId = null;
-                }
+            if (this.volumeManager) {
+                this.volumeManager.applyVolumes(this.currentShape);
             }
-        });
-
-        // Handle focus events to detect typing
-        input.addEventListener('focus', () => {
-            isTyping = false;
-        });
-
-        input.addEventListener('blur', () => {
-            isTyping = false;
-        });
+            if (this.roofManager) {
+                this.roofManager.applyRoof(this.currentShape);
+            }
+            console.log('Circle updated successfully, userData:', this.currentShape.userData);
+        }
+    }
 
-        // Handle keydown to detect typing
-        input.addEventListener('keydown', () => {
-            isTyping = true;
-        });
+    /**
+     * Save circle properties
+     */
+    saveCircleProperties() {
+        if (!this.currentShape) return;
 
-        input.addEventListener('keyup', () => {
-            isTyping = false;
-        });
+        // Apply all changes
+        this.updateCircleInRealTime();
 
-        // Handle input events - immediate update for real-time changes
-        input.addEventListener('input', () => {
-            isTyping = false;
-            
-            // Round to 2 decimal places
-            const currentValue = parseFloat(input.value) || 0;
-            const roundedValue = Math.round(currentValue * 100) / 100;
-            input.value = roundedValue;
-            
-            updateCallback(); // Immediate update
-        });
+        // Dispatch event to update object list
+        this.dispatchSceneChangeEvent();
     }
 
     /**
-     * Generate unique name based on type
+     * Show polygon properties popup
      */
-    generateUniqueNameByType(type) {
-        // Count existing objects of this type in the scene
-        let maxNumber = 0;
-        const usedNumbers = new Set();
-        const scene = this.sceneManager.getScene();
+    showPolygonPropertiesPopup(polygon) {
+        this.commitPropertyEdit();
+        this.currentShape = polygon;
+        this.currentPolygon = polygon; // Store polygon reference for name validation
         
-        // Check all meshes in the scene for names of this type
-        // Only count enabled meshes that are still in the scene
-        scene.meshes.forEach(mesh => {
-            if (mesh.name && mesh.isEnabled() && mesh.name.startsWith(`${type}_`)) {
-                const match = mesh.name.match(new RegExp(`^${type}_(\\d+)$`));
-                if (match) {
-                    const number = parseInt(match[1]);
-                    usedNumbers.add(number);
-                    if (number > maxNumber) {
-                        maxNumber = number;
-                    }
-                }
-            }
-        });
+        // Store original values for cancel functionality
+        const type = polygon.userData?.type || 'ground';
+        const color = this.getShapeColor(polygon);
         
-        // Find the first available number (not just maxNumber + 1)
-        // This prevents duplicate names when objects are deleted
-        let nextNumber = 1;
-        while (usedNumbers.has(nextNumber)) {
-            nextNumber++;
+        // Store original values in userData
+        polygon.userData.originalName = polygon.name;
+        polygon.userData.originalType = type;
+        polygon.userData.originalColor = color;
+        
+        // Set type
+        document.getElementById('polygonType').value = type;
+        
+        // Use current polygon name (don't generate new name)
+        document.getElementById('polygonName').value = polygon.name;
+        
+        // Set color
+        document.getElementById('polygonColor').value = color;
+        
+        // Show/hide height field based on type
+        const heightGroup = document.getElementById('polygonHeightGroup');
+        if (type === 'building') {
+            heightGroup.style.display = 'block';
+            // Set current height for building
+            const currentHeight = polygon.userData?.currentHeight || 1;
+            document.getElementById('polygonHeight').value = currentHeight;
+        } else {
+            heightGroup.style.display = 'none';
         }
         
-        // Return next available number
-        return `${type}_${nextNumber}`;
-    }
+        // Set triangle count
+        const triangleCount = this.getPolygonTriangleCount(polygon);
+        document.getElementById('polygonTriangles').value = triangleCount;
+        this.updatePolygonHoleFields(polygon);
+        const canEditOutline = !!(this.polygonManager && this.polygonManager.canEditOutline(polygon.basePolygon || polygon));
+        document.getElementById('polygonOutlineGroup').style.display = canEditOutline ? '' : 'none';
+        
+        this.updateIrradianceTables(polygon);
+        this.updateBuildingMetricsTables(polygon);
+        this.updateRoofFields(polygon);
+        this.updateVolumeFields(polygon);
 
-    /**
-     * Generate unique building name (for backward compatibility)
-     */
-    generateUniqueBuildingName() {
-        return this.generateUniqueNameByType('building');
+        // Show popup
+        document.getElementById('polygonPropertiesPopup').classList.add('show');
+        this.beginPropertyEdit(polygon);
     }
 
     /**
-     * Get shape type (rectangle, circle, polygon, etc.)
+     * Get triangle count for polygon
      */
-    getShapeType(shape) {
-        // First check userData for explicit shape type
-        if (shape.userData && shape.userData.shapeType) {
-            return shape.userData.shapeType;
+    getPolygonTriangleCount(polygon) {
+        if (!polygon || !polygon.userData || !polygon.userData.points) {
+            return '0';
         }
         
-        // Check if this is a circle by looking for diameterTop in dimensions
-        if (shape.userData && shape.userData.dimensions && shape.userData.dimensions.diameterTop !== undefined) {
-            return 'circle';
+        const points = polygon.userData.points;
+        if (points.length < 3) {
+            return '0';
         }
         
-        // Check if this is a rectangle by looking for width/depth in dimensions
-        if (shape.userData && shape.userData.dimensions && 
-            (shape.userData.dimensions.width !== undefined || shape.userData.dimensions.depth !== undefined)) {
-            return 'rectangle';
-        }
+        // For simple polygons, triangle count = vertices - 2; every hole adds its vertices plus two
+        const holes = polygon.userData.holes || [];
+        const vertexCount = points.length + holes.reduce((sum, hole) => sum + hole.length, 0);
+        const triangleCount = vertexCount - 2 + 2 * holes.length;
         
-        // Fallback to name-based detection
-        if (shape.name.includes('circle')) return 'circle';
-        if (shape.name.includes('rectangle')) return 'rectangle';
-        if (shape.name.includes('polygon')) return 'polygon';
-        if (shape.name.includes('building')) return 'building';
-        return 'rectangle'; // Default
+        return triangleCount.toString();
     }
 
     /**
-     * Convert RGB to hex
+     * Hide polygon properties popup
      */
-    rgbToHex(r, g, b) {
-        return "#" + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+    hidePolygonPropertiesPopup() {
+        document.getElementById('polygonPropertiesPopup').classList.remove('show');
+        this.commitPropertyEdit();
+        this.currentShape = null;
     }
 
     /**
-     * Clean up all water_* meshes without proper type
-     * This is a backup cleanup method that works directly on the scene
+     * Show polyline properties popup
      */
-    cleanupWaterMeshesWithoutType() {
-        if (!this.sceneManager) return;
+    showPolylinePropertiesPopup(polyline) {
+        this.commitPropertyEdit();
+        this.currentShape = polyline;
+
+        document.getElementById('polylineName').value = polyline.name;
+        document.getElementById('polylineType').value = polyline.userData.type === 'waterway' ? 'waterway' : 'highway';
+        document.getElementById('polylineColor').value = this.getShapeColor(polyline);
+        document.getElementById('polylineWidth').value = polyline.userData.width;
+        this.updatePolylineFields(polyline);
+
+        document.getElementById('polylinePropertiesPopup').classList.add('show');
+        this.beginPropertyEdit(polyline);
+    }
+
+    /**
+     * Hide polyline properties popup
+     */
+    hidePolylinePropertiesPopup() {
+        document.getElementById('polylinePropertiesPopup').classList.remove('show');
+        this.commitPropertyEdit();
+        this.currentShape = null;
+    }
+
+    /**
+     * Show the length and point count of a polyline
+     */
+    updatePolylineFields(polyline) {
+        const dimensions = polyline.userData.dimensions;
+        document.getElementById('polylineLength').value = `${dimensions.length} m`;
+        document.getElementById('polylinePointCount').value = dimensions.vertices;
+    }
+
+    /**
+     * Listen to the polyline popup; changes apply live like the other popups
+     */
+    setupPolylinePropertyListeners() {
+        const currentPolyline = () => (this.polylineManager && this.polylineManager.isPolyline(this.currentShape) ? this.currentShape : null);
+
+        const nameInput = document.getElementById('polylineName');
+        let originalName = '';
+        nameInput.addEventListener('focus', () => {
+            originalName = nameInput.value;
+        });
+        nameInput.addEventListener('blur', () => {
+            const polyline = currentPolyline();
+            const newName = nameInput.value.trim();
+            if (!polyline || newName === polyline.name) return;
+            if (newName === '') {
+                nameInput.value = originalName;
+                alert('Name cannot be empty');
+                return;
+            }
+            if (!this.isNameUnique(newName, polyline)) {
+                nameInput.value = originalName;
+                alert('Duplicate name. Please choose a different name.');
+                return;
+            }
+            polyline.name = newName;
+            this.dispatchSceneChangeEvent();
+        });
+
+        document.getElementById('polylineType').addEventListener('change', (e) => {
+            const polyline = currentPolyline();
+            if (!polyline) return;
+
+            const type = e.target.value;
+            polyline.userData.type = type;
+            polyline.material.diffuseColor = this.getColorByType(type);
+            document.getElementById('polylineColor').value = this.getHexColorByType(type);
+            polyline.name = this.generateUniqueNameByType(type);
+            nameInput.value = polyline.name;
+            this.dispatchSceneChangeEvent();
+        });
+
+        document.getElementById('polylineColor').addEventListener('input', (e) => {
+            const polyline = currentPolyline();
+            if (!polyline || !polyline.material) return;
+
+            const color = this.hexToRgb(e.target.value);
+            polyline.material.diffuseColor = new BABYLON.Color3(color.r, color.g, color.b);
+        });
+
+        document.getElementById('polylineWidth').addEventListener('change', (e) => {
+            const polyline = currentPolyline();
+            if (!polyline || !this.polylineManager.setWidth(polyline, e.target.value)) return;
+
+            e.target.value = polyline.userData.width;
+            if (this.selectionManager && this.selectionManager.isSelected(polyline)) {
+                // The highlight is a clone of the old geometry
+                this.selectionManager.removeHighlight(polyline);
+                this.selectionManager.highlightObject(polyline);
+            }
+            this.updatePolylineFields(polyline);
+            this.dispatchSceneChangeEvent();
+        });
+    }
+
+    /**
+     * Save polygon properties
+     */
+    savePolygonProperties() {
+        if (!this.currentShape) return;
+
+        // Get values from popup
+        const name = document.getElementById('polygonName').value.trim();
+        const type = document.getElementById('polygonType').value;
+        const color = document.getElementById('polygonColor').value;
         
-        const scene = this.sceneManager.getScene();
-        if (!scene) return;
+        // Validate name (should already be validated by blur event, but double-check)
+        if (!name || name === '') {
+            console.warn('Cannot save polygon properties: name is empty');
+            return;
+        }
         
-        // Find all meshes with name starting with 'water_' that don't have a valid type
-        const unwantedMeshes = scene.meshes.filter(mesh => {
-            if (!mesh.name || !mesh.name.startsWith('water_')) return false;
-            
-            // Check if mesh has no type in userData or type is invalid
-            const hasNoType = !mesh.userData || !mesh.userData.type || mesh.userData.type === undefined || mesh.userData.type === null || mesh.userData.type === '';
-            
-            // Also check if it's a rectangle (not a polygon) with water name
-            const isRectangleNotPolygon = mesh.userData && mesh.userData.shapeType === 'rectangle';
-            
-            // Remove if: has no type OR is a rectangle (not polygon)
-            return hasNoType || isRectangleNotPolygon;
-        });
+        // Check if name is unique (should already be validated, but double-check)
+        if (!this.isNameUnique(name, this.currentShape)) {
+            console.warn('Cannot save polygon properties: name is duplicate');
+            return;
+        }
         
-        if (unwantedMeshes.length > 0) {
-            console.log(`[UIManager] Found ${unwantedMeshes.length} unwanted water_* meshes, removing...`);
-            
-            unwantedMeshes.forEach(mesh => {
-                console.log(`[UIManager] Removing: ${mesh.name} (type: ${mesh.userData?.type || 'none'})`);
-                
-                // Remove from selection manager
-                if (this.selectionManager) {
-                    this.selectionManager.removeSelectableObject(mesh);
-                }
-                
-                // Remove from scene
-                try {
-                    scene.removeMesh(mesh);
-                } catch (e) {
-                    console.warn(`Error removing mesh ${mesh.name}:`, e);
-                }
-                
-                // Dispose material
-                try {
-                    if (mesh.material && mesh.material.dispose) {
-                        mesh.material.dispose();
-                    }
-                } catch (e) {
-                    console.warn(`Error disposing material:`, e);
-                }
-                
-                // Dispose mesh
-                try {
-                    if (mesh.dispose) {
-                        mesh.dispose();
-                    }
-                } catch (e) {
-                    console.warn(`Error disposing mesh:`, e);
-                }
-            });
-            
-            console.log(`[UIManager] Removed ${unwantedMeshes.length} unwanted water_* meshes`);
+        // Get height only for building type
+        let height = undefined;
+        if (type === 'building') {
+            height = parseFloat(document.getElementById('polygonHeight').value) || 1;
+        }
+
+        // Update polygon name (only if it changed)
+        if (this.currentShape.name !== name) {
+            this.currentShape.name = name;
+            // Also update extrusion name if exists
+            if (this.currentShape.extrusion) {
+                this.currentShape.extrusion.name = `${name}_extrusion`;
+            }
         }
+
+        // Update polygon properties
+        this.updatePolygonProperties(this.currentShape, {
+            type: type,
+            color: color,
+            height: height
+        });
+
+        // Dispatch event to update object list
+        this.dispatchSceneChangeEvent();
     }
 
     /**
-     * Get color for a specific type - Centralized color configuration
+     * Save tree properties
      */
-    getColorByType(type) {
-        switch (type) {
-            case 'building':
-                return new BABYLON.Color3(1, 1, 1); // White for buildings
-            case 'ground':
-                return new BABYLON.Color3(0.4, 0.3, 0.2); // Brown for ground
-            case 'water':
-                return new BABYLON.Color3(0, 0.4, 0.8); // Blue for water
-            case 'waterway':
-                return new BABYLON.Color3(0, 0.5, 1); // Light blue for waterway
-            case 'highway':
-                return new BABYLON.Color3(0.3, 0.3, 0.3); // Gray for highway
-            case 'green':
-                return new BABYLON.Color3(0, 0.8, 0); // Green for green areas
-            default:
-                return new BABYLON.Color3(0.4, 0.3, 0.2); // Default brown
+    saveTreeProperties() {
+        if (!this.currentShape) return;
+
+        console.log('Saving tree properties');
+        
+        // Get scale value from input
+        const scaleValue = parseFloat(document.getElementById('treeScale').value);
+        
+        // Validate scale value
+        if (scaleValue < 1) {
+            alert('Scale must be at least 1.0');
+            return;
+        }
+        
+        // Apply scaling to the tree
+        this.currentShape.scaling = new BABYLON.Vector3(scaleValue, scaleValue, scaleValue);
+        
+        // Update wireframes if they exist
+        if (this.selectionManager) {
+            this.selectionManager.updateWireframeTransforms(this.currentShape);
         }
+        
+        // Dispatch event to update object list
+        this.dispatchSceneChangeEvent();
     }
 
     /**
-     * Get standardized default color for all drawing tools
+     * Update tree scale in real-time
      */
-    getDefaultDrawingColor() {
-        return new BABYLON.Color3(0.4, 0.3, 0.2); // Consistent brown for all drawing tools
+    updateTreeScaleInRealTime(scaleValue) {
+        if (!this.currentShape) return;
+        
+        // Validate scale value
+        if (scaleValue < 1) {
+            return; // Don't update if below minimum
+        }
+        
+        // Apply scaling to the tree
+        this.currentShape.scaling = new BABYLON.Vector3(scaleValue, scaleValue, scaleValue);
+        
+        // Update wireframes if they exist
+        if (this.selectionManager) {
+            this.selectionManager.updateWireframeTransforms(this.currentShape);
+        }
     }
 
-    /**
-     * Get standardized preview color for all drawing tools
-     */
-    getDefaultPreviewColor() {
-        return new BABYLON.Color3(0.4, 0.3, 0.2); // Same brown for preview
-    }
 
-    /**
-     * Get standardized preview alpha for all drawing tools
-     */
-    getDefaultPreviewAlpha() {
-        return 0.5; // Consistent transparency for all previews
-    }
 
     /**
-     * Get hex color for a specific type
+     * Get the desired base Y position for a polygon (stores it if missing)
      */
-    getHexColorByType(type) {
-        const color = this.getColorByType(type);
-        return this.rgbToHex(Math.round(color.r * 255), Math.round(color.g * 255), Math.round(color.b * 255));
+    getPolygonBaseWorldY(polygon) {
+        if (!polygon) return 0;
+
+        polygon.computeWorldMatrix(true);
+        const boundingInfo = polygon.getBoundingInfo();
+        if (!boundingInfo || !boundingInfo.boundingBox) {
+            return 0;
+        }
+
+        const rawMinY = boundingInfo.boundingBox.minimumWorld.y;
+        const normalizedMinY = Math.abs(rawMinY) < 0.0001 ? 0 : rawMinY;
+
+        const userData = polygon.userData = polygon.userData || {};
+        const previousBaseY = userData.baseY;
+
+        if (previousBaseY === undefined || Math.abs(previousBaseY - normalizedMinY) > 0.0001) {
+            userData.baseY = normalizedMinY;
+        }
+
+        return userData.baseY;
     }
 
     /**
-     * Save shape properties
+     * Realign a polygon so its base stays anchored at the specified world Y level
      */
-    saveShapeProperties() {
-        // Use currentShape if available, otherwise try to find by name
-        let shape = this.currentShape;
-        
-        if (!shape) {
-            // Fallback: try to find by name from input field
-            const shapeNameElement = document.getElementById('shapeName');
-            if (!shapeNameElement) {
-                console.warn('Cannot save properties: shape name element not found');
-                return;
-            }
-
-            const shapeName = shapeNameElement.value;
-            if (!shapeName) {
-                console.warn('Cannot save properties: shape name is empty');
-                return;
-            }
+    realignPolygonBase(polygon, baseY) {
+        if (!polygon) return;
 
-            // Find the shape in the scene
-            const scene = this.sceneManager.getScene();
-            shape = scene.getMeshByName(shapeName);
-            if (!shape) {
-                console.warn('Cannot save properties: shape not found in scene:', shapeName);
-                return;
-            }
-            
-            // Set currentShape for future use
-            this.currentShape = shape;
+        polygon.computeWorldMatrix(true);
+        const boundingInfo = polygon.getBoundingInfo();
+        if (!boundingInfo || !boundingInfo.boundingBox) {
+            return;
         }
 
-        // Get the height value from the popup
-        const height = Math.max(parseFloat(document.getElementById('shapeHeight').value) || 0, 0.001);
-        
-        // Apply height changes now (this is the only time height is applied)
-        this.applyHeightChanges(shape, height);
+        const minWorldY = boundingInfo.boundingBox.minimumWorld.y;
+        const normalizedMinY = Math.abs(minWorldY) < 0.0001 ? 0 : minWorldY;
+        const normalizedBaseY = Math.abs(baseY) < 0.0001 ? 0 : baseY;
+        const deltaY = normalizedBaseY - normalizedMinY;
 
-        // Final update to ensure everything is saved
-        this.updateShapeInRealTime();
+        if (Math.abs(deltaY) > 0.0001) {
+            polygon.position.y += deltaY;
+            polygon.computeWorldMatrix(true);
+        }
 
-        // After saving, select both the shape and its extrusion (if exists)
-        this.selectShapeAndExtrusionAfterSave();
+        polygon.userData = polygon.userData || {};
+        polygon.userData.baseY = baseY;
 
-        // Dispatch event to update object list
-        this.dispatchSceneChangeEvent();
+        if (this.selectionManager) {
+            this.selectionManager.updateWireframeTransforms(polygon);
+        }
     }
 
 
-    /**
-     * Preview height changes (shows temporary extrusion for preview)
-     */
-    previewHeightChanges() {
-        if (!this.currentShape) return;
-        
-        // Get the height value from the popup
-        const height = Math.max(parseFloat(document.getElementById('shapeHeight').value) || 0, 0.001);
-        const type = document.getElementById('shapeType').value;
-        
-        // Remove existing preview extrusion
-        this.removePreviewExtrusion();
-        
-        // Only show preview if type is building and height > 0
-        if (type === 'building' && height > 0.001) {
-            this.createPreviewExtrusion(height);
-        }
-    }
 
     /**
-     * Create a temporary preview extrusion
-     * @param {number} height - The height for the preview
+     * Update polygon properties
      */
-    createPreviewExtrusion(height) {
-        if (!this.currentShape) return;
-        
-        const shapeType = this.getShapeType(this.currentShape);
-        const previewName = `${this.currentShape.name}_preview_extrusion`;
-        
-        let previewExtrusion;
-        if (shapeType === 'rectangle') {
-            const dimensions = this.currentShape.userData.dimensions;
-            previewExtrusion = BABYLON.MeshBuilder.CreateBox(previewName, {
-                width: dimensions.width,
-                height: height,
-                depth: dimensions.height
-            }, this.sceneManager.getScene());
-        } else if (shapeType === 'circle') {
-            const radius = this.currentShape.userData.dimensions.radius;
-            previewExtrusion = BABYLON.MeshBuilder.CreateCylinder(previewName, {
-                height: height,
-                diameter: radius * 2,
-                tessellation: 32
-            }, this.sceneManager.getScene());
-        } else if (shapeType === 'polygon') {
-            // For polygons, create a simple box preview
-            const dimensions = this.currentShape.userData.dimensions;
-            previewExtrusion = BABYLON.MeshBuilder.CreateBox(previewName, {
-                width: dimensions.width || 2,
-                height: height,
-                depth: dimensions.height || 2
-            }, this.sceneManager.getScene());
+    updatePolygonProperties(polygon, properties) {
+        // Update userData
+        polygon.userData = polygon.userData || {};
+        polygon.userData.type = properties.type;
+
+        // Update material color and type
+        if (polygon.material) {
+            // If color is provided from color picker, use it; otherwise use standardized color by type
+            if (properties.color && properties.color !== '#000000') {
+                const color = this.hexToRgb(properties.color);
+                polygon.material.diffuseColor = new BABYLON.Color3(color.r, color.g, color.b);
+            } else {
+                // Use standardized color by type for consistency
+                this.updatePolygonMaterialColorByType(polygon, properties.type);
+            }
         }
         
-        if (previewExtrusion) {
-            // Position preview extrusion
-            previewExtrusion.position = this.currentShape.position.clone();
-            previewExtrusion.position.y = height / 2;
-            
-            // Create preview material (semi-transparent)
-            const previewMaterial = new BABYLON.StandardMaterial(`${previewName}Material`, this.sceneManager.getScene());
-            previewMaterial.diffuseColor = new BABYLON.Color3(0.5, 0.5, 1.0); // Light blue
-            previewMaterial.alpha = 0.3; // Semi-transparent
-            previewMaterial.backFaceCulling = false;
-            previewExtrusion.material = previewMaterial;
-            previewExtrusion.renderingGroupId = 1;
-            
-            // Store reference for removal
-            this.currentShape.previewExtrusion = previewExtrusion;
+        // Update height if provided (for building type)
+        if (properties.height !== undefined && properties.type === 'building') {
+            const originalHeight = polygon.userData?.originalHeight || 0.05;
+            const scaleFactor = properties.height / originalHeight;
+            const baseY = this.getPolygonBaseWorldY(polygon);
             
-            console.log(`Preview extrusion created for ${this.currentShape.name} with height ${height}`);
+            polygon.scaling.y = scaleFactor;
+            this.realignPolygonBase(polygon, baseY);
+            polygon.userData.currentHeight = properties.height;
         }
+
+        console.log('Updated polygon properties:', properties);
     }
 
     /**
-     * Remove preview extrusion
+     * Generate unique polygon name based on type
      */
-    removePreviewExtrusion() {
-        if (this.currentShape && this.currentShape.previewExtrusion) {
-            this.currentShape.previewExtrusion.dispose();
-            this.currentShape.previewExtrusion = null;
-        }
+    generateUniquePolygonName(type) {
+        const scene = this.sceneManager.getScene();
+        const existingNames = new Set();
+        
+        // Collect all existing polygon names
+        scene.meshes.forEach(mesh => {
+            if (mesh.name && mesh.name.startsWith(type + '_')) {
+                existingNames.add(mesh.name);
+            }
+        });
+        
+        // Find the next available number
+        let counter = 1;
+        let newName;
+        do {
+            newName = `${type}_${counter}`;
+            counter++;
+        } while (existingNames.has(newName));
+        
+        return newName;
     }
 
     /**
-     * Apply height changes to a shape (only called when save is clicked)
-     * @param {BABYLON.Mesh} shape - The shape to apply height changes to
-     * @param {number} height - The new height value
+     * Update polygon color picker based on type
      */
-    applyHeightChanges(shape, height) {
-        console.log(`Applying height changes to ${shape.name}: height = ${height}`);
+    updatePolygonColorByType(type) {
+        // Use the central color function for consistency
+        const colorHex = this.getHexColorByType(type);
         
-        // Remove preview extrusion first
-        this.removePreviewExtrusion();
+        // Update color picker
+        document.getElementById('polygonColor').value = colorHex;
+    }
+
+    /**
+     * Update polygon material color based on type - Use standardized colors
+     */
+    updatePolygonMaterialColorByType(polygon, type) {
+        if (!polygon.material) return;
+
+        // Use standardized color system for consistency with other drawing tools
+        const standardizedColor = this.getColorByType(type);
+        polygon.material.diffuseColor = standardizedColor;
+    }
+
+    /**
+     * Update polygon material based on type - Use standardized colors
+     */
+    updatePolygonMaterialByType(polygon, type) {
+        if (!polygon.material) return;
+
+        // Update color using standardized system
+        this.updatePolygonMaterialColorByType(polygon, type);
+
+        // Set height automatically based on type
+        let targetHeight;
+        if (type === 'building') {
+            targetHeight = 1; // Building height (scale 1)
+        } else {
+            targetHeight = 0.1; // Default height for other types
+        }
+
+        // Update height using scaling method
+        const originalHeight = polygon.userData?.originalHeight || 0.1;
+        const scaleFactor = targetHeight / originalHeight;
         
-        // Get current properties
-        const type = document.getElementById('shapeType').value;
+        const baseY = this.getPolygonBaseWorldY(polygon);
+        polygon.scaling.y = scaleFactor;
+        this.realignPolygonBase(polygon, baseY);
         
-        // Update userData with new height
-        if (!shape.userData) {
-            shape.userData = {};
-        }
-        if (!shape.userData.dimensions) {
-            shape.userData.dimensions = {};
+        // Update userData
+        polygon.userData.currentHeight = targetHeight;
+
+        // Material settings are now normal since bottom faces are removed
+
+        // Update shadows for the polygon
+        if (this.lightingManager) {
+            this.lightingManager.addShadowCaster(polygon);
+            this.lightingManager.addShadowReceiver(polygon);
         }
-        shape.userData.dimensions.buildingHeight = height;
-        shape.userData.type = type;
         
-        // Apply height changes based on shape type
-        if (type === 'building' && height > 0.001) {
-            // TODO: Implement new extrusion method
-        } else {
-            // TODO: Implement new extrusion removal method
+        // Update wireframe if exists
+        if (this.selectionManager) {
+            this.selectionManager.updateWireframeTransforms(polygon);
         }
-        
-        console.log(`Height changes applied to ${shape.name}`);
     }
 
+
     /**
-     * Select shape and its extrusion after saving properties
+     * Create test circle with radius 5 and height 8
      */
-    selectShapeAndExtrusionAfterSave() {
-        if (!this.selectionManager) {
-            console.warn('Cannot select after save: selectionManager is null');
-            return;
-        }
-
-        // Get the shape name from the properties popup
-        const shapeNameElement = document.getElementById('shapeName');
-        if (!shapeNameElement) {
-            console.warn('Cannot select after save: shape name element not found');
-            return;
-        }
-
-        const shapeName = shapeNameElement.value;
-        if (!shapeName) {
-            console.warn('Cannot select after save: shape name is empty');
+    createTestCircle() {
+        console.log('Creating test circle with radius 5 and height 8...');
+        
+        if (!this.circleManager) {
+            console.error('CircleManager not available');
             return;
         }
 
-        console.log('Selecting shape and extrusion after save:', shapeName);
-
-        // Clear current selection
-        this.selectionManager.clearSelection();
+        // Create circle at center of scene
+        const circle = this.circleManager.createCircle(
+            5, // radius
+            new BABYLON.Vector3(0, 0, 0), // position at center
+            new BABYLON.Color3(0.4, 0.3, 0.2), // brown
+            8, // height
+            'ground' // type
+        );
 
-        // Check if the shape still exists in the scene
-        const scene = this.sceneManager.getScene();
-        const shapeInScene = scene.getMeshByName(shapeName);
-        
-        if (!shapeInScene) {
-            console.warn('Shape not found in scene after save:', shapeName);
-            return;
+        // Add to selection manager
+        if (this.selectionManager) {
+            this.selectionManager.addSelectableObject(circle);
         }
 
-        // Select the current shape
-        this.selectionManager.selectObject(shapeInScene, false, true); // includeExtrusion = true
+        // Add to scene
+        this.sceneManager.addBuilding(circle);
 
-        console.log('Selected objects after save:', this.selectionManager.selectedObjects.map(obj => obj.name));
+        console.log('Test circle created:', circle.name);
+        console.log('Circle position:', circle.position);
+        console.log('Circle userData:', circle.userData);
     }
 
     /**
-     * Convert hex to RGB (returns values 0-1 for Babylon.js)
+     * Initialize the object list manager
      */
-    hexToRgb(hex) {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result ? {
-            r: parseInt(result[1], 16) / 255,
-            g: parseInt(result[2], 16) / 255,
-            b: parseInt(result[3], 16) / 255
-        } : { r: 0.4, g: 0.3, b: 0.2 }; // Default brown
+    initializeObjectListManager() {
+        try {
+            this.objectListManager = new ObjectListManager(this.sceneManager, this.selectionManager, this.treeManager);
+            console.log('ObjectListManager initialized successfully');
+        } catch (error) {
+            console.error('Error initializing ObjectListManager:', error);
+        }
     }
 
+
     /**
-     * Delete selected objects
+     * Initialize scene serializer for project save/load
      */
-    deleteSelectedObjects() {
-        if (!this.selectionManager) {
-            console.log('SelectionManager not available');
-            return;
+    initializeSceneSerializer() {
+        try {
+            this.sceneSerializer = new SceneSerializer(this);
+        } catch (error) {
+            console.error('Error initializing SceneSerializer:', error);
         }
+    }
 
-        const selectedObjects = this.selectionManager.getSelectedObjects();
-        if (selectedObjects.length === 0) {
-            console.log('No objects selected to delete');
-            return;
+    /**
+     * Initialize GLB export/import
+     */
+    initializeGLBManager() {
+        try {
+            this.glbManager = new GLBManager(this);
+        } catch (error) {
+            console.error('Error initializing GLBManager:', error);
         }
-
-        console.log(`Deleting ${selectedObjects.length} selected objects`);
-
-        // Delete each selected object
-        selectedObjects.forEach(obj => {
-            if (obj && obj.dispose) {
-                // Check if it's a tree
-                if (this.treeManager && this.isTree(obj)) {
-                    // Find the tree object in the tree manager
-                    const tree = this.treeManager.trees.find(t => t.parent === obj);
-                    if (tree) {
-                        this.treeManager.removeTree(tree);
-                    } else {
-                        // Fallback: just dispose the object
-                        obj.dispose();
-                    }
-                }
-                // Check if it's a 2D shape
-                else if (this.shape2DManager && this.is2DShape(obj)) {
-                    this.shape2DManager.removeShape(obj);
-                } 
-                // Check if it's a polygon
-                else if (this.polygonManager && this.isPolygon(obj)) {
-                    // For now, just dispose the polygon object
-                    // TODO: Add proper polygon removal method to PolygonManager
-                    obj.dispose();
-                }
-                else {
-                    // It's a 3D building or other object
-                    obj.dispose();
-                }
-                console.log(`Deleted object: ${obj.name}`);
-            }
-        });
-
-        // Clear selection after deletion
-        this.selectionManager.clearSelection();
-        
-        // Dispatch event to update object list
-        this.dispatchSceneChangeEvent();
-        
-        console.log('Selected objects deleted and selection cleared');
     }
 
     /**
-     * Check if object is a 2D shape
+     * Initialize the geographic origin and the GeoJSON/OSM importers that project around it
      */
-    is2DShape(obj) {
-        if (!obj || !obj.name) return false;
-        
-        const shapeNames = ['rectangle', 'circle', 'triangle', 'text', 'polyline', 'line'];
-        return shapeNames.some(name => obj.name.includes(name));
+    initializeGeoReference() {
+        try {
+            this.geoReference = new GeoReference();
+            this.geoJSONManager = new GeoJSONManager(this);
+            this.osmImporter = new OSMImporter(this.geoJSONManager);
+        } catch (error) {
+            console.error('Error initializing GeoReference:', error);
+        }
     }
 
     /**
-     * Check if object is a tree
+     * Initialize CityJSON export
      */
-    isTree(obj) {
-        if (!obj || !obj.name) return false;
-        
-        return obj.name.startsWith('tree_') || 
-               obj.name.includes('_tree_') || 
-               obj.name.startsWith('simple_tree_');
+    initializeCityJSONExporter() {
+        if (!this.geoJSONManager) return;
+
+        try {
+            this.cityJSONExporter = new CityJSONExporter(this);
+        } catch (error) {
+            console.error('Error initializing CityJSONExporter:', error);
+        }
     }
 
     /**
-     * Check if object is a polygon
+     * Initialize the shadow study timeline
      */
-    isPolygon(obj) {
-        if (!obj || !obj.name) return false;
-        
-        return obj.name.includes('polygon');
+    initializeShadowStudyManager() {
+        if (!this.lightingManager || !this.lightingManager.solarCalculator) return;
+
+        try {
+            this.shadowStudyManager = new ShadowStudyManager(this);
+        } catch (error) {
+            console.error('Error initializing ShadowStudyManager:', error);
+        }
     }
 
     /**
-     * Clear all 2D shapes
+     * Initialize the sun hours heatmap analysis
      */
-    clear2DShapes() {
-        // Clear rectangles
-        if (this.rectangleManager) {
-            this.rectangleManager.clearAllRectangles();
-        }
-        
-        // Clear circles
-        if (this.circleManager) {
-            this.circleManager.clearAllCircles();
-        }
-        
-        // Clear polygons
-        if (this.polygonManager) {
-            this.polygonManager.clearAllPolygons();
-        }
-        
-        // Clear other shapes from shape2DManager if it exists
-        if (this.shape2DManager) {
-            this.shape2DManager.clearAllShapes();
+    initializeSunHoursAnalyzer() {
+        if (!this.geoJSONManager || !this.lightingManager || !this.lightingManager.solarCalculator) return;
+
+        try {
+            this.sunHoursAnalyzer = new SunHoursAnalyzer(this);
+        } catch (error) {
+            console.error('Error initializing SunHoursAnalyzer:', error);
         }
-        
-        console.log('All 2D shapes cleared');
     }
 
     /**
-     * Dispose of UI manager
+     * Paint sun hours for the sun settings date on the ground and the selected polygons
      */
-    dispose() {
-        if (this.statsInterval) {
-            clearInterval(this.statsInterval);
+    async runSunHoursAnalysis() {
+        if (!this.sunHoursAnalyzer) {
+            alert('Sun hours analysis is not available.');
+            return;
+        }
+
+        try {
+            await this.sunHoursAnalyzer.run();
+        } catch (error) {
+            console.error('Error running sun hours analysis:', error);
+            alert('Error running sun hours analysis: ' + error.message);
         }
     }
 
     /**
-     * Update circle in real-time based on popup values
+     * Initialize the roof and facade irradiance analysis
      */
-    updateCircleInRealTime() {
-        if (!this.currentShape) return;
-
-        // Get current values from popup
-        const type = document.getElementById('circleType').value;
-        const color = document.getElementById('circleColor').value;
-        
-        // Get diameter value (same for all types)
-        const diameter = Math.max(parseFloat(document.getElementById('circleDiameter').value) || 1.0, 0.1);
-        const diameterTop = diameter;
-        const diameterBottom = diameter;
-        
-        // Get height value (always available for circles)
-        const height = Math.max(parseFloat(document.getElementById('circleHeight').value) || 0.1, 0.1);
-        
-        // Round to 2 decimal places
-        const roundedDiameterTop = Math.round(diameterTop * 100) / 100;
-        const roundedDiameterBottom = Math.round(diameterBottom * 100) / 100;
-        const roundedHeight = Math.round(height * 100) / 100;
-        
-        console.log('Updating circle with:', { type, diameterTop: roundedDiameterTop, diameterBottom: roundedDiameterBottom, height: roundedHeight });
+    initializeIrradianceCalculator() {
+        if (!this.sunHoursAnalyzer) return;
 
-        // Use the color selected by user (from color picker)
-        const rgbColor = this.hexToRgb(color);
-        const newColor = new BABYLON.Color3(rgbColor.r, rgbColor.g, rgbColor.b);
-        
-        // Update material color immediately for visual feedback
-        if (this.currentShape.material && this.currentShape.material.diffuseColor) {
-            this.currentShape.material.diffuseColor = newColor;
+        try {
+            this.irradianceCalculator = new IrradianceCalculator(this);
+        } catch (error) {
+            console.error('Error initializing IrradianceCalculator:', error);
         }
+    }
 
-        // Check if type actually changed before updating userData
-        const currentType = this.currentShape.userData.type;
-        const typeChanged = currentType !== type;
-        
-        // Update userData
-        this.currentShape.userData.type = type;
-        this.currentShape.userData.shapeType = type === 'building' ? 'building' : 'circle';
-        
-        // Only generate new name if type actually changed
-        if (typeChanged) {
-            const newName = this.generateUniqueNameByType(type);
-            this.currentShape.name = newName;
-            document.getElementById('circleName').value = newName;
+    /**
+     * Estimate roof and facade irradiance for the selected buildings, or all buildings
+     */
+    async runIrradianceAnalysis() {
+        if (!this.irradianceCalculator) {
+            alert('Irradiance analysis is not available.');
+            return;
         }
-        
-        // Update circle geometry
-        const newCircle = this.circleManager.updateCircle(this.currentShape, roundedDiameterTop, roundedDiameterBottom, roundedHeight);
-        if (newCircle) {
-            this.currentShape = newCircle;
-            // Update dimensions in userData
-            this.currentShape.userData.dimensions.diameterTop = roundedDiameterTop;
-            this.currentShape.userData.dimensions.diameterBottom = roundedDiameterBottom;
-            this.currentShape.userData.dimensions.height = roundedHeight;
-            console.log('Circle updated successfully, userData:', this.currentShape.userData);
+
+        try {
+            await this.irradianceCalculator.run();
+        } catch (error) {
+            console.error('Error running irradiance analysis:', error);
+            alert('Error running irradiance analysis: ' + error.message);
         }
     }
 
     /**
-     * Save circle properties
+     * Fill the irradiance tables of the properties popups for a shape (hidden when not analysed)
      */
-    saveCircleProperties() {
-        if (!this.currentShape) return;
+    updateIrradianceTables(shape) {
+        const rows = this.irradianceCalculator ? this.irradianceCalculator.getResult(shape) : null;
 
-        // Apply all changes
-        this.updateCircleInRealTime();
+        ['shapeIrradiance', 'circleIrradiance', 'polygonIrradiance'].forEach(id => {
+            const container = document.getElementById(id);
+            if (!container) return;
 
-        // Dispatch event to update object list
-        this.dispatchSceneChangeEvent();
+            if (!rows || rows.length === 0) {
+                container.style.display = 'none';
+                container.innerHTML = '';
+                return;
+            }
+
+            const body = rows.map(row => `
+                <tr>
+                    <td>${row.label}</td>
+                    <td>${row.area.toFixed(0)}</td>
+                    <td>${row.kwhPerSquareMetre.toFixed(0)}</td>
+                    <td>${Math.round(row.kwh).toLocaleString()}</td>
+                </tr>`).join('');
+            container.innerHTML = `
+                <label>Irradiance (${this.irradianceCalculator.getPeriodLabel()}):</label>
+                <table>
+                    <thead><tr><th>Surface</th><th>m²</th><th>kWh/m²</th><th>kWh</th></tr></thead>
+                    <tbody>${body}</tbody>
+                </table>`;
+            container.style.display = 'block';
+        });
     }
 
     /**
-     * Show polygon properties popup
+     * Initialize building area/volume/floor metrics and refresh them while a properties popup is edited
      */
-    showPolygonPropertiesPopup(polygon) {
-        this.currentShape = polygon;
-        this.currentPolygon = polygon; // Store polygon reference for name validation
-        
-        // Store original values for cancel functionality
-        const type = polygon.userData?.type || 'ground';
-        const color = this.getShapeColor(polygon);
-        
-        // Store original values in userData
-        polygon.userData.originalName = polygon.name;
-        polygon.userData.originalType = type;
-        polygon.userData.originalColor = color;
-        
-        // Set type
-        document.getElementById('polygonType').value = type;
-        
-        // Use current polygon name (don't generate new name)
-        document.getElementById('polygonName').value = polygon.name;
-        
-        // Set color
-        document.getElementById('polygonColor').value = color;
-        
-        // Show/hide height field based on type
-        const heightGroup = document.getElementById('polygonHeightGroup');
-        if (type === 'building') {
-            heightGroup.style.display = 'block';
-            // Set current height for building
-            const currentHeight = polygon.userData?.currentHeight || 1;
-            document.getElementById('polygonHeight').value = currentHeight;
-        } else {
-            heightGroup.style.display = 'none';
+    initializeBuildingMetrics() {
+        if (!this.geoJSONManager) return;
+
+        try {
+            this.buildingMetrics = new BuildingMetrics(this);
+        } catch (error) {
+            console.error('Error initializing BuildingMetrics:', error);
+            return;
         }
-        
-        // Set triangle count
-        const triangleCount = this.getPolygonTriangleCount(polygon);
-        document.getElementById('polygonTriangles').value = triangleCount;
-        
-        // Show popup
-        document.getElementById('polygonPropertiesPopup').classList.add('show');
+
+        ['propertiesPopup', 'circlePropertiesPopup', 'polygonPropertiesPopup'].forEach(id => {
+            const popup = document.getElementById(id);
+            if (!popup) return;
+            // Wait for the popup's own handlers to resize the mesh before measuring it
+            const refresh = () => setTimeout(() => this.updateBuildingMetricsTables(this.currentShape), 0);
+            popup.addEventListener('input', refresh);
+            popup.addEventListener('change', refresh);
+        });
     }
 
     /**
-     * Get triangle count for polygon
+     * Fill the building metrics of the properties popups for a shape (hidden for non-buildings)
      */
-    getPolygonTriangleCount(polygon) {
-        if (!polygon || !polygon.userData || !polygon.userData.points) {
-            return '0';
-        }
-        
-        const points = polygon.userData.points;
-        if (points.length < 3) {
-            return '0';
-        }
-        
-        // For simple polygons, triangle count = vertices - 2
-        // For complex polygons with holes, it's more complex
-        const vertexCount = points.length;
-        const triangleCount = vertexCount - 2;
-        
-        return triangleCount.toString();
+    updateBuildingMetricsTables(shape) {
+        const metrics = this.buildingMetrics && shape ? this.buildingMetrics.getMetrics(shape) : null;
+
+        ['shapeMetrics', 'circleMetrics', 'polygonMetrics'].forEach(id => {
+            const container = document.getElementById(id);
+            if (!container) return;
+
+            if (!metrics) {
+                container.style.display = 'none';
+                container.innerHTML = '';
+                return;
+            }
+
+            container.innerHTML = `
+                <label>Building Metrics:</label>
+                <table>
+                    <tbody>
+                        <tr><td>Footprint</td><td>${metrics.footprintArea.toFixed(1)} m²</td></tr>
+                        <tr><td>Volume</td><td>${metrics.volume.toFixed(0)} m³</td></tr>
+                        <tr><td>Floors (${this.buildingMetrics.floorHeight} m)</td><td>${metrics.floors}</td></tr>
+                        <tr><td>Gross floor area</td><td>${metrics.grossFloorArea.toFixed(1)} m²</td></tr>
+                    </tbody>
+                </table>`;
+            container.style.display = 'block';
+        });
     }
 
     /**
-     * Hide polygon properties popup
+     * Initialize the zoning rule checker
      */
-    hidePolygonPropertiesPopup() {
-        document.getElementById('polygonPropertiesPopup').classList.remove('show');
-        this.currentShape = null;
+    initializeZoningChecker() {
+        if (!this.buildingMetrics) return;
+
+        try {
+            this.zoningChecker = new ZoningChecker(this);
+        } catch (error) {
+            console.error('Error initializing ZoningChecker:', error);
+        }
     }
 
     /**
-     * Save polygon properties
+     * Open the zoning rules of the selected parcel
      */
-    savePolygonProperties() {
-        if (!this.currentShape) return;
-
-        // Get values from popup
-        const name = document.getElementById('polygonName').value.trim();
-        const type = document.getElementById('polygonType').value;
-        const color = document.getElementById('polygonColor').value;
-        
-        // Validate name (should already be validated by blur event, but double-check)
-        if (!name || name === '') {
-            console.warn('Cannot save polygon properties: name is empty');
+    openZoningChecker() {
+        if (!this.zoningChecker) {
+            alert('Zoning checker is not available.');
             return;
         }
-        
-        // Check if name is unique (should already be validated, but double-check)
-        if (!this.isNameUnique(name, this.currentShape)) {
-            console.warn('Cannot save polygon properties: name is duplicate');
-            return;
-        }
-        
-        // Get height only for building type
-        let height = undefined;
-        if (type === 'building') {
-            height = parseFloat(document.getElementById('polygonHeight').value) || 1;
-        }
 
-        // Update polygon name (only if it changed)
-        if (this.currentShape.name !== name) {
-            this.currentShape.name = name;
-            // Also update extrusion name if exists
-            if (this.currentShape.extrusion) {
-                this.currentShape.extrusion.name = `${name}_extrusion`;
-            }
+        try {
+            this.zoningChecker.open();
+        } catch (error) {
+            console.error('Error checking zoning:', error);
+            alert(error.message);
         }
+    }
 
-        // Update polygon properties
-        this.updatePolygonProperties(this.currentShape, {
-            type: type,
-            color: color,
-            height: height
-        });
+    /**
+     * Initialize filling of drawn areas with generated buildings and trees
+     */
+    initializeAreaFiller() {
+        if (!this.buildingMetrics) return;
 
-        // Dispatch event to update object list
-        this.dispatchSceneChangeEvent();
+        try {
+            this.areaFiller = new AreaFiller(this);
+        } catch (error) {
+            console.error('Error initializing AreaFiller:', error);
+        }
     }
 
     /**
-     * Save tree properties
+     * Open the fill settings for the selected area
      */
-    saveTreeProperties() {
-        if (!this.currentShape) return;
-
-        console.log('Saving tree properties');
-        
-        // Get scale value from input
-        const scaleValue = parseFloat(document.getElementById('treeScale').value);
-        
-        // Validate scale value
-        if (scaleValue < 1) {
-            alert('Scale must be at least 1.0');
+    openAreaFiller() {
+        if (!this.areaFiller) {
+            alert('Area filling is not available.');
             return;
         }
-        
-        // Apply scaling to the tree
-        this.currentShape.scaling = new BABYLON.Vector3(scaleValue, scaleValue, scaleValue);
-        
-        // Update wireframes if they exist
-        if (this.selectionManager) {
-            this.selectionManager.updateWireframeTransforms(this.currentShape);
+
+        try {
+            this.areaFiller.open();
+        } catch (error) {
+            console.error('Error opening area fill:', error);
+            alert(error.message);
         }
-        
-        // Dispatch event to update object list
-        this.dispatchSceneChangeEvent();
     }
 
     /**
-     * Update tree scale in real-time
+     * Fill the area open in the fill panel and report what was placed
      */
-    updateTreeScaleInRealTime(scaleValue) {
-        if (!this.currentShape) return;
-        
-        // Validate scale value
-        if (scaleValue < 1) {
-            return; // Don't update if below minimum
-        }
-        
-        // Apply scaling to the tree
-        this.currentShape.scaling = new BABYLON.Vector3(scaleValue, scaleValue, scaleValue);
-        
-        // Update wireframes if they exist
-        if (this.selectionManager) {
-            this.selectionManager.updateWireframeTransforms(this.currentShape);
+    fillSelectedArea() {
+        try {
+            this.areaFiller.readSettings();
+            const result = this.areaFiller.fill();
+            this.areaFiller.showSummary(result);
+        } catch (error) {
+            console.error('Error filling area:', error);
+            alert(error.message);
         }
     }
 
-
-
     /**
-     * Get the desired base Y position for a polygon (stores it if missing)
+     * Initialize pitched roofs and wire the roof fields of the building properties popups
      */
-    getPolygonBaseWorldY(polygon) {
-        if (!polygon) return 0;
+    initializeRoofManager() {
+        if (!this.geoJSONManager) return;
 
-        polygon.computeWorldMatrix(true);
-        const boundingInfo = polygon.getBoundingInfo();
-        if (!boundingInfo || !boundingInfo.boundingBox) {
-            return 0;
+        try {
+            this.roofManager = new RoofManager(this.sceneManager.getScene(), this);
+        } catch (error) {
+            console.error('Error initializing RoofManager:', error);
+            return;
         }
 
-        const rawMinY = boundingInfo.boundingBox.minimumWorld.y;
-        const normalizedMinY = Math.abs(rawMinY) < 0.0001 ? 0 : rawMinY;
+        [
+            { prefix: 'shape', popup: 'propertiesPopup' },
+            { prefix: 'circle', popup: 'circlePropertiesPopup' },
+            { prefix: 'polygon', popup: 'polygonPropertiesPopup' }
+        ].forEach(({ prefix, popup }) => {
+            const typeSelect = document.getElementById(`${prefix}RoofType`);
+            const heightInput = document.getElementById(`${prefix}RoofHeight`);
+            const pitchInput = document.getElementById(`${prefix}RoofPitch`);
+            const popupElement = document.getElementById(popup);
+            if (!typeSelect || !heightInput || !pitchInput || !popupElement) return;
+
+            typeSelect.addEventListener('change', () => {
+                if (!this.currentShape) return;
+                const notice = this.roofManager.getRoofNotice(this.currentShape, typeSelect.value);
+                this.roofManager.setRoof(this.currentShape, typeSelect.value);
+                this.updateRoofFields(this.currentShape, notice);
+            });
 
-        const userData = polygon.userData = polygon.userData || {};
-        const previousBaseY = userData.baseY;
+            heightInput.addEventListener('input', () => {
+                const height = parseFloat(heightInput.value);
+                const roof = this.roofManager.getRoof(this.currentShape);
+                if (!this.currentShape || roof.type === 'flat' || isNaN(height) || height <= 0) return;
+                this.roofManager.setRoof(this.currentShape, roof.type, height);
+                pitchInput.value = this.roofManager.getPitch(this.currentShape).toFixed(0);
+            });
 
-        if (previousBaseY === undefined || Math.abs(previousBaseY - normalizedMinY) > 0.0001) {
-            userData.baseY = normalizedMinY;
-        }
+            pitchInput.addEventListener('input', () => {
+                const pitch = parseFloat(pitchInput.value);
+                const roof = this.roofManager.getRoof(this.currentShape);
+                if (!this.currentShape || roof.type === 'flat' || isNaN(pitch)) return;
+                const height = this.roofManager.getHeightForPitch(this.currentShape, roof.type, pitch);
+                this.roofManager.setRoof(this.currentShape, roof.type, height);
+                heightInput.value = this.roofManager.getRoof(this.currentShape).height;
+            });
 
-        return userData.baseY;
+            // Type and size edits may rebuild the mesh or turn it into a non-building
+            popupElement.addEventListener('change', (event) => {
+                if (event.target === typeSelect || event.target === heightInput || event.target === pitchInput) return;
+                setTimeout(() => {
+                    if (!this.currentShape) return;
+                    if (this.volumeManager) {
+                        this.volumeManager.syncVolumes(this.currentShape);
+                    }
+                    this.roofManager.syncRoof(this.currentShape);
+                    this.updateRoofFields(this.currentShape);
+                }, 0);
+            });
+        });
     }
 
     /**
-     * Realign a polygon so its base stays anchored at the specified world Y level
+     * Fill the roof fields of the properties popups for a shape (hidden for non-buildings)
+     * @param {string|null} notice - Why the chosen roof type could not be built, shown under the fields
      */
-    realignPolygonBase(polygon, baseY) {
-        if (!polygon) return;
+    updateRoofFields(shape, notice = null) {
+        const isBuilding = !!(this.roofManager && shape && shape.userData && shape.userData.type === 'building');
+        const roof = isBuilding ? this.roofManager.getRoof(shape) : null;
 
-        polygon.computeWorldMatrix(true);
-        const boundingInfo = polygon.getBoundingInfo();
-        if (!boundingInfo || !boundingInfo.boundingBox) {
-            return;
-        }
+        ['shape', 'circle', 'polygon'].forEach(prefix => {
+            const container = document.getElementById(`${prefix}RoofFields`);
+            if (!container) return;
+            container.style.display = isBuilding ? 'block' : 'none';
+            if (!isBuilding) return;
 
-        const minWorldY = boundingInfo.boundingBox.minimumWorld.y;
-        const normalizedMinY = Math.abs(minWorldY) < 0.0001 ? 0 : minWorldY;
-        const normalizedBaseY = Math.abs(baseY) < 0.0001 ? 0 : baseY;
-        const deltaY = normalizedBaseY - normalizedMinY;
+            const flat = roof.type === 'flat';
+            document.getElementById(`${prefix}RoofType`).value = roof.type;
+            document.getElementById(`${prefix}RoofHeight`).value = roof.height;
+            document.getElementById(`${prefix}RoofHeight`).disabled = flat;
+            document.getElementById(`${prefix}RoofPitch`).value = flat ? this.roofManager.defaultPitch : this.roofManager.getPitch(shape).toFixed(0);
+            document.getElementById(`${prefix}RoofPitch`).disabled = flat;
 
-        if (Math.abs(deltaY) > 0.0001) {
-            polygon.position.y += deltaY;
-            polygon.computeWorldMatrix(true);
-        }
+            const noticeElement = document.getElementById(`${prefix}RoofNotice`);
+            if (noticeElement) {
+                noticeElement.textContent = notice || '';
+                noticeElement.style.display = notice ? 'block' : 'none';
+            }
+        });
+    }
 
-        polygon.userData = polygon.userData || {};
-        polygon.userData.baseY = baseY;
+    /**
+     * Initialize stacked building volumes and wire the volume tables of the building properties popups
+     */
+    initializeVolumeManager() {
+        if (!this.roofManager) return;
 
-        if (this.selectionManager) {
-            this.selectionManager.updateWireframeTransforms(polygon);
+        try {
+            this.volumeManager = new VolumeManager(this.sceneManager.getScene(), this);
+        } catch (error) {
+            console.error('Error initializing VolumeManager:', error);
+            return;
         }
-    }
 
+        ['shape', 'circle', 'polygon'].forEach(prefix => {
+            const container = document.getElementById(`${prefix}VolumeFields`);
+            if (!container) return;
+
+            container.addEventListener('change', (event) => {
+                const input = event.target.closest('[data-volume-key]');
+                if (!input || !this.currentShape) return;
+                const index = parseInt(input.getAttribute('data-volume-index'), 10);
+                this.editVolumes(() => this.volumeManager.updateVolume(this.currentShape, index, input.getAttribute('data-volume-key'), input.value));
+            });
 
+            container.addEventListener('click', (event) => {
+                const button = event.target.closest('[data-volume-action]');
+                if (!button || !this.currentShape) return;
+                if (button.getAttribute('data-volume-action') === 'add') {
+                    this.editVolumes(() => this.volumeManager.addVolume(this.currentShape));
+                } else {
+                    const index = parseInt(button.getAttribute('data-volume-index'), 10);
+                    this.editVolumes(() => this.volumeManager.removeVolume(this.currentShape, index));
+                }
+            });
+        });
+    }
 
     /**
-     * Update polygon properties
+     * Apply a volume edit to the shape in the properties popup; a rejected edit is reported and the table reset
      */
-    updatePolygonProperties(polygon, properties) {
-        // Update userData
-        polygon.userData = polygon.userData || {};
-        polygon.userData.type = properties.type;
-
-        // Update material color and type
-        if (polygon.material) {
-            // If color is provided from color picker, use it; otherwise use standardized color by type
-            if (properties.color && properties.color !== '#000000') {
-                const color = this.hexToRgb(properties.color);
-                polygon.material.diffuseColor = new BABYLON.Color3(color.r, color.g, color.b);
-            } else {
-                // Use standardized color by type for consistency
-                this.updatePolygonMaterialColorByType(polygon, properties.type);
-            }
-        }
-        
-        // Update height if provided (for building type)
-        if (properties.height !== undefined && properties.type === 'building') {
-            const originalHeight = polygon.userData?.originalHeight || 0.05;
-            const scaleFactor = properties.height / originalHeight;
-            const baseY = this.getPolygonBaseWorldY(polygon);
-            
-            polygon.scaling.y = scaleFactor;
-            this.realignPolygonBase(polygon, baseY);
-            polygon.userData.currentHeight = properties.height;
+    editVolumes(change) {
+        try {
+            change();
+        } catch (error) {
+            alert(error.message);
         }
-
-        console.log('Updated polygon properties:', properties);
+        this.updateVolumeFields(this.currentShape);
+        this.updateBuildingMetricsTables(this.currentShape);
+        this.dispatchSceneChangeEvent();
     }
 
     /**
-     * Generate unique polygon name based on type
+     * Fill the stacked volume tables of the properties popups for a shape (hidden for non-buildings)
      */
-    generateUniquePolygonName(type) {
-        const scene = this.sceneManager.getScene();
-        const existingNames = new Set();
-        
-        // Collect all existing polygon names
-        scene.meshes.forEach(mesh => {
-            if (mesh.name && mesh.name.startsWith(type + '_')) {
-                existingNames.add(mesh.name);
+    updateVolumeFields(shape) {
+        const canHaveVolumes = !!(this.volumeManager && shape && this.volumeManager.canHaveVolumes(shape));
+        const volumes = canHaveVolumes ? this.volumeManager.getVolumes(shape) : [];
+        const cell = (volume, index, key, min) => `
+            <td><input type="number" step="0.1"${min !== null ? ` min="${min}"` : ''} value="${volume[key]}"
+                data-volume-index="${index}" data-volume-key="${key}"></td>`;
+
+        ['shape', 'circle', 'polygon'].forEach(prefix => {
+            const container = document.getElementById(`${prefix}VolumeFields`);
+            if (!container) return;
+            container.style.display = canHaveVolumes ? 'block' : 'none';
+            if (!canHaveVolumes) {
+                container.innerHTML = '';
+                return;
             }
+
+            container.innerHTML = `
+                <label>Stacked Volumes:</label>
+                <table>
+                    <thead>
+                        <tr>
+                            <th title="Volume 1 is the building itself">#</th>
+                            <th title="Inset from the volume below (m)">Setback</th>
+                            <th title="Shift along the building's own X axis (m)">Offset X</th>
+                            <th title="Shift along the building's own Z axis (m)">Offset Z</th>
+                            <th>Height</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${volumes.map((volume, index) => `
+                            <tr>
+                                <td>${index + 2}</td>
+                                ${cell(volume, index, 'setback', 0)}
+                                ${cell(volume, index, 'offsetX', null)}
+                                ${cell(volume, index, 'offsetZ', null)}
+                                ${cell(volume, index, 'height', this.volumeManager.minHeight)}
+                                <td><button class="btn btn-small" data-volume-action="remove" data-volume-index="${index}" title="Remove this volume">×</button></td>
+                            </tr>`).join('')}
+                    </tbody>
+                </table>
+                <button class="btn btn-small" data-volume-action="add" title="Stack a volume on top, set back from the current top">Add Volume</button>`;
         });
-        
-        // Find the next available number
-        let counter = 1;
-        let newName;
-        do {
-            newName = `${type}_${counter}`;
-            counter++;
-        } while (existingNames.has(newName));
-        
-        return newName;
     }
 
     /**
-     * Update polygon color picker based on type
+     * Initialize the measure tool
      */
-    updatePolygonColorByType(type) {
-        // Use the central color function for consistency
-        const colorHex = this.getHexColorByType(type);
-        
-        // Update color picker
-        document.getElementById('polygonColor').value = colorHex;
+    initializeMeasureManager() {
+        try {
+            this.measureManager = new MeasureManager(this.sceneManager.getScene(), this.sceneManager, this);
+        } catch (error) {
+            console.error('Error initializing MeasureManager:', error);
+        }
     }
 
     /**
-     * Update polygon material color based on type - Use standardized colors
+     * Initialize the polyline tool for roads, paths and rivers
      */
-    updatePolygonMaterialColorByType(polygon, type) {
-        if (!polygon.material) return;
+    initializePolylineManager() {
+        try {
+            this.polylineManager = new PolylineManager(this.sceneManager.getScene(), this.sceneManager, this);
+        } catch (error) {
+            console.error('Error initializing PolylineManager:', error);
+        }
+    }
 
-        // Use standardized color system for consistency with other drawing tools
-        const standardizedColor = this.getColorByType(type);
-        polygon.material.diffuseColor = standardizedColor;
+    /**
+     * Initialize polygon vertex editing
+    initializeVertexEditManager() {
+        try {
+            this.vertexEditManager = new VertexEditManager(this.sceneManager.getScene(), this.sceneManager, this);
+        } catch (error) {
+            console.error('Error initializing VertexEditManager:', error);
+        }
     }
 
     /**
-     * Update polygon material based on type - Use standardized colors
+     * Set the geographic origin and show it in the preferences window
      */
-    updatePolygonMaterialByType(polygon, type) {
-        if (!polygon.material) return;
+    setGeoOrigin(latitude, longitude) {
+        if (!this.geoReference || !this.geoReference.setOrigin(latitude, longitude)) return false;
 
-        // Update color using standardized system
-        this.updatePolygonMaterialColorByType(polygon, type);
+        const latInput = document.getElementById('originLatitudePref');
+        const lonInput = document.getElementById('originLongitudePref');
+        if (latInput) latInput.value = this.geoReference.latitude.toFixed(6);
+        if (lonInput) lonInput.value = this.geoReference.longitude.toFixed(6);
 
-        // Set height automatically based on type
-        let targetHeight;
-        if (type === 'building') {
-            targetHeight = 1; // Building height (scale 1)
-        } else {
-            targetHeight = 0.1; // Default height for other types
+        if (this.shadowStudyManager && this.shadowStudyManager.isVisible()) {
+            this.shadowStudyManager.updateDay();
         }
+        this.applySolarPosition();
+        return true;
+    }
 
-        // Update height using scaling method
-        const originalHeight = polygon.userData?.originalHeight || 0.1;
-        const scaleFactor = targetHeight / originalHeight;
-        
-        const baseY = this.getPolygonBaseWorldY(polygon);
-        polygon.scaling.y = scaleFactor;
-        this.realignPolygonBase(polygon, baseY);
-        
-        // Update userData
-        polygon.userData.currentHeight = targetHeight;
-
-        // Material settings are now normal since bottom faces are removed
-
-        // Update shadows for the polygon
-        if (this.lightingManager) {
-            this.lightingManager.addShadowCaster(polygon);
-            this.lightingManager.addShadowReceiver(polygon);
-        }
-        
-        // Update wireframe if exists
-        if (this.selectionManager) {
-            this.selectionManager.updateWireframeTransforms(polygon);
-        }
+    /**
+     * Default sun settings: today at noon in the browser's time zone, not driving the light
+     */
+    getDefaultSolarSettings() {
+        const now = new Date();
+        const pad = (value) => String(value).padStart(2, '0');
+        return {
+            enabled: false,
+            date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+            time: '12:00',
+            utcOffset: -now.getTimezoneOffset() / 60
+        };
     }
 
+    /**
+     * Location used for the sun: the geographic origin, or the lighting default when none is set
+     */
+    getSolarLocation() {
+        const origin = this.geoReference ? this.geoReference.getOrigin() : null;
+        return origin || Object.assign({}, this.lightingManager.defaultSolarLocation);
+    }
 
     /**
-     * Create test circle with radius 5 and height 8
+     * Move the sun light to the solar position for the current settings and geographic origin
      */
-    createTestCircle() {
-        console.log('Creating test circle with radius 5 and height 8...');
-        
-        if (!this.circleManager) {
-            console.error('CircleManager not available');
-            return;
+    applySolarPosition() {
+        const readout = document.getElementById('sunPositionValuePref');
+        if (!this.solarSettings.enabled || !this.lightingManager || !this.lightingManager.solarCalculator) {
+            if (readout) readout.textContent = '-';
+            return null;
         }
 
-        // Create circle at center of scene
-        const circle = this.circleManager.createCircle(
-            5, // radius
-            new BABYLON.Vector3(0, 0, 0), // position at center
-            new BABYLON.Color3(0.4, 0.3, 0.2), // brown
-            8, // height
-            'ground' // type
-        );
-
-        // Add to selection manager
-        if (this.selectionManager) {
-            this.selectionManager.addSelectableObject(circle);
+        const settings = this.solarSettings;
+        const date = this.lightingManager.solarCalculator.toUTCDate(settings.date, settings.time, settings.utcOffset);
+        if (isNaN(date.getTime())) {
+            console.warn(`Invalid sun date/time: ${settings.date} ${settings.time}`);
+            return null;
         }
 
-        // Add to scene
-        this.sceneManager.addBuilding(circle);
+        const location = this.getSolarLocation();
+        const sun = this.lightingManager.updateSunForLocation(date, location.latitude, location.longitude);
 
-        console.log('Test circle created:', circle.name);
-        console.log('Circle position:', circle.position);
-        console.log('Circle userData:', circle.userData);
+        const light = this.lightingManager.directionalLight;
+        this.updateLightDirectionXDisplay(light.direction.x);
+        this.updateLightDirectionYDisplay(light.direction.y);
+        this.updateLightDirectionZDisplay(light.direction.z);
+        this.updateLightPositionXDisplay(light.position.x);
+        this.updateLightPositionYDisplay(light.position.y);
+        this.updateLightPositionZDisplay(light.position.z);
+        this.updateLightIntensityDisplay(light.intensity);
+
+        if (readout) {
+            readout.textContent = sun.elevation > 0
+                ? `Az ${sun.azimuth.toFixed(1)}°, El ${sun.elevation.toFixed(1)}°`
+                : `Below horizon (El ${sun.elevation.toFixed(1)}°)`;
+        }
+        return sun;
     }
 
     /**
-     * Initialize the object list manager
+     * Initialize undo/redo history and hook it into the transform gizmos
      */
-    initializeObjectListManager() {
+    initializeHistoryManager() {
+        if (!this.sceneSerializer) return;
+
         try {
-            this.objectListManager = new ObjectListManager(this.sceneManager, this.selectionManager, this.treeManager);
-            console.log('ObjectListManager initialized successfully');
+            this.historyManager = new HistoryManager(this.sceneSerializer, this.selectionManager, 50);
         } catch (error) {
-            console.error('Error initializing ObjectListManager:', error);
+            console.error('Error initializing HistoryManager:', error);
+            return;
         }
+
+        const hookTransformManager = (manager, label) => {
+            if (!manager) return;
+            manager.onDragStarted = (objects) => {
+                this.pendingTransform = this.historyManager.captureTransforms(objects);
+            };
+            manager.onDragEnded = () => {
+                if (this.pendingTransform) {
+                    this.historyManager.recordTransform(this.pendingTransform, label);
+                    this.pendingTransform = null;
+                }
+            };
+        };
+        hookTransformManager(this.moveManager, 'Move');
+        hookTransformManager(this.rotateManager, 'Rotate');
+        hookTransformManager(this.scaleManager, 'Scale');
+    }
+
+    /**
+     * Remember an object's state when its properties popup opens
+     */
+    beginPropertyEdit(shape) {
+        if (!this.historyManager || this.historyManager.isApplying || !shape) return;
+
+        this.propertyEditSession = {
+            shape: shape,
+            before: this.sceneSerializer.snapshot([shape])
+        };
     }
 
+    /**
+     * Record the properties popup edit as one undo step, if anything changed
+     * Popups apply changes live, so the whole session becomes a single command
+     */
+    commitPropertyEdit() {
+        const session = this.propertyEditSession;
+        this.propertyEditSession = null;
+        if (!session || !this.historyManager || this.historyManager.isApplying) return;
+
+        // Geometry edits rebuild the mesh, so prefer the popup's current shape
+        const shape = this.currentShape && !this.currentShape.isDisposed() ? this.currentShape : session.shape;
+        if (!shape || shape.isDisposed()) return;
+
+        const after = this.sceneSerializer.snapshot([shape]);
+        this.historyManager.recordChange(session.before, after, 'Edit properties');
+    }
 
     /**
      * Get the object list manager
@@ -0,0 +1,386 @@
+/**
+ * VertexEditManager - Move, insert and delete the points of a completed polygon outline or polyline centreline
+ * Meshes are rebuilt in place by their owning manager, so name, type, colour, height and width are kept
+ */
+class VertexEditManager {
+    constructor(scene, sceneManager, uiManager) {
+        this.scene = scene;
+        this.sceneManager = sceneManager;
+        this.uiManager = uiManager;
+        this.canvas = scene.getEngine().getRenderingCanvas();
+
+        this.isActive = false;
+        this.mesh = null;
+        this.owner = null; // PolygonManager or PolylineManager, which rebuilds the mesh
+        this.outline = []; // Local points, kept in step with the mesh
+        this.originalPoints = []; // World points restored on cancel
+        this.changed = false;
+        this.selectedIndex = -1; // Vertex removed by Delete
+        this.dragIndex = -1;
+        this.snapTargets = [];
+        this.handleY = 0; // Height of the handles and of the plane they are dragged on
+        this.handles = [];
+        this.outlineLine = null;
+
+        // Callbacks
+        this.onEditFinished = null; // Called with (mesh, changed) when editing ends
+        this.onEditRejected = null; // Called with a message when an edit would break the shape
+
+        this.vertexMaterial = this.createHandleMaterial('vertexHandleMaterial', new BABYLON.Color3(1, 1, 1));
+        this.selectedMaterial = this.createHandleMaterial('vertexHandleSelectedMaterial', new BABYLON.Color3(1, 0.6, 0));
+        this.midpointMaterial = this.createHandleMaterial('vertexMidpointMaterial', new BABYLON.Color3(0.2, 0.8, 1));
+        this.midpointMaterial.alpha = 0.7;
+        this.lineColor = new BABYLON.Color3(1, 0.6, 0);
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Unlit material for handles so they read the same under any sun position
+     */
+    createHandleMaterial(name, color) {
+        const material = new BABYLON.StandardMaterial(name, this.scene);
+        material.emissiveColor = color;
+        material.disableLighting = true;
+        return material;
+    }
+
+    /**
+     * Listen to canvas pointer events; they are ignored unless a shape is being edited
+     */
+    setupEventListeners() {
+        this.canvas.addEventListener('pointerdown', (event) => {
+            if (!this.isActive || event.button !== 0) return;
+
+            const pick = this.scene.pick(event.offsetX, event.offsetY, (mesh) => !!(mesh.metadata && mesh.metadata.vertexHandle));
+            if (!pick || !pick.hit) return;
+
+            const { kind, index } = pick.pickedMesh.metadata.vertexHandle;
+            if (kind === 'midpoint') {
+                // Open lines have no closing midpoint, so the wrap only applies to closed outlines
+                const next = this.outline[(index + 1) % this.outline.length];
+                const outline = this.outline.slice();
+                outline.splice(index + 1, 0, BABYLON.Vector3.Center(this.outline[index], next));
+                this.applyOutline(outline);
+                this.selectedIndex = index + 1;
+            } else {
+                this.selectedIndex = index;
+            }
+
+            this.dragIndex = this.selectedIndex;
+            this.snapTargets = this.collectSnapTargets();
+            this.uiManager.disableCameraControls();
+            this.refreshHandles();
+        });
+
+        this.canvas.addEventListener('pointermove', (event) => {
+            if (!this.isActive || this.dragIndex < 0) return;
+
+            const point = this.getPlanePoint(event.offsetX, event.offsetY);
+            if (!point) return;
+
+            const outline = this.outline.slice();
+            outline[this.dragIndex] = this.toLocal([this.snap(point)])[0];
+            // Invalid positions are skipped, so the point stays where the outline was last valid
+            if (!this.owner.validateOutline(this.mesh, outline)) {
+                this.applyOutline(outline);
+            }
+        });
+
+        this.canvas.addEventListener('pointerup', (event) => {
+            if (!this.isActive || event.button !== 0 || this.dragIndex < 0) return;
+            this.endDrag();
+        });
+    }
+
+    /**
+     * Get the manager that owns a mesh's points
+     */
+    getOwner(mesh) {
+        const polylineManager = this.uiManager.polylineManager;
+        if (polylineManager && polylineManager.isPolyline(mesh)) {
+            return polylineManager;
+        }
+        return this.uiManager.polygonManager;
+    }
+
+    /**
+     * Check whether a mesh's points can be edited
+     */
+    canEdit(mesh) {
+        const owner = this.getOwner(mesh);
+        return !!(owner && owner.canEditOutline(mesh));
+    }
+
+    /**
+     * Start editing the points of a polygon or polyline
+     * @param {BABYLON.Mesh} mesh - Drawn, imported or generated polygon, or a polyline
+     * @returns {boolean} True if editing started
+     */
+    start(mesh) {
+        if (!this.canEdit(mesh)) return false;
+        if (this.isActive) this.finish();
+
+        this.isActive = true;
+        this.mesh = mesh;
+        this.owner = this.getOwner(mesh);
+        this.changed = false;
+        this.selectedIndex = -1;
+        this.outline = this.owner.getOutline(mesh);
+        this.originalPoints = this.toWorld(this.outline);
+
+        // Clicks on handles must not select whatever lies underneath
+        if (this.uiManager.selectionManager) {
+            this.uiManager.selectionManager.suspended = true;
+        }
+        this.refreshHandles();
+        return true;
+    }
+
+    /**
+     * Keep the edited outline and leave edit mode
+     */
+    finish() {
+        if (!this.isActive) return;
+
+        const mesh = this.mesh;
+        const changed = this.changed;
+        this.stop();
+        if (this.onEditFinished) {
+            this.onEditFinished(mesh, changed);
+        }
+    }
+
+    /**
+     * Restore the points the mesh had when editing started and leave edit mode
+     */
+    cancel() {
+        if (!this.isActive) return;
+
+        if (this.changed && !this.mesh.isDisposed()) {
+            // The original world points bring the origin back to their average as well
+            this.owner.setOutline(this.mesh, this.toLocal(this.originalPoints));
+            this.updateBuildingParts(this.mesh);
+        }
+        this.changed = false;
+        this.finish();
+    }
+
+    /**
+     * Remove the selected vertex
+     * @returns {boolean} True if a vertex was removed
+     */
+    removeSelectedVertex() {
+        if (!this.isActive || this.selectedIndex < 0 || this.dragIndex >= 0) return false;
+
+        const outline = this.outline.slice();
+        outline.splice(this.selectedIndex, 1);
+        const error = this.owner.validateOutline(this.mesh, outline);
+        if (error) {
+            if (this.onEditRejected) {
+                this.onEditRejected(error);
+            }
+            return false;
+        }
+
+        this.selectedIndex = -1;
+        this.applyOutline(outline);
+        return true;
+    }
+
+    /**
+     * Drop all edit state and handles
+     */
+    stop() {
+        if (this.dragIndex >= 0) {
+            this.endDrag();
+        }
+        this.disposeHandles();
+        if (this.uiManager.selectionManager) {
+            this.uiManager.selectionManager.suspended = false;
+        }
+
+        this.isActive = false;
+        this.mesh = null;
+        this.owner = null;
+        this.outline = [];
+        this.originalPoints = [];
+        this.selectedIndex = -1;
+    }
+
+    /**
+     * Release the dragged vertex and give the camera back its controls
+     */
+    endDrag() {
+        this.dragIndex = -1;
+        this.snapTargets = [];
+        this.uiManager.enableCameraControls();
+    }
+
+    /**
+     * Rebuild the mesh from local points and move the handles to match
+     */
+    applyOutline(outline) {
+        this.owner.setOutline(this.mesh, outline);
+        this.updateBuildingParts(this.mesh);
+
+        // The mesh origin follows the average point, so re-read the local points
+        this.outline = this.owner.getOutline(this.mesh);
+        this.changed = true;
+        this.refreshHandles();
+    }
+
+    /**
+     * Fit the stacked volumes and the roof to the new footprint
+     */
+    updateBuildingParts(mesh) {
+        if (this.uiManager.volumeManager) {
+            this.uiManager.volumeManager.applyVolumes(mesh);
+        }
+        if (this.uiManager.roofManager) {
+            this.uiManager.roofManager.applyRoof(mesh);
+        }
+    }
+
+    /**
+     * Convert local points of the edited mesh to world space
+     */
+    toWorld(points) {
+        const world = this.mesh.computeWorldMatrix(true);
+        return points.map(p => BABYLON.Vector3.TransformCoordinates(new BABYLON.Vector3(p.x, 0, p.z), world));
+    }
+
+    /**
+     * Convert world points to the edited mesh's local plane
+     */
+    toLocal(points) {
+        const inverse = this.mesh.computeWorldMatrix(true).clone().invert();
+        return points.map(point => {
+            const local = BABYLON.Vector3.TransformCoordinates(new BABYLON.Vector3(point.x, 0, point.z), inverse);
+            return new BABYLON.Vector3(local.x, 0, local.z);
+        });
+    }
+
+    /**
+     * Footprint corners and centreline points of the other shapes in the scene, used as snap targets while dragging
+     */
+    collectSnapTargets() {
+        const geoJSONManager = this.uiManager.geoJSONManager;
+        const selectionManager = this.uiManager.selectionManager;
+        const polylineManager = this.uiManager.polylineManager;
+        if (!geoJSONManager || !selectionManager) return [];
+
+        const targets = [];
+        selectionManager.selectableObjects.forEach(mesh => {
+            if (mesh === this.mesh || mesh.basePolygon || mesh.isDisposed() || !mesh.isEnabled() ||
+                !mesh.userData || this.uiManager.isTree(mesh) || !this.uiManager.sceneSerializer.getGeometryKind(mesh)) {
+                return;
+            }
+            // Roads join on their centrelines rather than on their edges
+            if (polylineManager && polylineManager.isPolyline(mesh)) {
+                targets.push(...polylineManager.getWorldCentreline(mesh));
+                return;
+            }
+            const footprint = geoJSONManager.getFootprint(mesh);
+            if (footprint) {
+                targets.push(...footprint);
+            }
+        });
+        return targets;
+    }
+
+    /**
+     * Snap a world point to the closest target corner within the polygon snap distance
+     */
+    snap(point) {
+        let best = point;
+        let bestDistance = this.uiManager.polygonManager.snapDistance;
+        this.snapTargets.forEach(target => {
+            const distance = Math.hypot(target.x - point.x, target.z - point.z);
+            if (distance <= bestDistance) {
+                best = new BABYLON.Vector3(target.x, point.y, target.z);
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Intersect the pointer ray with the horizontal plane the handles sit on
+     */
+    getPlanePoint(x, y) {
+        const ray = this.scene.createPickingRay(x, y, BABYLON.Matrix.Identity(), this.scene.activeCamera);
+        const plane = BABYLON.Plane.FromPositionAndNormal(new BABYLON.Vector3(0, this.handleY, 0), BABYLON.Vector3.Up());
+        const distance = ray.intersectsPlane(plane);
+        return distance === null ? null : ray.origin.add(ray.direction.scale(distance));
+    }
+
+    /**
+     * Top of the mesh body, ignoring the roof so handles sit at the eaves
+     */
+    getTopY() {
+        const meshes = [this.mesh];
+        if (this.mesh.extrusion && !this.mesh.extrusion.isDisposed()) {
+            meshes.push(this.mesh.extrusion);
+        }
+        return Math.max(...meshes.map(mesh => {
+            mesh.computeWorldMatrix(true);
+            mesh.refreshBoundingInfo();
+            return mesh.getBoundingInfo().boundingBox.maximumWorld.y;
+        }));
+    }
+
+    /**
+     * Recreate vertex and midpoint handles and the outline line for the current points
+     */
+    refreshHandles() {
+        this.disposeHandles();
+        if (!this.mesh || this.mesh.isDisposed()) return;
+
+        if (this.dragIndex < 0) {
+            this.handleY = this.getTopY();
+        }
+        const points = this.toWorld(this.outline);
+        points.forEach(point => { point.y = this.handleY; });
+        const closed = this.owner.closedOutline;
+
+        points.forEach((point, index) => {
+            const material = index === this.selectedIndex ? this.selectedMaterial : this.vertexMaterial;
+            this.addHandle('vertex', index, point, 0.6, material);
+            // Midpoints would only get in the way of the point being dragged
+            if (this.dragIndex < 0 && (closed || index < points.length - 1)) {
+                this.addHandle('midpoint', index, BABYLON.Vector3.Center(point, points[(index + 1) % points.length]), 0.35, this.midpointMaterial);
+            }
+        });
+
+        this.outlineLine = BABYLON.MeshBuilder.CreateLines('vertex_edit_outline', { points: closed ? points.concat([points[0]]) : points }, this.scene);
+        this.outlineLine.color = this.lineColor;
+        this.outlineLine.renderingGroupId = 2;
+        this.outlineLine.isPickable = false;
+        this.outlineLine.metadata = { annotation: true };
+    }
+
+    /**
+     * Add one pickable handle drawn on top of the scene
+     */
+    addHandle(kind, index, position, diameter, material) {
+        const handle = BABYLON.MeshBuilder.CreateSphere(`vertex_${kind}_${index}`, { diameter: diameter, segments: 8 }, this.scene);
+        handle.position = position;
+        handle.material = material;
+        handle.renderingGroupId = 2;
+        handle.metadata = { annotation: true, vertexHandle: { kind: kind, index: index } };
+        this.handles.push(handle);
+    }
+
+    /**
+     * Dispose all handles and the outline line
+     */
+    disposeHandles() {
+        this.handles.forEach(handle => handle.dispose());
+        this.handles = [];
+        if (this.outlineLine) {
+            this.outlineLine.dispose();
+            this.outlineLine = null;
+        }
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ * VolumeManager - Stacked volumes on top of a building (tower on podium, wedding-cake setbacks)
+ * The building's own box, cylinder or extrusion is the lowest volume. The volumes above it live in
+ * userData.volumes as {setback, offsetX, offsetZ, height}: each footprint is the one below inset by
+ * setback and shifted by the offsets (building-local metres). They are built into one child mesh
+ * that is rebuilt from that spec whenever the building geometry is recreated
+ */
+class VolumeManager {
+    constructor(scene, uiManager) {
+        this.scene = scene;
+        this.uiManager = uiManager;
+        this.lightingManager = uiManager.lightingManager;
+        this.roofManager = uiManager.roofManager;
+
+        this.keys = ['setback', 'offsetX', 'offsetZ', 'height'];
+        this.defaultSetback = 2;
+        this.defaultHeight = 6;
+        this.minHeight = 0.1;
+        this.maxVolumes = 20;
+        this.epsilon = 1e-6;
+    }
+
+    /**
+     * Get the volume specs stacked on a building, lowest first
+     */
+    getVolumes(mesh) {
+        const volumes = mesh && mesh.userData && Array.isArray(mesh.userData.volumes) ? mesh.userData.volumes : [];
+        return volumes.map(volume => ({
+            setback: parseFloat(volume.setback) || 0,
+            offsetX: parseFloat(volume.offsetX) || 0,
+            offsetZ: parseFloat(volume.offsetZ) || 0,
+            height: parseFloat(volume.height) || 0
+        }));
+    }
+
+    /**
+     * Check whether a mesh can carry stacked volumes: a building without courtyards
+     */
+    canHaveVolumes(mesh) {
+        const hasHoles = !!(mesh && mesh.userData && mesh.userData.holes && mesh.userData.holes.length > 0);
+        return !!(mesh && !mesh.isDisposed() && mesh.userData && mesh.userData.type === 'building' && !hasHoles);
+    }
+
+    /**
+     * Check whether a mesh should carry a volume stack mesh
+     */
+    wantsVolumes(mesh) {
+        return this.canHaveVolumes(mesh) && this.getVolumes(mesh).length > 0;
+    }
+
+    /**
+     * Store volume specs on a building and rebuild its stack and roof
+     * @throws {Error} If a value is invalid or a setback leaves no footprint
+     */
+    setVolumes(mesh, volumes) {
+        if (!this.canHaveVolumes(mesh)) {
+            throw new Error('Stacked volumes can only be added to buildings without courtyards');
+        }
+        if (volumes.length > this.maxVolumes) {
+            throw new Error(`A building can have at most ${this.maxVolumes} stacked volumes`);
+        }
+
+        const cleaned = volumes.map((volume, index) => {
+            const values = {};
+            this.keys.forEach(key => {
+                values[key] = Math.round(parseFloat(volume[key]) * 100) / 100;
+            });
+            if (this.keys.some(key => !isFinite(values[key])) || values.setback < 0 || values.height < this.minHeight) {
+                throw new Error(`Volume ${index + 2}: enter a setback of 0 or more and a height of at least ${this.minHeight} m`);
+            }
+            return values;
+        });
+
+        // Check the footprints before touching the building
+        this.getStack(mesh, cleaned, true);
+
+        mesh.userData.volumes = cleaned;
+        this.applyVolumes(mesh);
+        if (this.roofManager) {
+            this.roofManager.applyRoof(mesh);
+        }
+        return cleaned;
+    }
+
+    /**
+     * Add a volume on top of the stack, set back from the current top
+     */
+    addVolume(mesh) {
+        const volumes = this.getVolumes(mesh);
+        volumes.push({ setback: this.defaultSetback, offsetX: 0, offsetZ: 0, height: this.defaultHeight });
+        return this.setVolumes(mesh, volumes);
+    }
+
+    /**
+     * Change one value of a volume
+     */
+    updateVolume(mesh, index, key, value) {
+        const volumes = this.getVolumes(mesh);
+        if (!volumes[index] || !this.keys.includes(key)) return null;
+        volumes[index][key] = value;
+        return this.setVolumes(mesh, volumes);
+    }
+
+    /**
+     * Remove a volume; the ones above it now stand on the volume below
+     */
+    removeVolume(mesh, index) {
+        const volumes = this.getVolumes(mesh);
+        if (!volumes[index]) return null;
+        volumes.splice(index, 1);
+        return this.setVolumes(mesh, volumes);
+    }
+
+    /**
+     * Footprint outline, elevation above the building top and height of each stacked volume
+     * @param {boolean} strict - Throw when a setback leaves no footprint instead of stopping there
+     * @returns {Array} {outline, elevation, height, area} per volume, in building-local XZ and metres
+     */
+    getStack(mesh, volumes = this.getVolumes(mesh), strict = false) {
+        let outline = this.roofManager ? this.roofManager.getOutline(mesh) : null;
+        if (!outline) {
+            if (strict && volumes.length > 0) throw new Error('The footprint of this building could not be read');
+            return [];
+        }
+
+        const stack = [];
+        let elevation = 0;
+        for (let i = 0; i < volumes.length; i++) {
+            const volume = volumes[i];
+            const inset = this.insetOutline(outline, volume.setback);
+            if (!inset) {
+                if (strict) throw new Error(`Volume ${i + 2}: a ${volume.setback} m setback leaves no footprint on the volume below`);
+                console.warn(`Stopping the volume stack of ${mesh.name} at volume ${i + 2}: setback too large`);
+                break;
+            }
+
+            outline = inset.map(p => ({ x: p.x + volume.offsetX, z: p.z + volume.offsetZ }));
+            stack.push({
+                outline: outline,
+                elevation: elevation,
+                height: volume.height,
+                area: PlanGeometry.getSignedArea(outline)
+            });
+            elevation += volume.height;
+        }
+        return stack;
+    }
+
+    /**
+     * Move every edge of a counter-clockwise outline inwards by a distance
+     * @returns {Array|null} The inset outline, or null when an edge would flip over or vanish
+     */
+    insetOutline(outline, distance) {
+        if (distance <= this.epsilon) return outline.map(p => ({ x: p.x, z: p.z }));
+
+        // Each edge moved along its inward normal, kept as a point and a unit direction
+        const lines = outline.map((p, i) => {
+            const next = outline[(i + 1) % outline.length];
+            const length = Math.hypot(next.x - p.x, next.z - p.z);
+            const dir = { x: (next.x - p.x) / length, z: (next.z - p.z) / length };
+            return { point: { x: p.x - dir.z * distance, z: p.z + dir.x * distance }, dir: dir };
+        });
+
+        const inset = [];
+        for (let i = 0; i < lines.length; i++) {
+            const prev = lines[(i - 1 + lines.length) % lines.length];
+            const line = lines[i];
+            const denominator = prev.dir.x * line.dir.z - prev.dir.z * line.dir.x;
+            if (Math.abs(denominator) < this.epsilon) return null;
+
+            const dx = line.point.x - prev.point.x;
+            const dz = line.point.z - prev.point.z;
+            const t = (dx * line.dir.z - dz * line.dir.x) / denominator;
+            inset.push({ x: prev.point.x + prev.dir.x * t, z: prev.point.z + prev.dir.z * t });
+        }
+
+        // A setback wider than a wing turns its edges around
+        const flipped = inset.some((p, i) => {
+            const next = inset[(i + 1) % inset.length];
+            const dir = lines[i].dir;
+            return (next.x - p.x) * dir.x + (next.z - p.z) * dir.z <= this.epsilon;
+        });
+        if (flipped || PlanGeometry.getSignedArea(inset) <= this.epsilon) return null;
+        return inset;
+    }
+
+    /**
+     * (Re)create the stack mesh of a building from its stored specs
+     */
+    applyVolumes(mesh) {
+        this.removeVolumes(mesh);
+        if (!this.wantsVolumes(mesh)) return null;
+
+        const stack = this.getStack(mesh);
+        if (stack.length === 0) return null;
+
+        const triangles = [];
+        stack.forEach(level => {
+            const top = level.elevation + level.height;
+            this.roofManager.addSurface(triangles, level.outline, () => top);
+            this.addBottom(triangles, level.outline, level.elevation);
+            const walls = [];
+            this.roofManager.addWalls(walls, level.outline, () => level.height);
+            walls.forEach(triangle => {
+                triangles.push(triangle.map(v => new BABYLON.Vector3(v.x, v.y + level.elevation, v.z)));
+            });
+        });
+
+        const volumesMesh = this.roofManager.createMesh(`${mesh.name}_volumes`, triangles);
+        volumesMesh.material = mesh.material;
+        volumesMesh.parent = mesh;
+        volumesMesh.position.y = this.roofManager.getLocalTop(mesh);
+        volumesMesh.renderingGroupId = mesh.renderingGroupId || 1;
+        volumesMesh.metadata = { volumes: true, stack: stack };
+
+        // Volume heights are absolute, so undo the building's vertical scaling (polygon heights use it)
+        const syncScaling = () => {
+            volumesMesh.scaling.y = Math.abs(mesh.scaling.y) > this.epsilon ? 1 / mesh.scaling.y : 1;
+        };
+        syncScaling();
+        volumesMesh.metadata.observer = mesh.onAfterWorldMatrixUpdateObservable.add(syncScaling);
+
+        volumesMesh.receiveShadows = true;
+        if (this.lightingManager) {
+            this.lightingManager.addShadowCaster(volumesMesh);
+        }
+
+        mesh.volumesMesh = volumesMesh;
+        return volumesMesh;
+    }
+
+    /**
+     * Downward-facing floor of a volume, so each volume is a closed solid in exports
+     */
+    addBottom(triangles, outline, elevation) {
+        const flat = [];
+        outline.forEach(p => flat.push(p.x, p.z));
+        const indices = earcut(flat);
+        const vertices = outline.map(p => new BABYLON.Vector3(p.x, elevation, p.z));
+        for (let i = 0; i < indices.length; i += 3) {
+            this.roofManager.addTriangle(triangles, [vertices[indices[i]], vertices[indices[i + 1]], vertices[indices[i + 2]]], new BABYLON.Vector3(0, -1, 0));
+        }
+    }
+
+    /**
+     * Remove the stack mesh of a building (its specs in userData are kept)
+     */
+    removeVolumes(mesh) {
+        if (!mesh || !mesh.volumesMesh) return;
+
+        const volumesMesh = mesh.volumesMesh;
+        if (volumesMesh.metadata && volumesMesh.metadata.observer) {
+            mesh.onAfterWorldMatrixUpdateObservable.remove(volumesMesh.metadata.observer);
+        }
+        if (!volumesMesh.isDisposed()) {
+            volumesMesh.dispose();
+        }
+        mesh.volumesMesh = null;
+    }
+
+    /**
+     * Add or drop the stack mesh when the building's type or volume specs no longer match it
+     */
+    syncVolumes(mesh) {
+        if (!mesh) return;
+        if (this.wantsVolumes(mesh) !== !!(mesh.volumesMesh && !mesh.volumesMesh.isDisposed())) {
+            this.applyVolumes(mesh);
+        }
+    }
+
+    /**
+     * The volumes currently built on a building, lowest first
+     */
+    getBuiltStack(mesh) {
+        const volumesMesh = mesh ? mesh.volumesMesh : null;
+        if (!volumesMesh || volumesMesh.isDisposed() || !volumesMesh.metadata) return [];
+        return volumesMesh.metadata.stack;
+    }
+
+    /**
+     * Top volume of a building with its elevation above the building top, or null without volumes
+     */
+    getTopVolume(mesh) {
+        const stack = this.getBuiltStack(mesh);
+        if (stack.length === 0) return null;
+
+        const top = stack[stack.length - 1];
+        return { outline: top.outline, elevation: top.elevation + top.height };
+    }
+}
@@ -0,0 +1,312 @@
+/**
+ * ZoningChecker - Zoning rules attached to a parcel shape (max height, min setback, max FAR,
+ * max lot coverage), evaluated against the buildings standing on the parcel
+ */
+class ZoningChecker {
+    constructor(uiManager) {
+        this.uiManager = uiManager;
+        this.sceneManager = uiManager.sceneManager;
+        this.selectionManager = uiManager.selectionManager;
+        this.geoJSONManager = uiManager.geoJSONManager;
+        this.buildingMetrics = uiManager.buildingMetrics;
+
+        this.parcel = null;
+        this.panel = null;
+        this.flagged = []; // Meshes currently tinted as violating
+        this.violationColor = new BABYLON.Color3(1, 0, 0);
+
+        // Rule keys in report order; null values in a parcel's rules mean "not applied"
+        this.rules = [
+            { key: 'maxHeight', label: 'Max height', unit: 'm', step: 0.5 },
+            { key: 'minSetback', label: 'Min setback', unit: 'm', step: 0.5 },
+            { key: 'maxFAR', label: 'Max FAR', unit: '', step: 0.1 },
+            { key: 'maxCoverage', label: 'Max lot coverage', unit: '%', step: 1 }
+        ];
+    }
+
+    /**
+     * Open the rules panel for the selected parcel and check it
+     */
+    open() {
+        const parcel = this.getSelectedParcel();
+        if (!parcel) {
+            throw new Error('Select a parcel first: draw or pick a non-building shape that contains the buildings');
+        }
+
+        this.clearFlags();
+        this.parcel = parcel;
+        this.showPanel();
+        this.check();
+    }
+
+    /**
+     * First selected shape that is not a building and has a recoverable footprint
+     */
+    getSelectedParcel() {
+        const candidates = this.selectionManager ? this.selectionManager.selectedObjects : [];
+        for (const mesh of candidates) {
+            const shape = mesh.basePolygon || mesh;
+            if (!shape.userData || shape.isDisposed() || this.buildingMetrics.isBuilding(shape) || this.uiManager.isTree(shape)) {
+                continue;
+            }
+            const outline = this.geoJSONManager.getFootprint(shape);
+            if (outline && outline.length >= 3) {
+                return shape;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Rules stored on the parcel, with every key present
+     */
+    getRules(parcel) {
+        const stored = (parcel.userData && parcel.userData.zoning) || {};
+        const rules = {};
+        this.rules.forEach(rule => {
+            const value = parseFloat(stored[rule.key]);
+            rules[rule.key] = isFinite(value) ? value : null;
+        });
+        return rules;
+    }
+
+    /**
+     * Store one rule on the parcel (saved with the scene as part of userData)
+     */
+    setRule(key, value) {
+        if (!this.parcel) return;
+        const parsed = parseFloat(value);
+        this.parcel.userData.zoning = this.getRules(this.parcel);
+        this.parcel.userData.zoning[key] = isFinite(parsed) && parsed >= 0 ? parsed : null;
+    }
+
+    /**
+     * Buildings whose footprint centre lies on the parcel, with their outline and metrics
+     */
+    getBuildingsOnParcel(outline) {
+        const buildings = [];
+        this.sceneManager.getScene().meshes.forEach(mesh => {
+            if (!this.buildingMetrics.isBuilding(mesh)) return;
+
+            const footprint = this.geoJSONManager.getFootprint(mesh);
+            const metrics = this.buildingMetrics.getMetrics(mesh);
+            if (!footprint || !metrics) return;
+
+            const centre = PlanGeometry.getCentroid(footprint);
+            if (PlanGeometry.pointInPolygon(centre, outline)) {
+                buildings.push({ mesh: mesh, footprint: footprint, metrics: metrics });
+            }
+        });
+        return buildings;
+    }
+
+    /**
+     * Evaluate the parcel's rules, flag violations and refresh the report
+     */
+    check() {
+        if (!this.parcel || this.parcel.isDisposed()) {
+            this.close();
+            return null;
+        }
+
+        this.clearFlags();
+        const rules = this.getRules(this.parcel);
+        const outline = this.geoJSONManager.getFootprint(this.parcel);
+        const parcelArea = PlanGeometry.getPlanArea(outline);
+        const buildings = this.getBuildingsOnParcel(outline);
+
+        buildings.forEach(building => {
+            building.setback = this.getSetback(building.footprint, outline);
+            building.violations = [];
+            if (rules.maxHeight !== null && building.metrics.height > rules.maxHeight + 1e-6) {
+                building.violations.push('maxHeight');
+            }
+            if (rules.minSetback !== null && building.setback < rules.minSetback - 1e-6) {
+                building.violations.push('minSetback');
+            }
+        });
+
+        const totalFootprint = buildings.reduce((sum, b) => sum + b.metrics.footprintArea, 0);
+        const totalFloorArea = buildings.reduce((sum, b) => sum + b.metrics.grossFloorArea, 0);
+        const tallest = buildings.reduce((best, b) => !best || b.metrics.height > best.metrics.height ? b : best, null);
+        const closest = buildings.reduce((best, b) => !best || b.setback < best.setback ? b : best, null);
+        const far = parcelArea > 0 ? totalFloorArea / parcelArea : 0;
+        const coverage = parcelArea > 0 ? totalFootprint / parcelArea * 100 : 0;
+
+        const report = {
+            parcel: this.parcel.name,
+            parcelArea: parcelArea,
+            buildings: buildings,
+            rows: [
+                this.createRow('maxHeight', rules.maxHeight, tallest ? tallest.metrics.height : null, (value, limit) => value <= limit + 1e-6, tallest),
+                this.createRow('minSetback', rules.minSetback, closest ? closest.setback : null, (value, limit) => value >= limit - 1e-6, closest),
+                this.createRow('maxFAR', rules.maxFAR, buildings.length ? far : null, (value, limit) => value <= limit + 1e-6),
+                this.createRow('maxCoverage', rules.maxCoverage, buildings.length ? coverage : null, (value, limit) => value <= limit + 1e-6)
+            ]
+        };
+
+        // Building-level rules tint the offending buildings, parcel-level rules tint the parcel
+        buildings.filter(b => b.violations.length > 0).forEach(b => this.flag(b.mesh));
+        if (report.rows.some(row => (row.key === 'maxFAR' || row.key === 'maxCoverage') && row.passed === false)) {
+            this.flag(this.parcel);
+        }
+
+        this.renderReport(report);
+        return report;
+    }
+
+    /**
+     * Build one report row; passed is null when the rule is not set or nothing was measured
+     */
+    createRow(key, limit, measured, passes, building = null) {
+        const rule = this.rules.find(r => r.key === key);
+        return {
+            key: key,
+            label: rule.label,
+            unit: rule.unit,
+            limit: limit,
+            measured: measured,
+            building: building ? building.mesh.name : null,
+            passed: limit === null || measured === null ? null : passes(measured, limit)
+        };
+    }
+
+    /**
+     * Signed distance from a footprint to the parcel edge; negative when the building crosses the edge
+     */
+    getSetback(footprint, outline) {
+        let setback = Infinity;
+        footprint.forEach(p => {
+            const distance = PlanGeometry.distanceToOutline(p, outline);
+            setback = Math.min(setback, PlanGeometry.pointInPolygon(p, outline) ? distance : -distance);
+        });
+        // A concave parcel corner can reach into a building without any building corner leaving the parcel
+        outline.forEach(p => {
+            const distance = PlanGeometry.distanceToOutline(p, footprint);
+            setback = Math.min(setback, PlanGeometry.pointInPolygon(p, footprint) ? -distance : distance);
+        });
+        return setback === 0 ? 0 : setback; // A corner on the edge gives -0
+    }
+
+    /**
+     * Tint a shape and its extrusion red
+     */
+    flag(mesh) {
+        [mesh, mesh.extrusion].forEach(part => {
+            if (!part || part.isDisposed()) return;
+            part.renderOverlay = true;
+            part.overlayColor = this.violationColor;
+            part.overlayAlpha = 0.5;
+            this.flagged.push(part);
+        });
+    }
+
+    /**
+     * Remove all violation tints
+     */
+    clearFlags() {
+        this.flagged.forEach(mesh => {
+            if (!mesh.isDisposed()) mesh.renderOverlay = false;
+        });
+        this.flagged = [];
+    }
+
+    /**
+     * Create the rules panel for the current parcel
+     */
+    showPanel() {
+        if (!this.panel) {
+            this.panel = document.createElement('div');
+            this.panel.id = 'zoningPanel';
+            this.panel.className = 'sun-hours-legend zoning-panel';
+            document.body.appendChild(this.panel);
+        }
+
+        const rules = this.getRules(this.parcel);
+        this.panel.innerHTML = `
+            <div class="sun-hours-header">
+                <h4></h4>
+                <button class="sun-hours-close" title="Close and clear flags">×</button>
+            </div>
+            <div class="zoning-rules">
+                ${this.rules.map(rule => `
+                    <label for="zoning_${rule.key}">${rule.label}${rule.unit ? ` (${rule.unit})` : ''}</label>
+                    <input type="number" id="zoning_${rule.key}" data-rule="${rule.key}" min="0" step="${rule.step}"
+                        value="${rules[rule.key] !== null ? rules[rule.key] : ''}" placeholder="none">
+                `).join('')}
+            </div>
+            <button class="btn btn-small zoning-check">Check again</button>
+            <div class="zoning-report"></div>
+        `;
+        this.panel.querySelector('h4').textContent = `Zoning · ${this.parcel.name}`;
+        this.panel.style.display = 'block';
+
+        this.panel.querySelector('.sun-hours-close').addEventListener('click', () => this.close());
+        this.panel.querySelector('.zoning-check').addEventListener('click', () => this.check());
+        this.panel.querySelectorAll('[data-rule]').forEach(input => {
+            input.addEventListener('change', () => {
+                this.setRule(input.getAttribute('data-rule'), input.value);
+                this.check();
+            });
+        });
+    }
+
+    /**
+     * Write the rule table and the list of buildings on the parcel
+     */
+    renderReport(report) {
+        const container = this.panel ? this.panel.querySelector('.zoning-report') : null;
+        if (!container) return;
+
+        const format = (value, unit) => {
+            if (value === null) return '—';
+            const text = unit === '' ? value.toFixed(2) : value.toFixed(1);
+            return unit ? `${text} ${unit}` : text;
+        };
+        const status = (passed) => passed === null ? '—' : (passed ? '✓' : '✗');
+
+        container.innerHTML = `
+            <div class="zoning-summary"></div>
+            <table>
+                <thead><tr><th>Rule</th><th>Limit</th><th>Measured</th><th></th></tr></thead>
+                <tbody>
+                    ${report.rows.map(row => `
+                        <tr class="${row.passed === false ? 'zoning-fail' : ''}">
+                            <td>${row.label}</td>
+                            <td>${format(row.limit, row.unit)}</td>
+                            <td>${format(row.measured, row.unit)}</td>
+                            <td>${status(row.passed)}</td>
+                        </tr>`).join('')}
+                </tbody>
+            </table>
+            <div class="zoning-buildings"></div>
+        `;
+        container.querySelector('.zoning-summary').textContent =
+            `${report.buildings.length} building${report.buildings.length === 1 ? '' : 's'} on ${report.parcelArea.toFixed(0)} m²`;
+
+        // Names come from the scene, so they are written as text
+        const list = container.querySelector('.zoning-buildings');
+        report.buildings.forEach(building => {
+            const row = document.createElement('div');
+            row.className = `sun-hours-row${building.violations.length ? ' zoning-fail' : ''}`;
+            const name = document.createElement('span');
+            name.textContent = building.mesh.name;
+            const values = document.createElement('span');
+            values.textContent = `${building.metrics.height.toFixed(1)} m · setback ${building.setback.toFixed(1)} m`;
+            row.appendChild(name);
+            row.appendChild(values);
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Close the panel and remove the flags
+     */
+    close() {
+        this.clearFlags();
+        this.parcel = null;
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+    }
+}